@@ -8,7 +8,11 @@ import RiskGadget from './components/RiskGadget';
 import ChangesGadget from './components/ChangesGadget';
 import PriorityGadget from './components/PriorityGadget';
 import ReleasesGadget from './components/ReleasesGadget';
+import VelocityGadget from './components/VelocityGadget';
+import WorklogGadget from './components/WorklogGadget';
 import ConfigForm from './components/ConfigForm';
+import SprintReportPage from './components/SprintReportPage';
+import SettingsPage from './components/SettingsPage';
 
 function App() {
   const [context, setContext] = useState(null);
@@ -75,6 +79,18 @@ function App() {
     case 'releases-gadget':
       return <ReleasesGadget />;
 
+    case 'velocity-gadget':
+      return <VelocityGadget />;
+
+    case 'worklog-gadget':
+      return <WorklogGadget />;
+
+    case 'sprint-report-page':
+      return <SprintReportPage />;
+
+    case 'sprint-gadgets-settings':
+      return <SettingsPage />;
+
     default:
       // Fallback nếu không khớp key nào, hoặc đang dev
       // Hiển thị thông báo thân thiện hơn
@@ -0,0 +1,105 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { formatInUnit } from './EstimationStatPicker';
+
+const cardStyle = {
+  border: '1px solid #DFE1E6',
+  borderRadius: '3px',
+  padding: '8px 10px',
+  background: '#FFFFFF',
+  cursor: 'pointer'
+};
+
+/**
+ * AssigneeBreakdown component
+ * Small multiples of the burndown, one per member (getBurndownData's assigneeBreakdown):
+ * remaining against the member's own ideal line, with burn and capacity utilisation
+ * so far. Members behind the ideal line come first. Clicking a card filters the
+ * gadget to that member.
+ */
+const AssigneeBreakdown = ({ members, unit, onSelect }) => {
+  if (!members?.length) {
+    return (
+      <div style={{ padding: '24px', textAlign: 'center', fontSize: '12px', color: '#6B778C' }}>
+        No assigned issues in this sprint
+      </div>
+    );
+  }
+
+  const isHours = unit === 'h';
+  const sorted = [...members].sort((a, b) => b.behindBy - a.behindBy || a.displayName.localeCompare(b.displayName));
+  // Shared scale so the charts compare at a glance
+  const maxValue = Math.max(1, ...members.flatMap(m => m.points.flatMap(p => [p.remaining || 0, p.ideal || 0])));
+  const behindCount = members.filter(m => m.behind).length;
+
+  return (
+    <div style={{ marginTop: '20px' }}>
+      <div style={{ fontSize: '12px', color: '#5E6C84', marginBottom: '8px' }}>
+        {behindCount > 0
+          ? <><b style={{ color: '#AE2A19' }}>{behindCount}</b> of {members.length} behind the ideal line</>
+          : `All ${members.length} on or ahead of the ideal line`}
+      </div>
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+        gap: '8px'
+      }}>
+        {sorted.map(member => (
+          <div
+            key={member.accountId}
+            style={{ ...cardStyle, borderLeft: `3px solid ${member.behind ? '#DE350B' : '#36B37E'}` }}
+            onClick={() => onSelect(member.accountId)}
+            title={`Show ${member.displayName}'s burndown`}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '6px' }}>
+              <span style={{ fontSize: '12px', fontWeight: '600', color: '#172B4D', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {member.displayName}
+              </span>
+              <span style={{ fontSize: '11px', fontWeight: '600', color: member.behind ? '#AE2A19' : '#006644', whiteSpace: 'nowrap' }}>
+                {member.behind
+                  ? `+${formatInUnit(member.behindBy, unit)} behind`
+                  : 'On track'}
+              </span>
+            </div>
+
+            <div style={{ height: '70px', marginTop: '4px' }}>
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={member.points} margin={{ top: 4, right: 2, left: 2, bottom: 0 }}>
+                  <XAxis dataKey="displayDate" hide />
+                  <YAxis domain={[0, maxValue]} hide />
+                  <Tooltip
+                    formatter={(value, name) => [formatInUnit(value, unit), name]}
+                    labelStyle={{ fontSize: '11px' }}
+                    contentStyle={{ fontSize: '11px', padding: '4px 8px' }}
+                  />
+                  <Line type="linear" dataKey="ideal" name="Ideal" stroke="#57D9A3" strokeWidth={1.5} dot={false} connectNulls />
+                  <Line
+                    type="monotone"
+                    dataKey="remaining"
+                    name="Remaining"
+                    stroke={member.behind ? '#DE350B' : '#0065FF'}
+                    strokeWidth={2}
+                    dot={false}
+                    connectNulls
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div style={{ fontSize: '11px', color: '#5E6C84', marginTop: '4px' }}>
+              Remaining {formatInUnit(member.currentRemaining ?? 0, unit)} · ideal {formatInUnit(member.idealToday ?? 0, unit)}
+            </div>
+            <div style={{ fontSize: '11px', color: '#5E6C84' }}>
+              {isHours
+                ? <>Logged {member.loggedToDate}h of {member.capacityToDate}h available
+                  {member.utilisation != null && <b style={{ color: '#172B4D' }}> ({member.utilisation}%)</b>}</>
+                : `Burned ${formatInUnit(member.loggedToDate, unit)}`}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AssigneeBreakdown;
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { invoke } from '@forge/bridge';
+
+export const EMPTY_ASSIGNEE_FILTER = { team: '', assignees: [] };
+
+export const isAssigneeFilterActive = (value) => !!value.team || value.assignees.length > 0;
+
+// Resolver payload fields: the team name and the picked accountIds
+export const assigneeFilterPayload = (value) => ({
+  team: value.team || undefined,
+  assignees: value.assignees.length > 0 ? value.assignees : undefined
+});
+
+// Short description of the selection, e.g. "Backend", "Anna Lee" or "Backend + 2 people"
+export const assigneeFilterLabel = (value, members = []) => {
+  const names = value.assignees.map(id => members.find(m => m.accountId === id)?.displayName || id);
+  const people = names.length === 1 ? names[0] : names.length > 1 ? `${names.length} people` : '';
+  return [value.team, people].filter(Boolean).join(' + ');
+};
+
+/**
+ * WorklogAttributionSelect component
+ * Whose time a worklog counts as: the issue's assignee, or whoever logged it (so a
+ * reviewer's hours on someone else's issue show up as the reviewer's effort).
+ */
+export const WorklogAttributionSelect = ({ value, onChange }) => (
+  <select
+    className="select"
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    title="Count logged time for the issue's assignee or for the worklog's author"
+  >
+    <option value="assignee">Time: assigned issues</option>
+    <option value="author">Time: logged by</option>
+  </select>
+);
+
+const sectionStyle = {
+  padding: '6px 12px 2px',
+  fontSize: '10px',
+  fontWeight: '600',
+  color: '#6B778C',
+  textTransform: 'uppercase'
+};
+
+const optionStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '6px 12px',
+  fontSize: '12px',
+  cursor: 'pointer',
+  color: '#172B4D'
+};
+
+/**
+ * AssigneeFilter component
+ * Narrows a gadget to a team from Sprint Gadgets Settings and/or individual
+ * members (multi-select). Members are identified by accountId. Without `members`
+ * only teams are offered; nothing renders when there is nothing to choose.
+ */
+const AssigneeFilter = ({ boardId, members, value, onChange }) => {
+  const [teams, setTeams] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!boardId) return;
+    invoke('getSettings', { boardId })
+      .then(result => {
+        if (result.success) setTeams(result.data.effective.teams || []);
+      })
+      .catch(err => console.error('[AssigneeFilter] Error loading teams:', err));
+  }, [boardId]);
+
+  const active = isAssigneeFilterActive(value);
+  if (teams.length === 0 && !members?.length && !active) return null;
+
+  const selectTeam = (team) => onChange({ ...value, team });
+  const toggleMember = (accountId) => onChange({
+    ...value,
+    assignees: value.assignees.includes(accountId)
+      ? value.assignees.filter(id => id !== accountId)
+      : [...value.assignees, accountId]
+  });
+
+  const hover = {
+    onMouseEnter: (e) => { e.currentTarget.style.background = '#F4F5F7'; },
+    onMouseLeave: (e) => { e.currentTarget.style.background = 'transparent'; }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        className="select"
+        onClick={() => setOpen(!open)}
+        title="Filter by team or assignee"
+        style={{ cursor: 'pointer', whiteSpace: 'nowrap' }}
+      >
+        {active ? assigneeFilterLabel(value, members) : `All Team${members ? ` (${members.length})` : ''}`} ▾
+      </button>
+      {open && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: '100%',
+          marginTop: '4px',
+          background: '#FFFFFF',
+          border: '1px solid #DFE1E6',
+          borderRadius: '3px',
+          boxShadow: '0 4px 8px rgba(9, 30, 66, 0.15)',
+          zIndex: 10,
+          minWidth: '180px',
+          maxHeight: '320px',
+          overflowY: 'auto'
+        }}>
+          <div style={optionStyle} onClick={() => { onChange(EMPTY_ASSIGNEE_FILTER); setOpen(false); }} {...hover}>
+            <span style={{ width: '12px' }}>{active ? '' : '✓'}</span>
+            All Team
+          </div>
+
+          {teams.length > 0 && <div style={sectionStyle}>Teams</div>}
+          {teams.map(team => (
+            <div
+              key={team.name}
+              style={optionStyle}
+              onClick={() => selectTeam(value.team === team.name ? '' : team.name)}
+              title={team.members.map(m => m.displayName).join(', ')}
+              {...hover}
+            >
+              <span style={{ width: '12px' }}>{value.team === team.name ? '✓' : ''}</span>
+              {team.name}
+              <span style={{ color: '#6B778C', fontSize: '11px' }}>({team.members.length})</span>
+            </div>
+          ))}
+
+          {members?.length > 0 && <div style={sectionStyle}>Members</div>}
+          {(members || []).map(member => (
+            <label key={member.accountId} style={optionStyle} {...hover}>
+              <input
+                type="checkbox"
+                checked={value.assignees.includes(member.accountId)}
+                onChange={() => toggleMember(member.accountId)}
+                style={{ margin: 0 }}
+              />
+              {member.displayName}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssigneeFilter;
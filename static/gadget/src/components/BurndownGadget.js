@@ -1,10 +1,20 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { invoke, router } from '@forge/bridge';
+import { invoke } from '@forge/bridge';
 import GadgetWrapper from './GadgetWrapper';
+import SprintPicker, { ALL_ACTIVE_SPRINTS } from './SprintPicker';
+import CapacityRosterEditor from './CapacityRosterEditor';
+import AssigneeBreakdown from './AssigneeBreakdown';
+import { ESTIMATION_STAT_LABELS, formatInUnit } from './EstimationStatPicker';
+import ExportMenu, { exportFilename } from './ExportMenu';
+import AssigneeFilter, {
+  EMPTY_ASSIGNEE_FILTER, WorklogAttributionSelect, assigneeFilterLabel, assigneeFilterPayload, isAssigneeFilterActive
+} from './AssigneeFilter';
+import { issueUrl, openLink, sprintIssuesUrl, sprintUrl } from './jiraLinks';
 import {
   ComposedChart,
   Bar,
   Line,
+  Area,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -15,68 +25,110 @@ import {
 } from 'recharts';
 
 /**
- * Apply FORWARD calculation to fix the remaining line.
- * Formula: Remaining[N] = Original Estimate[N] - Cumulative Time Logged[N]
- * Where Original Estimate[N] = baselineOE + cumulative scope added - cumulative scope removed up to day N
- * 
- * This correctly tracks how remaining decreases as work is logged,
- * and how it changes when tasks are added/removed from the sprint.
+ * Build the burnup series from the burndown data (remaining is forward-calculated by the resolver).
+ * - scope: baselineOE + cumulative scope added - removed + re-estimated - carried in
+ *   (steps with scope changes; time spent before an issue joined is not sprint work)
+ * - done: scope - remaining, so it moves with exactly the same data as the remaining line
+ * - projected: today's done extended at the average pace per working day so far
+ * projectedDate is null when nothing has been completed yet (no pace to project from).
  */
-const applyForwardCalculation = (data) => {
-  if (!data || !data.dataPoints || !data.totalOriginalEstimate) return data;
-
-  const { dataPoints, totalOriginalEstimate, scopeAddedTotal, scopeRemovedTotal } = data;
-
-  // Clone dataPoints to avoid mutation
-  const newDataPoints = dataPoints.map(dp => ({ ...dp }));
-
-  // Calculate baselineOE = current total OE minus all scope changes
-  // totalOriginalEstimate includes OE of added tasks, so subtract them and add back removed
-  const baselineOE = totalOriginalEstimate - (scopeAddedTotal || 0) + (scopeRemovedTotal || 0);
+const buildBurnupData = (data) => {
+  const { dataPoints, holidays } = data;
+  const round = (value) => Math.round(value * 10) / 10;
+  const holidaySet = new Set(holidays || []);
+  const isWorkingDay = (date) => {
+    const day = date.getUTCDay();
+    return day !== 0 && day !== 6 && !holidaySet.has(date.toISOString().split('T')[0]);
+  };
 
-  // Forward pass: accumulate scope changes and worklogs
+  const baselineOE = data.baselineOriginalEstimate || 0;
   let cumulativeAdded = 0;
   let cumulativeRemoved = 0;
-  let cumulativeLogged = 0;
-
-  for (let i = 0; i < newDataPoints.length; i++) {
-    const dp = newDataPoints[i];
-
-    // Skip future data points (no totalRemaining set)
-    if (dp.totalRemaining == null && dp.displayDate !== 'Start Sprint') continue;
-
-    // Accumulate scope changes (added is positive, removed is negative in data)
-    const added = dp.added || 0;
-    const removed = Math.abs(dp.removed || 0);
-    cumulativeAdded += added;
-    cumulativeRemoved += removed;
-
-    // Accumulate daily logged hours
-    const dayLogged = dp.dayLogged || 0;
-    cumulativeLogged += dayLogged;
-
-    // Current OE at this day = baselineOE + cumulative added - cumulative removed
-    const currentOE = baselineOE + cumulativeAdded - cumulativeRemoved;
-
-    // Remaining = Current OE - Cumulative Logged
-    const remaining = Math.round((currentOE - cumulativeLogged) * 10) / 10;
+  let cumulativeReestimated = 0;
+  let cumulativeCarriedIn = 0;
+  let lastActualIdx = -1;
+  let workingDaysElapsed = 0;
+
+  const points = dataPoints.map((dp, i) => {
+    cumulativeAdded += dp.added || 0;
+    cumulativeRemoved += Math.abs(dp.removed || 0);
+    cumulativeReestimated += dp.reestimated || 0;
+    cumulativeCarriedIn += dp.carriedIn || 0;
+    const scope = round(baselineOE + cumulativeAdded - cumulativeRemoved + cumulativeReestimated - cumulativeCarriedIn);
+    const hasActual = dp.totalRemaining != null;
+    if (hasActual) {
+      lastActualIdx = i;
+      if (dp.date !== 'start' && isWorkingDay(new Date(`${dp.date}T00:00:00Z`))) workingDaysElapsed++;
+    }
+    return {
+      date: dp.date,
+      displayDate: dp.displayDate,
+      scope,
+      done: hasActual ? round(scope - dp.totalRemaining) : null,
+      projected: null
+    };
+  });
+
+  if (lastActualIdx < 0) return { points, projectedDate: null, pace: 0 };
+
+  const last = points[lastActualIdx];
+  const pace = workingDaysElapsed > 0 ? last.done / workingDaysElapsed : 0;
+  if (pace <= 0) return { points, projectedDate: null, pace: 0 };
+
+  // Project the remaining points of the chart
+  last.projected = last.done;
+  let projectedDone = last.done;
+  for (let i = lastActualIdx + 1; i < points.length; i++) {
+    if (isWorkingDay(new Date(`${points[i].date}T00:00:00Z`))) projectedDone += pace;
+    points[i].projected = round(Math.min(projectedDone, points[i].scope));
+  }
 
-    newDataPoints[i].totalRemaining = remaining;
-    newDataPoints[i].remaining = remaining;
+  // Walk working days from the last actual day until the open scope is covered
+  let openWork = last.scope - last.done;
+  const cursor = new Date(`${last.date}T00:00:00Z`);
+  for (let guard = 0; openWork > 0 && guard < 366; guard++) {
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+    if (isWorkingDay(cursor)) openWork -= pace;
   }
 
-  return { ...data, dataPoints: newDataPoints };
+  return { points, projectedDate: cursor.toISOString().split('T')[0], pace: round(pace) };
+};
+
+/**
+ * Merge the backend forecast series into the chart data.
+ * Forecast days past the sprint end are appended as forecast-only points.
+ */
+const withForecast = (dataPoints, forecast) => {
+  if (!forecast?.points?.length) return dataPoints;
+  const forecastByDate = Object.fromEntries(forecast.points.map(fp => [fp.date, fp]));
+  const lastDate = dataPoints[dataPoints.length - 1]?.date;
+  const merged = dataPoints.map(dp => {
+    const fp = forecastByDate[dp.date];
+    return fp ? { ...dp, forecast: fp.forecast, forecastRange: fp.forecastRange } : dp;
+  });
+  const overrun = forecast.points.filter(fp => fp.date > lastDate);
+  return [...merged, ...overrun];
 };
 
+const CHART_MODES = [
+  { key: 'burndown', label: 'Burndown', title: 'Remaining work against the ideal line' },
+  { key: 'burnup', label: 'Burnup', title: 'Completed work against total scope' },
+  { key: 'people', label: 'By Person', title: 'One small burndown per assignee: who is behind the ideal line' }
+];
+
 const BurndownGadget = () => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [config, setConfig] = useState({ boardId: null, teamSize: 10 });
-  const [selectedMember, setSelectedMember] = useState('All');
+  const [selectedSprintId, setSelectedSprintId] = useState('');
+  const [assigneeFilter, setAssigneeFilter] = useState(EMPTY_ASSIGNEE_FILTER);
+  const [worklogAttribution, setWorklogAttribution] = useState('assignee');
   const [showDebug, setShowDebug] = useState(false);
   const [resettingBaseline, setResettingBaseline] = useState(false);
   const [resetMessage, setResetMessage] = useState(null);
+  const [showRoster, setShowRoster] = useState(false);
+  const [chartMode, setChartMode] = useState('burndown');
 
   // Load configuration
   const loadConfig = useCallback(async () => {
@@ -103,60 +155,16 @@ const BurndownGadget = () => {
     try {
       const result = await invoke('getBurndownData', {
         boardId: config.boardId,
-        assignee: selectedMember,
-        teamSize: config.teamSize
+        sprintId: selectedSprintId || undefined,
+        ...assigneeFilterPayload(assigneeFilter),
+        worklogAttribution,
+        teamSize: config.teamSize,
+        estimationStat: config.estimationStat,
+        storyPointsField: config.storyPointsField
       });
 
       if (result.success) {
-        let burndownData = result.data;
-
-        // Also call detectRemovedIssuesV3 to get accurate removed issues (bypasses Forge cache)
-        try {
-          const removedResult = await invoke('detectRemovedIssuesV3', {
-            boardId: config.boardId
-          });
-          if (removedResult.success && removedResult.data && removedResult.data.length > 0) {
-            // Merge removed issues into burndown data
-            const removedIssues = removedResult.data;
-            let scopeRemovedTotal = 0;
-            const removedByDate = {};
-
-            removedIssues.forEach(ri => {
-              const oe = ri.isParent ? 0 : (ri.originalEstimate || 0);
-              scopeRemovedTotal += oe;
-              if (ri.removedDate) {
-                if (!removedByDate[ri.removedDate]) removedByDate[ri.removedDate] = 0;
-                removedByDate[ri.removedDate] += oe;
-              }
-            });
-
-            // Update dataPoints with removed scope
-            if (burndownData.dataPoints) {
-              burndownData.dataPoints = burndownData.dataPoints.map(dp => {
-                const removedOnDate = removedByDate[dp.date] || 0;
-                if (removedOnDate > 0) {
-                  return { ...dp, removed: -(dp.removed ? Math.abs(dp.removed) + removedOnDate : removedOnDate) };
-                }
-                return dp;
-              });
-            }
-
-            burndownData.scopeRemovedTotal = (burndownData.scopeRemovedTotal || 0) + scopeRemovedTotal;
-            burndownData.removedIssuesCount = (burndownData.removedIssuesCount || 0) + removedIssues.length;
-            burndownData.removedIssueDetails = removedIssues.map(ri => ({
-              key: ri.key,
-              summary: ri.summary,
-              removedDate: ri.removedDate,
-              originalEstimate: ri.originalEstimate
-            }));
-          }
-        } catch (removedErr) {
-          console.warn('Failed to fetch removed issues:', removedErr);
-        }
-
-        // Apply forward calculation: Remaining = OE - CumLog, tracking scope changes per day
-        const fixedData = applyForwardCalculation(burndownData);
-        setData(fixedData);
+        setData(result.data);
       } else {
         setError(result.error);
       }
@@ -165,7 +173,10 @@ const BurndownGadget = () => {
     } finally {
       setLoading(false);
     }
-  }, [config.boardId, config.teamSize, selectedMember]);
+  }, [
+    config.boardId, config.teamSize, config.estimationStat, config.storyPointsField,
+    selectedSprintId, assigneeFilter, worklogAttribution
+  ]);
 
   // Reset baseline - declared AFTER loadData to avoid stale closure
   const handleResetBaseline = useCallback(async () => {
@@ -173,7 +184,10 @@ const BurndownGadget = () => {
     setResettingBaseline(true);
     setResetMessage(null);
     try {
-      const result = await invoke('deleteBaseline', { boardId: config.boardId });
+      const result = await invoke('deleteBaseline', {
+        boardId: config.boardId,
+        sprintId: selectedSprintId || undefined
+      });
       if (result.success) {
         setResetMessage({ type: 'success', text: 'Baseline reset! Reloading data...' });
         setTimeout(() => { setResetMessage(null); loadData(); }, 1500);
@@ -185,7 +199,7 @@ const BurndownGadget = () => {
     } finally {
       setResettingBaseline(false);
     }
-  }, [config.boardId, loadData]);
+  }, [config.boardId, selectedSprintId, loadData]);
 
   useEffect(() => {
     loadConfig();
@@ -195,7 +209,7 @@ const BurndownGadget = () => {
     if (config.boardId) {
       loadData();
     }
-  }, [config.boardId, selectedMember, loadData]);
+  }, [config.boardId, loadData]);
 
   // Format sprint date for display
   const formatSprintDate = (dateStr) => {
@@ -222,6 +236,16 @@ const BurndownGadget = () => {
             return payload.map((entry, index) => {
               if (entry.value == null || entry.value === 0) return null;
 
+              // Forecast band: [optimistic, pessimistic] remaining
+              if (Array.isArray(entry.value)) {
+                if (entry.value[1] === 0) return null;
+                return (
+                  <div key={index} style={{ fontSize: '12px', color: '#42526E', marginBottom: '4px' }}>
+                    {entry.name}: {formatInUnit(entry.value[0], data?.unit)} – {formatInUnit(entry.value[1], data?.unit)}
+                  </div>
+                );
+              }
+
               let displayColor = entry.color;
               let displayName = entry.name;
               let displayValue = Math.abs(entry.value);
@@ -245,8 +269,10 @@ const BurndownGadget = () => {
                     borderRadius: '2px'
                   }} />
                   <span style={{ fontSize: '12px', color: '#42526E' }}>
-                    {displayName}: {displayValue.toFixed(1)}h
-                    {entry.value < 0 ? ' (removed)' : ''}
+                    {displayName}: {entry.dataKey === 'reestimated' && entry.value > 0 ? '+' : ''}
+                    {entry.dataKey === 'reestimated' && entry.value < 0 ? '-' : ''}
+                    {formatInUnit(displayValue.toFixed(1), data?.unit)}
+                    {entry.value < 0 && entry.dataKey !== 'reestimated' ? ' (removed)' : ''}
                   </span>
                 </div>
               );
@@ -337,30 +363,121 @@ const BurndownGadget = () => {
   const {
     dataPoints,
     sprintName,
+    sprintState,
     sprintStartDate,
     sprintEndDate,
     maxCapacity,
     totalOriginalEstimate,
     currentRemaining,
     totalSpent,
+    carriedInSpent,
+    carriedInIssues,
     scopeAddedTotal,
     scopeRemovedTotal,
+    scopeReestimatedTotal,
     workingDays,
+    holidays,
     teamSize,
+    capacity,
+    sprints,
     assignees,
+    assigneeBreakdown,
     addedIssuesCount,
     removedIssuesCount,
     issueDetails,
-    baselineIssueCount
+    baselineIssueCount,
+    recordedDays,
+    estimationStat,
+    unit,
+    forecast,
+    sprintId,
+    jiraBaseUrl: siteUrl
   } = data;
 
+  const isHours = !estimationStat || estimationStat === 'hours';
+  // By author the logged-time series is the selected people's own effort on any sprint issue
+  const byAuthor = data.worklogAttribution === 'author';
+  const burnedLabel = isHours ? (byAuthor ? 'Logged by Selection' : 'Time Logged') : 'Burned';
+  const burnup = buildBurnupData(data);
+  const sprintEndDay = sprintEndDate?.split('T')[0];
+  const projectedLate = burnup.projectedDate && sprintEndDay && burnup.projectedDate > sprintEndDay;
+  const chartData = withForecast(dataPoints, forecast);
+  // Combined active sprints have no single sprint report: open their issues instead
+  const sprintLink = sprintId
+    ? sprintUrl(siteUrl, config.boardId, sprintId)
+    : sprintIssuesUrl(siteUrl, (sprints || []).map(s => s.sprintId));
+
   // Calculate daily decrease for debug display
   const dailyDecrease = workingDays > 0
     ? maxCapacity / workingDays
     : maxCapacity;
 
-  // Jira base URL for clickable issue keys
-
+  // Export: daily series, the issue lists and the per-assignee summary, already narrowed to the selected members
+  const getExportSheets = () => [
+    {
+      name: 'Daily',
+      columns: [
+        { key: 'date', label: 'Date' },
+        { key: 'ideal', label: `Ideal (${unit})` },
+        { key: 'remaining', label: `Remaining (${unit})` },
+        { key: 'dayLogged', label: `${burnedLabel} that day (${unit})` },
+        { key: 'cumulativeLogged', label: `${burnedLabel} cumulative (${unit})` },
+        { key: 'added', label: `Scope added (${unit})` },
+        { key: 'removed', label: `Scope removed (${unit})` },
+        { key: 'reestimated', label: `Re-estimated (${unit})` }
+      ],
+      rows: dataPoints
+    },
+    {
+      name: 'Issues',
+      columns: [
+        { key: 'key', label: 'Key' },
+        { key: 'summary', label: 'Summary' },
+        { key: 'issueType', label: 'Type' },
+        { key: 'assignee', label: 'Assignee' },
+        { key: 'status', label: 'Status' },
+        { key: 'originalEstimate', label: 'Original estimate (h)' },
+        { key: 'remainingEstimate', label: 'Remaining (h)' },
+        { key: 'timeSpent', label: 'Time spent (h)' },
+        { key: 'parentKey', label: 'Parent' }
+      ],
+      rows: issueDetails || []
+    },
+    {
+      name: 'Removed',
+      columns: [
+        { key: 'key', label: 'Key' },
+        { key: 'summary', label: 'Summary' },
+        { key: 'removedDate', label: 'Removed date' },
+        { key: 'originalEstimate', label: `Original estimate (${unit})` }
+      ],
+      rows: data.removedIssueDetails || []
+    },
+    {
+      name: 'Added',
+      columns: [
+        { key: 'key', label: 'Key' },
+        { key: 'summary', label: 'Summary' },
+        { key: 'addedDate', label: 'Added date' },
+        { key: 'originalEstimate', label: `Original estimate (${unit})` }
+      ],
+      rows: data.addedIssues || []
+    },
+    {
+      name: 'By assignee',
+      columns: [
+        { key: 'displayName', label: 'Assignee' },
+        { key: 'currentRemaining', label: `Remaining (${unit})` },
+        { key: 'idealToday', label: `Ideal (${unit})` },
+        { key: 'behindBy', label: `Behind ideal (${unit})` },
+        { key: 'loggedToDate', label: `${burnedLabel} (${unit})` },
+        { key: 'capacityToDate', label: 'Available so far (h)' },
+        { key: 'capacity', label: 'Sprint capacity (h)' },
+        { key: 'utilisation', label: 'Utilisation (%)' }
+      ],
+      rows: assigneeBreakdown || []
+    }
+  ];
 
   return (
     <GadgetWrapper
@@ -373,37 +490,98 @@ const BurndownGadget = () => {
       <div className="gadget-header">
         <div>
           <div className="gadget-title">Sprint Burndown Chart</div>
-          <div className="gadget-subtitle">{sprintName}</div>
+          <div className="gadget-subtitle">
+            <a
+              href={sprintLink}
+              target="_blank"
+              rel="noopener noreferrer"
+              onClick={openLink(sprintLink)}
+              title={sprintId ? 'Open the sprint report in Jira' : 'Open these sprints\' issues in Jira'}
+              style={{ color: 'inherit', textDecoration: 'none', cursor: 'pointer' }}
+            >
+              {sprintName}
+            </a>
+          </div>
         </div>
         <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
-          <select
-            className="select"
-            value={selectedMember}
-            onChange={(e) => setSelectedMember(e.target.value)}
-          >
-            <option value="All">All Team ({assignees?.length || 0})</option>
-            {assignees?.map(name => (
-              <option key={name} value={name}>{name}</option>
+          <ExportMenu
+            filename={exportFilename('Burndown', sprintName, assigneeFilterLabel(assigneeFilter, assignees))}
+            getSheets={getExportSheets}
+          />
+          <SprintPicker
+            boardId={config.boardId}
+            value={selectedSprintId}
+            onChange={setSelectedSprintId}
+          />
+          <AssigneeFilter
+            boardId={config.boardId}
+            members={assignees || []}
+            value={assigneeFilter}
+            onChange={setAssigneeFilter}
+          />
+          {isHours && <WorklogAttributionSelect value={worklogAttribution} onChange={setWorklogAttribution} />}
+          <div style={{ display: 'flex' }}>
+            {CHART_MODES.map((mode, i) => (
+              <button
+                key={mode.key}
+                onClick={() => setChartMode(mode.key)}
+                title={mode.title}
+                style={{
+                  background: chartMode === mode.key ? '#DEEBFF' : '#FAFBFC',
+                  border: '1px solid #DFE1E6',
+                  borderRadius: i === 0 ? '3px 0 0 3px' : i === CHART_MODES.length - 1 ? '0 3px 3px 0' : 0,
+                  marginLeft: i === 0 ? 0 : '-1px',
+                  padding: '4px 8px',
+                  cursor: 'pointer',
+                  fontSize: '11px',
+                  fontWeight: '500',
+                  color: chartMode === mode.key ? '#0052CC' : '#5E6C84',
+                  whiteSpace: 'nowrap'
+                }}
+              >
+                {mode.label}
+              </button>
             ))}
-          </select>
-          <button
-            onClick={handleResetBaseline}
-            disabled={resettingBaseline}
-            title="Reset baseline to recalculate with latest logic"
-            style={{
-              background: resettingBaseline ? '#F4F5F7' : '#FAFBFC',
-              border: '1px solid #DFE1E6',
-              borderRadius: '3px',
-              padding: '4px 8px',
-              cursor: resettingBaseline ? 'not-allowed' : 'pointer',
-              fontSize: '11px',
-              fontWeight: '500',
-              color: '#5E6C84',
-              whiteSpace: 'nowrap'
-            }}
-          >
-            {resettingBaseline ? '⟳ Resetting...' : '↺ Reset Baseline'}
-          </button>
+          </div>
+          {selectedSprintId !== ALL_ACTIVE_SPRINTS && (
+            <button
+              onClick={() => setShowRoster(!showRoster)}
+              title="Edit hours per day, focus factor and leave for this sprint"
+              style={{
+                background: showRoster ? '#DEEBFF' : '#FAFBFC',
+                border: '1px solid #DFE1E6',
+                borderRadius: '3px',
+                padding: '4px 8px',
+                cursor: 'pointer',
+                fontSize: '11px',
+                fontWeight: '500',
+                color: '#5E6C84',
+                whiteSpace: 'nowrap'
+              }}
+            >
+              👥 Capacity
+            </button>
+          )}
+          {sprintState === 'active' && (
+            <button
+              onClick={handleResetBaseline}
+              disabled={resettingBaseline}
+              title="Reset baseline to recalculate with latest logic"
+              style={{
+                background: resettingBaseline ? '#F4F5F7' : '#FAFBFC',
+                border: '1px solid #DFE1E6',
+                borderRadius: '3px',
+                padding: '4px 8px',
+                cursor: resettingBaseline ? 'not-allowed' : 'pointer',
+                fontSize: '11px',
+                fontWeight: '500',
+                color: '#5E6C84',
+                whiteSpace: 'nowrap'
+              }}
+            >
+              {resettingBaseline ? '⟳ Resetting...' : '↺ Reset Baseline'}
+            </button>
+          )}
         </div>
       </div>
 
@@ -422,6 +600,16 @@ const BurndownGadget = () => {
         </div>
       )}
 
+      {/* Capacity Roster */}
+      {showRoster && selectedSprintId !== ALL_ACTIVE_SPRINTS && (
+        <CapacityRosterEditor
+          boardId={config.boardId}
+          sprintId={selectedSprintId || undefined}
+          onClose={() => setShowRoster(false)}
+          onSaved={() => { setShowRoster(false); loadData(); }}
+        />
+      )}
+
       {/* Metrics Summary */}
       <div style={{
         display: 'grid',
@@ -440,22 +628,30 @@ const BurndownGadget = () => {
         <div className="metric-card">
           <div className="metric-label">Original Estimate</div>
           <div className="metric-value">
-            {totalOriginalEstimate != null ? `${totalOriginalEstimate}h` : '0h'}
+            {formatInUnit(totalOriginalEstimate ?? 0, unit)}
           </div>
         </div>
 
         <div className="metric-card">
           <div className="metric-label">Remaining</div>
           <div className="metric-value">
-            {currentRemaining != null ? `${currentRemaining}h` : '0h'}
+            {formatInUnit(currentRemaining ?? 0, unit)}
           </div>
         </div>
 
         <div className="metric-card">
-          <div className="metric-label">Time Logged</div>
+          <div className="metric-label">{burnedLabel}</div>
           <div className="metric-value">
-            {totalSpent != null ? `${totalSpent}h` : '0h'}
+            {formatInUnit(totalSpent ?? 0, unit)}
           </div>
+          {carriedInSpent > 0 && (
+            <div
+              style={{ fontSize: '11px', color: '#6B778C' }}
+              title="Logged before the issue was in the sprint: lowers remaining, not counted as burned"
+            >
+              +{carriedInSpent}h carried in
+            </div>
+          )}
         </div>
 
         {(scopeAddedTotal > 0 || scopeRemovedTotal > 0) && (
@@ -464,12 +660,12 @@ const BurndownGadget = () => {
             <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
               {scopeAddedTotal > 0 && (
                 <span className="metric-value" style={{ fontSize: '14px' }}>
-                  +{scopeAddedTotal}h ({addedIssuesCount})
+                  +{formatInUnit(scopeAddedTotal, unit)} ({addedIssuesCount})
                 </span>
               )}
               {scopeRemovedTotal > 0 && (
                 <span className="metric-value" style={{ fontSize: '14px', color: '#AE2A19' }}>
-                  -{scopeRemovedTotal}h ({removedIssuesCount})
+                  -{formatInUnit(scopeRemovedTotal, unit)} ({removedIssuesCount})
                 </span>
               )}
             </div>
@@ -485,7 +681,7 @@ const BurndownGadget = () => {
           {formatSprintDate(sprintStartDate)} — {formatSprintDate(sprintEndDate)}
         </span>
         <span className="capacity-formula">
-          ({workingDays} working days{selectedMember === 'All' ? `, ${teamSize} members` : ''})
+          ({workingDays} working days{holidays?.length > 0 ? `, ${holidays.length} holiday${holidays.length > 1 ? 's' : ''} excluded` : ''}{!isAssigneeFilterActive(assigneeFilter) ? `, ${teamSize} members` : ''})
         </span>
       </div>
 
@@ -495,15 +691,29 @@ const BurndownGadget = () => {
         <div className="capacity-line"></div>
         <span className="capacity-value">{maxCapacity}h</span>
         <span className="capacity-formula">
-          ({workingDays} days × 8h × {teamSize}{selectedMember !== 'All' ? ' person' : ' members'})
+          {capacity?.source === 'combined'
+            ? `(${sprints.map(s => `${s.sprintName} ${s.maxCapacity}h`).join(' + ')})`
+            : capacity?.source === 'roster'
+              ? `(roster: ${capacity.members.map(m => `${m.assignee} ${m.availableHours}h`).join(', ')})`
+              : `(${workingDays} days × ${capacity?.hoursPerDay ?? 8}h × ${teamSize}${teamSize === 1 ? ' person' : ' members'})`}
         </span>
       </div>
 
       {/* Chart */}
+      {chartMode === 'people' ? (
+        <AssigneeBreakdown
+          members={assigneeBreakdown}
+          unit={unit}
+          onSelect={(accountId) => {
+            setAssigneeFilter({ ...EMPTY_ASSIGNEE_FILTER, assignees: [accountId] });
+            setChartMode('burndown');
+          }}
+        />
+      ) : chartMode === 'burnup' ? (
       <div className="chart-container" style={{ height: '350px', marginTop: '20px' }}>
         <ResponsiveContainer width="100%" height="100%">
           <ComposedChart
-            data={dataPoints}
+            data={burnup.points}
             margin={{ top: 10, right: 30, left: 10, bottom: 10 }}
           >
             <CartesianGrid strokeDasharray="3 3" stroke="#f4f5f7" />
@@ -516,7 +726,68 @@ const BurndownGadget = () => {
               tick={{ fontSize: 11, fill: '#6b778c' }}
               axisLine={{ stroke: '#dfe1e6' }}
               label={{
-                value: 'Hours',
+                value: ESTIMATION_STAT_LABELS[estimationStat] || 'Hours',
+                angle: -90,
+                position: 'insideLeft',
+                style: { fontSize: 12, fill: '#6b778c' }
+              }}
+            />
+            <Tooltip content={<CustomTooltip />} />
+            <Legend content={renderLegend} />
+
+            {/* Total Scope (steps with scope changes) */}
+            <Line
+              type="stepAfter"
+              dataKey="scope"
+              name="Total Scope"
+              stroke="#FFAB00"
+              strokeWidth={2}
+              dot={false}
+              connectNulls={true}
+            />
+
+            {/* Completed Work */}
+            <Line
+              type="monotone"
+              dataKey="done"
+              name="Completed"
+              stroke="#36B37E"
+              strokeWidth={2.5}
+              dot={{ fill: '#36B37E', r: 3, strokeWidth: 0 }}
+              activeDot={{ fill: '#36B37E', r: 5, strokeWidth: 2, stroke: '#fff' }}
+            />
+
+            {/* Projection at the current pace (dashed) */}
+            <Line
+              type="linear"
+              dataKey="projected"
+              name="Projected"
+              stroke="#8777D9"
+              strokeWidth={1.5}
+              strokeDasharray="5 5"
+              dot={false}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      ) : (
+      <div className="chart-container" style={{ height: '350px', marginTop: '20px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart
+            data={chartData}
+            margin={{ top: 10, right: 30, left: 10, bottom: 10 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#f4f5f7" />
+            <XAxis
+              dataKey="displayDate"
+              tick={{ fontSize: 11, fill: '#6b778c' }}
+              axisLine={{ stroke: '#dfe1e6' }}
+            />
+            <YAxis
+              tick={{ fontSize: 11, fill: '#6b778c' }}
+              axisLine={{ stroke: '#dfe1e6' }}
+              label={{
+                value: ESTIMATION_STAT_LABELS[estimationStat] || 'Hours',
                 angle: -90,
                 position: 'insideLeft',
                 style: { fontSize: 12, fill: '#6b778c' }
@@ -553,6 +824,16 @@ const BurndownGadget = () => {
               radius={[2, 2, 2, 2]}
             />
 
+            {/* Re-estimation (Bar, original estimate changes; hours only) */}
+            {isHours && (
+              <Bar
+                dataKey="reestimated"
+                fill="#B3D4FF"
+                name="Re-estimated"
+                radius={[2, 2, 2, 2]}
+              />
+            )}
+
             {/* Remaining Estimate (Line) */}
             <Line
               type="monotone"
@@ -584,15 +865,100 @@ const BurndownGadget = () => {
               strokeWidth={1.5}
               dot={{ fill: '#79E2F2', r: 2 }}
               strokeDasharray="5 5"
-              name="Time Logged"
+              name={burnedLabel}
               connectNulls={true}
             />
+
+            {/* Forecast: confidence band (shaded) and projection at the average burn (dashed) */}
+            {forecast?.confidence && (
+              <Area
+                type="monotone"
+                dataKey="forecastRange"
+                name={`Forecast (${forecast.confidence.level}% band)`}
+                fill="#C0B6F2"
+                fillOpacity={0.35}
+                stroke="none"
+                activeDot={false}
+              />
+            )}
+            {forecast?.projectedDate && (
+              <Line
+                type="linear"
+                dataKey="forecast"
+                name="Forecast"
+                stroke="#6554C0"
+                strokeWidth={2}
+                strokeDasharray="6 4"
+                dot={false}
+              />
+            )}
           </ComposedChart>
         </ResponsiveContainer>
       </div>
+      )}
+
+      {/* Forecast (burndown) */}
+      {chartMode === 'burndown' && forecast && (
+        <div style={{
+          marginTop: '12px',
+          padding: '8px 12px',
+          background: forecast.onTrack ? '#E3FCEF' : '#FFF4E5',
+          border: `1px solid ${forecast.onTrack ? '#ABF5D1' : '#FFE2BD'}`,
+          borderRadius: '3px',
+          fontSize: '12px',
+          color: '#42526E'
+        }}>
+          {forecast.projectedDate ? (
+            <div>
+              Forecast: remaining reaches zero on <b>{formatSprintDate(`${forecast.projectedDate}T12:00:00`)}</b>
+              {forecast.onTrack ? ' — on track' : ' — after the sprint end'}
+              {forecast.confidence?.earliestDate && (
+                <span style={{ color: '#6b778c' }}>
+                  {' '}({forecast.confidence.level}%: {formatSprintDate(`${forecast.confidence.earliestDate}T12:00:00`)}
+                  {' – '}
+                  {forecast.confidence.latestDate
+                    ? formatSprintDate(`${forecast.confidence.latestDate}T12:00:00`)
+                    : 'not in sight'})
+                </span>
+              )}
+            </div>
+          ) : (
+            <div>Forecast: no burn in the last {forecast.windowDays} working days, no completion date in sight</div>
+          )}
+          <div style={{ marginTop: '4px' }}>
+            Average burn {formatInUnit(forecast.averageBurn, unit)}/day (last {forecast.windowDays} working days)
+            {' · '}
+            Needed to finish on time: <b>{formatInUnit(forecast.requiredDailyBurn, unit)}/day</b>
+            {' '}over {forecast.daysLeftInSprint} working day{forecast.daysLeftInSprint === 1 ? '' : 's'} left
+          </div>
+        </div>
+      )}
+
+      {/* Projected Completion (burnup) */}
+      {chartMode === 'burnup' && (
+        <div style={{
+          marginTop: '12px',
+          padding: '8px 12px',
+          background: projectedLate ? '#FFF4E5' : '#E3FCEF',
+          border: `1px solid ${projectedLate ? '#FFE2BD' : '#ABF5D1'}`,
+          borderRadius: '3px',
+          fontSize: '12px',
+          color: '#42526E'
+        }}>
+          {burnup.projectedDate ? (
+            <>
+              Projected completion: <b>{formatSprintDate(`${burnup.projectedDate}T12:00:00`)}</b>
+              {' '}at {formatInUnit(burnup.pace, unit)}/working day
+              {projectedLate ? ' — after the sprint end' : ' — within the sprint'}
+            </>
+          ) : (
+            'Projected completion: not enough completed work yet to project a date'
+          )}
+        </div>
+      )}
 
       {/* Info Box - Scope Changes */}
-      {(addedIssuesCount > 0 || removedIssuesCount > 0) && (
+      {(addedIssuesCount > 0 || removedIssuesCount > 0 || scopeReestimatedTotal) && (
         <div style={{
           marginTop: '16px',
           padding: '8px 12px',
@@ -605,14 +971,19 @@ const BurndownGadget = () => {
           <span style={{ fontWeight: '500' }}>Scope Changes:</span>
           {addedIssuesCount > 0 && (
             <span style={{ marginLeft: '8px' }}>
-              +{addedIssuesCount} added ({scopeAddedTotal}h)
+              +{addedIssuesCount} added ({formatInUnit(scopeAddedTotal, unit)})
             </span>
           )}
           {removedIssuesCount > 0 && (
             <span style={{ marginLeft: '8px', color: '#AE2A19' }}>
-              -{removedIssuesCount} removed ({scopeRemovedTotal}h)
+              -{removedIssuesCount} removed ({formatInUnit(scopeRemovedTotal, unit)})
             </span>
           )}
+          {scopeReestimatedTotal ? (
+            <span style={{ marginLeft: '8px', color: '#0747A6' }}>
+              {scopeReestimatedTotal > 0 ? '+' : ''}{formatInUnit(scopeReestimatedTotal, unit)} re-estimated
+            </span>
+          ) : null}
         </div>
       )}
 
@@ -655,16 +1026,45 @@ const BurndownGadget = () => {
 
             <div style={{ fontWeight: '600', color: '#0065FF', marginTop: '8px' }}>── Capacity ──</div>
             <div>workingDays = {workingDays}</div>
+            <div>holidays = [{holidays?.join(', ')}]</div>
             <div>teamSize = {teamSize}</div>
-            <div>maxCapacity = {workingDays} × 8 × {teamSize} = <b>{maxCapacity}h</b></div>
+            {capacity?.source === 'combined' ? (
+              <>
+                <div>capacitySource = combined ({sprints.length} active sprints)</div>
+                {sprints.map(s => (
+                  <div key={s.sprintId}>
+                    {s.sprintName}: capacity <b>{s.maxCapacity}h</b> ({s.capacitySource}), remaining {s.currentRemaining}h
+                  </div>
+                ))}
+                <div>maxCapacity = <b>{maxCapacity}h</b></div>
+              </>
+            ) : capacity?.source === 'roster' ? (
+              <>
+                <div>capacitySource = roster ({capacity.members.length} members)</div>
+                {capacity.members.map(m => (
+                  <div key={m.assignee}>
+                    {m.assignee}: {m.hoursPerDay}h × {Math.round(m.focusFactor * 100)}% − {m.leaveDays} leave day(s) = <b>{m.availableHours}h</b>
+                  </div>
+                ))}
+                <div>maxCapacity = <b>{maxCapacity}h</b></div>
+              </>
+            ) : (
+              <div>maxCapacity = {workingDays} × {capacity?.hoursPerDay ?? 8} × {teamSize} = <b>{maxCapacity}h</b></div>
+            )}
 
             <div style={{ fontWeight: '600', color: '#0065FF', marginTop: '8px' }}>── Ideal Line ──</div>
-            <div>startValue = maxCapacity = <b>{maxCapacity}h</b></div>
+            <div>estimationStat = <b>{estimationStat || 'hours'}</b></div>
+            {isHours ? (
+              <div>startValue = maxCapacity = <b>{maxCapacity}h</b></div>
+            ) : (
+              <div>startValue = start scope (<b>{formatInUnit(dataPoints[0]?.ideal, unit)}</b>), burned at the pace capacity is consumed</div>
+            )}
             <div>dailyDecrease = {maxCapacity} / {workingDays} = <b>{dailyDecrease.toFixed(2)}h/day</b></div>
             <div>endValue = 0h (at last working day)</div>
 
             <div style={{ fontWeight: '600', color: '#0065FF', marginTop: '8px' }}>── Baseline ──</div>
             <div>baselineIssueCount = <b>{baselineIssueCount}</b> (excluding Done tasks)</div>
+            <div>recordedDays = <b>{recordedDays || 0}</b> (from daily snapshots, other days reconstructed)</div>
             <div>totalOriginalEstimate (from baseline) = <b>{totalOriginalEstimate}h</b></div>
 
             <div style={{ fontWeight: '600', color: '#0065FF', marginTop: '8px' }}>── Estimates ──</div>
@@ -673,18 +1073,29 @@ const BurndownGadget = () => {
             <div>totalSpent (Jira field) = <b>{totalSpent}h</b></div>
 
             <div style={{ fontWeight: '600', color: '#0065FF', marginTop: '8px' }}>── Remaining Calculation ──</div>
-            <div>Formula: Remaining[N] = CurrentOE[N] - CumulativeLogged[N]</div>
-            <div>Where: CurrentOE[N] = baselineOE + cumAdded[N] - cumRemoved[N]</div>
-            <div>baselineOE = {totalOriginalEstimate} - {scopeAddedTotal || 0} + {scopeRemovedTotal || 0} = <b>{(totalOriginalEstimate - (scopeAddedTotal || 0) + (scopeRemovedTotal || 0)).toFixed(1)}h</b></div>
+            <div>Formula: Remaining[N] = CurrentOE[N] - CumulativeCarriedIn[N] - CumulativeLogged[N]</div>
+            <div>Where: CurrentOE[N] = baselineOE + cumAdded[N] - cumRemoved[N] + cumReestimated[N]</div>
+            <div>baselineOE = {totalOriginalEstimate} - {scopeAddedTotal || 0} + {scopeRemovedTotal || 0} - {data.originalEstimateChangedTotal || 0} = <b>{(data.baselineOriginalEstimate || 0).toFixed(1)}h</b></div>
             <div>Source: Worklogs fetched via /rest/api/3/issue/KEY/worklog API</div>
+            <div>Worklogs burn only while the issue is in the sprint (from sprint start or the day it was added)</div>
+
+            <div style={{ fontWeight: '600', color: '#0065FF', marginTop: '8px' }}>── Carried In ──</div>
+            <div>carriedInSpent = <b>{carriedInSpent || 0}h</b> (logged before the issue was in the sprint)</div>
+            {carriedInIssues?.map(ci => (
+              <div key={ci.key}>
+                {ci.key}: {ci.hours}h before {ci.joinedDate ? `added ${ci.joinedDate}` : 'sprint start'}
+              </div>
+            ))}
 
             <div style={{ fontWeight: '600', color: '#0065FF', marginTop: '8px' }}>── Scope Changes ──</div>
             <div>scopeAdded = +{scopeAddedTotal}h ({addedIssuesCount} tasks)</div>
             <div>scopeRemoved = -{scopeRemovedTotal}h ({removedIssuesCount} tasks)</div>
+            <div>scopeReestimated = {scopeReestimatedTotal || 0}h (remaining estimate changes, not worklogs)</div>
+            <div>originalEstimateChanged = {data.originalEstimateChangedTotal || 0}h (only used for baselineOE)</div>
 
             <div style={{ fontWeight: '600', color: '#0065FF', marginTop: '8px' }}>── Member Filter ──</div>
-            <div>selectedMember = "{selectedMember}"</div>
-            <div>assignees = [{assignees?.join(', ')}]</div>
+            <div>assigneeFilter = {JSON.stringify(assigneeFilter)}</div>
+            <div>assignees = [{assignees?.map(a => a.displayName).join(', ')}]</div>
 
             <div style={{ fontWeight: '600', color: '#0065FF', marginTop: '8px' }}>── Sprint ──</div>
             <div>sprintName = {sprintName}</div>
@@ -702,6 +1113,7 @@ const BurndownGadget = () => {
                   <th style={{ padding: '2px 4px', textAlign: 'right', border: '1px solid #C1C7D0' }}>CumLog</th>
                   <th style={{ padding: '2px 4px', textAlign: 'right', border: '1px solid #C1C7D0' }}>Added</th>
                   <th style={{ padding: '2px 4px', textAlign: 'right', border: '1px solid #C1C7D0' }}>Removed</th>
+                  <th style={{ padding: '2px 4px', textAlign: 'right', border: '1px solid #C1C7D0' }}>Carried</th>
                 </tr>
               </thead>
               <tbody>
@@ -714,6 +1126,7 @@ const BurndownGadget = () => {
                     <td style={{ padding: '2px 4px', textAlign: 'right', border: '1px solid #C1C7D0', color: '#00B8D9' }}>{dp.cumulativeLogged ?? dp.timeLogged ?? '-'}</td>
                     <td style={{ padding: '2px 4px', textAlign: 'right', border: '1px solid #C1C7D0', color: '#FF991F' }}>{dp.added || '-'}</td>
                     <td style={{ padding: '2px 4px', textAlign: 'right', border: '1px solid #C1C7D0', color: '#DE350B' }}>{dp.removed || '-'}</td>
+                    <td style={{ padding: '2px 4px', textAlign: 'right', border: '1px solid #C1C7D0', color: '#6B778C' }}>{dp.carriedIn || '-'}</td>
                   </tr>
                 ))}
               </tbody>
@@ -737,8 +1150,8 @@ const BurndownGadget = () => {
                   </thead>
                   <tbody>
                     {issueDetails.map((issue, i) => {
-                      const statusColor = issue.status?.toLowerCase().includes('done') ? '#36B37E'
-                        : issue.status?.toLowerCase().includes('progress') ? '#0065FF'
+                      const statusColor = issue.statusCategory === 'done' ? '#36B37E'
+                        : issue.statusCategory === 'indeterminate' ? '#0065FF'
                         : '#42526E';
                       const isSkipped = issue.skippedInTotal;
                       const rowStyle = isSkipped
@@ -748,10 +1161,10 @@ const BurndownGadget = () => {
                         <tr key={i} style={rowStyle}>
                           <td style={{ padding: '3px 4px', border: '1px solid #C1C7D0' }}>
                             <a
-                              href={`/browse/${issue.key}`}
+                              href={issueUrl(siteUrl, issue.key)}
                               target="_blank"
                               rel="noopener noreferrer"
-                              onClick={(e) => { e.preventDefault(); router.open(`/browse/${issue.key}`); }}
+                              onClick={openLink(issueUrl(siteUrl, issue.key))}
                               style={{ color: '#0065FF', textDecoration: 'none', fontWeight: '600', cursor: 'pointer' }}
                             >
                               {issue.key}
@@ -0,0 +1,224 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { invoke } from '@forge/bridge';
+
+/**
+ * CapacityRosterEditor component
+ * Edits a sprint's capacity roster used by the burndown (active sprint by default):
+ * - Hours per day and focus factor per assignee
+ * - Planned leave dates (excluded from that person's capacity)
+ * - Unticked members are left out of the team capacity
+ */
+const CapacityRosterEditor = ({ boardId, sprintId, onSaved, onClose }) => {
+  const [sprint, setSprint] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [leaveInput, setLeaveInput] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadRoster = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await invoke('getCapacityRoster', { boardId, sprintId });
+      if (!result.success) {
+        setError(result.error || 'Failed to load capacity roster');
+        return;
+      }
+      const { members, assignees, defaultHoursPerDay } = result.data;
+      const hasRoster = members.length > 0;
+      // Rosters saved before accountIds were stored match people by display name
+      const findMember = (a) => members.find(m => (m.accountId ? m.accountId === a.accountId : m.assignee === a.displayName));
+      const matched = new Set();
+      const people = assignees.map(a => {
+        const member = findMember(a);
+        if (member) matched.add(member);
+        return { accountId: a.accountId, assignee: a.displayName, member };
+      });
+      members
+        .filter(m => !matched.has(m))
+        .forEach(m => people.push({ accountId: m.accountId, assignee: m.assignee, member: m }));
+      setSprint(result.data);
+      setRows(people.map(({ accountId, assignee, member }) => {
+        return {
+          id: accountId || assignee,
+          accountId: accountId || null,
+          assignee,
+          included: hasRoster ? !!member : true,
+          hoursPerDay: member?.hoursPerDay ?? defaultHoursPerDay,
+          focusFactor: member?.focusFactor ?? 1,
+          leaveDates: member?.leaveDates || []
+        };
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [boardId, sprintId]);
+
+  useEffect(() => {
+    loadRoster();
+  }, [loadRoster]);
+
+  const updateRow = (id, changes) => {
+    setRows(prev => prev.map(r => (r.id === id ? { ...r, ...changes } : r)));
+  };
+
+  const addLeave = (row) => {
+    const date = leaveInput[row.id];
+    if (!date || row.leaveDates.includes(date)) return;
+    updateRow(row.id, { leaveDates: [...row.leaveDates, date].sort() });
+    setLeaveInput(prev => ({ ...prev, [row.id]: '' }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const members = rows
+        .filter(r => r.included)
+        .map(({ accountId, assignee, hoursPerDay, focusFactor, leaveDates }) => ({
+          accountId, assignee, hoursPerDay, focusFactor, leaveDates
+        }));
+      const result = await invoke('saveCapacityRoster', { boardId, sprintId: sprint.sprintId, members });
+      if (result.success) {
+        if (onSaved) onSaved(result.data);
+      } else {
+        setError(result.error || 'Failed to save capacity roster');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const cellInputStyle = {
+    width: '56px',
+    padding: '3px 4px',
+    border: '1px solid #DFE1E6',
+    borderRadius: '3px',
+    fontSize: '11px'
+  };
+
+  return (
+    <div style={{
+      marginTop: '8px',
+      marginBottom: '8px',
+      padding: '12px',
+      background: '#FAFBFC',
+      border: '1px solid #DFE1E6',
+      borderRadius: '3px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <div style={{ fontSize: '12px', fontWeight: '600', color: '#172B4D' }}>
+          Capacity Roster{sprint ? ` — ${sprint.sprintName}` : ''}
+        </div>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#6b778c' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {error && <div className="error" style={{ margin: '0 0 8px' }}>{error}</div>}
+
+      {loading ? (
+        <p style={{ fontSize: '12px', color: '#6b778c' }}>Loading roster...</p>
+      ) : (
+        <>
+          <table className="table">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Member</th>
+                <th style={{ textAlign: 'right' }}>h/day</th>
+                <th style={{ textAlign: 'right' }}>Focus</th>
+                <th>Leave</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.id} style={{ opacity: row.included ? 1 : 0.5 }}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={row.included}
+                      onChange={(e) => updateRow(row.id, { included: e.target.checked })}
+                    />
+                  </td>
+                  <td style={{ fontSize: '11px' }}>{row.assignee}</td>
+                  <td style={{ textAlign: 'right' }}>
+                    <input
+                      type="number"
+                      min="0"
+                      max="24"
+                      step="0.5"
+                      value={row.hoursPerDay}
+                      onChange={(e) => updateRow(row.id, { hoursPerDay: parseFloat(e.target.value) || 0 })}
+                      style={cellInputStyle}
+                    />
+                  </td>
+                  <td style={{ textAlign: 'right' }}>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="5"
+                      value={Math.round(row.focusFactor * 100)}
+                      onChange={(e) => updateRow(row.id, {
+                        focusFactor: Math.min(100, Math.max(0, parseInt(e.target.value) || 0)) / 100
+                      })}
+                      style={cellInputStyle}
+                    />%
+                  </td>
+                  <td>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', alignItems: 'center' }}>
+                      {row.leaveDates.map(date => (
+                        <span key={date} className="badge" style={{ background: '#EAE6FF', color: '#403294' }}>
+                          {date}
+                          <span
+                            onClick={() => updateRow(row.id, { leaveDates: row.leaveDates.filter(d => d !== date) })}
+                            style={{ marginLeft: '4px', cursor: 'pointer' }}
+                          >
+                            ✕
+                          </span>
+                        </span>
+                      ))}
+                      <input
+                        type="date"
+                        min={sprint?.sprintStartDate?.split('T')[0]}
+                        max={sprint?.sprintEndDate?.split('T')[0]}
+                        value={leaveInput[row.id] || ''}
+                        onChange={(e) => setLeaveInput(prev => ({ ...prev, [row.id]: e.target.value }))}
+                        style={{ ...cellInputStyle, width: '120px' }}
+                      />
+                      <button
+                        className="btn btn-secondary"
+                        style={{ padding: '2px 6px', fontSize: '11px' }}
+                        onClick={() => addLeave(row)}
+                        disabled={!leaveInput[row.id]}
+                      >
+                        +
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '8px' }}>
+            <button className="btn btn-secondary" onClick={onClose} disabled={saving}>Cancel</button>
+            <button className="btn btn-primary" onClick={handleSave} disabled={saving || !sprint}>
+              {saving ? 'Saving...' : 'Save Roster'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CapacityRosterEditor;
@@ -1,14 +1,35 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { invoke, router } from '@forge/bridge';
+import { invoke } from '@forge/bridge';
 import GadgetWrapper from './GadgetWrapper';
+import SprintPicker from './SprintPicker';
+import AssigneeFilter, { EMPTY_ASSIGNEE_FILTER, assigneeFilterLabel, assigneeFilterPayload } from './AssigneeFilter';
+import { issueUrl, JqlLink, openLink, useSiteUrl } from './jiraLinks';
+import ExportMenu, { exportFilename } from './ExportMenu';
+import StatusBadge from './StatusBadge';
 
+const TABS = [
+  { id: 'added', label: 'Added' },
+  { id: 'removed', label: 'Removed' },
+  { id: 'priority', label: 'Priority Changed' }
+];
 
+// Escalations in red (more urgent), de-escalations in blue
+const DIRECTION_STYLES = {
+  ESCALATED: { symbol: '▲', color: '#AE2A19', background: '#FFEBE6', label: 'Escalated' },
+  DEESCALATED: { symbol: '▼', color: '#0747A6', background: '#DEEBFF', label: 'De-escalated' },
+  CHANGED: { symbol: '●', color: '#5E6C84', background: '#F4F5F7', label: 'Changed' }
+};
 
 const ChangesGadget = () => {
   const [data, setData] = useState(null);
+  const [estimateChanges, setEstimateChanges] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [config, setConfig] = useState({ boardId: null });
+  const siteUrl = useSiteUrl(config.boardId);
+  const [selectedSprintId, setSelectedSprintId] = useState('');
+  const [assigneeFilter, setAssigneeFilter] = useState(EMPTY_ASSIGNEE_FILTER);
+  const [activeTab, setActiveTab] = useState('added');
 
   const loadConfig = useCallback(async () => {
     try {
@@ -31,12 +52,19 @@ const ChangesGadget = () => {
     setError(null);
 
     try {
-      const result = await invoke('getScopeChanges', {
-        boardId: config.boardId
-      });
+      const payload = {
+        boardId: config.boardId,
+        sprintId: selectedSprintId || undefined,
+        ...assigneeFilterPayload(assigneeFilter)
+      };
+      const [result, estimateResult] = await Promise.all([
+        invoke('getScopeChanges', payload),
+        invoke('getEstimateChanges', payload)
+      ]);
 
       if (result.success) {
         setData(result.data);
+        setEstimateChanges(estimateResult.success ? estimateResult.data : null);
       } else {
         setError(result.error);
       }
@@ -45,7 +73,7 @@ const ChangesGadget = () => {
     } finally {
       setLoading(false);
     }
-  }, [config.boardId]);
+  }, [config.boardId, selectedSprintId, assigneeFilter]);
 
   useEffect(() => {
     loadConfig();
@@ -70,6 +98,11 @@ const ChangesGadget = () => {
     }
   };
 
+  const formatDelta = (hours) => {
+    if (!hours) return '-';
+    return `${hours > 0 ? '+' : ''}${hours}h`;
+  };
+
   const formatChangeDate = (dateStr) => {
     if (!dateStr) return '';
     const d = new Date(dateStr);
@@ -103,20 +136,94 @@ const ChangesGadget = () => {
 
   if (!data) return null;
 
-  const { added, removed, priorityChanged, totalAdded, totalRemoved, totalPriorityChanged, sprintName } = data;
+  const { added, removed, priorityChanged, totalAdded, totalRemoved, totalPriorityChanged, jql, sprintName } = data;
+
+  const scopeColumns = [
+    { key: 'key', label: 'Key' },
+    { key: 'summary', label: 'Summary' },
+    { key: 'assignee', label: 'Assignee' },
+    { key: 'priority', label: 'Priority' },
+    { key: 'status', label: 'Status' },
+    { key: 'changeDate', label: 'Date' },
+    { key: 'originalEstimate', label: 'Original estimate (h)' },
+    { key: 'remainingEstimate', label: 'Remaining (h)' }
+  ];
+  const getExportSheets = () => [
+    { name: 'Added', columns: scopeColumns, rows: added },
+    { name: 'Removed', columns: scopeColumns, rows: removed },
+    {
+      name: 'Priority',
+      columns: [
+        { key: 'key', label: 'Key' },
+        { key: 'summary', label: 'Summary' },
+        { key: 'assignee', label: 'Assignee' },
+        { key: 'fromPriority', label: 'From priority' },
+        { key: 'toPriority', label: 'To priority' },
+        { key: 'direction', label: 'Direction' },
+        { key: 'changedBy', label: 'Changed by' },
+        { key: 'changeDate', label: 'Date' }
+      ],
+      rows: priorityChanged || []
+    },
+    {
+      name: 'Estimates',
+      columns: [
+        { key: 'key', label: 'Key' },
+        { key: 'summary', label: 'Summary' },
+        { key: 'assignee', label: 'Assignee' },
+        { key: 'status', label: 'Status' },
+        { key: 'originalEstimate', label: 'Original estimate (h)' },
+        { key: 'originalDelta', label: 'Original estimate change (h)' },
+        { key: 'remainingEstimate', label: 'Remaining (h)' },
+        { key: 'remainingDelta', label: 'Remaining change (h)' },
+        { key: 'changedBy', label: 'Changed by' },
+        { key: 'lastChangeDate', label: 'Last change' }
+      ],
+      rows: (estimateChanges?.issues || []).map(item => ({ ...item, changedBy: item.changedBy.join(', ') }))
+    }
+  ];
   const totalChanges = totalAdded + totalRemoved + totalPriorityChanged;
 
-  // Combine all changes for display
-  const allChanges = [
-    ...added.map(item => ({ ...item, changeType: 'ADDED' })),
-    ...removed.map(item => ({ ...item, changeType: 'REMOVED' })),
-    ...priorityChanged.map(item => ({ ...item, changeType: 'PRIORITY' }))
-  ].sort((a, b) => {
+  const tabCounts = { added: totalAdded, removed: totalRemoved, priority: totalPriorityChanged };
+
+  // Changes of the active tab, newest first
+  const tabItems = {
+    added: added.map(item => ({ ...item, changeType: 'ADDED' })),
+    removed: removed.map(item => ({ ...item, changeType: 'REMOVED' })),
+    priority: priorityChanged.map(item => ({ ...item, changeType: 'PRIORITY' }))
+  };
+  const allChanges = tabItems[activeTab].sort((a, b) => {
     const dateA = a.changeDate ? new Date(a.changeDate) : new Date(0);
     const dateB = b.changeDate ? new Date(b.changeDate) : new Date(0);
     return dateB - dateA;
   });
 
+  const renderIssueCell = (item) => (
+    <td>
+      <a
+        href={issueUrl(siteUrl, item.key)}
+        target="_blank"
+        rel="noopener noreferrer"
+        onClick={openLink(issueUrl(siteUrl, item.key))}
+        className="issue-key"
+        style={{ cursor: 'pointer' }}
+      >
+        {item.key}
+      </a>
+      <div style={{
+        fontSize: '11px',
+        color: '#6b778c',
+        maxWidth: '180px',
+        overflow: 'hidden',
+        textOverflow: 'ellipsis',
+        whiteSpace: 'nowrap'
+      }}>
+        {item.summary}
+      </div>
+      {item.status && <StatusBadge status={item.status} statusCategory={item.statusCategory} />}
+    </td>
+  );
+
   return (
     <GadgetWrapper 
       gadgetTitle="Scope Changes"
@@ -129,29 +236,109 @@ const ChangesGadget = () => {
           <div className="gadget-title">Scope Changes</div>
           <div className="gadget-subtitle">{sprintName}</div>
         </div>
-        <span className="count-badge">{totalChanges} changes</span>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <ExportMenu filename={exportFilename('Scope Changes', sprintName, assigneeFilterLabel(assigneeFilter))} getSheets={getExportSheets} />
+          <AssigneeFilter boardId={config.boardId} value={assigneeFilter} onChange={setAssigneeFilter} />
+          <SprintPicker
+            boardId={config.boardId}
+            value={selectedSprintId}
+            onChange={setSelectedSprintId}
+          />
+          <span className="count-badge">{totalChanges} changes</span>
+        </div>
       </div>
 
       {/* Summary */}
       <div style={{ display: 'flex', gap: '12px', marginBottom: '16px' }}>
         <div style={{ flex: 1, textAlign: 'center', padding: '10px', background: '#F1FBF5', border: '1px solid #C3E6CB', borderRadius: '4px', borderTop: '3px solid #57D9A3' }}>
-          <div style={{ fontSize: '18px', fontWeight: '600', color: '#006644' }}>+{totalAdded}</div>
+          <div style={{ fontSize: '18px', fontWeight: '600', color: '#006644' }}>
+            <JqlLink siteUrl={siteUrl} jql={jql?.added}>+{totalAdded}</JqlLink>
+          </div>
           <div style={{ fontSize: '10px', color: '#006644' }}>Added</div>
         </div>
         <div style={{ flex: 1, textAlign: 'center', padding: '10px', background: '#FFF5F5', border: '1px solid #FCDADA', borderRadius: '4px', borderTop: '3px solid #EF5C48' }}>
-          <div style={{ fontSize: '18px', fontWeight: '600', color: '#AE2A19' }}>-{totalRemoved}</div>
+          <div style={{ fontSize: '18px', fontWeight: '600', color: '#AE2A19' }}>
+            <JqlLink siteUrl={siteUrl} jql={jql?.removed}>-{totalRemoved}</JqlLink>
+          </div>
           <div style={{ fontSize: '10px', color: '#AE2A19' }}>Removed</div>
         </div>
         <div style={{ flex: 1, textAlign: 'center', padding: '10px', background: '#FFF8F0', border: '1px solid #FCE5C8', borderRadius: '4px', borderTop: '3px solid #F5A623' }}>
-          <div style={{ fontSize: '18px', fontWeight: '600', color: '#974F0C' }}>{totalPriorityChanged}</div>
+          <div style={{ fontSize: '18px', fontWeight: '600', color: '#974F0C' }}>
+            <JqlLink siteUrl={siteUrl} jql={jql?.priorityChanged}>{totalPriorityChanged}</JqlLink>
+          </div>
           <div style={{ fontSize: '10px', color: '#974F0C' }}>Priority</div>
         </div>
       </div>
 
+      {/* Tabs */}
+      <div style={{ display: 'flex', gap: '4px', borderBottom: '1px solid #DFE1E6', marginBottom: '12px' }}>
+        {TABS.map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            style={{
+              background: 'none',
+              border: 'none',
+              borderBottom: activeTab === tab.id ? '2px solid #0052CC' : '2px solid transparent',
+              padding: '6px 10px',
+              cursor: 'pointer',
+              fontSize: '12px',
+              fontWeight: activeTab === tab.id ? '600' : '500',
+              color: activeTab === tab.id ? '#0052CC' : '#5E6C84'
+            }}
+          >
+            {tab.label} ({tabCounts[tab.id]})
+          </button>
+        ))}
+      </div>
+
       {allChanges.length === 0 ? (
         <div className="empty-state">
           <div className="empty-state-icon">-</div>
-          <div className="empty-state-text">No scope changes detected</div>
+          <div className="empty-state-text">
+            {activeTab === 'priority' ? 'No priority changes detected' : 'No scope changes detected'}
+          </div>
+        </div>
+      ) : activeTab === 'priority' ? (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Work</th>
+                <th>Priority</th>
+                <th>Changed By</th>
+                <th>Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {allChanges.slice(0, 15).map((item, index) => {
+                const direction = DIRECTION_STYLES[item.direction] || DIRECTION_STYLES.CHANGED;
+                return (
+                  <tr key={`${item.key}-${index}`}>
+                    {renderIssueCell(item)}
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      <span
+                        className="badge"
+                        title={direction.label}
+                        style={{ background: direction.background, color: direction.color, fontWeight: '600' }}
+                      >
+                        {direction.symbol} {item.fromPriority} → {item.toPriority}
+                      </span>
+                    </td>
+                    <td style={{ fontSize: '11px' }}>{item.changedBy}</td>
+                    <td style={{ fontSize: '10px', color: '#6b778c', whiteSpace: 'nowrap' }}>
+                      {formatChangeDate(item.changeDate)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {allChanges.length > 15 && (
+            <p style={{ textAlign: 'center', fontSize: '11px', color: '#6b778c', marginTop: '8px' }}>
+              +{allChanges.length - 15} more changes
+            </p>
+          )}
         </div>
       ) : (
         <div style={{ overflowX: 'auto' }}>
@@ -169,28 +356,7 @@ const ChangesGadget = () => {
             <tbody>
               {allChanges.slice(0, 15).map((item, index) => (
                 <tr key={`${item.key}-${index}`}>
-                  <td>
-                    <a
-                      href={`/browse/${item.key}`}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      onClick={(e) => { e.preventDefault(); router.open(`/browse/${item.key}`); }}
-                      className="issue-key"
-                      style={{ cursor: 'pointer' }}
-                    >
-                      {item.key}
-                    </a>
-                    <div style={{
-                      fontSize: '11px',
-                      color: '#6b778c',
-                      maxWidth: '180px',
-                      overflow: 'hidden',
-                      textOverflow: 'ellipsis',
-                      whiteSpace: 'nowrap'
-                    }}>
-                      {item.summary}
-                    </div>
-                  </td>
+                  {renderIssueCell(item)}
                   <td style={{ fontSize: '11px' }}>{item.assignee}</td>
                   <td style={{ fontSize: '10px', color: '#6b778c', whiteSpace: 'nowrap' }}>
                     {formatChangeDate(item.changeDate)}
@@ -213,6 +379,69 @@ const ChangesGadget = () => {
           )}
         </div>
       )}
+
+      {/* Estimate Changes */}
+      {estimateChanges && (
+        <div style={{ marginTop: '16px', borderTop: '1px solid #EBECF0', paddingTop: '12px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '8px' }}>
+            <div style={{ fontSize: '12px', fontWeight: '600', color: '#172B4D' }}>Estimate changes</div>
+            <div style={{ fontSize: '11px', color: '#5E6C84' }}>
+              Net <b style={{ color: estimateChanges.totalReestimation > 0 ? '#AE2A19' : '#006644' }}>
+                {formatDelta(estimateChanges.totalReestimation)}
+              </b>
+              {' '}original estimate ({formatDelta(estimateChanges.totalIncrease)} / {formatDelta(estimateChanges.totalDecrease)})
+              {' · '}{estimateChanges.totalIssues} issues
+            </div>
+          </div>
+          {estimateChanges.issues.length === 0 ? (
+            <div style={{ fontSize: '11px', color: '#6b778c' }}>No re-estimations since sprint start</div>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Work</th>
+                    <th style={{ textAlign: 'right' }}>Original</th>
+                    <th style={{ textAlign: 'right' }}>Remaining</th>
+                    <th>Changed By</th>
+                    <th>Date</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {estimateChanges.issues.slice(0, 10).map(item => (
+                    <tr key={item.key}>
+                      {renderIssueCell(item)}
+                      <td
+                        style={{
+                          textAlign: 'right',
+                          fontSize: '11px',
+                          fontWeight: '600',
+                          color: item.originalDelta > 0 ? '#AE2A19' : item.originalDelta < 0 ? '#006644' : '#6b778c'
+                        }}
+                        title={`Now ${item.originalEstimate}h`}
+                      >
+                        {formatDelta(item.originalDelta)}
+                      </td>
+                      <td style={{ textAlign: 'right', fontSize: '11px', color: '#6b778c' }} title={`Now ${item.remainingEstimate}h`}>
+                        {formatDelta(item.remainingDelta)}
+                      </td>
+                      <td style={{ fontSize: '11px' }}>{item.changedBy.join(', ')}</td>
+                      <td style={{ fontSize: '10px', color: '#6b778c', whiteSpace: 'nowrap' }}>
+                        {formatChangeDate(item.lastChangeDate)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {estimateChanges.issues.length > 10 && (
+                <p style={{ textAlign: 'center', fontSize: '11px', color: '#6b778c', marginTop: '8px' }}>
+                  +{estimateChanges.issues.length - 10} more re-estimated issues
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
     </div>
     </GadgetWrapper>
   );
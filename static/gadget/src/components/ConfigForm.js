@@ -1,13 +1,19 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useState, useCallback } from 'react';
 import { invoke, view } from '@forge/bridge';
+import HolidayCalendarEditor from './HolidayCalendarEditor';
+import EstimationStatPicker from './EstimationStatPicker';
 
 const ConfigForm = () => {
   const [boards, setBoards] = useState([]);
   const [config, setConfig] = useState({
     boardId: '',
-    teamSize: 10,
-    workingDays: 10
+    teamSize: '',
+    workingDays: 10,
+    estimationStat: 'hours',
+    storyPointsField: ''
   });
+  // Board / global defaults from the settings page, for fields left empty here
+  const [defaults, setDefaults] = useState({ teamSize: 10, hoursPerDay: 8 });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
@@ -16,6 +22,14 @@ const ConfigForm = () => {
     loadData();
   }, []);
 
+  useEffect(() => {
+    invoke('getSettings', { boardId: config.boardId || null })
+      .then(result => {
+        if (result.success) setDefaults(result.data.effective);
+      })
+      .catch(err => console.error('[ConfigForm] Error loading defaults:', err));
+  }, [config.boardId]);
+
   const loadData = async () => {
     setLoading(true);
     setError(null);
@@ -29,10 +43,10 @@ const ConfigForm = () => {
         setError(boardsResult.error);
       }
 
-      // Load existing config
+      // Load existing config: only the gadget's own values, inherited ones stay empty
       const existingConfig = await invoke('getConfig');
       if (existingConfig?.boardId) {
-        setConfig(prev => ({ ...prev, ...existingConfig }));
+        setConfig(prev => ({ ...prev, ...(existingConfig.overrides || existingConfig) }));
       }
     } catch (err) {
       setError(err.message);
@@ -41,6 +55,10 @@ const ConfigForm = () => {
     }
   };
 
+  const handleEstimationChange = useCallback((changes) => {
+    setConfig(prev => ({ ...prev, ...changes }));
+  }, []);
+
   const handleSave = async () => {
     if (!config.boardId) {
       setError('Please select a board');
@@ -95,7 +113,8 @@ const ConfigForm = () => {
     );
   }
 
-  const maxCapacity = config.workingDays * 8 * config.teamSize;
+  const teamSize = config.teamSize || defaults.teamSize;
+  const maxCapacity = config.workingDays * defaults.hoursPerDay * teamSize;
 
   return (
     <div className="config-form">
@@ -133,13 +152,17 @@ const ConfigForm = () => {
         <input
           type="number"
           className="form-input"
-          value={config.teamSize}
-          onChange={(e) => setConfig(prev => ({ ...prev, teamSize: Math.max(1, parseInt(e.target.value) || 1) }))}
+          value={config.teamSize ?? ''}
+          placeholder={`Default: ${defaults.teamSize}`}
+          onChange={(e) => setConfig(prev => ({
+            ...prev,
+            teamSize: e.target.value === '' ? '' : Math.max(1, parseInt(e.target.value) || 1)
+          }))}
           min="1"
           max="50"
         />
         <p className="form-help">
-          Number of team members.
+          Number of team members. Leave empty to use the board default from Sprint Gadgets Settings.
         </p>
       </div>
 
@@ -158,13 +181,33 @@ const ConfigForm = () => {
         </p>
       </div>
 
+      <div className="form-group">
+        <label className="form-label">Estimation Statistic</label>
+        <EstimationStatPicker
+          estimationStat={config.estimationStat}
+          storyPointsField={config.storyPointsField}
+          onChange={handleEstimationChange}
+        />
+        <p className="form-help">
+          Unit for the burndown and release progress. Capacity is always in hours.
+        </p>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Public Holidays</label>
+        <HolidayCalendarEditor boardId={config.boardId} />
+        <p className="form-help">
+          Holidays are skipped when counting working days for this board, together with the global calendar.
+        </p>
+      </div>
+
       <div className="formula-preview">
         <p style={{ margin: 0 }}>
           <strong>Max Capacity Formula:</strong>
         </p>
         <p style={{ margin: '8px 0 0' }}>
-          Working Days x 8 hours x Team Size<br />
-          = {config.workingDays} x 8 x {config.teamSize} = <strong>{maxCapacity}h</strong>
+          Working Days x {defaults.hoursPerDay} hours x Team Size<br />
+          = {config.workingDays} x {defaults.hoursPerDay} x {teamSize} = <strong>{maxCapacity}h</strong>
         </p>
       </div>
 
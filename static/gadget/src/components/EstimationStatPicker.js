@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from 'react';
+import { invoke } from '@forge/bridge';
+
+export const ESTIMATION_STAT_LABELS = {
+  hours: 'Hours',
+  storyPoints: 'Story Points',
+  issueCount: 'Issues'
+};
+
+// "12h" for hours, "5 pts" / "3 issues" for the other estimation units
+export const formatInUnit = (value, unit = 'h') => (unit === 'h' ? `${value}h` : `${value} ${unit}`);
+
+/**
+ * EstimationStatPicker component
+ * Per-gadget estimation statistic for the config forms:
+ * - Hours (time tracking), story points from a numeric custom field, or issue count
+ * onChange receives the changed config keys ({ estimationStat } / { storyPointsField })
+ */
+const EstimationStatPicker = ({ estimationStat, storyPointsField, onChange }) => {
+  const [fields, setFields] = useState([]);
+  const stat = estimationStat || 'hours';
+
+  useEffect(() => {
+    if (stat !== 'storyPoints' || fields.length > 0) return;
+    invoke('getEstimationFields')
+      .then(result => {
+        if (!result.success) return;
+        setFields(result.data);
+        // Preselect Jira's usual story points field when none is chosen yet
+        if (!storyPointsField) {
+          const guess = result.data.find(f => /story point/i.test(f.name));
+          if (guess) onChange({ storyPointsField: guess.id });
+        }
+      })
+      .catch(err => console.error('[EstimationStatPicker] Error loading fields:', err));
+  }, [stat, fields.length, storyPointsField, onChange]);
+
+  return (
+    <div>
+      <select
+        className="form-select"
+        value={stat}
+        onChange={(e) => onChange({ estimationStat: e.target.value })}
+      >
+        {Object.entries(ESTIMATION_STAT_LABELS).map(([value, label]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      {stat === 'storyPoints' && (
+        <select
+          className="form-select"
+          value={storyPointsField || ''}
+          onChange={(e) => onChange({ storyPointsField: e.target.value })}
+          style={{ marginTop: '6px' }}
+        >
+          <option value="">Select the story points field...</option>
+          {fields.map(f => (
+            <option key={f.id} value={f.id}>{f.name} ({f.id})</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default EstimationStatPicker;
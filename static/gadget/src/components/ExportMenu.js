@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+
+// ============ CSV ============
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = ({ columns, rows }) => [
+  columns.map(c => csvCell(c.label)).join(','),
+  ...rows.map(row => columns.map(c => csvCell(row[c.key])).join(','))
+].join('\r\n');
+
+// ============ XLSX ============
+// Minimal SpreadsheetML workbook (inline strings, numeric cells) packed in an
+// uncompressed zip, so the gadget bundle needs no spreadsheet library.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Zip archive with STORE entries: local headers + data, central directory, end record
+const zipStore = (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(8, 0, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};
+
+// Control characters other than tab / newline / carriage return are not allowed in XML
+const stripControlChars = (text) => Array.from(text)
+  .filter(ch => ch.charCodeAt(0) >= 32 || ch === '\t' || ch === '\n' || ch === '\r')
+  .join('');
+
+const xmlEscape = (text) => stripControlChars(String(text))
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const xlsxCell = (value, ref) => {
+  if (value == null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+};
+
+const sheetXml = ({ columns, rows }) => {
+  const rowXml = [columns.map(c => c.label), ...rows.map(row => columns.map(c => row[c.key]))]
+    .map((values, r) => `<row r="${r + 1}">${values.map((v, c) => xlsxCell(v, `${columnName(c)}${r + 1}`)).join('')}</row>`)
+    .join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${rowXml}</sheetData></worksheet>`;
+};
+
+// Excel sheet names: max 31 chars, no []:*?/\ and unique within the workbook
+const sheetNames = (sheets) => {
+  const used = new Set();
+  return sheets.map((sheet, i) => {
+    let name = (sheet.name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+    while (used.has(name.toLowerCase())) name = `${name.slice(0, 28)} ${i + 1}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+};
+
+export const toXlsx = (sheets) => {
+  const names = sheetNames(sheets);
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets>${names.map((name, i) => `<sheet name="${xmlEscape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + '</Relationships>'
+    },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXml(sheet) }))
+  ];
+  return zipStore(files);
+};
+
+// ============ DOWNLOAD ============
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const safeFilename = (name) => name.replace(/[^\w.-]+/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Download sheets ({ name, columns: [{ key, label }], rows }) as one XLSX workbook,
+ * or as one CSV file per sheet (CSV has no tabs). Empty sheets are left out.
+ */
+export const exportDataset = ({ filename, format, sheets }) => {
+  const nonEmpty = sheets.filter(s => s.rows && s.rows.length > 0);
+  const base = safeFilename(filename) || 'export';
+
+  if (format === 'xlsx') {
+    const workbook = toXlsx(nonEmpty.length > 0 ? nonEmpty : sheets.slice(0, 1));
+    downloadBlob(
+      new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+      `${base}.xlsx`
+    );
+    return;
+  }
+
+  const csvSheets = nonEmpty.length > 0 ? nonEmpty : sheets.slice(0, 1);
+  csvSheets.forEach(sheet => {
+    const suffix = csvSheets.length > 1 ? `-${safeFilename(sheet.name)}` : '';
+    // BOM so Excel opens UTF-8 summaries correctly
+    downloadBlob(new Blob(['\uFEFF', toCsv(sheet)], { type: 'text/csv;charset=utf-8' }), `${base}${suffix}.csv`);
+  });
+};
+
+// Export file name: gadget, sprint and (when filtered) assignee
+export const exportFilename = (gadget, sprintName, assignee) =>
+  [gadget, sprintName, assignee].filter(Boolean).join(' ');
+
+/**
+ * ExportMenu component
+ * Header button that downloads the gadget's current dataset as CSV or Excel.
+ * getSheets is called at click time so the export matches what is on screen.
+ */
+const ExportMenu = ({ filename, getSheets }) => {
+  const [open, setOpen] = useState(false);
+
+  const handleExport = (format) => {
+    setOpen(false);
+    try {
+      exportDataset({ filename, format, sheets: getSheets() });
+    } catch (err) {
+      console.error('[ExportMenu] Export failed:', err);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        className="btn btn-secondary"
+        onClick={() => setOpen(!open)}
+        title="Export data"
+        style={{ padding: '4px 10px', fontSize: '12px' }}
+      >
+        ⬇ Export
+      </button>
+      {open && (
+        <div style={{
+          position: 'absolute',
+          right: 0,
+          top: '100%',
+          marginTop: '4px',
+          background: '#FFFFFF',
+          border: '1px solid #DFE1E6',
+          borderRadius: '3px',
+          boxShadow: '0 4px 8px rgba(9, 30, 66, 0.15)',
+          zIndex: 10,
+          minWidth: '120px'
+        }}>
+          {[['csv', 'CSV'], ['xlsx', 'Excel (.xlsx)']].map(([format, label]) => (
+            <div
+              key={format}
+              onClick={() => handleExport(format)}
+              style={{ padding: '8px 12px', fontSize: '12px', cursor: 'pointer', color: '#172B4D' }}
+              onMouseEnter={(e) => { e.currentTarget.style.background = '#F4F5F7'; }}
+              onMouseLeave={(e) => { e.currentTarget.style.background = 'transparent'; }}
+            >
+              {label}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
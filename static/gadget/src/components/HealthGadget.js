@@ -1,12 +1,23 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { invoke, router } from '@forge/bridge';
+import { invoke } from '@forge/bridge';
 import GadgetWrapper from './GadgetWrapper';
+import SprintPicker from './SprintPicker';
+import AssigneeFilter, {
+  EMPTY_ASSIGNEE_FILTER, WorklogAttributionSelect, assigneeFilterLabel, assigneeFilterPayload
+} from './AssigneeFilter';
+import { issueUrl, JqlLink, openLink, useSiteUrl } from './jiraLinks';
+import ExportMenu, { exportFilename } from './ExportMenu';
+import StatusBadge from './StatusBadge';
 
 const HealthGadget = () => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [config, setConfig] = useState({ boardId: null });
+  const siteUrl = useSiteUrl(config.boardId);
+  const [selectedSprintId, setSelectedSprintId] = useState('');
+  const [assigneeFilter, setAssigneeFilter] = useState(EMPTY_ASSIGNEE_FILTER);
+  const [worklogAttribution, setWorklogAttribution] = useState('assignee');
   const [expandedCategory, setExpandedCategory] = useState(null);
 
   const loadConfig = useCallback(async () => {
@@ -32,7 +43,10 @@ const HealthGadget = () => {
     try {
       // Use V3 resolver to bypass Forge cache and count all 36 tasks
       const result = await invoke('getSprintHealthV3', {
-        boardId: config.boardId
+        boardId: config.boardId,
+        sprintId: selectedSprintId || undefined,
+        ...assigneeFilterPayload(assigneeFilter),
+        worklogAttribution
       });
 
       if (result.success) {
@@ -45,7 +59,7 @@ const HealthGadget = () => {
     } finally {
       setLoading(false);
     }
-  }, [config.boardId]);
+  }, [config.boardId, selectedSprintId, assigneeFilter, worklogAttribution]);
 
   useEffect(() => {
     loadConfig();
@@ -84,7 +98,29 @@ const HealthGadget = () => {
 
   if (!data) return null;
 
-  const { counts, issues, sprintName } = data;
+  const { counts, issues, jql, sprintName } = data;
+  // By author the issues are the ones the selected people logged on, with their own hours
+  const byAuthor = data.worklogAttribution === 'author';
+
+  const HEALTH_CATEGORIES = [['under', 'Underestimated'], ['normal', 'Normal'], ['good', 'Good']];
+  const getExportSheets = () => [{
+    name: 'Sprint Health',
+    columns: [
+      { key: 'key', label: 'Key' },
+      { key: 'summary', label: 'Summary' },
+      { key: 'issueType', label: 'Type' },
+      { key: 'assignee', label: 'Assignee' },
+      { key: 'status', label: 'Status' },
+      { key: 'health', label: 'Health' },
+      { key: 'originalEstimate', label: 'Original estimate (h)' },
+      { key: 'remainingEstimate', label: 'Remaining (h)' },
+      { key: 'timeSpent', label: 'Time spent (h)' },
+      ...(byAuthor ? [{ key: 'timeLoggedBy', label: 'Logged by selection (h)' }] : [])
+    ],
+    rows: HEALTH_CATEGORIES.flatMap(([type, label]) =>
+      (issues[type] || []).map(issue => ({ ...issue, health: label }))
+    )
+  }];
   const total = counts.total || 1;
 
   const toggleCategory = (category) => {
@@ -125,14 +161,14 @@ const HealthGadget = () => {
             color: color,
             lineHeight: '1'
           }}>
-            {count}
+            <JqlLink siteUrl={siteUrl} jql={jql?.[type]}>{count}</JqlLink>
           </div>
           <div style={{
             fontSize: '11px',
             color: '#6B778C',
             marginTop: '2px'
           }}>
-            /{total}
+            /<JqlLink siteUrl={siteUrl} jql={jql?.total}>{total}</JqlLink>
           </div>
         </div>
         <div style={{
@@ -179,6 +215,9 @@ const HealthGadget = () => {
               <th style={{ padding: '6px 8px', textAlign: 'right', borderBottom: '1px solid #DFE1E6', color: '#5E6C84', fontWeight: '500' }}>Est.</th>
               <th style={{ padding: '6px 8px', textAlign: 'right', borderBottom: '1px solid #DFE1E6', color: '#5E6C84', fontWeight: '500' }}>Remain</th>
               <th style={{ padding: '6px 8px', textAlign: 'right', borderBottom: '1px solid #DFE1E6', color: '#5E6C84', fontWeight: '500' }}>Spent</th>
+              {byAuthor && (
+                <th style={{ padding: '6px 8px', textAlign: 'right', borderBottom: '1px solid #DFE1E6', color: '#5E6C84', fontWeight: '500' }}>By selection</th>
+              )}
             </tr>
           </thead>
           <tbody>
@@ -186,8 +225,8 @@ const HealthGadget = () => {
               <tr key={i} style={{ borderBottom: '1px solid #F4F5F7' }}>
                 <td style={{ padding: '5px 8px' }}>
                   <a
-                    href={`/browse/${issue.key}`}
-                    onClick={(e) => { e.preventDefault(); router.open(`/browse/${issue.key}`); }}
+                    href={issueUrl(siteUrl, issue.key)}
+                    onClick={openLink(issueUrl(siteUrl, issue.key))}
                     style={{ color: '#0052CC', textDecoration: 'none', fontWeight: '500', cursor: 'pointer' }}
                   >
                     {issue.key}
@@ -196,8 +235,8 @@ const HealthGadget = () => {
                 <td style={{ padding: '5px 8px', maxWidth: '180px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#172B4D' }}>
                   {issue.summary}
                 </td>
-                <td style={{ padding: '5px 8px', color: '#5E6C84', fontSize: '10px' }}>
-                  {issue.status}
+                <td style={{ padding: '5px 8px', fontSize: '10px' }}>
+                  <StatusBadge status={issue.status} statusCategory={issue.statusCategory} />
                 </td>
                 <td style={{ padding: '5px 8px', textAlign: 'right', color: '#5E6C84' }}>
                   {issue.originalEstimate}h
@@ -208,6 +247,11 @@ const HealthGadget = () => {
                 <td style={{ padding: '5px 8px', textAlign: 'right', color: '#5E6C84' }}>
                   {issue.timeSpent}h
                 </td>
+                {byAuthor && (
+                  <td style={{ padding: '5px 8px', textAlign: 'right', color: '#172B4D' }}>
+                    {issue.timeLoggedBy}h
+                  </td>
+                )}
               </tr>
             ))}
           </tbody>
@@ -228,9 +272,21 @@ const HealthGadget = () => {
     >
       <div className="gadget">
         {/* Header */}
-        <div style={{ marginBottom: '20px' }}>
-          <div style={{ fontSize: '16px', fontWeight: '600', color: '#172B4D' }}>Sprint Health</div>
-          <div style={{ fontSize: '12px', color: '#6B778C', marginTop: '2px' }}>{sprintName}</div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+          <div>
+            <div style={{ fontSize: '16px', fontWeight: '600', color: '#172B4D' }}>Sprint Health</div>
+            <div style={{ fontSize: '12px', color: '#6B778C', marginTop: '2px' }}>{sprintName}</div>
+          </div>
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <ExportMenu filename={exportFilename('Sprint Health', sprintName, assigneeFilterLabel(assigneeFilter))} getSheets={getExportSheets} />
+            <AssigneeFilter boardId={config.boardId} value={assigneeFilter} onChange={setAssigneeFilter} />
+            <WorklogAttributionSelect value={worklogAttribution} onChange={setWorklogAttribution} />
+            <SprintPicker
+              boardId={config.boardId}
+              value={selectedSprintId}
+              onChange={setSelectedSprintId}
+            />
+          </div>
         </div>
 
         {/* Three circles */}
@@ -0,0 +1,225 @@
+import React, { useEffect, useState, useCallback, useRef } from 'react';
+import { invoke } from '@forge/bridge';
+
+const MESSAGE_STYLES = {
+  success: { background: '#E3FCEF', border: '1px solid #ABF5D1', color: '#006644' },
+  warning: { background: '#FFFAE6', border: '1px solid #FFE380', color: '#974F0C' },
+  error: { background: '#FFEBE6', border: '1px solid #FF8F73', color: '#BF2600' }
+};
+
+/**
+ * HolidayCalendarEditor component
+ * Edits the per-board public holiday calendar used for burndown capacity:
+ * - Add / remove single dates
+ * - Import events from an iCalendar (.ics) file; yearly recurring events are expanded,
+ *   other recurrence rules are listed in a warning
+ */
+const HolidayCalendarEditor = ({ boardId }) => {
+  const [holidays, setHolidays] = useState([]);
+  const [newDate, setNewDate] = useState('');
+  const [newName, setNewName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadHolidays = useCallback(async () => {
+    if (!boardId) return;
+    setLoading(true);
+    setMessage(null);
+    try {
+      const result = await invoke('getHolidays', { boardId });
+      if (result.success) {
+        setHolidays(result.data.holidays || []);
+        setDirty(false);
+      } else {
+        setMessage({ type: 'error', text: result.error || 'Failed to load holidays' });
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setLoading(false);
+    }
+  }, [boardId]);
+
+  useEffect(() => {
+    loadHolidays();
+  }, [loadHolidays]);
+
+  const handleAdd = () => {
+    if (!newDate) return;
+    setHolidays(prev => [...prev.filter(h => h.date !== newDate), { date: newDate, name: newName }]
+      .sort((a, b) => a.date.localeCompare(b.date)));
+    setNewDate('');
+    setNewName('');
+    setDirty(true);
+  };
+
+  const handleRemove = (date) => {
+    setHolidays(prev => prev.filter(h => h.date !== date));
+    setDirty(true);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const result = await invoke('saveHolidays', { boardId, holidays });
+      if (result.success) {
+        setHolidays(result.data.holidays || []);
+        setDirty(false);
+        setMessage({ type: 'success', text: 'Holiday calendar saved.' });
+      } else {
+        setMessage({ type: 'error', text: result.error || 'Failed to save holidays' });
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+      setSaving(true);
+      setMessage(null);
+      try {
+        const result = await invoke('importHolidaysIcs', { boardId, icsContent: reader.result });
+        if (result.success) {
+          setHolidays(result.data.holidays || []);
+          setDirty(false);
+          const skipped = result.data.skipped || [];
+          setMessage(skipped.length > 0
+            ? {
+              type: 'warning',
+              text: `Imported ${result.data.importedCount} day(s) from ${file.name}. Not imported: `
+                + skipped.map(s => `${s.name} (${s.reason})`).join('; ')
+                + ' - add these dates by hand.'
+            }
+            : { type: 'success', text: `Imported ${result.data.importedCount} day(s) from ${file.name}.` });
+        } else {
+          setMessage({ type: 'error', text: result.error || 'Failed to import calendar' });
+        }
+      } catch (err) {
+        setMessage({ type: 'error', text: err.message });
+      } finally {
+        setSaving(false);
+        if (fileInputRef.current) fileInputRef.current.value = '';
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  if (!boardId) {
+    return (
+      <p style={{ fontSize: '11px', color: '#6b778c' }}>
+        Select a board to edit its holiday calendar.
+      </p>
+    );
+  }
+
+  const inputStyle = {
+    padding: '6px 8px',
+    border: '2px solid #dfe1e6',
+    borderRadius: '3px',
+    fontSize: '13px',
+    fontFamily: 'inherit'
+  };
+
+  return (
+    <div>
+      {message && (
+        <div style={{
+          padding: '8px 12px',
+          marginBottom: '8px',
+          borderRadius: '3px',
+          fontSize: '12px',
+          ...MESSAGE_STYLES[message.type]
+        }}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Add a single date */}
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+        <input
+          type="date"
+          value={newDate}
+          onChange={(e) => setNewDate(e.target.value)}
+          style={inputStyle}
+        />
+        <input
+          type="text"
+          value={newName}
+          placeholder="Name (e.g. Quốc khánh)"
+          onChange={(e) => setNewName(e.target.value)}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button className="btn btn-secondary" onClick={handleAdd} disabled={!newDate}>
+          Add
+        </button>
+      </div>
+
+      {/* Holiday list */}
+      <div style={{
+        maxHeight: '180px',
+        overflowY: 'auto',
+        border: '1px solid #EBECF0',
+        borderRadius: '3px',
+        marginBottom: '8px'
+      }}>
+        {loading ? (
+          <p style={{ padding: '8px', fontSize: '12px', color: '#6b778c' }}>Loading holidays...</p>
+        ) : holidays.length === 0 ? (
+          <p style={{ padding: '8px', fontSize: '12px', color: '#6b778c' }}>
+            No holidays defined. Only Saturdays and Sundays are skipped.
+          </p>
+        ) : (
+          <table className="table" style={{ margin: 0 }}>
+            <tbody>
+              {holidays.map(h => (
+                <tr key={h.date}>
+                  <td style={{ fontSize: '12px', whiteSpace: 'nowrap' }}>{h.date}</td>
+                  <td style={{ fontSize: '12px' }}>{h.name}</td>
+                  <td style={{ textAlign: 'right' }}>
+                    <button
+                      onClick={() => handleRemove(h.date)}
+                      title="Remove"
+                      style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#6b778c' }}
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <label className="btn btn-secondary" style={{ cursor: saving ? 'not-allowed' : 'pointer' }}>
+          Import .ics
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".ics,text/calendar"
+            onChange={handleImport}
+            disabled={saving}
+            style={{ display: 'none' }}
+          />
+        </label>
+        <button className="btn btn-primary" onClick={handleSave} disabled={!dirty || saving}>
+          {saving ? 'Saving...' : 'Save Holidays'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HolidayCalendarEditor;
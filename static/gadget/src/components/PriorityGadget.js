@@ -1,12 +1,19 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { invoke, router } from '@forge/bridge';
+import { invoke } from '@forge/bridge';
 import GadgetWrapper from './GadgetWrapper';
+import SprintPicker from './SprintPicker';
+import AssigneeFilter, { EMPTY_ASSIGNEE_FILTER, assigneeFilterPayload } from './AssigneeFilter';
+import { issueUrl, JqlLink, openLink, useSiteUrl } from './jiraLinks';
+import StatusBadge from './StatusBadge';
 
 const PriorityGadget = () => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [config, setConfig] = useState({ boardId: null });
+  const siteUrl = useSiteUrl(config.boardId);
+  const [selectedSprintId, setSelectedSprintId] = useState('');
+  const [assigneeFilter, setAssigneeFilter] = useState(EMPTY_ASSIGNEE_FILTER);
   const [expanded, setExpanded] = useState(false);
 
   const loadConfig = useCallback(async () => {
@@ -32,6 +39,8 @@ const PriorityGadget = () => {
     try {
       const result = await invoke('getHighPriorityItems', {
         boardId: config.boardId,
+        sprintId: selectedSprintId || undefined,
+        ...assigneeFilterPayload(assigneeFilter),
         expand: expanded
       });
 
@@ -45,7 +54,7 @@ const PriorityGadget = () => {
     } finally {
       setLoading(false);
     }
-  }, [config.boardId, expanded]);
+  }, [config.boardId, selectedSprintId, assigneeFilter, expanded]);
 
   useEffect(() => {
     loadConfig();
@@ -70,17 +79,6 @@ const PriorityGadget = () => {
     return <span className="badge" style={{ background: '#F4F5F7', color: '#7A869A' }}>{priority}</span>;
   };
 
-  const getStatusBadge = (status) => {
-    const s = status?.toLowerCase() || '';
-    if (s.includes('done') || s.includes('closed')) {
-      return <span className="badge badge-status-done">{status}</span>;
-    }
-    if (s.includes('progress')) {
-      return <span className="badge badge-status-progress">{status}</span>;
-    }
-    return <span className="badge badge-status-todo">{status}</span>;
-  };
-
   // Jira-style Time Tracking Progress Bar
   const TimeTrackingBar = ({ originalEstimate, timeSpent, remainingEstimate }) => {
     const oe = originalEstimate || 0;
@@ -202,6 +200,7 @@ const PriorityGadget = () => {
     mediumCount,
     lowCount,
     lowestCount,
+    jql,
     sprintName
   } = data;
 
@@ -220,9 +219,19 @@ const PriorityGadget = () => {
           </div>
           <div className="gadget-subtitle">{sprintName}</div>
         </div>
-        <span className={`count-badge ${(highestCount + highCount) > 0 ? 'danger' : ''}`}>
-          {expanded ? `${total} items` : `${highestCount + highCount} items`}
-        </span>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <AssigneeFilter boardId={config.boardId} value={assigneeFilter} onChange={setAssigneeFilter} />
+          <SprintPicker
+            boardId={config.boardId}
+            value={selectedSprintId}
+            onChange={setSelectedSprintId}
+          />
+          <span className={`count-badge ${(highestCount + highCount) > 0 ? 'danger' : ''}`}>
+            <JqlLink siteUrl={siteUrl} jql={expanded ? jql?.total : jql?.highPriority}>
+              {expanded ? `${total} items` : `${highestCount + highCount} items`}
+            </JqlLink>
+          </span>
+        </div>
       </div>
 
       {/* Summary Cards */}
@@ -247,7 +256,7 @@ const PriorityGadget = () => {
             fontWeight: '600',
             color: '#AE2A19'
           }}>
-            {highestCount}
+            <JqlLink siteUrl={siteUrl} jql={jql?.byPriority?.Highest}>{highestCount}</JqlLink>
           </div>
           <div style={{ fontSize: '10px', color: '#AE2A19' }}>Highest</div>
         </div>
@@ -266,7 +275,7 @@ const PriorityGadget = () => {
             fontWeight: '600',
             color: '#974F0C'
           }}>
-            {highCount}
+            <JqlLink siteUrl={siteUrl} jql={jql?.byPriority?.High}>{highCount}</JqlLink>
           </div>
           <div style={{ fontSize: '10px', color: '#974F0C' }}>High</div>
         </div>
@@ -283,7 +292,7 @@ const PriorityGadget = () => {
               borderTop: '3px solid #FFCF5C'
             }}>
               <div style={{ fontSize: '16px', fontWeight: '600', color: '#7A6200' }}>
-                {mediumCount || 0}
+                <JqlLink siteUrl={siteUrl} jql={jql?.byPriority?.Medium}>{mediumCount || 0}</JqlLink>
               </div>
               <div style={{ fontSize: '10px', color: '#7A6200' }}>Medium</div>
             </div>
@@ -298,7 +307,7 @@ const PriorityGadget = () => {
               borderTop: '3px solid #4C9AFF'
             }}>
               <div style={{ fontSize: '16px', fontWeight: '600', color: '#0747A6' }}>
-                {lowCount || 0}
+                <JqlLink siteUrl={siteUrl} jql={jql?.byPriority?.Low}>{lowCount || 0}</JqlLink>
               </div>
               <div style={{ fontSize: '10px', color: '#0747A6' }}>Low</div>
             </div>
@@ -313,7 +322,7 @@ const PriorityGadget = () => {
               borderTop: '3px solid #B3BAC5'
             }}>
               <div style={{ fontSize: '16px', fontWeight: '600', color: '#5E6C84' }}>
-                {lowestCount || 0}
+                <JqlLink siteUrl={siteUrl} jql={jql?.byPriority?.Lowest}>{lowestCount || 0}</JqlLink>
               </div>
               <div style={{ fontSize: '10px', color: '#5E6C84' }}>Lowest</div>
             </div>
@@ -393,10 +402,10 @@ const PriorityGadget = () => {
                 <tr key={item.key}>
                   <td>
                     <a
-                      href={`/browse/${item.key}`}
+                      href={issueUrl(siteUrl, item.key)}
                       target="_blank"
                       rel="noopener noreferrer"
-                      onClick={(e) => { e.preventDefault(); router.open(`/browse/${item.key}`); }}
+                      onClick={openLink(issueUrl(siteUrl, item.key))}
                       className="issue-key"
                       style={{ cursor: 'pointer' }}
                     >
@@ -415,7 +424,7 @@ const PriorityGadget = () => {
                   </td>
                   <td style={{ fontSize: '11px' }}>{item.assignee}</td>
                   <td>{getPriorityBadge(item.priority)}</td>
-                  <td>{getStatusBadge(item.status)}</td>
+                  <td><StatusBadge status={item.status} statusCategory={item.statusCategory} /></td>
                   <td>
                     <TimeTrackingBar
                       originalEstimate={item.originalEstimate}
@@ -1,12 +1,21 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { invoke, router } from '@forge/bridge';
+import { invoke } from '@forge/bridge';
 import GadgetWrapper from './GadgetWrapper';
+import SprintPicker from './SprintPicker';
+import AssigneeFilter, { EMPTY_ASSIGNEE_FILTER, assigneeFilterLabel, assigneeFilterPayload } from './AssigneeFilter';
+import { issueUrl, JqlLink, openLink, useSiteUrl } from './jiraLinks';
+import { formatInUnit } from './EstimationStatPicker';
+import ExportMenu, { exportFilename } from './ExportMenu';
+import StatusBadge from './StatusBadge';
 
 const ReleasesGadget = () => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [config, setConfig] = useState({ boardId: null });
+  const siteUrl = useSiteUrl(config.boardId);
+  const [selectedSprintId, setSelectedSprintId] = useState('');
+  const [assigneeFilter, setAssigneeFilter] = useState(EMPTY_ASSIGNEE_FILTER);
   const [expandedRelease, setExpandedRelease] = useState(null);
 
   const loadConfig = useCallback(async () => {
@@ -31,7 +40,11 @@ const ReleasesGadget = () => {
 
     try {
       const result = await invoke('getReleaseData', {
-        boardId: config.boardId
+        boardId: config.boardId,
+        sprintId: selectedSprintId || undefined,
+        ...assigneeFilterPayload(assigneeFilter),
+        estimationStat: config.estimationStat,
+        storyPointsField: config.storyPointsField
       });
 
       if (result.success) {
@@ -44,7 +57,7 @@ const ReleasesGadget = () => {
     } finally {
       setLoading(false);
     }
-  }, [config.boardId]);
+  }, [config.boardId, config.estimationStat, config.storyPointsField, selectedSprintId, assigneeFilter]);
 
   useEffect(() => {
     loadConfig();
@@ -67,17 +80,6 @@ const ReleasesGadget = () => {
     return '#FF8F73';
   };
 
-  const getStatusBadge = (status) => {
-    const s = status?.toLowerCase() || '';
-    if (s.includes('done') || s.includes('closed') || s.includes('resolved')) {
-      return <span className="badge badge-status-done">{status}</span>;
-    }
-    if (s.includes('progress')) {
-      return <span className="badge badge-status-progress">{status}</span>;
-    }
-    return <span className="badge badge-status-todo">{status}</span>;
-  };
-
   const getPriorityIcon = (priority) => {
     const p = priority?.toLowerCase() || '';
     if (p === 'highest') return '●';
@@ -127,7 +129,38 @@ const ReleasesGadget = () => {
 
   if (!data) return null;
 
-  const { releases, totalReleases, unversionedCount, sprintName } = data;
+  const { releases, totalReleases, unversionedCount, unversionedJql, sprintName, unit } = data;
+
+  const getExportSheets = () => [
+    {
+      name: 'Releases',
+      columns: [
+        { key: 'name', label: 'Release' },
+        { key: 'releaseDate', label: 'Release date' },
+        { key: 'released', label: 'Released' },
+        { key: 'totalIssues', label: 'Issues' },
+        { key: 'doneIssues', label: 'Done issues' },
+        { key: 'progress', label: 'Progress (%)' },
+        { key: 'totalEstimate', label: `Estimate (${unit})` },
+        { key: 'doneEstimate', label: `Done estimate (${unit})` }
+      ],
+      rows: releases
+    },
+    {
+      name: 'Release Issues',
+      columns: [
+        { key: 'release', label: 'Release' },
+        { key: 'key', label: 'Key' },
+        { key: 'summary', label: 'Summary' },
+        { key: 'priority', label: 'Priority' },
+        { key: 'status', label: 'Status' },
+        { key: 'assignee', label: 'Assignee' },
+        { key: 'isDone', label: 'Done' },
+        { key: 'estimate', label: `Estimate (${unit})` }
+      ],
+      rows: releases.flatMap(r => r.issues.map(issue => ({ ...issue, release: r.name })))
+    }
+  ];
 
   return (
     <GadgetWrapper 
@@ -142,9 +175,18 @@ const ReleasesGadget = () => {
           <div className="gadget-title">Releases</div>
           <div className="gadget-subtitle">{sprintName}</div>
         </div>
-        <span className="count-badge">
-          {totalReleases} release{totalReleases !== 1 ? 's' : ''}
-        </span>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <ExportMenu filename={exportFilename('Releases', sprintName, assigneeFilterLabel(assigneeFilter))} getSheets={getExportSheets} />
+          <AssigneeFilter boardId={config.boardId} value={assigneeFilter} onChange={setAssigneeFilter} />
+          <SprintPicker
+            boardId={config.boardId}
+            value={selectedSprintId}
+            onChange={setSelectedSprintId}
+          />
+          <span className="count-badge">
+            {totalReleases} release{totalReleases !== 1 ? 's' : ''}
+          </span>
+        </div>
       </div>
 
       {releases.length === 0 ? (
@@ -153,7 +195,8 @@ const ReleasesGadget = () => {
           <div className="empty-state-text">No releases linked to sprint tasks</div>
           {unversionedCount > 0 && (
             <p style={{ fontSize: '12px', color: '#6b778c', marginTop: '8px' }}>
-              {unversionedCount} task{unversionedCount > 1 ? 's' : ''} without a release version
+              <JqlLink siteUrl={siteUrl} jql={unversionedJql}>{unversionedCount}</JqlLink>
+              {' '}task{unversionedCount > 1 ? 's' : ''} without a release version
             </p>
           )}
         </div>
@@ -236,7 +279,14 @@ const ReleasesGadget = () => {
                       marginBottom: '4px'
                     }}>
                       <span style={{ color: '#6B778C' }}>
-                        {release.doneIssues}/{release.totalIssues} issues done
+                        <JqlLink siteUrl={siteUrl} jql={release.doneJql} title="Open the done issues in Jira">
+                          {release.doneIssues}
+                        </JqlLink>
+                        /
+                        <JqlLink siteUrl={siteUrl} jql={release.jql} title="Open all issues of this release in Jira">
+                          {release.totalIssues}
+                        </JqlLink>
+                        {' '}issues done
                       </span>
                       <span style={{
                         fontWeight: '700',
@@ -268,14 +318,14 @@ const ReleasesGadget = () => {
                       marginTop: '6px'
                     }}>
                       <span>
-                        Est: <strong style={{ color: '#172B4D' }}>{release.totalEstimate}h</strong>
+                        Est: <strong style={{ color: '#172B4D' }}>{formatInUnit(release.totalEstimate, unit)}</strong>
                       </span>
                       <span>
-                        Done: <strong style={{ color: '#172B4D' }}>{release.doneEstimate}h</strong>
+                        Done: <strong style={{ color: '#172B4D' }}>{formatInUnit(release.doneEstimate, unit)}</strong>
                       </span>
                       <span>
                         Remaining: <strong style={{ color: '#5E6C84' }}>
-                          {Math.round((release.totalEstimate - release.doneEstimate) * 10) / 10}h
+                          {formatInUnit(Math.round((release.totalEstimate - release.doneEstimate) * 10) / 10, unit)}
                         </strong>
                       </span>
                     </div>
@@ -306,10 +356,10 @@ const ReleasesGadget = () => {
                           }}>
                             <td>
                               <a
-                                href={`/browse/${issue.key}`}
+                                href={issueUrl(siteUrl, issue.key)}
                                 target="_blank"
                                 rel="noopener noreferrer"
-                                onClick={(e) => { e.preventDefault(); router.open(`/browse/${issue.key}`); }}
+                                onClick={openLink(issueUrl(siteUrl, issue.key))}
                                 className="issue-key"
                                 style={{ cursor: 'pointer' }}
                               >
@@ -329,10 +379,10 @@ const ReleasesGadget = () => {
                             <td style={{ fontSize: '12px' }}>
                               {getPriorityIcon(issue.priority)} {issue.priority}
                             </td>
-                            <td>{getStatusBadge(issue.status)}</td>
+                            <td><StatusBadge status={issue.status} statusCategory={issue.statusCategory} /></td>
                             <td style={{ fontSize: '11px' }}>{issue.assignee}</td>
                             <td style={{ textAlign: 'right', fontSize: '11px' }}>
-                              {issue.estimate > 0 ? `${issue.estimate}h` : '-'}
+                              {issue.estimate > 0 ? formatInUnit(issue.estimate, unit) : '-'}
                             </td>
                           </tr>
                         ))}
@@ -359,7 +409,7 @@ const ReleasesGadget = () => {
             }}>
               <span></span>
               <span>
-                <strong>{unversionedCount}</strong> task{unversionedCount > 1 ? 's' : ''} in this sprint {unversionedCount > 1 ? 'are' : 'is'} not linked to any release version.
+                <strong><JqlLink siteUrl={siteUrl} jql={unversionedJql}>{unversionedCount}</JqlLink></strong> task{unversionedCount > 1 ? 's' : ''} in this sprint {unversionedCount > 1 ? 'are' : 'is'} not linked to any release version.
               </span>
             </div>
           )}
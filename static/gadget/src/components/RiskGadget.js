@@ -1,12 +1,20 @@
 import React, { useEffect, useState, useCallback } from 'react';
-import { invoke, router } from '@forge/bridge';
+import { invoke } from '@forge/bridge';
 import GadgetWrapper from './GadgetWrapper';
+import SprintPicker from './SprintPicker';
+import AssigneeFilter, { EMPTY_ASSIGNEE_FILTER, assigneeFilterLabel, assigneeFilterPayload } from './AssigneeFilter';
+import { issueUrl, JqlLink, openLink, useSiteUrl } from './jiraLinks';
+import ExportMenu, { exportFilename } from './ExportMenu';
+import StatusBadge from './StatusBadge';
 
 const RiskGadget = () => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [config, setConfig] = useState({ boardId: null });
+  const siteUrl = useSiteUrl(config.boardId);
+  const [selectedSprintId, setSelectedSprintId] = useState('');
+  const [assigneeFilter, setAssigneeFilter] = useState(EMPTY_ASSIGNEE_FILTER);
 
   const loadConfig = useCallback(async () => {
     try {
@@ -30,7 +38,9 @@ const RiskGadget = () => {
 
     try {
       const result = await invoke('getAtRiskItems', {
-        boardId: config.boardId
+        boardId: config.boardId,
+        sprintId: selectedSprintId || undefined,
+        ...assigneeFilterPayload(assigneeFilter)
       });
 
       if (result.success) {
@@ -43,7 +53,7 @@ const RiskGadget = () => {
     } finally {
       setLoading(false);
     }
-  }, [config.boardId]);
+  }, [config.boardId, selectedSprintId, assigneeFilter]);
 
   useEffect(() => {
     loadConfig();
@@ -69,17 +79,6 @@ const RiskGadget = () => {
     return <span className="badge badge-priority-medium">{priority}</span>;
   };
 
-  const getStatusBadge = (status) => {
-    const s = status?.toLowerCase() || '';
-    if (s.includes('done') || s.includes('closed')) {
-      return <span className="badge badge-status-done">{status}</span>;
-    }
-    if (s.includes('progress')) {
-      return <span className="badge badge-status-progress">{status}</span>;
-    }
-    return <span className="badge badge-status-todo">{status}</span>;
-  };
-
   if (!config.boardId && !loading) {
     return (
       <GadgetWrapper 
@@ -107,7 +106,22 @@ const RiskGadget = () => {
 
   if (!data) return null;
 
-  const { items, total, sprintName } = data;
+  const { items, total, jql, sprintName } = data;
+
+  const getExportSheets = () => [{
+    name: 'At Risk',
+    columns: [
+      { key: 'key', label: 'Key' },
+      { key: 'summary', label: 'Summary' },
+      { key: 'assignee', label: 'Assignee' },
+      { key: 'priority', label: 'Priority' },
+      { key: 'status', label: 'Status' },
+      { key: 'originalEstimate', label: 'Original estimate (h)' },
+      { key: 'remainingEstimate', label: 'Remaining (h)' },
+      { key: 'riskReason', label: 'Risk reason' }
+    ],
+    rows: items
+  }];
 
   return (
     <GadgetWrapper 
@@ -121,9 +135,18 @@ const RiskGadget = () => {
           <div className="gadget-title">At Risk Items</div>
           <div className="gadget-subtitle">{sprintName}</div>
         </div>
-        <span className={`count-badge ${total > 0 ? 'danger' : ''}`}>
-          {total} items
-        </span>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <ExportMenu filename={exportFilename('At Risk', sprintName, assigneeFilterLabel(assigneeFilter))} getSheets={getExportSheets} />
+          <AssigneeFilter boardId={config.boardId} value={assigneeFilter} onChange={setAssigneeFilter} />
+          <SprintPicker
+            boardId={config.boardId}
+            value={selectedSprintId}
+            onChange={setSelectedSprintId}
+          />
+          <span className={`count-badge ${total > 0 ? 'danger' : ''}`}>
+            <JqlLink siteUrl={siteUrl} jql={jql}>{total} items</JqlLink>
+          </span>
+        </div>
       </div>
 
       {items.length === 0 ? (
@@ -149,10 +172,10 @@ const RiskGadget = () => {
                 <tr key={item.key}>
                   <td>
                     <a
-                      href={`/browse/${item.key}`}
+                      href={issueUrl(siteUrl, item.key)}
                       target="_blank"
                       rel="noopener noreferrer"
-                      onClick={(e) => { e.preventDefault(); router.open(`/browse/${item.key}`); }}
+                      onClick={openLink(issueUrl(siteUrl, item.key))}
                       className="issue-key"
                       style={{ cursor: 'pointer' }}
                     >
@@ -171,7 +194,7 @@ const RiskGadget = () => {
                   </td>
                   <td style={{ fontSize: '11px' }}>{item.assignee}</td>
                   <td>{getPriorityBadge(item.priority)}</td>
-                  <td>{getStatusBadge(item.status)}</td>
+                  <td><StatusBadge status={item.status} statusCategory={item.statusCategory} /></td>
                   <td style={{ textAlign: 'right', fontSize: '11px' }}>
                     {item.originalEstimate}h / {item.remainingEstimate}h
                   </td>
@@ -1,12 +1,15 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useState, useCallback } from 'react';
 import { invoke } from '@forge/bridge';
+import EstimationStatPicker from './EstimationStatPicker';
 
 const SettingsModal = ({ isOpen, onClose, onSave, currentConfig }) => {
   const [boards, setBoards] = useState([]);
   const [config, setConfig] = useState({
     boardId: '',
-    teamSize: 10,
-    workingDays: 10
+    teamSize: '',
+    workingDays: 10,
+    estimationStat: 'hours',
+    storyPointsField: ''
   });
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -18,12 +21,15 @@ const SettingsModal = ({ isOpen, onClose, onSave, currentConfig }) => {
     }
   }, [isOpen]);
 
+  // Only the gadget's own values: inherited ones stay empty so the board and global defaults apply
   useEffect(() => {
     if (currentConfig) {
-      setConfig(currentConfig);
+      setConfig(prev => ({ ...prev, ...(currentConfig.overrides || currentConfig) }));
     }
   }, [currentConfig]);
 
+  const defaults = currentConfig?.defaults || { teamSize: 10, hoursPerDay: 8 };
+
   const loadData = async () => {
     setLoading(true);
     setError(null);
@@ -43,6 +49,10 @@ const SettingsModal = ({ isOpen, onClose, onSave, currentConfig }) => {
     }
   };
 
+  const handleEstimationChange = useCallback((changes) => {
+    setConfig((prev) => ({ ...prev, ...changes }));
+  }, []);
+
   const handleSave = async () => {
     if (!config.boardId) {
       setError('Please select a board');
@@ -56,7 +66,8 @@ const SettingsModal = ({ isOpen, onClose, onSave, currentConfig }) => {
       // Save config via resolver
       const result = await invoke('saveConfig', config);
       if (result.success) {
-        onSave(config);
+        // Reload the merged config so the gadget gets the inherited defaults too
+        onSave(await invoke('getConfig'));
         onClose();
       } else {
         setError(result.error || 'Failed to save configuration');
@@ -70,7 +81,8 @@ const SettingsModal = ({ isOpen, onClose, onSave, currentConfig }) => {
 
   if (!isOpen) return null;
 
-  const maxCapacity = config.workingDays * 8 * config.teamSize;
+  const teamSize = config.teamSize || defaults.teamSize;
+  const maxCapacity = config.workingDays * defaults.hoursPerDay * teamSize;
 
   return (
     <>
@@ -232,11 +244,12 @@ const SettingsModal = ({ isOpen, onClose, onSave, currentConfig }) => {
                   <input
                     type="number"
                     className="form-input"
-                    value={config.teamSize}
+                    value={config.teamSize ?? ''}
+                    placeholder={`Default: ${defaults.teamSize}`}
                     onChange={(e) =>
                       setConfig((prev) => ({
                         ...prev,
-                        teamSize: Math.max(1, parseInt(e.target.value) || 1)
+                        teamSize: e.target.value === '' ? '' : Math.max(1, parseInt(e.target.value) || 1)
                       }))
                     }
                     min="1"
@@ -257,7 +270,7 @@ const SettingsModal = ({ isOpen, onClose, onSave, currentConfig }) => {
                       color: '#6b778c'
                     }}
                   >
-                    Number of team members. Used for Max Capacity calculation.
+                    Number of team members. Leave empty to use the board default from Sprint Gadgets Settings.
                   </p>
                 </div>
 
@@ -307,6 +320,36 @@ const SettingsModal = ({ isOpen, onClose, onSave, currentConfig }) => {
                   </p>
                 </div>
 
+                {/* Estimation Statistic */}
+                <div className="form-group" style={{ marginBottom: '16px' }}>
+                  <label
+                    className="form-label"
+                    style={{
+                      display: 'block',
+                      marginBottom: '6px',
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      color: '#6b778c'
+                    }}
+                  >
+                    Estimation Statistic
+                  </label>
+                  <EstimationStatPicker
+                    estimationStat={config.estimationStat}
+                    storyPointsField={config.storyPointsField}
+                    onChange={handleEstimationChange}
+                  />
+                  <p
+                    style={{
+                      marginTop: '4px',
+                      fontSize: '11px',
+                      color: '#6b778c'
+                    }}
+                  >
+                    Unit for the burndown and release progress. Capacity is always in hours.
+                  </p>
+                </div>
+
                 {/* Formula Preview */}
                 <div
                   className="formula-preview"
@@ -322,8 +365,8 @@ const SettingsModal = ({ isOpen, onClose, onSave, currentConfig }) => {
                     Max Capacity Formula:
                   </p>
                   <p style={{ margin: '8px 0 0', color: '#172b4d', fontSize: '13px' }}>
-                    Working Days × 8 hours × Team Size<br />
-                    = {config.workingDays} × 8 × {config.teamSize} ={' '}
+                    Working Days × {defaults.hoursPerDay} hours × Team Size<br />
+                    = {config.workingDays} × {defaults.hoursPerDay} × {teamSize} ={' '}
                     <strong>{maxCapacity}h</strong>
                   </p>
                 </div>
@@ -1,101 +1,165 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useState, useCallback } from 'react';
 import { invoke } from '@forge/bridge';
+import HolidayCalendarEditor from './HolidayCalendarEditor';
+import TeamsEditor from './TeamsEditor';
 
+// Holiday calendar and settings key of the global layer
+const GLOBAL_SCOPE = 'global';
+
+const EMPTY_FORM = {
+  teamSize: '',
+  hoursPerDay: '',
+  jiraBaseUrl: '',
+  statusMapping: [],
+  teams: []
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '6px',
+  fontSize: '12px',
+  fontWeight: '600',
+  color: '#6b778c'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 12px',
+  border: '2px solid #dfe1e6',
+  borderRadius: '3px',
+  fontSize: '14px',
+  fontFamily: 'inherit',
+  boxSizing: 'border-box'
+};
+
+const helpStyle = {
+  marginTop: '4px',
+  fontSize: '11px',
+  color: '#6b778c'
+};
+
+// Stored layer -> form fields (empty = inherit); statusMapping as editable rows
+const toForm = (settings) => ({
+  teamSize: settings.teamSize ?? '',
+  hoursPerDay: settings.hoursPerDay ?? '',
+  jiraBaseUrl: settings.jiraBaseUrl || '',
+  statusMapping: Object.entries(settings.statusMapping || {}).map(([status, value]) => ({ status, value })),
+  teams: settings.teams || []
+});
+
+const fromForm = (form) => ({
+  teamSize: form.teamSize,
+  hoursPerDay: form.hoursPerDay,
+  jiraBaseUrl: form.jiraBaseUrl,
+  statusMapping: Object.fromEntries(
+    form.statusMapping.filter(row => row.status.trim()).map(row => [row.status.trim(), row.value])
+  ),
+  teams: form.teams
+});
+
+/**
+ * SettingsPage component
+ * Admin defaults for all gadgets, globally or per board:
+ * team size, hours per day, done-status mapping, teams, holidays and Jira base URL.
+ * Empty fields inherit from the layer below (built-in < global < board < gadget config).
+ */
 const SettingsPage = () => {
   const [boards, setBoards] = useState([]);
-  const [config, setConfig] = useState({
-    boardId: '',
-    teamSize: 10,
-    workingDays: 10
-  });
+  const [scope, setScope] = useState(GLOBAL_SCOPE);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [inherited, setInherited] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  // Only Jira administrators may save; everyone else sees the settings read-only
+  const [canEdit, setCanEdit] = useState(true);
 
   useEffect(() => {
-    loadData();
+    invoke('getBoards')
+      .then(result => {
+        if (result.success) setBoards(result.boards);
+        else setError(result.error || 'Failed to load boards');
+      })
+      .catch(err => setError(err.message || 'Error loading boards'));
   }, []);
 
-  const loadData = async () => {
+  const loadSettings = useCallback(async () => {
     setLoading(true);
     setError(null);
 
     try {
-      // Load available boards
-      const boardsResult = await invoke('getBoards');
-      if (boardsResult.success) {
-        setBoards(boardsResult.boards);
+      const isGlobal = scope === GLOBAL_SCOPE;
+      const result = await invoke('getSettings', { boardId: isGlobal ? null : scope });
+      if (result.success) {
+        const { defaults, global, board } = result.data;
+        setForm(toForm(isGlobal ? global : board));
+        setCanEdit(result.data.canEdit !== false);
+        // What an empty field falls back to at this level
+        setInherited(isGlobal ? defaults : { ...defaults, ...global });
       } else {
-        setError(boardsResult.error || 'Failed to load boards');
-      }
-
-      // Load existing config
-      const existingConfig = await invoke('getConfig');
-      if (existingConfig?.boardId) {
-        setConfig(existingConfig);
+        setError(result.error || 'Failed to load settings');
       }
     } catch (err) {
-      setError(err.message || 'Error loading data');
+      setError(err.message || 'Error loading settings');
     } finally {
       setLoading(false);
     }
-  };
+  }, [scope]);
 
-  const handleSave = async () => {
-    if (!config.boardId) {
-      setError('Please select a board');
-      return;
-    }
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
 
+  const handleSave = async () => {
     setSaving(true);
     setError(null);
     setSuccess(false);
 
     try {
-      const result = await invoke('saveConfig', config);
+      const result = await invoke('saveSettings', {
+        boardId: scope === GLOBAL_SCOPE ? null : scope,
+        settings: fromForm(form)
+      });
       if (result.success) {
+        setForm(toForm(result.data));
         setSuccess(true);
         setTimeout(() => setSuccess(false), 3000);
       } else {
-        setError(result.error || 'Failed to save configuration');
+        setError(result.error || 'Failed to save settings');
       }
     } catch (err) {
-      setError(err.message || 'Error saving configuration');
+      setError(err.message || 'Error saving settings');
     } finally {
       setSaving(false);
     }
   };
 
   const handleReset = () => {
-    setConfig({
-      boardId: '',
-      teamSize: 10,
-      workingDays: 10
-    });
+    setForm(EMPTY_FORM);
     setError(null);
     setSuccess(false);
   };
 
-  const maxCapacity = config.workingDays * 8 * config.teamSize;
+  const updateMappingRow = (idx, changes) => {
+    setForm(prev => ({
+      ...prev,
+      statusMapping: prev.statusMapping.map((row, i) => (i === idx ? { ...row, ...changes } : row))
+    }));
+  };
 
-  if (loading) {
-    return (
-      <div style={{
-        display: 'flex',
-        flexDirection: 'column',
-        alignItems: 'center',
-        justifyContent: 'center',
-        minHeight: '100vh',
-        backgroundColor: '#fff'
-      }}>
-        <div className="spinner" style={{ margin: '0 auto' }}></div>
-        <p style={{ marginTop: '12px', color: '#6b778c', fontSize: '13px' }}>
-          Loading settings...
-        </p>
-      </div>
-    );
-  }
+  const removeMappingRow = (idx) => {
+    setForm(prev => ({ ...prev, statusMapping: prev.statusMapping.filter((_, i) => i !== idx) }));
+  };
+
+  const addMappingRow = () => {
+    setForm(prev => ({ ...prev, statusMapping: [...prev.statusMapping, { status: '', value: 'done' }] }));
+  };
+
+  const scopeName = scope === GLOBAL_SCOPE
+    ? 'all boards'
+    : boards.find(b => String(b.id) === String(scope))?.name || `board ${scope}`;
+  const inheritedFrom = scope === GLOBAL_SCOPE ? 'built-in default' : 'global default';
 
   return (
     <div style={{
@@ -130,7 +194,7 @@ const SettingsPage = () => {
             fontSize: '13px',
             color: '#6b778c'
           }}>
-            Configure your sprint tracking gadgets
+            Defaults for every gadget, globally or per board. Gadget settings still override them.
           </p>
         </div>
 
@@ -151,7 +215,22 @@ const SettingsPage = () => {
               gap: '8px'
             }}>
               <span>✅</span>
-              <span>Settings saved successfully!</span>
+              <span>Settings saved for {scopeName}!</span>
+            </div>
+          )}
+
+          {/* Read-only notice */}
+          {!canEdit && (
+            <div style={{
+              marginBottom: '16px',
+              padding: '12px',
+              backgroundColor: '#fffae6',
+              border: '1px solid #ffe380',
+              borderRadius: '3px',
+              color: '#974f0c',
+              fontSize: '13px'
+            }}>
+              Only Jira administrators can change these settings.
             </div>
           )}
 
@@ -174,176 +253,156 @@ const SettingsPage = () => {
             </div>
           )}
 
-          {/* Board Selection */}
+          {/* Scope */}
           <div style={{ marginBottom: '20px' }}>
-            <label style={{
-              display: 'block',
-              marginBottom: '6px',
-              fontSize: '12px',
-              fontWeight: '600',
-              color: '#6b778c'
-            }}>
-              Scrum Board *
-            </label>
+            <label style={labelStyle}>Apply to</label>
             <select
-              value={config.boardId}
-              onChange={(e) =>
-                setConfig(prev => ({ ...prev, boardId: e.target.value }))
-              }
-              style={{
-                width: '100%',
-                padding: '8px 12px',
-                border: '2px solid #dfe1e6',
-                borderRadius: '3px',
-                fontSize: '14px',
-                fontFamily: 'inherit',
-                cursor: 'pointer'
-              }}
+              value={scope}
+              onChange={(e) => setScope(e.target.value)}
+              style={{ ...inputStyle, cursor: 'pointer' }}
             >
-              <option value="">Select a board...</option>
+              <option value={GLOBAL_SCOPE}>Global defaults (all boards)</option>
               {boards.map(board => (
-                <option key={board.id} value={board.id}>
+                <option key={board.id} value={String(board.id)}>
                   {board.name} {board.projectKey && `(${board.projectKey})`}
                 </option>
               ))}
             </select>
-            <p style={{
-              marginTop: '4px',
-              fontSize: '11px',
-              color: '#6b778c'
-            }}>
-              Select the Scrum board to track sprint data from. This setting applies to all gadgets.
+            <p style={helpStyle}>
+              Board settings override the global defaults; empty fields inherit the {inheritedFrom}.
             </p>
           </div>
 
-          {/* Team Size */}
-          <div style={{ marginBottom: '20px' }}>
-            <label style={{
-              display: 'block',
-              marginBottom: '6px',
-              fontSize: '12px',
-              fontWeight: '600',
-              color: '#6b778c'
-            }}>
-              Team Size
-            </label>
-            <input
-              type="number"
-              value={config.teamSize}
-              onChange={(e) =>
-                setConfig(prev => ({
-                  ...prev,
-                  teamSize: Math.max(1, parseInt(e.target.value) || 1)
-                }))
-              }
-              min="1"
-              max="50"
-              style={{
-                width: '100%',
-                padding: '8px 12px',
-                border: '2px solid #dfe1e6',
-                borderRadius: '3px',
-                fontSize: '14px',
-                fontFamily: 'inherit'
-              }}
-            />
-            <p style={{
-              marginTop: '4px',
-              fontSize: '11px',
-              color: '#6b778c'
-            }}>
-              Number of team members. Used for Max Capacity calculation in Burndown chart.
-            </p>
-          </div>
+          {loading || !inherited ? (
+            <div style={{ textAlign: 'center', padding: '20px' }}>
+              <div className="spinner" style={{ margin: '0 auto' }}></div>
+            </div>
+          ) : (
+            <>
+              {/* Team Size */}
+              <div style={{ marginBottom: '20px' }}>
+                <label style={labelStyle}>Team Size</label>
+                <input
+                  type="number"
+                  value={form.teamSize}
+                  placeholder={`${inherited.teamSize} (${inheritedFrom})`}
+                  onChange={(e) => setForm(prev => ({
+                    ...prev,
+                    teamSize: e.target.value === '' ? '' : Math.max(1, parseInt(e.target.value) || 1)
+                  }))}
+                  min="1"
+                  max="100"
+                  style={inputStyle}
+                />
+                <p style={helpStyle}>
+                  Number of team members. Used for Max Capacity when a sprint has no capacity roster.
+                </p>
+              </div>
 
-          {/* Working Days */}
-          <div style={{ marginBottom: '20px' }}>
-            <label style={{
-              display: 'block',
-              marginBottom: '6px',
-              fontSize: '12px',
-              fontWeight: '600',
-              color: '#6b778c'
-            }}>
-              Working Days per Sprint
-            </label>
-            <input
-              type="number"
-              value={config.workingDays}
-              onChange={(e) =>
-                setConfig(prev => ({
-                  ...prev,
-                  workingDays: Math.max(1, parseInt(e.target.value) || 10)
-                }))
-              }
-              min="1"
-              max="30"
-              style={{
-                width: '100%',
-                padding: '8px 12px',
-                border: '2px solid #dfe1e6',
-                borderRadius: '3px',
-                fontSize: '14px',
-                fontFamily: 'inherit'
-              }}
-            />
-            <p style={{
-              marginTop: '4px',
-              fontSize: '11px',
-              color: '#6b778c'
-            }}>
-              Default working days. Used if sprint dates are not properly set.
-            </p>
-          </div>
+              {/* Hours per Day */}
+              <div style={{ marginBottom: '20px' }}>
+                <label style={labelStyle}>Hours per Day</label>
+                <input
+                  type="number"
+                  value={form.hoursPerDay}
+                  placeholder={`${inherited.hoursPerDay} (${inheritedFrom})`}
+                  onChange={(e) => setForm(prev => ({ ...prev, hoursPerDay: e.target.value }))}
+                  min="0.5"
+                  max="24"
+                  step="0.5"
+                  style={inputStyle}
+                />
+                <p style={helpStyle}>
+                  Working hours per person per day, and the default for new capacity roster rows.
+                </p>
+              </div>
 
-          {/* Formula Preview */}
-          <div style={{
-            backgroundColor: '#f4f5f7',
-            padding: '12px',
-            borderRadius: '3px',
-            marginBottom: '20px'
-          }}>
-            <p style={{
-              margin: 0,
-              fontWeight: '600',
-              color: '#0052cc',
-              fontSize: '12px'
-            }}>
-              Max Capacity Formula:
-            </p>
-            <p style={{
-              margin: '8px 0 0',
-              color: '#172b4d',
-              fontSize: '13px'
-            }}>
-              Working Days × 8 hours × Team Size<br />
-              = {config.workingDays} × 8 × {config.teamSize} = <strong>{maxCapacity}h</strong>
-            </p>
-          </div>
+              {/* Done Status Mapping */}
+              <div style={{ marginBottom: '20px' }}>
+                <label style={labelStyle}>Done Status Mapping</label>
+                {form.statusMapping.map((row, idx) => (
+                  <div key={idx} style={{ display: 'flex', gap: '8px', marginBottom: '6px' }}>
+                    <input
+                      type="text"
+                      value={row.status}
+                      placeholder="Status name, e.g. Ready for QA"
+                      onChange={(e) => updateMappingRow(idx, { status: e.target.value })}
+                      style={{ ...inputStyle, flex: 2 }}
+                    />
+                    <select
+                      value={row.value}
+                      onChange={(e) => updateMappingRow(idx, { value: e.target.value })}
+                      style={{ ...inputStyle, flex: 1, cursor: 'pointer' }}
+                    >
+                      <option value="done">Counts as done</option>
+                      <option value="not-done">Not done</option>
+                    </select>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => removeMappingRow(idx)}
+                      title="Remove mapping"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <button className="btn btn-secondary" onClick={addMappingRow}>+ Add status</button>
+                {scope !== GLOBAL_SCOPE && Object.keys(inherited.statusMapping || {}).length > 0 && (
+                  <p style={helpStyle}>
+                    Global mapping: {Object.entries(inherited.statusMapping)
+                      .map(([status, value]) => `${status} → ${value === 'done' ? 'done' : 'not done'}`)
+                      .join(', ')}
+                  </p>
+                )}
+                <p style={helpStyle}>
+                  Statuses count as done when Jira puts them in the Done category. Map a status here to override
+                  that for every gadget, e.g. count "Ready for QA" as done or keep "Won't Do" out of completed work.
+                </p>
+              </div>
 
-          {/* Info Box */}
-          <div style={{
-            backgroundColor: '#deebff',
-            padding: '12px',
-            borderRadius: '3px',
-            marginBottom: '20px',
-            fontSize: '12px',
-            color: '#0747a6',
-            borderLeft: '3px solid #0052cc'
-          }}>
-            <strong>ℹ️ Info:</strong>
-            <p style={{ margin: '8px 0 0' }}>
-              These settings apply to all 6 Sprint Gadgets:
-              <ul style={{ margin: '8px 0 0 20px', paddingLeft: 0 }}>
-                <li>Sprint Burndown Chart</li>
-                <li>Sprint Health</li>
-                <li>At Risk Items</li>
-                <li>Scope Changes</li>
-                <li>High Priority Items</li>
-                <li>Sprint Releases</li>
-              </ul>
-            </p>
-          </div>
+              {/* Teams */}
+              <div style={{ marginBottom: '20px' }}>
+                <label style={labelStyle}>Teams</label>
+                <TeamsEditor teams={form.teams} onChange={(teams) => setForm(prev => ({ ...prev, teams }))} />
+                {scope !== GLOBAL_SCOPE && (inherited.teams || []).length > 0 && (
+                  <p style={helpStyle}>
+                    Global teams: {inherited.teams.map(t => t.name).join(', ')}. A board team with the same name replaces it.
+                  </p>
+                )}
+                <p style={helpStyle}>
+                  Named groups of assignees offered by the team filter of every gadget, e.g. "Backend" or "QA".
+                </p>
+              </div>
+
+              {/* Jira Base URL */}
+              <div style={{ marginBottom: '20px' }}>
+                <label style={labelStyle}>Jira Base URL</label>
+                <input
+                  type="url"
+                  value={form.jiraBaseUrl}
+                  placeholder={inherited.jiraBaseUrl || 'https://your-site.atlassian.net'}
+                  onChange={(e) => setForm(prev => ({ ...prev, jiraBaseUrl: e.target.value }))}
+                  style={inputStyle}
+                />
+                <p style={helpStyle}>
+                  Optional. Links to issues, sprints and filters use the site the app runs on; set this only
+                  to change how that site's address is written. It must be on the same host.
+                </p>
+              </div>
+
+              {/* Holiday Calendar */}
+              <div style={{ marginBottom: '20px' }}>
+                <label style={labelStyle}>Public Holidays</label>
+                <HolidayCalendarEditor boardId={scope} />
+                <p style={helpStyle}>
+                  {scope === GLOBAL_SCOPE
+                    ? 'Global holidays are excluded from working days on every board.'
+                    : 'Added to the global holidays for this board only.'}
+                  {' '}Holidays are saved as soon as they are edited.
+                </p>
+              </div>
+            </>
+          )}
         </div>
 
         {/* Footer */}
@@ -357,7 +416,8 @@ const SettingsPage = () => {
         }}>
           <button
             onClick={handleReset}
-            disabled={saving || loading}
+            disabled={saving || loading || !canEdit}
+            title="Clear every field so this level inherits all defaults"
             style={{
               padding: '6px 12px',
               border: 'none',
@@ -368,14 +428,14 @@ const SettingsPage = () => {
               backgroundColor: '#f4f5f7',
               color: '#172b4d',
               transition: 'all 0.2s',
-              opacity: saving || loading ? 0.5 : 1
+              opacity: saving || loading || !canEdit ? 0.5 : 1
             }}
           >
             Reset
           </button>
           <button
             onClick={handleSave}
-            disabled={!config.boardId || saving || loading}
+            disabled={saving || loading || !canEdit}
             style={{
               padding: '6px 12px',
               border: 'none',
@@ -386,7 +446,7 @@ const SettingsPage = () => {
               backgroundColor: '#0052cc',
               color: '#fff',
               transition: 'all 0.2s',
-              opacity: !config.boardId || saving || loading ? 0.5 : 1
+              opacity: saving || loading || !canEdit ? 0.5 : 1
             }}
           >
             {saving ? 'Saving...' : 'Save Settings'}
@@ -402,7 +462,7 @@ const SettingsPage = () => {
         color: '#6b778c'
       }}>
         <p>
-          Settings are saved to Forge Storage and applied to all gadgets across your Jira instance.
+          Settings are saved to Forge Storage. Each gadget uses its own settings first, then its board's, then the global defaults.
         </p>
       </div>
     </div>
@@ -0,0 +1,72 @@
+import React, { useEffect, useState } from 'react';
+import { invoke } from '@forge/bridge';
+
+/**
+ * SprintPicker component
+ * Dropdown for the gadget header to switch between the current sprint
+ * and any active, closed or future sprint of the board.
+ * value '' means "current" (active sprint, or the last closed one between sprints).
+ * Boards running parallel sprints also get ALL_ACTIVE_SPRINTS to aggregate them.
+ */
+export const ALL_ACTIVE_SPRINTS = 'all-active';
+
+const SprintPicker = ({ boardId, value, onChange }) => {
+  const [sprints, setSprints] = useState({ active: [], closed: [], future: [] });
+
+  useEffect(() => {
+    if (!boardId) return;
+    let cancelled = false;
+    invoke('getBoardSprints', { boardId })
+      .then(result => {
+        if (!cancelled && result.success) setSprints(result.data);
+      })
+      .catch(err => console.error('[SprintPicker] Error loading sprints:', err));
+    return () => { cancelled = true; };
+  }, [boardId]);
+
+  const formatRange = (sprint) => {
+    if (!sprint.startDate) return '';
+    const fmt = (d) => new Date(d).toLocaleDateString('en-US', { month: 'short', day: '2-digit' });
+    return ` (${fmt(sprint.startDate)} – ${fmt(sprint.completeDate || sprint.endDate)})`;
+  };
+
+  return (
+    <select
+      className="select"
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      title="Select sprint"
+      style={{ maxWidth: '180px' }}
+    >
+      <option value="">
+        {sprints.active.length > 1 ? `Current sprint (${sprints.active.length} active)` : 'Current sprint'}
+      </option>
+      {sprints.active.length > 0 && (
+        <optgroup label="Active">
+          {sprints.active.length > 1 && (
+            <option value={ALL_ACTIVE_SPRINTS}>All active sprints (combined)</option>
+          )}
+          {sprints.active.map(s => (
+            <option key={s.id} value={String(s.id)}>{s.name}</option>
+          ))}
+        </optgroup>
+      )}
+      {sprints.closed.length > 0 && (
+        <optgroup label="Closed">
+          {sprints.closed.map(s => (
+            <option key={s.id} value={String(s.id)}>{s.name}{formatRange(s)}</option>
+          ))}
+        </optgroup>
+      )}
+      {sprints.future.length > 0 && (
+        <optgroup label="Future">
+          {sprints.future.map(s => (
+            <option key={s.id} value={String(s.id)}>{s.name}</option>
+          ))}
+        </optgroup>
+      )}
+    </select>
+  );
+};
+
+export default SprintPicker;
@@ -0,0 +1,304 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { invoke } from '@forge/bridge';
+import SprintPicker from './SprintPicker';
+import { formatInUnit } from './EstimationStatPicker';
+import { issueUrl, JqlLink, openLink, sprintUrl } from './jiraLinks';
+
+const HEALTH_BUCKETS = [
+  { type: 'under', label: 'Underestimated', color: '#F6C244' },
+  { type: 'normal', label: 'Normal', color: '#4C9AFF' },
+  { type: 'good', label: 'Good', color: '#57D9A3' }
+];
+
+const RISK_LABELS = {
+  TIME_BOX_EXCEEDED: 'Time box exceeded',
+  DEADLINE_EXCEEDED: 'Deadline exceeded'
+};
+
+const formatDay = (dateStr) => (dateStr
+  ? new Date(dateStr).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: '2-digit' })
+  : '-');
+
+const JiraLink = ({ href, children }) => (
+  <a
+    href={href}
+    target="_blank"
+    rel="noopener noreferrer"
+    onClick={openLink(href)}
+    style={{ color: 'inherit', cursor: 'pointer' }}
+  >
+    {children}
+  </a>
+);
+
+const Section = ({ title, error, children }) => (
+  <div className="report-section">
+    <div className="report-section-title">{title}</div>
+    {error ? <p style={{ fontSize: '12px', color: '#AE2A19' }}>⚠️ {error}</p> : children}
+  </div>
+);
+
+const IssueTable = ({ rows, columns }) => (
+  rows.length === 0 ? (
+    <p style={{ fontSize: '12px', color: '#6B778C' }}>None</p>
+  ) : (
+    <table className="table">
+      <thead>
+        <tr>
+          {columns.map(c => (
+            <th key={c.label} style={{ textAlign: c.align || 'left' }}>{c.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, idx) => (
+          <tr key={`${row.key}-${idx}`}>
+            {columns.map(c => (
+              <td key={c.label} style={{ fontSize: '12px', textAlign: c.align || 'left' }}>{c.render(row)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+);
+
+/**
+ * SprintReportPage component
+ * Printable end-of-sprint summary (burndown, commitment, scope, health, risk, releases)
+ * for one sprint of a board. "Print / Save as PDF" uses the browser's print dialog;
+ * the pickers and buttons are hidden in print.
+ */
+const SprintReportPage = () => {
+  const [boards, setBoards] = useState([]);
+  const [boardId, setBoardId] = useState('');
+  const [sprintId, setSprintId] = useState('');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    Promise.all([invoke('getBoards'), invoke('getConfig')])
+      .then(([boardsResult, savedConfig]) => {
+        if (boardsResult.success) setBoards(boardsResult.boards);
+        else setError(boardsResult.error);
+        if (savedConfig?.boardId) setBoardId(String(savedConfig.boardId));
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  const loadReport = useCallback(async () => {
+    if (!boardId) return;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await invoke('getSprintReport', { boardId, sprintId: sprintId || undefined });
+      if (result.success) {
+        setReport(result.data);
+      } else {
+        setReport(null);
+        setError(result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [boardId, sprintId]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handleBoardChange = (value) => {
+    setBoardId(value);
+    setSprintId('');
+    setReport(null);
+  };
+
+  const { sprint, siteUrl, burndown, commitment, scope, health, risk, releases } = report || {};
+  const unit = burndown?.unit || 'h';
+  const keyColumn = { label: 'Key', render: r => <JiraLink href={issueUrl(siteUrl, r.key)}>{r.key}</JiraLink> };
+
+  return (
+    <div className="gadget" style={{ maxWidth: '800px', margin: '0 auto' }}>
+      {/* Controls */}
+      <div className="no-print" style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '16px' }}>
+        <select className="select" value={boardId} onChange={(e) => handleBoardChange(e.target.value)}>
+          <option value="">Select a board...</option>
+          {boards.map(b => (
+            <option key={b.id} value={String(b.id)}>{b.name}{b.projectKey ? ` (${b.projectKey})` : ''}</option>
+          ))}
+        </select>
+        {boardId && <SprintPicker boardId={boardId} value={sprintId} onChange={setSprintId} />}
+        <div style={{ flex: 1 }} />
+        <button className="btn btn-primary" onClick={() => window.print()} disabled={!report || loading}>
+          Print / Save as PDF
+        </button>
+      </div>
+
+      {loading && (
+        <div className="loading">
+          <div className="spinner"></div>
+          <p style={{ marginTop: '12px' }}>Building sprint report...</p>
+        </div>
+      )}
+
+      {!loading && error && <div className="error"><p>⚠️ {error}</p></div>}
+
+      {!loading && !boardId && (
+        <div className="empty-state">
+          <div className="empty-state-text">Select a board to build its sprint report</div>
+        </div>
+      )}
+
+      {!loading && report && (
+        <div>
+          {/* Title */}
+          <div style={{ borderBottom: '2px solid #0052CC', paddingBottom: '8px' }}>
+            <div style={{ fontSize: '20px', fontWeight: '600', color: '#172B4D' }}>
+              Sprint Report: <JiraLink href={sprintUrl(siteUrl, boardId, sprint.id)}>{sprint.name}</JiraLink>
+            </div>
+            <div style={{ fontSize: '12px', color: '#6B778C', marginTop: '4px' }}>
+              {formatDay(sprint.startDate)} – {formatDay(sprint.completeDate || sprint.endDate)}
+              {' · '}{sprint.state}
+              {' · '}generated {new Date(report.generatedAt).toLocaleString()}
+            </div>
+            {sprint.goal && (
+              <div style={{ fontSize: '13px', color: '#172B4D', marginTop: '6px' }}>Goal: {sprint.goal}</div>
+            )}
+          </div>
+
+          {/* Commitment */}
+          <Section title="Committed vs. completed" error={commitment.error}>
+            {!commitment.error && (
+              <>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '12px' }}>
+                  {[
+                    ['Committed', `${commitment.committed}h${commitment.committedSource !== 'baseline' ? '*' : ''}`],
+                    ['Completed', `${commitment.completed}h`],
+                    ['Scope added', `+${commitment.added}h`],
+                    ['Scope removed', `-${commitment.removed}h`],
+                    ['Done', commitment.completionRate != null ? `${commitment.completionRate}%` : '-']
+                  ].map(([label, value]) => (
+                    <div key={label} className="metric-card">
+                      <div className="metric-label">{label}</div>
+                      <div className="metric-value">{value}</div>
+                    </div>
+                  ))}
+                </div>
+                <p style={{ fontSize: '11px', color: '#6B778C', marginTop: '6px' }}>
+                  {commitment.completedIssueCount} issues completed, {commitment.carryOverIssueCount} carried over ({commitment.carryOver}h).
+                  {commitment.committedSource !== 'baseline' && ' * No baseline stored; commitment rebuilt from the sprint changelog.'}
+                </p>
+              </>
+            )}
+          </Section>
+
+          {/* Burndown */}
+          <Section title="Burndown" error={burndown.error}>
+            {!burndown.error && (
+              <>
+                <div dangerouslySetInnerHTML={{ __html: burndown.svg }} />
+                <p style={{ fontSize: '12px', color: '#5E6C84', marginTop: '6px' }}>
+                  Capacity {formatInUnit(burndown.maxCapacity, unit)} over {burndown.workingDays} working days
+                  {' · '}remaining {formatInUnit(burndown.currentRemaining, unit)}
+                  {' · '}logged {burndown.totalSpent}h
+                  {burndown.forecast?.projectedDate && ` · projected completion ${formatDay(burndown.forecast.projectedDate)}`}
+                </p>
+              </>
+            )}
+          </Section>
+
+          {/* Scope */}
+          <Section title={`Scope changes (+${scope.totalAdded ?? 0} / -${scope.totalRemoved ?? 0})`} error={scope.error}>
+            {!scope.error && ['added', 'removed'].map(type => (
+              <div key={type} style={{ marginBottom: '12px' }}>
+                <div style={{ fontSize: '12px', fontWeight: '600', color: '#5E6C84', margin: '6px 0' }}>
+                  {type === 'added' ? 'Added after start' : 'Removed'}
+                </div>
+                <IssueTable
+                  rows={scope[type]}
+                  columns={[
+                    keyColumn,
+                    { label: 'Summary', render: r => r.summary },
+                    { label: 'Assignee', render: r => r.assignee },
+                    { label: 'Date', render: r => formatDay(r.changeDate) },
+                    { label: 'Estimate', align: 'right', render: r => `${r.originalEstimate}h` }
+                  ]}
+                />
+              </div>
+            ))}
+          </Section>
+
+          {/* Health */}
+          <Section title="Sprint health" error={health.error}>
+            {!health.error && (
+              <div style={{ display: 'flex', gap: '12px' }}>
+                {HEALTH_BUCKETS.map(b => (
+                  <div key={b.type} className="metric-card" style={{ flex: 1, borderTop: `3px solid ${b.color}` }}>
+                    <div className="metric-label">{b.label}</div>
+                    <div className="metric-value">
+                      <JqlLink siteUrl={siteUrl} jql={health.jql?.[b.type]}>{health.counts[b.type]}</JqlLink>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Section>
+
+          {/* Risk */}
+          <Section title={`At-risk items (${risk.items?.length ?? 0})`} error={risk.error}>
+            {!risk.error && (
+              <IssueTable
+                rows={risk.items}
+                columns={[
+                  keyColumn,
+                  { label: 'Summary', render: r => r.summary },
+                  { label: 'Assignee', render: r => r.assignee },
+                  { label: 'Status', render: r => r.status },
+                  { label: 'Reason', render: r => RISK_LABELS[r.riskReason] || r.riskReason }
+                ]}
+              />
+            )}
+          </Section>
+
+          {/* Releases */}
+          <Section title="Release progress" error={releases.error}>
+            {!releases.error && (
+              <>
+                <IssueTable
+                  rows={releases.releases}
+                  columns={[
+                    { label: 'Release', render: r => r.name },
+                    { label: 'Release date', render: r => formatDay(r.releaseDate) },
+                    {
+                      label: 'Issues',
+                      align: 'right',
+                      render: r => (
+                        <>
+                          <JqlLink siteUrl={siteUrl} jql={r.doneJql}>{r.doneIssues}</JqlLink>
+                          /<JqlLink siteUrl={siteUrl} jql={r.jql}>{r.totalIssues}</JqlLink>
+                        </>
+                      )
+                    },
+                    { label: 'Estimate', align: 'right', render: r => `${formatInUnit(r.doneEstimate, releases.unit)} / ${formatInUnit(r.totalEstimate, releases.unit)}` },
+                    { label: 'Progress', align: 'right', render: r => `${r.progress}%` }
+                  ]}
+                />
+                {releases.unversionedCount > 0 && (
+                  <p style={{ fontSize: '11px', color: '#6B778C', marginTop: '6px' }}>
+                    {releases.unversionedCount} issue{releases.unversionedCount > 1 ? 's' : ''} without a release version
+                  </p>
+                )}
+              </>
+            )}
+          </Section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SprintReportPage;
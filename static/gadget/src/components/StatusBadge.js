@@ -0,0 +1,18 @@
+import React from 'react';
+
+const CATEGORY_CLASSES = {
+  done: 'badge-status-done',
+  indeterminate: 'badge-status-progress',
+  new: 'badge-status-todo'
+};
+
+/**
+ * StatusBadge component
+ * Colours a Jira status by its statusCategory ('new' | 'indeterminate' | 'done'), which
+ * the resolvers send with every issue (Jira category + the board's status mapping).
+ */
+const StatusBadge = ({ status, statusCategory }) => (
+  <span className={`badge ${CATEGORY_CLASSES[statusCategory] || CATEGORY_CLASSES.new}`}>{status}</span>
+);
+
+export default StatusBadge;
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import { invoke } from '@forge/bridge';
+
+const SEARCH_DELAY_MS = 300;
+
+const chipStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '4px',
+  padding: '2px 8px',
+  margin: '0 4px 4px 0',
+  background: '#DEEBFF',
+  borderRadius: '10px',
+  fontSize: '12px',
+  color: '#0747A6'
+};
+
+const inputStyle = {
+  padding: '6px 8px',
+  border: '2px solid #dfe1e6',
+  borderRadius: '3px',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  boxSizing: 'border-box'
+};
+
+/**
+ * TeamsEditor component
+ * Named groups of assignees (e.g. "Backend", "QA") offered by every gadget's
+ * assignee filter. Members are found with a Jira user search and stored by
+ * accountId. Controlled: changes are saved with the rest of the settings form.
+ */
+const TeamsEditor = ({ teams, onChange }) => {
+  const [newTeamName, setNewTeamName] = useState('');
+  // One member search at a time: the team being edited, its query and results
+  const [activeTeam, setActiveTeam] = useState(null);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searchError, setSearchError] = useState(null);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      invoke('searchUsers', { query })
+        .then(result => {
+          if (result.success) {
+            setResults(result.data);
+            setSearchError(null);
+          } else {
+            setSearchError(result.error || 'User search failed');
+          }
+        })
+        .catch(err => setSearchError(err.message));
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const updateTeam = (idx, changes) => {
+    onChange(teams.map((team, i) => (i === idx ? { ...team, ...changes } : team)));
+  };
+
+  const addTeam = () => {
+    const name = newTeamName.trim();
+    if (!name || teams.some(t => t.name.toLowerCase() === name.toLowerCase())) return;
+    onChange([...teams, { name, members: [] }]);
+    setNewTeamName('');
+  };
+
+  const addMember = (idx, user) => {
+    const team = teams[idx];
+    if (!team.members.some(m => m.accountId === user.accountId)) {
+      updateTeam(idx, { members: [...team.members, user] });
+    }
+    setQuery('');
+  };
+
+  const openSearch = (idx) => {
+    setActiveTeam(activeTeam === idx ? null : idx);
+    setQuery('');
+    setResults([]);
+  };
+
+  return (
+    <div>
+      {teams.map((team, idx) => (
+        <div key={idx} style={{ border: '1px solid #DFE1E6', borderRadius: '3px', padding: '8px', marginBottom: '8px' }}>
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '6px' }}>
+            <input
+              type="text"
+              value={team.name}
+              onChange={(e) => updateTeam(idx, { name: e.target.value })}
+              style={{ ...inputStyle, flex: 1, fontWeight: '600' }}
+            />
+            <button className="btn btn-secondary" onClick={() => openSearch(idx)}>
+              {activeTeam === idx ? 'Done' : '+ Member'}
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => onChange(teams.filter((_, i) => i !== idx))}
+              title="Remove team"
+            >
+              ✕
+            </button>
+          </div>
+
+          <div>
+            {team.members.length === 0 && (
+              <span style={{ fontSize: '12px', color: '#6B778C' }}>No members yet</span>
+            )}
+            {team.members.map(member => (
+              <span key={member.accountId} style={chipStyle}>
+                {member.displayName}
+                <span
+                  onClick={() => updateTeam(idx, { members: team.members.filter(m => m.accountId !== member.accountId) })}
+                  style={{ cursor: 'pointer', color: '#6B778C' }}
+                  title="Remove member"
+                >
+                  ✕
+                </span>
+              </span>
+            ))}
+          </div>
+
+          {activeTeam === idx && (
+            <div style={{ marginTop: '6px' }}>
+              <input
+                type="text"
+                value={query}
+                placeholder="Search people by name or email"
+                onChange={(e) => setQuery(e.target.value)}
+                style={{ ...inputStyle, width: '100%' }}
+                autoFocus
+              />
+              {searchError && <div style={{ fontSize: '11px', color: '#de350b', marginTop: '4px' }}>{searchError}</div>}
+              {results.map(user => (
+                <div
+                  key={user.accountId}
+                  onClick={() => addMember(idx, user)}
+                  style={{ padding: '4px 8px', fontSize: '12px', cursor: 'pointer', color: '#172B4D' }}
+                  onMouseEnter={(e) => { e.currentTarget.style.background = '#F4F5F7'; }}
+                  onMouseLeave={(e) => { e.currentTarget.style.background = 'transparent'; }}
+                >
+                  {user.displayName}
+                  {team.members.some(m => m.accountId === user.accountId) && ' ✓'}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <input
+          type="text"
+          value={newTeamName}
+          placeholder="New team, e.g. Backend"
+          onChange={(e) => setNewTeamName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') addTeam(); }}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button className="btn btn-secondary" onClick={addTeam} disabled={!newTeamName.trim()}>
+          + Add team
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TeamsEditor;
@@ -0,0 +1,246 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { invoke } from '@forge/bridge';
+import GadgetWrapper from './GadgetWrapper';
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend,
+} from 'recharts';
+
+const SPRINT_COUNT_OPTIONS = [3, 6, 9, 12];
+
+/**
+ * VelocityGadget component
+ * Commitment vs. completed hours over the board's last N closed sprints,
+ * with scope added / removed, carry-over and a rolling average of completed hours.
+ */
+const VelocityGadget = () => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [config, setConfig] = useState({ boardId: null });
+  const [sprintCount, setSprintCount] = useState(6);
+
+  const loadConfig = useCallback(async () => {
+    try {
+      const savedConfig = await invoke('getConfig');
+      if (savedConfig?.boardId) {
+        setConfig(savedConfig);
+      }
+    } catch (err) {
+      console.error('Error loading config:', err);
+    }
+  }, []);
+
+  const loadData = useCallback(async () => {
+    if (!config.boardId) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await invoke('getVelocityData', {
+        boardId: config.boardId,
+        sprintCount
+      });
+
+      if (result.success) {
+        setData(result.data);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [config.boardId, sprintCount]);
+
+  useEffect(() => {
+    loadConfig();
+  }, [loadConfig]);
+
+  useEffect(() => {
+    if (config.boardId) {
+      loadData();
+    }
+  }, [config.boardId, loadData]);
+
+  if (!config.boardId && !loading) {
+    return (
+      <GadgetWrapper
+        gadgetTitle="Sprint Velocity"
+        gadgetSubtitle=""
+        onConfigChange={loadConfig}
+      >
+        <div className="gadget" />
+      </GadgetWrapper>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p style={{ marginTop: '12px' }}>Loading velocity...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="error">
+        <p>⚠️ {error}</p>
+        <button className="btn btn-secondary" style={{ marginTop: '12px' }} onClick={loadData}>
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!data) return null;
+
+  const {
+    sprints,
+    rollingWindow,
+    averageCommitted,
+    averageCompleted,
+    averageCarryOver,
+    suggestedCapacity
+  } = data;
+
+  const chartData = sprints.map(s => ({
+    ...s,
+    removedNegative: s.removed > 0 ? -s.removed : 0
+  }));
+
+  return (
+    <GadgetWrapper
+      gadgetTitle="Sprint Velocity"
+      gadgetSubtitle={`Last ${sprints.length} closed sprints`}
+      onConfigChange={loadConfig}
+    >
+      <div className="gadget">
+      {/* Header */}
+      <div className="gadget-header">
+        <div>
+          <div className="gadget-title">Sprint Velocity</div>
+          <div className="gadget-subtitle">Last {sprints.length} closed sprints</div>
+        </div>
+        <select
+          className="select"
+          value={sprintCount}
+          onChange={(e) => setSprintCount(parseInt(e.target.value))}
+        >
+          {SPRINT_COUNT_OPTIONS.map(n => (
+            <option key={n} value={n}>Last {n} sprints</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Metrics Summary */}
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))',
+        gap: '12px',
+        padding: '12px 0',
+        borderBottom: '1px solid #DFE1E6'
+      }}>
+        <div className="metric-card">
+          <div className="metric-label">Avg Committed</div>
+          <div className="metric-value">{averageCommitted}h</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Avg Completed</div>
+          <div className="metric-value">{averageCompleted}h</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Avg Carry-over</div>
+          <div className="metric-value">{averageCarryOver}h</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Next Sprint Capacity</div>
+          <div className="metric-value" style={{ color: '#0052CC' }}>{suggestedCapacity}h</div>
+        </div>
+      </div>
+
+      {/* Chart */}
+      <div className="chart-container" style={{ height: '320px', marginTop: '20px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f4f5f7" />
+            <XAxis dataKey="sprintName" tick={{ fontSize: 11, fill: '#6b778c' }} />
+            <YAxis tick={{ fontSize: 11, fill: '#6b778c' }} unit="h" />
+            <Tooltip formatter={(value, name) => [`${Math.abs(value)}h`, name]} />
+            <Legend wrapperStyle={{ fontSize: '12px' }} />
+            <Bar dataKey="committed" name="Committed" fill="#B3D4FF" />
+            <Bar dataKey="completed" name="Completed" fill="#57D9A3" />
+            <Bar dataKey="added" name="Scope Added" fill="#FFD666" />
+            <Bar dataKey="removedNegative" name="Scope Removed" fill="#FF8F73" />
+            <Bar dataKey="carryOver" name="Carry-over" fill="#C1C7D0" />
+            <Line
+              type="monotone"
+              dataKey="rollingAverage"
+              name={`Rolling Avg (${rollingWindow} sprints)`}
+              stroke="#0052CC"
+              strokeWidth={2}
+              dot={{ r: 3 }}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Per-sprint table */}
+      <table className="table" style={{ marginTop: '16px' }}>
+        <thead>
+          <tr>
+            <th>Sprint</th>
+            <th style={{ textAlign: 'right' }}>Committed</th>
+            <th style={{ textAlign: 'right' }}>Completed</th>
+            <th style={{ textAlign: 'right' }}>Added</th>
+            <th style={{ textAlign: 'right' }}>Removed</th>
+            <th style={{ textAlign: 'right' }}>Carry-over</th>
+            <th style={{ textAlign: 'right' }}>Done %</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sprints.map(s => (
+            <tr key={s.sprintId}>
+              <td style={{ fontSize: '12px' }}>{s.sprintName}</td>
+              <td
+                style={{ textAlign: 'right', fontSize: '12px' }}
+                title={s.committedSource === 'baseline' ? 'From sprint-start baseline' : 'No baseline stored: rebuilt from the sprint changelog'}
+              >
+                {s.committed}h{s.committedSource !== 'baseline' ? '*' : ''}
+              </td>
+              <td style={{ textAlign: 'right', fontSize: '12px' }}>{s.completed}h</td>
+              <td style={{ textAlign: 'right', fontSize: '12px' }}>{s.added > 0 ? `+${s.added}h` : '-'}</td>
+              <td style={{ textAlign: 'right', fontSize: '12px' }}>{s.removed > 0 ? `-${s.removed}h` : '-'}</td>
+              <td style={{ textAlign: 'right', fontSize: '12px' }}>{s.carryOver}h</td>
+              <td style={{ textAlign: 'right', fontSize: '12px', fontWeight: '600' }}>
+                {s.completionRate != null ? `${s.completionRate}%` : '-'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {sprints.some(s => s.committedSource !== 'baseline') && (
+        <p style={{ fontSize: '11px', color: '#6b778c', marginTop: '8px' }}>
+          * No baseline was stored for this sprint; commitment is rebuilt from the sprint changelog (current estimates without the scope and estimate changes made during the sprint).
+        </p>
+      )}
+      </div>
+    </GadgetWrapper>
+  );
+};
+
+export default VelocityGadget;
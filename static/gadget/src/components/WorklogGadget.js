@@ -0,0 +1,351 @@
+import React, { useEffect, useState, useCallback } from 'react';
+import { invoke } from '@forge/bridge';
+import GadgetWrapper from './GadgetWrapper';
+import SprintPicker from './SprintPicker';
+import AssigneeFilter, { EMPTY_ASSIGNEE_FILTER, assigneeFilterLabel, assigneeFilterPayload } from './AssigneeFilter';
+import { issueUrl, openLink, useSiteUrl } from './jiraLinks';
+import ExportMenu, { exportFilename } from './ExportMenu';
+
+// Cell colours by the resolver's day flags
+const FLAG_STYLES = {
+  none: { background: '#FFEBE6', color: '#AE2A19' },
+  over: { background: '#FFF0B3', color: '#974F0C' }
+};
+
+const cellStyle = {
+  textAlign: 'center',
+  fontSize: '11px',
+  padding: '4px 6px',
+  whiteSpace: 'nowrap'
+};
+
+const swatchStyle = {
+  display: 'inline-block',
+  width: '10px',
+  height: '10px',
+  borderRadius: '2px',
+  verticalAlign: 'middle'
+};
+
+/**
+ * WorklogGadget component
+ * Timesheet of the sprint's worklogs: person × day of the sprint window, by worklog
+ * author. Days without logging or over the daily hours are highlighted; a row opens
+ * the issues the time went to. Worklogs dated outside the sprint window are listed
+ * below the matrix instead of in it.
+ */
+const WorklogGadget = () => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [config, setConfig] = useState({ boardId: null });
+  const siteUrl = useSiteUrl(config.boardId);
+  const [selectedSprintId, setSelectedSprintId] = useState('');
+  const [assigneeFilter, setAssigneeFilter] = useState(EMPTY_ASSIGNEE_FILTER);
+  const [expandedRow, setExpandedRow] = useState(null);
+  const [showOutside, setShowOutside] = useState(false);
+
+  const loadConfig = useCallback(async () => {
+    try {
+      const savedConfig = await invoke('getConfig');
+      if (savedConfig?.boardId) {
+        setConfig(savedConfig);
+      }
+    } catch (err) {
+      console.error('Error loading config:', err);
+    }
+  }, []);
+
+  const loadData = useCallback(async () => {
+    if (!config.boardId) {
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await invoke('getWorklogAnalytics', {
+        boardId: config.boardId,
+        sprintId: selectedSprintId || undefined,
+        ...assigneeFilterPayload(assigneeFilter)
+      });
+
+      if (result.success) {
+        setData(result.data);
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [config.boardId, selectedSprintId, assigneeFilter]);
+
+  useEffect(() => {
+    loadConfig();
+  }, [loadConfig]);
+
+  useEffect(() => {
+    if (config.boardId) {
+      loadData();
+    }
+  }, [config.boardId, loadData]);
+
+  if (!config.boardId && !loading) {
+    return (
+      <GadgetWrapper
+        gadgetTitle="Worklog Timesheet"
+        gadgetSubtitle=""
+        onConfigChange={loadConfig}
+      >
+        <div className="gadget" />
+      </GadgetWrapper>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p style={{ marginTop: '12px' }}>Loading worklogs...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="error">
+        <p>⚠️ {error}</p>
+        <button className="btn btn-secondary" style={{ marginTop: '12px' }} onClick={loadData}>
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!data) return null;
+
+  const { sprintName, hoursPerDay, days, rows, totalsByDate, total, outsideWindow, outsideWindowHours } = data;
+
+  const issueLink = (key) => (
+    <a
+      href={issueUrl(siteUrl, key)}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={(e) => { e.stopPropagation(); openLink(issueUrl(siteUrl, key))(e); }}
+      className="issue-key"
+      style={{ cursor: 'pointer' }}
+    >
+      {key}
+    </a>
+  );
+
+  const dayCellStyle = (day, flag, onLeave) => ({
+    ...cellStyle,
+    ...(day.workingDay ? {} : { background: '#F4F5F7', color: '#97A0AF' }),
+    ...(onLeave ? { background: '#F4F5F7', color: '#97A0AF' } : {}),
+    ...(flag ? FLAG_STYLES[flag] : {})
+  });
+
+  const getExportSheets = () => [
+    {
+      name: 'Timesheet',
+      columns: [
+        { key: 'displayName', label: 'Person' },
+        ...days.map(day => ({ key: day.date, label: day.date })),
+        { key: 'total', label: 'Total (h)' },
+        { key: 'zeroDays', label: 'Days without logging' },
+        { key: 'overDays', label: 'Days over daily hours' }
+      ],
+      rows: rows.map(row => ({ ...row, ...row.byDate }))
+    },
+    {
+      name: 'Issues',
+      columns: [
+        { key: 'person', label: 'Person' },
+        { key: 'key', label: 'Key' },
+        { key: 'summary', label: 'Summary' },
+        { key: 'hours', label: 'Hours' }
+      ],
+      rows: rows.flatMap(row => row.issues.map(issue => ({ ...issue, person: row.displayName })))
+    },
+    {
+      name: 'Outside window',
+      columns: [
+        { key: 'date', label: 'Date' },
+        { key: 'author', label: 'Person' },
+        { key: 'key', label: 'Key' },
+        { key: 'summary', label: 'Summary' },
+        { key: 'hours', label: 'Hours' },
+        { key: 'position', label: 'Before / after sprint' },
+        { key: 'sprintName', label: 'Sprint' }
+      ],
+      rows: outsideWindow
+    }
+  ];
+
+  return (
+    <GadgetWrapper
+      gadgetTitle="Worklog Timesheet"
+      gadgetSubtitle={sprintName}
+      onConfigChange={loadConfig}
+    >
+      <div className="gadget">
+      <div className="gadget-header">
+        <div>
+          <div className="gadget-title">Worklog Timesheet</div>
+          <div className="gadget-subtitle">{sprintName}</div>
+        </div>
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+          <ExportMenu filename={exportFilename('Worklogs', sprintName, assigneeFilterLabel(assigneeFilter))} getSheets={getExportSheets} />
+          <AssigneeFilter boardId={config.boardId} value={assigneeFilter} onChange={setAssigneeFilter} />
+          <SprintPicker
+            boardId={config.boardId}
+            value={selectedSprintId}
+            onChange={setSelectedSprintId}
+          />
+          <span className="count-badge">{total}h logged</span>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px', fontSize: '11px', color: '#6B778C', margin: '4px 0 8px' }}>
+        <span><span style={{ ...swatchStyle, background: FLAG_STYLES.none.background }} /> no time logged</span>
+        <span><span style={{ ...swatchStyle, background: FLAG_STYLES.over.background }} /> over {hoursPerDay}h/day (roster hours when set)</span>
+        <span><span style={{ ...swatchStyle, background: '#F4F5F7' }} /> weekend, holiday or leave</span>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-state-icon">-</div>
+          <div className="empty-state-text">No worklogs in this sprint</div>
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Person</th>
+                {days.map(day => (
+                  <th key={day.date} style={{ ...cellStyle, fontWeight: '600', color: day.workingDay ? undefined : '#97A0AF' }}>
+                    {day.displayDate}
+                  </th>
+                ))}
+                <th style={{ textAlign: 'right' }}>Total</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => {
+                const expanded = expandedRow === row.accountId;
+                const leave = new Set(row.leaveDates);
+                return (
+                  <React.Fragment key={row.accountId}>
+                    <tr
+                      onClick={() => setExpandedRow(expanded ? null : row.accountId)}
+                      style={{ cursor: row.issues.length > 0 ? 'pointer' : 'default' }}
+                      title={row.issues.length > 0 ? 'Show the issues this time was logged on' : undefined}
+                    >
+                      <td style={{ fontSize: '12px', whiteSpace: 'nowrap' }}>
+                        {row.issues.length > 0 && <span style={{ color: '#6B778C' }}>{expanded ? '▾ ' : '▸ '}</span>}
+                        {row.displayName}
+                      </td>
+                      {days.map(day => {
+                        const hours = row.byDate[day.date];
+                        const flag = row.flags[day.date];
+                        return (
+                          <td key={day.date} style={dayCellStyle(day, flag, leave.has(day.date))}>
+                            {hours ? `${hours}` : flag === 'none' ? '0' : '–'}
+                          </td>
+                        );
+                      })}
+                      <td style={{ textAlign: 'right', fontSize: '12px', fontWeight: '600' }}>{row.total}h</td>
+                    </tr>
+                    {expanded && row.issues.map(issue => (
+                      <tr key={`${row.accountId}-${issue.key}`} style={{ background: '#FAFBFC' }}>
+                        <td style={{ paddingLeft: '20px', maxWidth: '220px' }}>
+                          {issueLink(issue.key)}
+                          <div style={{ fontSize: '11px', color: '#6b778c', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                            {issue.summary}
+                          </div>
+                        </td>
+                        {days.map(day => (
+                          <td key={day.date} style={{ ...cellStyle, color: '#5E6C84' }}>
+                            {issue.byDate[day.date] || ''}
+                          </td>
+                        ))}
+                        <td style={{ textAlign: 'right', fontSize: '11px' }}>{issue.hours}h</td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                );
+              })}
+              <tr style={{ borderTop: '2px solid #DFE1E6' }}>
+                <td style={{ fontSize: '12px', fontWeight: '600' }}>Total</td>
+                {days.map(day => (
+                  <td key={day.date} style={{ ...cellStyle, fontWeight: '600' }}>
+                    {totalsByDate[day.date] || ''}
+                  </td>
+                ))}
+                <td style={{ textAlign: 'right', fontSize: '12px', fontWeight: '600' }}>{total}h</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Worklogs dated outside the sprint window */}
+      {outsideWindow.length > 0 && (
+        <div style={{
+          marginTop: '12px',
+          padding: '8px 12px',
+          background: '#FFF4E5',
+          border: '1px solid #FFE2BD',
+          borderRadius: '3px',
+          fontSize: '12px',
+          color: '#42526E'
+        }}>
+          <div
+            onClick={() => setShowOutside(!showOutside)}
+            style={{ cursor: 'pointer' }}
+          >
+            {showOutside ? '▾' : '▸'} {outsideWindow.length} worklog{outsideWindow.length === 1 ? '' : 's'}
+            {' '}({outsideWindowHours}h) logged outside the sprint window, not counted above
+          </div>
+          {showOutside && (
+            <table className="table" style={{ marginTop: '8px' }}>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Person</th>
+                  <th>Work</th>
+                  <th style={{ textAlign: 'right' }}>Hours</th>
+                </tr>
+              </thead>
+              <tbody>
+                {outsideWindow.map((wl, idx) => (
+                  <tr key={`${wl.key}-${wl.date}-${idx}`}>
+                    <td style={{ fontSize: '11px', whiteSpace: 'nowrap' }}>
+                      {wl.date}
+                      <span style={{ color: '#6B778C' }}> ({wl.position} {wl.sprintName})</span>
+                    </td>
+                    <td style={{ fontSize: '11px' }}>{wl.author}</td>
+                    <td>
+                      {issueLink(wl.key)}
+                      <span style={{ fontSize: '11px', color: '#6b778c', marginLeft: '6px' }}>{wl.summary}</span>
+                    </td>
+                    <td style={{ textAlign: 'right', fontSize: '11px' }}>{wl.hours}h</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+    </GadgetWrapper>
+  );
+};
+
+export default WorklogGadget;
@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import { invoke, router } from '@forge/bridge';
+
+// Links are built on the site URL the resolvers derive (settings override, Forge
+// context or serverInfo). Until it is known they stay relative to the Jira page.
+
+export const issueUrl = (siteUrl, key) => `${siteUrl || ''}/browse/${encodeURIComponent(key)}`;
+
+// Sprint report of a board's sprint
+export const sprintUrl = (siteUrl, boardId, sprintId) =>
+  `${siteUrl || ''}/secure/RapidBoard.jspa?rapidView=${encodeURIComponent(boardId)}`
+  + `&view=reporting&chart=sprintRetrospective&sprint=${encodeURIComponent(sprintId)}`;
+
+// Issue navigator for a JQL query
+export const jqlUrl = (siteUrl, jql) => `${siteUrl || ''}/issues/?jql=${encodeURIComponent(jql)}`;
+
+export const sprintIssuesUrl = (siteUrl, sprintIds) =>
+  jqlUrl(siteUrl, `sprint in (${sprintIds.join(', ')}) ORDER BY rank`);
+
+// Keeps the anchor's href for copy / middle-click but navigates through the bridge,
+// which the gadget iframe needs to leave the sandbox
+export const openLink = (url) => (e) => {
+  e.preventDefault();
+  router.open(url);
+};
+
+export const useSiteUrl = (boardId) => {
+  const [siteUrl, setSiteUrl] = useState('');
+
+  useEffect(() => {
+    invoke('getSiteInfo', { boardId: boardId || null })
+      .then(result => {
+        if (result.success) setSiteUrl(result.data.baseUrl);
+      })
+      .catch(err => console.error('[useSiteUrl] Error loading site URL:', err));
+  }, [boardId]);
+
+  return siteUrl;
+};
+
+/**
+ * JqlLink component
+ * Wraps a gadget number so it opens the issue navigator on the JQL the resolver
+ * counted it with. Clicks don't reach the parent (which usually expands a table).
+ * Without a JQL (empty set) the number renders as plain text.
+ */
+export const JqlLink = ({ siteUrl, jql, title, style, children }) => {
+  if (!jql) return <span style={style}>{children}</span>;
+  const url = jqlUrl(siteUrl, jql);
+  return (
+    <a
+      href={url}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={title || 'Open these issues in Jira'}
+      onClick={(e) => { e.stopPropagation(); openLink(url)(e); }}
+      style={{ color: 'inherit', textDecoration: 'none', cursor: 'pointer', ...style }}
+    >
+      {children}
+    </a>
+  );
+};
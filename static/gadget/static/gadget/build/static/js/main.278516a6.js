@@ -1,3 +0,0 @@
-/*! For license information please see main.278516a6.js.LICENSE.txt */
-(()=>{var e={6801(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getCallBridge=void 0;const r=n(5403);t.getCallBridge=()=>{if(!(null===(e=window.__bridge)||void 0===e?void 0:e.callBridge))throw new r.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}},5403(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.BridgeAPIError=void 0;class n extends Error{}t.BridgeAPIError=n},1501(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.events=void 0;const r=(0,n(6801).getCallBridge)();t.events={emit:(e,t)=>r("emit",{event:e,payload:t}),on:(e,t)=>r("on",{event:e,callback:t})}},46(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(1501),t)},9713(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.productFetchApi=void 0;const r=n(6326),o=n(1814),i=e=>r.__awaiter(void 0,void 0,void 0,function*(){const t=(null===e||void 0===e?void 0:e.body)instanceof FormData,n=t?yield(i=null===e||void 0===e?void 0:e.body,r.__awaiter(void 0,void 0,void 0,function*(){const e={};for(const[t,n]of i.entries())if("file"===t){const t=n.name,r=n.type;e.file=yield(0,o.blobToBase64)(n),e.__fileName=t,e.__fileType=r}else e[t]=n;return JSON.stringify(e)})):null===e||void 0===e?void 0:e.body;var i;const a=new Request("",{body:n,method:null===e||void 0===e?void 0:e.method,headers:null===e||void 0===e?void 0:e.headers}),l=Object.fromEntries(a.headers.entries());return{body:"GET"!==a.method?yield a.text():null,headers:new Headers(l),isMultipartFormData:t}});t.productFetchApi=e=>{const t=(t,n,a)=>r.__awaiter(void 0,void 0,void 0,function*(){const{body:r,headers:l,isMultipartFormData:u}=yield i(a);l.has("X-Atlassian-Token")||l.set("X-Atlassian-Token","no-check");const c={product:t,restPath:n,fetchRequestInit:Object.assign(Object.assign({},a),{body:r,headers:[...l.entries()]}),isMultipartFormData:u},{body:s,headers:f,statusText:d,status:p,isAttachment:h}=yield e("fetchProduct",c),y=h?(0,o.base64ToBlob)(s,f["content-type"]):s;return new Response(y||null,{headers:f,status:p,statusText:d})});return{requestConfluence:(e,n)=>t("confluence",e,n),requestJira:(e,n)=>t("jira",e,n),requestBitbucket:(e,n)=>t("bitbucket",e,n)}}},8145(e,t,n){"use strict";var r;Object.defineProperty(t,"__esModule",{value:!0}),t.requestBitbucket=t.requestJira=t.requestConfluence=void 0;const o=n(6801);r=(0,n(9713).productFetchApi)((0,o.getCallBridge)()),t.requestConfluence=r.requestConfluence,t.requestJira=r.requestJira,t.requestBitbucket=r.requestBitbucket},4331(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)();t.showFlag=e=>{var t;if(!e.id)throw new i.BridgeAPIError('"id" must be defined in flag options');const n=a("showFlag",Object.assign(Object.assign({},e),{type:null!==(t=e.type)&&void 0!==t?t:"info"}));return{close:()=>r.__awaiter(void 0,void 0,void 0,function*(){return yield n,a("closeFlag",{id:e.id})})}}},4353(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var r=n(4331);Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return r.showFlag}})},870(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});const r=n(6326);r.__exportStar(n(3091),t),r.__exportStar(n(4732),t),r.__exportStar(n(5566),t),r.__exportStar(n(7534),t),r.__exportStar(n(856),t),r.__exportStar(n(8145),t),r.__exportStar(n(4353),t),r.__exportStar(n(46),t)},1298(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getFrameId=void 0;const r=(0,n(6801).getCallBridge)();t.getFrameId=()=>r("getFrameId")},4732(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(8189),t)},8189(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invokeRemote=void 0;const r=n(6326),o=n(6801),i=n(5403),a=n(1728),l=(0,o.getCallBridge)();t.invokeRemote=(0,a.withRateLimiter)(e=>r.__awaiter(void 0,void 0,void 0,function*(){var t;(e=>{if(e&&Object.values(e).some(e=>"function"===typeof e))throw new i.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:n,payload:r,error:o}=null!==(t=yield l("invoke",e))&&void 0!==t?t:{},a=Object.assign({},n?r:o);if(a&&a.headers)for(const e in a.headers)Array.isArray(a.headers[e])&&(a.headers[e]=a.headers[e].join(","));return a}),500,25e3,"Remote invocation calls are rate limited at 500req/25s")},3091(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(7039),t)},7039(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invoke=void 0;const r=n(6801),o=n(5403),i=n(1728),a=(0,r.getCallBridge)();t.invoke=(0,i.withRateLimiter)((e,t)=>{if("string"!==typeof e)throw new o.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"===typeof e))throw new o.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),a("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")},856(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(8537),t)},8537(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Modal=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)(),l=()=>{};t.Modal=class{constructor(e){var t,n;this.resource=(null===e||void 0===e?void 0:e.resource)||null,this.onClose=(null===e||void 0===e?void 0:e.onClose)||l,this.size=(null===e||void 0===e?void 0:e.size)||"medium",this.context=(null===e||void 0===e?void 0:e.context)||{},this.closeOnEscape=null===(t=null===e||void 0===e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(n=null===e||void 0===e?void 0:e.closeOnOverlayClick)||void 0===n||n}open(){return r.__awaiter(this,void 0,void 0,function*(){try{if(!1===(yield a("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick})))throw new i.BridgeAPIError("Unable to open modal.")}catch(e){throw new i.BridgeAPIError("Unable to open modal.")}})}}},7534(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(1933),t)},1933(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.router=void 0;const r=n(6326),o=(0,n(6801).getCallBridge)();t.router={navigate:e=>r.__awaiter(void 0,void 0,void 0,function*(){return o("navigate",{url:e,type:"same-tab"})}),open:e=>r.__awaiter(void 0,void 0,void 0,function*(){return o("navigate",{url:e,type:"new-tab"})}),reload:()=>r.__awaiter(void 0,void 0,void 0,function*(){return o("reload")})}},1814(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.blobToBase64=t.base64ToBlob=void 0;t.base64ToBlob=(e,t)=>{if(!e)return null;const n=e.includes(";base64")?e.split(",")[1]:e,r=atob(n),o=new Array(r.length);for(let a=0;a<r.length;a++)o[a]=r.charCodeAt(a);const i=new Uint8Array(o);return new Blob([i],{type:t})};t.blobToBase64=e=>new Promise((t,n)=>{const r=new FileReader;r.onloadend=()=>{t(r.result)},r.onerror=n,r.readAsDataURL(e)})},1728(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.withRateLimiter=void 0;const r=n(6326),o=n(5403);t.withRateLimiter=(e,t,n,i)=>{let a=Date.now(),l=0;return function(){for(var u=arguments.length,c=new Array(u),s=0;s<u;s++)c[s]=arguments[s];return r.__awaiter(void 0,void 0,void 0,function*(){const r=Date.now();if(r-a>n&&(a=r,l=0),l>=t)throw new o.BridgeAPIError(i||"Too many invocations.");return l+=1,e(...c)})}}},3678(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.close=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)();t.close=e=>r.__awaiter(void 0,void 0,void 0,function*(){try{if(!1===(yield a("close",e)))throw new i.BridgeAPIError("this resource's view is not closable.")}catch(t){throw new i.BridgeAPIError("this resource's view is not closable.")}})},3194(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createHistory=void 0;const r=n(6326),o=(0,n(6801).getCallBridge)();t.createHistory=()=>r.__awaiter(void 0,void 0,void 0,function*(){const e=yield o("createHistory");return e.listen(t=>{e.location=t}),e})},3731(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.frame=void 0;const r=n(6326),o=n(1298),i=n(46),a=(e,t)=>"frame:".concat(e,":").concat(t);t.frame={onPropsUpdate:e=>r.__awaiter(void 0,void 0,void 0,function*(){const t=yield(0,o.getFrameId)();if(!t)throw new Error("Frame could not be found, please ensure the custom props enabled Frame component is set up correctly.");const n=i.events.on(a("props",t),e);return i.events.emit(a("loaded",t),{loaded:!0}),()=>r.__awaiter(void 0,void 0,void 0,function*(){(yield n).unsubscribe()})})}},5831(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getContext=void 0;const r=(0,n(6801).getCallBridge)();t.getContext=()=>r("getContext")},5566(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(7229),t)},7341(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.refresh=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)();t.refresh=e=>r.__awaiter(void 0,void 0,void 0,function*(){if(!1===(yield a("refresh",e)))throw new i.BridgeAPIError("this resource's view is not refreshable.")})},8052(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.submit=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)();t.submit=e=>r.__awaiter(void 0,void 0,void 0,function*(){if(!1===(yield a("submit",e)))throw new i.BridgeAPIError("this resource's view is not submittable.")})},7615(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.theme=void 0;const r=(0,n(6801).getCallBridge)();t.theme={enable:()=>r("enableTheming")}},7229(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const r=n(8052),o=n(3678),i=n(7341),a=n(3194),l=n(5831),u=n(7615),c=n(3731);t.view={submit:r.submit,close:o.close,refresh:i.refresh,createHistory:a.createHistory,getContext:l.getContext,theme:u.theme,frame:c.frame}},8210(e,t,n){var r;!function(){"use strict";var o,i=1e9,a={precision:20,rounding:4,toExpNeg:-7,toExpPos:21,LN10:"2.302585092994045684017991454684364207601101488628772976033327900967572609677352480235997205089598298341967784042286"},l=!0,u="[DecimalError] ",c=u+"Invalid argument: ",s=u+"Exponent out of range: ",f=Math.floor,d=Math.pow,p=/^(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i,h=1e7,y=9007199254740991,v=f(1286742750677284.5),m={};function g(e,t){var n,r,o,i,a,u,c,s,f=e.constructor,d=f.precision;if(!e.s||!t.s)return t.s||(t=new f(e)),l?_(t,d):t;if(c=e.d,s=t.d,a=e.e,o=t.e,c=c.slice(),i=a-o){for(i<0?(r=c,i=-i,u=s.length):(r=s,o=a,u=c.length),i>(u=(a=Math.ceil(d/7))>u?a+1:u+1)&&(i=u,r.length=1),r.reverse();i--;)r.push(0);r.reverse()}for((u=c.length)-(i=s.length)<0&&(i=u,r=s,s=c,c=r),n=0;i;)n=(c[--i]=c[i]+s[i]+n)/h|0,c[i]%=h;for(n&&(c.unshift(n),++o),u=c.length;0==c[--u];)c.pop();return t.d=c,t.e=o,l?_(t,d):t}function b(e,t,n){if(e!==~~e||e<t||e>n)throw Error(c+e)}function x(e){var t,n,r,o=e.length-1,i="",a=e[0];if(o>0){for(i+=a,t=1;t<o;t++)(n=7-(r=e[t]+"").length)&&(i+=k(n)),i+=r;(n=7-(r=(a=e[t])+"").length)&&(i+=k(n))}else if(0===a)return"0";for(;a%10===0;)a/=10;return i+a}m.absoluteValue=m.abs=function(){var e=new this.constructor(this);return e.s&&(e.s=1),e},m.comparedTo=m.cmp=function(e){var t,n,r,o,i=this;if(e=new i.constructor(e),i.s!==e.s)return i.s||-e.s;if(i.e!==e.e)return i.e>e.e^i.s<0?1:-1;for(t=0,n=(r=i.d.length)<(o=e.d.length)?r:o;t<n;++t)if(i.d[t]!==e.d[t])return i.d[t]>e.d[t]^i.s<0?1:-1;return r===o?0:r>o^i.s<0?1:-1},m.decimalPlaces=m.dp=function(){var e=this,t=e.d.length-1,n=7*(t-e.e);if(t=e.d[t])for(;t%10==0;t/=10)n--;return n<0?0:n},m.dividedBy=m.div=function(e){return w(this,new this.constructor(e))},m.dividedToIntegerBy=m.idiv=function(e){var t=this.constructor;return _(w(this,new t(e),0,1),t.precision)},m.equals=m.eq=function(e){return!this.cmp(e)},m.exponent=function(){return S(this)},m.greaterThan=m.gt=function(e){return this.cmp(e)>0},m.greaterThanOrEqualTo=m.gte=function(e){return this.cmp(e)>=0},m.isInteger=m.isint=function(){return this.e>this.d.length-2},m.isNegative=m.isneg=function(){return this.s<0},m.isPositive=m.ispos=function(){return this.s>0},m.isZero=function(){return 0===this.s},m.lessThan=m.lt=function(e){return this.cmp(e)<0},m.lessThanOrEqualTo=m.lte=function(e){return this.cmp(e)<1},m.logarithm=m.log=function(e){var t,n=this,r=n.constructor,i=r.precision,a=i+5;if(void 0===e)e=new r(10);else if((e=new r(e)).s<1||e.eq(o))throw Error(u+"NaN");if(n.s<1)throw Error(u+(n.s?"NaN":"-Infinity"));return n.eq(o)?new r(0):(l=!1,t=w(P(n,a),P(e,a),a),l=!0,_(t,i))},m.minus=m.sub=function(e){var t=this;return e=new t.constructor(e),t.s==e.s?A(t,e):g(t,(e.s=-e.s,e))},m.modulo=m.mod=function(e){var t,n=this,r=n.constructor,o=r.precision;if(!(e=new r(e)).s)throw Error(u+"NaN");return n.s?(l=!1,t=w(n,e,0,1).times(e),l=!0,n.minus(t)):_(new r(n),o)},m.naturalExponential=m.exp=function(){return j(this)},m.naturalLogarithm=m.ln=function(){return P(this)},m.negated=m.neg=function(){var e=new this.constructor(this);return e.s=-e.s||0,e},m.plus=m.add=function(e){var t=this;return e=new t.constructor(e),t.s==e.s?g(t,e):A(t,(e.s=-e.s,e))},m.precision=m.sd=function(e){var t,n,r,o=this;if(void 0!==e&&e!==!!e&&1!==e&&0!==e)throw Error(c+e);if(t=S(o)+1,n=7*(r=o.d.length-1)+1,r=o.d[r]){for(;r%10==0;r/=10)n--;for(r=o.d[0];r>=10;r/=10)n++}return e&&t>n?t:n},m.squareRoot=m.sqrt=function(){var e,t,n,r,o,i,a,c=this,s=c.constructor;if(c.s<1){if(!c.s)return new s(0);throw Error(u+"NaN")}for(e=S(c),l=!1,0==(o=Math.sqrt(+c))||o==1/0?(((t=x(c.d)).length+e)%2==0&&(t+="0"),o=Math.sqrt(t),e=f((e+1)/2)-(e<0||e%2),r=new s(t=o==1/0?"5e"+e:(t=o.toExponential()).slice(0,t.indexOf("e")+1)+e)):r=new s(o.toString()),o=a=(n=s.precision)+3;;)if(r=(i=r).plus(w(c,i,a+2)).times(.5),x(i.d).slice(0,a)===(t=x(r.d)).slice(0,a)){if(t=t.slice(a-3,a+1),o==a&&"4999"==t){if(_(i,n+1,0),i.times(i).eq(c)){r=i;break}}else if("9999"!=t)break;a+=4}return l=!0,_(r,n)},m.times=m.mul=function(e){var t,n,r,o,i,a,u,c,s,f=this,d=f.constructor,p=f.d,y=(e=new d(e)).d;if(!f.s||!e.s)return new d(0);for(e.s*=f.s,n=f.e+e.e,(c=p.length)<(s=y.length)&&(i=p,p=y,y=i,a=c,c=s,s=a),i=[],r=a=c+s;r--;)i.push(0);for(r=s;--r>=0;){for(t=0,o=c+r;o>r;)u=i[o]+y[r]*p[o-r-1]+t,i[o--]=u%h|0,t=u/h|0;i[o]=(i[o]+t)%h|0}for(;!i[--a];)i.pop();return t?++n:i.shift(),e.d=i,e.e=n,l?_(e,d.precision):e},m.toDecimalPlaces=m.todp=function(e,t){var n=this,r=n.constructor;return n=new r(n),void 0===e?n:(b(e,0,i),void 0===t?t=r.rounding:b(t,0,8),_(n,e+S(n)+1,t))},m.toExponential=function(e,t){var n,r=this,o=r.constructor;return void 0===e?n=C(r,!0):(b(e,0,i),void 0===t?t=o.rounding:b(t,0,8),n=C(r=_(new o(r),e+1,t),!0,e+1)),n},m.toFixed=function(e,t){var n,r,o=this,a=o.constructor;return void 0===e?C(o):(b(e,0,i),void 0===t?t=a.rounding:b(t,0,8),n=C((r=_(new a(o),e+S(o)+1,t)).abs(),!1,e+S(r)+1),o.isneg()&&!o.isZero()?"-"+n:n)},m.toInteger=m.toint=function(){var e=this,t=e.constructor;return _(new t(e),S(e)+1,t.rounding)},m.toNumber=function(){return+this},m.toPower=m.pow=function(e){var t,n,r,i,a,c,s=this,d=s.constructor,p=+(e=new d(e));if(!e.s)return new d(o);if(!(s=new d(s)).s){if(e.s<1)throw Error(u+"Infinity");return s}if(s.eq(o))return s;if(r=d.precision,e.eq(o))return _(s,r);if(c=(t=e.e)>=(n=e.d.length-1),a=s.s,c){if((n=p<0?-p:p)<=y){for(i=new d(o),t=Math.ceil(r/7+4),l=!1;n%2&&T((i=i.times(s)).d,t),0!==(n=f(n/2));)T((s=s.times(s)).d,t);return l=!0,e.s<0?new d(o).div(i):_(i,r)}}else if(a<0)throw Error(u+"NaN");return a=a<0&&1&e.d[Math.max(t,n)]?-1:1,s.s=1,l=!1,i=e.times(P(s,r+12)),l=!0,(i=j(i)).s=a,i},m.toPrecision=function(e,t){var n,r,o=this,a=o.constructor;return void 0===e?r=C(o,(n=S(o))<=a.toExpNeg||n>=a.toExpPos):(b(e,1,i),void 0===t?t=a.rounding:b(t,0,8),r=C(o=_(new a(o),e,t),e<=(n=S(o))||n<=a.toExpNeg,e)),r},m.toSignificantDigits=m.tosd=function(e,t){var n=this.constructor;return void 0===e?(e=n.precision,t=n.rounding):(b(e,1,i),void 0===t?t=n.rounding:b(t,0,8)),_(new n(this),e,t)},m.toString=m.valueOf=m.val=m.toJSON=function(){var e=this,t=S(e),n=e.constructor;return C(e,t<=n.toExpNeg||t>=n.toExpPos)};var w=function(){function e(e,t){var n,r=0,o=e.length;for(e=e.slice();o--;)n=e[o]*t+r,e[o]=n%h|0,r=n/h|0;return r&&e.unshift(r),e}function t(e,t,n,r){var o,i;if(n!=r)i=n>r?1:-1;else for(o=i=0;o<n;o++)if(e[o]!=t[o]){i=e[o]>t[o]?1:-1;break}return i}function n(e,t,n){for(var r=0;n--;)e[n]-=r,r=e[n]<t[n]?1:0,e[n]=r*h+e[n]-t[n];for(;!e[0]&&e.length>1;)e.shift()}return function(r,o,i,a){var l,c,s,f,d,p,y,v,m,g,b,x,w,j,O,k,P,E,A=r.constructor,C=r.s==o.s?1:-1,T=r.d,M=o.d;if(!r.s)return new A(r);if(!o.s)throw Error(u+"Division by zero");for(c=r.e-o.e,P=M.length,O=T.length,v=(y=new A(C)).d=[],s=0;M[s]==(T[s]||0);)++s;if(M[s]>(T[s]||0)&&--c,(x=null==i?i=A.precision:a?i+(S(r)-S(o))+1:i)<0)return new A(0);if(x=x/7+2|0,s=0,1==P)for(f=0,M=M[0],x++;(s<O||f)&&x--;s++)w=f*h+(T[s]||0),v[s]=w/M|0,f=w%M|0;else{for((f=h/(M[0]+1)|0)>1&&(M=e(M,f),T=e(T,f),P=M.length,O=T.length),j=P,g=(m=T.slice(0,P)).length;g<P;)m[g++]=0;(E=M.slice()).unshift(0),k=M[0],M[1]>=h/2&&++k;do{f=0,(l=t(M,m,P,g))<0?(b=m[0],P!=g&&(b=b*h+(m[1]||0)),(f=b/k|0)>1?(f>=h&&(f=h-1),1==(l=t(d=e(M,f),m,p=d.length,g=m.length))&&(f--,n(d,P<p?E:M,p))):(0==f&&(l=f=1),d=M.slice()),(p=d.length)<g&&d.unshift(0),n(m,d,g),-1==l&&(l=t(M,m,P,g=m.length))<1&&(f++,n(m,P<g?E:M,g)),g=m.length):0===l&&(f++,m=[0]),v[s++]=f,l&&m[0]?m[g++]=T[j]||0:(m=[T[j]],g=1)}while((j++<O||void 0!==m[0])&&x--)}return v[0]||v.shift(),y.e=c,_(y,a?i+S(y)+1:i)}}();function j(e,t){var n,r,i,a,u,c=0,f=0,p=e.constructor,h=p.precision;if(S(e)>16)throw Error(s+S(e));if(!e.s)return new p(o);for(null==t?(l=!1,u=h):u=t,a=new p(.03125);e.abs().gte(.1);)e=e.times(a),f+=5;for(u+=Math.log(d(2,f))/Math.LN10*2+5|0,n=r=i=new p(o),p.precision=u;;){if(r=_(r.times(e),u),n=n.times(++c),x((a=i.plus(w(r,n,u))).d).slice(0,u)===x(i.d).slice(0,u)){for(;f--;)i=_(i.times(i),u);return p.precision=h,null==t?(l=!0,_(i,h)):i}i=a}}function S(e){for(var t=7*e.e,n=e.d[0];n>=10;n/=10)t++;return t}function O(e,t,n){if(t>e.LN10.sd())throw l=!0,n&&(e.precision=n),Error(u+"LN10 precision limit exceeded");return _(new e(e.LN10),t)}function k(e){for(var t="";e--;)t+="0";return t}function P(e,t){var n,r,i,a,c,s,f,d,p,h=1,y=e,v=y.d,m=y.constructor,g=m.precision;if(y.s<1)throw Error(u+(y.s?"NaN":"-Infinity"));if(y.eq(o))return new m(0);if(null==t?(l=!1,d=g):d=t,y.eq(10))return null==t&&(l=!0),O(m,d);if(d+=10,m.precision=d,r=(n=x(v)).charAt(0),a=S(y),!(Math.abs(a)<15e14))return f=O(m,d+2,g).times(a+""),y=P(new m(r+"."+n.slice(1)),d-10).plus(f),m.precision=g,null==t?(l=!0,_(y,g)):y;for(;r<7&&1!=r||1==r&&n.charAt(1)>3;)r=(n=x((y=y.times(e)).d)).charAt(0),h++;for(a=S(y),r>1?(y=new m("0."+n),a++):y=new m(r+"."+n.slice(1)),s=c=y=w(y.minus(o),y.plus(o),d),p=_(y.times(y),d),i=3;;){if(c=_(c.times(p),d),x((f=s.plus(w(c,new m(i),d))).d).slice(0,d)===x(s.d).slice(0,d))return s=s.times(2),0!==a&&(s=s.plus(O(m,d+2,g).times(a+""))),s=w(s,new m(h),d),m.precision=g,null==t?(l=!0,_(s,g)):s;s=f,i+=2}}function E(e,t){var n,r,o;for((n=t.indexOf("."))>-1&&(t=t.replace(".","")),(r=t.search(/e/i))>0?(n<0&&(n=r),n+=+t.slice(r+1),t=t.substring(0,r)):n<0&&(n=t.length),r=0;48===t.charCodeAt(r);)++r;for(o=t.length;48===t.charCodeAt(o-1);)--o;if(t=t.slice(r,o)){if(o-=r,n=n-r-1,e.e=f(n/7),e.d=[],r=(n+1)%7,n<0&&(r+=7),r<o){for(r&&e.d.push(+t.slice(0,r)),o-=7;r<o;)e.d.push(+t.slice(r,r+=7));r=7-(t=t.slice(r)).length}else r-=o;for(;r--;)t+="0";if(e.d.push(+t),l&&(e.e>v||e.e<-v))throw Error(s+n)}else e.s=0,e.e=0,e.d=[0];return e}function _(e,t,n){var r,o,i,a,u,c,p,y,m=e.d;for(a=1,i=m[0];i>=10;i/=10)a++;if((r=t-a)<0)r+=7,o=t,p=m[y=0];else{if((y=Math.ceil((r+1)/7))>=(i=m.length))return e;for(p=i=m[y],a=1;i>=10;i/=10)a++;o=(r%=7)-7+a}if(void 0!==n&&(u=p/(i=d(10,a-o-1))%10|0,c=t<0||void 0!==m[y+1]||p%i,c=n<4?(u||c)&&(0==n||n==(e.s<0?3:2)):u>5||5==u&&(4==n||c||6==n&&(r>0?o>0?p/d(10,a-o):0:m[y-1])%10&1||n==(e.s<0?8:7))),t<1||!m[0])return c?(i=S(e),m.length=1,t=t-i-1,m[0]=d(10,(7-t%7)%7),e.e=f(-t/7)||0):(m.length=1,m[0]=e.e=e.s=0),e;if(0==r?(m.length=y,i=1,y--):(m.length=y+1,i=d(10,7-r),m[y]=o>0?(p/d(10,a-o)%d(10,o)|0)*i:0),c)for(;;){if(0==y){(m[0]+=i)==h&&(m[0]=1,++e.e);break}if(m[y]+=i,m[y]!=h)break;m[y--]=0,i=1}for(r=m.length;0===m[--r];)m.pop();if(l&&(e.e>v||e.e<-v))throw Error(s+S(e));return e}function A(e,t){var n,r,o,i,a,u,c,s,f,d,p=e.constructor,y=p.precision;if(!e.s||!t.s)return t.s?t.s=-t.s:t=new p(e),l?_(t,y):t;if(c=e.d,d=t.d,r=t.e,s=e.e,c=c.slice(),a=s-r){for((f=a<0)?(n=c,a=-a,u=d.length):(n=d,r=s,u=c.length),a>(o=Math.max(Math.ceil(y/7),u)+2)&&(a=o,n.length=1),n.reverse(),o=a;o--;)n.push(0);n.reverse()}else{for((f=(o=c.length)<(u=d.length))&&(u=o),o=0;o<u;o++)if(c[o]!=d[o]){f=c[o]<d[o];break}a=0}for(f&&(n=c,c=d,d=n,t.s=-t.s),u=c.length,o=d.length-u;o>0;--o)c[u++]=0;for(o=d.length;o>a;){if(c[--o]<d[o]){for(i=o;i&&0===c[--i];)c[i]=h-1;--c[i],c[o]+=h}c[o]-=d[o]}for(;0===c[--u];)c.pop();for(;0===c[0];c.shift())--r;return c[0]?(t.d=c,t.e=r,l?_(t,y):t):new p(0)}function C(e,t,n){var r,o=S(e),i=x(e.d),a=i.length;return t?(n&&(r=n-a)>0?i=i.charAt(0)+"."+i.slice(1)+k(r):a>1&&(i=i.charAt(0)+"."+i.slice(1)),i=i+(o<0?"e":"e+")+o):o<0?(i="0."+k(-o-1)+i,n&&(r=n-a)>0&&(i+=k(r))):o>=a?(i+=k(o+1-a),n&&(r=n-o-1)>0&&(i=i+"."+k(r))):((r=o+1)<a&&(i=i.slice(0,r)+"."+i.slice(r)),n&&(r=n-a)>0&&(o+1===a&&(i+="."),i+=k(r))),e.s<0?"-"+i:i}function T(e,t){if(e.length>t)return e.length=t,!0}function M(e){if(!e||"object"!==typeof e)throw Error(u+"Object expected");var t,n,r,o=["precision",1,i,"rounding",0,8,"toExpNeg",-1/0,0,"toExpPos",0,1/0];for(t=0;t<o.length;t+=3)if(void 0!==(r=e[n=o[t]])){if(!(f(r)===r&&r>=o[t+1]&&r<=o[t+2]))throw Error(c+n+": "+r);this[n]=r}if(void 0!==(r=e[n="LN10"])){if(r!=Math.LN10)throw Error(c+n+": "+r);this[n]=new this(r)}return this}a=function e(t){var n,r,o;function i(e){var t=this;if(!(t instanceof i))return new i(e);if(t.constructor=i,e instanceof i)return t.s=e.s,t.e=e.e,void(t.d=(e=e.d)?e.slice():e);if("number"===typeof e){if(0*e!==0)throw Error(c+e);if(e>0)t.s=1;else{if(!(e<0))return t.s=0,t.e=0,void(t.d=[0]);e=-e,t.s=-1}return e===~~e&&e<1e7?(t.e=0,void(t.d=[e])):E(t,e.toString())}if("string"!==typeof e)throw Error(c+e);if(45===e.charCodeAt(0)?(e=e.slice(1),t.s=-1):t.s=1,!p.test(e))throw Error(c+e);E(t,e)}if(i.prototype=m,i.ROUND_UP=0,i.ROUND_DOWN=1,i.ROUND_CEIL=2,i.ROUND_FLOOR=3,i.ROUND_HALF_UP=4,i.ROUND_HALF_DOWN=5,i.ROUND_HALF_EVEN=6,i.ROUND_HALF_CEIL=7,i.ROUND_HALF_FLOOR=8,i.clone=e,i.config=i.set=M,void 0===t&&(t={}),t)for(o=["precision","rounding","toExpNeg","toExpPos","LN10"],n=0;n<o.length;)t.hasOwnProperty(r=o[n++])||(t[r]=this[r]);return i.config(t),i}(a),a.default=a.Decimal=a,o=new a(1),void 0===(r=function(){return a}.call(t,n,t,e))||(e.exports=r)}()},7283(e){"use strict";var t=Object.prototype.hasOwnProperty,n="~";function r(){}function o(e,t,n){this.fn=e,this.context=t,this.once=n||!1}function i(e,t,r,i,a){if("function"!==typeof r)throw new TypeError("The listener must be a function");var l=new o(r,i||e,a),u=n?n+t:t;return e._events[u]?e._events[u].fn?e._events[u]=[e._events[u],l]:e._events[u].push(l):(e._events[u]=l,e._eventsCount++),e}function a(e,t){0===--e._eventsCount?e._events=new r:delete e._events[t]}function l(){this._events=new r,this._eventsCount=0}Object.create&&(r.prototype=Object.create(null),(new r).__proto__||(n=!1)),l.prototype.eventNames=function(){var e,r,o=[];if(0===this._eventsCount)return o;for(r in e=this._events)t.call(e,r)&&o.push(n?r.slice(1):r);return Object.getOwnPropertySymbols?o.concat(Object.getOwnPropertySymbols(e)):o},l.prototype.listeners=function(e){var t=n?n+e:e,r=this._events[t];if(!r)return[];if(r.fn)return[r.fn];for(var o=0,i=r.length,a=new Array(i);o<i;o++)a[o]=r[o].fn;return a},l.prototype.listenerCount=function(e){var t=n?n+e:e,r=this._events[t];return r?r.fn?1:r.length:0},l.prototype.emit=function(e,t,r,o,i,a){var l=n?n+e:e;if(!this._events[l])return!1;var u,c,s=this._events[l],f=arguments.length;if(s.fn){switch(s.once&&this.removeListener(e,s.fn,void 0,!0),f){case 1:return s.fn.call(s.context),!0;case 2:return s.fn.call(s.context,t),!0;case 3:return s.fn.call(s.context,t,r),!0;case 4:return s.fn.call(s.context,t,r,o),!0;case 5:return s.fn.call(s.context,t,r,o,i),!0;case 6:return s.fn.call(s.context,t,r,o,i,a),!0}for(c=1,u=new Array(f-1);c<f;c++)u[c-1]=arguments[c];s.fn.apply(s.context,u)}else{var d,p=s.length;for(c=0;c<p;c++)switch(s[c].once&&this.removeListener(e,s[c].fn,void 0,!0),f){case 1:s[c].fn.call(s[c].context);break;case 2:s[c].fn.call(s[c].context,t);break;case 3:s[c].fn.call(s[c].context,t,r);break;case 4:s[c].fn.call(s[c].context,t,r,o);break;default:if(!u)for(d=1,u=new Array(f-1);d<f;d++)u[d-1]=arguments[d];s[c].fn.apply(s[c].context,u)}}return!0},l.prototype.on=function(e,t,n){return i(this,e,t,n,!1)},l.prototype.once=function(e,t,n){return i(this,e,t,n,!0)},l.prototype.removeListener=function(e,t,r,o){var i=n?n+e:e;if(!this._events[i])return this;if(!t)return a(this,i),this;var l=this._events[i];if(l.fn)l.fn!==t||o&&!l.once||r&&l.context!==r||a(this,i);else{for(var u=0,c=[],s=l.length;u<s;u++)(l[u].fn!==t||o&&!l[u].once||r&&l[u].context!==r)&&c.push(l[u]);c.length?this._events[i]=1===c.length?c[0]:c:a(this,i)}return this},l.prototype.removeAllListeners=function(e){var t;return e?(t=n?n+e:e,this._events[t]&&a(this,t)):(this._events=new r,this._eventsCount=0),this},l.prototype.off=l.prototype.removeListener,l.prototype.addListener=l.prototype.on,l.prefixed=n,l.EventEmitter=l,e.exports=l},7685(e,t,n){var r=n(7937)(n(6552),"DataView");e.exports=r},8724(e,t,n){var r=n(9996),o=n(5051),i=n(2154),a=n(8734),l=n(2662);function u(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}u.prototype.clear=r,u.prototype.delete=o,u.prototype.get=i,u.prototype.has=a,u.prototype.set=l,e.exports=u},7160(e,t,n){var r=n(7563),o=n(9935),i=n(4190),a=n(1946),l=n(1714);function u(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}u.prototype.clear=r,u.prototype.delete=o,u.prototype.get=i,u.prototype.has=a,u.prototype.set=l,e.exports=u},5204(e,t,n){var r=n(7937)(n(6552),"Map");e.exports=r},4816(e,t,n){var r=n(7251),o=n(7159),i=n(438),a=n(9394),l=n(6874);function u(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}u.prototype.clear=r,u.prototype.delete=o,u.prototype.get=i,u.prototype.has=a,u.prototype.set=l,e.exports=u},5387(e,t,n){var r=n(7937)(n(6552),"Promise");e.exports=r},2070(e,t,n){var r=n(7937)(n(6552),"Set");e.exports=r},8902(e,t,n){var r=n(4816),o=n(6179),i=n(6704);function a(e){var t=-1,n=null==e?0:e.length;for(this.__data__=new r;++t<n;)this.add(e[t])}a.prototype.add=a.prototype.push=o,a.prototype.has=i,e.exports=a},5538(e,t,n){var r=n(7160),o=n(4545),i=n(793),a=n(7760),l=n(3892),u=n(6788);function c(e){var t=this.__data__=new r(e);this.size=t.size}c.prototype.clear=o,c.prototype.delete=i,c.prototype.get=a,c.prototype.has=l,c.prototype.set=u,e.exports=c},9812(e,t,n){var r=n(6552).Symbol;e.exports=r},2929(e,t,n){var r=n(6552).Uint8Array;e.exports=r},6600(e,t,n){var r=n(7937)(n(6552),"WeakMap");e.exports=r},1170(e){e.exports=function(e,t,n){switch(n.length){case 0:return e.call(t);case 1:return e.call(t,n[0]);case 2:return e.call(t,n[0],n[1]);case 3:return e.call(t,n[0],n[1],n[2])}return e.apply(t,n)}},5295(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length;++n<r;)if(!t(e[n],n,e))return!1;return!0}},7529(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length,o=0,i=[];++n<r;){var a=e[n];t(a,n,e)&&(i[o++]=a)}return i}},5866(e,t,n){var r=n(8468);e.exports=function(e,t){return!!(null==e?0:e.length)&&r(e,t,0)>-1}},1558(e){e.exports=function(e,t,n){for(var r=-1,o=null==e?0:e.length;++r<o;)if(n(t,e[r]))return!0;return!1}},3204(e,t,n){var r=n(3343),o=n(2777),i=n(4052),a=n(4543),l=n(9194),u=n(1268),c=Object.prototype.hasOwnProperty;e.exports=function(e,t){var n=i(e),s=!n&&o(e),f=!n&&!s&&a(e),d=!n&&!s&&!f&&u(e),p=n||s||f||d,h=p?r(e.length,String):[],y=h.length;for(var v in e)!t&&!c.call(e,v)||p&&("length"==v||f&&("offset"==v||"parent"==v)||d&&("buffer"==v||"byteLength"==v||"byteOffset"==v)||l(v,y))||h.push(v);return h}},149(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length,o=Array(r);++n<r;)o[n]=t(e[n],n,e);return o}},8895(e){e.exports=function(e,t){for(var n=-1,r=t.length,o=e.length;++n<r;)e[o+n]=t[n];return e}},2587(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length;++n<r;)if(t(e[n],n,e))return!0;return!1}},5967(e){e.exports=function(e){return e.split("")}},1340(e,t,n){var r=n(3211);e.exports=function(e,t){for(var n=e.length;n--;)if(r(e[n][0],t))return n;return-1}},1775(e,t,n){var r=n(5654);e.exports=function(e,t,n){"__proto__"==t&&r?r(e,t,{configurable:!0,enumerable:!0,value:n,writable:!0}):e[t]=n}},5652(e,t,n){var r=n(4664),o=n(6516)(r);e.exports=o},4746(e,t,n){var r=n(5652);e.exports=function(e,t){var n=!0;return r(e,function(e,r,o){return n=!!t(e,r,o)}),n}},9742(e,t,n){var r=n(9841);e.exports=function(e,t,n){for(var o=-1,i=e.length;++o<i;){var a=e[o],l=t(a);if(null!=l&&(void 0===u?l===l&&!r(l):n(l,u)))var u=l,c=a}return c}},5816(e){e.exports=function(e,t,n,r){for(var o=e.length,i=n+(r?1:-1);r?i--:++i<o;)if(t(e[i],i,e))return i;return-1}},755(e,t,n){var r=n(8895),o=n(7116);e.exports=function e(t,n,i,a,l){var u=-1,c=t.length;for(i||(i=o),l||(l=[]);++u<c;){var s=t[u];n>0&&i(s)?n>1?e(s,n-1,i,a,l):r(l,s):a||(l[l.length]=s)}return l}},4258(e,t,n){var r=n(5906)();e.exports=r},4664(e,t,n){var r=n(4258),o=n(8673);e.exports=function(e,t){return e&&r(e,t,o)}},2969(e,t,n){var r=n(5324),o=n(914);e.exports=function(e,t){for(var n=0,i=(t=r(t,e)).length;null!=e&&n<i;)e=e[o(t[n++])];return n&&n==i?e:void 0}},4262(e,t,n){var r=n(8895),o=n(4052);e.exports=function(e,t,n){var i=t(e);return o(e)?i:r(i,n(e))}},6913(e,t,n){var r=n(9812),o=n(4552),i=n(6095),a=r?r.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":a&&a in Object(e)?o(e):i(e)}},7498(e){e.exports=function(e,t){return e>t}},7894(e){e.exports=function(e,t){return null!=e&&t in Object(e)}},8468(e,t,n){var r=n(5816),o=n(644),i=n(4020);e.exports=function(e,t,n){return t===t?i(e,t,n):r(e,o,n)}},5193(e,t,n){var r=n(6913),o=n(2761);e.exports=function(e){return o(e)&&"[object Arguments]"==r(e)}},6989(e,t,n){var r=n(6399),o=n(2761);e.exports=function e(t,n,i,a,l){return t===n||(null==t||null==n||!o(t)&&!o(n)?t!==t&&n!==n:r(t,n,i,a,e,l))}},6399(e,t,n){var r=n(5538),o=n(3668),i=n(9987),a=n(5752),l=n(6924),u=n(4052),c=n(4543),s=n(1268),f="[object Arguments]",d="[object Array]",p="[object Object]",h=Object.prototype.hasOwnProperty;e.exports=function(e,t,n,y,v,m){var g=u(e),b=u(t),x=g?d:l(e),w=b?d:l(t),j=(x=x==f?p:x)==p,S=(w=w==f?p:w)==p,O=x==w;if(O&&c(e)){if(!c(t))return!1;g=!0,j=!1}if(O&&!j)return m||(m=new r),g||s(e)?o(e,t,n,y,v,m):i(e,t,x,n,y,v,m);if(!(1&n)){var k=j&&h.call(e,"__wrapped__"),P=S&&h.call(t,"__wrapped__");if(k||P){var E=k?e.value():e,_=P?t.value():t;return m||(m=new r),v(E,_,n,y,m)}}return!!O&&(m||(m=new r),a(e,t,n,y,v,m))}},6532(e,t,n){var r=n(5538),o=n(6989);e.exports=function(e,t,n,i){var a=n.length,l=a,u=!i;if(null==e)return!l;for(e=Object(e);a--;){var c=n[a];if(u&&c[2]?c[1]!==e[c[0]]:!(c[0]in e))return!1}for(;++a<l;){var s=(c=n[a])[0],f=e[s],d=c[1];if(u&&c[2]){if(void 0===f&&!(s in e))return!1}else{var p=new r;if(i)var h=i(f,d,s,e,t,p);if(!(void 0===h?o(d,f,3,i,p):h))return!1}}return!0}},644(e){e.exports=function(e){return e!==e}},6954(e,t,n){var r=n(1629),o=n(7857),i=n(6686),a=n(6996),l=/^\[object .+?Constructor\]$/,u=Function.prototype,c=Object.prototype,s=u.toString,f=c.hasOwnProperty,d=RegExp("^"+s.call(f).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!i(e)||o(e))&&(r(e)?d:l).test(a(e))}},5428(e,t,n){var r=n(6913),o=n(6173),i=n(2761),a={};a["[object Float32Array]"]=a["[object Float64Array]"]=a["[object Int8Array]"]=a["[object Int16Array]"]=a["[object Int32Array]"]=a["[object Uint8Array]"]=a["[object Uint8ClampedArray]"]=a["[object Uint16Array]"]=a["[object Uint32Array]"]=!0,a["[object Arguments]"]=a["[object Array]"]=a["[object ArrayBuffer]"]=a["[object Boolean]"]=a["[object DataView]"]=a["[object Date]"]=a["[object Error]"]=a["[object Function]"]=a["[object Map]"]=a["[object Number]"]=a["[object Object]"]=a["[object RegExp]"]=a["[object Set]"]=a["[object String]"]=a["[object WeakMap]"]=!1,e.exports=function(e){return i(e)&&o(e.length)&&!!a[r(e)]}},9096(e,t,n){var r=n(9256),o=n(5029),i=n(3279),a=n(4052),l=n(3932);e.exports=function(e){return"function"==typeof e?e:null==e?i:"object"==typeof e?a(e)?o(e[0],e[1]):r(e):l(e)}},3713(e,t,n){var r=n(6140),o=n(1143),i=Object.prototype.hasOwnProperty;e.exports=function(e){if(!r(e))return o(e);var t=[];for(var n in Object(e))i.call(e,n)&&"constructor"!=n&&t.push(n);return t}},61(e){e.exports=function(e,t){return e<t}},8883(e,t,n){var r=n(5652),o=n(6571);e.exports=function(e,t){var n=-1,i=o(e)?Array(e.length):[];return r(e,function(e,r,o){i[++n]=t(e,r,o)}),i}},9256(e,t,n){var r=n(6532),o=n(3781),i=n(1310);e.exports=function(e){var t=o(e);return 1==t.length&&t[0][2]?i(t[0][0],t[0][1]):function(n){return n===e||r(n,e,t)}}},5029(e,t,n){var r=n(6989),o=n(3097),i=n(3366),a=n(2597),l=n(9417),u=n(1310),c=n(914);e.exports=function(e,t){return a(e)&&l(t)?u(c(e),t):function(n){var a=o(n,e);return void 0===a&&a===t?i(n,e):r(t,a,3)}}},2536(e,t,n){var r=n(149),o=n(2969),i=n(9096),a=n(8883),l=n(320),u=n(7574),c=n(5893),s=n(3279),f=n(4052);e.exports=function(e,t,n){t=t.length?r(t,function(e){return f(e)?function(t){return o(t,1===e.length?e[0]:e)}:e}):[s];var d=-1;t=r(t,u(i));var p=a(e,function(e,n,o){return{criteria:r(t,function(t){return t(e)}),index:++d,value:e}});return l(p,function(e,t){return c(e,t,n)})}},396(e){e.exports=function(e){return function(t){return null==t?void 0:t[e]}}},2866(e,t,n){var r=n(2969);e.exports=function(e){return function(t){return r(t,e)}}},9676(e){var t=Math.ceil,n=Math.max;e.exports=function(e,r,o,i){for(var a=-1,l=n(t((r-e)/(o||1)),0),u=Array(l);l--;)u[i?l:++a]=e,e+=o;return u}},5647(e,t,n){var r=n(3279),o=n(5636),i=n(6350);e.exports=function(e,t){return i(o(e,t,r),e+"")}},8325(e,t,n){var r=n(2541),o=n(5654),i=n(3279),a=o?function(e,t){return o(e,"toString",{configurable:!0,enumerable:!1,value:r(t),writable:!0})}:i;e.exports=a},3871(e){e.exports=function(e,t,n){var r=-1,o=e.length;t<0&&(t=-t>o?0:o+t),(n=n>o?o:n)<0&&(n+=o),o=t>n?0:n-t>>>0,t>>>=0;for(var i=Array(o);++r<o;)i[r]=e[r+t];return i}},2165(e,t,n){var r=n(5652);e.exports=function(e,t){var n;return r(e,function(e,r,o){return!(n=t(e,r,o))}),!!n}},320(e){e.exports=function(e,t){var n=e.length;for(e.sort(t);n--;)e[n]=e[n].value;return e}},3343(e){e.exports=function(e,t){for(var n=-1,r=Array(e);++n<e;)r[n]=t(n);return r}},8541(e,t,n){var r=n(9812),o=n(149),i=n(4052),a=n(9841),l=r?r.prototype:void 0,u=l?l.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(i(t))return o(t,e)+"";if(a(t))return u?u.call(t):"";var n=t+"";return"0"==n&&1/t==-1/0?"-0":n}},1141(e,t,n){var r=n(143),o=/^\s+/;e.exports=function(e){return e?e.slice(0,r(e)+1).replace(o,""):e}},7574(e){e.exports=function(e){return function(t){return e(t)}}},4416(e,t,n){var r=n(8902),o=n(5866),i=n(1558),a=n(8114),l=n(8182),u=n(2074);e.exports=function(e,t,n){var c=-1,s=o,f=e.length,d=!0,p=[],h=p;if(n)d=!1,s=i;else if(f>=200){var y=t?null:l(e);if(y)return u(y);d=!1,s=a,h=new r}else h=t?[]:p;e:for(;++c<f;){var v=e[c],m=t?t(v):v;if(v=n||0!==v?v:0,d&&m===m){for(var g=h.length;g--;)if(h[g]===m)continue e;t&&h.push(m),p.push(v)}else s(h,m,n)||(h!==p&&h.push(m),p.push(v))}return p}},8114(e){e.exports=function(e,t){return e.has(t)}},5324(e,t,n){var r=n(4052),o=n(2597),i=n(4079),a=n(1069);e.exports=function(e,t){return r(e)?e:o(e,t)?[e]:i(a(e))}},570(e,t,n){var r=n(3871);e.exports=function(e,t,n){var o=e.length;return n=void 0===n?o:n,!t&&n>=o?e:r(e,t,n)}},6599(e,t,n){var r=n(9841);e.exports=function(e,t){if(e!==t){var n=void 0!==e,o=null===e,i=e===e,a=r(e),l=void 0!==t,u=null===t,c=t===t,s=r(t);if(!u&&!s&&!a&&e>t||a&&l&&c&&!u&&!s||o&&l&&c||!n&&c||!i)return 1;if(!o&&!a&&!s&&e<t||s&&n&&i&&!o&&!a||u&&n&&i||!l&&i||!c)return-1}return 0}},5893(e,t,n){var r=n(6599);e.exports=function(e,t,n){for(var o=-1,i=e.criteria,a=t.criteria,l=i.length,u=n.length;++o<l;){var c=r(i[o],a[o]);if(c)return o>=u?c:c*("desc"==n[o]?-1:1)}return e.index-t.index}},3440(e,t,n){var r=n(6552)["__core-js_shared__"];e.exports=r},6516(e,t,n){var r=n(6571);e.exports=function(e,t){return function(n,o){if(null==n)return n;if(!r(n))return e(n,o);for(var i=n.length,a=t?i:-1,l=Object(n);(t?a--:++a<i)&&!1!==o(l[a],a,l););return n}}},5906(e){e.exports=function(e){return function(t,n,r){for(var o=-1,i=Object(t),a=r(t),l=a.length;l--;){var u=a[e?l:++o];if(!1===n(i[u],u,i))break}return t}}},7676(e,t,n){var r=n(570),o=n(6311),i=n(9115),a=n(1069);e.exports=function(e){return function(t){t=a(t);var n=o(t)?i(t):void 0,l=n?n[0]:t.charAt(0),u=n?r(n,1).join(""):t.slice(1);return l[e]()+u}}},9995(e,t,n){var r=n(9096),o=n(6571),i=n(8673);e.exports=function(e){return function(t,n,a){var l=Object(t);if(!o(t)){var u=r(n,3);t=i(t),n=function(e){return u(l[e],e,l)}}var c=e(t,n,a);return c>-1?l[u?t[c]:c]:void 0}}},3331(e,t,n){var r=n(9676),o=n(929),i=n(7303);e.exports=function(e){return function(t,n,a){return a&&"number"!=typeof a&&o(t,n,a)&&(n=a=void 0),t=i(t),void 0===n?(n=t,t=0):n=i(n),a=void 0===a?t<n?1:-1:i(a),r(t,n,a,e)}}},8182(e,t,n){var r=n(2070),o=n(5713),i=n(2074),a=r&&1/i(new r([,-0]))[1]==1/0?function(e){return new r(e)}:o;e.exports=a},5654(e,t,n){var r=n(7937),o=function(){try{var e=r(Object,"defineProperty");return e({},"",{}),e}catch(t){}}();e.exports=o},3668(e,t,n){var r=n(8902),o=n(2587),i=n(8114);e.exports=function(e,t,n,a,l,u){var c=1&n,s=e.length,f=t.length;if(s!=f&&!(c&&f>s))return!1;var d=u.get(e),p=u.get(t);if(d&&p)return d==t&&p==e;var h=-1,y=!0,v=2&n?new r:void 0;for(u.set(e,t),u.set(t,e);++h<s;){var m=e[h],g=t[h];if(a)var b=c?a(g,m,h,t,e,u):a(m,g,h,e,t,u);if(void 0!==b){if(b)continue;y=!1;break}if(v){if(!o(t,function(e,t){if(!i(v,t)&&(m===e||l(m,e,n,a,u)))return v.push(t)})){y=!1;break}}else if(m!==g&&!l(m,g,n,a,u)){y=!1;break}}return u.delete(e),u.delete(t),y}},9987(e,t,n){var r=n(9812),o=n(2929),i=n(3211),a=n(3668),l=n(4160),u=n(2074),c=r?r.prototype:void 0,s=c?c.valueOf:void 0;e.exports=function(e,t,n,r,c,f,d){switch(n){case"[object DataView]":if(e.byteLength!=t.byteLength||e.byteOffset!=t.byteOffset)return!1;e=e.buffer,t=t.buffer;case"[object ArrayBuffer]":return!(e.byteLength!=t.byteLength||!f(new o(e),new o(t)));case"[object Boolean]":case"[object Date]":case"[object Number]":return i(+e,+t);case"[object Error]":return e.name==t.name&&e.message==t.message;case"[object RegExp]":case"[object String]":return e==t+"";case"[object Map]":var p=l;case"[object Set]":var h=1&r;if(p||(p=u),e.size!=t.size&&!h)return!1;var y=d.get(e);if(y)return y==t;r|=2,d.set(e,t);var v=a(p(e),p(t),r,c,f,d);return d.delete(e),v;case"[object Symbol]":if(s)return s.call(e)==s.call(t)}return!1}},5752(e,t,n){var r=n(9395),o=Object.prototype.hasOwnProperty;e.exports=function(e,t,n,i,a,l){var u=1&n,c=r(e),s=c.length;if(s!=r(t).length&&!u)return!1;for(var f=s;f--;){var d=c[f];if(!(u?d in t:o.call(t,d)))return!1}var p=l.get(e),h=l.get(t);if(p&&h)return p==t&&h==e;var y=!0;l.set(e,t),l.set(t,e);for(var v=u;++f<s;){var m=e[d=c[f]],g=t[d];if(i)var b=u?i(g,m,d,t,e,l):i(m,g,d,e,t,l);if(!(void 0===b?m===g||a(m,g,n,i,l):b)){y=!1;break}v||(v="constructor"==d)}if(y&&!v){var x=e.constructor,w=t.constructor;x==w||!("constructor"in e)||!("constructor"in t)||"function"==typeof x&&x instanceof x&&"function"==typeof w&&w instanceof w||(y=!1)}return l.delete(e),l.delete(t),y}},7105(e,t,n){var r="object"==typeof n.g&&n.g&&n.g.Object===Object&&n.g;e.exports=r},9395(e,t,n){var r=n(4262),o=n(9621),i=n(8673);e.exports=function(e){return r(e,i,o)}},2622(e,t,n){var r=n(705);e.exports=function(e,t){var n=e.__data__;return r(t)?n["string"==typeof t?"string":"hash"]:n.map}},3781(e,t,n){var r=n(9417),o=n(8673);e.exports=function(e){for(var t=o(e),n=t.length;n--;){var i=t[n],a=e[i];t[n]=[i,a,r(a)]}return t}},7937(e,t,n){var r=n(6954),o=n(4657);e.exports=function(e,t){var n=o(e,t);return r(n)?n:void 0}},5990(e,t,n){var r=n(3028)(Object.getPrototypeOf,Object);e.exports=r},4552(e,t,n){var r=n(9812),o=Object.prototype,i=o.hasOwnProperty,a=o.toString,l=r?r.toStringTag:void 0;e.exports=function(e){var t=i.call(e,l),n=e[l];try{e[l]=void 0;var r=!0}catch(u){}var o=a.call(e);return r&&(t?e[l]=n:delete e[l]),o}},9621(e,t,n){var r=n(7529),o=n(7828),i=Object.prototype.propertyIsEnumerable,a=Object.getOwnPropertySymbols,l=a?function(e){return null==e?[]:(e=Object(e),r(a(e),function(t){return i.call(e,t)}))}:o;e.exports=l},6924(e,t,n){var r=n(7685),o=n(5204),i=n(5387),a=n(2070),l=n(6600),u=n(6913),c=n(6996),s="[object Map]",f="[object Promise]",d="[object Set]",p="[object WeakMap]",h="[object DataView]",y=c(r),v=c(o),m=c(i),g=c(a),b=c(l),x=u;(r&&x(new r(new ArrayBuffer(1)))!=h||o&&x(new o)!=s||i&&x(i.resolve())!=f||a&&x(new a)!=d||l&&x(new l)!=p)&&(x=function(e){var t=u(e),n="[object Object]"==t?e.constructor:void 0,r=n?c(n):"";if(r)switch(r){case y:return h;case v:return s;case m:return f;case g:return d;case b:return p}return t}),e.exports=x},4657(e){e.exports=function(e,t){return null==e?void 0:e[t]}},9057(e,t,n){var r=n(5324),o=n(2777),i=n(4052),a=n(9194),l=n(6173),u=n(914);e.exports=function(e,t,n){for(var c=-1,s=(t=r(t,e)).length,f=!1;++c<s;){var d=u(t[c]);if(!(f=null!=e&&n(e,d)))break;e=e[d]}return f||++c!=s?f:!!(s=null==e?0:e.length)&&l(s)&&a(d,s)&&(i(e)||o(e))}},6311(e){var t=RegExp("[\\u200d\\ud800-\\udfff\\u0300-\\u036f\\ufe20-\\ufe2f\\u20d0-\\u20ff\\ufe0e\\ufe0f]");e.exports=function(e){return t.test(e)}},9996(e,t,n){var r=n(5575);e.exports=function(){this.__data__=r?r(null):{},this.size=0}},5051(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},2154(e,t,n){var r=n(5575),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(r){var n=t[e];return"__lodash_hash_undefined__"===n?void 0:n}return o.call(t,e)?t[e]:void 0}},8734(e,t,n){var r=n(5575),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return r?void 0!==t[e]:o.call(t,e)}},2662(e,t,n){var r=n(5575);e.exports=function(e,t){var n=this.__data__;return this.size+=this.has(e)?0:1,n[e]=r&&void 0===t?"__lodash_hash_undefined__":t,this}},7116(e,t,n){var r=n(9812),o=n(2777),i=n(4052),a=r?r.isConcatSpreadable:void 0;e.exports=function(e){return i(e)||o(e)||!!(a&&e&&e[a])}},9194(e){var t=/^(?:0|[1-9]\d*)$/;e.exports=function(e,n){var r=typeof e;return!!(n=null==n?9007199254740991:n)&&("number"==r||"symbol"!=r&&t.test(e))&&e>-1&&e%1==0&&e<n}},929(e,t,n){var r=n(3211),o=n(6571),i=n(9194),a=n(6686);e.exports=function(e,t,n){if(!a(n))return!1;var l=typeof t;return!!("number"==l?o(n)&&i(t,n.length):"string"==l&&t in n)&&r(n[t],e)}},2597(e,t,n){var r=n(4052),o=n(9841),i=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,a=/^\w*$/;e.exports=function(e,t){if(r(e))return!1;var n=typeof e;return!("number"!=n&&"symbol"!=n&&"boolean"!=n&&null!=e&&!o(e))||(a.test(e)||!i.test(e)||null!=t&&e in Object(t))}},705(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},7857(e,t,n){var r=n(3440),o=function(){var e=/[^.]+$/.exec(r&&r.keys&&r.keys.IE_PROTO||"");return e?"Symbol(src)_1."+e:""}();e.exports=function(e){return!!o&&o in e}},6140(e){var t=Object.prototype;e.exports=function(e){var n=e&&e.constructor;return e===("function"==typeof n&&n.prototype||t)}},9417(e,t,n){var r=n(6686);e.exports=function(e){return e===e&&!r(e)}},7563(e){e.exports=function(){this.__data__=[],this.size=0}},9935(e,t,n){var r=n(1340),o=Array.prototype.splice;e.exports=function(e){var t=this.__data__,n=r(t,e);return!(n<0)&&(n==t.length-1?t.pop():o.call(t,n,1),--this.size,!0)}},4190(e,t,n){var r=n(1340);e.exports=function(e){var t=this.__data__,n=r(t,e);return n<0?void 0:t[n][1]}},1946(e,t,n){var r=n(1340);e.exports=function(e){return r(this.__data__,e)>-1}},1714(e,t,n){var r=n(1340);e.exports=function(e,t){var n=this.__data__,o=r(n,e);return o<0?(++this.size,n.push([e,t])):n[o][1]=t,this}},7251(e,t,n){var r=n(8724),o=n(7160),i=n(5204);e.exports=function(){this.size=0,this.__data__={hash:new r,map:new(i||o),string:new r}}},7159(e,t,n){var r=n(2622);e.exports=function(e){var t=r(this,e).delete(e);return this.size-=t?1:0,t}},438(e,t,n){var r=n(2622);e.exports=function(e){return r(this,e).get(e)}},9394(e,t,n){var r=n(2622);e.exports=function(e){return r(this,e).has(e)}},6874(e,t,n){var r=n(2622);e.exports=function(e,t){var n=r(this,e),o=n.size;return n.set(e,t),this.size+=n.size==o?0:1,this}},4160(e){e.exports=function(e){var t=-1,n=Array(e.size);return e.forEach(function(e,r){n[++t]=[r,e]}),n}},1310(e){e.exports=function(e,t){return function(n){return null!=n&&(n[e]===t&&(void 0!==t||e in Object(n)))}}},8259(e,t,n){var r=n(5797);e.exports=function(e){var t=r(e,function(e){return 500===n.size&&n.clear(),e}),n=t.cache;return t}},5575(e,t,n){var r=n(7937)(Object,"create");e.exports=r},1143(e,t,n){var r=n(3028)(Object.keys,Object);e.exports=r},6832(e,t,n){e=n.nmd(e);var r=n(7105),o=t&&!t.nodeType&&t,i=o&&e&&!e.nodeType&&e,a=i&&i.exports===o&&r.process,l=function(){try{var e=i&&i.require&&i.require("util").types;return e||a&&a.binding&&a.binding("util")}catch(t){}}();e.exports=l},6095(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},3028(e){e.exports=function(e,t){return function(n){return e(t(n))}}},5636(e,t,n){var r=n(1170),o=Math.max;e.exports=function(e,t,n){return t=o(void 0===t?e.length-1:t,0),function(){for(var i=arguments,a=-1,l=o(i.length-t,0),u=Array(l);++a<l;)u[a]=i[t+a];a=-1;for(var c=Array(t+1);++a<t;)c[a]=i[a];return c[t]=n(u),r(e,this,c)}}},6552(e,t,n){var r=n(7105),o="object"==typeof self&&self&&self.Object===Object&&self,i=r||o||Function("return this")();e.exports=i},6179(e){e.exports=function(e){return this.__data__.set(e,"__lodash_hash_undefined__"),this}},6704(e){e.exports=function(e){return this.__data__.has(e)}},2074(e){e.exports=function(e){var t=-1,n=Array(e.size);return e.forEach(function(e){n[++t]=e}),n}},6350(e,t,n){var r=n(8325),o=n(6578)(r);e.exports=o},6578(e){var t=Date.now;e.exports=function(e){var n=0,r=0;return function(){var o=t(),i=16-(o-r);if(r=o,i>0){if(++n>=800)return arguments[0]}else n=0;return e.apply(void 0,arguments)}}},4545(e,t,n){var r=n(7160);e.exports=function(){this.__data__=new r,this.size=0}},793(e){e.exports=function(e){var t=this.__data__,n=t.delete(e);return this.size=t.size,n}},7760(e){e.exports=function(e){return this.__data__.get(e)}},3892(e){e.exports=function(e){return this.__data__.has(e)}},6788(e,t,n){var r=n(7160),o=n(5204),i=n(4816);e.exports=function(e,t){var n=this.__data__;if(n instanceof r){var a=n.__data__;if(!o||a.length<199)return a.push([e,t]),this.size=++n.size,this;n=this.__data__=new i(a)}return n.set(e,t),this.size=n.size,this}},4020(e){e.exports=function(e,t,n){for(var r=n-1,o=e.length;++r<o;)if(e[r]===t)return r;return-1}},9115(e,t,n){var r=n(5967),o=n(6311),i=n(715);e.exports=function(e){return o(e)?i(e):r(e)}},4079(e,t,n){var r=n(8259),o=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,i=/\\(\\)?/g,a=r(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(o,function(e,n,r,o){t.push(r?o.replace(i,"$1"):n||e)}),t});e.exports=a},914(e,t,n){var r=n(9841);e.exports=function(e){if("string"==typeof e||r(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},6996(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(n){}try{return e+""}catch(n){}}return""}},143(e){var t=/\s/;e.exports=function(e){for(var n=e.length;n--&&t.test(e.charAt(n)););return n}},715(e){var t="\\ud800-\\udfff",n="["+t+"]",r="[\\u0300-\\u036f\\ufe20-\\ufe2f\\u20d0-\\u20ff]",o="\\ud83c[\\udffb-\\udfff]",i="[^"+t+"]",a="(?:\\ud83c[\\udde6-\\uddff]){2}",l="[\\ud800-\\udbff][\\udc00-\\udfff]",u="(?:"+r+"|"+o+")"+"?",c="[\\ufe0e\\ufe0f]?",s=c+u+("(?:\\u200d(?:"+[i,a,l].join("|")+")"+c+u+")*"),f="(?:"+[i+r+"?",r,a,l,n].join("|")+")",d=RegExp(o+"(?="+o+")|"+f+s,"g");e.exports=function(e){return e.match(d)||[]}},2541(e){e.exports=function(e){return function(){return e}}},3950(e,t,n){var r=n(6686),o=n(4757),i=n(801),a=Math.max,l=Math.min;e.exports=function(e,t,n){var u,c,s,f,d,p,h=0,y=!1,v=!1,m=!0;if("function"!=typeof e)throw new TypeError("Expected a function");function g(t){var n=u,r=c;return u=c=void 0,h=t,f=e.apply(r,n)}function b(e){var n=e-p;return void 0===p||n>=t||n<0||v&&e-h>=s}function x(){var e=o();if(b(e))return w(e);d=setTimeout(x,function(e){var n=t-(e-p);return v?l(n,s-(e-h)):n}(e))}function w(e){return d=void 0,m&&u?g(e):(u=c=void 0,f)}function j(){var e=o(),n=b(e);if(u=arguments,c=this,p=e,n){if(void 0===d)return function(e){return h=e,d=setTimeout(x,t),y?g(e):f}(p);if(v)return clearTimeout(d),d=setTimeout(x,t),g(p)}return void 0===d&&(d=setTimeout(x,t)),f}return t=i(t)||0,r(n)&&(y=!!n.leading,s=(v="maxWait"in n)?a(i(n.maxWait)||0,t):s,m="trailing"in n?!!n.trailing:m),j.cancel=function(){void 0!==d&&clearTimeout(d),h=0,u=p=c=d=void 0},j.flush=function(){return void 0===d?f:w(o())},j}},3211(e){e.exports=function(e,t){return e===t||e!==e&&t!==t}},7002(e,t,n){var r=n(5295),o=n(4746),i=n(9096),a=n(4052),l=n(929);e.exports=function(e,t,n){var u=a(e)?r:o;return n&&l(e,t,n)&&(t=void 0),u(e,i(t,3))}},8990(e,t,n){var r=n(9995)(n(2520));e.exports=r},2520(e,t,n){var r=n(5816),o=n(9096),i=n(9140),a=Math.max;e.exports=function(e,t,n){var l=null==e?0:e.length;if(!l)return-1;var u=null==n?0:i(n);return u<0&&(u=a(l+u,0)),r(e,o(t,3),u)}},3538(e,t,n){var r=n(755),o=n(3411);e.exports=function(e,t){return r(o(e,t),1)}},3097(e,t,n){var r=n(2969);e.exports=function(e,t,n){var o=null==e?void 0:r(e,t);return void 0===o?n:o}},3366(e,t,n){var r=n(7894),o=n(9057);e.exports=function(e,t){return null!=e&&o(e,t,r)}},3279(e){e.exports=function(e){return e}},2777(e,t,n){var r=n(5193),o=n(2761),i=Object.prototype,a=i.hasOwnProperty,l=i.propertyIsEnumerable,u=r(function(){return arguments}())?r:function(e){return o(e)&&a.call(e,"callee")&&!l.call(e,"callee")};e.exports=u},4052(e){var t=Array.isArray;e.exports=t},6571(e,t,n){var r=n(1629),o=n(6173);e.exports=function(e){return null!=e&&o(e.length)&&!r(e)}},6361(e,t,n){var r=n(6913),o=n(2761);e.exports=function(e){return!0===e||!1===e||o(e)&&"[object Boolean]"==r(e)}},4543(e,t,n){e=n.nmd(e);var r=n(6552),o=n(14),i=t&&!t.nodeType&&t,a=i&&e&&!e.nodeType&&e,l=a&&a.exports===i?r.Buffer:void 0,u=(l?l.isBuffer:void 0)||o;e.exports=u},9853(e,t,n){var r=n(6989);e.exports=function(e,t){return r(e,t)}},1629(e,t,n){var r=n(6913),o=n(6686);e.exports=function(e){if(!o(e))return!1;var t=r(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},6173(e){e.exports=function(e){return"number"==typeof e&&e>-1&&e%1==0&&e<=9007199254740991}},5268(e,t,n){var r=n(9160);e.exports=function(e){return r(e)&&e!=+e}},9686(e){e.exports=function(e){return null==e}},9160(e,t,n){var r=n(6913),o=n(2761);e.exports=function(e){return"number"==typeof e||o(e)&&"[object Number]"==r(e)}},6686(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},2761(e){e.exports=function(e){return null!=e&&"object"==typeof e}},2322(e,t,n){var r=n(6913),o=n(5990),i=n(2761),a=Function.prototype,l=Object.prototype,u=a.toString,c=l.hasOwnProperty,s=u.call(Object);e.exports=function(e){if(!i(e)||"[object Object]"!=r(e))return!1;var t=o(e);if(null===t)return!0;var n=c.call(t,"constructor")&&t.constructor;return"function"==typeof n&&n instanceof n&&u.call(n)==s}},620(e,t,n){var r=n(6913),o=n(4052),i=n(2761);e.exports=function(e){return"string"==typeof e||!o(e)&&i(e)&&"[object String]"==r(e)}},9841(e,t,n){var r=n(6913),o=n(2761);e.exports=function(e){return"symbol"==typeof e||o(e)&&"[object Symbol]"==r(e)}},1268(e,t,n){var r=n(5428),o=n(7574),i=n(6832),a=i&&i.isTypedArray,l=a?o(a):r;e.exports=l},8673(e,t,n){var r=n(3204),o=n(3713),i=n(6571);e.exports=function(e){return i(e)?r(e):o(e)}},4065(e){e.exports=function(e){var t=null==e?0:e.length;return t?e[t-1]:void 0}},3411(e,t,n){var r=n(149),o=n(9096),i=n(8883),a=n(4052);e.exports=function(e,t){return(a(e)?r:i)(e,o(t,3))}},1733(e,t,n){var r=n(1775),o=n(4664),i=n(9096);e.exports=function(e,t){var n={};return t=i(t,3),o(e,function(e,o,i){r(n,o,t(e,o,i))}),n}},539(e,t,n){var r=n(9742),o=n(7498),i=n(3279);e.exports=function(e){return e&&e.length?r(e,i,o):void 0}},5797(e,t,n){var r=n(4816);function o(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var n=function(){var r=arguments,o=t?t.apply(this,r):r[0],i=n.cache;if(i.has(o))return i.get(o);var a=e.apply(this,r);return n.cache=i.set(o,a)||i,a};return n.cache=new(o.Cache||r),n}o.Cache=r,e.exports=o},6745(e,t,n){var r=n(9742),o=n(61),i=n(3279);e.exports=function(e){return e&&e.length?r(e,i,o):void 0}},5713(e){e.exports=function(){}},4757(e,t,n){var r=n(6552);e.exports=function(){return r.Date.now()}},3932(e,t,n){var r=n(396),o=n(2866),i=n(2597),a=n(914);e.exports=function(e){return i(e)?r(a(e)):o(e)}},6604(e,t,n){var r=n(3331)();e.exports=r},4597(e,t,n){var r=n(2587),o=n(9096),i=n(2165),a=n(4052),l=n(929);e.exports=function(e,t,n){var u=a(e)?r:i;return n&&l(e,t,n)&&(t=void 0),u(e,o(t,3))}},7424(e,t,n){var r=n(755),o=n(2536),i=n(5647),a=n(929),l=i(function(e,t){if(null==e)return[];var n=t.length;return n>1&&a(e,t[0],t[1])?t=[]:n>2&&a(t[0],t[1],t[2])&&(t=[t[0]]),o(e,r(t,1),[])});e.exports=l},7828(e){e.exports=function(){return[]}},14(e){e.exports=function(){return!1}},9889(e,t,n){var r=n(3950),o=n(6686);e.exports=function(e,t,n){var i=!0,a=!0;if("function"!=typeof e)throw new TypeError("Expected a function");return o(n)&&(i="leading"in n?!!n.leading:i,a="trailing"in n?!!n.trailing:a),r(e,t,{leading:i,maxWait:t,trailing:a})}},7303(e,t,n){var r=n(801),o=1/0;e.exports=function(e){return e?(e=r(e))===o||e===-1/0?17976931348623157e292*(e<0?-1:1):e===e?e:0:0===e?e:0}},9140(e,t,n){var r=n(7303);e.exports=function(e){var t=r(e),n=t%1;return t===t?n?t-n:t:0}},801(e,t,n){var r=n(1141),o=n(6686),i=n(9841),a=/^[-+]0x[0-9a-f]+$/i,l=/^0b[01]+$/i,u=/^0o[0-7]+$/i,c=parseInt;e.exports=function(e){if("number"==typeof e)return e;if(i(e))return NaN;if(o(e)){var t="function"==typeof e.valueOf?e.valueOf():e;e=o(t)?t+"":t}if("string"!=typeof e)return 0===e?e:+e;e=r(e);var n=l.test(e);return n||u.test(e)?c(e.slice(2),n?2:8):a.test(e)?NaN:+e}},1069(e,t,n){var r=n(8541);e.exports=function(e){return null==e?"":r(e)}},977(e,t,n){var r=n(9096),o=n(4416);e.exports=function(e,t){return e&&e.length?o(e,r(t,2)):[]}},643(e,t,n){var r=n(7676)("toUpperCase");e.exports=r},1497(e,t,n){"use strict";var r=n(3218);function o(){}function i(){}i.resetWarningCache=o,e.exports=function(){function e(e,t,n,o,i,a){if(a!==r){var l=new Error("Calling PropTypes validators directly is not supported by the `prop-types` package. Use PropTypes.checkPropTypes() to call them. Read more at http://fb.me/use-check-prop-types");throw l.name="Invariant Violation",l}}function t(){return e}e.isRequired=e;var n={array:e,bigint:e,bool:e,func:e,number:e,object:e,string:e,symbol:e,any:e,arrayOf:t,element:e,elementType:e,instanceOf:t,node:e,objectOf:t,oneOf:t,oneOfType:t,shape:t,exact:t,checkPropTypes:i,resetWarningCache:o};return n.PropTypes=n,n}},5173(e,t,n){e.exports=n(1497)()},3218(e){"use strict";e.exports="SECRET_DO_NOT_PASS_THIS_OR_YOU_WILL_BE_FIRED"},2730(e,t,n){"use strict";var r=n(5043),o=n(8853);function i(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,n=1;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var a=new Set,l={};function u(e,t){c(e,t),c(e+"Capture",t)}function c(e,t){for(l[e]=t,e=0;e<t.length;e++)a.add(t[e])}var s=!("undefined"===typeof window||"undefined"===typeof window.document||"undefined"===typeof window.document.createElement),f=Object.prototype.hasOwnProperty,d=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,p={},h={};function y(e,t,n,r,o,i,a){this.acceptsBooleans=2===t||3===t||4===t,this.attributeName=r,this.attributeNamespace=o,this.mustUseProperty=n,this.propertyName=e,this.type=t,this.sanitizeURL=i,this.removeEmptyString=a}var v={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){v[e]=new y(e,0,!1,e,null,!1,!1)}),[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];v[t]=new y(t,1,!1,e[1],null,!1,!1)}),["contentEditable","draggable","spellCheck","value"].forEach(function(e){v[e]=new y(e,2,!1,e.toLowerCase(),null,!1,!1)}),["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){v[e]=new y(e,2,!1,e,null,!1,!1)}),"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){v[e]=new y(e,3,!1,e.toLowerCase(),null,!1,!1)}),["checked","multiple","muted","selected"].forEach(function(e){v[e]=new y(e,3,!0,e,null,!1,!1)}),["capture","download"].forEach(function(e){v[e]=new y(e,4,!1,e,null,!1,!1)}),["cols","rows","size","span"].forEach(function(e){v[e]=new y(e,6,!1,e,null,!1,!1)}),["rowSpan","start"].forEach(function(e){v[e]=new y(e,5,!1,e.toLowerCase(),null,!1,!1)});var m=/[\-:]([a-z])/g;function g(e){return e[1].toUpperCase()}function b(e,t,n,r){var o=v.hasOwnProperty(t)?v[t]:null;(null!==o?0!==o.type:r||!(2<t.length)||"o"!==t[0]&&"O"!==t[0]||"n"!==t[1]&&"N"!==t[1])&&(function(e,t,n,r){if(null===t||"undefined"===typeof t||function(e,t,n,r){if(null!==n&&0===n.type)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":return!r&&(null!==n?!n.acceptsBooleans:"data-"!==(e=e.toLowerCase().slice(0,5))&&"aria-"!==e);default:return!1}}(e,t,n,r))return!0;if(r)return!1;if(null!==n)switch(n.type){case 3:return!t;case 4:return!1===t;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}(t,n,o,r)&&(n=null),r||null===o?function(e){return!!f.call(h,e)||!f.call(p,e)&&(d.test(e)?h[e]=!0:(p[e]=!0,!1))}(t)&&(null===n?e.removeAttribute(t):e.setAttribute(t,""+n)):o.mustUseProperty?e[o.propertyName]=null===n?3!==o.type&&"":n:(t=o.attributeName,r=o.attributeNamespace,null===n?e.removeAttribute(t):(n=3===(o=o.type)||4===o&&!0===n?"":""+n,r?e.setAttributeNS(r,t,n):e.setAttribute(t,n))))}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(m,g);v[t]=new y(t,1,!1,e,null,!1,!1)}),"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(m,g);v[t]=new y(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)}),["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(m,g);v[t]=new y(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)}),["tabIndex","crossOrigin"].forEach(function(e){v[e]=new y(e,1,!1,e.toLowerCase(),null,!1,!1)}),v.xlinkHref=new y("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1),["src","href","action","formAction"].forEach(function(e){v[e]=new y(e,1,!1,e.toLowerCase(),null,!0,!0)});var x=r.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,w=Symbol.for("react.element"),j=Symbol.for("react.portal"),S=Symbol.for("react.fragment"),O=Symbol.for("react.strict_mode"),k=Symbol.for("react.profiler"),P=Symbol.for("react.provider"),E=Symbol.for("react.context"),_=Symbol.for("react.forward_ref"),A=Symbol.for("react.suspense"),C=Symbol.for("react.suspense_list"),T=Symbol.for("react.memo"),M=Symbol.for("react.lazy");Symbol.for("react.scope"),Symbol.for("react.debug_trace_mode");var N=Symbol.for("react.offscreen");Symbol.for("react.legacy_hidden"),Symbol.for("react.cache"),Symbol.for("react.tracing_marker");var D=Symbol.iterator;function I(e){return null===e||"object"!==typeof e?null:"function"===typeof(e=D&&e[D]||e["@@iterator"])?e:null}var z,B=Object.assign;function R(e){if(void 0===z)try{throw Error()}catch(n){var t=n.stack.trim().match(/\n( *(at )?)/);z=t&&t[1]||""}return"\n"+z+e}var F=!1;function L(e,t){if(!e||F)return"";F=!0;var n=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t)if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),"object"===typeof Reflect&&Reflect.construct){try{Reflect.construct(t,[])}catch(c){var r=c}Reflect.construct(e,[],t)}else{try{t.call()}catch(c){r=c}e.call(t.prototype)}else{try{throw Error()}catch(c){r=c}e()}}catch(c){if(c&&r&&"string"===typeof c.stack){for(var o=c.stack.split("\n"),i=r.stack.split("\n"),a=o.length-1,l=i.length-1;1<=a&&0<=l&&o[a]!==i[l];)l--;for(;1<=a&&0<=l;a--,l--)if(o[a]!==i[l]){if(1!==a||1!==l)do{if(a--,0>--l||o[a]!==i[l]){var u="\n"+o[a].replace(" at new "," at ");return e.displayName&&u.includes("<anonymous>")&&(u=u.replace("<anonymous>",e.displayName)),u}}while(1<=a&&0<=l);break}}}finally{F=!1,Error.prepareStackTrace=n}return(e=e?e.displayName||e.name:"")?R(e):""}function U(e){switch(e.tag){case 5:return R(e.type);case 16:return R("Lazy");case 13:return R("Suspense");case 19:return R("SuspenseList");case 0:case 2:case 15:return e=L(e.type,!1);case 11:return e=L(e.type.render,!1);case 1:return e=L(e.type,!0);default:return""}}function W(e){if(null==e)return null;if("function"===typeof e)return e.displayName||e.name||null;if("string"===typeof e)return e;switch(e){case S:return"Fragment";case j:return"Portal";case k:return"Profiler";case O:return"StrictMode";case A:return"Suspense";case C:return"SuspenseList"}if("object"===typeof e)switch(e.$$typeof){case E:return(e.displayName||"Context")+".Consumer";case P:return(e._context.displayName||"Context")+".Provider";case _:var t=e.render;return(e=e.displayName)||(e=""!==(e=t.displayName||t.name||"")?"ForwardRef("+e+")":"ForwardRef"),e;case T:return null!==(t=e.displayName||null)?t:W(e.type)||"Memo";case M:t=e._payload,e=e._init;try{return W(e(t))}catch(n){}}return null}function H(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=(e=t.render).displayName||e.name||"",t.displayName||(""!==e?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return W(t);case 8:return t===O?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if("function"===typeof t)return t.displayName||t.name||null;if("string"===typeof t)return t}return null}function V(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function q(e){var t=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===t||"radio"===t)}function $(e){e._valueTracker||(e._valueTracker=function(e){var t=q(e)?"checked":"value",n=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&"undefined"!==typeof n&&"function"===typeof n.get&&"function"===typeof n.set){var o=n.get,i=n.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return o.call(this)},set:function(e){r=""+e,i.call(this,e)}}),Object.defineProperty(e,t,{enumerable:n.enumerable}),{getValue:function(){return r},setValue:function(e){r=""+e},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}(e))}function K(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var n=t.getValue(),r="";return e&&(r=q(e)?e.checked?"true":"false":e.value),(e=r)!==n&&(t.setValue(e),!0)}function X(e){if("undefined"===typeof(e=e||("undefined"!==typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(t){return e.body}}function G(e,t){var n=t.checked;return B({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:null!=n?n:e._wrapperState.initialChecked})}function Y(e,t){var n=null==t.defaultValue?"":t.defaultValue,r=null!=t.checked?t.checked:t.defaultChecked;n=V(null!=t.value?t.value:n),e._wrapperState={initialChecked:r,initialValue:n,controlled:"checkbox"===t.type||"radio"===t.type?null!=t.checked:null!=t.value}}function Q(e,t){null!=(t=t.checked)&&b(e,"checked",t,!1)}function Z(e,t){Q(e,t);var n=V(t.value),r=t.type;if(null!=n)"number"===r?(0===n&&""===e.value||e.value!=n)&&(e.value=""+n):e.value!==""+n&&(e.value=""+n);else if("submit"===r||"reset"===r)return void e.removeAttribute("value");t.hasOwnProperty("value")?ee(e,t.type,n):t.hasOwnProperty("defaultValue")&&ee(e,t.type,V(t.defaultValue)),null==t.checked&&null!=t.defaultChecked&&(e.defaultChecked=!!t.defaultChecked)}function J(e,t,n){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!("submit"!==r&&"reset"!==r||void 0!==t.value&&null!==t.value))return;t=""+e._wrapperState.initialValue,n||t===e.value||(e.value=t),e.defaultValue=t}""!==(n=e.name)&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,""!==n&&(e.name=n)}function ee(e,t,n){"number"===t&&X(e.ownerDocument)===e||(null==n?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+n&&(e.defaultValue=""+n))}var te=Array.isArray;function ne(e,t,n,r){if(e=e.options,t){t={};for(var o=0;o<n.length;o++)t["$"+n[o]]=!0;for(n=0;n<e.length;n++)o=t.hasOwnProperty("$"+e[n].value),e[n].selected!==o&&(e[n].selected=o),o&&r&&(e[n].defaultSelected=!0)}else{for(n=""+V(n),t=null,o=0;o<e.length;o++){if(e[o].value===n)return e[o].selected=!0,void(r&&(e[o].defaultSelected=!0));null!==t||e[o].disabled||(t=e[o])}null!==t&&(t.selected=!0)}}function re(e,t){if(null!=t.dangerouslySetInnerHTML)throw Error(i(91));return B({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function oe(e,t){var n=t.value;if(null==n){if(n=t.children,t=t.defaultValue,null!=n){if(null!=t)throw Error(i(92));if(te(n)){if(1<n.length)throw Error(i(93));n=n[0]}t=n}null==t&&(t=""),n=t}e._wrapperState={initialValue:V(n)}}function ie(e,t){var n=V(t.value),r=V(t.defaultValue);null!=n&&((n=""+n)!==e.value&&(e.value=n),null==t.defaultValue&&e.defaultValue!==n&&(e.defaultValue=n)),null!=r&&(e.defaultValue=""+r)}function ae(e){var t=e.textContent;t===e._wrapperState.initialValue&&""!==t&&null!==t&&(e.value=t)}function le(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function ue(e,t){return null==e||"http://www.w3.org/1999/xhtml"===e?le(t):"http://www.w3.org/2000/svg"===e&&"foreignObject"===t?"http://www.w3.org/1999/xhtml":e}var ce,se,fe=(se=function(e,t){if("http://www.w3.org/2000/svg"!==e.namespaceURI||"innerHTML"in e)e.innerHTML=t;else{for((ce=ce||document.createElement("div")).innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=ce.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}},"undefined"!==typeof MSApp&&MSApp.execUnsafeLocalFunction?function(e,t,n,r){MSApp.execUnsafeLocalFunction(function(){return se(e,t)})}:se);function de(e,t){if(t){var n=e.firstChild;if(n&&n===e.lastChild&&3===n.nodeType)return void(n.nodeValue=t)}e.textContent=t}var pe={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},he=["Webkit","ms","Moz","O"];function ye(e,t,n){return null==t||"boolean"===typeof t||""===t?"":n||"number"!==typeof t||0===t||pe.hasOwnProperty(e)&&pe[e]?(""+t).trim():t+"px"}function ve(e,t){for(var n in e=e.style,t)if(t.hasOwnProperty(n)){var r=0===n.indexOf("--"),o=ye(n,t[n],r);"float"===n&&(n="cssFloat"),r?e.setProperty(n,o):e[n]=o}}Object.keys(pe).forEach(function(e){he.forEach(function(t){t=t+e.charAt(0).toUpperCase()+e.substring(1),pe[t]=pe[e]})});var me=B({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function ge(e,t){if(t){if(me[e]&&(null!=t.children||null!=t.dangerouslySetInnerHTML))throw Error(i(137,e));if(null!=t.dangerouslySetInnerHTML){if(null!=t.children)throw Error(i(60));if("object"!==typeof t.dangerouslySetInnerHTML||!("__html"in t.dangerouslySetInnerHTML))throw Error(i(61))}if(null!=t.style&&"object"!==typeof t.style)throw Error(i(62))}}function be(e,t){if(-1===e.indexOf("-"))return"string"===typeof t.is;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var xe=null;function we(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var je=null,Se=null,Oe=null;function ke(e){if(e=xo(e)){if("function"!==typeof je)throw Error(i(280));var t=e.stateNode;t&&(t=jo(t),je(e.stateNode,e.type,t))}}function Pe(e){Se?Oe?Oe.push(e):Oe=[e]:Se=e}function Ee(){if(Se){var e=Se,t=Oe;if(Oe=Se=null,ke(e),t)for(e=0;e<t.length;e++)ke(t[e])}}function _e(e,t){return e(t)}function Ae(){}var Ce=!1;function Te(e,t,n){if(Ce)return e(t,n);Ce=!0;try{return _e(e,t,n)}finally{Ce=!1,(null!==Se||null!==Oe)&&(Ae(),Ee())}}function Me(e,t){var n=e.stateNode;if(null===n)return null;var r=jo(n);if(null===r)return null;n=r[t];e:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break e;default:e=!1}if(e)return null;if(n&&"function"!==typeof n)throw Error(i(231,t,typeof n));return n}var Ne=!1;if(s)try{var De={};Object.defineProperty(De,"passive",{get:function(){Ne=!0}}),window.addEventListener("test",De,De),window.removeEventListener("test",De,De)}catch(se){Ne=!1}function Ie(e,t,n,r,o,i,a,l,u){var c=Array.prototype.slice.call(arguments,3);try{t.apply(n,c)}catch(s){this.onError(s)}}var ze=!1,Be=null,Re=!1,Fe=null,Le={onError:function(e){ze=!0,Be=e}};function Ue(e,t,n,r,o,i,a,l,u){ze=!1,Be=null,Ie.apply(Le,arguments)}function We(e){var t=e,n=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do{0!==(4098&(t=e).flags)&&(n=t.return),e=t.return}while(e)}return 3===t.tag?n:null}function He(e){if(13===e.tag){var t=e.memoizedState;if(null===t&&(null!==(e=e.alternate)&&(t=e.memoizedState)),null!==t)return t.dehydrated}return null}function Ve(e){if(We(e)!==e)throw Error(i(188))}function qe(e){return null!==(e=function(e){var t=e.alternate;if(!t){if(null===(t=We(e)))throw Error(i(188));return t!==e?null:e}for(var n=e,r=t;;){var o=n.return;if(null===o)break;var a=o.alternate;if(null===a){if(null!==(r=o.return)){n=r;continue}break}if(o.child===a.child){for(a=o.child;a;){if(a===n)return Ve(o),e;if(a===r)return Ve(o),t;a=a.sibling}throw Error(i(188))}if(n.return!==r.return)n=o,r=a;else{for(var l=!1,u=o.child;u;){if(u===n){l=!0,n=o,r=a;break}if(u===r){l=!0,r=o,n=a;break}u=u.sibling}if(!l){for(u=a.child;u;){if(u===n){l=!0,n=a,r=o;break}if(u===r){l=!0,r=a,n=o;break}u=u.sibling}if(!l)throw Error(i(189))}}if(n.alternate!==r)throw Error(i(190))}if(3!==n.tag)throw Error(i(188));return n.stateNode.current===n?e:t}(e))?$e(e):null}function $e(e){if(5===e.tag||6===e.tag)return e;for(e=e.child;null!==e;){var t=$e(e);if(null!==t)return t;e=e.sibling}return null}var Ke=o.unstable_scheduleCallback,Xe=o.unstable_cancelCallback,Ge=o.unstable_shouldYield,Ye=o.unstable_requestPaint,Qe=o.unstable_now,Ze=o.unstable_getCurrentPriorityLevel,Je=o.unstable_ImmediatePriority,et=o.unstable_UserBlockingPriority,tt=o.unstable_NormalPriority,nt=o.unstable_LowPriority,rt=o.unstable_IdlePriority,ot=null,it=null;var at=Math.clz32?Math.clz32:function(e){return e>>>=0,0===e?32:31-(lt(e)/ut|0)|0},lt=Math.log,ut=Math.LN2;var ct=64,st=4194304;function ft(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return 4194240&e;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return 130023424&e;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function dt(e,t){var n=e.pendingLanes;if(0===n)return 0;var r=0,o=e.suspendedLanes,i=e.pingedLanes,a=268435455&n;if(0!==a){var l=a&~o;0!==l?r=ft(l):0!==(i&=a)&&(r=ft(i))}else 0!==(a=n&~o)?r=ft(a):0!==i&&(r=ft(i));if(0===r)return 0;if(0!==t&&t!==r&&0===(t&o)&&((o=r&-r)>=(i=t&-t)||16===o&&0!==(4194240&i)))return t;if(0!==(4&r)&&(r|=16&n),0!==(t=e.entangledLanes))for(e=e.entanglements,t&=r;0<t;)o=1<<(n=31-at(t)),r|=e[n],t&=~o;return r}function pt(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;default:return-1}}function ht(e){return 0!==(e=-1073741825&e.pendingLanes)?e:1073741824&e?1073741824:0}function yt(){var e=ct;return 0===(4194240&(ct<<=1))&&(ct=64),e}function vt(e){for(var t=[],n=0;31>n;n++)t.push(e);return t}function mt(e,t,n){e.pendingLanes|=t,536870912!==t&&(e.suspendedLanes=0,e.pingedLanes=0),(e=e.eventTimes)[t=31-at(t)]=n}function gt(e,t){var n=e.entangledLanes|=t;for(e=e.entanglements;n;){var r=31-at(n),o=1<<r;o&t|e[r]&t&&(e[r]|=t),n&=~o}}var bt=0;function xt(e){return 1<(e&=-e)?4<e?0!==(268435455&e)?16:536870912:4:1}var wt,jt,St,Ot,kt,Pt=!1,Et=[],_t=null,At=null,Ct=null,Tt=new Map,Mt=new Map,Nt=[],Dt="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function It(e,t){switch(e){case"focusin":case"focusout":_t=null;break;case"dragenter":case"dragleave":At=null;break;case"mouseover":case"mouseout":Ct=null;break;case"pointerover":case"pointerout":Tt.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":Mt.delete(t.pointerId)}}function zt(e,t,n,r,o,i){return null===e||e.nativeEvent!==i?(e={blockedOn:t,domEventName:n,eventSystemFlags:r,nativeEvent:i,targetContainers:[o]},null!==t&&(null!==(t=xo(t))&&jt(t)),e):(e.eventSystemFlags|=r,t=e.targetContainers,null!==o&&-1===t.indexOf(o)&&t.push(o),e)}function Bt(e){var t=bo(e.target);if(null!==t){var n=We(t);if(null!==n)if(13===(t=n.tag)){if(null!==(t=He(n)))return e.blockedOn=t,void kt(e.priority,function(){St(n)})}else if(3===t&&n.stateNode.current.memoizedState.isDehydrated)return void(e.blockedOn=3===n.tag?n.stateNode.containerInfo:null)}e.blockedOn=null}function Rt(e){if(null!==e.blockedOn)return!1;for(var t=e.targetContainers;0<t.length;){var n=Gt(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(null!==n)return null!==(t=xo(n))&&jt(t),e.blockedOn=n,!1;var r=new(n=e.nativeEvent).constructor(n.type,n);xe=r,n.target.dispatchEvent(r),xe=null,t.shift()}return!0}function Ft(e,t,n){Rt(e)&&n.delete(t)}function Lt(){Pt=!1,null!==_t&&Rt(_t)&&(_t=null),null!==At&&Rt(At)&&(At=null),null!==Ct&&Rt(Ct)&&(Ct=null),Tt.forEach(Ft),Mt.forEach(Ft)}function Ut(e,t){e.blockedOn===t&&(e.blockedOn=null,Pt||(Pt=!0,o.unstable_scheduleCallback(o.unstable_NormalPriority,Lt)))}function Wt(e){function t(t){return Ut(t,e)}if(0<Et.length){Ut(Et[0],e);for(var n=1;n<Et.length;n++){var r=Et[n];r.blockedOn===e&&(r.blockedOn=null)}}for(null!==_t&&Ut(_t,e),null!==At&&Ut(At,e),null!==Ct&&Ut(Ct,e),Tt.forEach(t),Mt.forEach(t),n=0;n<Nt.length;n++)(r=Nt[n]).blockedOn===e&&(r.blockedOn=null);for(;0<Nt.length&&null===(n=Nt[0]).blockedOn;)Bt(n),null===n.blockedOn&&Nt.shift()}var Ht=x.ReactCurrentBatchConfig,Vt=!0;function qt(e,t,n,r){var o=bt,i=Ht.transition;Ht.transition=null;try{bt=1,Kt(e,t,n,r)}finally{bt=o,Ht.transition=i}}function $t(e,t,n,r){var o=bt,i=Ht.transition;Ht.transition=null;try{bt=4,Kt(e,t,n,r)}finally{bt=o,Ht.transition=i}}function Kt(e,t,n,r){if(Vt){var o=Gt(e,t,n,r);if(null===o)Vr(e,t,r,Xt,n),It(e,r);else if(function(e,t,n,r,o){switch(t){case"focusin":return _t=zt(_t,e,t,n,r,o),!0;case"dragenter":return At=zt(At,e,t,n,r,o),!0;case"mouseover":return Ct=zt(Ct,e,t,n,r,o),!0;case"pointerover":var i=o.pointerId;return Tt.set(i,zt(Tt.get(i)||null,e,t,n,r,o)),!0;case"gotpointercapture":return i=o.pointerId,Mt.set(i,zt(Mt.get(i)||null,e,t,n,r,o)),!0}return!1}(o,e,t,n,r))r.stopPropagation();else if(It(e,r),4&t&&-1<Dt.indexOf(e)){for(;null!==o;){var i=xo(o);if(null!==i&&wt(i),null===(i=Gt(e,t,n,r))&&Vr(e,t,r,Xt,n),i===o)break;o=i}null!==o&&r.stopPropagation()}else Vr(e,t,r,null,n)}}var Xt=null;function Gt(e,t,n,r){if(Xt=null,null!==(e=bo(e=we(r))))if(null===(t=We(e)))e=null;else if(13===(n=t.tag)){if(null!==(e=He(t)))return e;e=null}else if(3===n){if(t.stateNode.current.memoizedState.isDehydrated)return 3===t.tag?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null);return Xt=e,null}function Yt(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(Ze()){case Je:return 1;case et:return 4;case tt:case nt:return 16;case rt:return 536870912;default:return 16}default:return 16}}var Qt=null,Zt=null,Jt=null;function en(){if(Jt)return Jt;var e,t,n=Zt,r=n.length,o="value"in Qt?Qt.value:Qt.textContent,i=o.length;for(e=0;e<r&&n[e]===o[e];e++);var a=r-e;for(t=1;t<=a&&n[r-t]===o[i-t];t++);return Jt=o.slice(e,1<t?1-t:void 0)}function tn(e){var t=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===t&&(e=13):e=t,10===e&&(e=13),32<=e||13===e?e:0}function nn(){return!0}function rn(){return!1}function on(e){function t(t,n,r,o,i){for(var a in this._reactName=t,this._targetInst=r,this.type=n,this.nativeEvent=o,this.target=i,this.currentTarget=null,e)e.hasOwnProperty(a)&&(t=e[a],this[a]=t?t(o):o[a]);return this.isDefaultPrevented=(null!=o.defaultPrevented?o.defaultPrevented:!1===o.returnValue)?nn:rn,this.isPropagationStopped=rn,this}return B(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!==typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=nn)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!==typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=nn)},persist:function(){},isPersistent:nn}),t}var an,ln,un,cn={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},sn=on(cn),fn=B({},cn,{view:0,detail:0}),dn=on(fn),pn=B({},fn,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:kn,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==un&&(un&&"mousemove"===e.type?(an=e.screenX-un.screenX,ln=e.screenY-un.screenY):ln=an=0,un=e),an)},movementY:function(e){return"movementY"in e?e.movementY:ln}}),hn=on(pn),yn=on(B({},pn,{dataTransfer:0})),vn=on(B({},fn,{relatedTarget:0})),mn=on(B({},cn,{animationName:0,elapsedTime:0,pseudoElement:0})),gn=B({},cn,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}}),bn=on(gn),xn=on(B({},cn,{data:0})),wn={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},jn={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},Sn={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function On(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):!!(e=Sn[e])&&!!t[e]}function kn(){return On}var Pn=B({},fn,{key:function(e){if(e.key){var t=wn[e.key]||e.key;if("Unidentified"!==t)return t}return"keypress"===e.type?13===(e=tn(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?jn[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:kn,charCode:function(e){return"keypress"===e.type?tn(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?tn(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}}),En=on(Pn),_n=on(B({},pn,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),An=on(B({},fn,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:kn})),Cn=on(B({},cn,{propertyName:0,elapsedTime:0,pseudoElement:0})),Tn=B({},pn,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0}),Mn=on(Tn),Nn=[9,13,27,32],Dn=s&&"CompositionEvent"in window,In=null;s&&"documentMode"in document&&(In=document.documentMode);var zn=s&&"TextEvent"in window&&!In,Bn=s&&(!Dn||In&&8<In&&11>=In),Rn=String.fromCharCode(32),Fn=!1;function Ln(e,t){switch(e){case"keyup":return-1!==Nn.indexOf(t.keyCode);case"keydown":return 229!==t.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function Un(e){return"object"===typeof(e=e.detail)&&"data"in e?e.data:null}var Wn=!1;var Hn={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function Vn(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===t?!!Hn[e.type]:"textarea"===t}function qn(e,t,n,r){Pe(r),0<(t=$r(t,"onChange")).length&&(n=new sn("onChange","change",null,n,r),e.push({event:n,listeners:t}))}var $n=null,Kn=null;function Xn(e){Rr(e,0)}function Gn(e){if(K(wo(e)))return e}function Yn(e,t){if("change"===e)return t}var Qn=!1;if(s){var Zn;if(s){var Jn="oninput"in document;if(!Jn){var er=document.createElement("div");er.setAttribute("oninput","return;"),Jn="function"===typeof er.oninput}Zn=Jn}else Zn=!1;Qn=Zn&&(!document.documentMode||9<document.documentMode)}function tr(){$n&&($n.detachEvent("onpropertychange",nr),Kn=$n=null)}function nr(e){if("value"===e.propertyName&&Gn(Kn)){var t=[];qn(t,Kn,e,we(e)),Te(Xn,t)}}function rr(e,t,n){"focusin"===e?(tr(),Kn=n,($n=t).attachEvent("onpropertychange",nr)):"focusout"===e&&tr()}function or(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return Gn(Kn)}function ir(e,t){if("click"===e)return Gn(t)}function ar(e,t){if("input"===e||"change"===e)return Gn(t)}var lr="function"===typeof Object.is?Object.is:function(e,t){return e===t&&(0!==e||1/e===1/t)||e!==e&&t!==t};function ur(e,t){if(lr(e,t))return!0;if("object"!==typeof e||null===e||"object"!==typeof t||null===t)return!1;var n=Object.keys(e),r=Object.keys(t);if(n.length!==r.length)return!1;for(r=0;r<n.length;r++){var o=n[r];if(!f.call(t,o)||!lr(e[o],t[o]))return!1}return!0}function cr(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function sr(e,t){var n,r=cr(e);for(e=0;r;){if(3===r.nodeType){if(n=e+r.textContent.length,e<=t&&n>=t)return{node:r,offset:t-e};e=n}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=cr(r)}}function fr(e,t){return!(!e||!t)&&(e===t||(!e||3!==e.nodeType)&&(t&&3===t.nodeType?fr(e,t.parentNode):"contains"in e?e.contains(t):!!e.compareDocumentPosition&&!!(16&e.compareDocumentPosition(t))))}function dr(){for(var e=window,t=X();t instanceof e.HTMLIFrameElement;){try{var n="string"===typeof t.contentWindow.location.href}catch(r){n=!1}if(!n)break;t=X((e=t.contentWindow).document)}return t}function pr(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&("input"===t&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===t||"true"===e.contentEditable)}function hr(e){var t=dr(),n=e.focusedElem,r=e.selectionRange;if(t!==n&&n&&n.ownerDocument&&fr(n.ownerDocument.documentElement,n)){if(null!==r&&pr(n))if(t=r.start,void 0===(e=r.end)&&(e=t),"selectionStart"in n)n.selectionStart=t,n.selectionEnd=Math.min(e,n.value.length);else if((e=(t=n.ownerDocument||document)&&t.defaultView||window).getSelection){e=e.getSelection();var o=n.textContent.length,i=Math.min(r.start,o);r=void 0===r.end?i:Math.min(r.end,o),!e.extend&&i>r&&(o=r,r=i,i=o),o=sr(n,i);var a=sr(n,r);o&&a&&(1!==e.rangeCount||e.anchorNode!==o.node||e.anchorOffset!==o.offset||e.focusNode!==a.node||e.focusOffset!==a.offset)&&((t=t.createRange()).setStart(o.node,o.offset),e.removeAllRanges(),i>r?(e.addRange(t),e.extend(a.node,a.offset)):(t.setEnd(a.node,a.offset),e.addRange(t)))}for(t=[],e=n;e=e.parentNode;)1===e.nodeType&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for("function"===typeof n.focus&&n.focus(),n=0;n<t.length;n++)(e=t[n]).element.scrollLeft=e.left,e.element.scrollTop=e.top}}var yr=s&&"documentMode"in document&&11>=document.documentMode,vr=null,mr=null,gr=null,br=!1;function xr(e,t,n){var r=n.window===n?n.document:9===n.nodeType?n:n.ownerDocument;br||null==vr||vr!==X(r)||("selectionStart"in(r=vr)&&pr(r)?r={start:r.selectionStart,end:r.selectionEnd}:r={anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},gr&&ur(gr,r)||(gr=r,0<(r=$r(mr,"onSelect")).length&&(t=new sn("onSelect","select",null,t,n),e.push({event:t,listeners:r}),t.target=vr)))}function wr(e,t){var n={};return n[e.toLowerCase()]=t.toLowerCase(),n["Webkit"+e]="webkit"+t,n["Moz"+e]="moz"+t,n}var jr={animationend:wr("Animation","AnimationEnd"),animationiteration:wr("Animation","AnimationIteration"),animationstart:wr("Animation","AnimationStart"),transitionend:wr("Transition","TransitionEnd")},Sr={},Or={};function kr(e){if(Sr[e])return Sr[e];if(!jr[e])return e;var t,n=jr[e];for(t in n)if(n.hasOwnProperty(t)&&t in Or)return Sr[e]=n[t];return e}s&&(Or=document.createElement("div").style,"AnimationEvent"in window||(delete jr.animationend.animation,delete jr.animationiteration.animation,delete jr.animationstart.animation),"TransitionEvent"in window||delete jr.transitionend.transition);var Pr=kr("animationend"),Er=kr("animationiteration"),_r=kr("animationstart"),Ar=kr("transitionend"),Cr=new Map,Tr="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function Mr(e,t){Cr.set(e,t),u(t,[e])}for(var Nr=0;Nr<Tr.length;Nr++){var Dr=Tr[Nr];Mr(Dr.toLowerCase(),"on"+(Dr[0].toUpperCase()+Dr.slice(1)))}Mr(Pr,"onAnimationEnd"),Mr(Er,"onAnimationIteration"),Mr(_r,"onAnimationStart"),Mr("dblclick","onDoubleClick"),Mr("focusin","onFocus"),Mr("focusout","onBlur"),Mr(Ar,"onTransitionEnd"),c("onMouseEnter",["mouseout","mouseover"]),c("onMouseLeave",["mouseout","mouseover"]),c("onPointerEnter",["pointerout","pointerover"]),c("onPointerLeave",["pointerout","pointerover"]),u("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),u("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),u("onBeforeInput",["compositionend","keypress","textInput","paste"]),u("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),u("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),u("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var Ir="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),zr=new Set("cancel close invalid load scroll toggle".split(" ").concat(Ir));function Br(e,t,n){var r=e.type||"unknown-event";e.currentTarget=n,function(e,t,n,r,o,a,l,u,c){if(Ue.apply(this,arguments),ze){if(!ze)throw Error(i(198));var s=Be;ze=!1,Be=null,Re||(Re=!0,Fe=s)}}(r,t,void 0,e),e.currentTarget=null}function Rr(e,t){t=0!==(4&t);for(var n=0;n<e.length;n++){var r=e[n],o=r.event;r=r.listeners;e:{var i=void 0;if(t)for(var a=r.length-1;0<=a;a--){var l=r[a],u=l.instance,c=l.currentTarget;if(l=l.listener,u!==i&&o.isPropagationStopped())break e;Br(o,l,c),i=u}else for(a=0;a<r.length;a++){if(u=(l=r[a]).instance,c=l.currentTarget,l=l.listener,u!==i&&o.isPropagationStopped())break e;Br(o,l,c),i=u}}}if(Re)throw e=Fe,Re=!1,Fe=null,e}function Fr(e,t){var n=t[vo];void 0===n&&(n=t[vo]=new Set);var r=e+"__bubble";n.has(r)||(Hr(t,e,2,!1),n.add(r))}function Lr(e,t,n){var r=0;t&&(r|=4),Hr(n,e,r,t)}var Ur="_reactListening"+Math.random().toString(36).slice(2);function Wr(e){if(!e[Ur]){e[Ur]=!0,a.forEach(function(t){"selectionchange"!==t&&(zr.has(t)||Lr(t,!1,e),Lr(t,!0,e))});var t=9===e.nodeType?e:e.ownerDocument;null===t||t[Ur]||(t[Ur]=!0,Lr("selectionchange",!1,t))}}function Hr(e,t,n,r){switch(Yt(t)){case 1:var o=qt;break;case 4:o=$t;break;default:o=Kt}n=o.bind(null,t,n,e),o=void 0,!Ne||"touchstart"!==t&&"touchmove"!==t&&"wheel"!==t||(o=!0),r?void 0!==o?e.addEventListener(t,n,{capture:!0,passive:o}):e.addEventListener(t,n,!0):void 0!==o?e.addEventListener(t,n,{passive:o}):e.addEventListener(t,n,!1)}function Vr(e,t,n,r,o){var i=r;if(0===(1&t)&&0===(2&t)&&null!==r)e:for(;;){if(null===r)return;var a=r.tag;if(3===a||4===a){var l=r.stateNode.containerInfo;if(l===o||8===l.nodeType&&l.parentNode===o)break;if(4===a)for(a=r.return;null!==a;){var u=a.tag;if((3===u||4===u)&&((u=a.stateNode.containerInfo)===o||8===u.nodeType&&u.parentNode===o))return;a=a.return}for(;null!==l;){if(null===(a=bo(l)))return;if(5===(u=a.tag)||6===u){r=i=a;continue e}l=l.parentNode}}r=r.return}Te(function(){var r=i,o=we(n),a=[];e:{var l=Cr.get(e);if(void 0!==l){var u=sn,c=e;switch(e){case"keypress":if(0===tn(n))break e;case"keydown":case"keyup":u=En;break;case"focusin":c="focus",u=vn;break;case"focusout":c="blur",u=vn;break;case"beforeblur":case"afterblur":u=vn;break;case"click":if(2===n.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=hn;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=yn;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=An;break;case Pr:case Er:case _r:u=mn;break;case Ar:u=Cn;break;case"scroll":u=dn;break;case"wheel":u=Mn;break;case"copy":case"cut":case"paste":u=bn;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=_n}var s=0!==(4&t),f=!s&&"scroll"===e,d=s?null!==l?l+"Capture":null:l;s=[];for(var p,h=r;null!==h;){var y=(p=h).stateNode;if(5===p.tag&&null!==y&&(p=y,null!==d&&(null!=(y=Me(h,d))&&s.push(qr(h,y,p)))),f)break;h=h.return}0<s.length&&(l=new u(l,c,null,n,o),a.push({event:l,listeners:s}))}}if(0===(7&t)){if(u="mouseout"===e||"pointerout"===e,(!(l="mouseover"===e||"pointerover"===e)||n===xe||!(c=n.relatedTarget||n.fromElement)||!bo(c)&&!c[yo])&&(u||l)&&(l=o.window===o?o:(l=o.ownerDocument)?l.defaultView||l.parentWindow:window,u?(u=r,null!==(c=(c=n.relatedTarget||n.toElement)?bo(c):null)&&(c!==(f=We(c))||5!==c.tag&&6!==c.tag)&&(c=null)):(u=null,c=r),u!==c)){if(s=hn,y="onMouseLeave",d="onMouseEnter",h="mouse","pointerout"!==e&&"pointerover"!==e||(s=_n,y="onPointerLeave",d="onPointerEnter",h="pointer"),f=null==u?l:wo(u),p=null==c?l:wo(c),(l=new s(y,h+"leave",u,n,o)).target=f,l.relatedTarget=p,y=null,bo(o)===r&&((s=new s(d,h+"enter",c,n,o)).target=p,s.relatedTarget=f,y=s),f=y,u&&c)e:{for(d=c,h=0,p=s=u;p;p=Kr(p))h++;for(p=0,y=d;y;y=Kr(y))p++;for(;0<h-p;)s=Kr(s),h--;for(;0<p-h;)d=Kr(d),p--;for(;h--;){if(s===d||null!==d&&s===d.alternate)break e;s=Kr(s),d=Kr(d)}s=null}else s=null;null!==u&&Xr(a,l,u,s,!1),null!==c&&null!==f&&Xr(a,f,c,s,!0)}if("select"===(u=(l=r?wo(r):window).nodeName&&l.nodeName.toLowerCase())||"input"===u&&"file"===l.type)var v=Yn;else if(Vn(l))if(Qn)v=ar;else{v=or;var m=rr}else(u=l.nodeName)&&"input"===u.toLowerCase()&&("checkbox"===l.type||"radio"===l.type)&&(v=ir);switch(v&&(v=v(e,r))?qn(a,v,n,o):(m&&m(e,l,r),"focusout"===e&&(m=l._wrapperState)&&m.controlled&&"number"===l.type&&ee(l,"number",l.value)),m=r?wo(r):window,e){case"focusin":(Vn(m)||"true"===m.contentEditable)&&(vr=m,mr=r,gr=null);break;case"focusout":gr=mr=vr=null;break;case"mousedown":br=!0;break;case"contextmenu":case"mouseup":case"dragend":br=!1,xr(a,n,o);break;case"selectionchange":if(yr)break;case"keydown":case"keyup":xr(a,n,o)}var g;if(Dn)e:{switch(e){case"compositionstart":var b="onCompositionStart";break e;case"compositionend":b="onCompositionEnd";break e;case"compositionupdate":b="onCompositionUpdate";break e}b=void 0}else Wn?Ln(e,n)&&(b="onCompositionEnd"):"keydown"===e&&229===n.keyCode&&(b="onCompositionStart");b&&(Bn&&"ko"!==n.locale&&(Wn||"onCompositionStart"!==b?"onCompositionEnd"===b&&Wn&&(g=en()):(Zt="value"in(Qt=o)?Qt.value:Qt.textContent,Wn=!0)),0<(m=$r(r,b)).length&&(b=new xn(b,e,null,n,o),a.push({event:b,listeners:m}),g?b.data=g:null!==(g=Un(n))&&(b.data=g))),(g=zn?function(e,t){switch(e){case"compositionend":return Un(t);case"keypress":return 32!==t.which?null:(Fn=!0,Rn);case"textInput":return(e=t.data)===Rn&&Fn?null:e;default:return null}}(e,n):function(e,t){if(Wn)return"compositionend"===e||!Dn&&Ln(e,t)?(e=en(),Jt=Zt=Qt=null,Wn=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return Bn&&"ko"!==t.locale?null:t.data}}(e,n))&&(0<(r=$r(r,"onBeforeInput")).length&&(o=new xn("onBeforeInput","beforeinput",null,n,o),a.push({event:o,listeners:r}),o.data=g))}Rr(a,t)})}function qr(e,t,n){return{instance:e,listener:t,currentTarget:n}}function $r(e,t){for(var n=t+"Capture",r=[];null!==e;){var o=e,i=o.stateNode;5===o.tag&&null!==i&&(o=i,null!=(i=Me(e,n))&&r.unshift(qr(e,i,o)),null!=(i=Me(e,t))&&r.push(qr(e,i,o))),e=e.return}return r}function Kr(e){if(null===e)return null;do{e=e.return}while(e&&5!==e.tag);return e||null}function Xr(e,t,n,r,o){for(var i=t._reactName,a=[];null!==n&&n!==r;){var l=n,u=l.alternate,c=l.stateNode;if(null!==u&&u===r)break;5===l.tag&&null!==c&&(l=c,o?null!=(u=Me(n,i))&&a.unshift(qr(n,u,l)):o||null!=(u=Me(n,i))&&a.push(qr(n,u,l))),n=n.return}0!==a.length&&e.push({event:t,listeners:a})}var Gr=/\r\n?/g,Yr=/\u0000|\uFFFD/g;function Qr(e){return("string"===typeof e?e:""+e).replace(Gr,"\n").replace(Yr,"")}function Zr(e,t,n){if(t=Qr(t),Qr(e)!==t&&n)throw Error(i(425))}function Jr(){}var eo=null,to=null;function no(e,t){return"textarea"===e||"noscript"===e||"string"===typeof t.children||"number"===typeof t.children||"object"===typeof t.dangerouslySetInnerHTML&&null!==t.dangerouslySetInnerHTML&&null!=t.dangerouslySetInnerHTML.__html}var ro="function"===typeof setTimeout?setTimeout:void 0,oo="function"===typeof clearTimeout?clearTimeout:void 0,io="function"===typeof Promise?Promise:void 0,ao="function"===typeof queueMicrotask?queueMicrotask:"undefined"!==typeof io?function(e){return io.resolve(null).then(e).catch(lo)}:ro;function lo(e){setTimeout(function(){throw e})}function uo(e,t){var n=t,r=0;do{var o=n.nextSibling;if(e.removeChild(n),o&&8===o.nodeType)if("/$"===(n=o.data)){if(0===r)return e.removeChild(o),void Wt(t);r--}else"$"!==n&&"$?"!==n&&"$!"!==n||r++;n=o}while(n);Wt(t)}function co(e){for(;null!=e;e=e.nextSibling){var t=e.nodeType;if(1===t||3===t)break;if(8===t){if("$"===(t=e.data)||"$!"===t||"$?"===t)break;if("/$"===t)return null}}return e}function so(e){e=e.previousSibling;for(var t=0;e;){if(8===e.nodeType){var n=e.data;if("$"===n||"$!"===n||"$?"===n){if(0===t)return e;t--}else"/$"===n&&t++}e=e.previousSibling}return null}var fo=Math.random().toString(36).slice(2),po="__reactFiber$"+fo,ho="__reactProps$"+fo,yo="__reactContainer$"+fo,vo="__reactEvents$"+fo,mo="__reactListeners$"+fo,go="__reactHandles$"+fo;function bo(e){var t=e[po];if(t)return t;for(var n=e.parentNode;n;){if(t=n[yo]||n[po]){if(n=t.alternate,null!==t.child||null!==n&&null!==n.child)for(e=so(e);null!==e;){if(n=e[po])return n;e=so(e)}return t}n=(e=n).parentNode}return null}function xo(e){return!(e=e[po]||e[yo])||5!==e.tag&&6!==e.tag&&13!==e.tag&&3!==e.tag?null:e}function wo(e){if(5===e.tag||6===e.tag)return e.stateNode;throw Error(i(33))}function jo(e){return e[ho]||null}var So=[],Oo=-1;function ko(e){return{current:e}}function Po(e){0>Oo||(e.current=So[Oo],So[Oo]=null,Oo--)}function Eo(e,t){Oo++,So[Oo]=e.current,e.current=t}var _o={},Ao=ko(_o),Co=ko(!1),To=_o;function Mo(e,t){var n=e.type.contextTypes;if(!n)return _o;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var o,i={};for(o in n)i[o]=t[o];return r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=i),i}function No(e){return null!==(e=e.childContextTypes)&&void 0!==e}function Do(){Po(Co),Po(Ao)}function Io(e,t,n){if(Ao.current!==_o)throw Error(i(168));Eo(Ao,t),Eo(Co,n)}function zo(e,t,n){var r=e.stateNode;if(t=t.childContextTypes,"function"!==typeof r.getChildContext)return n;for(var o in r=r.getChildContext())if(!(o in t))throw Error(i(108,H(e)||"Unknown",o));return B({},n,r)}function Bo(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||_o,To=Ao.current,Eo(Ao,e),Eo(Co,Co.current),!0}function Ro(e,t,n){var r=e.stateNode;if(!r)throw Error(i(169));n?(e=zo(e,t,To),r.__reactInternalMemoizedMergedChildContext=e,Po(Co),Po(Ao),Eo(Ao,e)):Po(Co),Eo(Co,n)}var Fo=null,Lo=!1,Uo=!1;function Wo(e){null===Fo?Fo=[e]:Fo.push(e)}function Ho(){if(!Uo&&null!==Fo){Uo=!0;var e=0,t=bt;try{var n=Fo;for(bt=1;e<n.length;e++){var r=n[e];do{r=r(!0)}while(null!==r)}Fo=null,Lo=!1}catch(o){throw null!==Fo&&(Fo=Fo.slice(e+1)),Ke(Je,Ho),o}finally{bt=t,Uo=!1}}return null}var Vo=[],qo=0,$o=null,Ko=0,Xo=[],Go=0,Yo=null,Qo=1,Zo="";function Jo(e,t){Vo[qo++]=Ko,Vo[qo++]=$o,$o=e,Ko=t}function ei(e,t,n){Xo[Go++]=Qo,Xo[Go++]=Zo,Xo[Go++]=Yo,Yo=e;var r=Qo;e=Zo;var o=32-at(r)-1;r&=~(1<<o),n+=1;var i=32-at(t)+o;if(30<i){var a=o-o%5;i=(r&(1<<a)-1).toString(32),r>>=a,o-=a,Qo=1<<32-at(t)+o|n<<o|r,Zo=i+e}else Qo=1<<i|n<<o|r,Zo=e}function ti(e){null!==e.return&&(Jo(e,1),ei(e,1,0))}function ni(e){for(;e===$o;)$o=Vo[--qo],Vo[qo]=null,Ko=Vo[--qo],Vo[qo]=null;for(;e===Yo;)Yo=Xo[--Go],Xo[Go]=null,Zo=Xo[--Go],Xo[Go]=null,Qo=Xo[--Go],Xo[Go]=null}var ri=null,oi=null,ii=!1,ai=null;function li(e,t){var n=Cc(5,null,null,0);n.elementType="DELETED",n.stateNode=t,n.return=e,null===(t=e.deletions)?(e.deletions=[n],e.flags|=16):t.push(n)}function ui(e,t){switch(e.tag){case 5:var n=e.type;return null!==(t=1!==t.nodeType||n.toLowerCase()!==t.nodeName.toLowerCase()?null:t)&&(e.stateNode=t,ri=e,oi=co(t.firstChild),!0);case 6:return null!==(t=""===e.pendingProps||3!==t.nodeType?null:t)&&(e.stateNode=t,ri=e,oi=null,!0);case 13:return null!==(t=8!==t.nodeType?null:t)&&(n=null!==Yo?{id:Qo,overflow:Zo}:null,e.memoizedState={dehydrated:t,treeContext:n,retryLane:1073741824},(n=Cc(18,null,null,0)).stateNode=t,n.return=e,e.child=n,ri=e,oi=null,!0);default:return!1}}function ci(e){return 0!==(1&e.mode)&&0===(128&e.flags)}function si(e){if(ii){var t=oi;if(t){var n=t;if(!ui(e,t)){if(ci(e))throw Error(i(418));t=co(n.nextSibling);var r=ri;t&&ui(e,t)?li(r,n):(e.flags=-4097&e.flags|2,ii=!1,ri=e)}}else{if(ci(e))throw Error(i(418));e.flags=-4097&e.flags|2,ii=!1,ri=e}}}function fi(e){for(e=e.return;null!==e&&5!==e.tag&&3!==e.tag&&13!==e.tag;)e=e.return;ri=e}function di(e){if(e!==ri)return!1;if(!ii)return fi(e),ii=!0,!1;var t;if((t=3!==e.tag)&&!(t=5!==e.tag)&&(t="head"!==(t=e.type)&&"body"!==t&&!no(e.type,e.memoizedProps)),t&&(t=oi)){if(ci(e))throw pi(),Error(i(418));for(;t;)li(e,t),t=co(t.nextSibling)}if(fi(e),13===e.tag){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(i(317));e:{for(e=e.nextSibling,t=0;e;){if(8===e.nodeType){var n=e.data;if("/$"===n){if(0===t){oi=co(e.nextSibling);break e}t--}else"$"!==n&&"$!"!==n&&"$?"!==n||t++}e=e.nextSibling}oi=null}}else oi=ri?co(e.stateNode.nextSibling):null;return!0}function pi(){for(var e=oi;e;)e=co(e.nextSibling)}function hi(){oi=ri=null,ii=!1}function yi(e){null===ai?ai=[e]:ai.push(e)}var vi=x.ReactCurrentBatchConfig;function mi(e,t,n){if(null!==(e=n.ref)&&"function"!==typeof e&&"object"!==typeof e){if(n._owner){if(n=n._owner){if(1!==n.tag)throw Error(i(309));var r=n.stateNode}if(!r)throw Error(i(147,e));var o=r,a=""+e;return null!==t&&null!==t.ref&&"function"===typeof t.ref&&t.ref._stringRef===a?t.ref:(t=function(e){var t=o.refs;null===e?delete t[a]:t[a]=e},t._stringRef=a,t)}if("string"!==typeof e)throw Error(i(284));if(!n._owner)throw Error(i(290,e))}return e}function gi(e,t){throw e=Object.prototype.toString.call(t),Error(i(31,"[object Object]"===e?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function bi(e){return(0,e._init)(e._payload)}function xi(e){function t(t,n){if(e){var r=t.deletions;null===r?(t.deletions=[n],t.flags|=16):r.push(n)}}function n(n,r){if(!e)return null;for(;null!==r;)t(n,r),r=r.sibling;return null}function r(e,t){for(e=new Map;null!==t;)null!==t.key?e.set(t.key,t):e.set(t.index,t),t=t.sibling;return e}function o(e,t){return(e=Mc(e,t)).index=0,e.sibling=null,e}function a(t,n,r){return t.index=r,e?null!==(r=t.alternate)?(r=r.index)<n?(t.flags|=2,n):r:(t.flags|=2,n):(t.flags|=1048576,n)}function l(t){return e&&null===t.alternate&&(t.flags|=2),t}function u(e,t,n,r){return null===t||6!==t.tag?((t=zc(n,e.mode,r)).return=e,t):((t=o(t,n)).return=e,t)}function c(e,t,n,r){var i=n.type;return i===S?f(e,t,n.props.children,r,n.key):null!==t&&(t.elementType===i||"object"===typeof i&&null!==i&&i.$$typeof===M&&bi(i)===t.type)?((r=o(t,n.props)).ref=mi(e,t,n),r.return=e,r):((r=Nc(n.type,n.key,n.props,null,e.mode,r)).ref=mi(e,t,n),r.return=e,r)}function s(e,t,n,r){return null===t||4!==t.tag||t.stateNode.containerInfo!==n.containerInfo||t.stateNode.implementation!==n.implementation?((t=Bc(n,e.mode,r)).return=e,t):((t=o(t,n.children||[])).return=e,t)}function f(e,t,n,r,i){return null===t||7!==t.tag?((t=Dc(n,e.mode,r,i)).return=e,t):((t=o(t,n)).return=e,t)}function d(e,t,n){if("string"===typeof t&&""!==t||"number"===typeof t)return(t=zc(""+t,e.mode,n)).return=e,t;if("object"===typeof t&&null!==t){switch(t.$$typeof){case w:return(n=Nc(t.type,t.key,t.props,null,e.mode,n)).ref=mi(e,null,t),n.return=e,n;case j:return(t=Bc(t,e.mode,n)).return=e,t;case M:return d(e,(0,t._init)(t._payload),n)}if(te(t)||I(t))return(t=Dc(t,e.mode,n,null)).return=e,t;gi(e,t)}return null}function p(e,t,n,r){var o=null!==t?t.key:null;if("string"===typeof n&&""!==n||"number"===typeof n)return null!==o?null:u(e,t,""+n,r);if("object"===typeof n&&null!==n){switch(n.$$typeof){case w:return n.key===o?c(e,t,n,r):null;case j:return n.key===o?s(e,t,n,r):null;case M:return p(e,t,(o=n._init)(n._payload),r)}if(te(n)||I(n))return null!==o?null:f(e,t,n,r,null);gi(e,n)}return null}function h(e,t,n,r,o){if("string"===typeof r&&""!==r||"number"===typeof r)return u(t,e=e.get(n)||null,""+r,o);if("object"===typeof r&&null!==r){switch(r.$$typeof){case w:return c(t,e=e.get(null===r.key?n:r.key)||null,r,o);case j:return s(t,e=e.get(null===r.key?n:r.key)||null,r,o);case M:return h(e,t,n,(0,r._init)(r._payload),o)}if(te(r)||I(r))return f(t,e=e.get(n)||null,r,o,null);gi(t,r)}return null}function y(o,i,l,u){for(var c=null,s=null,f=i,y=i=0,v=null;null!==f&&y<l.length;y++){f.index>y?(v=f,f=null):v=f.sibling;var m=p(o,f,l[y],u);if(null===m){null===f&&(f=v);break}e&&f&&null===m.alternate&&t(o,f),i=a(m,i,y),null===s?c=m:s.sibling=m,s=m,f=v}if(y===l.length)return n(o,f),ii&&Jo(o,y),c;if(null===f){for(;y<l.length;y++)null!==(f=d(o,l[y],u))&&(i=a(f,i,y),null===s?c=f:s.sibling=f,s=f);return ii&&Jo(o,y),c}for(f=r(o,f);y<l.length;y++)null!==(v=h(f,o,y,l[y],u))&&(e&&null!==v.alternate&&f.delete(null===v.key?y:v.key),i=a(v,i,y),null===s?c=v:s.sibling=v,s=v);return e&&f.forEach(function(e){return t(o,e)}),ii&&Jo(o,y),c}function v(o,l,u,c){var s=I(u);if("function"!==typeof s)throw Error(i(150));if(null==(u=s.call(u)))throw Error(i(151));for(var f=s=null,y=l,v=l=0,m=null,g=u.next();null!==y&&!g.done;v++,g=u.next()){y.index>v?(m=y,y=null):m=y.sibling;var b=p(o,y,g.value,c);if(null===b){null===y&&(y=m);break}e&&y&&null===b.alternate&&t(o,y),l=a(b,l,v),null===f?s=b:f.sibling=b,f=b,y=m}if(g.done)return n(o,y),ii&&Jo(o,v),s;if(null===y){for(;!g.done;v++,g=u.next())null!==(g=d(o,g.value,c))&&(l=a(g,l,v),null===f?s=g:f.sibling=g,f=g);return ii&&Jo(o,v),s}for(y=r(o,y);!g.done;v++,g=u.next())null!==(g=h(y,o,v,g.value,c))&&(e&&null!==g.alternate&&y.delete(null===g.key?v:g.key),l=a(g,l,v),null===f?s=g:f.sibling=g,f=g);return e&&y.forEach(function(e){return t(o,e)}),ii&&Jo(o,v),s}return function e(r,i,a,u){if("object"===typeof a&&null!==a&&a.type===S&&null===a.key&&(a=a.props.children),"object"===typeof a&&null!==a){switch(a.$$typeof){case w:e:{for(var c=a.key,s=i;null!==s;){if(s.key===c){if((c=a.type)===S){if(7===s.tag){n(r,s.sibling),(i=o(s,a.props.children)).return=r,r=i;break e}}else if(s.elementType===c||"object"===typeof c&&null!==c&&c.$$typeof===M&&bi(c)===s.type){n(r,s.sibling),(i=o(s,a.props)).ref=mi(r,s,a),i.return=r,r=i;break e}n(r,s);break}t(r,s),s=s.sibling}a.type===S?((i=Dc(a.props.children,r.mode,u,a.key)).return=r,r=i):((u=Nc(a.type,a.key,a.props,null,r.mode,u)).ref=mi(r,i,a),u.return=r,r=u)}return l(r);case j:e:{for(s=a.key;null!==i;){if(i.key===s){if(4===i.tag&&i.stateNode.containerInfo===a.containerInfo&&i.stateNode.implementation===a.implementation){n(r,i.sibling),(i=o(i,a.children||[])).return=r,r=i;break e}n(r,i);break}t(r,i),i=i.sibling}(i=Bc(a,r.mode,u)).return=r,r=i}return l(r);case M:return e(r,i,(s=a._init)(a._payload),u)}if(te(a))return y(r,i,a,u);if(I(a))return v(r,i,a,u);gi(r,a)}return"string"===typeof a&&""!==a||"number"===typeof a?(a=""+a,null!==i&&6===i.tag?(n(r,i.sibling),(i=o(i,a)).return=r,r=i):(n(r,i),(i=zc(a,r.mode,u)).return=r,r=i),l(r)):n(r,i)}}var wi=xi(!0),ji=xi(!1),Si=ko(null),Oi=null,ki=null,Pi=null;function Ei(){Pi=ki=Oi=null}function _i(e){var t=Si.current;Po(Si),e._currentValue=t}function Ai(e,t,n){for(;null!==e;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,null!==r&&(r.childLanes|=t)):null!==r&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===n)break;e=e.return}}function Ci(e,t){Oi=e,Pi=ki=null,null!==(e=e.dependencies)&&null!==e.firstContext&&(0!==(e.lanes&t)&&(bl=!0),e.firstContext=null)}function Ti(e){var t=e._currentValue;if(Pi!==e)if(e={context:e,memoizedValue:t,next:null},null===ki){if(null===Oi)throw Error(i(308));ki=e,Oi.dependencies={lanes:0,firstContext:e}}else ki=ki.next=e;return t}var Mi=null;function Ni(e){null===Mi?Mi=[e]:Mi.push(e)}function Di(e,t,n,r){var o=t.interleaved;return null===o?(n.next=n,Ni(t)):(n.next=o.next,o.next=n),t.interleaved=n,Ii(e,r)}function Ii(e,t){e.lanes|=t;var n=e.alternate;for(null!==n&&(n.lanes|=t),n=e,e=e.return;null!==e;)e.childLanes|=t,null!==(n=e.alternate)&&(n.childLanes|=t),n=e,e=e.return;return 3===n.tag?n.stateNode:null}var zi=!1;function Bi(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function Ri(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function Fi(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function Li(e,t,n){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,0!==(2&Eu)){var o=r.pending;return null===o?t.next=t:(t.next=o.next,o.next=t),r.pending=t,Ii(e,n)}return null===(o=r.interleaved)?(t.next=t,Ni(r)):(t.next=o.next,o.next=t),r.interleaved=t,Ii(e,n)}function Ui(e,t,n){if(null!==(t=t.updateQueue)&&(t=t.shared,0!==(4194240&n))){var r=t.lanes;n|=r&=e.pendingLanes,t.lanes=n,gt(e,n)}}function Wi(e,t){var n=e.updateQueue,r=e.alternate;if(null!==r&&n===(r=r.updateQueue)){var o=null,i=null;if(null!==(n=n.firstBaseUpdate)){do{var a={eventTime:n.eventTime,lane:n.lane,tag:n.tag,payload:n.payload,callback:n.callback,next:null};null===i?o=i=a:i=i.next=a,n=n.next}while(null!==n);null===i?o=i=t:i=i.next=t}else o=i=t;return n={baseState:r.baseState,firstBaseUpdate:o,lastBaseUpdate:i,shared:r.shared,effects:r.effects},void(e.updateQueue=n)}null===(e=n.lastBaseUpdate)?n.firstBaseUpdate=t:e.next=t,n.lastBaseUpdate=t}function Hi(e,t,n,r){var o=e.updateQueue;zi=!1;var i=o.firstBaseUpdate,a=o.lastBaseUpdate,l=o.shared.pending;if(null!==l){o.shared.pending=null;var u=l,c=u.next;u.next=null,null===a?i=c:a.next=c,a=u;var s=e.alternate;null!==s&&((l=(s=s.updateQueue).lastBaseUpdate)!==a&&(null===l?s.firstBaseUpdate=c:l.next=c,s.lastBaseUpdate=u))}if(null!==i){var f=o.baseState;for(a=0,s=c=u=null,l=i;;){var d=l.lane,p=l.eventTime;if((r&d)===d){null!==s&&(s=s.next={eventTime:p,lane:0,tag:l.tag,payload:l.payload,callback:l.callback,next:null});e:{var h=e,y=l;switch(d=t,p=n,y.tag){case 1:if("function"===typeof(h=y.payload)){f=h.call(p,f,d);break e}f=h;break e;case 3:h.flags=-65537&h.flags|128;case 0:if(null===(d="function"===typeof(h=y.payload)?h.call(p,f,d):h)||void 0===d)break e;f=B({},f,d);break e;case 2:zi=!0}}null!==l.callback&&0!==l.lane&&(e.flags|=64,null===(d=o.effects)?o.effects=[l]:d.push(l))}else p={eventTime:p,lane:d,tag:l.tag,payload:l.payload,callback:l.callback,next:null},null===s?(c=s=p,u=f):s=s.next=p,a|=d;if(null===(l=l.next)){if(null===(l=o.shared.pending))break;l=(d=l).next,d.next=null,o.lastBaseUpdate=d,o.shared.pending=null}}if(null===s&&(u=f),o.baseState=u,o.firstBaseUpdate=c,o.lastBaseUpdate=s,null!==(t=o.shared.interleaved)){o=t;do{a|=o.lane,o=o.next}while(o!==t)}else null===i&&(o.shared.lanes=0);Iu|=a,e.lanes=a,e.memoizedState=f}}function Vi(e,t,n){if(e=t.effects,t.effects=null,null!==e)for(t=0;t<e.length;t++){var r=e[t],o=r.callback;if(null!==o){if(r.callback=null,r=n,"function"!==typeof o)throw Error(i(191,o));o.call(r)}}}var qi={},$i=ko(qi),Ki=ko(qi),Xi=ko(qi);function Gi(e){if(e===qi)throw Error(i(174));return e}function Yi(e,t){switch(Eo(Xi,t),Eo(Ki,e),Eo($i,qi),e=t.nodeType){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:ue(null,"");break;default:t=ue(t=(e=8===e?t.parentNode:t).namespaceURI||null,e=e.tagName)}Po($i),Eo($i,t)}function Qi(){Po($i),Po(Ki),Po(Xi)}function Zi(e){Gi(Xi.current);var t=Gi($i.current),n=ue(t,e.type);t!==n&&(Eo(Ki,e),Eo($i,n))}function Ji(e){Ki.current===e&&(Po($i),Po(Ki))}var ea=ko(0);function ta(e){for(var t=e;null!==t;){if(13===t.tag){var n=t.memoizedState;if(null!==n&&(null===(n=n.dehydrated)||"$?"===n.data||"$!"===n.data))return t}else if(19===t.tag&&void 0!==t.memoizedProps.revealOrder){if(0!==(128&t.flags))return t}else if(null!==t.child){t.child.return=t,t=t.child;continue}if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var na=[];function ra(){for(var e=0;e<na.length;e++)na[e]._workInProgressVersionPrimary=null;na.length=0}var oa=x.ReactCurrentDispatcher,ia=x.ReactCurrentBatchConfig,aa=0,la=null,ua=null,ca=null,sa=!1,fa=!1,da=0,pa=0;function ha(){throw Error(i(321))}function ya(e,t){if(null===t)return!1;for(var n=0;n<t.length&&n<e.length;n++)if(!lr(e[n],t[n]))return!1;return!0}function va(e,t,n,r,o,a){if(aa=a,la=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,oa.current=null===e||null===e.memoizedState?Ja:el,e=n(r,o),fa){a=0;do{if(fa=!1,da=0,25<=a)throw Error(i(301));a+=1,ca=ua=null,t.updateQueue=null,oa.current=tl,e=n(r,o)}while(fa)}if(oa.current=Za,t=null!==ua&&null!==ua.next,aa=0,ca=ua=la=null,sa=!1,t)throw Error(i(300));return e}function ma(){var e=0!==da;return da=0,e}function ga(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===ca?la.memoizedState=ca=e:ca=ca.next=e,ca}function ba(){if(null===ua){var e=la.alternate;e=null!==e?e.memoizedState:null}else e=ua.next;var t=null===ca?la.memoizedState:ca.next;if(null!==t)ca=t,ua=e;else{if(null===e)throw Error(i(310));e={memoizedState:(ua=e).memoizedState,baseState:ua.baseState,baseQueue:ua.baseQueue,queue:ua.queue,next:null},null===ca?la.memoizedState=ca=e:ca=ca.next=e}return ca}function xa(e,t){return"function"===typeof t?t(e):t}function wa(e){var t=ba(),n=t.queue;if(null===n)throw Error(i(311));n.lastRenderedReducer=e;var r=ua,o=r.baseQueue,a=n.pending;if(null!==a){if(null!==o){var l=o.next;o.next=a.next,a.next=l}r.baseQueue=o=a,n.pending=null}if(null!==o){a=o.next,r=r.baseState;var u=l=null,c=null,s=a;do{var f=s.lane;if((aa&f)===f)null!==c&&(c=c.next={lane:0,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null}),r=s.hasEagerState?s.eagerState:e(r,s.action);else{var d={lane:f,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null};null===c?(u=c=d,l=r):c=c.next=d,la.lanes|=f,Iu|=f}s=s.next}while(null!==s&&s!==a);null===c?l=r:c.next=u,lr(r,t.memoizedState)||(bl=!0),t.memoizedState=r,t.baseState=l,t.baseQueue=c,n.lastRenderedState=r}if(null!==(e=n.interleaved)){o=e;do{a=o.lane,la.lanes|=a,Iu|=a,o=o.next}while(o!==e)}else null===o&&(n.lanes=0);return[t.memoizedState,n.dispatch]}function ja(e){var t=ba(),n=t.queue;if(null===n)throw Error(i(311));n.lastRenderedReducer=e;var r=n.dispatch,o=n.pending,a=t.memoizedState;if(null!==o){n.pending=null;var l=o=o.next;do{a=e(a,l.action),l=l.next}while(l!==o);lr(a,t.memoizedState)||(bl=!0),t.memoizedState=a,null===t.baseQueue&&(t.baseState=a),n.lastRenderedState=a}return[a,r]}function Sa(){}function Oa(e,t){var n=la,r=ba(),o=t(),a=!lr(r.memoizedState,o);if(a&&(r.memoizedState=o,bl=!0),r=r.queue,za(Ea.bind(null,n,r,e),[e]),r.getSnapshot!==t||a||null!==ca&&1&ca.memoizedState.tag){if(n.flags|=2048,Ta(9,Pa.bind(null,n,r,o,t),void 0,null),null===_u)throw Error(i(349));0!==(30&aa)||ka(n,t,o)}return o}function ka(e,t,n){e.flags|=16384,e={getSnapshot:t,value:n},null===(t=la.updateQueue)?(t={lastEffect:null,stores:null},la.updateQueue=t,t.stores=[e]):null===(n=t.stores)?t.stores=[e]:n.push(e)}function Pa(e,t,n,r){t.value=n,t.getSnapshot=r,_a(t)&&Aa(e)}function Ea(e,t,n){return n(function(){_a(t)&&Aa(e)})}function _a(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!lr(e,n)}catch(r){return!0}}function Aa(e){var t=Ii(e,1);null!==t&&tc(t,e,1,-1)}function Ca(e){var t=ga();return"function"===typeof e&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:xa,lastRenderedState:e},t.queue=e,e=e.dispatch=Xa.bind(null,la,e),[t.memoizedState,e]}function Ta(e,t,n,r){return e={tag:e,create:t,destroy:n,deps:r,next:null},null===(t=la.updateQueue)?(t={lastEffect:null,stores:null},la.updateQueue=t,t.lastEffect=e.next=e):null===(n=t.lastEffect)?t.lastEffect=e.next=e:(r=n.next,n.next=e,e.next=r,t.lastEffect=e),e}function Ma(){return ba().memoizedState}function Na(e,t,n,r){var o=ga();la.flags|=e,o.memoizedState=Ta(1|t,n,void 0,void 0===r?null:r)}function Da(e,t,n,r){var o=ba();r=void 0===r?null:r;var i=void 0;if(null!==ua){var a=ua.memoizedState;if(i=a.destroy,null!==r&&ya(r,a.deps))return void(o.memoizedState=Ta(t,n,i,r))}la.flags|=e,o.memoizedState=Ta(1|t,n,i,r)}function Ia(e,t){return Na(8390656,8,e,t)}function za(e,t){return Da(2048,8,e,t)}function Ba(e,t){return Da(4,2,e,t)}function Ra(e,t){return Da(4,4,e,t)}function Fa(e,t){return"function"===typeof t?(e=e(),t(e),function(){t(null)}):null!==t&&void 0!==t?(e=e(),t.current=e,function(){t.current=null}):void 0}function La(e,t,n){return n=null!==n&&void 0!==n?n.concat([e]):null,Da(4,4,Fa.bind(null,t,e),n)}function Ua(){}function Wa(e,t){var n=ba();t=void 0===t?null:t;var r=n.memoizedState;return null!==r&&null!==t&&ya(t,r[1])?r[0]:(n.memoizedState=[e,t],e)}function Ha(e,t){var n=ba();t=void 0===t?null:t;var r=n.memoizedState;return null!==r&&null!==t&&ya(t,r[1])?r[0]:(e=e(),n.memoizedState=[e,t],e)}function Va(e,t,n){return 0===(21&aa)?(e.baseState&&(e.baseState=!1,bl=!0),e.memoizedState=n):(lr(n,t)||(n=yt(),la.lanes|=n,Iu|=n,e.baseState=!0),t)}function qa(e,t){var n=bt;bt=0!==n&&4>n?n:4,e(!0);var r=ia.transition;ia.transition={};try{e(!1),t()}finally{bt=n,ia.transition=r}}function $a(){return ba().memoizedState}function Ka(e,t,n){var r=ec(e);if(n={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null},Ga(e))Ya(t,n);else if(null!==(n=Di(e,t,n,r))){tc(n,e,r,Ju()),Qa(n,t,r)}}function Xa(e,t,n){var r=ec(e),o={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null};if(Ga(e))Ya(t,o);else{var i=e.alternate;if(0===e.lanes&&(null===i||0===i.lanes)&&null!==(i=t.lastRenderedReducer))try{var a=t.lastRenderedState,l=i(a,n);if(o.hasEagerState=!0,o.eagerState=l,lr(l,a)){var u=t.interleaved;return null===u?(o.next=o,Ni(t)):(o.next=u.next,u.next=o),void(t.interleaved=o)}}catch(c){}null!==(n=Di(e,t,o,r))&&(tc(n,e,r,o=Ju()),Qa(n,t,r))}}function Ga(e){var t=e.alternate;return e===la||null!==t&&t===la}function Ya(e,t){fa=sa=!0;var n=e.pending;null===n?t.next=t:(t.next=n.next,n.next=t),e.pending=t}function Qa(e,t,n){if(0!==(4194240&n)){var r=t.lanes;n|=r&=e.pendingLanes,t.lanes=n,gt(e,n)}}var Za={readContext:Ti,useCallback:ha,useContext:ha,useEffect:ha,useImperativeHandle:ha,useInsertionEffect:ha,useLayoutEffect:ha,useMemo:ha,useReducer:ha,useRef:ha,useState:ha,useDebugValue:ha,useDeferredValue:ha,useTransition:ha,useMutableSource:ha,useSyncExternalStore:ha,useId:ha,unstable_isNewReconciler:!1},Ja={readContext:Ti,useCallback:function(e,t){return ga().memoizedState=[e,void 0===t?null:t],e},useContext:Ti,useEffect:Ia,useImperativeHandle:function(e,t,n){return n=null!==n&&void 0!==n?n.concat([e]):null,Na(4194308,4,Fa.bind(null,t,e),n)},useLayoutEffect:function(e,t){return Na(4194308,4,e,t)},useInsertionEffect:function(e,t){return Na(4,2,e,t)},useMemo:function(e,t){var n=ga();return t=void 0===t?null:t,e=e(),n.memoizedState=[e,t],e},useReducer:function(e,t,n){var r=ga();return t=void 0!==n?n(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=Ka.bind(null,la,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},ga().memoizedState=e},useState:Ca,useDebugValue:Ua,useDeferredValue:function(e){return ga().memoizedState=e},useTransition:function(){var e=Ca(!1),t=e[0];return e=qa.bind(null,e[1]),ga().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,n){var r=la,o=ga();if(ii){if(void 0===n)throw Error(i(407));n=n()}else{if(n=t(),null===_u)throw Error(i(349));0!==(30&aa)||ka(r,t,n)}o.memoizedState=n;var a={value:n,getSnapshot:t};return o.queue=a,Ia(Ea.bind(null,r,a,e),[e]),r.flags|=2048,Ta(9,Pa.bind(null,r,a,n,t),void 0,null),n},useId:function(){var e=ga(),t=_u.identifierPrefix;if(ii){var n=Zo;t=":"+t+"R"+(n=(Qo&~(1<<32-at(Qo)-1)).toString(32)+n),0<(n=da++)&&(t+="H"+n.toString(32)),t+=":"}else t=":"+t+"r"+(n=pa++).toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},el={readContext:Ti,useCallback:Wa,useContext:Ti,useEffect:za,useImperativeHandle:La,useInsertionEffect:Ba,useLayoutEffect:Ra,useMemo:Ha,useReducer:wa,useRef:Ma,useState:function(){return wa(xa)},useDebugValue:Ua,useDeferredValue:function(e){return Va(ba(),ua.memoizedState,e)},useTransition:function(){return[wa(xa)[0],ba().memoizedState]},useMutableSource:Sa,useSyncExternalStore:Oa,useId:$a,unstable_isNewReconciler:!1},tl={readContext:Ti,useCallback:Wa,useContext:Ti,useEffect:za,useImperativeHandle:La,useInsertionEffect:Ba,useLayoutEffect:Ra,useMemo:Ha,useReducer:ja,useRef:Ma,useState:function(){return ja(xa)},useDebugValue:Ua,useDeferredValue:function(e){var t=ba();return null===ua?t.memoizedState=e:Va(t,ua.memoizedState,e)},useTransition:function(){return[ja(xa)[0],ba().memoizedState]},useMutableSource:Sa,useSyncExternalStore:Oa,useId:$a,unstable_isNewReconciler:!1};function nl(e,t){if(e&&e.defaultProps){for(var n in t=B({},t),e=e.defaultProps)void 0===t[n]&&(t[n]=e[n]);return t}return t}function rl(e,t,n,r){n=null===(n=n(r,t=e.memoizedState))||void 0===n?t:B({},t,n),e.memoizedState=n,0===e.lanes&&(e.updateQueue.baseState=n)}var ol={isMounted:function(e){return!!(e=e._reactInternals)&&We(e)===e},enqueueSetState:function(e,t,n){e=e._reactInternals;var r=Ju(),o=ec(e),i=Fi(r,o);i.payload=t,void 0!==n&&null!==n&&(i.callback=n),null!==(t=Li(e,i,o))&&(tc(t,e,o,r),Ui(t,e,o))},enqueueReplaceState:function(e,t,n){e=e._reactInternals;var r=Ju(),o=ec(e),i=Fi(r,o);i.tag=1,i.payload=t,void 0!==n&&null!==n&&(i.callback=n),null!==(t=Li(e,i,o))&&(tc(t,e,o,r),Ui(t,e,o))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var n=Ju(),r=ec(e),o=Fi(n,r);o.tag=2,void 0!==t&&null!==t&&(o.callback=t),null!==(t=Li(e,o,r))&&(tc(t,e,r,n),Ui(t,e,r))}};function il(e,t,n,r,o,i,a){return"function"===typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,i,a):!t.prototype||!t.prototype.isPureReactComponent||(!ur(n,r)||!ur(o,i))}function al(e,t,n){var r=!1,o=_o,i=t.contextType;return"object"===typeof i&&null!==i?i=Ti(i):(o=No(t)?To:Ao.current,i=(r=null!==(r=t.contextTypes)&&void 0!==r)?Mo(e,o):_o),t=new t(n,i),e.memoizedState=null!==t.state&&void 0!==t.state?t.state:null,t.updater=ol,e.stateNode=t,t._reactInternals=e,r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=o,e.__reactInternalMemoizedMaskedChildContext=i),t}function ll(e,t,n,r){e=t.state,"function"===typeof t.componentWillReceiveProps&&t.componentWillReceiveProps(n,r),"function"===typeof t.UNSAFE_componentWillReceiveProps&&t.UNSAFE_componentWillReceiveProps(n,r),t.state!==e&&ol.enqueueReplaceState(t,t.state,null)}function ul(e,t,n,r){var o=e.stateNode;o.props=n,o.state=e.memoizedState,o.refs={},Bi(e);var i=t.contextType;"object"===typeof i&&null!==i?o.context=Ti(i):(i=No(t)?To:Ao.current,o.context=Mo(e,i)),o.state=e.memoizedState,"function"===typeof(i=t.getDerivedStateFromProps)&&(rl(e,t,i,n),o.state=e.memoizedState),"function"===typeof t.getDerivedStateFromProps||"function"===typeof o.getSnapshotBeforeUpdate||"function"!==typeof o.UNSAFE_componentWillMount&&"function"!==typeof o.componentWillMount||(t=o.state,"function"===typeof o.componentWillMount&&o.componentWillMount(),"function"===typeof o.UNSAFE_componentWillMount&&o.UNSAFE_componentWillMount(),t!==o.state&&ol.enqueueReplaceState(o,o.state,null),Hi(e,n,o,r),o.state=e.memoizedState),"function"===typeof o.componentDidMount&&(e.flags|=4194308)}function cl(e,t){try{var n="",r=t;do{n+=U(r),r=r.return}while(r);var o=n}catch(i){o="\nError generating stack: "+i.message+"\n"+i.stack}return{value:e,source:t,stack:o,digest:null}}function sl(e,t,n){return{value:e,source:null,stack:null!=n?n:null,digest:null!=t?t:null}}function fl(e,t){try{console.error(t.value)}catch(n){setTimeout(function(){throw n})}}var dl="function"===typeof WeakMap?WeakMap:Map;function pl(e,t,n){(n=Fi(-1,n)).tag=3,n.payload={element:null};var r=t.value;return n.callback=function(){Hu||(Hu=!0,Vu=r),fl(0,t)},n}function hl(e,t,n){(n=Fi(-1,n)).tag=3;var r=e.type.getDerivedStateFromError;if("function"===typeof r){var o=t.value;n.payload=function(){return r(o)},n.callback=function(){fl(0,t)}}var i=e.stateNode;return null!==i&&"function"===typeof i.componentDidCatch&&(n.callback=function(){fl(0,t),"function"!==typeof r&&(null===qu?qu=new Set([this]):qu.add(this));var e=t.stack;this.componentDidCatch(t.value,{componentStack:null!==e?e:""})}),n}function yl(e,t,n){var r=e.pingCache;if(null===r){r=e.pingCache=new dl;var o=new Set;r.set(t,o)}else void 0===(o=r.get(t))&&(o=new Set,r.set(t,o));o.has(n)||(o.add(n),e=Oc.bind(null,e,t,n),t.then(e,e))}function vl(e){do{var t;if((t=13===e.tag)&&(t=null===(t=e.memoizedState)||null!==t.dehydrated),t)return e;e=e.return}while(null!==e);return null}function ml(e,t,n,r,o){return 0===(1&e.mode)?(e===t?e.flags|=65536:(e.flags|=128,n.flags|=131072,n.flags&=-52805,1===n.tag&&(null===n.alternate?n.tag=17:((t=Fi(-1,1)).tag=2,Li(n,t,1))),n.lanes|=1),e):(e.flags|=65536,e.lanes=o,e)}var gl=x.ReactCurrentOwner,bl=!1;function xl(e,t,n,r){t.child=null===e?ji(t,null,n,r):wi(t,e.child,n,r)}function wl(e,t,n,r,o){n=n.render;var i=t.ref;return Ci(t,o),r=va(e,t,n,r,i,o),n=ma(),null===e||bl?(ii&&n&&ti(t),t.flags|=1,xl(e,t,r,o),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~o,Hl(e,t,o))}function jl(e,t,n,r,o){if(null===e){var i=n.type;return"function"!==typeof i||Tc(i)||void 0!==i.defaultProps||null!==n.compare||void 0!==n.defaultProps?((e=Nc(n.type,null,r,t,t.mode,o)).ref=t.ref,e.return=t,t.child=e):(t.tag=15,t.type=i,Sl(e,t,i,r,o))}if(i=e.child,0===(e.lanes&o)){var a=i.memoizedProps;if((n=null!==(n=n.compare)?n:ur)(a,r)&&e.ref===t.ref)return Hl(e,t,o)}return t.flags|=1,(e=Mc(i,r)).ref=t.ref,e.return=t,t.child=e}function Sl(e,t,n,r,o){if(null!==e){var i=e.memoizedProps;if(ur(i,r)&&e.ref===t.ref){if(bl=!1,t.pendingProps=r=i,0===(e.lanes&o))return t.lanes=e.lanes,Hl(e,t,o);0!==(131072&e.flags)&&(bl=!0)}}return Pl(e,t,n,r,o)}function Ol(e,t,n){var r=t.pendingProps,o=r.children,i=null!==e?e.memoizedState:null;if("hidden"===r.mode)if(0===(1&t.mode))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},Eo(Mu,Tu),Tu|=n;else{if(0===(1073741824&n))return e=null!==i?i.baseLanes|n:n,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,Eo(Mu,Tu),Tu|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=null!==i?i.baseLanes:n,Eo(Mu,Tu),Tu|=r}else null!==i?(r=i.baseLanes|n,t.memoizedState=null):r=n,Eo(Mu,Tu),Tu|=r;return xl(e,t,o,n),t.child}function kl(e,t){var n=t.ref;(null===e&&null!==n||null!==e&&e.ref!==n)&&(t.flags|=512,t.flags|=2097152)}function Pl(e,t,n,r,o){var i=No(n)?To:Ao.current;return i=Mo(t,i),Ci(t,o),n=va(e,t,n,r,i,o),r=ma(),null===e||bl?(ii&&r&&ti(t),t.flags|=1,xl(e,t,n,o),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~o,Hl(e,t,o))}function El(e,t,n,r,o){if(No(n)){var i=!0;Bo(t)}else i=!1;if(Ci(t,o),null===t.stateNode)Wl(e,t),al(t,n,r),ul(t,n,r,o),r=!0;else if(null===e){var a=t.stateNode,l=t.memoizedProps;a.props=l;var u=a.context,c=n.contextType;"object"===typeof c&&null!==c?c=Ti(c):c=Mo(t,c=No(n)?To:Ao.current);var s=n.getDerivedStateFromProps,f="function"===typeof s||"function"===typeof a.getSnapshotBeforeUpdate;f||"function"!==typeof a.UNSAFE_componentWillReceiveProps&&"function"!==typeof a.componentWillReceiveProps||(l!==r||u!==c)&&ll(t,a,r,c),zi=!1;var d=t.memoizedState;a.state=d,Hi(t,r,a,o),u=t.memoizedState,l!==r||d!==u||Co.current||zi?("function"===typeof s&&(rl(t,n,s,r),u=t.memoizedState),(l=zi||il(t,n,l,r,d,u,c))?(f||"function"!==typeof a.UNSAFE_componentWillMount&&"function"!==typeof a.componentWillMount||("function"===typeof a.componentWillMount&&a.componentWillMount(),"function"===typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount()),"function"===typeof a.componentDidMount&&(t.flags|=4194308)):("function"===typeof a.componentDidMount&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),a.props=r,a.state=u,a.context=c,r=l):("function"===typeof a.componentDidMount&&(t.flags|=4194308),r=!1)}else{a=t.stateNode,Ri(e,t),l=t.memoizedProps,c=t.type===t.elementType?l:nl(t.type,l),a.props=c,f=t.pendingProps,d=a.context,"object"===typeof(u=n.contextType)&&null!==u?u=Ti(u):u=Mo(t,u=No(n)?To:Ao.current);var p=n.getDerivedStateFromProps;(s="function"===typeof p||"function"===typeof a.getSnapshotBeforeUpdate)||"function"!==typeof a.UNSAFE_componentWillReceiveProps&&"function"!==typeof a.componentWillReceiveProps||(l!==f||d!==u)&&ll(t,a,r,u),zi=!1,d=t.memoizedState,a.state=d,Hi(t,r,a,o);var h=t.memoizedState;l!==f||d!==h||Co.current||zi?("function"===typeof p&&(rl(t,n,p,r),h=t.memoizedState),(c=zi||il(t,n,c,r,d,h,u)||!1)?(s||"function"!==typeof a.UNSAFE_componentWillUpdate&&"function"!==typeof a.componentWillUpdate||("function"===typeof a.componentWillUpdate&&a.componentWillUpdate(r,h,u),"function"===typeof a.UNSAFE_componentWillUpdate&&a.UNSAFE_componentWillUpdate(r,h,u)),"function"===typeof a.componentDidUpdate&&(t.flags|=4),"function"===typeof a.getSnapshotBeforeUpdate&&(t.flags|=1024)):("function"!==typeof a.componentDidUpdate||l===e.memoizedProps&&d===e.memoizedState||(t.flags|=4),"function"!==typeof a.getSnapshotBeforeUpdate||l===e.memoizedProps&&d===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=h),a.props=r,a.state=h,a.context=u,r=c):("function"!==typeof a.componentDidUpdate||l===e.memoizedProps&&d===e.memoizedState||(t.flags|=4),"function"!==typeof a.getSnapshotBeforeUpdate||l===e.memoizedProps&&d===e.memoizedState||(t.flags|=1024),r=!1)}return _l(e,t,n,r,i,o)}function _l(e,t,n,r,o,i){kl(e,t);var a=0!==(128&t.flags);if(!r&&!a)return o&&Ro(t,n,!1),Hl(e,t,i);r=t.stateNode,gl.current=t;var l=a&&"function"!==typeof n.getDerivedStateFromError?null:r.render();return t.flags|=1,null!==e&&a?(t.child=wi(t,e.child,null,i),t.child=wi(t,null,l,i)):xl(e,t,l,i),t.memoizedState=r.state,o&&Ro(t,n,!0),t.child}function Al(e){var t=e.stateNode;t.pendingContext?Io(0,t.pendingContext,t.pendingContext!==t.context):t.context&&Io(0,t.context,!1),Yi(e,t.containerInfo)}function Cl(e,t,n,r,o){return hi(),yi(o),t.flags|=256,xl(e,t,n,r),t.child}var Tl,Ml,Nl,Dl={dehydrated:null,treeContext:null,retryLane:0};function Il(e){return{baseLanes:e,cachePool:null,transitions:null}}function zl(e,t,n){var r,o=t.pendingProps,a=ea.current,l=!1,u=0!==(128&t.flags);if((r=u)||(r=(null===e||null!==e.memoizedState)&&0!==(2&a)),r?(l=!0,t.flags&=-129):null!==e&&null===e.memoizedState||(a|=1),Eo(ea,1&a),null===e)return si(t),null!==(e=t.memoizedState)&&null!==(e=e.dehydrated)?(0===(1&t.mode)?t.lanes=1:"$!"===e.data?t.lanes=8:t.lanes=1073741824,null):(u=o.children,e=o.fallback,l?(o=t.mode,l=t.child,u={mode:"hidden",children:u},0===(1&o)&&null!==l?(l.childLanes=0,l.pendingProps=u):l=Ic(u,o,0,null),e=Dc(e,o,n,null),l.return=t,e.return=t,l.sibling=e,t.child=l,t.child.memoizedState=Il(n),t.memoizedState=Dl,e):Bl(t,u));if(null!==(a=e.memoizedState)&&null!==(r=a.dehydrated))return function(e,t,n,r,o,a,l){if(n)return 256&t.flags?(t.flags&=-257,Rl(e,t,l,r=sl(Error(i(422))))):null!==t.memoizedState?(t.child=e.child,t.flags|=128,null):(a=r.fallback,o=t.mode,r=Ic({mode:"visible",children:r.children},o,0,null),(a=Dc(a,o,l,null)).flags|=2,r.return=t,a.return=t,r.sibling=a,t.child=r,0!==(1&t.mode)&&wi(t,e.child,null,l),t.child.memoizedState=Il(l),t.memoizedState=Dl,a);if(0===(1&t.mode))return Rl(e,t,l,null);if("$!"===o.data){if(r=o.nextSibling&&o.nextSibling.dataset)var u=r.dgst;return r=u,Rl(e,t,l,r=sl(a=Error(i(419)),r,void 0))}if(u=0!==(l&e.childLanes),bl||u){if(null!==(r=_u)){switch(l&-l){case 4:o=2;break;case 16:o=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:o=32;break;case 536870912:o=268435456;break;default:o=0}0!==(o=0!==(o&(r.suspendedLanes|l))?0:o)&&o!==a.retryLane&&(a.retryLane=o,Ii(e,o),tc(r,e,o,-1))}return hc(),Rl(e,t,l,r=sl(Error(i(421))))}return"$?"===o.data?(t.flags|=128,t.child=e.child,t=Pc.bind(null,e),o._reactRetry=t,null):(e=a.treeContext,oi=co(o.nextSibling),ri=t,ii=!0,ai=null,null!==e&&(Xo[Go++]=Qo,Xo[Go++]=Zo,Xo[Go++]=Yo,Qo=e.id,Zo=e.overflow,Yo=t),t=Bl(t,r.children),t.flags|=4096,t)}(e,t,u,o,r,a,n);if(l){l=o.fallback,u=t.mode,r=(a=e.child).sibling;var c={mode:"hidden",children:o.children};return 0===(1&u)&&t.child!==a?((o=t.child).childLanes=0,o.pendingProps=c,t.deletions=null):(o=Mc(a,c)).subtreeFlags=14680064&a.subtreeFlags,null!==r?l=Mc(r,l):(l=Dc(l,u,n,null)).flags|=2,l.return=t,o.return=t,o.sibling=l,t.child=o,o=l,l=t.child,u=null===(u=e.child.memoizedState)?Il(n):{baseLanes:u.baseLanes|n,cachePool:null,transitions:u.transitions},l.memoizedState=u,l.childLanes=e.childLanes&~n,t.memoizedState=Dl,o}return e=(l=e.child).sibling,o=Mc(l,{mode:"visible",children:o.children}),0===(1&t.mode)&&(o.lanes=n),o.return=t,o.sibling=null,null!==e&&(null===(n=t.deletions)?(t.deletions=[e],t.flags|=16):n.push(e)),t.child=o,t.memoizedState=null,o}function Bl(e,t){return(t=Ic({mode:"visible",children:t},e.mode,0,null)).return=e,e.child=t}function Rl(e,t,n,r){return null!==r&&yi(r),wi(t,e.child,null,n),(e=Bl(t,t.pendingProps.children)).flags|=2,t.memoizedState=null,e}function Fl(e,t,n){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t),Ai(e.return,t,n)}function Ll(e,t,n,r,o){var i=e.memoizedState;null===i?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:n,tailMode:o}:(i.isBackwards=t,i.rendering=null,i.renderingStartTime=0,i.last=r,i.tail=n,i.tailMode=o)}function Ul(e,t,n){var r=t.pendingProps,o=r.revealOrder,i=r.tail;if(xl(e,t,r.children,n),0!==(2&(r=ea.current)))r=1&r|2,t.flags|=128;else{if(null!==e&&0!==(128&e.flags))e:for(e=t.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&Fl(e,n,t);else if(19===e.tag)Fl(e,n,t);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;null===e.sibling;){if(null===e.return||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(Eo(ea,r),0===(1&t.mode))t.memoizedState=null;else switch(o){case"forwards":for(n=t.child,o=null;null!==n;)null!==(e=n.alternate)&&null===ta(e)&&(o=n),n=n.sibling;null===(n=o)?(o=t.child,t.child=null):(o=n.sibling,n.sibling=null),Ll(t,!1,o,n,i);break;case"backwards":for(n=null,o=t.child,t.child=null;null!==o;){if(null!==(e=o.alternate)&&null===ta(e)){t.child=o;break}e=o.sibling,o.sibling=n,n=o,o=e}Ll(t,!0,n,null,i);break;case"together":Ll(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function Wl(e,t){0===(1&t.mode)&&null!==e&&(e.alternate=null,t.alternate=null,t.flags|=2)}function Hl(e,t,n){if(null!==e&&(t.dependencies=e.dependencies),Iu|=t.lanes,0===(n&t.childLanes))return null;if(null!==e&&t.child!==e.child)throw Error(i(153));if(null!==t.child){for(n=Mc(e=t.child,e.pendingProps),t.child=n,n.return=t;null!==e.sibling;)e=e.sibling,(n=n.sibling=Mc(e,e.pendingProps)).return=t;n.sibling=null}return t.child}function Vl(e,t){if(!ii)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;null!==t;)null!==t.alternate&&(n=t),t=t.sibling;null===n?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var r=null;null!==n;)null!==n.alternate&&(r=n),n=n.sibling;null===r?t||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function ql(e){var t=null!==e.alternate&&e.alternate.child===e.child,n=0,r=0;if(t)for(var o=e.child;null!==o;)n|=o.lanes|o.childLanes,r|=14680064&o.subtreeFlags,r|=14680064&o.flags,o.return=e,o=o.sibling;else for(o=e.child;null!==o;)n|=o.lanes|o.childLanes,r|=o.subtreeFlags,r|=o.flags,o.return=e,o=o.sibling;return e.subtreeFlags|=r,e.childLanes=n,t}function $l(e,t,n){var r=t.pendingProps;switch(ni(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return ql(t),null;case 1:case 17:return No(t.type)&&Do(),ql(t),null;case 3:return r=t.stateNode,Qi(),Po(Co),Po(Ao),ra(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),null!==e&&null!==e.child||(di(t)?t.flags|=4:null===e||e.memoizedState.isDehydrated&&0===(256&t.flags)||(t.flags|=1024,null!==ai&&(ic(ai),ai=null))),ql(t),null;case 5:Ji(t);var o=Gi(Xi.current);if(n=t.type,null!==e&&null!=t.stateNode)Ml(e,t,n,r),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(null===t.stateNode)throw Error(i(166));return ql(t),null}if(e=Gi($i.current),di(t)){r=t.stateNode,n=t.type;var a=t.memoizedProps;switch(r[po]=t,r[ho]=a,e=0!==(1&t.mode),n){case"dialog":Fr("cancel",r),Fr("close",r);break;case"iframe":case"object":case"embed":Fr("load",r);break;case"video":case"audio":for(o=0;o<Ir.length;o++)Fr(Ir[o],r);break;case"source":Fr("error",r);break;case"img":case"image":case"link":Fr("error",r),Fr("load",r);break;case"details":Fr("toggle",r);break;case"input":Y(r,a),Fr("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!a.multiple},Fr("invalid",r);break;case"textarea":oe(r,a),Fr("invalid",r)}for(var u in ge(n,a),o=null,a)if(a.hasOwnProperty(u)){var c=a[u];"children"===u?"string"===typeof c?r.textContent!==c&&(!0!==a.suppressHydrationWarning&&Zr(r.textContent,c,e),o=["children",c]):"number"===typeof c&&r.textContent!==""+c&&(!0!==a.suppressHydrationWarning&&Zr(r.textContent,c,e),o=["children",""+c]):l.hasOwnProperty(u)&&null!=c&&"onScroll"===u&&Fr("scroll",r)}switch(n){case"input":$(r),J(r,a,!0);break;case"textarea":$(r),ae(r);break;case"select":case"option":break;default:"function"===typeof a.onClick&&(r.onclick=Jr)}r=o,t.updateQueue=r,null!==r&&(t.flags|=4)}else{u=9===o.nodeType?o:o.ownerDocument,"http://www.w3.org/1999/xhtml"===e&&(e=le(n)),"http://www.w3.org/1999/xhtml"===e?"script"===n?((e=u.createElement("div")).innerHTML="<script><\/script>",e=e.removeChild(e.firstChild)):"string"===typeof r.is?e=u.createElement(n,{is:r.is}):(e=u.createElement(n),"select"===n&&(u=e,r.multiple?u.multiple=!0:r.size&&(u.size=r.size))):e=u.createElementNS(e,n),e[po]=t,e[ho]=r,Tl(e,t),t.stateNode=e;e:{switch(u=be(n,r),n){case"dialog":Fr("cancel",e),Fr("close",e),o=r;break;case"iframe":case"object":case"embed":Fr("load",e),o=r;break;case"video":case"audio":for(o=0;o<Ir.length;o++)Fr(Ir[o],e);o=r;break;case"source":Fr("error",e),o=r;break;case"img":case"image":case"link":Fr("error",e),Fr("load",e),o=r;break;case"details":Fr("toggle",e),o=r;break;case"input":Y(e,r),o=G(e,r),Fr("invalid",e);break;case"option":default:o=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},o=B({},r,{value:void 0}),Fr("invalid",e);break;case"textarea":oe(e,r),o=re(e,r),Fr("invalid",e)}for(a in ge(n,o),c=o)if(c.hasOwnProperty(a)){var s=c[a];"style"===a?ve(e,s):"dangerouslySetInnerHTML"===a?null!=(s=s?s.__html:void 0)&&fe(e,s):"children"===a?"string"===typeof s?("textarea"!==n||""!==s)&&de(e,s):"number"===typeof s&&de(e,""+s):"suppressContentEditableWarning"!==a&&"suppressHydrationWarning"!==a&&"autoFocus"!==a&&(l.hasOwnProperty(a)?null!=s&&"onScroll"===a&&Fr("scroll",e):null!=s&&b(e,a,s,u))}switch(n){case"input":$(e),J(e,r,!1);break;case"textarea":$(e),ae(e);break;case"option":null!=r.value&&e.setAttribute("value",""+V(r.value));break;case"select":e.multiple=!!r.multiple,null!=(a=r.value)?ne(e,!!r.multiple,a,!1):null!=r.defaultValue&&ne(e,!!r.multiple,r.defaultValue,!0);break;default:"function"===typeof o.onClick&&(e.onclick=Jr)}switch(n){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}null!==t.ref&&(t.flags|=512,t.flags|=2097152)}return ql(t),null;case 6:if(e&&null!=t.stateNode)Nl(0,t,e.memoizedProps,r);else{if("string"!==typeof r&&null===t.stateNode)throw Error(i(166));if(n=Gi(Xi.current),Gi($i.current),di(t)){if(r=t.stateNode,n=t.memoizedProps,r[po]=t,(a=r.nodeValue!==n)&&null!==(e=ri))switch(e.tag){case 3:Zr(r.nodeValue,n,0!==(1&e.mode));break;case 5:!0!==e.memoizedProps.suppressHydrationWarning&&Zr(r.nodeValue,n,0!==(1&e.mode))}a&&(t.flags|=4)}else(r=(9===n.nodeType?n:n.ownerDocument).createTextNode(r))[po]=t,t.stateNode=r}return ql(t),null;case 13:if(Po(ea),r=t.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(ii&&null!==oi&&0!==(1&t.mode)&&0===(128&t.flags))pi(),hi(),t.flags|=98560,a=!1;else if(a=di(t),null!==r&&null!==r.dehydrated){if(null===e){if(!a)throw Error(i(318));if(!(a=null!==(a=t.memoizedState)?a.dehydrated:null))throw Error(i(317));a[po]=t}else hi(),0===(128&t.flags)&&(t.memoizedState=null),t.flags|=4;ql(t),a=!1}else null!==ai&&(ic(ai),ai=null),a=!0;if(!a)return 65536&t.flags?t:null}return 0!==(128&t.flags)?(t.lanes=n,t):((r=null!==r)!==(null!==e&&null!==e.memoizedState)&&r&&(t.child.flags|=8192,0!==(1&t.mode)&&(null===e||0!==(1&ea.current)?0===Nu&&(Nu=3):hc())),null!==t.updateQueue&&(t.flags|=4),ql(t),null);case 4:return Qi(),null===e&&Wr(t.stateNode.containerInfo),ql(t),null;case 10:return _i(t.type._context),ql(t),null;case 19:if(Po(ea),null===(a=t.memoizedState))return ql(t),null;if(r=0!==(128&t.flags),null===(u=a.rendering))if(r)Vl(a,!1);else{if(0!==Nu||null!==e&&0!==(128&e.flags))for(e=t.child;null!==e;){if(null!==(u=ta(e))){for(t.flags|=128,Vl(a,!1),null!==(r=u.updateQueue)&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=n,n=t.child;null!==n;)e=r,(a=n).flags&=14680066,null===(u=a.alternate)?(a.childLanes=0,a.lanes=e,a.child=null,a.subtreeFlags=0,a.memoizedProps=null,a.memoizedState=null,a.updateQueue=null,a.dependencies=null,a.stateNode=null):(a.childLanes=u.childLanes,a.lanes=u.lanes,a.child=u.child,a.subtreeFlags=0,a.deletions=null,a.memoizedProps=u.memoizedProps,a.memoizedState=u.memoizedState,a.updateQueue=u.updateQueue,a.type=u.type,e=u.dependencies,a.dependencies=null===e?null:{lanes:e.lanes,firstContext:e.firstContext}),n=n.sibling;return Eo(ea,1&ea.current|2),t.child}e=e.sibling}null!==a.tail&&Qe()>Uu&&(t.flags|=128,r=!0,Vl(a,!1),t.lanes=4194304)}else{if(!r)if(null!==(e=ta(u))){if(t.flags|=128,r=!0,null!==(n=e.updateQueue)&&(t.updateQueue=n,t.flags|=4),Vl(a,!0),null===a.tail&&"hidden"===a.tailMode&&!u.alternate&&!ii)return ql(t),null}else 2*Qe()-a.renderingStartTime>Uu&&1073741824!==n&&(t.flags|=128,r=!0,Vl(a,!1),t.lanes=4194304);a.isBackwards?(u.sibling=t.child,t.child=u):(null!==(n=a.last)?n.sibling=u:t.child=u,a.last=u)}return null!==a.tail?(t=a.tail,a.rendering=t,a.tail=t.sibling,a.renderingStartTime=Qe(),t.sibling=null,n=ea.current,Eo(ea,r?1&n|2:1&n),t):(ql(t),null);case 22:case 23:return sc(),r=null!==t.memoizedState,null!==e&&null!==e.memoizedState!==r&&(t.flags|=8192),r&&0!==(1&t.mode)?0!==(1073741824&Tu)&&(ql(t),6&t.subtreeFlags&&(t.flags|=8192)):ql(t),null;case 24:case 25:return null}throw Error(i(156,t.tag))}function Kl(e,t){switch(ni(t),t.tag){case 1:return No(t.type)&&Do(),65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 3:return Qi(),Po(Co),Po(Ao),ra(),0!==(65536&(e=t.flags))&&0===(128&e)?(t.flags=-65537&e|128,t):null;case 5:return Ji(t),null;case 13:if(Po(ea),null!==(e=t.memoizedState)&&null!==e.dehydrated){if(null===t.alternate)throw Error(i(340));hi()}return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 19:return Po(ea),null;case 4:return Qi(),null;case 10:return _i(t.type._context),null;case 22:case 23:return sc(),null;default:return null}}Tl=function(e,t){for(var n=t.child;null!==n;){if(5===n.tag||6===n.tag)e.appendChild(n.stateNode);else if(4!==n.tag&&null!==n.child){n.child.return=n,n=n.child;continue}if(n===t)break;for(;null===n.sibling;){if(null===n.return||n.return===t)return;n=n.return}n.sibling.return=n.return,n=n.sibling}},Ml=function(e,t,n,r){var o=e.memoizedProps;if(o!==r){e=t.stateNode,Gi($i.current);var i,a=null;switch(n){case"input":o=G(e,o),r=G(e,r),a=[];break;case"select":o=B({},o,{value:void 0}),r=B({},r,{value:void 0}),a=[];break;case"textarea":o=re(e,o),r=re(e,r),a=[];break;default:"function"!==typeof o.onClick&&"function"===typeof r.onClick&&(e.onclick=Jr)}for(s in ge(n,r),n=null,o)if(!r.hasOwnProperty(s)&&o.hasOwnProperty(s)&&null!=o[s])if("style"===s){var u=o[s];for(i in u)u.hasOwnProperty(i)&&(n||(n={}),n[i]="")}else"dangerouslySetInnerHTML"!==s&&"children"!==s&&"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(l.hasOwnProperty(s)?a||(a=[]):(a=a||[]).push(s,null));for(s in r){var c=r[s];if(u=null!=o?o[s]:void 0,r.hasOwnProperty(s)&&c!==u&&(null!=c||null!=u))if("style"===s)if(u){for(i in u)!u.hasOwnProperty(i)||c&&c.hasOwnProperty(i)||(n||(n={}),n[i]="");for(i in c)c.hasOwnProperty(i)&&u[i]!==c[i]&&(n||(n={}),n[i]=c[i])}else n||(a||(a=[]),a.push(s,n)),n=c;else"dangerouslySetInnerHTML"===s?(c=c?c.__html:void 0,u=u?u.__html:void 0,null!=c&&u!==c&&(a=a||[]).push(s,c)):"children"===s?"string"!==typeof c&&"number"!==typeof c||(a=a||[]).push(s,""+c):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&(l.hasOwnProperty(s)?(null!=c&&"onScroll"===s&&Fr("scroll",e),a||u===c||(a=[])):(a=a||[]).push(s,c))}n&&(a=a||[]).push("style",n);var s=a;(t.updateQueue=s)&&(t.flags|=4)}},Nl=function(e,t,n,r){n!==r&&(t.flags|=4)};var Xl=!1,Gl=!1,Yl="function"===typeof WeakSet?WeakSet:Set,Ql=null;function Zl(e,t){var n=e.ref;if(null!==n)if("function"===typeof n)try{n(null)}catch(r){Sc(e,t,r)}else n.current=null}function Jl(e,t,n){try{n()}catch(r){Sc(e,t,r)}}var eu=!1;function tu(e,t,n){var r=t.updateQueue;if(null!==(r=null!==r?r.lastEffect:null)){var o=r=r.next;do{if((o.tag&e)===e){var i=o.destroy;o.destroy=void 0,void 0!==i&&Jl(t,n,i)}o=o.next}while(o!==r)}}function nu(e,t){if(null!==(t=null!==(t=t.updateQueue)?t.lastEffect:null)){var n=t=t.next;do{if((n.tag&e)===e){var r=n.create;n.destroy=r()}n=n.next}while(n!==t)}}function ru(e){var t=e.ref;if(null!==t){var n=e.stateNode;e.tag,e=n,"function"===typeof t?t(e):t.current=e}}function ou(e){var t=e.alternate;null!==t&&(e.alternate=null,ou(t)),e.child=null,e.deletions=null,e.sibling=null,5===e.tag&&(null!==(t=e.stateNode)&&(delete t[po],delete t[ho],delete t[vo],delete t[mo],delete t[go])),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}function iu(e){return 5===e.tag||3===e.tag||4===e.tag}function au(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||iu(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&18!==e.tag;){if(2&e.flags)continue e;if(null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}function lu(e,t,n){var r=e.tag;if(5===r||6===r)e=e.stateNode,t?8===n.nodeType?n.parentNode.insertBefore(e,t):n.insertBefore(e,t):(8===n.nodeType?(t=n.parentNode).insertBefore(e,n):(t=n).appendChild(e),null!==(n=n._reactRootContainer)&&void 0!==n||null!==t.onclick||(t.onclick=Jr));else if(4!==r&&null!==(e=e.child))for(lu(e,t,n),e=e.sibling;null!==e;)lu(e,t,n),e=e.sibling}function uu(e,t,n){var r=e.tag;if(5===r||6===r)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(4!==r&&null!==(e=e.child))for(uu(e,t,n),e=e.sibling;null!==e;)uu(e,t,n),e=e.sibling}var cu=null,su=!1;function fu(e,t,n){for(n=n.child;null!==n;)du(e,t,n),n=n.sibling}function du(e,t,n){if(it&&"function"===typeof it.onCommitFiberUnmount)try{it.onCommitFiberUnmount(ot,n)}catch(l){}switch(n.tag){case 5:Gl||Zl(n,t);case 6:var r=cu,o=su;cu=null,fu(e,t,n),su=o,null!==(cu=r)&&(su?(e=cu,n=n.stateNode,8===e.nodeType?e.parentNode.removeChild(n):e.removeChild(n)):cu.removeChild(n.stateNode));break;case 18:null!==cu&&(su?(e=cu,n=n.stateNode,8===e.nodeType?uo(e.parentNode,n):1===e.nodeType&&uo(e,n),Wt(e)):uo(cu,n.stateNode));break;case 4:r=cu,o=su,cu=n.stateNode.containerInfo,su=!0,fu(e,t,n),cu=r,su=o;break;case 0:case 11:case 14:case 15:if(!Gl&&(null!==(r=n.updateQueue)&&null!==(r=r.lastEffect))){o=r=r.next;do{var i=o,a=i.destroy;i=i.tag,void 0!==a&&(0!==(2&i)||0!==(4&i))&&Jl(n,t,a),o=o.next}while(o!==r)}fu(e,t,n);break;case 1:if(!Gl&&(Zl(n,t),"function"===typeof(r=n.stateNode).componentWillUnmount))try{r.props=n.memoizedProps,r.state=n.memoizedState,r.componentWillUnmount()}catch(l){Sc(n,t,l)}fu(e,t,n);break;case 21:fu(e,t,n);break;case 22:1&n.mode?(Gl=(r=Gl)||null!==n.memoizedState,fu(e,t,n),Gl=r):fu(e,t,n);break;default:fu(e,t,n)}}function pu(e){var t=e.updateQueue;if(null!==t){e.updateQueue=null;var n=e.stateNode;null===n&&(n=e.stateNode=new Yl),t.forEach(function(t){var r=Ec.bind(null,e,t);n.has(t)||(n.add(t),t.then(r,r))})}}function hu(e,t){var n=t.deletions;if(null!==n)for(var r=0;r<n.length;r++){var o=n[r];try{var a=e,l=t,u=l;e:for(;null!==u;){switch(u.tag){case 5:cu=u.stateNode,su=!1;break e;case 3:case 4:cu=u.stateNode.containerInfo,su=!0;break e}u=u.return}if(null===cu)throw Error(i(160));du(a,l,o),cu=null,su=!1;var c=o.alternate;null!==c&&(c.return=null),o.return=null}catch(s){Sc(o,t,s)}}if(12854&t.subtreeFlags)for(t=t.child;null!==t;)yu(t,e),t=t.sibling}function yu(e,t){var n=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(hu(t,e),vu(e),4&r){try{tu(3,e,e.return),nu(3,e)}catch(v){Sc(e,e.return,v)}try{tu(5,e,e.return)}catch(v){Sc(e,e.return,v)}}break;case 1:hu(t,e),vu(e),512&r&&null!==n&&Zl(n,n.return);break;case 5:if(hu(t,e),vu(e),512&r&&null!==n&&Zl(n,n.return),32&e.flags){var o=e.stateNode;try{de(o,"")}catch(v){Sc(e,e.return,v)}}if(4&r&&null!=(o=e.stateNode)){var a=e.memoizedProps,l=null!==n?n.memoizedProps:a,u=e.type,c=e.updateQueue;if(e.updateQueue=null,null!==c)try{"input"===u&&"radio"===a.type&&null!=a.name&&Q(o,a),be(u,l);var s=be(u,a);for(l=0;l<c.length;l+=2){var f=c[l],d=c[l+1];"style"===f?ve(o,d):"dangerouslySetInnerHTML"===f?fe(o,d):"children"===f?de(o,d):b(o,f,d,s)}switch(u){case"input":Z(o,a);break;case"textarea":ie(o,a);break;case"select":var p=o._wrapperState.wasMultiple;o._wrapperState.wasMultiple=!!a.multiple;var h=a.value;null!=h?ne(o,!!a.multiple,h,!1):p!==!!a.multiple&&(null!=a.defaultValue?ne(o,!!a.multiple,a.defaultValue,!0):ne(o,!!a.multiple,a.multiple?[]:"",!1))}o[ho]=a}catch(v){Sc(e,e.return,v)}}break;case 6:if(hu(t,e),vu(e),4&r){if(null===e.stateNode)throw Error(i(162));o=e.stateNode,a=e.memoizedProps;try{o.nodeValue=a}catch(v){Sc(e,e.return,v)}}break;case 3:if(hu(t,e),vu(e),4&r&&null!==n&&n.memoizedState.isDehydrated)try{Wt(t.containerInfo)}catch(v){Sc(e,e.return,v)}break;case 4:default:hu(t,e),vu(e);break;case 13:hu(t,e),vu(e),8192&(o=e.child).flags&&(a=null!==o.memoizedState,o.stateNode.isHidden=a,!a||null!==o.alternate&&null!==o.alternate.memoizedState||(Lu=Qe())),4&r&&pu(e);break;case 22:if(f=null!==n&&null!==n.memoizedState,1&e.mode?(Gl=(s=Gl)||f,hu(t,e),Gl=s):hu(t,e),vu(e),8192&r){if(s=null!==e.memoizedState,(e.stateNode.isHidden=s)&&!f&&0!==(1&e.mode))for(Ql=e,f=e.child;null!==f;){for(d=Ql=f;null!==Ql;){switch(h=(p=Ql).child,p.tag){case 0:case 11:case 14:case 15:tu(4,p,p.return);break;case 1:Zl(p,p.return);var y=p.stateNode;if("function"===typeof y.componentWillUnmount){r=p,n=p.return;try{t=r,y.props=t.memoizedProps,y.state=t.memoizedState,y.componentWillUnmount()}catch(v){Sc(r,n,v)}}break;case 5:Zl(p,p.return);break;case 22:if(null!==p.memoizedState){xu(d);continue}}null!==h?(h.return=p,Ql=h):xu(d)}f=f.sibling}e:for(f=null,d=e;;){if(5===d.tag){if(null===f){f=d;try{o=d.stateNode,s?"function"===typeof(a=o.style).setProperty?a.setProperty("display","none","important"):a.display="none":(u=d.stateNode,l=void 0!==(c=d.memoizedProps.style)&&null!==c&&c.hasOwnProperty("display")?c.display:null,u.style.display=ye("display",l))}catch(v){Sc(e,e.return,v)}}}else if(6===d.tag){if(null===f)try{d.stateNode.nodeValue=s?"":d.memoizedProps}catch(v){Sc(e,e.return,v)}}else if((22!==d.tag&&23!==d.tag||null===d.memoizedState||d===e)&&null!==d.child){d.child.return=d,d=d.child;continue}if(d===e)break e;for(;null===d.sibling;){if(null===d.return||d.return===e)break e;f===d&&(f=null),d=d.return}f===d&&(f=null),d.sibling.return=d.return,d=d.sibling}}break;case 19:hu(t,e),vu(e),4&r&&pu(e);case 21:}}function vu(e){var t=e.flags;if(2&t){try{e:{for(var n=e.return;null!==n;){if(iu(n)){var r=n;break e}n=n.return}throw Error(i(160))}switch(r.tag){case 5:var o=r.stateNode;32&r.flags&&(de(o,""),r.flags&=-33),uu(e,au(e),o);break;case 3:case 4:var a=r.stateNode.containerInfo;lu(e,au(e),a);break;default:throw Error(i(161))}}catch(l){Sc(e,e.return,l)}e.flags&=-3}4096&t&&(e.flags&=-4097)}function mu(e,t,n){Ql=e,gu(e,t,n)}function gu(e,t,n){for(var r=0!==(1&e.mode);null!==Ql;){var o=Ql,i=o.child;if(22===o.tag&&r){var a=null!==o.memoizedState||Xl;if(!a){var l=o.alternate,u=null!==l&&null!==l.memoizedState||Gl;l=Xl;var c=Gl;if(Xl=a,(Gl=u)&&!c)for(Ql=o;null!==Ql;)u=(a=Ql).child,22===a.tag&&null!==a.memoizedState?wu(o):null!==u?(u.return=a,Ql=u):wu(o);for(;null!==i;)Ql=i,gu(i,t,n),i=i.sibling;Ql=o,Xl=l,Gl=c}bu(e)}else 0!==(8772&o.subtreeFlags)&&null!==i?(i.return=o,Ql=i):bu(e)}}function bu(e){for(;null!==Ql;){var t=Ql;if(0!==(8772&t.flags)){var n=t.alternate;try{if(0!==(8772&t.flags))switch(t.tag){case 0:case 11:case 15:Gl||nu(5,t);break;case 1:var r=t.stateNode;if(4&t.flags&&!Gl)if(null===n)r.componentDidMount();else{var o=t.elementType===t.type?n.memoizedProps:nl(t.type,n.memoizedProps);r.componentDidUpdate(o,n.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}var a=t.updateQueue;null!==a&&Vi(t,a,r);break;case 3:var l=t.updateQueue;if(null!==l){if(n=null,null!==t.child)switch(t.child.tag){case 5:case 1:n=t.child.stateNode}Vi(t,l,n)}break;case 5:var u=t.stateNode;if(null===n&&4&t.flags){n=u;var c=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":c.autoFocus&&n.focus();break;case"img":c.src&&(n.src=c.src)}}break;case 6:case 4:case 12:case 19:case 17:case 21:case 22:case 23:case 25:break;case 13:if(null===t.memoizedState){var s=t.alternate;if(null!==s){var f=s.memoizedState;if(null!==f){var d=f.dehydrated;null!==d&&Wt(d)}}}break;default:throw Error(i(163))}Gl||512&t.flags&&ru(t)}catch(p){Sc(t,t.return,p)}}if(t===e){Ql=null;break}if(null!==(n=t.sibling)){n.return=t.return,Ql=n;break}Ql=t.return}}function xu(e){for(;null!==Ql;){var t=Ql;if(t===e){Ql=null;break}var n=t.sibling;if(null!==n){n.return=t.return,Ql=n;break}Ql=t.return}}function wu(e){for(;null!==Ql;){var t=Ql;try{switch(t.tag){case 0:case 11:case 15:var n=t.return;try{nu(4,t)}catch(u){Sc(t,n,u)}break;case 1:var r=t.stateNode;if("function"===typeof r.componentDidMount){var o=t.return;try{r.componentDidMount()}catch(u){Sc(t,o,u)}}var i=t.return;try{ru(t)}catch(u){Sc(t,i,u)}break;case 5:var a=t.return;try{ru(t)}catch(u){Sc(t,a,u)}}}catch(u){Sc(t,t.return,u)}if(t===e){Ql=null;break}var l=t.sibling;if(null!==l){l.return=t.return,Ql=l;break}Ql=t.return}}var ju,Su=Math.ceil,Ou=x.ReactCurrentDispatcher,ku=x.ReactCurrentOwner,Pu=x.ReactCurrentBatchConfig,Eu=0,_u=null,Au=null,Cu=0,Tu=0,Mu=ko(0),Nu=0,Du=null,Iu=0,zu=0,Bu=0,Ru=null,Fu=null,Lu=0,Uu=1/0,Wu=null,Hu=!1,Vu=null,qu=null,$u=!1,Ku=null,Xu=0,Gu=0,Yu=null,Qu=-1,Zu=0;function Ju(){return 0!==(6&Eu)?Qe():-1!==Qu?Qu:Qu=Qe()}function ec(e){return 0===(1&e.mode)?1:0!==(2&Eu)&&0!==Cu?Cu&-Cu:null!==vi.transition?(0===Zu&&(Zu=yt()),Zu):0!==(e=bt)?e:e=void 0===(e=window.event)?16:Yt(e.type)}function tc(e,t,n,r){if(50<Gu)throw Gu=0,Yu=null,Error(i(185));mt(e,n,r),0!==(2&Eu)&&e===_u||(e===_u&&(0===(2&Eu)&&(zu|=n),4===Nu&&ac(e,Cu)),nc(e,r),1===n&&0===Eu&&0===(1&t.mode)&&(Uu=Qe()+500,Lo&&Ho()))}function nc(e,t){var n=e.callbackNode;!function(e,t){for(var n=e.suspendedLanes,r=e.pingedLanes,o=e.expirationTimes,i=e.pendingLanes;0<i;){var a=31-at(i),l=1<<a,u=o[a];-1===u?0!==(l&n)&&0===(l&r)||(o[a]=pt(l,t)):u<=t&&(e.expiredLanes|=l),i&=~l}}(e,t);var r=dt(e,e===_u?Cu:0);if(0===r)null!==n&&Xe(n),e.callbackNode=null,e.callbackPriority=0;else if(t=r&-r,e.callbackPriority!==t){if(null!=n&&Xe(n),1===t)0===e.tag?function(e){Lo=!0,Wo(e)}(lc.bind(null,e)):Wo(lc.bind(null,e)),ao(function(){0===(6&Eu)&&Ho()}),n=null;else{switch(xt(r)){case 1:n=Je;break;case 4:n=et;break;case 16:default:n=tt;break;case 536870912:n=rt}n=_c(n,rc.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function rc(e,t){if(Qu=-1,Zu=0,0!==(6&Eu))throw Error(i(327));var n=e.callbackNode;if(wc()&&e.callbackNode!==n)return null;var r=dt(e,e===_u?Cu:0);if(0===r)return null;if(0!==(30&r)||0!==(r&e.expiredLanes)||t)t=yc(e,r);else{t=r;var o=Eu;Eu|=2;var a=pc();for(_u===e&&Cu===t||(Wu=null,Uu=Qe()+500,fc(e,t));;)try{mc();break}catch(u){dc(e,u)}Ei(),Ou.current=a,Eu=o,null!==Au?t=0:(_u=null,Cu=0,t=Nu)}if(0!==t){if(2===t&&(0!==(o=ht(e))&&(r=o,t=oc(e,o))),1===t)throw n=Du,fc(e,0),ac(e,r),nc(e,Qe()),n;if(6===t)ac(e,r);else{if(o=e.current.alternate,0===(30&r)&&!function(e){for(var t=e;;){if(16384&t.flags){var n=t.updateQueue;if(null!==n&&null!==(n=n.stores))for(var r=0;r<n.length;r++){var o=n[r],i=o.getSnapshot;o=o.value;try{if(!lr(i(),o))return!1}catch(l){return!1}}}if(n=t.child,16384&t.subtreeFlags&&null!==n)n.return=t,t=n;else{if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}(o)&&(2===(t=yc(e,r))&&(0!==(a=ht(e))&&(r=a,t=oc(e,a))),1===t))throw n=Du,fc(e,0),ac(e,r),nc(e,Qe()),n;switch(e.finishedWork=o,e.finishedLanes=r,t){case 0:case 1:throw Error(i(345));case 2:case 5:xc(e,Fu,Wu);break;case 3:if(ac(e,r),(130023424&r)===r&&10<(t=Lu+500-Qe())){if(0!==dt(e,0))break;if(((o=e.suspendedLanes)&r)!==r){Ju(),e.pingedLanes|=e.suspendedLanes&o;break}e.timeoutHandle=ro(xc.bind(null,e,Fu,Wu),t);break}xc(e,Fu,Wu);break;case 4:if(ac(e,r),(4194240&r)===r)break;for(t=e.eventTimes,o=-1;0<r;){var l=31-at(r);a=1<<l,(l=t[l])>o&&(o=l),r&=~a}if(r=o,10<(r=(120>(r=Qe()-r)?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*Su(r/1960))-r)){e.timeoutHandle=ro(xc.bind(null,e,Fu,Wu),r);break}xc(e,Fu,Wu);break;default:throw Error(i(329))}}}return nc(e,Qe()),e.callbackNode===n?rc.bind(null,e):null}function oc(e,t){var n=Ru;return e.current.memoizedState.isDehydrated&&(fc(e,t).flags|=256),2!==(e=yc(e,t))&&(t=Fu,Fu=n,null!==t&&ic(t)),e}function ic(e){null===Fu?Fu=e:Fu.push.apply(Fu,e)}function ac(e,t){for(t&=~Bu,t&=~zu,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var n=31-at(t),r=1<<n;e[n]=-1,t&=~r}}function lc(e){if(0!==(6&Eu))throw Error(i(327));wc();var t=dt(e,0);if(0===(1&t))return nc(e,Qe()),null;var n=yc(e,t);if(0!==e.tag&&2===n){var r=ht(e);0!==r&&(t=r,n=oc(e,r))}if(1===n)throw n=Du,fc(e,0),ac(e,t),nc(e,Qe()),n;if(6===n)throw Error(i(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,xc(e,Fu,Wu),nc(e,Qe()),null}function uc(e,t){var n=Eu;Eu|=1;try{return e(t)}finally{0===(Eu=n)&&(Uu=Qe()+500,Lo&&Ho())}}function cc(e){null!==Ku&&0===Ku.tag&&0===(6&Eu)&&wc();var t=Eu;Eu|=1;var n=Pu.transition,r=bt;try{if(Pu.transition=null,bt=1,e)return e()}finally{bt=r,Pu.transition=n,0===(6&(Eu=t))&&Ho()}}function sc(){Tu=Mu.current,Po(Mu)}function fc(e,t){e.finishedWork=null,e.finishedLanes=0;var n=e.timeoutHandle;if(-1!==n&&(e.timeoutHandle=-1,oo(n)),null!==Au)for(n=Au.return;null!==n;){var r=n;switch(ni(r),r.tag){case 1:null!==(r=r.type.childContextTypes)&&void 0!==r&&Do();break;case 3:Qi(),Po(Co),Po(Ao),ra();break;case 5:Ji(r);break;case 4:Qi();break;case 13:case 19:Po(ea);break;case 10:_i(r.type._context);break;case 22:case 23:sc()}n=n.return}if(_u=e,Au=e=Mc(e.current,null),Cu=Tu=t,Nu=0,Du=null,Bu=zu=Iu=0,Fu=Ru=null,null!==Mi){for(t=0;t<Mi.length;t++)if(null!==(r=(n=Mi[t]).interleaved)){n.interleaved=null;var o=r.next,i=n.pending;if(null!==i){var a=i.next;i.next=o,r.next=a}n.pending=r}Mi=null}return e}function dc(e,t){for(;;){var n=Au;try{if(Ei(),oa.current=Za,sa){for(var r=la.memoizedState;null!==r;){var o=r.queue;null!==o&&(o.pending=null),r=r.next}sa=!1}if(aa=0,ca=ua=la=null,fa=!1,da=0,ku.current=null,null===n||null===n.return){Nu=1,Du=t,Au=null;break}e:{var a=e,l=n.return,u=n,c=t;if(t=Cu,u.flags|=32768,null!==c&&"object"===typeof c&&"function"===typeof c.then){var s=c,f=u,d=f.tag;if(0===(1&f.mode)&&(0===d||11===d||15===d)){var p=f.alternate;p?(f.updateQueue=p.updateQueue,f.memoizedState=p.memoizedState,f.lanes=p.lanes):(f.updateQueue=null,f.memoizedState=null)}var h=vl(l);if(null!==h){h.flags&=-257,ml(h,l,u,0,t),1&h.mode&&yl(a,s,t),c=s;var y=(t=h).updateQueue;if(null===y){var v=new Set;v.add(c),t.updateQueue=v}else y.add(c);break e}if(0===(1&t)){yl(a,s,t),hc();break e}c=Error(i(426))}else if(ii&&1&u.mode){var m=vl(l);if(null!==m){0===(65536&m.flags)&&(m.flags|=256),ml(m,l,u,0,t),yi(cl(c,u));break e}}a=c=cl(c,u),4!==Nu&&(Nu=2),null===Ru?Ru=[a]:Ru.push(a),a=l;do{switch(a.tag){case 3:a.flags|=65536,t&=-t,a.lanes|=t,Wi(a,pl(0,c,t));break e;case 1:u=c;var g=a.type,b=a.stateNode;if(0===(128&a.flags)&&("function"===typeof g.getDerivedStateFromError||null!==b&&"function"===typeof b.componentDidCatch&&(null===qu||!qu.has(b)))){a.flags|=65536,t&=-t,a.lanes|=t,Wi(a,hl(a,u,t));break e}}a=a.return}while(null!==a)}bc(n)}catch(x){t=x,Au===n&&null!==n&&(Au=n=n.return);continue}break}}function pc(){var e=Ou.current;return Ou.current=Za,null===e?Za:e}function hc(){0!==Nu&&3!==Nu&&2!==Nu||(Nu=4),null===_u||0===(268435455&Iu)&&0===(268435455&zu)||ac(_u,Cu)}function yc(e,t){var n=Eu;Eu|=2;var r=pc();for(_u===e&&Cu===t||(Wu=null,fc(e,t));;)try{vc();break}catch(o){dc(e,o)}if(Ei(),Eu=n,Ou.current=r,null!==Au)throw Error(i(261));return _u=null,Cu=0,Nu}function vc(){for(;null!==Au;)gc(Au)}function mc(){for(;null!==Au&&!Ge();)gc(Au)}function gc(e){var t=ju(e.alternate,e,Tu);e.memoizedProps=e.pendingProps,null===t?bc(e):Au=t,ku.current=null}function bc(e){var t=e;do{var n=t.alternate;if(e=t.return,0===(32768&t.flags)){if(null!==(n=$l(n,t,Tu)))return void(Au=n)}else{if(null!==(n=Kl(n,t)))return n.flags&=32767,void(Au=n);if(null===e)return Nu=6,void(Au=null);e.flags|=32768,e.subtreeFlags=0,e.deletions=null}if(null!==(t=t.sibling))return void(Au=t);Au=t=e}while(null!==t);0===Nu&&(Nu=5)}function xc(e,t,n){var r=bt,o=Pu.transition;try{Pu.transition=null,bt=1,function(e,t,n,r){do{wc()}while(null!==Ku);if(0!==(6&Eu))throw Error(i(327));n=e.finishedWork;var o=e.finishedLanes;if(null===n)return null;if(e.finishedWork=null,e.finishedLanes=0,n===e.current)throw Error(i(177));e.callbackNode=null,e.callbackPriority=0;var a=n.lanes|n.childLanes;if(function(e,t){var n=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<n;){var o=31-at(n),i=1<<o;t[o]=0,r[o]=-1,e[o]=-1,n&=~i}}(e,a),e===_u&&(Au=_u=null,Cu=0),0===(2064&n.subtreeFlags)&&0===(2064&n.flags)||$u||($u=!0,_c(tt,function(){return wc(),null})),a=0!==(15990&n.flags),0!==(15990&n.subtreeFlags)||a){a=Pu.transition,Pu.transition=null;var l=bt;bt=1;var u=Eu;Eu|=4,ku.current=null,function(e,t){if(eo=Vt,pr(e=dr())){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(n=(n=e.ownerDocument)&&n.defaultView||window).getSelection&&n.getSelection();if(r&&0!==r.rangeCount){n=r.anchorNode;var o=r.anchorOffset,a=r.focusNode;r=r.focusOffset;try{n.nodeType,a.nodeType}catch(w){n=null;break e}var l=0,u=-1,c=-1,s=0,f=0,d=e,p=null;t:for(;;){for(var h;d!==n||0!==o&&3!==d.nodeType||(u=l+o),d!==a||0!==r&&3!==d.nodeType||(c=l+r),3===d.nodeType&&(l+=d.nodeValue.length),null!==(h=d.firstChild);)p=d,d=h;for(;;){if(d===e)break t;if(p===n&&++s===o&&(u=l),p===a&&++f===r&&(c=l),null!==(h=d.nextSibling))break;p=(d=p).parentNode}d=h}n=-1===u||-1===c?null:{start:u,end:c}}else n=null}n=n||{start:0,end:0}}else n=null;for(to={focusedElem:e,selectionRange:n},Vt=!1,Ql=t;null!==Ql;)if(e=(t=Ql).child,0!==(1028&t.subtreeFlags)&&null!==e)e.return=t,Ql=e;else for(;null!==Ql;){t=Ql;try{var y=t.alternate;if(0!==(1024&t.flags))switch(t.tag){case 0:case 11:case 15:case 5:case 6:case 4:case 17:break;case 1:if(null!==y){var v=y.memoizedProps,m=y.memoizedState,g=t.stateNode,b=g.getSnapshotBeforeUpdate(t.elementType===t.type?v:nl(t.type,v),m);g.__reactInternalSnapshotBeforeUpdate=b}break;case 3:var x=t.stateNode.containerInfo;1===x.nodeType?x.textContent="":9===x.nodeType&&x.documentElement&&x.removeChild(x.documentElement);break;default:throw Error(i(163))}}catch(w){Sc(t,t.return,w)}if(null!==(e=t.sibling)){e.return=t.return,Ql=e;break}Ql=t.return}y=eu,eu=!1}(e,n),yu(n,e),hr(to),Vt=!!eo,to=eo=null,e.current=n,mu(n,e,o),Ye(),Eu=u,bt=l,Pu.transition=a}else e.current=n;if($u&&($u=!1,Ku=e,Xu=o),a=e.pendingLanes,0===a&&(qu=null),function(e){if(it&&"function"===typeof it.onCommitFiberRoot)try{it.onCommitFiberRoot(ot,e,void 0,128===(128&e.current.flags))}catch(t){}}(n.stateNode),nc(e,Qe()),null!==t)for(r=e.onRecoverableError,n=0;n<t.length;n++)o=t[n],r(o.value,{componentStack:o.stack,digest:o.digest});if(Hu)throw Hu=!1,e=Vu,Vu=null,e;0!==(1&Xu)&&0!==e.tag&&wc(),a=e.pendingLanes,0!==(1&a)?e===Yu?Gu++:(Gu=0,Yu=e):Gu=0,Ho()}(e,t,n,r)}finally{Pu.transition=o,bt=r}return null}function wc(){if(null!==Ku){var e=xt(Xu),t=Pu.transition,n=bt;try{if(Pu.transition=null,bt=16>e?16:e,null===Ku)var r=!1;else{if(e=Ku,Ku=null,Xu=0,0!==(6&Eu))throw Error(i(331));var o=Eu;for(Eu|=4,Ql=e.current;null!==Ql;){var a=Ql,l=a.child;if(0!==(16&Ql.flags)){var u=a.deletions;if(null!==u){for(var c=0;c<u.length;c++){var s=u[c];for(Ql=s;null!==Ql;){var f=Ql;switch(f.tag){case 0:case 11:case 15:tu(8,f,a)}var d=f.child;if(null!==d)d.return=f,Ql=d;else for(;null!==Ql;){var p=(f=Ql).sibling,h=f.return;if(ou(f),f===s){Ql=null;break}if(null!==p){p.return=h,Ql=p;break}Ql=h}}}var y=a.alternate;if(null!==y){var v=y.child;if(null!==v){y.child=null;do{var m=v.sibling;v.sibling=null,v=m}while(null!==v)}}Ql=a}}if(0!==(2064&a.subtreeFlags)&&null!==l)l.return=a,Ql=l;else e:for(;null!==Ql;){if(0!==(2048&(a=Ql).flags))switch(a.tag){case 0:case 11:case 15:tu(9,a,a.return)}var g=a.sibling;if(null!==g){g.return=a.return,Ql=g;break e}Ql=a.return}}var b=e.current;for(Ql=b;null!==Ql;){var x=(l=Ql).child;if(0!==(2064&l.subtreeFlags)&&null!==x)x.return=l,Ql=x;else e:for(l=b;null!==Ql;){if(0!==(2048&(u=Ql).flags))try{switch(u.tag){case 0:case 11:case 15:nu(9,u)}}catch(j){Sc(u,u.return,j)}if(u===l){Ql=null;break e}var w=u.sibling;if(null!==w){w.return=u.return,Ql=w;break e}Ql=u.return}}if(Eu=o,Ho(),it&&"function"===typeof it.onPostCommitFiberRoot)try{it.onPostCommitFiberRoot(ot,e)}catch(j){}r=!0}return r}finally{bt=n,Pu.transition=t}}return!1}function jc(e,t,n){e=Li(e,t=pl(0,t=cl(n,t),1),1),t=Ju(),null!==e&&(mt(e,1,t),nc(e,t))}function Sc(e,t,n){if(3===e.tag)jc(e,e,n);else for(;null!==t;){if(3===t.tag){jc(t,e,n);break}if(1===t.tag){var r=t.stateNode;if("function"===typeof t.type.getDerivedStateFromError||"function"===typeof r.componentDidCatch&&(null===qu||!qu.has(r))){t=Li(t,e=hl(t,e=cl(n,e),1),1),e=Ju(),null!==t&&(mt(t,1,e),nc(t,e));break}}t=t.return}}function Oc(e,t,n){var r=e.pingCache;null!==r&&r.delete(t),t=Ju(),e.pingedLanes|=e.suspendedLanes&n,_u===e&&(Cu&n)===n&&(4===Nu||3===Nu&&(130023424&Cu)===Cu&&500>Qe()-Lu?fc(e,0):Bu|=n),nc(e,t)}function kc(e,t){0===t&&(0===(1&e.mode)?t=1:(t=st,0===(130023424&(st<<=1))&&(st=4194304)));var n=Ju();null!==(e=Ii(e,t))&&(mt(e,t,n),nc(e,n))}function Pc(e){var t=e.memoizedState,n=0;null!==t&&(n=t.retryLane),kc(e,n)}function Ec(e,t){var n=0;switch(e.tag){case 13:var r=e.stateNode,o=e.memoizedState;null!==o&&(n=o.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(i(314))}null!==r&&r.delete(t),kc(e,n)}function _c(e,t){return Ke(e,t)}function Ac(e,t,n,r){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Cc(e,t,n,r){return new Ac(e,t,n,r)}function Tc(e){return!(!(e=e.prototype)||!e.isReactComponent)}function Mc(e,t){var n=e.alternate;return null===n?((n=Cc(e.tag,t,e.key,e.mode)).elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=14680064&e.flags,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n}function Nc(e,t,n,r,o,a){var l=2;if(r=e,"function"===typeof e)Tc(e)&&(l=1);else if("string"===typeof e)l=5;else e:switch(e){case S:return Dc(n.children,o,a,t);case O:l=8,o|=8;break;case k:return(e=Cc(12,n,t,2|o)).elementType=k,e.lanes=a,e;case A:return(e=Cc(13,n,t,o)).elementType=A,e.lanes=a,e;case C:return(e=Cc(19,n,t,o)).elementType=C,e.lanes=a,e;case N:return Ic(n,o,a,t);default:if("object"===typeof e&&null!==e)switch(e.$$typeof){case P:l=10;break e;case E:l=9;break e;case _:l=11;break e;case T:l=14;break e;case M:l=16,r=null;break e}throw Error(i(130,null==e?e:typeof e,""))}return(t=Cc(l,n,t,o)).elementType=e,t.type=r,t.lanes=a,t}function Dc(e,t,n,r){return(e=Cc(7,e,r,t)).lanes=n,e}function Ic(e,t,n,r){return(e=Cc(22,e,r,t)).elementType=N,e.lanes=n,e.stateNode={isHidden:!1},e}function zc(e,t,n){return(e=Cc(6,e,null,t)).lanes=n,e}function Bc(e,t,n){return(t=Cc(4,null!==e.children?e.children:[],e.key,t)).lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function Rc(e,t,n,r,o){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=vt(0),this.expirationTimes=vt(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=vt(0),this.identifierPrefix=r,this.onRecoverableError=o,this.mutableSourceEagerHydrationData=null}function Fc(e,t,n,r,o,i,a,l,u){return e=new Rc(e,t,n,l,u),1===t?(t=1,!0===i&&(t|=8)):t=0,i=Cc(3,null,null,t),e.current=i,i.stateNode=e,i.memoizedState={element:r,isDehydrated:n,cache:null,transitions:null,pendingSuspenseBoundaries:null},Bi(i),e}function Lc(e){if(!e)return _o;e:{if(We(e=e._reactInternals)!==e||1!==e.tag)throw Error(i(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(No(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(null!==t);throw Error(i(171))}if(1===e.tag){var n=e.type;if(No(n))return zo(e,n,t)}return t}function Uc(e,t,n,r,o,i,a,l,u){return(e=Fc(n,r,!0,e,0,i,0,l,u)).context=Lc(null),n=e.current,(i=Fi(r=Ju(),o=ec(n))).callback=void 0!==t&&null!==t?t:null,Li(n,i,o),e.current.lanes=o,mt(e,o,r),nc(e,r),e}function Wc(e,t,n,r){var o=t.current,i=Ju(),a=ec(o);return n=Lc(n),null===t.context?t.context=n:t.pendingContext=n,(t=Fi(i,a)).payload={element:e},null!==(r=void 0===r?null:r)&&(t.callback=r),null!==(e=Li(o,t,a))&&(tc(e,o,a,i),Ui(e,o,a)),a}function Hc(e){return(e=e.current).child?(e.child.tag,e.child.stateNode):null}function Vc(e,t){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var n=e.retryLane;e.retryLane=0!==n&&n<t?n:t}}function qc(e,t){Vc(e,t),(e=e.alternate)&&Vc(e,t)}ju=function(e,t,n){if(null!==e)if(e.memoizedProps!==t.pendingProps||Co.current)bl=!0;else{if(0===(e.lanes&n)&&0===(128&t.flags))return bl=!1,function(e,t,n){switch(t.tag){case 3:Al(t),hi();break;case 5:Zi(t);break;case 1:No(t.type)&&Bo(t);break;case 4:Yi(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,o=t.memoizedProps.value;Eo(Si,r._currentValue),r._currentValue=o;break;case 13:if(null!==(r=t.memoizedState))return null!==r.dehydrated?(Eo(ea,1&ea.current),t.flags|=128,null):0!==(n&t.child.childLanes)?zl(e,t,n):(Eo(ea,1&ea.current),null!==(e=Hl(e,t,n))?e.sibling:null);Eo(ea,1&ea.current);break;case 19:if(r=0!==(n&t.childLanes),0!==(128&e.flags)){if(r)return Ul(e,t,n);t.flags|=128}if(null!==(o=t.memoizedState)&&(o.rendering=null,o.tail=null,o.lastEffect=null),Eo(ea,ea.current),r)break;return null;case 22:case 23:return t.lanes=0,Ol(e,t,n)}return Hl(e,t,n)}(e,t,n);bl=0!==(131072&e.flags)}else bl=!1,ii&&0!==(1048576&t.flags)&&ei(t,Ko,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;Wl(e,t),e=t.pendingProps;var o=Mo(t,Ao.current);Ci(t,n),o=va(null,t,r,e,o,n);var a=ma();return t.flags|=1,"object"===typeof o&&null!==o&&"function"===typeof o.render&&void 0===o.$$typeof?(t.tag=1,t.memoizedState=null,t.updateQueue=null,No(r)?(a=!0,Bo(t)):a=!1,t.memoizedState=null!==o.state&&void 0!==o.state?o.state:null,Bi(t),o.updater=ol,t.stateNode=o,o._reactInternals=t,ul(t,r,e,n),t=_l(null,t,r,!0,a,n)):(t.tag=0,ii&&a&&ti(t),xl(null,t,o,n),t=t.child),t;case 16:r=t.elementType;e:{switch(Wl(e,t),e=t.pendingProps,r=(o=r._init)(r._payload),t.type=r,o=t.tag=function(e){if("function"===typeof e)return Tc(e)?1:0;if(void 0!==e&&null!==e){if((e=e.$$typeof)===_)return 11;if(e===T)return 14}return 2}(r),e=nl(r,e),o){case 0:t=Pl(null,t,r,e,n);break e;case 1:t=El(null,t,r,e,n);break e;case 11:t=wl(null,t,r,e,n);break e;case 14:t=jl(null,t,r,nl(r.type,e),n);break e}throw Error(i(306,r,""))}return t;case 0:return r=t.type,o=t.pendingProps,Pl(e,t,r,o=t.elementType===r?o:nl(r,o),n);case 1:return r=t.type,o=t.pendingProps,El(e,t,r,o=t.elementType===r?o:nl(r,o),n);case 3:e:{if(Al(t),null===e)throw Error(i(387));r=t.pendingProps,o=(a=t.memoizedState).element,Ri(e,t),Hi(t,r,null,n);var l=t.memoizedState;if(r=l.element,a.isDehydrated){if(a={element:r,isDehydrated:!1,cache:l.cache,pendingSuspenseBoundaries:l.pendingSuspenseBoundaries,transitions:l.transitions},t.updateQueue.baseState=a,t.memoizedState=a,256&t.flags){t=Cl(e,t,r,n,o=cl(Error(i(423)),t));break e}if(r!==o){t=Cl(e,t,r,n,o=cl(Error(i(424)),t));break e}for(oi=co(t.stateNode.containerInfo.firstChild),ri=t,ii=!0,ai=null,n=ji(t,null,r,n),t.child=n;n;)n.flags=-3&n.flags|4096,n=n.sibling}else{if(hi(),r===o){t=Hl(e,t,n);break e}xl(e,t,r,n)}t=t.child}return t;case 5:return Zi(t),null===e&&si(t),r=t.type,o=t.pendingProps,a=null!==e?e.memoizedProps:null,l=o.children,no(r,o)?l=null:null!==a&&no(r,a)&&(t.flags|=32),kl(e,t),xl(e,t,l,n),t.child;case 6:return null===e&&si(t),null;case 13:return zl(e,t,n);case 4:return Yi(t,t.stateNode.containerInfo),r=t.pendingProps,null===e?t.child=wi(t,null,r,n):xl(e,t,r,n),t.child;case 11:return r=t.type,o=t.pendingProps,wl(e,t,r,o=t.elementType===r?o:nl(r,o),n);case 7:return xl(e,t,t.pendingProps,n),t.child;case 8:case 12:return xl(e,t,t.pendingProps.children,n),t.child;case 10:e:{if(r=t.type._context,o=t.pendingProps,a=t.memoizedProps,l=o.value,Eo(Si,r._currentValue),r._currentValue=l,null!==a)if(lr(a.value,l)){if(a.children===o.children&&!Co.current){t=Hl(e,t,n);break e}}else for(null!==(a=t.child)&&(a.return=t);null!==a;){var u=a.dependencies;if(null!==u){l=a.child;for(var c=u.firstContext;null!==c;){if(c.context===r){if(1===a.tag){(c=Fi(-1,n&-n)).tag=2;var s=a.updateQueue;if(null!==s){var f=(s=s.shared).pending;null===f?c.next=c:(c.next=f.next,f.next=c),s.pending=c}}a.lanes|=n,null!==(c=a.alternate)&&(c.lanes|=n),Ai(a.return,n,t),u.lanes|=n;break}c=c.next}}else if(10===a.tag)l=a.type===t.type?null:a.child;else if(18===a.tag){if(null===(l=a.return))throw Error(i(341));l.lanes|=n,null!==(u=l.alternate)&&(u.lanes|=n),Ai(l,n,t),l=a.sibling}else l=a.child;if(null!==l)l.return=a;else for(l=a;null!==l;){if(l===t){l=null;break}if(null!==(a=l.sibling)){a.return=l.return,l=a;break}l=l.return}a=l}xl(e,t,o.children,n),t=t.child}return t;case 9:return o=t.type,r=t.pendingProps.children,Ci(t,n),r=r(o=Ti(o)),t.flags|=1,xl(e,t,r,n),t.child;case 14:return o=nl(r=t.type,t.pendingProps),jl(e,t,r,o=nl(r.type,o),n);case 15:return Sl(e,t,t.type,t.pendingProps,n);case 17:return r=t.type,o=t.pendingProps,o=t.elementType===r?o:nl(r,o),Wl(e,t),t.tag=1,No(r)?(e=!0,Bo(t)):e=!1,Ci(t,n),al(t,r,o),ul(t,r,o,n),_l(null,t,r,!0,e,n);case 19:return Ul(e,t,n);case 22:return Ol(e,t,n)}throw Error(i(156,t.tag))};var $c="function"===typeof reportError?reportError:function(e){console.error(e)};function Kc(e){this._internalRoot=e}function Xc(e){this._internalRoot=e}function Gc(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}function Yc(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType&&(8!==e.nodeType||" react-mount-point-unstable "!==e.nodeValue))}function Qc(){}function Zc(e,t,n,r,o){var i=n._reactRootContainer;if(i){var a=i;if("function"===typeof o){var l=o;o=function(){var e=Hc(a);l.call(e)}}Wc(t,a,e,o)}else a=function(e,t,n,r,o){if(o){if("function"===typeof r){var i=r;r=function(){var e=Hc(a);i.call(e)}}var a=Uc(t,r,e,0,null,!1,0,"",Qc);return e._reactRootContainer=a,e[yo]=a.current,Wr(8===e.nodeType?e.parentNode:e),cc(),a}for(;o=e.lastChild;)e.removeChild(o);if("function"===typeof r){var l=r;r=function(){var e=Hc(u);l.call(e)}}var u=Fc(e,0,!1,null,0,!1,0,"",Qc);return e._reactRootContainer=u,e[yo]=u.current,Wr(8===e.nodeType?e.parentNode:e),cc(function(){Wc(t,u,n,r)}),u}(n,t,e,o,r);return Hc(a)}Xc.prototype.render=Kc.prototype.render=function(e){var t=this._internalRoot;if(null===t)throw Error(i(409));Wc(e,t,null,null)},Xc.prototype.unmount=Kc.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var t=e.containerInfo;cc(function(){Wc(null,e,null,null)}),t[yo]=null}},Xc.prototype.unstable_scheduleHydration=function(e){if(e){var t=Ot();e={blockedOn:null,target:e,priority:t};for(var n=0;n<Nt.length&&0!==t&&t<Nt[n].priority;n++);Nt.splice(n,0,e),0===n&&Bt(e)}},wt=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var n=ft(t.pendingLanes);0!==n&&(gt(t,1|n),nc(t,Qe()),0===(6&Eu)&&(Uu=Qe()+500,Ho()))}break;case 13:cc(function(){var t=Ii(e,1);if(null!==t){var n=Ju();tc(t,e,1,n)}}),qc(e,1)}},jt=function(e){if(13===e.tag){var t=Ii(e,134217728);if(null!==t)tc(t,e,134217728,Ju());qc(e,134217728)}},St=function(e){if(13===e.tag){var t=ec(e),n=Ii(e,t);if(null!==n)tc(n,e,t,Ju());qc(e,t)}},Ot=function(){return bt},kt=function(e,t){var n=bt;try{return bt=e,t()}finally{bt=n}},je=function(e,t,n){switch(t){case"input":if(Z(e,n),t=n.name,"radio"===n.type&&null!=t){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<n.length;t++){var r=n[t];if(r!==e&&r.form===e.form){var o=jo(r);if(!o)throw Error(i(90));K(r),Z(r,o)}}}break;case"textarea":ie(e,n);break;case"select":null!=(t=n.value)&&ne(e,!!n.multiple,t,!1)}},_e=uc,Ae=cc;var Jc={usingClientEntryPoint:!1,Events:[xo,wo,jo,Pe,Ee,uc]},es={findFiberByHostInstance:bo,bundleType:0,version:"18.3.1",rendererPackageName:"react-dom"},ts={bundleType:es.bundleType,version:es.version,rendererPackageName:es.rendererPackageName,rendererConfig:es.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:x.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return null===(e=qe(e))?null:e.stateNode},findFiberByHostInstance:es.findFiberByHostInstance||function(){return null},findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1-next-f1338f8080-20240426"};if("undefined"!==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var ns=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!ns.isDisabled&&ns.supportsFiber)try{ot=ns.inject(ts),it=ns}catch(se){}}t.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Jc,t.createPortal=function(e,t){var n=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!Gc(t))throw Error(i(200));return function(e,t,n){var r=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:j,key:null==r?null:""+r,children:e,containerInfo:t,implementation:n}}(e,t,null,n)},t.createRoot=function(e,t){if(!Gc(e))throw Error(i(299));var n=!1,r="",o=$c;return null!==t&&void 0!==t&&(!0===t.unstable_strictMode&&(n=!0),void 0!==t.identifierPrefix&&(r=t.identifierPrefix),void 0!==t.onRecoverableError&&(o=t.onRecoverableError)),t=Fc(e,1,!1,null,0,n,0,r,o),e[yo]=t.current,Wr(8===e.nodeType?e.parentNode:e),new Kc(t)},t.findDOMNode=function(e){if(null==e)return null;if(1===e.nodeType)return e;var t=e._reactInternals;if(void 0===t){if("function"===typeof e.render)throw Error(i(188));throw e=Object.keys(e).join(","),Error(i(268,e))}return e=null===(e=qe(t))?null:e.stateNode},t.flushSync=function(e){return cc(e)},t.hydrate=function(e,t,n){if(!Yc(t))throw Error(i(200));return Zc(null,e,t,!0,n)},t.hydrateRoot=function(e,t,n){if(!Gc(e))throw Error(i(405));var r=null!=n&&n.hydratedSources||null,o=!1,a="",l=$c;if(null!==n&&void 0!==n&&(!0===n.unstable_strictMode&&(o=!0),void 0!==n.identifierPrefix&&(a=n.identifierPrefix),void 0!==n.onRecoverableError&&(l=n.onRecoverableError)),t=Uc(t,null,e,1,null!=n?n:null,o,0,a,l),e[yo]=t.current,Wr(e),r)for(e=0;e<r.length;e++)o=(o=(n=r[e])._getVersion)(n._source),null==t.mutableSourceEagerHydrationData?t.mutableSourceEagerHydrationData=[n,o]:t.mutableSourceEagerHydrationData.push(n,o);return new Xc(t)},t.render=function(e,t,n){if(!Yc(t))throw Error(i(200));return Zc(null,e,t,!1,n)},t.unmountComponentAtNode=function(e){if(!Yc(e))throw Error(i(40));return!!e._reactRootContainer&&(cc(function(){Zc(null,null,e,!1,function(){e._reactRootContainer=null,e[yo]=null})}),!0)},t.unstable_batchedUpdates=uc,t.unstable_renderSubtreeIntoContainer=function(e,t,n,r){if(!Yc(n))throw Error(i(200));if(null==e||void 0===e._reactInternals)throw Error(i(38));return Zc(e,t,n,!1,r)},t.version="18.3.1-next-f1338f8080-20240426"},4391(e,t,n){"use strict";var r=n(7950);t.createRoot=r.createRoot,t.hydrateRoot=r.hydrateRoot},7950(e,t,n){"use strict";!function e(){if("undefined"!==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"===typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(t){console.error(t)}}(),e.exports=n(2730)},1153(e,t,n){"use strict";var r=n(5043),o=Symbol.for("react.element"),i=Symbol.for("react.fragment"),a=Object.prototype.hasOwnProperty,l=r.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,u={key:!0,ref:!0,__self:!0,__source:!0};function c(e,t,n){var r,i={},c=null,s=null;for(r in void 0!==n&&(c=""+n),void 0!==t.key&&(c=""+t.key),void 0!==t.ref&&(s=t.ref),t)a.call(t,r)&&!u.hasOwnProperty(r)&&(i[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps)void 0===i[r]&&(i[r]=t[r]);return{$$typeof:o,type:e,key:c,ref:s,props:i,_owner:l.current}}t.Fragment=i,t.jsx=c,t.jsxs=c},4202(e,t){"use strict";var n=Symbol.for("react.element"),r=Symbol.for("react.portal"),o=Symbol.for("react.fragment"),i=Symbol.for("react.strict_mode"),a=Symbol.for("react.profiler"),l=Symbol.for("react.provider"),u=Symbol.for("react.context"),c=Symbol.for("react.forward_ref"),s=Symbol.for("react.suspense"),f=Symbol.for("react.memo"),d=Symbol.for("react.lazy"),p=Symbol.iterator;var h={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},y=Object.assign,v={};function m(e,t,n){this.props=e,this.context=t,this.refs=v,this.updater=n||h}function g(){}function b(e,t,n){this.props=e,this.context=t,this.refs=v,this.updater=n||h}m.prototype.isReactComponent={},m.prototype.setState=function(e,t){if("object"!==typeof e&&"function"!==typeof e&&null!=e)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")},m.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")},g.prototype=m.prototype;var x=b.prototype=new g;x.constructor=b,y(x,m.prototype),x.isPureReactComponent=!0;var w=Array.isArray,j=Object.prototype.hasOwnProperty,S={current:null},O={key:!0,ref:!0,__self:!0,__source:!0};function k(e,t,r){var o,i={},a=null,l=null;if(null!=t)for(o in void 0!==t.ref&&(l=t.ref),void 0!==t.key&&(a=""+t.key),t)j.call(t,o)&&!O.hasOwnProperty(o)&&(i[o]=t[o]);var u=arguments.length-2;if(1===u)i.children=r;else if(1<u){for(var c=Array(u),s=0;s<u;s++)c[s]=arguments[s+2];i.children=c}if(e&&e.defaultProps)for(o in u=e.defaultProps)void 0===i[o]&&(i[o]=u[o]);return{$$typeof:n,type:e,key:a,ref:l,props:i,_owner:S.current}}function P(e){return"object"===typeof e&&null!==e&&e.$$typeof===n}var E=/\/+/g;function _(e,t){return"object"===typeof e&&null!==e&&null!=e.key?function(e){var t={"=":"=0",":":"=2"};return"$"+e.replace(/[=:]/g,function(e){return t[e]})}(""+e.key):t.toString(36)}function A(e,t,o,i,a){var l=typeof e;"undefined"!==l&&"boolean"!==l||(e=null);var u=!1;if(null===e)u=!0;else switch(l){case"string":case"number":u=!0;break;case"object":switch(e.$$typeof){case n:case r:u=!0}}if(u)return a=a(u=e),e=""===i?"."+_(u,0):i,w(a)?(o="",null!=e&&(o=e.replace(E,"$&/")+"/"),A(a,t,o,"",function(e){return e})):null!=a&&(P(a)&&(a=function(e,t){return{$$typeof:n,type:e.type,key:t,ref:e.ref,props:e.props,_owner:e._owner}}(a,o+(!a.key||u&&u.key===a.key?"":(""+a.key).replace(E,"$&/")+"/")+e)),t.push(a)),1;if(u=0,i=""===i?".":i+":",w(e))for(var c=0;c<e.length;c++){var s=i+_(l=e[c],c);u+=A(l,t,o,s,a)}else if(s=function(e){return null===e||"object"!==typeof e?null:"function"===typeof(e=p&&e[p]||e["@@iterator"])?e:null}(e),"function"===typeof s)for(e=s.call(e),c=0;!(l=e.next()).done;)u+=A(l=l.value,t,o,s=i+_(l,c++),a);else if("object"===l)throw t=String(e),Error("Objects are not valid as a React child (found: "+("[object Object]"===t?"object with keys {"+Object.keys(e).join(", ")+"}":t)+"). If you meant to render a collection of children, use an array instead.");return u}function C(e,t,n){if(null==e)return e;var r=[],o=0;return A(e,r,"","",function(e){return t.call(n,e,o++)}),r}function T(e){if(-1===e._status){var t=e._result;(t=t()).then(function(t){0!==e._status&&-1!==e._status||(e._status=1,e._result=t)},function(t){0!==e._status&&-1!==e._status||(e._status=2,e._result=t)}),-1===e._status&&(e._status=0,e._result=t)}if(1===e._status)return e._result.default;throw e._result}var M={current:null},N={transition:null},D={ReactCurrentDispatcher:M,ReactCurrentBatchConfig:N,ReactCurrentOwner:S};function I(){throw Error("act(...) is not supported in production builds of React.")}t.Children={map:C,forEach:function(e,t,n){C(e,function(){t.apply(this,arguments)},n)},count:function(e){var t=0;return C(e,function(){t++}),t},toArray:function(e){return C(e,function(e){return e})||[]},only:function(e){if(!P(e))throw Error("React.Children.only expected to receive a single React element child.");return e}},t.Component=m,t.Fragment=o,t.Profiler=a,t.PureComponent=b,t.StrictMode=i,t.Suspense=s,t.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=D,t.act=I,t.cloneElement=function(e,t,r){if(null===e||void 0===e)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var o=y({},e.props),i=e.key,a=e.ref,l=e._owner;if(null!=t){if(void 0!==t.ref&&(a=t.ref,l=S.current),void 0!==t.key&&(i=""+t.key),e.type&&e.type.defaultProps)var u=e.type.defaultProps;for(c in t)j.call(t,c)&&!O.hasOwnProperty(c)&&(o[c]=void 0===t[c]&&void 0!==u?u[c]:t[c])}var c=arguments.length-2;if(1===c)o.children=r;else if(1<c){u=Array(c);for(var s=0;s<c;s++)u[s]=arguments[s+2];o.children=u}return{$$typeof:n,type:e.type,key:i,ref:a,props:o,_owner:l}},t.createContext=function(e){return(e={$$typeof:u,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null}).Provider={$$typeof:l,_context:e},e.Consumer=e},t.createElement=k,t.createFactory=function(e){var t=k.bind(null,e);return t.type=e,t},t.createRef=function(){return{current:null}},t.forwardRef=function(e){return{$$typeof:c,render:e}},t.isValidElement=P,t.lazy=function(e){return{$$typeof:d,_payload:{_status:-1,_result:e},_init:T}},t.memo=function(e,t){return{$$typeof:f,type:e,compare:void 0===t?null:t}},t.startTransition=function(e){var t=N.transition;N.transition={};try{e()}finally{N.transition=t}},t.unstable_act=I,t.useCallback=function(e,t){return M.current.useCallback(e,t)},t.useContext=function(e){return M.current.useContext(e)},t.useDebugValue=function(){},t.useDeferredValue=function(e){return M.current.useDeferredValue(e)},t.useEffect=function(e,t){return M.current.useEffect(e,t)},t.useId=function(){return M.current.useId()},t.useImperativeHandle=function(e,t,n){return M.current.useImperativeHandle(e,t,n)},t.useInsertionEffect=function(e,t){return M.current.useInsertionEffect(e,t)},t.useLayoutEffect=function(e,t){return M.current.useLayoutEffect(e,t)},t.useMemo=function(e,t){return M.current.useMemo(e,t)},t.useReducer=function(e,t,n){return M.current.useReducer(e,t,n)},t.useRef=function(e){return M.current.useRef(e)},t.useState=function(e){return M.current.useState(e)},t.useSyncExternalStore=function(e,t,n){return M.current.useSyncExternalStore(e,t,n)},t.useTransition=function(){return M.current.useTransition()},t.version="18.3.1"},5043(e,t,n){"use strict";e.exports=n(4202)},579(e,t,n){"use strict";e.exports=n(1153)},6378(e,t){"use strict";var n,r=Symbol.for("react.element"),o=Symbol.for("react.portal"),i=Symbol.for("react.fragment"),a=Symbol.for("react.strict_mode"),l=Symbol.for("react.profiler"),u=Symbol.for("react.provider"),c=Symbol.for("react.context"),s=Symbol.for("react.server_context"),f=Symbol.for("react.forward_ref"),d=Symbol.for("react.suspense"),p=Symbol.for("react.suspense_list"),h=Symbol.for("react.memo"),y=Symbol.for("react.lazy"),v=Symbol.for("react.offscreen");function m(e){if("object"===typeof e&&null!==e){var t=e.$$typeof;switch(t){case r:switch(e=e.type){case i:case l:case a:case d:case p:return e;default:switch(e=e&&e.$$typeof){case s:case c:case f:case y:case h:case u:return e;default:return t}}case o:return t}}}n=Symbol.for("react.module.reference"),t.isFragment=function(e){return m(e)===i}},9062(e,t,n){"use strict";e.exports=n(6378)},7234(e,t){"use strict";function n(e,t){var n=e.length;e.push(t);e:for(;0<n;){var r=n-1>>>1,o=e[r];if(!(0<i(o,t)))break e;e[r]=t,e[n]=o,n=r}}function r(e){return 0===e.length?null:e[0]}function o(e){if(0===e.length)return null;var t=e[0],n=e.pop();if(n!==t){e[0]=n;e:for(var r=0,o=e.length,a=o>>>1;r<a;){var l=2*(r+1)-1,u=e[l],c=l+1,s=e[c];if(0>i(u,n))c<o&&0>i(s,u)?(e[r]=s,e[c]=n,r=c):(e[r]=u,e[l]=n,r=l);else{if(!(c<o&&0>i(s,n)))break e;e[r]=s,e[c]=n,r=c}}}return t}function i(e,t){var n=e.sortIndex-t.sortIndex;return 0!==n?n:e.id-t.id}if("object"===typeof performance&&"function"===typeof performance.now){var a=performance;t.unstable_now=function(){return a.now()}}else{var l=Date,u=l.now();t.unstable_now=function(){return l.now()-u}}var c=[],s=[],f=1,d=null,p=3,h=!1,y=!1,v=!1,m="function"===typeof setTimeout?setTimeout:null,g="function"===typeof clearTimeout?clearTimeout:null,b="undefined"!==typeof setImmediate?setImmediate:null;function x(e){for(var t=r(s);null!==t;){if(null===t.callback)o(s);else{if(!(t.startTime<=e))break;o(s),t.sortIndex=t.expirationTime,n(c,t)}t=r(s)}}function w(e){if(v=!1,x(e),!y)if(null!==r(c))y=!0,N(j);else{var t=r(s);null!==t&&D(w,t.startTime-e)}}function j(e,n){y=!1,v&&(v=!1,g(P),P=-1),h=!0;var i=p;try{for(x(n),d=r(c);null!==d&&(!(d.expirationTime>n)||e&&!A());){var a=d.callback;if("function"===typeof a){d.callback=null,p=d.priorityLevel;var l=a(d.expirationTime<=n);n=t.unstable_now(),"function"===typeof l?d.callback=l:d===r(c)&&o(c),x(n)}else o(c);d=r(c)}if(null!==d)var u=!0;else{var f=r(s);null!==f&&D(w,f.startTime-n),u=!1}return u}finally{d=null,p=i,h=!1}}"undefined"!==typeof navigator&&void 0!==navigator.scheduling&&void 0!==navigator.scheduling.isInputPending&&navigator.scheduling.isInputPending.bind(navigator.scheduling);var S,O=!1,k=null,P=-1,E=5,_=-1;function A(){return!(t.unstable_now()-_<E)}function C(){if(null!==k){var e=t.unstable_now();_=e;var n=!0;try{n=k(!0,e)}finally{n?S():(O=!1,k=null)}}else O=!1}if("function"===typeof b)S=function(){b(C)};else if("undefined"!==typeof MessageChannel){var T=new MessageChannel,M=T.port2;T.port1.onmessage=C,S=function(){M.postMessage(null)}}else S=function(){m(C,0)};function N(e){k=e,O||(O=!0,S())}function D(e,n){P=m(function(){e(t.unstable_now())},n)}t.unstable_IdlePriority=5,t.unstable_ImmediatePriority=1,t.unstable_LowPriority=4,t.unstable_NormalPriority=3,t.unstable_Profiling=null,t.unstable_UserBlockingPriority=2,t.unstable_cancelCallback=function(e){e.callback=null},t.unstable_continueExecution=function(){y||h||(y=!0,N(j))},t.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):E=0<e?Math.floor(1e3/e):5},t.unstable_getCurrentPriorityLevel=function(){return p},t.unstable_getFirstCallbackNode=function(){return r(c)},t.unstable_next=function(e){switch(p){case 1:case 2:case 3:var t=3;break;default:t=p}var n=p;p=t;try{return e()}finally{p=n}},t.unstable_pauseExecution=function(){},t.unstable_requestPaint=function(){},t.unstable_runWithPriority=function(e,t){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var n=p;p=e;try{return t()}finally{p=n}},t.unstable_scheduleCallback=function(e,o,i){var a=t.unstable_now();switch("object"===typeof i&&null!==i?i="number"===typeof(i=i.delay)&&0<i?a+i:a:i=a,e){case 1:var l=-1;break;case 2:l=250;break;case 5:l=1073741823;break;case 4:l=1e4;break;default:l=5e3}return e={id:f++,callback:o,priorityLevel:e,startTime:i,expirationTime:l=i+l,sortIndex:-1},i>a?(e.sortIndex=i,n(s,e),null===r(c)&&e===r(s)&&(v?(g(P),P=-1):v=!0,D(w,i-a))):(e.sortIndex=l,n(c,e),y||h||(y=!0,N(j))),e},t.unstable_shouldYield=A,t.unstable_wrapCallback=function(e){var t=p;return function(){var n=p;p=t;try{return e.apply(this,arguments)}finally{p=n}}}},8853(e,t,n){"use strict";e.exports=n(7234)},6326(e,t,n){"use strict";n.r(t),n.d(t,{__addDisposableResource:()=>I,__assign:()=>i,__asyncDelegator:()=>k,__asyncGenerator:()=>O,__asyncValues:()=>P,__await:()=>S,__awaiter:()=>h,__classPrivateFieldGet:()=>M,__classPrivateFieldIn:()=>D,__classPrivateFieldSet:()=>N,__createBinding:()=>v,__decorate:()=>l,__disposeResources:()=>B,__esDecorate:()=>c,__exportStar:()=>m,__extends:()=>o,__generator:()=>y,__importDefault:()=>T,__importStar:()=>C,__makeTemplateObject:()=>E,__metadata:()=>p,__param:()=>u,__propKey:()=>f,__read:()=>b,__rest:()=>a,__rewriteRelativeImportExtension:()=>R,__runInitializers:()=>s,__setFunctionName:()=>d,__spread:()=>x,__spreadArray:()=>j,__spreadArrays:()=>w,__values:()=>g,default:()=>F});var r=function(e,t){return r=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var n in t)Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n])},r(e,t)};function o(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function n(){this.constructor=e}r(e,t),e.prototype=null===t?Object.create(t):(n.prototype=t.prototype,new n)}var i=function(){return i=Object.assign||function(e){for(var t,n=1,r=arguments.length;n<r;n++)for(var o in t=arguments[n])Object.prototype.hasOwnProperty.call(t,o)&&(e[o]=t[o]);return e},i.apply(this,arguments)};function a(e,t){var n={};for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&t.indexOf(r)<0&&(n[r]=e[r]);if(null!=e&&"function"===typeof Object.getOwnPropertySymbols){var o=0;for(r=Object.getOwnPropertySymbols(e);o<r.length;o++)t.indexOf(r[o])<0&&Object.prototype.propertyIsEnumerable.call(e,r[o])&&(n[r[o]]=e[r[o]])}return n}function l(e,t,n,r){var o,i=arguments.length,a=i<3?t:null===r?r=Object.getOwnPropertyDescriptor(t,n):r;if("object"===typeof Reflect&&"function"===typeof Reflect.decorate)a=Reflect.decorate(e,t,n,r);else for(var l=e.length-1;l>=0;l--)(o=e[l])&&(a=(i<3?o(a):i>3?o(t,n,a):o(t,n))||a);return i>3&&a&&Object.defineProperty(t,n,a),a}function u(e,t){return function(n,r){t(n,r,e)}}function c(e,t,n,r,o,i){function a(e){if(void 0!==e&&"function"!==typeof e)throw new TypeError("Function expected");return e}for(var l,u=r.kind,c="getter"===u?"get":"setter"===u?"set":"value",s=!t&&e?r.static?e:e.prototype:null,f=t||(s?Object.getOwnPropertyDescriptor(s,r.name):{}),d=!1,p=n.length-1;p>=0;p--){var h={};for(var y in r)h[y]="access"===y?{}:r[y];for(var y in r.access)h.access[y]=r.access[y];h.addInitializer=function(e){if(d)throw new TypeError("Cannot add initializers after decoration has completed");i.push(a(e||null))};var v=(0,n[p])("accessor"===u?{get:f.get,set:f.set}:f[c],h);if("accessor"===u){if(void 0===v)continue;if(null===v||"object"!==typeof v)throw new TypeError("Object expected");(l=a(v.get))&&(f.get=l),(l=a(v.set))&&(f.set=l),(l=a(v.init))&&o.unshift(l)}else(l=a(v))&&("field"===u?o.unshift(l):f[c]=l)}s&&Object.defineProperty(s,r.name,f),d=!0}function s(e,t,n){for(var r=arguments.length>2,o=0;o<t.length;o++)n=r?t[o].call(e,n):t[o].call(e);return r?n:void 0}function f(e){return"symbol"===typeof e?e:"".concat(e)}function d(e,t,n){return"symbol"===typeof t&&(t=t.description?"[".concat(t.description,"]"):""),Object.defineProperty(e,"name",{configurable:!0,value:n?"".concat(n," ",t):t})}function p(e,t){if("object"===typeof Reflect&&"function"===typeof Reflect.metadata)return Reflect.metadata(e,t)}function h(e,t,n,r){return new(n||(n=Promise))(function(o,i){function a(e){try{u(r.next(e))}catch(t){i(t)}}function l(e){try{u(r.throw(e))}catch(t){i(t)}}function u(e){var t;e.done?o(e.value):(t=e.value,t instanceof n?t:new n(function(e){e(t)})).then(a,l)}u((r=r.apply(e,t||[])).next())})}function y(e,t){var n,r,o,i={label:0,sent:function(){if(1&o[0])throw o[1];return o[1]},trys:[],ops:[]},a=Object.create(("function"===typeof Iterator?Iterator:Object).prototype);return a.next=l(0),a.throw=l(1),a.return=l(2),"function"===typeof Symbol&&(a[Symbol.iterator]=function(){return this}),a;function l(l){return function(u){return function(l){if(n)throw new TypeError("Generator is already executing.");for(;a&&(a=0,l[0]&&(i=0)),i;)try{if(n=1,r&&(o=2&l[0]?r.return:l[0]?r.throw||((o=r.return)&&o.call(r),0):r.next)&&!(o=o.call(r,l[1])).done)return o;switch(r=0,o&&(l=[2&l[0],o.value]),l[0]){case 0:case 1:o=l;break;case 4:return i.label++,{value:l[1],done:!1};case 5:i.label++,r=l[1],l=[0];continue;case 7:l=i.ops.pop(),i.trys.pop();continue;default:if(!(o=(o=i.trys).length>0&&o[o.length-1])&&(6===l[0]||2===l[0])){i=0;continue}if(3===l[0]&&(!o||l[1]>o[0]&&l[1]<o[3])){i.label=l[1];break}if(6===l[0]&&i.label<o[1]){i.label=o[1],o=l;break}if(o&&i.label<o[2]){i.label=o[2],i.ops.push(l);break}o[2]&&i.ops.pop(),i.trys.pop();continue}l=t.call(e,i)}catch(u){l=[6,u],r=0}finally{n=o=0}if(5&l[0])throw l[1];return{value:l[0]?l[1]:void 0,done:!0}}([l,u])}}}var v=Object.create?function(e,t,n,r){void 0===r&&(r=n);var o=Object.getOwnPropertyDescriptor(t,n);o&&!("get"in o?!t.__esModule:o.writable||o.configurable)||(o={enumerable:!0,get:function(){return t[n]}}),Object.defineProperty(e,r,o)}:function(e,t,n,r){void 0===r&&(r=n),e[r]=t[n]};function m(e,t){for(var n in e)"default"===n||Object.prototype.hasOwnProperty.call(t,n)||v(t,e,n)}function g(e){var t="function"===typeof Symbol&&Symbol.iterator,n=t&&e[t],r=0;if(n)return n.call(e);if(e&&"number"===typeof e.length)return{next:function(){return e&&r>=e.length&&(e=void 0),{value:e&&e[r++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}function b(e,t){var n="function"===typeof Symbol&&e[Symbol.iterator];if(!n)return e;var r,o,i=n.call(e),a=[];try{for(;(void 0===t||t-- >0)&&!(r=i.next()).done;)a.push(r.value)}catch(l){o={error:l}}finally{try{r&&!r.done&&(n=i.return)&&n.call(i)}finally{if(o)throw o.error}}return a}function x(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(b(arguments[t]));return e}function w(){for(var e=0,t=0,n=arguments.length;t<n;t++)e+=arguments[t].length;var r=Array(e),o=0;for(t=0;t<n;t++)for(var i=arguments[t],a=0,l=i.length;a<l;a++,o++)r[o]=i[a];return r}function j(e,t,n){if(n||2===arguments.length)for(var r,o=0,i=t.length;o<i;o++)!r&&o in t||(r||(r=Array.prototype.slice.call(t,0,o)),r[o]=t[o]);return e.concat(r||Array.prototype.slice.call(t))}function S(e){return this instanceof S?(this.v=e,this):new S(e)}function O(e,t,n){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var r,o=n.apply(e,t||[]),i=[];return r=Object.create(("function"===typeof AsyncIterator?AsyncIterator:Object).prototype),a("next"),a("throw"),a("return",function(e){return function(t){return Promise.resolve(t).then(e,c)}}),r[Symbol.asyncIterator]=function(){return this},r;function a(e,t){o[e]&&(r[e]=function(t){return new Promise(function(n,r){i.push([e,t,n,r])>1||l(e,t)})},t&&(r[e]=t(r[e])))}function l(e,t){try{(n=o[e](t)).value instanceof S?Promise.resolve(n.value.v).then(u,c):s(i[0][2],n)}catch(r){s(i[0][3],r)}var n}function u(e){l("next",e)}function c(e){l("throw",e)}function s(e,t){e(t),i.shift(),i.length&&l(i[0][0],i[0][1])}}function k(e){var t,n;return t={},r("next"),r("throw",function(e){throw e}),r("return"),t[Symbol.iterator]=function(){return this},t;function r(r,o){t[r]=e[r]?function(t){return(n=!n)?{value:S(e[r](t)),done:!1}:o?o(t):t}:o}}function P(e){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var t,n=e[Symbol.asyncIterator];return n?n.call(e):(e=g(e),t={},r("next"),r("throw"),r("return"),t[Symbol.asyncIterator]=function(){return this},t);function r(n){t[n]=e[n]&&function(t){return new Promise(function(r,o){(function(e,t,n,r){Promise.resolve(r).then(function(t){e({value:t,done:n})},t)})(r,o,(t=e[n](t)).done,t.value)})}}}function E(e,t){return Object.defineProperty?Object.defineProperty(e,"raw",{value:t}):e.raw=t,e}var _=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},A=function(e){return A=Object.getOwnPropertyNames||function(e){var t=[];for(var n in e)Object.prototype.hasOwnProperty.call(e,n)&&(t[t.length]=n);return t},A(e)};function C(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var n=A(e),r=0;r<n.length;r++)"default"!==n[r]&&v(t,e,n[r]);return _(t,e),t}function T(e){return e&&e.__esModule?e:{default:e}}function M(e,t,n,r){if("a"===n&&!r)throw new TypeError("Private accessor was defined without a getter");if("function"===typeof t?e!==t||!r:!t.has(e))throw new TypeError("Cannot read private member from an object whose class did not declare it");return"m"===n?r:"a"===n?r.call(e):r?r.value:t.get(e)}function N(e,t,n,r,o){if("m"===r)throw new TypeError("Private method is not writable");if("a"===r&&!o)throw new TypeError("Private accessor was defined without a setter");if("function"===typeof t?e!==t||!o:!t.has(e))throw new TypeError("Cannot write private member to an object whose class did not declare it");return"a"===r?o.call(e,n):o?o.value=n:t.set(e,n),n}function D(e,t){if(null===t||"object"!==typeof t&&"function"!==typeof t)throw new TypeError("Cannot use 'in' operator on non-object");return"function"===typeof e?t===e:e.has(t)}function I(e,t,n){if(null!==t&&void 0!==t){if("object"!==typeof t&&"function"!==typeof t)throw new TypeError("Object expected.");var r,o;if(n){if(!Symbol.asyncDispose)throw new TypeError("Symbol.asyncDispose is not defined.");r=t[Symbol.asyncDispose]}if(void 0===r){if(!Symbol.dispose)throw new TypeError("Symbol.dispose is not defined.");r=t[Symbol.dispose],n&&(o=r)}if("function"!==typeof r)throw new TypeError("Object not disposable.");o&&(r=function(){try{o.call(this)}catch(e){return Promise.reject(e)}}),e.stack.push({value:t,dispose:r,async:n})}else n&&e.stack.push({async:!0});return t}var z="function"===typeof SuppressedError?SuppressedError:function(e,t,n){var r=new Error(n);return r.name="SuppressedError",r.error=e,r.suppressed=t,r};function B(e){function t(t){e.error=e.hasError?new z(t,e.error,"An error was suppressed during disposal."):t,e.hasError=!0}var n,r=0;return function o(){for(;n=e.stack.pop();)try{if(!n.async&&1===r)return r=0,e.stack.push(n),Promise.resolve().then(o);if(n.dispose){var i=n.dispose.call(n.value);if(n.async)return r|=2,Promise.resolve(i).then(o,function(e){return t(e),o()})}else r|=1}catch(a){t(a)}if(1===r)return e.hasError?Promise.reject(e.error):Promise.resolve();if(e.hasError)throw e.error}()}function R(e,t){return"string"===typeof e&&/^\.\.?\//.test(e)?e.replace(/\.(tsx)$|((?:\.d)?)((?:\.[^./]+?)?)\.([cm]?)ts$/i,function(e,n,r,o,i){return n?t?".jsx":".js":!r||o&&i?r+o+"."+i.toLowerCase()+"js":e}):e}const F={__extends:o,__assign:i,__rest:a,__decorate:l,__param:u,__esDecorate:c,__runInitializers:s,__propKey:f,__setFunctionName:d,__metadata:p,__awaiter:h,__generator:y,__createBinding:v,__exportStar:m,__values:g,__read:b,__spread:x,__spreadArrays:w,__spreadArray:j,__await:S,__asyncGenerator:O,__asyncDelegator:k,__asyncValues:P,__makeTemplateObject:E,__importStar:C,__importDefault:T,__classPrivateFieldGet:M,__classPrivateFieldSet:N,__classPrivateFieldIn:D,__addDisposableResource:I,__disposeResources:B,__rewriteRelativeImportExtension:R}}},t={};function n(r){var o=t[r];if(void 0!==o)return o.exports;var i=t[r]={id:r,loaded:!1,exports:{}};return e[r].call(i.exports,i,i.exports,n),i.loaded=!0,i.exports}n.n=e=>{var t=e&&e.__esModule?()=>e.default:()=>e;return n.d(t,{a:t}),t},n.d=(e,t)=>{for(var r in t)n.o(t,r)&&!n.o(e,r)&&Object.defineProperty(e,r,{enumerable:!0,get:t[r]})},n.g=function(){if("object"===typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"===typeof window)return window}}(),n.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),n.r=e=>{"undefined"!==typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},n.nmd=e=>(e.paths=[],e.children||(e.children=[]),e),(()=>{"use strict";var e={};n.r(e),n.d(e,{scaleBand:()=>ti,scaleDiverging:()=>Ms,scaleDivergingLog:()=>Ns,scaleDivergingPow:()=>Is,scaleDivergingSqrt:()=>zs,scaleDivergingSymlog:()=>Ds,scaleIdentity:()=>Pl,scaleImplicit:()=>Jo,scaleLinear:()=>kl,scaleLog:()=>Il,scaleOrdinal:()=>ei,scalePoint:()=>ri,scalePow:()=>Vl,scaleQuantile:()=>nu,scaleQuantize:()=>ru,scaleRadial:()=>Kl,scaleSequential:()=>ks,scaleSequentialLog:()=>Ps,scaleSequentialPow:()=>_s,scaleSequentialQuantile:()=>Cs,scaleSequentialSqrt:()=>As,scaleSequentialSymlog:()=>Es,scaleSqrt:()=>ql,scaleSymlog:()=>Fl,scaleThreshold:()=>ou,scaleTime:()=>ws,scaleUtc:()=>js,tickFormat:()=>Sl});var t=n(5043),r=n(4391);function o(e){return o="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},o(e)}function i(e){var t=function(e,t){if("object"!=o(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=o(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==o(t)?t:t+""}function a(e,t,n){return(t=i(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function l(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function u(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?l(Object(n),!0).forEach(function(t){a(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):l(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}var c=n(870),s=n(579);const f=e=>{let{isOpen:n,onClose:r,onSave:o,currentConfig:i}=e;const[a,l]=(0,t.useState)([]),[f,d]=(0,t.useState)({boardId:"",teamSize:10,workingDays:10}),[p,h]=(0,t.useState)(!1),[y,v]=(0,t.useState)(!1),[m,g]=(0,t.useState)(null);(0,t.useEffect)(()=>{n&&b()},[n]),(0,t.useEffect)(()=>{i&&d(i)},[i]);const b=async()=>{h(!0),g(null);try{const e=await(0,c.invoke)("getBoards");e.success?l(e.boards):g(e.error||"Failed to load boards")}catch(e){g(e.message||"Error loading boards")}finally{h(!1)}};if(!n)return null;const x=8*f.workingDays*f.teamSize;return(0,s.jsx)(s.Fragment,{children:(0,s.jsx)("div",{className:"settings-modal-overlay",onClick:r,style:{position:"fixed",top:0,left:0,right:0,bottom:0,backgroundColor:"rgba(0, 0, 0, 0.5)",display:"flex",alignItems:"center",justifyContent:"center",zIndex:1e3,padding:"20px"},children:(0,s.jsxs)("div",{className:"settings-modal",onClick:e=>e.stopPropagation(),style:{backgroundColor:"white",borderRadius:"3px",boxShadow:"0 8px 16px rgba(0, 0, 0, 0.15)",maxWidth:"500px",width:"100%",maxHeight:"90vh",overflow:"auto",zIndex:1001},children:[(0,s.jsxs)("div",{style:{padding:"20px",borderBottom:"1px solid #dfe1e6",display:"flex",justifyContent:"space-between",alignItems:"center"},children:[(0,s.jsx)("h2",{style:{margin:0,fontSize:"18px",fontWeight:"600",color:"#172b4d"},children:"\u2699\ufe0f Gadget Settings"}),(0,s.jsx)("button",{onClick:r,style:{background:"none",border:"none",fontSize:"24px",cursor:"pointer",color:"#6b778c",padding:"0",width:"32px",height:"32px",display:"flex",alignItems:"center",justifyContent:"center"},children:"\u2715"})]}),(0,s.jsxs)("div",{style:{padding:"20px"},children:[m&&(0,s.jsxs)("div",{className:"error",style:{marginBottom:"16px",padding:"12px",backgroundColor:"#ffebe6",border:"1px solid #ffcccc",borderRadius:"3px",color:"#de350b",fontSize:"13px"},children:["\u26a0\ufe0f ",m]}),p?(0,s.jsxs)("div",{style:{textAlign:"center",padding:"20px"},children:[(0,s.jsx)("div",{className:"spinner",style:{margin:"0 auto"}}),(0,s.jsx)("p",{style:{marginTop:"12px",color:"#6b778c",fontSize:"13px"},children:"Loading boards..."})]}):(0,s.jsxs)(s.Fragment,{children:[(0,s.jsxs)("div",{className:"form-group",style:{marginBottom:"16px"},children:[(0,s.jsx)("label",{className:"form-label",style:{display:"block",marginBottom:"6px",fontSize:"12px",fontWeight:"600",color:"#6b778c"},children:"Scrum Board *"}),(0,s.jsxs)("select",{className:"form-select",value:f.boardId,onChange:e=>d(t=>u(u({},t),{},{boardId:e.target.value})),style:{width:"100%",padding:"8px 12px",border:"2px solid #dfe1e6",borderRadius:"3px",fontSize:"14px",fontFamily:"inherit"},children:[(0,s.jsx)("option",{value:"",children:"Select a board..."}),a.map(e=>(0,s.jsxs)("option",{value:e.id,children:[e.name," ",e.projectKey&&"(".concat(e.projectKey,")")]},e.id))]}),(0,s.jsx)("p",{style:{marginTop:"4px",fontSize:"11px",color:"#6b778c"},children:"Select the Scrum board to track sprint data from."})]}),(0,s.jsxs)("div",{className:"form-group",style:{marginBottom:"16px"},children:[(0,s.jsx)("label",{className:"form-label",style:{display:"block",marginBottom:"6px",fontSize:"12px",fontWeight:"600",color:"#6b778c"},children:"Team Size"}),(0,s.jsx)("input",{type:"number",className:"form-input",value:f.teamSize,onChange:e=>d(t=>u(u({},t),{},{teamSize:Math.max(1,parseInt(e.target.value)||1)})),min:"1",max:"50",style:{width:"100%",padding:"8px 12px",border:"2px solid #dfe1e6",borderRadius:"3px",fontSize:"14px",fontFamily:"inherit"}}),(0,s.jsx)("p",{style:{marginTop:"4px",fontSize:"11px",color:"#6b778c"},children:"Number of team members. Used for Max Capacity calculation."})]}),(0,s.jsxs)("div",{className:"form-group",style:{marginBottom:"16px"},children:[(0,s.jsx)("label",{className:"form-label",style:{display:"block",marginBottom:"6px",fontSize:"12px",fontWeight:"600",color:"#6b778c"},children:"Working Days per Sprint"}),(0,s.jsx)("input",{type:"number",className:"form-input",value:f.workingDays,onChange:e=>d(t=>u(u({},t),{},{workingDays:Math.max(1,parseInt(e.target.value)||10)})),min:"1",max:"30",style:{width:"100%",padding:"8px 12px",border:"2px solid #dfe1e6",borderRadius:"3px",fontSize:"14px",fontFamily:"inherit"}}),(0,s.jsx)("p",{style:{marginTop:"4px",fontSize:"11px",color:"#6b778c"},children:"Default working days. Used if sprint dates are not properly set."})]}),(0,s.jsxs)("div",{className:"formula-preview",style:{backgroundColor:"#f4f5f7",padding:"12px",borderRadius:"3px",fontSize:"12px",marginBottom:"16px"},children:[(0,s.jsx)("p",{style:{margin:0,fontWeight:"600",color:"#0052cc"},children:"Max Capacity Formula:"}),(0,s.jsxs)("p",{style:{margin:"8px 0 0",color:"#172b4d",fontSize:"13px"},children:["Working Days \xd7 8 hours \xd7 Team Size",(0,s.jsx)("br",{}),"= ",f.workingDays," \xd7 8 \xd7 ",f.teamSize," ="," ",(0,s.jsxs)("strong",{children:[x,"h"]})]})]})]})]}),(0,s.jsxs)("div",{style:{padding:"16px 20px",borderTop:"1px solid #dfe1e6",display:"flex",justifyContent:"flex-end",gap:"8px"},children:[(0,s.jsx)("button",{className:"btn btn-secondary",onClick:r,disabled:y||p,style:{padding:"6px 12px",border:"none",borderRadius:"3px",fontSize:"14px",fontWeight:"500",cursor:"pointer",backgroundColor:"#f4f5f7",color:"#172b4d",transition:"all 0.2s"},children:"Cancel"}),(0,s.jsx)("button",{className:"btn btn-primary",onClick:async()=>{if(f.boardId){v(!0),g(null);try{const e=await(0,c.invoke)("saveConfig",f);e.success?(o(f),r()):g(e.error||"Failed to save configuration")}catch(e){g(e.message||"Error saving configuration")}finally{v(!1)}}else g("Please select a board")},disabled:!f.boardId||y||p,style:{padding:"6px 12px",border:"none",borderRadius:"3px",fontSize:"14px",fontWeight:"500",cursor:"pointer",backgroundColor:"#0052cc",color:"#fff",transition:"all 0.2s",opacity:!f.boardId||y||p?.5:1},children:y?"Saving...":"Save"})]})]})})})},d=e=>{let{children:n,gadgetTitle:r,gadgetSubtitle:o,onConfigChange:i}=e;const[a,l]=(0,t.useState)(!1),[u,d]=(0,t.useState)(null),[p,h]=(0,t.useState)(!0),[y,v]=(0,t.useState)(0),m=(0,t.useCallback)(async()=>{try{const e=await(0,c.invoke)("getConfig");e&&d(e)}catch(e){console.error("[GadgetWrapper] Error loading config:",e)}finally{h(!1)}},[]);(0,t.useEffect)(()=>{m()},[m]);const g=(0,t.useCallback)(e=>{d(e),v(e=>e+1),i&&i(e)},[i]);return p?(0,s.jsxs)("div",{className:"loading",children:[(0,s.jsx)("div",{className:"spinner"}),(0,s.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]}):null!==u&&void 0!==u&&u.boardId?(0,s.jsxs)("div",{children:[n,(0,s.jsx)(f,{isOpen:a,onClose:()=>l(!1),onSave:g,currentConfig:u})]},y):(0,s.jsxs)("div",{className:"gadget",style:{padding:"16px"},children:[(0,s.jsxs)("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:"16px",paddingBottom:"12px",borderBottom:"1px solid #dfe1e6"},children:[(0,s.jsx)("div",{children:(0,s.jsx)("div",{style:{fontSize:"16px",fontWeight:"600",color:"#172b4d"},children:r})}),(0,s.jsx)("button",{onClick:()=>l(!0),style:{background:"#0052cc",border:"none",fontSize:"12px",fontWeight:"600",cursor:"pointer",padding:"8px 16px",borderRadius:"3px",color:"#fff",display:"flex",alignItems:"center",gap:"6px"},children:"\u2699\ufe0f Configure"})]}),(0,s.jsxs)("div",{style:{textAlign:"center",padding:"40px 20px",backgroundColor:"#f4f5f7",borderRadius:"3px"},children:[(0,s.jsx)("div",{style:{fontSize:"36px",marginBottom:"12px"},children:"\u2699\ufe0f"}),(0,s.jsx)("p",{style:{fontSize:"15px",fontWeight:"600",color:"#172b4d",margin:"0 0 8px"},children:"Configuration Required"}),(0,s.jsx)("p",{style:{fontSize:"13px",color:"#6b778c",margin:"0 0 16px"},children:"Select a Scrum board to start tracking sprint data."}),(0,s.jsx)("button",{onClick:()=>l(!0),style:{background:"#0052cc",border:"none",fontSize:"14px",fontWeight:"500",cursor:"pointer",padding:"10px 24px",borderRadius:"3px",color:"#fff"},children:"Select Board"})]}),(0,s.jsx)(f,{isOpen:a,onClose:()=>l(!1),onSave:g,currentConfig:u})]})};function p(e){var t,n,r="";if("string"==typeof e||"number"==typeof e)r+=e;else if("object"==typeof e)if(Array.isArray(e)){var o=e.length;for(t=0;t<o;t++)e[t]&&(n=p(e[t]))&&(r&&(r+=" "),r+=n)}else for(n in e)e[n]&&(r&&(r+=" "),r+=n);return r}const h=function(){for(var e,t,n=0,r="",o=arguments.length;n<o;n++)(e=arguments[n])&&(t=p(e))&&(r&&(r+=" "),r+=t);return r};var y=n(9889),v=n.n(y),m=n(620),g=n.n(m),b=n(5268),x=n.n(b),w=n(3097),j=n.n(w),S=n(9160),O=n.n(S),k=n(9686),P=n.n(k),E=function(e){return 0===e?0:e>0?1:-1},_=function(e){return g()(e)&&e.indexOf("%")===e.length-1},A=function(e){return O()(e)&&!x()(e)},C=function(e){return A(e)||g()(e)},T=0,M=function(e){var t=++T;return"".concat(e||"").concat(t)},N=function(e,t){var n,r=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,o=arguments.length>3&&void 0!==arguments[3]&&arguments[3];if(!A(e)&&!g()(e))return r;if(_(e)){var i=e.indexOf("%");n=t*parseFloat(e.slice(0,i))/100}else n=+e;return x()(n)&&(n=r),o&&n>t&&(n=t),n},D=function(e){if(!e)return null;var t=Object.keys(e);return t&&t.length?e[t[0]]:null},I=function(e,t){return A(e)&&A(t)?function(n){return e+n*(t-e)}:function(){return t}};function z(e,t,n){return e&&e.length?e.find(function(e){return e&&("function"===typeof t?t(e):j()(e,t))===n}):null}var B=function(e,t){return A(e)&&A(t)?e-t:g()(e)&&g()(t)?e.localeCompare(t):e instanceof Date&&t instanceof Date?e.getTime()-t.getTime():String(e).localeCompare(String(t))},R=function(e,t){for(var n=arguments.length,r=new Array(n>2?n-2:0),o=2;o<n;o++)r[o-2]=arguments[o]},F=n(1629),L=n.n(F),U=n(6686),W=n.n(U),H=n(9062);function V(e,t){for(var n in e)if({}.hasOwnProperty.call(e,n)&&(!{}.hasOwnProperty.call(t,n)||e[n]!==t[n]))return!1;for(var r in t)if({}.hasOwnProperty.call(t,r)&&!{}.hasOwnProperty.call(e,r))return!1;return!0}function q(e){return q="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},q(e)}var $=["aria-activedescendant","aria-atomic","aria-autocomplete","aria-busy","aria-checked","aria-colcount","aria-colindex","aria-colspan","aria-controls","aria-current","aria-describedby","aria-details","aria-disabled","aria-errormessage","aria-expanded","aria-flowto","aria-haspopup","aria-hidden","aria-invalid","aria-keyshortcuts","aria-label","aria-labelledby","aria-level","aria-live","aria-modal","aria-multiline","aria-multiselectable","aria-orientation","aria-owns","aria-placeholder","aria-posinset","aria-pressed","aria-readonly","aria-relevant","aria-required","aria-roledescription","aria-rowcount","aria-rowindex","aria-rowspan","aria-selected","aria-setsize","aria-sort","aria-valuemax","aria-valuemin","aria-valuenow","aria-valuetext","className","color","height","id","lang","max","media","method","min","name","style","target","width","role","tabIndex","accentHeight","accumulate","additive","alignmentBaseline","allowReorder","alphabetic","amplitude","arabicForm","ascent","attributeName","attributeType","autoReverse","azimuth","baseFrequency","baselineShift","baseProfile","bbox","begin","bias","by","calcMode","capHeight","clip","clipPath","clipPathUnits","clipRule","colorInterpolation","colorInterpolationFilters","colorProfile","colorRendering","contentScriptType","contentStyleType","cursor","cx","cy","d","decelerate","descent","diffuseConstant","direction","display","divisor","dominantBaseline","dur","dx","dy","edgeMode","elevation","enableBackground","end","exponent","externalResourcesRequired","fill","fillOpacity","fillRule","filter","filterRes","filterUnits","floodColor","floodOpacity","focusable","fontFamily","fontSize","fontSizeAdjust","fontStretch","fontStyle","fontVariant","fontWeight","format","from","fx","fy","g1","g2","glyphName","glyphOrientationHorizontal","glyphOrientationVertical","glyphRef","gradientTransform","gradientUnits","hanging","horizAdvX","horizOriginX","href","ideographic","imageRendering","in2","in","intercept","k1","k2","k3","k4","k","kernelMatrix","kernelUnitLength","kerning","keyPoints","keySplines","keyTimes","lengthAdjust","letterSpacing","lightingColor","limitingConeAngle","local","markerEnd","markerHeight","markerMid","markerStart","markerUnits","markerWidth","mask","maskContentUnits","maskUnits","mathematical","mode","numOctaves","offset","opacity","operator","order","orient","orientation","origin","overflow","overlinePosition","overlineThickness","paintOrder","panose1","pathLength","patternContentUnits","patternTransform","patternUnits","pointerEvents","pointsAtX","pointsAtY","pointsAtZ","preserveAlpha","preserveAspectRatio","primitiveUnits","r","radius","refX","refY","renderingIntent","repeatCount","repeatDur","requiredExtensions","requiredFeatures","restart","result","rotate","rx","ry","seed","shapeRendering","slope","spacing","specularConstant","specularExponent","speed","spreadMethod","startOffset","stdDeviation","stemh","stemv","stitchTiles","stopColor","stopOpacity","strikethroughPosition","strikethroughThickness","string","stroke","strokeDasharray","strokeDashoffset","strokeLinecap","strokeLinejoin","strokeMiterlimit","strokeOpacity","strokeWidth","surfaceScale","systemLanguage","tableValues","targetX","targetY","textAnchor","textDecoration","textLength","textRendering","to","transform","u1","u2","underlinePosition","underlineThickness","unicode","unicodeBidi","unicodeRange","unitsPerEm","vAlphabetic","values","vectorEffect","version","vertAdvY","vertOriginX","vertOriginY","vHanging","vIdeographic","viewTarget","visibility","vMathematical","widths","wordSpacing","writingMode","x1","x2","x","xChannelSelector","xHeight","xlinkActuate","xlinkArcrole","xlinkHref","xlinkRole","xlinkShow","xlinkTitle","xlinkType","xmlBase","xmlLang","xmlns","xmlnsXlink","xmlSpace","y1","y2","y","yChannelSelector","z","zoomAndPan","ref","key","angle"],K=["points","pathLength"],X={svg:["viewBox","children"],polygon:K,polyline:K},G=["dangerouslySetInnerHTML","onCopy","onCopyCapture","onCut","onCutCapture","onPaste","onPasteCapture","onCompositionEnd","onCompositionEndCapture","onCompositionStart","onCompositionStartCapture","onCompositionUpdate","onCompositionUpdateCapture","onFocus","onFocusCapture","onBlur","onBlurCapture","onChange","onChangeCapture","onBeforeInput","onBeforeInputCapture","onInput","onInputCapture","onReset","onResetCapture","onSubmit","onSubmitCapture","onInvalid","onInvalidCapture","onLoad","onLoadCapture","onError","onErrorCapture","onKeyDown","onKeyDownCapture","onKeyPress","onKeyPressCapture","onKeyUp","onKeyUpCapture","onAbort","onAbortCapture","onCanPlay","onCanPlayCapture","onCanPlayThrough","onCanPlayThroughCapture","onDurationChange","onDurationChangeCapture","onEmptied","onEmptiedCapture","onEncrypted","onEncryptedCapture","onEnded","onEndedCapture","onLoadedData","onLoadedDataCapture","onLoadedMetadata","onLoadedMetadataCapture","onLoadStart","onLoadStartCapture","onPause","onPauseCapture","onPlay","onPlayCapture","onPlaying","onPlayingCapture","onProgress","onProgressCapture","onRateChange","onRateChangeCapture","onSeeked","onSeekedCapture","onSeeking","onSeekingCapture","onStalled","onStalledCapture","onSuspend","onSuspendCapture","onTimeUpdate","onTimeUpdateCapture","onVolumeChange","onVolumeChangeCapture","onWaiting","onWaitingCapture","onAuxClick","onAuxClickCapture","onClick","onClickCapture","onContextMenu","onContextMenuCapture","onDoubleClick","onDoubleClickCapture","onDrag","onDragCapture","onDragEnd","onDragEndCapture","onDragEnter","onDragEnterCapture","onDragExit","onDragExitCapture","onDragLeave","onDragLeaveCapture","onDragOver","onDragOverCapture","onDragStart","onDragStartCapture","onDrop","onDropCapture","onMouseDown","onMouseDownCapture","onMouseEnter","onMouseLeave","onMouseMove","onMouseMoveCapture","onMouseOut","onMouseOutCapture","onMouseOver","onMouseOverCapture","onMouseUp","onMouseUpCapture","onSelect","onSelectCapture","onTouchCancel","onTouchCancelCapture","onTouchEnd","onTouchEndCapture","onTouchMove","onTouchMoveCapture","onTouchStart","onTouchStartCapture","onPointerDown","onPointerDownCapture","onPointerMove","onPointerMoveCapture","onPointerUp","onPointerUpCapture","onPointerCancel","onPointerCancelCapture","onPointerEnter","onPointerEnterCapture","onPointerLeave","onPointerLeaveCapture","onPointerOver","onPointerOverCapture","onPointerOut","onPointerOutCapture","onGotPointerCapture","onGotPointerCaptureCapture","onLostPointerCapture","onLostPointerCaptureCapture","onScroll","onScrollCapture","onWheel","onWheelCapture","onAnimationStart","onAnimationStartCapture","onAnimationEnd","onAnimationEndCapture","onAnimationIteration","onAnimationIterationCapture","onTransitionEnd","onTransitionEndCapture"],Y=function(e,n){if(!e||"function"===typeof e||"boolean"===typeof e)return null;var r=e;if((0,t.isValidElement)(e)&&(r=e.props),!W()(r))return null;var o={};return Object.keys(r).forEach(function(e){G.includes(e)&&(o[e]=n||function(t){return r[e](r,t)})}),o},Q=function(e,t,n){if(!W()(e)||"object"!==q(e))return null;var r=null;return Object.keys(e).forEach(function(o){var i=e[o];G.includes(o)&&"function"===typeof i&&(r||(r={}),r[o]=function(e,t,n){return function(r){return e(t,n,r),null}}(i,t,n))}),r},Z=["children"],J=["children"];function ee(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function te(e){return te="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},te(e)}var ne={click:"onClick",mousedown:"onMouseDown",mouseup:"onMouseUp",mouseover:"onMouseOver",mousemove:"onMouseMove",mouseout:"onMouseOut",mouseenter:"onMouseEnter",mouseleave:"onMouseLeave",touchcancel:"onTouchCancel",touchend:"onTouchEnd",touchmove:"onTouchMove",touchstart:"onTouchStart",contextmenu:"onContextMenu",dblclick:"onDoubleClick"},re=function(e){return"string"===typeof e?e:e?e.displayName||e.name||"Component":""},oe=null,ie=null,ae=function e(n){if(n===oe&&Array.isArray(ie))return ie;var r=[];return t.Children.forEach(n,function(t){P()(t)||((0,H.isFragment)(t)?r=r.concat(e(t.props.children)):r.push(t))}),ie=r,oe=n,r};function le(e,t){var n=[],r=[];return r=Array.isArray(t)?t.map(function(e){return re(e)}):[re(t)],ae(e).forEach(function(e){var t=j()(e,"type.displayName")||j()(e,"type.name");-1!==r.indexOf(t)&&n.push(e)}),n}function ue(e,t){var n=le(e,t);return n&&n[0]}var ce=function(e){if(!e||!e.props)return!1;var t=e.props,n=t.width,r=t.height;return!(!A(n)||n<=0||!A(r)||r<=0)},se=["a","altGlyph","altGlyphDef","altGlyphItem","animate","animateColor","animateMotion","animateTransform","circle","clipPath","color-profile","cursor","defs","desc","ellipse","feBlend","feColormatrix","feComponentTransfer","feComposite","feConvolveMatrix","feDiffuseLighting","feDisplacementMap","feDistantLight","feFlood","feFuncA","feFuncB","feFuncG","feFuncR","feGaussianBlur","feImage","feMerge","feMergeNode","feMorphology","feOffset","fePointLight","feSpecularLighting","feSpotLight","feTile","feTurbulence","filter","font","font-face","font-face-format","font-face-name","font-face-url","foreignObject","g","glyph","glyphRef","hkern","image","line","lineGradient","marker","mask","metadata","missing-glyph","mpath","path","pattern","polygon","polyline","radialGradient","rect","script","set","stop","style","svg","switch","symbol","text","textPath","title","tref","tspan","use","view","vkern"],fe=function(e){return e&&e.type&&g()(e.type)&&se.indexOf(e.type)>=0},de=function(e){return e&&"object"===te(e)&&"clipDot"in e},pe=function(e,n,r){if(!e||"function"===typeof e||"boolean"===typeof e)return null;var o=e;if((0,t.isValidElement)(e)&&(o=e.props),!W()(o))return null;var i={};return Object.keys(o).forEach(function(e){var t;(function(e,t,n,r){var o,i=null!==(o=null===X||void 0===X?void 0:X[r])&&void 0!==o?o:[];return t.startsWith("data-")||!L()(e)&&(r&&i.includes(t)||$.includes(t))||n&&G.includes(t)})(null===(t=o)||void 0===t?void 0:t[e],e,n,r)&&(i[e]=o[e])}),i},he=function e(n,r){if(n===r)return!0;var o=t.Children.count(n);if(o!==t.Children.count(r))return!1;if(0===o)return!0;if(1===o)return ye(Array.isArray(n)?n[0]:n,Array.isArray(r)?r[0]:r);for(var i=0;i<o;i++){var a=n[i],l=r[i];if(Array.isArray(a)||Array.isArray(l)){if(!e(a,l))return!1}else if(!ye(a,l))return!1}return!0},ye=function(e,t){if(P()(e)&&P()(t))return!0;if(!P()(e)&&!P()(t)){var n=e.props||{},r=n.children,o=ee(n,Z),i=t.props||{},a=i.children,l=ee(i,J);return r&&a?V(o,l)&&he(r,a):!r&&!a&&V(o,l)}return!1},ve=function(e,t){var n=[],r={};return ae(e).forEach(function(e,o){if(fe(e))n.push(e);else if(e){var i=re(e.type),a=t[i]||{},l=a.handler,u=a.once;if(l&&(!u||!r[i])){var c=l(e,i,o);n.push(c),r[i]=!0}}}),n};function me(e){return me="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},me(e)}function ge(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function be(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?ge(Object(n),!0).forEach(function(t){xe(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):ge(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function xe(e,t,n){return t=function(e){var t=function(e,t){if("object"!=me(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=me(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==me(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function we(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return je(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return je(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function je(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var Se=(0,t.forwardRef)(function(e,n){var r=e.aspect,o=e.initialDimension,i=void 0===o?{width:-1,height:-1}:o,a=e.width,l=void 0===a?"100%":a,u=e.height,c=void 0===u?"100%":u,s=e.minWidth,f=void 0===s?0:s,d=e.minHeight,p=e.maxHeight,y=e.children,m=e.debounce,g=void 0===m?0:m,b=e.id,x=e.className,w=e.onResize,j=e.style,S=void 0===j?{}:j,O=(0,t.useRef)(null),k=(0,t.useRef)();k.current=w,(0,t.useImperativeHandle)(n,function(){return Object.defineProperty(O.current,"current",{get:function(){return console.warn("The usage of ref.current.current is deprecated and will no longer be supported."),O.current},configurable:!0})});var P=we((0,t.useState)({containerWidth:i.width,containerHeight:i.height}),2),E=P[0],A=P[1],C=(0,t.useCallback)(function(e,t){A(function(n){var r=Math.round(e),o=Math.round(t);return n.containerWidth===r&&n.containerHeight===o?n:{containerWidth:r,containerHeight:o}})},[]);(0,t.useEffect)(function(){var e=function(e){var t,n=e[0].contentRect,r=n.width,o=n.height;C(r,o),null===(t=k.current)||void 0===t||t.call(k,r,o)};g>0&&(e=v()(e,g,{trailing:!0,leading:!1}));var t=new ResizeObserver(e),n=O.current.getBoundingClientRect(),r=n.width,o=n.height;return C(r,o),t.observe(O.current),function(){t.disconnect()}},[C,g]);var T=(0,t.useMemo)(function(){var e=E.containerWidth,n=E.containerHeight;if(e<0||n<0)return null;R(_(l)||_(c),"The width(%s) and height(%s) are both fixed numbers,\n       maybe you don't need to use a ResponsiveContainer.",l,c),R(!r||r>0,"The aspect(%s) must be greater than zero.",r);var o=_(l)?e:l,i=_(c)?n:c;r&&r>0&&(o?i=o/r:i&&(o=i*r),p&&i>p&&(i=p)),R(o>0||i>0,"The width(%s) and height(%s) of chart should be greater than 0,\n       please check the style of container, or the props width(%s) and height(%s),\n       or add a minWidth(%s) or minHeight(%s) or use aspect(%s) to control the\n       height and width.",o,i,l,c,f,d,r);var a=!Array.isArray(y)&&re(y.type).endsWith("Chart");return t.Children.map(y,function(e){return t.isValidElement(e)?(0,t.cloneElement)(e,be({width:o,height:i},a?{style:be({height:"100%",width:"100%",maxHeight:i,maxWidth:o},e.props.style)}:{})):e})},[r,y,c,p,d,f,E,l]);return t.createElement("div",{id:b?"".concat(b):void 0,className:h("recharts-responsive-container",x),style:be(be({},S),{},{width:l,height:c,minWidth:f,minHeight:d,maxHeight:p}),ref:O},T)}),Oe=n(6604),ke=n.n(Oe),Pe=n(7424),Ee=n.n(Pe),_e="Invariant failed";function Ae(e,t){if(!e)throw new Error(_e)}var Ce=["children","width","height","viewBox","className","style","title","desc"];function Te(){return Te=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Te.apply(this,arguments)}function Me(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Ne(e){var n=e.children,r=e.width,o=e.height,i=e.viewBox,a=e.className,l=e.style,u=e.title,c=e.desc,s=Me(e,Ce),f=i||{width:r,height:o,x:0,y:0},d=h("recharts-surface",a);return t.createElement("svg",Te({},pe(s,!0,"svg"),{className:d,width:r,height:o,style:l,viewBox:"".concat(f.x," ").concat(f.y," ").concat(f.width," ").concat(f.height)}),t.createElement("title",null,u),t.createElement("desc",null,c),n)}var De=["children","className"];function Ie(){return Ie=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Ie.apply(this,arguments)}function ze(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var Be=t.forwardRef(function(e,n){var r=e.children,o=e.className,i=ze(e,De),a=h("recharts-layer",o);return t.createElement("g",Ie({className:a},pe(i,!0),{ref:n}),r)});function Re(e){return Re="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Re(e)}function Fe(){return Fe=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Fe.apply(this,arguments)}function Le(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Ue(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Ue(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Ue(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function We(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function He(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?We(Object(n),!0).forEach(function(t){Ve(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):We(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Ve(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Re(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Re(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Re(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function qe(e){return Array.isArray(e)&&C(e[0])&&C(e[1])?e.join(" ~ "):e}var $e=function(e){var n=e.separator,r=void 0===n?" : ":n,o=e.contentStyle,i=void 0===o?{}:o,a=e.itemStyle,l=void 0===a?{}:a,u=e.labelStyle,c=void 0===u?{}:u,s=e.payload,f=e.formatter,d=e.itemSorter,p=e.wrapperClassName,y=e.labelClassName,v=e.label,m=e.labelFormatter,g=e.accessibilityLayer,b=void 0!==g&&g,x=He({margin:0,padding:10,backgroundColor:"#fff",border:"1px solid #ccc",whiteSpace:"nowrap"},i),w=He({margin:0},c),j=!P()(v),S=j?v:"",O=h("recharts-default-tooltip",p),k=h("recharts-tooltip-label",y);j&&m&&void 0!==s&&null!==s&&(S=m(v,s));var E=b?{role:"status","aria-live":"assertive"}:{};return t.createElement("div",Fe({className:O,style:x},E),t.createElement("p",{className:k,style:w},t.isValidElement(S)?S:"".concat(S)),function(){if(s&&s.length){var e=(d?Ee()(s,d):s).map(function(e,n){if("none"===e.type)return null;var o=He({display:"block",paddingTop:4,paddingBottom:4,color:e.color||"#000"},l),i=e.formatter||f||qe,a=e.value,u=e.name,c=a,d=u;if(i&&null!=c&&null!=d){var p=i(a,u,e,n,s);if(Array.isArray(p)){var h=Le(p,2);c=h[0],d=h[1]}else c=p}return t.createElement("li",{className:"recharts-tooltip-item",key:"tooltip-item-".concat(n),style:o},C(d)?t.createElement("span",{className:"recharts-tooltip-item-name"},d):null,C(d)?t.createElement("span",{className:"recharts-tooltip-item-separator"},r):null,t.createElement("span",{className:"recharts-tooltip-item-value"},c),t.createElement("span",{className:"recharts-tooltip-item-unit"},e.unit||""))});return t.createElement("ul",{className:"recharts-tooltip-item-list",style:{padding:0,margin:0}},e)}return null}())};function Ke(e){return Ke="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Ke(e)}function Xe(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Ke(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Ke(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Ke(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var Ge="recharts-tooltip-wrapper",Ye={visibility:"hidden"};function Qe(e){var t=e.coordinate,n=e.translateX,r=e.translateY;return h(Ge,Xe(Xe(Xe(Xe({},"".concat(Ge,"-right"),A(n)&&t&&A(t.x)&&n>=t.x),"".concat(Ge,"-left"),A(n)&&t&&A(t.x)&&n<t.x),"".concat(Ge,"-bottom"),A(r)&&t&&A(t.y)&&r>=t.y),"".concat(Ge,"-top"),A(r)&&t&&A(t.y)&&r<t.y))}function Ze(e){var t=e.allowEscapeViewBox,n=e.coordinate,r=e.key,o=e.offsetTopLeft,i=e.position,a=e.reverseDirection,l=e.tooltipDimension,u=e.viewBox,c=e.viewBoxDimension;if(i&&A(i[r]))return i[r];var s=n[r]-l-o,f=n[r]+o;return t[r]?a[r]?s:f:a[r]?s<u[r]?Math.max(f,u[r]):Math.max(s,u[r]):f+l>u[r]+c?Math.max(s,u[r]):Math.max(f,u[r])}function Je(e){return Je="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Je(e)}function et(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function tt(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?et(Object(n),!0).forEach(function(t){lt(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):et(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function nt(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,ut(r.key),r)}}function rt(e,t,n){return t=it(t),function(e,t){if(t&&("object"===Je(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,ot()?Reflect.construct(t,n||[],it(e).constructor):t.apply(e,n))}function ot(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(ot=function(){return!!e})()}function it(e){return it=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},it(e)}function at(e,t){return at=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},at(e,t)}function lt(e,t,n){return(t=ut(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function ut(e){var t=function(e,t){if("object"!=Je(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Je(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Je(t)?t:t+""}var ct=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return lt(e=rt(this,n,[].concat(r)),"state",{dismissed:!1,dismissedAtCoordinate:{x:0,y:0},lastBoundingBox:{width:-1,height:-1}}),lt(e,"handleKeyDown",function(t){var n,r,o,i;"Escape"===t.key&&e.setState({dismissed:!0,dismissedAtCoordinate:{x:null!==(n=null===(r=e.props.coordinate)||void 0===r?void 0:r.x)&&void 0!==n?n:0,y:null!==(o=null===(i=e.props.coordinate)||void 0===i?void 0:i.y)&&void 0!==o?o:0}})}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&at(e,t)}(n,e),r=n,(o=[{key:"updateBBox",value:function(){if(this.wrapperNode&&this.wrapperNode.getBoundingClientRect){var e=this.wrapperNode.getBoundingClientRect();(Math.abs(e.width-this.state.lastBoundingBox.width)>1||Math.abs(e.height-this.state.lastBoundingBox.height)>1)&&this.setState({lastBoundingBox:{width:e.width,height:e.height}})}else-1===this.state.lastBoundingBox.width&&-1===this.state.lastBoundingBox.height||this.setState({lastBoundingBox:{width:-1,height:-1}})}},{key:"componentDidMount",value:function(){document.addEventListener("keydown",this.handleKeyDown),this.updateBBox()}},{key:"componentWillUnmount",value:function(){document.removeEventListener("keydown",this.handleKeyDown)}},{key:"componentDidUpdate",value:function(){var e,t;this.props.active&&this.updateBBox(),this.state.dismissed&&((null===(e=this.props.coordinate)||void 0===e?void 0:e.x)===this.state.dismissedAtCoordinate.x&&(null===(t=this.props.coordinate)||void 0===t?void 0:t.y)===this.state.dismissedAtCoordinate.y||(this.state.dismissed=!1))}},{key:"render",value:function(){var e=this,n=this.props,r=n.active,o=n.allowEscapeViewBox,i=n.animationDuration,a=n.animationEasing,l=n.children,u=n.coordinate,c=n.hasPayload,s=n.isAnimationActive,f=n.offset,d=n.position,p=n.reverseDirection,h=n.useTranslate3d,y=n.viewBox,v=n.wrapperStyle,m=function(e){var t,n,r=e.allowEscapeViewBox,o=e.coordinate,i=e.offsetTopLeft,a=e.position,l=e.reverseDirection,u=e.tooltipBox,c=e.useTranslate3d,s=e.viewBox;return{cssProperties:u.height>0&&u.width>0&&o?function(e){var t=e.translateX,n=e.translateY;return{transform:e.useTranslate3d?"translate3d(".concat(t,"px, ").concat(n,"px, 0)"):"translate(".concat(t,"px, ").concat(n,"px)")}}({translateX:t=Ze({allowEscapeViewBox:r,coordinate:o,key:"x",offsetTopLeft:i,position:a,reverseDirection:l,tooltipDimension:u.width,viewBox:s,viewBoxDimension:s.width}),translateY:n=Ze({allowEscapeViewBox:r,coordinate:o,key:"y",offsetTopLeft:i,position:a,reverseDirection:l,tooltipDimension:u.height,viewBox:s,viewBoxDimension:s.height}),useTranslate3d:c}):Ye,cssClasses:Qe({translateX:t,translateY:n,coordinate:o})}}({allowEscapeViewBox:o,coordinate:u,offsetTopLeft:f,position:d,reverseDirection:p,tooltipBox:this.state.lastBoundingBox,useTranslate3d:h,viewBox:y}),g=m.cssClasses,b=m.cssProperties,x=tt(tt({transition:s&&r?"transform ".concat(i,"ms ").concat(a):void 0},b),{},{pointerEvents:"none",visibility:!this.state.dismissed&&r&&c?"visible":"hidden",position:"absolute",top:0,left:0},v);return t.createElement("div",{tabIndex:-1,className:g,style:x,ref:function(t){e.wrapperNode=t}},l)}}])&&nt(r.prototype,o),i&&nt(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent),st={isSsr:!("undefined"!==typeof window&&window.document&&window.document.createElement&&window.setTimeout),get:function(e){return st[e]},set:function(e,t){if("string"===typeof e)st[e]=t;else{var n=Object.keys(e);n&&n.length&&n.forEach(function(t){st[t]=e[t]})}}},ft=n(977),dt=n.n(ft);function pt(e,t,n){return!0===t?dt()(e,n):L()(t)?dt()(e,t):e}function ht(e){return ht="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},ht(e)}function yt(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function vt(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?yt(Object(n),!0).forEach(function(t){jt(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):yt(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function mt(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,St(r.key),r)}}function gt(e,t,n){return t=xt(t),function(e,t){if(t&&("object"===ht(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,bt()?Reflect.construct(t,n||[],xt(e).constructor):t.apply(e,n))}function bt(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(bt=function(){return!!e})()}function xt(e){return xt=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},xt(e)}function wt(e,t){return wt=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},wt(e,t)}function jt(e,t,n){return(t=St(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function St(e){var t=function(e,t){if("object"!=ht(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=ht(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==ht(t)?t:t+""}function Ot(e){return e.dataKey}var kt=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),gt(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&wt(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){var e=this,n=this.props,r=n.active,o=n.allowEscapeViewBox,i=n.animationDuration,a=n.animationEasing,l=n.content,u=n.coordinate,c=n.filterNull,s=n.isAnimationActive,f=n.offset,d=n.payload,p=n.payloadUniqBy,h=n.position,y=n.reverseDirection,v=n.useTranslate3d,m=n.viewBox,g=n.wrapperStyle,b=null!==d&&void 0!==d?d:[];c&&b.length&&(b=pt(d.filter(function(t){return null!=t.value&&(!0!==t.hide||e.props.includeHidden)}),p,Ot));var x=b.length>0;return t.createElement(ct,{allowEscapeViewBox:o,animationDuration:i,animationEasing:a,isAnimationActive:s,active:r,coordinate:u,hasPayload:x,offset:f,position:h,reverseDirection:y,useTranslate3d:v,viewBox:m,wrapperStyle:g},function(e,n){return t.isValidElement(e)?t.cloneElement(e,n):"function"===typeof e?t.createElement(e,n):t.createElement($e,n)}(l,vt(vt({},this.props),{},{payload:b})))}}])&&mt(r.prototype,o),i&&mt(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);jt(kt,"displayName","Tooltip"),jt(kt,"defaultProps",{accessibilityLayer:!1,allowEscapeViewBox:{x:!1,y:!1},animationDuration:400,animationEasing:"ease",contentStyle:{},coordinate:{x:0,y:0},cursor:!0,cursorStyle:{},filterNull:!0,isAnimationActive:!st.isSsr,itemStyle:{},labelStyle:{},offset:10,reverseDirection:{x:!1,y:!1},separator:" : ",trigger:"hover",useTranslate3d:!1,viewBox:{x:0,y:0,height:0,width:0},wrapperStyle:{}});var Pt=n(643),Et=n.n(Pt);Math.abs,Math.atan2;const _t=Math.cos,At=(Math.max,Math.min,Math.sin),Ct=Math.sqrt,Tt=Math.PI,Mt=2*Tt;const Nt={draw(e,t){const n=Ct(t/Tt);e.moveTo(n,0),e.arc(0,0,n,0,Mt)}},Dt={draw(e,t){const n=Ct(t/5)/2;e.moveTo(-3*n,-n),e.lineTo(-n,-n),e.lineTo(-n,-3*n),e.lineTo(n,-3*n),e.lineTo(n,-n),e.lineTo(3*n,-n),e.lineTo(3*n,n),e.lineTo(n,n),e.lineTo(n,3*n),e.lineTo(-n,3*n),e.lineTo(-n,n),e.lineTo(-3*n,n),e.closePath()}},It=Ct(1/3),zt=2*It,Bt={draw(e,t){const n=Ct(t/zt),r=n*It;e.moveTo(0,-n),e.lineTo(r,0),e.lineTo(0,n),e.lineTo(-r,0),e.closePath()}},Rt={draw(e,t){const n=Ct(t),r=-n/2;e.rect(r,r,n,n)}},Ft=At(Tt/10)/At(7*Tt/10),Lt=At(Mt/10)*Ft,Ut=-_t(Mt/10)*Ft,Wt={draw(e,t){const n=Ct(.8908130915292852*t),r=Lt*n,o=Ut*n;e.moveTo(0,-n),e.lineTo(r,o);for(let i=1;i<5;++i){const t=Mt*i/5,a=_t(t),l=At(t);e.lineTo(l*n,-a*n),e.lineTo(a*r-l*o,l*r+a*o)}e.closePath()}},Ht=Ct(3),Vt={draw(e,t){const n=-Ct(t/(3*Ht));e.moveTo(0,2*n),e.lineTo(-Ht*n,-n),e.lineTo(Ht*n,-n),e.closePath()}},qt=-.5,$t=Ct(3)/2,Kt=1/Ct(12),Xt=3*(Kt/2+1),Gt={draw(e,t){const n=Ct(t/Xt),r=n/2,o=n*Kt,i=r,a=n*Kt+n,l=-i,u=a;e.moveTo(r,o),e.lineTo(i,a),e.lineTo(l,u),e.lineTo(qt*r-$t*o,$t*r+qt*o),e.lineTo(qt*i-$t*a,$t*i+qt*a),e.lineTo(qt*l-$t*u,$t*l+qt*u),e.lineTo(qt*r+$t*o,qt*o-$t*r),e.lineTo(qt*i+$t*a,qt*a-$t*i),e.lineTo(qt*l+$t*u,qt*u-$t*l),e.closePath()}};function Yt(e){return function(){return e}}function Qt(e,t){return t||(t=e.slice(0)),Object.freeze(Object.defineProperties(e,{raw:{value:Object.freeze(t)}}))}var Zt,Jt,en,tn,nn,rn,on,an,ln,un,cn,sn,fn,dn;const pn=Math.PI,hn=2*pn,yn=1e-6,vn=hn-yn;function mn(e){this._+=e[0];for(let t=1,n=e.length;t<n;++t)this._+=arguments[t]+e[t]}class gn{constructor(e){this._x0=this._y0=this._x1=this._y1=null,this._="",this._append=null==e?mn:function(e){let t=Math.floor(e);if(!(t>=0))throw new Error("invalid digits: ".concat(e));if(t>15)return mn;const n=10**t;return function(e){this._+=e[0];for(let t=1,r=e.length;t<r;++t)this._+=Math.round(arguments[t]*n)/n+e[t]}}(e)}moveTo(e,t){this._append(Zt||(Zt=Qt(["M",",",""])),this._x0=this._x1=+e,this._y0=this._y1=+t)}closePath(){null!==this._x1&&(this._x1=this._x0,this._y1=this._y0,this._append(Jt||(Jt=Qt(["Z"]))))}lineTo(e,t){this._append(en||(en=Qt(["L",",",""])),this._x1=+e,this._y1=+t)}quadraticCurveTo(e,t,n,r){this._append(tn||(tn=Qt(["Q",",",",",",",""])),+e,+t,this._x1=+n,this._y1=+r)}bezierCurveTo(e,t,n,r,o,i){this._append(nn||(nn=Qt(["C",",",",",",",",",",",""])),+e,+t,+n,+r,this._x1=+o,this._y1=+i)}arcTo(e,t,n,r,o){if(e=+e,t=+t,n=+n,r=+r,(o=+o)<0)throw new Error("negative radius: ".concat(o));let i=this._x1,a=this._y1,l=n-e,u=r-t,c=i-e,s=a-t,f=c*c+s*s;if(null===this._x1)this._append(rn||(rn=Qt(["M",",",""])),this._x1=e,this._y1=t);else if(f>yn)if(Math.abs(s*l-u*c)>yn&&o){let d=n-i,p=r-a,h=l*l+u*u,y=d*d+p*p,v=Math.sqrt(h),m=Math.sqrt(f),g=o*Math.tan((pn-Math.acos((h+f-y)/(2*v*m)))/2),b=g/m,x=g/v;Math.abs(b-1)>yn&&this._append(an||(an=Qt(["L",",",""])),e+b*c,t+b*s),this._append(ln||(ln=Qt(["A",",",",0,0,",",",",",""])),o,o,+(s*d>c*p),this._x1=e+x*l,this._y1=t+x*u)}else this._append(on||(on=Qt(["L",",",""])),this._x1=e,this._y1=t);else;}arc(e,t,n,r,o,i){if(e=+e,t=+t,i=!!i,(n=+n)<0)throw new Error("negative radius: ".concat(n));let a=n*Math.cos(r),l=n*Math.sin(r),u=e+a,c=t+l,s=1^i,f=i?r-o:o-r;null===this._x1?this._append(un||(un=Qt(["M",",",""])),u,c):(Math.abs(this._x1-u)>yn||Math.abs(this._y1-c)>yn)&&this._append(cn||(cn=Qt(["L",",",""])),u,c),n&&(f<0&&(f=f%hn+hn),f>vn?this._append(sn||(sn=Qt(["A",",",",0,1,",",",",","A",",",",0,1,",",",",",""])),n,n,s,e-a,t-l,n,n,s,this._x1=u,this._y1=c):f>yn&&this._append(fn||(fn=Qt(["A",",",",0,",",",",",",",""])),n,n,+(f>=pn),s,this._x1=e+n*Math.cos(o),this._y1=t+n*Math.sin(o)))}rect(e,t,n,r){this._append(dn||(dn=Qt(["M",",","h","v","h","Z"])),this._x0=this._x1=+e,this._y0=this._y1=+t,n=+n,+r,-n)}toString(){return this._}}function bn(e){let t=3;return e.digits=function(n){if(!arguments.length)return t;if(null==n)t=null;else{const e=Math.floor(n);if(!(e>=0))throw new RangeError("invalid digits: ".concat(n));t=e}return e},()=>new gn(t)}Ct(3),Ct(3);function xn(e){return xn="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},xn(e)}var wn=["type","size","sizeType"];function jn(){return jn=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},jn.apply(this,arguments)}function Sn(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function On(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Sn(Object(n),!0).forEach(function(t){kn(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Sn(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function kn(e,t,n){return t=function(e){var t=function(e,t){if("object"!=xn(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=xn(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==xn(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Pn(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var En={symbolCircle:Nt,symbolCross:Dt,symbolDiamond:Bt,symbolSquare:Rt,symbolStar:Wt,symbolTriangle:Vt,symbolWye:Gt},_n=Math.PI/180,An=function(e){var n=e.type,r=void 0===n?"circle":n,o=e.size,i=void 0===o?64:o,a=e.sizeType,l=void 0===a?"area":a,u=On(On({},Pn(e,wn)),{},{type:r,size:i,sizeType:l}),c=u.className,s=u.cx,f=u.cy,d=pe(u,!0);return s===+s&&f===+f&&i===+i?t.createElement("path",jn({},d,{className:h("recharts-symbols",c),transform:"translate(".concat(s,", ").concat(f,")"),d:function(){var e=function(e){var t="symbol".concat(Et()(e));return En[t]||Nt}(r),t=function(e,t){let n=null,r=bn(o);function o(){let o;if(n||(n=o=r()),e.apply(this,arguments).draw(n,+t.apply(this,arguments)),o)return n=null,o+""||null}return e="function"===typeof e?e:Yt(e||Nt),t="function"===typeof t?t:Yt(void 0===t?64:+t),o.type=function(t){return arguments.length?(e="function"===typeof t?t:Yt(t),o):e},o.size=function(e){return arguments.length?(t="function"===typeof e?e:Yt(+e),o):t},o.context=function(e){return arguments.length?(n=null==e?null:e,o):n},o}().type(e).size(function(e,t,n){if("area"===t)return e;switch(n){case"cross":return 5*e*e/9;case"diamond":return.5*e*e/Math.sqrt(3);case"square":return e*e;case"star":var r=18*_n;return 1.25*e*e*(Math.tan(r)-Math.tan(2*r)*Math.pow(Math.tan(r),2));case"triangle":return Math.sqrt(3)*e*e/4;case"wye":return(21-10*Math.sqrt(3))*e*e/8;default:return Math.PI*e*e/4}}(i,l,r));return t()}()})):null};function Cn(e){return Cn="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Cn(e)}function Tn(){return Tn=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Tn.apply(this,arguments)}function Mn(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Nn(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Fn(r.key),r)}}function Dn(e,t,n){return t=zn(t),function(e,t){if(t&&("object"===Cn(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,In()?Reflect.construct(t,n||[],zn(e).constructor):t.apply(e,n))}function In(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(In=function(){return!!e})()}function zn(e){return zn=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},zn(e)}function Bn(e,t){return Bn=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Bn(e,t)}function Rn(e,t,n){return(t=Fn(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Fn(e){var t=function(e,t){if("object"!=Cn(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Cn(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Cn(t)?t:t+""}An.registerSymbol=function(e,t){En["symbol".concat(Et()(e))]=t};var Ln=32,Un=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),Dn(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Bn(e,t)}(n,e),r=n,o=[{key:"renderIcon",value:function(e){var n=this.props.inactiveColor,r=16,o=Ln/6,i=Ln/3,a=e.inactive?n:e.color;if("plainline"===e.type)return t.createElement("line",{strokeWidth:4,fill:"none",stroke:a,strokeDasharray:e.payload.strokeDasharray,x1:0,y1:r,x2:Ln,y2:r,className:"recharts-legend-icon"});if("line"===e.type)return t.createElement("path",{strokeWidth:4,fill:"none",stroke:a,d:"M0,".concat(r,"h").concat(i,"\n            A").concat(o,",").concat(o,",0,1,1,").concat(2*i,",").concat(r,"\n            H").concat(Ln,"M").concat(2*i,",").concat(r,"\n            A").concat(o,",").concat(o,",0,1,1,").concat(i,",").concat(r),className:"recharts-legend-icon"});if("rect"===e.type)return t.createElement("path",{stroke:"none",fill:a,d:"M0,".concat(4,"h").concat(Ln,"v").concat(24,"h").concat(-32,"z"),className:"recharts-legend-icon"});if(t.isValidElement(e.legendIcon)){var l=function(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Mn(Object(n),!0).forEach(function(t){Rn(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Mn(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}({},e);return delete l.legendIcon,t.cloneElement(e.legendIcon,l)}return t.createElement(An,{fill:a,cx:r,cy:r,size:Ln,sizeType:"diameter",type:e.type})}},{key:"renderItems",value:function(){var e=this,n=this.props,r=n.payload,o=n.iconSize,i=n.layout,a=n.formatter,l=n.inactiveColor,u={x:0,y:0,width:Ln,height:Ln},c={display:"horizontal"===i?"inline-block":"block",marginRight:10},s={display:"inline-block",verticalAlign:"middle",marginRight:4};return r.map(function(n,r){var i=n.formatter||a,f=h(Rn(Rn({"recharts-legend-item":!0},"legend-item-".concat(r),!0),"inactive",n.inactive));if("none"===n.type)return null;var d=L()(n.value)?null:n.value;R(!L()(n.value),'The name property is also required when using a function for the dataKey of a chart\'s cartesian components. Ex: <Bar name="Name of my Data"/>');var p=n.inactive?l:n.color;return t.createElement("li",Tn({className:f,style:c,key:"legend-item-".concat(r)},Q(e.props,n,r)),t.createElement(Ne,{width:o,height:o,viewBox:u,style:s},e.renderIcon(n)),t.createElement("span",{className:"recharts-legend-item-text",style:{color:p}},i?i(d,n,r):d))})}},{key:"render",value:function(){var e=this.props,n=e.payload,r=e.layout,o=e.align;if(!n||!n.length)return null;var i={padding:0,margin:0,textAlign:"horizontal"===r?o:"left"};return t.createElement("ul",{className:"recharts-default-legend",style:i},this.renderItems())}}],o&&Nn(r.prototype,o),i&&Nn(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function Wn(e){return Wn="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Wn(e)}Rn(Un,"displayName","Legend"),Rn(Un,"defaultProps",{iconSize:14,layout:"horizontal",align:"center",verticalAlign:"middle",inactiveColor:"#ccc"});var Hn=["ref"];function Vn(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function qn(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Vn(Object(n),!0).forEach(function(t){Qn(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Vn(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function $n(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Zn(r.key),r)}}function Kn(e,t,n){return t=Gn(t),function(e,t){if(t&&("object"===Wn(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Xn()?Reflect.construct(t,n||[],Gn(e).constructor):t.apply(e,n))}function Xn(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Xn=function(){return!!e})()}function Gn(e){return Gn=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Gn(e)}function Yn(e,t){return Yn=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Yn(e,t)}function Qn(e,t,n){return(t=Zn(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Zn(e){var t=function(e,t){if("object"!=Wn(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Wn(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Wn(t)?t:t+""}function Jn(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function er(e){return e.value}var tr=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return Qn(e=Kn(this,n,[].concat(r)),"lastBoundingBox",{width:-1,height:-1}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Yn(e,t)}(n,e),r=n,i=[{key:"getWithHeight",value:function(e,t){var n=qn(qn({},this.defaultProps),e.props).layout;return"vertical"===n&&A(e.props.height)?{height:e.props.height}:"horizontal"===n?{width:e.props.width||t}:null}}],(o=[{key:"componentDidMount",value:function(){this.updateBBox()}},{key:"componentDidUpdate",value:function(){this.updateBBox()}},{key:"getBBox",value:function(){if(this.wrapperNode&&this.wrapperNode.getBoundingClientRect){var e=this.wrapperNode.getBoundingClientRect();return e.height=this.wrapperNode.offsetHeight,e.width=this.wrapperNode.offsetWidth,e}return null}},{key:"updateBBox",value:function(){var e=this.props.onBBoxUpdate,t=this.getBBox();t?(Math.abs(t.width-this.lastBoundingBox.width)>1||Math.abs(t.height-this.lastBoundingBox.height)>1)&&(this.lastBoundingBox.width=t.width,this.lastBoundingBox.height=t.height,e&&e(t)):-1===this.lastBoundingBox.width&&-1===this.lastBoundingBox.height||(this.lastBoundingBox.width=-1,this.lastBoundingBox.height=-1,e&&e(null))}},{key:"getBBoxSnapshot",value:function(){return this.lastBoundingBox.width>=0&&this.lastBoundingBox.height>=0?qn({},this.lastBoundingBox):{width:0,height:0}}},{key:"getDefaultPosition",value:function(e){var t,n,r=this.props,o=r.layout,i=r.align,a=r.verticalAlign,l=r.margin,u=r.chartWidth,c=r.chartHeight;return e&&(void 0!==e.left&&null!==e.left||void 0!==e.right&&null!==e.right)||(t="center"===i&&"vertical"===o?{left:((u||0)-this.getBBoxSnapshot().width)/2}:"right"===i?{right:l&&l.right||0}:{left:l&&l.left||0}),e&&(void 0!==e.top&&null!==e.top||void 0!==e.bottom&&null!==e.bottom)||(n="middle"===a?{top:((c||0)-this.getBBoxSnapshot().height)/2}:"bottom"===a?{bottom:l&&l.bottom||0}:{top:l&&l.top||0}),qn(qn({},t),n)}},{key:"render",value:function(){var e=this,n=this.props,r=n.content,o=n.width,i=n.height,a=n.wrapperStyle,l=n.payloadUniqBy,u=n.payload,c=qn(qn({position:"absolute",width:o||"auto",height:i||"auto"},this.getDefaultPosition(a)),a);return t.createElement("div",{className:"recharts-legend-wrapper",style:c,ref:function(t){e.wrapperNode=t}},function(e,n){if(t.isValidElement(e))return t.cloneElement(e,n);if("function"===typeof e)return t.createElement(e,n);n.ref;var r=Jn(n,Hn);return t.createElement(Un,r)}(r,qn(qn({},this.props),{},{payload:pt(u,l,er)})))}}])&&$n(r.prototype,o),i&&$n(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function nr(){return nr=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},nr.apply(this,arguments)}Qn(tr,"displayName","Legend"),Qn(tr,"defaultProps",{iconSize:14,layout:"horizontal",align:"center",verticalAlign:"bottom"});var rr=function(e){var n=e.cx,r=e.cy,o=e.r,i=e.className,a=h("recharts-dot",i);return n===+n&&r===+r&&o===+o?t.createElement("circle",nr({},pe(e,!1),Y(e),{className:a,cx:n,cy:r,r:o})):null},or=n(5173),ir=n.n(or);const{getOwnPropertyNames:ar,getOwnPropertySymbols:lr}=Object,{hasOwnProperty:ur}=Object.prototype;function cr(e,t){return function(n,r,o){return e(n,r,o)&&t(n,r,o)}}function sr(e){return function(t,n,r){if(!t||!n||"object"!==typeof t||"object"!==typeof n)return e(t,n,r);const{cache:o}=r,i=o.get(t),a=o.get(n);if(i&&a)return i===n&&a===t;o.set(t,n),o.set(n,t);const l=e(t,n,r);return o.delete(t),o.delete(n),l}}function fr(e){return ar(e).concat(lr(e))}const dr=Object.hasOwn||((e,t)=>ur.call(e,t));function pr(e,t){return e===t||!e&&!t&&e!==e&&t!==t}const{getOwnPropertyDescriptor:hr,keys:yr}=Object;function vr(e,t){return e.byteLength===t.byteLength&&Ar(new Uint8Array(e),new Uint8Array(t))}function mr(e,t,n){let r=e.length;if(t.length!==r)return!1;for(;r-- >0;)if(!n.equals(e[r],t[r],r,r,e,t,n))return!1;return!0}function gr(e,t){return e.byteLength===t.byteLength&&Ar(new Uint8Array(e.buffer,e.byteOffset,e.byteLength),new Uint8Array(t.buffer,t.byteOffset,t.byteLength))}function br(e,t){return pr(e.getTime(),t.getTime())}function xr(e,t){return e.name===t.name&&e.message===t.message&&e.cause===t.cause&&e.stack===t.stack}function wr(e,t){return e===t}function jr(e,t,n){const r=e.size;if(r!==t.size)return!1;if(!r)return!0;const o=new Array(r),i=e.entries();let a,l,u=0;for(;(a=i.next())&&!a.done;){const r=t.entries();let i=!1,c=0;for(;(l=r.next())&&!l.done;){if(o[c]){c++;continue}const r=a.value,s=l.value;if(n.equals(r[0],s[0],u,c,e,t,n)&&n.equals(r[1],s[1],r[0],s[0],e,t,n)){i=o[c]=!0;break}c++}if(!i)return!1;u++}return!0}const Sr=pr;function Or(e,t,n){const r=yr(e);let o=r.length;if(yr(t).length!==o)return!1;for(;o-- >0;)if(!Tr(e,t,n,r[o]))return!1;return!0}function kr(e,t,n){const r=fr(e);let o,i,a,l=r.length;if(fr(t).length!==l)return!1;for(;l-- >0;){if(o=r[l],!Tr(e,t,n,o))return!1;if(i=hr(e,o),a=hr(t,o),(i||a)&&(!i||!a||i.configurable!==a.configurable||i.enumerable!==a.enumerable||i.writable!==a.writable))return!1}return!0}function Pr(e,t){return pr(e.valueOf(),t.valueOf())}function Er(e,t){return e.source===t.source&&e.flags===t.flags}function _r(e,t,n){const r=e.size;if(r!==t.size)return!1;if(!r)return!0;const o=new Array(r),i=e.values();let a,l;for(;(a=i.next())&&!a.done;){const r=t.values();let i=!1,u=0;for(;(l=r.next())&&!l.done;){if(!o[u]&&n.equals(a.value,l.value,a.value,l.value,e,t,n)){i=o[u]=!0;break}u++}if(!i)return!1}return!0}function Ar(e,t){let n=e.byteLength;if(t.byteLength!==n||e.byteOffset!==t.byteOffset)return!1;for(;n-- >0;)if(e[n]!==t[n])return!1;return!0}function Cr(e,t){return e.hostname===t.hostname&&e.pathname===t.pathname&&e.protocol===t.protocol&&e.port===t.port&&e.hash===t.hash&&e.username===t.username&&e.password===t.password}function Tr(e,t,n,r){return!("_owner"!==r&&"__o"!==r&&"__v"!==r||!e.$$typeof&&!t.$$typeof)||dr(t,r)&&n.equals(e[r],t[r],r,r,e,t,n)}const Mr={"[object Int8Array]":!0,"[object Uint8Array]":!0,"[object Uint8ClampedArray]":!0,"[object Int16Array]":!0,"[object Uint16Array]":!0,"[object Int32Array]":!0,"[object Uint32Array]":!0,"[object Float16Array]":!0,"[object Float32Array]":!0,"[object Float64Array]":!0,"[object BigInt64Array]":!0,"[object BigUint64Array]":!0},Nr=Object.prototype.toString;function Dr(e){let{areArrayBuffersEqual:t,areArraysEqual:n,areDataViewsEqual:r,areDatesEqual:o,areErrorsEqual:i,areFunctionsEqual:a,areMapsEqual:l,areNumbersEqual:u,areObjectsEqual:c,arePrimitiveWrappersEqual:s,areRegExpsEqual:f,areSetsEqual:d,areTypedArraysEqual:p,areUrlsEqual:h,unknownTagComparators:y}=e;return function(e,v,m){if(e===v)return!0;if(null==e||null==v)return!1;const g=typeof e;if(g!==typeof v)return!1;if("object"!==g)return"number"===g?u(e,v,m):"function"===g&&a(e,v,m);const b=e.constructor;if(b!==v.constructor)return!1;if(b===Object)return c(e,v,m);if(Array.isArray(e))return n(e,v,m);if(b===Date)return o(e,v,m);if(b===RegExp)return f(e,v,m);if(b===Map)return l(e,v,m);if(b===Set)return d(e,v,m);const x=Nr.call(e);if("[object Date]"===x)return o(e,v,m);if("[object RegExp]"===x)return f(e,v,m);if("[object Map]"===x)return l(e,v,m);if("[object Set]"===x)return d(e,v,m);if("[object Object]"===x)return"function"!==typeof e.then&&"function"!==typeof v.then&&c(e,v,m);if("[object URL]"===x)return h(e,v,m);if("[object Error]"===x)return i(e,v,m);if("[object Arguments]"===x)return c(e,v,m);if(Mr[x])return p(e,v,m);if("[object ArrayBuffer]"===x)return t(e,v,m);if("[object DataView]"===x)return r(e,v,m);if("[object Boolean]"===x||"[object Number]"===x||"[object String]"===x)return s(e,v,m);if(y){let t=y[x];if(!t){const n=function(e){return null!=e?e[Symbol.toStringTag]:void 0}(e);n&&(t=y[n])}if(t)return t(e,v,m)}return!1}}const Ir=zr();zr({strict:!0}),zr({circular:!0}),zr({circular:!0,strict:!0}),zr({createInternalComparator:()=>pr}),zr({strict:!0,createInternalComparator:()=>pr}),zr({circular:!0,createInternalComparator:()=>pr}),zr({circular:!0,createInternalComparator:()=>pr,strict:!0});function zr(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};const{circular:t=!1,createInternalComparator:n,createState:r,strict:o=!1}=e,i=function(e){let{circular:t,createCustomConfig:n,strict:r}=e,o={areArrayBuffersEqual:vr,areArraysEqual:r?kr:mr,areDataViewsEqual:gr,areDatesEqual:br,areErrorsEqual:xr,areFunctionsEqual:wr,areMapsEqual:r?cr(jr,kr):jr,areNumbersEqual:Sr,areObjectsEqual:r?kr:Or,arePrimitiveWrappersEqual:Pr,areRegExpsEqual:Er,areSetsEqual:r?cr(_r,kr):_r,areTypedArraysEqual:r?cr(Ar,kr):Ar,areUrlsEqual:Cr,unknownTagComparators:void 0};if(n&&(o=Object.assign({},o,n(o))),t){const e=sr(o.areArraysEqual),t=sr(o.areMapsEqual),n=sr(o.areObjectsEqual),r=sr(o.areSetsEqual);o=Object.assign({},o,{areArraysEqual:e,areMapsEqual:t,areObjectsEqual:n,areSetsEqual:r})}return o}(e),a=Dr(i),l=n?n(a):(u=a,function(e,t,n,r,o,i,a){return u(e,t,a)});var u;return function(e){let{circular:t,comparator:n,createState:r,equals:o,strict:i}=e;if(r)return function(e,a){const{cache:l=(t?new WeakMap:void 0),meta:u}=r();return n(e,a,{cache:l,equals:o,meta:u,strict:i})};if(t)return function(e,t){return n(e,t,{cache:new WeakMap,equals:o,meta:void 0,strict:i})};const a={cache:void 0,equals:o,meta:void 0,strict:i};return function(e,t){return n(e,t,a)}}({circular:t,comparator:a,createState:r,equals:l,strict:o})}function Br(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,n=-1;requestAnimationFrame(function r(o){n<0&&(n=o),o-n>t?(e(o),n=-1):function(e){"undefined"!==typeof requestAnimationFrame&&requestAnimationFrame(e)}(r)})}function Rr(e){return Rr="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Rr(e)}function Fr(e){return function(e){if(Array.isArray(e))return e}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Lr(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Lr(e,t)}(e)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Lr(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Ur(){var e=function(){return null},t=!1,n=function n(r){if(!t){if(Array.isArray(r)){if(!r.length)return;var o=Fr(r),i=o[0],a=o.slice(1);return"number"===typeof i?void Br(n.bind(null,a),i):(n(i),void Br(n.bind(null,a)))}"object"===Rr(r)&&e(r),"function"===typeof r&&r()}};return{stop:function(){t=!0},start:function(e){t=!1,n(e)},subscribe:function(t){return e=t,function(){e=function(){return null}}}}}function Wr(e){return Wr="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Wr(e)}function Hr(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Vr(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Hr(Object(n),!0).forEach(function(t){qr(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Hr(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function qr(e,t,n){return(t=function(e){var t=function(e,t){if("object"!==Wr(e)||null===e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!==Wr(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"===Wr(t)?t:String(t)}(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var $r=function(e){return e},Kr=function(e,t){return Object.keys(t).reduce(function(n,r){return Vr(Vr({},n),{},qr({},r,e(r,t[r])))},{})},Xr=function(e,t,n){return e.map(function(e){return"".concat((r=e,r.replace(/([A-Z])/g,function(e){return"-".concat(e.toLowerCase())}))," ").concat(t,"ms ").concat(n);var r}).join(",")};function Gr(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||Qr(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Yr(e){return function(e){if(Array.isArray(e))return Zr(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||Qr(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Qr(e,t){if(e){if("string"===typeof e)return Zr(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?Zr(e,t):void 0}}function Zr(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var Jr=1e-4,eo=function(e,t){return[0,3*e,3*t-6*e,3*e-3*t+1]},to=function(e,t){return e.map(function(e,n){return e*Math.pow(t,n)}).reduce(function(e,t){return e+t})},no=function(e,t){return function(n){var r=eo(e,t);return to(r,n)}},ro=function(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];var r=t[0],o=t[1],i=t[2],a=t[3];if(1===t.length)switch(t[0]){case"linear":r=0,o=0,i=1,a=1;break;case"ease":r=.25,o=.1,i=.25,a=1;break;case"ease-in":r=.42,o=0,i=1,a=1;break;case"ease-out":r=.42,o=0,i=.58,a=1;break;case"ease-in-out":r=0,o=0,i=.58,a=1;break;default:var l=t[0].split("(");if("cubic-bezier"===l[0]&&4===l[1].split(")")[0].split(",").length){var u=Gr(l[1].split(")")[0].split(",").map(function(e){return parseFloat(e)}),4);r=u[0],o=u[1],i=u[2],a=u[3]}}[r,i,o,a].every(function(e){return"number"===typeof e&&e>=0&&e<=1});var c,s,f=no(r,i),d=no(o,a),p=(c=r,s=i,function(e){var t=eo(c,s),n=[].concat(Yr(t.map(function(e,t){return e*t}).slice(1)),[0]);return to(n,e)}),h=function(e){return e>1?1:e<0?0:e},y=function(e){for(var t=e>1?1:e,n=t,r=0;r<8;++r){var o=f(n)-t,i=p(n);if(Math.abs(o-t)<Jr||i<Jr)return d(n);n=h(n-o/i)}return d(n)};return y.isStepper=!1,y},oo=function(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];var r=t[0];if("string"===typeof r)switch(r){case"ease":case"ease-in-out":case"ease-out":case"ease-in":case"linear":return ro(r);case"spring":return function(){var e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{},t=e.stiff,n=void 0===t?100:t,r=e.damping,o=void 0===r?8:r,i=e.dt,a=void 0===i?17:i,l=function(e,t,r){var i=r+(-(e-t)*n-r*o)*a/1e3,l=r*a/1e3+e;return Math.abs(l-t)<Jr&&Math.abs(i)<Jr?[t,0]:[l,i]};return l.isStepper=!0,l.dt=a,l}();default:if("cubic-bezier"===r.split("(")[0])return ro(r)}return"function"===typeof r?r:null};function io(e){return io="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},io(e)}function ao(e){return function(e){if(Array.isArray(e))return po(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||fo(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function lo(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function uo(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?lo(Object(n),!0).forEach(function(t){co(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):lo(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function co(e,t,n){return(t=function(e){var t=function(e,t){if("object"!==io(e)||null===e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!==io(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"===io(t)?t:String(t)}(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function so(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||fo(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function fo(e,t){if(e){if("string"===typeof e)return po(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?po(e,t):void 0}}function po(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var ho=function(e,t,n){return e+(t-e)*n},yo=function(e){return e.from!==e.to},vo=function e(t,n,r){var o=Kr(function(e,n){if(yo(n)){var r=so(t(n.from,n.to,n.velocity),2),o=r[0],i=r[1];return uo(uo({},n),{},{from:o,velocity:i})}return n},n);return r<1?Kr(function(e,t){return yo(t)?uo(uo({},t),{},{velocity:ho(t.velocity,o[e].velocity,r),from:ho(t.from,o[e].from,r)}):t},n):e(t,o,r-1)};const mo=function(e,t,n,r,o){var i,a,l,u,c=(i=e,a=t,[Object.keys(i),Object.keys(a)].reduce(function(e,t){return e.filter(function(e){return t.includes(e)})})),s=c.reduce(function(n,r){return uo(uo({},n),{},co({},r,[e[r],t[r]]))},{}),f=c.reduce(function(n,r){return uo(uo({},n),{},co({},r,{from:e[r],velocity:0,to:t[r]}))},{}),d=-1,p=function(){return null};return p=n.isStepper?function(r){l||(l=r);var i=(r-l)/n.dt;f=vo(n,f,i),o(uo(uo(uo({},e),t),Kr(function(e,t){return t.from},f))),l=r,Object.values(f).filter(yo).length&&(d=requestAnimationFrame(p))}:function(i){u||(u=i);var a=(i-u)/r,l=Kr(function(e,t){return ho.apply(void 0,ao(t).concat([n(a)]))},s);if(o(uo(uo(uo({},e),t),l)),a<1)d=requestAnimationFrame(p);else{var c=Kr(function(e,t){return ho.apply(void 0,ao(t).concat([n(1)]))},s);o(uo(uo(uo({},e),t),c))}},function(){return requestAnimationFrame(p),function(){cancelAnimationFrame(d)}}};function go(e){return go="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},go(e)}var bo=["children","begin","duration","attributeName","easing","isActive","steps","from","to","canBegin","onAnimationEnd","shouldReAnimate","onAnimationReStart"];function xo(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n,r,o={},i=Object.keys(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||(o[n]=e[n]);return o}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function wo(e){return function(e){if(Array.isArray(e))return jo(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return jo(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return jo(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function jo(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function So(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Oo(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?So(Object(n),!0).forEach(function(t){ko(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):So(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function ko(e,t,n){return(t=Eo(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Po(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Eo(r.key),r)}}function Eo(e){var t=function(e,t){if("object"!==go(e)||null===e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!==go(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"===go(t)?t:String(t)}function _o(e,t){return _o=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},_o(e,t)}function Ao(e){var t=function(){if("undefined"===typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"===typeof Proxy)return!0;try{return Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){})),!0}catch(e){return!1}}();return function(){var n,r=Mo(e);if(t){var o=Mo(this).constructor;n=Reflect.construct(r,arguments,o)}else n=r.apply(this,arguments);return Co(this,n)}}function Co(e,t){if(t&&("object"===go(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return To(e)}function To(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}function Mo(e){return Mo=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Mo(e)}var No=function(e){!function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&_o(e,t)}(a,e);var n,r,o,i=Ao(a);function a(e,t){var n;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a);var r=(n=i.call(this,e,t)).props,o=r.isActive,l=r.attributeName,u=r.from,c=r.to,s=r.steps,f=r.children,d=r.duration;if(n.handleStyleChange=n.handleStyleChange.bind(To(n)),n.changeStyle=n.changeStyle.bind(To(n)),!o||d<=0)return n.state={style:{}},"function"===typeof f&&(n.state={style:c}),Co(n);if(s&&s.length)n.state={style:s[0].style};else if(u){if("function"===typeof f)return n.state={style:u},Co(n);n.state={style:l?ko({},l,u):u}}else n.state={style:{}};return n}return n=a,(r=[{key:"componentDidMount",value:function(){var e=this.props,t=e.isActive,n=e.canBegin;this.mounted=!0,t&&n&&this.runAnimation(this.props)}},{key:"componentDidUpdate",value:function(e){var t=this.props,n=t.isActive,r=t.canBegin,o=t.attributeName,i=t.shouldReAnimate,a=t.to,l=t.from,u=this.state.style;if(r)if(n){if(!(Ir(e.to,a)&&e.canBegin&&e.isActive)){var c=!e.canBegin||!e.isActive;this.manager&&this.manager.stop(),this.stopJSAnimation&&this.stopJSAnimation();var s=c||i?l:e.to;if(this.state&&u){var f={style:o?ko({},o,s):s};(o&&u[o]!==s||!o&&u!==s)&&this.setState(f)}this.runAnimation(Oo(Oo({},this.props),{},{from:s,begin:0}))}}else{var d={style:o?ko({},o,a):a};this.state&&u&&(o&&u[o]!==a||!o&&u!==a)&&this.setState(d)}}},{key:"componentWillUnmount",value:function(){this.mounted=!1;var e=this.props.onAnimationEnd;this.unSubscribe&&this.unSubscribe(),this.manager&&(this.manager.stop(),this.manager=null),this.stopJSAnimation&&this.stopJSAnimation(),e&&e()}},{key:"handleStyleChange",value:function(e){this.changeStyle(e)}},{key:"changeStyle",value:function(e){this.mounted&&this.setState({style:e})}},{key:"runJSAnimation",value:function(e){var t=this,n=e.from,r=e.to,o=e.duration,i=e.easing,a=e.begin,l=e.onAnimationEnd,u=e.onAnimationStart,c=mo(n,r,oo(i),o,this.changeStyle);this.manager.start([u,a,function(){t.stopJSAnimation=c()},o,l])}},{key:"runStepAnimation",value:function(e){var t=this,n=e.steps,r=e.begin,o=e.onAnimationStart,i=n[0],a=i.style,l=i.duration,u=void 0===l?0:l;return this.manager.start([o].concat(wo(n.reduce(function(e,r,o){if(0===o)return e;var i=r.duration,a=r.easing,l=void 0===a?"ease":a,u=r.style,c=r.properties,s=r.onAnimationEnd,f=o>0?n[o-1]:r,d=c||Object.keys(u);if("function"===typeof l||"spring"===l)return[].concat(wo(e),[t.runJSAnimation.bind(t,{from:f.style,to:u,duration:i,easing:l}),i]);var p=Xr(d,i,l),h=Oo(Oo(Oo({},f.style),u),{},{transition:p});return[].concat(wo(e),[h,i,s]).filter($r)},[a,Math.max(u,r)])),[e.onAnimationEnd]))}},{key:"runAnimation",value:function(e){this.manager||(this.manager=Ur());var t=e.begin,n=e.duration,r=e.attributeName,o=e.to,i=e.easing,a=e.onAnimationStart,l=e.onAnimationEnd,u=e.steps,c=e.children,s=this.manager;if(this.unSubscribe=s.subscribe(this.handleStyleChange),"function"!==typeof i&&"function"!==typeof c&&"spring"!==i)if(u.length>1)this.runStepAnimation(e);else{var f=r?ko({},r,o):o,d=Xr(Object.keys(f),n,i);s.start([a,t,Oo(Oo({},f),{},{transition:d}),n,l])}else this.runJSAnimation(e)}},{key:"render",value:function(){var e=this.props,n=e.children,r=(e.begin,e.duration),o=(e.attributeName,e.easing,e.isActive),i=(e.steps,e.from,e.to,e.canBegin,e.onAnimationEnd,e.shouldReAnimate,e.onAnimationReStart,xo(e,bo)),a=t.Children.count(n),l=this.state.style;if("function"===typeof n)return n(l);if(!o||0===a||r<=0)return n;var u=function(e){var n=e.props,r=n.style,o=void 0===r?{}:r,a=n.className;return(0,t.cloneElement)(e,Oo(Oo({},i),{},{style:Oo(Oo({},o),l),className:a}))};return 1===a?u(t.Children.only(n)):t.createElement("div",null,t.Children.map(n,function(e){return u(e)}))}}])&&Po(n.prototype,r),o&&Po(n,o),Object.defineProperty(n,"prototype",{writable:!1}),a}(t.PureComponent);No.displayName="Animate",No.defaultProps={begin:0,duration:1e3,from:"",to:"",attributeName:"",easing:"ease",isActive:!0,canBegin:!0,steps:[],onAnimationEnd:function(){},onAnimationStart:function(){}},No.propTypes={from:ir().oneOfType([ir().object,ir().string]),to:ir().oneOfType([ir().object,ir().string]),attributeName:ir().string,duration:ir().number,begin:ir().number,easing:ir().oneOfType([ir().string,ir().func]),steps:ir().arrayOf(ir().shape({duration:ir().number.isRequired,style:ir().object.isRequired,easing:ir().oneOfType([ir().oneOf(["ease","ease-in","ease-out","ease-in-out","linear"]),ir().func]),properties:ir().arrayOf("string"),onAnimationEnd:ir().func})),children:ir().oneOfType([ir().node,ir().func]),isActive:ir().bool,canBegin:ir().bool,onAnimationEnd:ir().func,shouldReAnimate:ir().bool,onAnimationStart:ir().func,onAnimationReStart:ir().func};const Do=No;function Io(e){return Io="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Io(e)}function zo(){return zo=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},zo.apply(this,arguments)}function Bo(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Ro(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Ro(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Ro(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Fo(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Lo(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Fo(Object(n),!0).forEach(function(t){Uo(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Fo(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Uo(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Io(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Io(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Io(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var Wo=function(e,t,n,r,o){var i,a=Math.min(Math.abs(n)/2,Math.abs(r)/2),l=r>=0?1:-1,u=n>=0?1:-1,c=r>=0&&n>=0||r<0&&n<0?1:0;if(a>0&&o instanceof Array){for(var s=[0,0,0,0],f=0;f<4;f++)s[f]=o[f]>a?a:o[f];i="M".concat(e,",").concat(t+l*s[0]),s[0]>0&&(i+="A ".concat(s[0],",").concat(s[0],",0,0,").concat(c,",").concat(e+u*s[0],",").concat(t)),i+="L ".concat(e+n-u*s[1],",").concat(t),s[1]>0&&(i+="A ".concat(s[1],",").concat(s[1],",0,0,").concat(c,",\n        ").concat(e+n,",").concat(t+l*s[1])),i+="L ".concat(e+n,",").concat(t+r-l*s[2]),s[2]>0&&(i+="A ".concat(s[2],",").concat(s[2],",0,0,").concat(c,",\n        ").concat(e+n-u*s[2],",").concat(t+r)),i+="L ".concat(e+u*s[3],",").concat(t+r),s[3]>0&&(i+="A ".concat(s[3],",").concat(s[3],",0,0,").concat(c,",\n        ").concat(e,",").concat(t+r-l*s[3])),i+="Z"}else if(a>0&&o===+o&&o>0){var d=Math.min(a,o);i="M ".concat(e,",").concat(t+l*d,"\n            A ").concat(d,",").concat(d,",0,0,").concat(c,",").concat(e+u*d,",").concat(t,"\n            L ").concat(e+n-u*d,",").concat(t,"\n            A ").concat(d,",").concat(d,",0,0,").concat(c,",").concat(e+n,",").concat(t+l*d,"\n            L ").concat(e+n,",").concat(t+r-l*d,"\n            A ").concat(d,",").concat(d,",0,0,").concat(c,",").concat(e+n-u*d,",").concat(t+r,"\n            L ").concat(e+u*d,",").concat(t+r,"\n            A ").concat(d,",").concat(d,",0,0,").concat(c,",").concat(e,",").concat(t+r-l*d," Z")}else i="M ".concat(e,",").concat(t," h ").concat(n," v ").concat(r," h ").concat(-n," Z");return i},Ho=function(e,t){if(!e||!t)return!1;var n=e.x,r=e.y,o=t.x,i=t.y,a=t.width,l=t.height;if(Math.abs(a)>0&&Math.abs(l)>0){var u=Math.min(o,o+a),c=Math.max(o,o+a),s=Math.min(i,i+l),f=Math.max(i,i+l);return n>=u&&n<=c&&r>=s&&r<=f}return!1},Vo={x:0,y:0,width:0,height:0,radius:0,isAnimationActive:!1,isUpdateAnimationActive:!1,animationBegin:0,animationDuration:1500,animationEasing:"ease"},qo=function(e){var n=Lo(Lo({},Vo),e),r=(0,t.useRef)(),o=Bo((0,t.useState)(-1),2),i=o[0],a=o[1];(0,t.useEffect)(function(){if(r.current&&r.current.getTotalLength)try{var e=r.current.getTotalLength();e&&a(e)}catch(t){}},[]);var l=n.x,u=n.y,c=n.width,s=n.height,f=n.radius,d=n.className,p=n.animationEasing,y=n.animationDuration,v=n.animationBegin,m=n.isAnimationActive,g=n.isUpdateAnimationActive;if(l!==+l||u!==+u||c!==+c||s!==+s||0===c||0===s)return null;var b=h("recharts-rectangle",d);return g?t.createElement(Do,{canBegin:i>0,from:{width:c,height:s,x:l,y:u},to:{width:c,height:s,x:l,y:u},duration:y,animationEasing:p,isActive:g},function(e){var o=e.width,a=e.height,l=e.x,u=e.y;return t.createElement(Do,{canBegin:i>0,from:"0px ".concat(-1===i?1:i,"px"),to:"".concat(i,"px 0px"),attributeName:"strokeDasharray",begin:v,duration:y,isActive:m,easing:p},t.createElement("path",zo({},pe(n,!0),{className:b,d:Wo(l,u,o,a,f),ref:r})))}):t.createElement("path",zo({},pe(n,!0),{className:b,d:Wo(l,u,c,s,f)}))};function $o(e,t){switch(arguments.length){case 0:break;case 1:this.range(e);break;default:this.range(t).domain(e)}return this}function Ko(e,t){switch(arguments.length){case 0:break;case 1:"function"===typeof e?this.interpolator(e):this.range(e);break;default:this.domain(e),"function"===typeof t?this.interpolator(t):this.range(t)}return this}class Xo extends Map{constructor(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:Zo;if(super(),Object.defineProperties(this,{_intern:{value:new Map},_key:{value:t}}),null!=e)for(const[n,r]of e)this.set(n,r)}get(e){return super.get(Go(this,e))}has(e){return super.has(Go(this,e))}set(e,t){return super.set(Yo(this,e),t)}delete(e){return super.delete(Qo(this,e))}}Set;function Go(e,t){let{_intern:n,_key:r}=e;const o=r(t);return n.has(o)?n.get(o):t}function Yo(e,t){let{_intern:n,_key:r}=e;const o=r(t);return n.has(o)?n.get(o):(n.set(o,t),t)}function Qo(e,t){let{_intern:n,_key:r}=e;const o=r(t);return n.has(o)&&(t=n.get(o),n.delete(o)),t}function Zo(e){return null!==e&&"object"===typeof e?e.valueOf():e}const Jo=Symbol("implicit");function ei(){var e=new Xo,t=[],n=[],r=Jo;function o(o){let i=e.get(o);if(void 0===i){if(r!==Jo)return r;e.set(o,i=t.push(o)-1)}return n[i%n.length]}return o.domain=function(n){if(!arguments.length)return t.slice();t=[],e=new Xo;for(const r of n)e.has(r)||e.set(r,t.push(r)-1);return o},o.range=function(e){return arguments.length?(n=Array.from(e),o):n.slice()},o.unknown=function(e){return arguments.length?(r=e,o):r},o.copy=function(){return ei(t,n).unknown(r)},$o.apply(o,arguments),o}function ti(){var e,t,n=ei().unknown(void 0),r=n.domain,o=n.range,i=0,a=1,l=!1,u=0,c=0,s=.5;function f(){var n=r().length,f=a<i,d=f?a:i,p=f?i:a;e=(p-d)/Math.max(1,n-u+2*c),l&&(e=Math.floor(e)),d+=(p-d-e*(n-u))*s,t=e*(1-u),l&&(d=Math.round(d),t=Math.round(t));var h=function(e,t,n){e=+e,t=+t,n=(o=arguments.length)<2?(t=e,e=0,1):o<3?1:+n;for(var r=-1,o=0|Math.max(0,Math.ceil((t-e)/n)),i=new Array(o);++r<o;)i[r]=e+r*n;return i}(n).map(function(t){return d+e*t});return o(f?h.reverse():h)}return delete n.unknown,n.domain=function(e){return arguments.length?(r(e),f()):r()},n.range=function(e){return arguments.length?([i,a]=e,i=+i,a=+a,f()):[i,a]},n.rangeRound=function(e){return[i,a]=e,i=+i,a=+a,l=!0,f()},n.bandwidth=function(){return t},n.step=function(){return e},n.round=function(e){return arguments.length?(l=!!e,f()):l},n.padding=function(e){return arguments.length?(u=Math.min(1,c=+e),f()):u},n.paddingInner=function(e){return arguments.length?(u=Math.min(1,e),f()):u},n.paddingOuter=function(e){return arguments.length?(c=+e,f()):c},n.align=function(e){return arguments.length?(s=Math.max(0,Math.min(1,e)),f()):s},n.copy=function(){return ti(r(),[i,a]).round(l).paddingInner(u).paddingOuter(c).align(s)},$o.apply(f(),arguments)}function ni(e){var t=e.copy;return e.padding=e.paddingOuter,delete e.paddingInner,delete e.paddingOuter,e.copy=function(){return ni(t())},e}function ri(){return ni(ti.apply(null,arguments).paddingInner(1))}function oi(e){return oi="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},oi(e)}function ii(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function ai(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?ii(Object(n),!0).forEach(function(t){li(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):ii(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function li(e,t,n){return t=function(e){var t=function(e,t){if("object"!=oi(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=oi(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==oi(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var ui={widthCache:{},cacheCount:0},ci={position:"absolute",top:"-20000px",left:0,padding:0,margin:0,border:"none",whiteSpace:"pre"},si="recharts_measurement_span";var fi=function(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};if(void 0===e||null===e||st.isSsr)return{width:0,height:0};var n=function(e){var t=ai({},e);return Object.keys(t).forEach(function(e){t[e]||delete t[e]}),t}(t),r=JSON.stringify({text:e,copyStyle:n});if(ui.widthCache[r])return ui.widthCache[r];try{var o=document.getElementById(si);o||((o=document.createElement("span")).setAttribute("id",si),o.setAttribute("aria-hidden","true"),document.body.appendChild(o));var i=ai(ai({},ci),n);Object.assign(o.style,i),o.textContent="".concat(e);var a=o.getBoundingClientRect(),l={width:a.width,height:a.height};return ui.widthCache[r]=l,++ui.cacheCount>2e3&&(ui.cacheCount=0,ui.widthCache={}),l}catch(u){return{width:0,height:0}}};function di(e){return di="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},di(e)}function pi(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return hi(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return hi(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function hi(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function yi(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,vi(r.key),r)}}function vi(e){var t=function(e,t){if("object"!=di(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=di(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==di(t)?t:t+""}var mi=/(-?\d+(?:\.\d+)?[a-zA-Z%]*)([*/])(-?\d+(?:\.\d+)?[a-zA-Z%]*)/,gi=/(-?\d+(?:\.\d+)?[a-zA-Z%]*)([+-])(-?\d+(?:\.\d+)?[a-zA-Z%]*)/,bi=/^px|cm|vh|vw|em|rem|%|mm|in|pt|pc|ex|ch|vmin|vmax|Q$/,xi=/(-?\d+(?:\.\d+)?)([a-zA-Z%]+)?/,wi={cm:96/2.54,mm:96/25.4,pt:96/72,pc:16,in:96,Q:96/101.6,px:1},ji=Object.keys(wi),Si="NaN";var Oi=function(){function e(t,n){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this.num=t,this.unit=n,this.num=t,this.unit=n,Number.isNaN(t)&&(this.unit=""),""===n||bi.test(n)||(this.num=NaN,this.unit=""),ji.includes(n)&&(this.num=function(e,t){return e*wi[t]}(t,n),this.unit="px")}return t=e,r=[{key:"parse",value:function(t){var n,r=pi(null!==(n=xi.exec(t))&&void 0!==n?n:[],3),o=r[1],i=r[2];return new e(parseFloat(o),null!==i&&void 0!==i?i:"")}}],(n=[{key:"add",value:function(t){return this.unit!==t.unit?new e(NaN,""):new e(this.num+t.num,this.unit)}},{key:"subtract",value:function(t){return this.unit!==t.unit?new e(NaN,""):new e(this.num-t.num,this.unit)}},{key:"multiply",value:function(t){return""!==this.unit&&""!==t.unit&&this.unit!==t.unit?new e(NaN,""):new e(this.num*t.num,this.unit||t.unit)}},{key:"divide",value:function(t){return""!==this.unit&&""!==t.unit&&this.unit!==t.unit?new e(NaN,""):new e(this.num/t.num,this.unit||t.unit)}},{key:"toString",value:function(){return"".concat(this.num).concat(this.unit)}},{key:"isNaN",value:function(){return Number.isNaN(this.num)}}])&&yi(t.prototype,n),r&&yi(t,r),Object.defineProperty(t,"prototype",{writable:!1}),t;var t,n,r}();function ki(e){if(e.includes(Si))return Si;for(var t=e;t.includes("*")||t.includes("/");){var n,r=pi(null!==(n=mi.exec(t))&&void 0!==n?n:[],4),o=r[1],i=r[2],a=r[3],l=Oi.parse(null!==o&&void 0!==o?o:""),u=Oi.parse(null!==a&&void 0!==a?a:""),c="*"===i?l.multiply(u):l.divide(u);if(c.isNaN())return Si;t=t.replace(mi,c.toString())}for(;t.includes("+")||/.-\d+(?:\.\d+)?/.test(t);){var s,f=pi(null!==(s=gi.exec(t))&&void 0!==s?s:[],4),d=f[1],p=f[2],h=f[3],y=Oi.parse(null!==d&&void 0!==d?d:""),v=Oi.parse(null!==h&&void 0!==h?h:""),m="+"===p?y.add(v):y.subtract(v);if(m.isNaN())return Si;t=t.replace(gi,m.toString())}return t}var Pi=/\(([^()]*)\)/;function Ei(e){var t=e.replace(/\s+/g,"");return t=function(e){for(var t=e;t.includes("(");){var n=pi(Pi.exec(t),2)[1];t=t.replace(Pi,ki(n))}return t}(t),t=ki(t)}function _i(e){var t=function(e){try{return Ei(e)}catch(t){return Si}}(e.slice(5,-1));return t===Si?"":t}var Ai=["x","y","lineHeight","capHeight","scaleToFit","textAnchor","verticalAnchor","fill"],Ci=["dx","dy","angle","className","breakAll"];function Ti(){return Ti=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Ti.apply(this,arguments)}function Mi(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Ni(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Di(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Di(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Di(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var Ii=/[ \f\n\r\t\v\u2028\u2029]+/,zi=function(e){var t=e.children,n=e.breakAll,r=e.style;try{var o=[];return P()(t)||(o=n?t.toString().split(""):t.toString().split(Ii)),{wordsWithComputedWidth:o.map(function(e){return{word:e,width:fi(e,r).width}}),spaceWidth:n?0:fi("\xa0",r).width}}catch(i){return null}},Bi=function(e){return[{words:P()(e)?[]:e.toString().split(Ii)}]},Ri=function(e){var t=e.width,n=e.scaleToFit,r=e.children,o=e.style,i=e.breakAll,a=e.maxLines;if((t||n)&&!st.isSsr){var l=zi({breakAll:i,children:r,style:o});return l?function(e,t,n,r,o){var i=e.maxLines,a=e.children,l=e.style,u=e.breakAll,c=A(i),s=a,f=function(){return(arguments.length>0&&void 0!==arguments[0]?arguments[0]:[]).reduce(function(e,t){var i=t.word,a=t.width,l=e[e.length-1];if(l&&(null==r||o||l.width+a+n<Number(r)))l.words.push(i),l.width+=a+n;else{var u={words:[i],width:a};e.push(u)}return e},[])},d=f(t);if(!c)return d;for(var p,h=function(e){var t=s.slice(0,e),n=zi({breakAll:u,style:l,children:t+"\u2026"}).wordsWithComputedWidth,o=f(n),a=o.length>i||function(e){return e.reduce(function(e,t){return e.width>t.width?e:t})}(o).width>Number(r);return[a,o]},y=0,v=s.length-1,m=0;y<=v&&m<=s.length-1;){var g=Math.floor((y+v)/2),b=Ni(h(g-1),2),x=b[0],w=b[1],j=Ni(h(g),1)[0];if(x||j||(y=g+1),x&&j&&(v=g-1),!x&&j){p=w;break}m++}return p||d}({breakAll:i,children:r,maxLines:a,style:o},l.wordsWithComputedWidth,l.spaceWidth,t,n):Bi(r)}return Bi(r)},Fi="#808080",Li=function(e){var n=e.x,r=void 0===n?0:n,o=e.y,i=void 0===o?0:o,a=e.lineHeight,l=void 0===a?"1em":a,u=e.capHeight,c=void 0===u?"0.71em":u,s=e.scaleToFit,f=void 0!==s&&s,d=e.textAnchor,p=void 0===d?"start":d,y=e.verticalAnchor,v=void 0===y?"end":y,m=e.fill,g=void 0===m?Fi:m,b=Mi(e,Ai),x=(0,t.useMemo)(function(){return Ri({breakAll:b.breakAll,children:b.children,maxLines:b.maxLines,scaleToFit:f,style:b.style,width:b.width})},[b.breakAll,b.children,b.maxLines,f,b.style,b.width]),w=b.dx,j=b.dy,S=b.angle,O=b.className,k=b.breakAll,P=Mi(b,Ci);if(!C(r)||!C(i))return null;var E,_=r+(A(w)?w:0),T=i+(A(j)?j:0);switch(v){case"start":E=_i("calc(".concat(c,")"));break;case"middle":E=_i("calc(".concat((x.length-1)/2," * -").concat(l," + (").concat(c," / 2))"));break;default:E=_i("calc(".concat(x.length-1," * -").concat(l,")"))}var M=[];if(f){var N=x[0].width,D=b.width;M.push("scale(".concat((A(D)?D/N:1)/N,")"))}return S&&M.push("rotate(".concat(S,", ").concat(_,", ").concat(T,")")),M.length&&(P.transform=M.join(" ")),t.createElement("text",Ti({},pe(P,!0),{x:_,y:T,className:h("recharts-text",O),textAnchor:p,fill:g.includes("url")?Fi:g}),x.map(function(e,n){var r=e.words.join(k?"":" ");return t.createElement("tspan",{x:_,dy:0===n?E:l,key:"".concat(r,"-").concat(n)},r)}))};const Ui=Math.sqrt(50),Wi=Math.sqrt(10),Hi=Math.sqrt(2);function Vi(e,t,n){const r=(t-e)/Math.max(0,n),o=Math.floor(Math.log10(r)),i=r/Math.pow(10,o),a=i>=Ui?10:i>=Wi?5:i>=Hi?2:1;let l,u,c;return o<0?(c=Math.pow(10,-o)/a,l=Math.round(e*c),u=Math.round(t*c),l/c<e&&++l,u/c>t&&--u,c=-c):(c=Math.pow(10,o)*a,l=Math.round(e/c),u=Math.round(t/c),l*c<e&&++l,u*c>t&&--u),u<l&&.5<=n&&n<2?Vi(e,t,2*n):[l,u,c]}function qi(e,t,n){if(!((n=+n)>0))return[];if((e=+e)===(t=+t))return[e];const r=t<e,[o,i,a]=r?Vi(t,e,n):Vi(e,t,n);if(!(i>=o))return[];const l=i-o+1,u=new Array(l);if(r)if(a<0)for(let c=0;c<l;++c)u[c]=(i-c)/-a;else for(let c=0;c<l;++c)u[c]=(i-c)*a;else if(a<0)for(let c=0;c<l;++c)u[c]=(o+c)/-a;else for(let c=0;c<l;++c)u[c]=(o+c)*a;return u}function $i(e,t,n){return Vi(e=+e,t=+t,n=+n)[2]}function Ki(e,t,n){n=+n;const r=(t=+t)<(e=+e),o=r?$i(t,e,n):$i(e,t,n);return(r?-1:1)*(o<0?1/-o:o)}function Xi(e,t){return null==e||null==t?NaN:e<t?-1:e>t?1:e>=t?0:NaN}function Gi(e,t){return null==e||null==t?NaN:t<e?-1:t>e?1:t>=e?0:NaN}function Yi(e){let t,n,r;function o(e,r){let o=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:e.length;if(o<i){if(0!==t(r,r))return i;do{const t=o+i>>>1;n(e[t],r)<0?o=t+1:i=t}while(o<i)}return o}return 2!==e.length?(t=Xi,n=(t,n)=>Xi(e(t),n),r=(t,n)=>e(t)-n):(t=e===Xi||e===Gi?e:Qi,n=e,r=e),{left:o,center:function(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0;const i=o(e,t,n,(arguments.length>3&&void 0!==arguments[3]?arguments[3]:e.length)-1);return i>n&&r(e[i-1],t)>-r(e[i],t)?i-1:i},right:function(e,r){let o=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:e.length;if(o<i){if(0!==t(r,r))return i;do{const t=o+i>>>1;n(e[t],r)<=0?o=t+1:i=t}while(o<i)}return o}}}function Qi(){return 0}function Zi(e){return null===e?NaN:+e}const Ji=Yi(Xi),ea=Ji.right,ta=(Ji.left,Yi(Zi).center,ea);function na(e,t,n){e.prototype=t.prototype=n,n.constructor=e}function ra(e,t){var n=Object.create(e.prototype);for(var r in t)n[r]=t[r];return n}function oa(){}var ia=.7,aa=1/ia,la="\\s*([+-]?\\d+)\\s*",ua="\\s*([+-]?(?:\\d*\\.)?\\d+(?:[eE][+-]?\\d+)?)\\s*",ca="\\s*([+-]?(?:\\d*\\.)?\\d+(?:[eE][+-]?\\d+)?)%\\s*",sa=/^#([0-9a-f]{3,8})$/,fa=new RegExp("^rgb\\(".concat(la,",").concat(la,",").concat(la,"\\)$")),da=new RegExp("^rgb\\(".concat(ca,",").concat(ca,",").concat(ca,"\\)$")),pa=new RegExp("^rgba\\(".concat(la,",").concat(la,",").concat(la,",").concat(ua,"\\)$")),ha=new RegExp("^rgba\\(".concat(ca,",").concat(ca,",").concat(ca,",").concat(ua,"\\)$")),ya=new RegExp("^hsl\\(".concat(ua,",").concat(ca,",").concat(ca,"\\)$")),va=new RegExp("^hsla\\(".concat(ua,",").concat(ca,",").concat(ca,",").concat(ua,"\\)$")),ma={aliceblue:15792383,antiquewhite:16444375,aqua:65535,aquamarine:8388564,azure:15794175,beige:16119260,bisque:16770244,black:0,blanchedalmond:16772045,blue:255,blueviolet:9055202,brown:10824234,burlywood:14596231,cadetblue:6266528,chartreuse:8388352,chocolate:13789470,coral:16744272,cornflowerblue:6591981,cornsilk:16775388,crimson:14423100,cyan:65535,darkblue:139,darkcyan:35723,darkgoldenrod:12092939,darkgray:11119017,darkgreen:25600,darkgrey:11119017,darkkhaki:12433259,darkmagenta:9109643,darkolivegreen:5597999,darkorange:16747520,darkorchid:10040012,darkred:9109504,darksalmon:15308410,darkseagreen:9419919,darkslateblue:4734347,darkslategray:3100495,darkslategrey:3100495,darkturquoise:52945,darkviolet:9699539,deeppink:16716947,deepskyblue:49151,dimgray:6908265,dimgrey:6908265,dodgerblue:2003199,firebrick:11674146,floralwhite:16775920,forestgreen:2263842,fuchsia:16711935,gainsboro:14474460,ghostwhite:16316671,gold:16766720,goldenrod:14329120,gray:8421504,green:32768,greenyellow:11403055,grey:8421504,honeydew:15794160,hotpink:16738740,indianred:13458524,indigo:4915330,ivory:16777200,khaki:15787660,lavender:15132410,lavenderblush:16773365,lawngreen:8190976,lemonchiffon:16775885,lightblue:11393254,lightcoral:15761536,lightcyan:14745599,lightgoldenrodyellow:16448210,lightgray:13882323,lightgreen:9498256,lightgrey:13882323,lightpink:16758465,lightsalmon:16752762,lightseagreen:2142890,lightskyblue:8900346,lightslategray:7833753,lightslategrey:7833753,lightsteelblue:11584734,lightyellow:16777184,lime:65280,limegreen:3329330,linen:16445670,magenta:16711935,maroon:8388608,mediumaquamarine:6737322,mediumblue:205,mediumorchid:12211667,mediumpurple:9662683,mediumseagreen:3978097,mediumslateblue:8087790,mediumspringgreen:64154,mediumturquoise:4772300,mediumvioletred:13047173,midnightblue:1644912,mintcream:16121850,mistyrose:16770273,moccasin:16770229,navajowhite:16768685,navy:128,oldlace:16643558,olive:8421376,olivedrab:7048739,orange:16753920,orangered:16729344,orchid:14315734,palegoldenrod:15657130,palegreen:10025880,paleturquoise:11529966,palevioletred:14381203,papayawhip:16773077,peachpuff:16767673,peru:13468991,pink:16761035,plum:14524637,powderblue:11591910,purple:8388736,rebeccapurple:6697881,red:16711680,rosybrown:12357519,royalblue:4286945,saddlebrown:9127187,salmon:16416882,sandybrown:16032864,seagreen:3050327,seashell:16774638,sienna:10506797,silver:12632256,skyblue:8900331,slateblue:6970061,slategray:7372944,slategrey:7372944,snow:16775930,springgreen:65407,steelblue:4620980,tan:13808780,teal:32896,thistle:14204888,tomato:16737095,turquoise:4251856,violet:15631086,wheat:16113331,white:16777215,whitesmoke:16119285,yellow:16776960,yellowgreen:10145074};function ga(){return this.rgb().formatHex()}function ba(){return this.rgb().formatRgb()}function xa(e){var t,n;return e=(e+"").trim().toLowerCase(),(t=sa.exec(e))?(n=t[1].length,t=parseInt(t[1],16),6===n?wa(t):3===n?new Oa(t>>8&15|t>>4&240,t>>4&15|240&t,(15&t)<<4|15&t,1):8===n?ja(t>>24&255,t>>16&255,t>>8&255,(255&t)/255):4===n?ja(t>>12&15|t>>8&240,t>>8&15|t>>4&240,t>>4&15|240&t,((15&t)<<4|15&t)/255):null):(t=fa.exec(e))?new Oa(t[1],t[2],t[3],1):(t=da.exec(e))?new Oa(255*t[1]/100,255*t[2]/100,255*t[3]/100,1):(t=pa.exec(e))?ja(t[1],t[2],t[3],t[4]):(t=ha.exec(e))?ja(255*t[1]/100,255*t[2]/100,255*t[3]/100,t[4]):(t=ya.exec(e))?Ca(t[1],t[2]/100,t[3]/100,1):(t=va.exec(e))?Ca(t[1],t[2]/100,t[3]/100,t[4]):ma.hasOwnProperty(e)?wa(ma[e]):"transparent"===e?new Oa(NaN,NaN,NaN,0):null}function wa(e){return new Oa(e>>16&255,e>>8&255,255&e,1)}function ja(e,t,n,r){return r<=0&&(e=t=n=NaN),new Oa(e,t,n,r)}function Sa(e,t,n,r){return 1===arguments.length?((o=e)instanceof oa||(o=xa(o)),o?new Oa((o=o.rgb()).r,o.g,o.b,o.opacity):new Oa):new Oa(e,t,n,null==r?1:r);var o}function Oa(e,t,n,r){this.r=+e,this.g=+t,this.b=+n,this.opacity=+r}function ka(){return"#".concat(Aa(this.r)).concat(Aa(this.g)).concat(Aa(this.b))}function Pa(){const e=Ea(this.opacity);return"".concat(1===e?"rgb(":"rgba(").concat(_a(this.r),", ").concat(_a(this.g),", ").concat(_a(this.b)).concat(1===e?")":", ".concat(e,")"))}function Ea(e){return isNaN(e)?1:Math.max(0,Math.min(1,e))}function _a(e){return Math.max(0,Math.min(255,Math.round(e)||0))}function Aa(e){return((e=_a(e))<16?"0":"")+e.toString(16)}function Ca(e,t,n,r){return r<=0?e=t=n=NaN:n<=0||n>=1?e=t=NaN:t<=0&&(e=NaN),new Ma(e,t,n,r)}function Ta(e){if(e instanceof Ma)return new Ma(e.h,e.s,e.l,e.opacity);if(e instanceof oa||(e=xa(e)),!e)return new Ma;if(e instanceof Ma)return e;var t=(e=e.rgb()).r/255,n=e.g/255,r=e.b/255,o=Math.min(t,n,r),i=Math.max(t,n,r),a=NaN,l=i-o,u=(i+o)/2;return l?(a=t===i?(n-r)/l+6*(n<r):n===i?(r-t)/l+2:(t-n)/l+4,l/=u<.5?i+o:2-i-o,a*=60):l=u>0&&u<1?0:a,new Ma(a,l,u,e.opacity)}function Ma(e,t,n,r){this.h=+e,this.s=+t,this.l=+n,this.opacity=+r}function Na(e){return(e=(e||0)%360)<0?e+360:e}function Da(e){return Math.max(0,Math.min(1,e||0))}function Ia(e,t,n){return 255*(e<60?t+(n-t)*e/60:e<180?n:e<240?t+(n-t)*(240-e)/60:t)}function za(e,t,n,r,o){var i=e*e,a=i*e;return((1-3*e+3*i-a)*t+(4-6*i+3*a)*n+(1+3*e+3*i-3*a)*r+a*o)/6}na(oa,xa,{copy(e){return Object.assign(new this.constructor,this,e)},displayable(){return this.rgb().displayable()},hex:ga,formatHex:ga,formatHex8:function(){return this.rgb().formatHex8()},formatHsl:function(){return Ta(this).formatHsl()},formatRgb:ba,toString:ba}),na(Oa,Sa,ra(oa,{brighter(e){return e=null==e?aa:Math.pow(aa,e),new Oa(this.r*e,this.g*e,this.b*e,this.opacity)},darker(e){return e=null==e?ia:Math.pow(ia,e),new Oa(this.r*e,this.g*e,this.b*e,this.opacity)},rgb(){return this},clamp(){return new Oa(_a(this.r),_a(this.g),_a(this.b),Ea(this.opacity))},displayable(){return-.5<=this.r&&this.r<255.5&&-.5<=this.g&&this.g<255.5&&-.5<=this.b&&this.b<255.5&&0<=this.opacity&&this.opacity<=1},hex:ka,formatHex:ka,formatHex8:function(){return"#".concat(Aa(this.r)).concat(Aa(this.g)).concat(Aa(this.b)).concat(Aa(255*(isNaN(this.opacity)?1:this.opacity)))},formatRgb:Pa,toString:Pa})),na(Ma,function(e,t,n,r){return 1===arguments.length?Ta(e):new Ma(e,t,n,null==r?1:r)},ra(oa,{brighter(e){return e=null==e?aa:Math.pow(aa,e),new Ma(this.h,this.s,this.l*e,this.opacity)},darker(e){return e=null==e?ia:Math.pow(ia,e),new Ma(this.h,this.s,this.l*e,this.opacity)},rgb(){var e=this.h%360+360*(this.h<0),t=isNaN(e)||isNaN(this.s)?0:this.s,n=this.l,r=n+(n<.5?n:1-n)*t,o=2*n-r;return new Oa(Ia(e>=240?e-240:e+120,o,r),Ia(e,o,r),Ia(e<120?e+240:e-120,o,r),this.opacity)},clamp(){return new Ma(Na(this.h),Da(this.s),Da(this.l),Ea(this.opacity))},displayable(){return(0<=this.s&&this.s<=1||isNaN(this.s))&&0<=this.l&&this.l<=1&&0<=this.opacity&&this.opacity<=1},formatHsl(){const e=Ea(this.opacity);return"".concat(1===e?"hsl(":"hsla(").concat(Na(this.h),", ").concat(100*Da(this.s),"%, ").concat(100*Da(this.l),"%").concat(1===e?")":", ".concat(e,")"))}}));const Ba=e=>()=>e;function Ra(e,t){return function(n){return e+n*t}}function Fa(e){return 1===(e=+e)?La:function(t,n){return n-t?function(e,t,n){return e=Math.pow(e,n),t=Math.pow(t,n)-e,n=1/n,function(r){return Math.pow(e+r*t,n)}}(t,n,e):Ba(isNaN(t)?n:t)}}function La(e,t){var n=t-e;return n?Ra(e,n):Ba(isNaN(e)?t:e)}const Ua=function e(t){var n=Fa(t);function r(e,t){var r=n((e=Sa(e)).r,(t=Sa(t)).r),o=n(e.g,t.g),i=n(e.b,t.b),a=La(e.opacity,t.opacity);return function(t){return e.r=r(t),e.g=o(t),e.b=i(t),e.opacity=a(t),e+""}}return r.gamma=e,r}(1);function Wa(e){return function(t){var n,r,o=t.length,i=new Array(o),a=new Array(o),l=new Array(o);for(n=0;n<o;++n)r=Sa(t[n]),i[n]=r.r||0,a[n]=r.g||0,l[n]=r.b||0;return i=e(i),a=e(a),l=e(l),r.opacity=1,function(e){return r.r=i(e),r.g=a(e),r.b=l(e),r+""}}}Wa(function(e){var t=e.length-1;return function(n){var r=n<=0?n=0:n>=1?(n=1,t-1):Math.floor(n*t),o=e[r],i=e[r+1],a=r>0?e[r-1]:2*o-i,l=r<t-1?e[r+2]:2*i-o;return za((n-r/t)*t,a,o,i,l)}}),Wa(function(e){var t=e.length;return function(n){var r=Math.floor(((n%=1)<0?++n:n)*t),o=e[(r+t-1)%t],i=e[r%t],a=e[(r+1)%t],l=e[(r+2)%t];return za((n-r/t)*t,o,i,a,l)}});function Ha(e,t){var n,r=t?t.length:0,o=e?Math.min(r,e.length):0,i=new Array(o),a=new Array(r);for(n=0;n<o;++n)i[n]=Qa(e[n],t[n]);for(;n<r;++n)a[n]=t[n];return function(e){for(n=0;n<o;++n)a[n]=i[n](e);return a}}function Va(e,t){var n=new Date;return e=+e,t=+t,function(r){return n.setTime(e*(1-r)+t*r),n}}function qa(e,t){return e=+e,t=+t,function(n){return e*(1-n)+t*n}}function $a(e,t){var n,r={},o={};for(n in null!==e&&"object"===typeof e||(e={}),null!==t&&"object"===typeof t||(t={}),t)n in e?r[n]=Qa(e[n],t[n]):o[n]=t[n];return function(e){for(n in r)o[n]=r[n](e);return o}}var Ka=/[-+]?(?:\d+\.?\d*|\.?\d+)(?:[eE][-+]?\d+)?/g,Xa=new RegExp(Ka.source,"g");function Ga(e,t){var n,r,o,i=Ka.lastIndex=Xa.lastIndex=0,a=-1,l=[],u=[];for(e+="",t+="";(n=Ka.exec(e))&&(r=Xa.exec(t));)(o=r.index)>i&&(o=t.slice(i,o),l[a]?l[a]+=o:l[++a]=o),(n=n[0])===(r=r[0])?l[a]?l[a]+=r:l[++a]=r:(l[++a]=null,u.push({i:a,x:qa(n,r)})),i=Xa.lastIndex;return i<t.length&&(o=t.slice(i),l[a]?l[a]+=o:l[++a]=o),l.length<2?u[0]?function(e){return function(t){return e(t)+""}}(u[0].x):function(e){return function(){return e}}(t):(t=u.length,function(e){for(var n,r=0;r<t;++r)l[(n=u[r]).i]=n.x(e);return l.join("")})}function Ya(e,t){t||(t=[]);var n,r=e?Math.min(t.length,e.length):0,o=t.slice();return function(i){for(n=0;n<r;++n)o[n]=e[n]*(1-i)+t[n]*i;return o}}function Qa(e,t){var n,r,o=typeof t;return null==t||"boolean"===o?Ba(t):("number"===o?qa:"string"===o?(n=xa(t))?(t=n,Ua):Ga:t instanceof xa?Ua:t instanceof Date?Va:(r=t,!ArrayBuffer.isView(r)||r instanceof DataView?Array.isArray(t)?Ha:"function"!==typeof t.valueOf&&"function"!==typeof t.toString||isNaN(t)?$a:qa:Ya))(e,t)}function Za(e,t){return e=+e,t=+t,function(n){return Math.round(e*(1-n)+t*n)}}function Ja(e){return+e}var el=[0,1];function tl(e){return e}function nl(e,t){return(t-=e=+e)?function(n){return(n-e)/t}:(n=isNaN(t)?NaN:.5,function(){return n});var n}function rl(e,t,n){var r=e[0],o=e[1],i=t[0],a=t[1];return o<r?(r=nl(o,r),i=n(a,i)):(r=nl(r,o),i=n(i,a)),function(e){return i(r(e))}}function ol(e,t,n){var r=Math.min(e.length,t.length)-1,o=new Array(r),i=new Array(r),a=-1;for(e[r]<e[0]&&(e=e.slice().reverse(),t=t.slice().reverse());++a<r;)o[a]=nl(e[a],e[a+1]),i[a]=n(t[a],t[a+1]);return function(t){var n=ta(e,t,1,r)-1;return i[n](o[n](t))}}function il(e,t){return t.domain(e.domain()).range(e.range()).interpolate(e.interpolate()).clamp(e.clamp()).unknown(e.unknown())}function al(){var e,t,n,r,o,i,a=el,l=el,u=Qa,c=tl;function s(){var e=Math.min(a.length,l.length);return c!==tl&&(c=function(e,t){var n;return e>t&&(n=e,e=t,t=n),function(n){return Math.max(e,Math.min(t,n))}}(a[0],a[e-1])),r=e>2?ol:rl,o=i=null,f}function f(t){return null==t||isNaN(t=+t)?n:(o||(o=r(a.map(e),l,u)))(e(c(t)))}return f.invert=function(n){return c(t((i||(i=r(l,a.map(e),qa)))(n)))},f.domain=function(e){return arguments.length?(a=Array.from(e,Ja),s()):a.slice()},f.range=function(e){return arguments.length?(l=Array.from(e),s()):l.slice()},f.rangeRound=function(e){return l=Array.from(e),u=Za,s()},f.clamp=function(e){return arguments.length?(c=!!e||tl,s()):c!==tl},f.interpolate=function(e){return arguments.length?(u=e,s()):u},f.unknown=function(e){return arguments.length?(n=e,f):n},function(n,r){return e=n,t=r,s()}}function ll(){return al()(tl,tl)}var ul,cl=/^(?:(.)?([<>=^]))?([+\-( ])?([$#])?(0)?(\d+)?(,)?(\.\d+)?(~)?([a-z%])?$/i;function sl(e){if(!(t=cl.exec(e)))throw new Error("invalid format: "+e);var t;return new fl({fill:t[1],align:t[2],sign:t[3],symbol:t[4],zero:t[5],width:t[6],comma:t[7],precision:t[8]&&t[8].slice(1),trim:t[9],type:t[10]})}function fl(e){this.fill=void 0===e.fill?" ":e.fill+"",this.align=void 0===e.align?">":e.align+"",this.sign=void 0===e.sign?"-":e.sign+"",this.symbol=void 0===e.symbol?"":e.symbol+"",this.zero=!!e.zero,this.width=void 0===e.width?void 0:+e.width,this.comma=!!e.comma,this.precision=void 0===e.precision?void 0:+e.precision,this.trim=!!e.trim,this.type=void 0===e.type?"":e.type+""}function dl(e,t){if(!isFinite(e)||0===e)return null;var n=(e=t?e.toExponential(t-1):e.toExponential()).indexOf("e"),r=e.slice(0,n);return[r.length>1?r[0]+r.slice(2):r,+e.slice(n+1)]}function pl(e){return(e=dl(Math.abs(e)))?e[1]:NaN}function hl(e,t){var n=dl(e,t);if(!n)return e+"";var r=n[0],o=n[1];return o<0?"0."+new Array(-o).join("0")+r:r.length>o+1?r.slice(0,o+1)+"."+r.slice(o+1):r+new Array(o-r.length+2).join("0")}sl.prototype=fl.prototype,fl.prototype.toString=function(){return this.fill+this.align+this.sign+this.symbol+(this.zero?"0":"")+(void 0===this.width?"":Math.max(1,0|this.width))+(this.comma?",":"")+(void 0===this.precision?"":"."+Math.max(0,0|this.precision))+(this.trim?"~":"")+this.type};const yl={"%":(e,t)=>(100*e).toFixed(t),b:e=>Math.round(e).toString(2),c:e=>e+"",d:function(e){return Math.abs(e=Math.round(e))>=1e21?e.toLocaleString("en").replace(/,/g,""):e.toString(10)},e:(e,t)=>e.toExponential(t),f:(e,t)=>e.toFixed(t),g:(e,t)=>e.toPrecision(t),o:e=>Math.round(e).toString(8),p:(e,t)=>hl(100*e,t),r:hl,s:function(e,t){var n=dl(e,t);if(!n)return ul=void 0,e.toPrecision(t);var r=n[0],o=n[1],i=o-(ul=3*Math.max(-8,Math.min(8,Math.floor(o/3))))+1,a=r.length;return i===a?r:i>a?r+new Array(i-a+1).join("0"):i>0?r.slice(0,i)+"."+r.slice(i):"0."+new Array(1-i).join("0")+dl(e,Math.max(0,t+i-1))[0]},X:e=>Math.round(e).toString(16).toUpperCase(),x:e=>Math.round(e).toString(16)};function vl(e){return e}var ml,gl,bl,xl=Array.prototype.map,wl=["y","z","a","f","p","n","\xb5","m","","k","M","G","T","P","E","Z","Y"];function jl(e){var t,n,r=void 0===e.grouping||void 0===e.thousands?vl:(t=xl.call(e.grouping,Number),n=e.thousands+"",function(e,r){for(var o=e.length,i=[],a=0,l=t[0],u=0;o>0&&l>0&&(u+l+1>r&&(l=Math.max(1,r-u)),i.push(e.substring(o-=l,o+l)),!((u+=l+1)>r));)l=t[a=(a+1)%t.length];return i.reverse().join(n)}),o=void 0===e.currency?"":e.currency[0]+"",i=void 0===e.currency?"":e.currency[1]+"",a=void 0===e.decimal?".":e.decimal+"",l=void 0===e.numerals?vl:function(e){return function(t){return t.replace(/[0-9]/g,function(t){return e[+t]})}}(xl.call(e.numerals,String)),u=void 0===e.percent?"%":e.percent+"",c=void 0===e.minus?"\u2212":e.minus+"",s=void 0===e.nan?"NaN":e.nan+"";function f(e,t){var n=(e=sl(e)).fill,f=e.align,d=e.sign,p=e.symbol,h=e.zero,y=e.width,v=e.comma,m=e.precision,g=e.trim,b=e.type;"n"===b?(v=!0,b="g"):yl[b]||(void 0===m&&(m=12),g=!0,b="g"),(h||"0"===n&&"="===f)&&(h=!0,n="0",f="=");var x=(t&&void 0!==t.prefix?t.prefix:"")+("$"===p?o:"#"===p&&/[boxX]/.test(b)?"0"+b.toLowerCase():""),w=("$"===p?i:/[%p]/.test(b)?u:"")+(t&&void 0!==t.suffix?t.suffix:""),j=yl[b],S=/[defgprs%]/.test(b);function O(e){var t,o,i,u=x,p=w;if("c"===b)p=j(e)+p,e="";else{var O=(e=+e)<0||1/e<0;if(e=isNaN(e)?s:j(Math.abs(e),m),g&&(e=function(e){e:for(var t,n=e.length,r=1,o=-1;r<n;++r)switch(e[r]){case".":o=t=r;break;case"0":0===o&&(o=r),t=r;break;default:if(!+e[r])break e;o>0&&(o=0)}return o>0?e.slice(0,o)+e.slice(t+1):e}(e)),O&&0===+e&&"+"!==d&&(O=!1),u=(O?"("===d?d:c:"-"===d||"("===d?"":d)+u,p=("s"!==b||isNaN(e)||void 0===ul?"":wl[8+ul/3])+p+(O&&"("===d?")":""),S)for(t=-1,o=e.length;++t<o;)if(48>(i=e.charCodeAt(t))||i>57){p=(46===i?a+e.slice(t+1):e.slice(t))+p,e=e.slice(0,t);break}}v&&!h&&(e=r(e,1/0));var k=u.length+e.length+p.length,P=k<y?new Array(y-k+1).join(n):"";switch(v&&h&&(e=r(P+e,P.length?y-p.length:1/0),P=""),f){case"<":e=u+e+p+P;break;case"=":e=u+P+e+p;break;case"^":e=P.slice(0,k=P.length>>1)+u+e+p+P.slice(k);break;default:e=P+u+e+p}return l(e)}return m=void 0===m?6:/[gprs]/.test(b)?Math.max(1,Math.min(21,m)):Math.max(0,Math.min(20,m)),O.toString=function(){return e+""},O}return{format:f,formatPrefix:function(e,t){var n=3*Math.max(-8,Math.min(8,Math.floor(pl(t)/3))),r=Math.pow(10,-n),o=f(((e=sl(e)).type="f",e),{suffix:wl[8+n/3]});return function(e){return o(r*e)}}}}function Sl(e,t,n,r){var o,i=Ki(e,t,n);switch((r=sl(null==r?",f":r)).type){case"s":var a=Math.max(Math.abs(e),Math.abs(t));return null!=r.precision||isNaN(o=function(e,t){return Math.max(0,3*Math.max(-8,Math.min(8,Math.floor(pl(t)/3)))-pl(Math.abs(e)))}(i,a))||(r.precision=o),bl(r,a);case"":case"e":case"g":case"p":case"r":null!=r.precision||isNaN(o=function(e,t){return e=Math.abs(e),t=Math.abs(t)-e,Math.max(0,pl(t)-pl(e))+1}(i,Math.max(Math.abs(e),Math.abs(t))))||(r.precision=o-("e"===r.type));break;case"f":case"%":null!=r.precision||isNaN(o=function(e){return Math.max(0,-pl(Math.abs(e)))}(i))||(r.precision=o-2*("%"===r.type))}return gl(r)}function Ol(e){var t=e.domain;return e.ticks=function(e){var n=t();return qi(n[0],n[n.length-1],null==e?10:e)},e.tickFormat=function(e,n){var r=t();return Sl(r[0],r[r.length-1],null==e?10:e,n)},e.nice=function(n){null==n&&(n=10);var r,o,i=t(),a=0,l=i.length-1,u=i[a],c=i[l],s=10;for(c<u&&(o=u,u=c,c=o,o=a,a=l,l=o);s-- >0;){if((o=$i(u,c,n))===r)return i[a]=u,i[l]=c,t(i);if(o>0)u=Math.floor(u/o)*o,c=Math.ceil(c/o)*o;else{if(!(o<0))break;u=Math.ceil(u*o)/o,c=Math.floor(c*o)/o}r=o}return e},e}function kl(){var e=ll();return e.copy=function(){return il(e,kl())},$o.apply(e,arguments),Ol(e)}function Pl(e){var t;function n(e){return null==e||isNaN(e=+e)?t:e}return n.invert=n,n.domain=n.range=function(t){return arguments.length?(e=Array.from(t,Ja),n):e.slice()},n.unknown=function(e){return arguments.length?(t=e,n):t},n.copy=function(){return Pl(e).unknown(t)},e=arguments.length?Array.from(e,Ja):[0,1],Ol(n)}function El(e,t){var n,r=0,o=(e=e.slice()).length-1,i=e[r],a=e[o];return a<i&&(n=r,r=o,o=n,n=i,i=a,a=n),e[r]=t.floor(i),e[o]=t.ceil(a),e}function _l(e){return Math.log(e)}function Al(e){return Math.exp(e)}function Cl(e){return-Math.log(-e)}function Tl(e){return-Math.exp(-e)}function Ml(e){return isFinite(e)?+("1e"+e):e<0?0:e}function Nl(e){return(t,n)=>-e(-t,n)}function Dl(e){const t=e(_l,Al),n=t.domain;let r,o,i=10;function a(){return r=function(e){return e===Math.E?Math.log:10===e&&Math.log10||2===e&&Math.log2||(e=Math.log(e),t=>Math.log(t)/e)}(i),o=function(e){return 10===e?Ml:e===Math.E?Math.exp:t=>Math.pow(e,t)}(i),n()[0]<0?(r=Nl(r),o=Nl(o),e(Cl,Tl)):e(_l,Al),t}return t.base=function(e){return arguments.length?(i=+e,a()):i},t.domain=function(e){return arguments.length?(n(e),a()):n()},t.ticks=e=>{const t=n();let a=t[0],l=t[t.length-1];const u=l<a;u&&([a,l]=[l,a]);let c,s,f=r(a),d=r(l);const p=null==e?10:+e;let h=[];if(!(i%1)&&d-f<p){if(f=Math.floor(f),d=Math.ceil(d),a>0){for(;f<=d;++f)for(c=1;c<i;++c)if(s=f<0?c/o(-f):c*o(f),!(s<a)){if(s>l)break;h.push(s)}}else for(;f<=d;++f)for(c=i-1;c>=1;--c)if(s=f>0?c/o(-f):c*o(f),!(s<a)){if(s>l)break;h.push(s)}2*h.length<p&&(h=qi(a,l,p))}else h=qi(f,d,Math.min(d-f,p)).map(o);return u?h.reverse():h},t.tickFormat=(e,n)=>{if(null==e&&(e=10),null==n&&(n=10===i?"s":","),"function"!==typeof n&&(i%1||null!=(n=sl(n)).precision||(n.trim=!0),n=gl(n)),e===1/0)return n;const a=Math.max(1,i*e/t.ticks().length);return e=>{let t=e/o(Math.round(r(e)));return t*i<i-.5&&(t*=i),t<=a?n(e):""}},t.nice=()=>n(El(n(),{floor:e=>o(Math.floor(r(e))),ceil:e=>o(Math.ceil(r(e)))})),t}function Il(){const e=Dl(al()).domain([1,10]);return e.copy=()=>il(e,Il()).base(e.base()),$o.apply(e,arguments),e}function zl(e){return function(t){return Math.sign(t)*Math.log1p(Math.abs(t/e))}}function Bl(e){return function(t){return Math.sign(t)*Math.expm1(Math.abs(t))*e}}function Rl(e){var t=1,n=e(zl(t),Bl(t));return n.constant=function(n){return arguments.length?e(zl(t=+n),Bl(t)):t},Ol(n)}function Fl(){var e=Rl(al());return e.copy=function(){return il(e,Fl()).constant(e.constant())},$o.apply(e,arguments)}function Ll(e){return function(t){return t<0?-Math.pow(-t,e):Math.pow(t,e)}}function Ul(e){return e<0?-Math.sqrt(-e):Math.sqrt(e)}function Wl(e){return e<0?-e*e:e*e}function Hl(e){var t=e(tl,tl),n=1;return t.exponent=function(t){return arguments.length?1===(n=+t)?e(tl,tl):.5===n?e(Ul,Wl):e(Ll(n),Ll(1/n)):n},Ol(t)}function Vl(){var e=Hl(al());return e.copy=function(){return il(e,Vl()).exponent(e.exponent())},$o.apply(e,arguments),e}function ql(){return Vl.apply(null,arguments).exponent(.5)}function $l(e){return Math.sign(e)*e*e}function Kl(){var e,t=ll(),n=[0,1],r=!1;function o(n){var o=function(e){return Math.sign(e)*Math.sqrt(Math.abs(e))}(t(n));return isNaN(o)?e:r?Math.round(o):o}return o.invert=function(e){return t.invert($l(e))},o.domain=function(e){return arguments.length?(t.domain(e),o):t.domain()},o.range=function(e){return arguments.length?(t.range((n=Array.from(e,Ja)).map($l)),o):n.slice()},o.rangeRound=function(e){return o.range(e).round(!0)},o.round=function(e){return arguments.length?(r=!!e,o):r},o.clamp=function(e){return arguments.length?(t.clamp(e),o):t.clamp()},o.unknown=function(t){return arguments.length?(e=t,o):e},o.copy=function(){return Kl(t.domain(),n).round(r).clamp(t.clamp()).unknown(e)},$o.apply(o,arguments),Ol(o)}function Xl(e,t){let n;if(void 0===t)for(const r of e)null!=r&&(n<r||void 0===n&&r>=r)&&(n=r);else{let r=-1;for(let o of e)null!=(o=t(o,++r,e))&&(n<o||void 0===n&&o>=o)&&(n=o)}return n}function Gl(e,t){let n;if(void 0===t)for(const r of e)null!=r&&(n>r||void 0===n&&r>=r)&&(n=r);else{let r=-1;for(let o of e)null!=(o=t(o,++r,e))&&(n>o||void 0===n&&o>=o)&&(n=o)}return n}function Yl(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:Xi;if(e===Xi)return Ql;if("function"!==typeof e)throw new TypeError("compare is not a function");return(t,n)=>{const r=e(t,n);return r||0===r?r:(0===e(n,n))-(0===e(t,t))}}function Ql(e,t){return(null==e||!(e>=e))-(null==t||!(t>=t))||(e<t?-1:e>t?1:0)}function Zl(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,r=arguments.length>3&&void 0!==arguments[3]?arguments[3]:1/0,o=arguments.length>4?arguments[4]:void 0;if(t=Math.floor(t),n=Math.floor(Math.max(0,n)),r=Math.floor(Math.min(e.length-1,r)),!(n<=t&&t<=r))return e;for(o=void 0===o?Ql:Yl(o);r>n;){if(r-n>600){const i=r-n+1,a=t-n+1,l=Math.log(i),u=.5*Math.exp(2*l/3),c=.5*Math.sqrt(l*u*(i-u)/i)*(a-i/2<0?-1:1);Zl(e,t,Math.max(n,Math.floor(t-a*u/i+c)),Math.min(r,Math.floor(t+(i-a)*u/i+c)),o)}const i=e[t];let a=n,l=r;for(Jl(e,n,t),o(e[r],i)>0&&Jl(e,n,r);a<l;){for(Jl(e,a,l),++a,--l;o(e[a],i)<0;)++a;for(;o(e[l],i)>0;)--l}0===o(e[n],i)?Jl(e,n,l):(++l,Jl(e,l,r)),l<=t&&(n=l+1),t<=l&&(r=l-1)}return e}function Jl(e,t,n){const r=e[t];e[t]=e[n],e[n]=r}function eu(e,t,n){if(e=Float64Array.from(function*(e,t){if(void 0===t)for(let n of e)null!=n&&(n=+n)>=n&&(yield n);else{let n=-1;for(let r of e)null!=(r=t(r,++n,e))&&(r=+r)>=r&&(yield r)}}(e,n)),(r=e.length)&&!isNaN(t=+t)){if(t<=0||r<2)return Gl(e);if(t>=1)return Xl(e);var r,o=(r-1)*t,i=Math.floor(o),a=Xl(Zl(e,i).subarray(0,i+1));return a+(Gl(e.subarray(i+1))-a)*(o-i)}}function tu(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:Zi;if((r=e.length)&&!isNaN(t=+t)){if(t<=0||r<2)return+n(e[0],0,e);if(t>=1)return+n(e[r-1],r-1,e);var r,o=(r-1)*t,i=Math.floor(o),a=+n(e[i],i,e);return a+(+n(e[i+1],i+1,e)-a)*(o-i)}}function nu(){var e,t=[],n=[],r=[];function o(){var e=0,o=Math.max(1,n.length);for(r=new Array(o-1);++e<o;)r[e-1]=tu(t,e/o);return i}function i(t){return null==t||isNaN(t=+t)?e:n[ta(r,t)]}return i.invertExtent=function(e){var o=n.indexOf(e);return o<0?[NaN,NaN]:[o>0?r[o-1]:t[0],o<r.length?r[o]:t[t.length-1]]},i.domain=function(e){if(!arguments.length)return t.slice();t=[];for(let n of e)null==n||isNaN(n=+n)||t.push(n);return t.sort(Xi),o()},i.range=function(e){return arguments.length?(n=Array.from(e),o()):n.slice()},i.unknown=function(t){return arguments.length?(e=t,i):e},i.quantiles=function(){return r.slice()},i.copy=function(){return nu().domain(t).range(n).unknown(e)},$o.apply(i,arguments)}function ru(){var e,t=0,n=1,r=1,o=[.5],i=[0,1];function a(t){return null!=t&&t<=t?i[ta(o,t,0,r)]:e}function l(){var e=-1;for(o=new Array(r);++e<r;)o[e]=((e+1)*n-(e-r)*t)/(r+1);return a}return a.domain=function(e){return arguments.length?([t,n]=e,t=+t,n=+n,l()):[t,n]},a.range=function(e){return arguments.length?(r=(i=Array.from(e)).length-1,l()):i.slice()},a.invertExtent=function(e){var a=i.indexOf(e);return a<0?[NaN,NaN]:a<1?[t,o[0]]:a>=r?[o[r-1],n]:[o[a-1],o[a]]},a.unknown=function(t){return arguments.length?(e=t,a):a},a.thresholds=function(){return o.slice()},a.copy=function(){return ru().domain([t,n]).range(i).unknown(e)},$o.apply(Ol(a),arguments)}function ou(){var e,t=[.5],n=[0,1],r=1;function o(o){return null!=o&&o<=o?n[ta(t,o,0,r)]:e}return o.domain=function(e){return arguments.length?(t=Array.from(e),r=Math.min(t.length,n.length-1),o):t.slice()},o.range=function(e){return arguments.length?(n=Array.from(e),r=Math.min(t.length,n.length-1),o):n.slice()},o.invertExtent=function(e){var r=n.indexOf(e);return[t[r-1],t[r]]},o.unknown=function(t){return arguments.length?(e=t,o):e},o.copy=function(){return ou().domain(t).range(n).unknown(e)},$o.apply(o,arguments)}ml=jl({thousands:",",grouping:[3],currency:["$",""]}),gl=ml.format,bl=ml.formatPrefix;const iu=1e3,au=6e4,lu=36e5,uu=864e5,cu=6048e5,su=2592e6,fu=31536e6,du=new Date,pu=new Date;function hu(e,t,n,r){function o(t){return e(t=0===arguments.length?new Date:new Date(+t)),t}return o.floor=t=>(e(t=new Date(+t)),t),o.ceil=n=>(e(n=new Date(n-1)),t(n,1),e(n),n),o.round=e=>{const t=o(e),n=o.ceil(e);return e-t<n-e?t:n},o.offset=(e,n)=>(t(e=new Date(+e),null==n?1:Math.floor(n)),e),o.range=(n,r,i)=>{const a=[];if(n=o.ceil(n),i=null==i?1:Math.floor(i),!(n<r)||!(i>0))return a;let l;do{a.push(l=new Date(+n)),t(n,i),e(n)}while(l<n&&n<r);return a},o.filter=n=>hu(t=>{if(t>=t)for(;e(t),!n(t);)t.setTime(t-1)},(e,r)=>{if(e>=e)if(r<0)for(;++r<=0;)for(;t(e,-1),!n(e););else for(;--r>=0;)for(;t(e,1),!n(e););}),n&&(o.count=(t,r)=>(du.setTime(+t),pu.setTime(+r),e(du),e(pu),Math.floor(n(du,pu))),o.every=e=>(e=Math.floor(e),isFinite(e)&&e>0?e>1?o.filter(r?t=>r(t)%e===0:t=>o.count(0,t)%e===0):o:null)),o}const yu=hu(()=>{},(e,t)=>{e.setTime(+e+t)},(e,t)=>t-e);yu.every=e=>(e=Math.floor(e),isFinite(e)&&e>0?e>1?hu(t=>{t.setTime(Math.floor(t/e)*e)},(t,n)=>{t.setTime(+t+n*e)},(t,n)=>(n-t)/e):yu:null);yu.range;const vu=hu(e=>{e.setTime(e-e.getMilliseconds())},(e,t)=>{e.setTime(+e+t*iu)},(e,t)=>(t-e)/iu,e=>e.getUTCSeconds()),mu=(vu.range,hu(e=>{e.setTime(e-e.getMilliseconds()-e.getSeconds()*iu)},(e,t)=>{e.setTime(+e+t*au)},(e,t)=>(t-e)/au,e=>e.getMinutes())),gu=(mu.range,hu(e=>{e.setUTCSeconds(0,0)},(e,t)=>{e.setTime(+e+t*au)},(e,t)=>(t-e)/au,e=>e.getUTCMinutes())),bu=(gu.range,hu(e=>{e.setTime(e-e.getMilliseconds()-e.getSeconds()*iu-e.getMinutes()*au)},(e,t)=>{e.setTime(+e+t*lu)},(e,t)=>(t-e)/lu,e=>e.getHours())),xu=(bu.range,hu(e=>{e.setUTCMinutes(0,0,0)},(e,t)=>{e.setTime(+e+t*lu)},(e,t)=>(t-e)/lu,e=>e.getUTCHours())),wu=(xu.range,hu(e=>e.setHours(0,0,0,0),(e,t)=>e.setDate(e.getDate()+t),(e,t)=>(t-e-(t.getTimezoneOffset()-e.getTimezoneOffset())*au)/uu,e=>e.getDate()-1)),ju=(wu.range,hu(e=>{e.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCDate(e.getUTCDate()+t)},(e,t)=>(t-e)/uu,e=>e.getUTCDate()-1)),Su=(ju.range,hu(e=>{e.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCDate(e.getUTCDate()+t)},(e,t)=>(t-e)/uu,e=>Math.floor(e/uu)));Su.range;function Ou(e){return hu(t=>{t.setDate(t.getDate()-(t.getDay()+7-e)%7),t.setHours(0,0,0,0)},(e,t)=>{e.setDate(e.getDate()+7*t)},(e,t)=>(t-e-(t.getTimezoneOffset()-e.getTimezoneOffset())*au)/cu)}const ku=Ou(0),Pu=Ou(1),Eu=Ou(2),_u=Ou(3),Au=Ou(4),Cu=Ou(5),Tu=Ou(6);ku.range,Pu.range,Eu.range,_u.range,Au.range,Cu.range,Tu.range;function Mu(e){return hu(t=>{t.setUTCDate(t.getUTCDate()-(t.getUTCDay()+7-e)%7),t.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCDate(e.getUTCDate()+7*t)},(e,t)=>(t-e)/cu)}const Nu=Mu(0),Du=Mu(1),Iu=Mu(2),zu=Mu(3),Bu=Mu(4),Ru=Mu(5),Fu=Mu(6),Lu=(Nu.range,Du.range,Iu.range,zu.range,Bu.range,Ru.range,Fu.range,hu(e=>{e.setDate(1),e.setHours(0,0,0,0)},(e,t)=>{e.setMonth(e.getMonth()+t)},(e,t)=>t.getMonth()-e.getMonth()+12*(t.getFullYear()-e.getFullYear()),e=>e.getMonth())),Uu=(Lu.range,hu(e=>{e.setUTCDate(1),e.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCMonth(e.getUTCMonth()+t)},(e,t)=>t.getUTCMonth()-e.getUTCMonth()+12*(t.getUTCFullYear()-e.getUTCFullYear()),e=>e.getUTCMonth())),Wu=(Uu.range,hu(e=>{e.setMonth(0,1),e.setHours(0,0,0,0)},(e,t)=>{e.setFullYear(e.getFullYear()+t)},(e,t)=>t.getFullYear()-e.getFullYear(),e=>e.getFullYear()));Wu.every=e=>isFinite(e=Math.floor(e))&&e>0?hu(t=>{t.setFullYear(Math.floor(t.getFullYear()/e)*e),t.setMonth(0,1),t.setHours(0,0,0,0)},(t,n)=>{t.setFullYear(t.getFullYear()+n*e)}):null;Wu.range;const Hu=hu(e=>{e.setUTCMonth(0,1),e.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCFullYear(e.getUTCFullYear()+t)},(e,t)=>t.getUTCFullYear()-e.getUTCFullYear(),e=>e.getUTCFullYear());Hu.every=e=>isFinite(e=Math.floor(e))&&e>0?hu(t=>{t.setUTCFullYear(Math.floor(t.getUTCFullYear()/e)*e),t.setUTCMonth(0,1),t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCFullYear(t.getUTCFullYear()+n*e)}):null;Hu.range;function Vu(e,t,n,r,o,i){const a=[[vu,1,iu],[vu,5,5e3],[vu,15,15e3],[vu,30,3e4],[i,1,au],[i,5,3e5],[i,15,9e5],[i,30,18e5],[o,1,lu],[o,3,108e5],[o,6,216e5],[o,12,432e5],[r,1,uu],[r,2,1728e5],[n,1,cu],[t,1,su],[t,3,7776e6],[e,1,fu]];function l(t,n,r){const o=Math.abs(n-t)/r,i=Yi(e=>{let[,,t]=e;return t}).right(a,o);if(i===a.length)return e.every(Ki(t/fu,n/fu,r));if(0===i)return yu.every(Math.max(Ki(t,n,r),1));const[l,u]=a[o/a[i-1][2]<a[i][2]/o?i-1:i];return l.every(u)}return[function(e,t,n){const r=t<e;r&&([e,t]=[t,e]);const o=n&&"function"===typeof n.range?n:l(e,t,n),i=o?o.range(e,+t+1):[];return r?i.reverse():i},l]}const[qu,$u]=Vu(Hu,Uu,Nu,Su,xu,gu),[Ku,Xu]=Vu(Wu,Lu,ku,wu,bu,mu);function Gu(e){if(0<=e.y&&e.y<100){var t=new Date(-1,e.m,e.d,e.H,e.M,e.S,e.L);return t.setFullYear(e.y),t}return new Date(e.y,e.m,e.d,e.H,e.M,e.S,e.L)}function Yu(e){if(0<=e.y&&e.y<100){var t=new Date(Date.UTC(-1,e.m,e.d,e.H,e.M,e.S,e.L));return t.setUTCFullYear(e.y),t}return new Date(Date.UTC(e.y,e.m,e.d,e.H,e.M,e.S,e.L))}function Qu(e,t,n){return{y:e,m:t,d:n,H:0,M:0,S:0,L:0}}var Zu,Ju,ec,tc={"-":"",_:" ",0:"0"},nc=/^\s*\d+/,rc=/^%/,oc=/[\\^$*+?|[\]().{}]/g;function ic(e,t,n){var r=e<0?"-":"",o=(r?-e:e)+"",i=o.length;return r+(i<n?new Array(n-i+1).join(t)+o:o)}function ac(e){return e.replace(oc,"\\$&")}function lc(e){return new RegExp("^(?:"+e.map(ac).join("|")+")","i")}function uc(e){return new Map(e.map((e,t)=>[e.toLowerCase(),t]))}function cc(e,t,n){var r=nc.exec(t.slice(n,n+1));return r?(e.w=+r[0],n+r[0].length):-1}function sc(e,t,n){var r=nc.exec(t.slice(n,n+1));return r?(e.u=+r[0],n+r[0].length):-1}function fc(e,t,n){var r=nc.exec(t.slice(n,n+2));return r?(e.U=+r[0],n+r[0].length):-1}function dc(e,t,n){var r=nc.exec(t.slice(n,n+2));return r?(e.V=+r[0],n+r[0].length):-1}function pc(e,t,n){var r=nc.exec(t.slice(n,n+2));return r?(e.W=+r[0],n+r[0].length):-1}function hc(e,t,n){var r=nc.exec(t.slice(n,n+4));return r?(e.y=+r[0],n+r[0].length):-1}function yc(e,t,n){var r=nc.exec(t.slice(n,n+2));return r?(e.y=+r[0]+(+r[0]>68?1900:2e3),n+r[0].length):-1}function vc(e,t,n){var r=/^(Z)|([+-]\d\d)(?::?(\d\d))?/.exec(t.slice(n,n+6));return r?(e.Z=r[1]?0:-(r[2]+(r[3]||"00")),n+r[0].length):-1}function mc(e,t,n){var r=nc.exec(t.slice(n,n+1));return r?(e.q=3*r[0]-3,n+r[0].length):-1}function gc(e,t,n){var r=nc.exec(t.slice(n,n+2));return r?(e.m=r[0]-1,n+r[0].length):-1}function bc(e,t,n){var r=nc.exec(t.slice(n,n+2));return r?(e.d=+r[0],n+r[0].length):-1}function xc(e,t,n){var r=nc.exec(t.slice(n,n+3));return r?(e.m=0,e.d=+r[0],n+r[0].length):-1}function wc(e,t,n){var r=nc.exec(t.slice(n,n+2));return r?(e.H=+r[0],n+r[0].length):-1}function jc(e,t,n){var r=nc.exec(t.slice(n,n+2));return r?(e.M=+r[0],n+r[0].length):-1}function Sc(e,t,n){var r=nc.exec(t.slice(n,n+2));return r?(e.S=+r[0],n+r[0].length):-1}function Oc(e,t,n){var r=nc.exec(t.slice(n,n+3));return r?(e.L=+r[0],n+r[0].length):-1}function kc(e,t,n){var r=nc.exec(t.slice(n,n+6));return r?(e.L=Math.floor(r[0]/1e3),n+r[0].length):-1}function Pc(e,t,n){var r=rc.exec(t.slice(n,n+1));return r?n+r[0].length:-1}function Ec(e,t,n){var r=nc.exec(t.slice(n));return r?(e.Q=+r[0],n+r[0].length):-1}function _c(e,t,n){var r=nc.exec(t.slice(n));return r?(e.s=+r[0],n+r[0].length):-1}function Ac(e,t){return ic(e.getDate(),t,2)}function Cc(e,t){return ic(e.getHours(),t,2)}function Tc(e,t){return ic(e.getHours()%12||12,t,2)}function Mc(e,t){return ic(1+wu.count(Wu(e),e),t,3)}function Nc(e,t){return ic(e.getMilliseconds(),t,3)}function Dc(e,t){return Nc(e,t)+"000"}function Ic(e,t){return ic(e.getMonth()+1,t,2)}function zc(e,t){return ic(e.getMinutes(),t,2)}function Bc(e,t){return ic(e.getSeconds(),t,2)}function Rc(e){var t=e.getDay();return 0===t?7:t}function Fc(e,t){return ic(ku.count(Wu(e)-1,e),t,2)}function Lc(e){var t=e.getDay();return t>=4||0===t?Au(e):Au.ceil(e)}function Uc(e,t){return e=Lc(e),ic(Au.count(Wu(e),e)+(4===Wu(e).getDay()),t,2)}function Wc(e){return e.getDay()}function Hc(e,t){return ic(Pu.count(Wu(e)-1,e),t,2)}function Vc(e,t){return ic(e.getFullYear()%100,t,2)}function qc(e,t){return ic((e=Lc(e)).getFullYear()%100,t,2)}function $c(e,t){return ic(e.getFullYear()%1e4,t,4)}function Kc(e,t){var n=e.getDay();return ic((e=n>=4||0===n?Au(e):Au.ceil(e)).getFullYear()%1e4,t,4)}function Xc(e){var t=e.getTimezoneOffset();return(t>0?"-":(t*=-1,"+"))+ic(t/60|0,"0",2)+ic(t%60,"0",2)}function Gc(e,t){return ic(e.getUTCDate(),t,2)}function Yc(e,t){return ic(e.getUTCHours(),t,2)}function Qc(e,t){return ic(e.getUTCHours()%12||12,t,2)}function Zc(e,t){return ic(1+ju.count(Hu(e),e),t,3)}function Jc(e,t){return ic(e.getUTCMilliseconds(),t,3)}function es(e,t){return Jc(e,t)+"000"}function ts(e,t){return ic(e.getUTCMonth()+1,t,2)}function ns(e,t){return ic(e.getUTCMinutes(),t,2)}function rs(e,t){return ic(e.getUTCSeconds(),t,2)}function os(e){var t=e.getUTCDay();return 0===t?7:t}function is(e,t){return ic(Nu.count(Hu(e)-1,e),t,2)}function as(e){var t=e.getUTCDay();return t>=4||0===t?Bu(e):Bu.ceil(e)}function ls(e,t){return e=as(e),ic(Bu.count(Hu(e),e)+(4===Hu(e).getUTCDay()),t,2)}function us(e){return e.getUTCDay()}function cs(e,t){return ic(Du.count(Hu(e)-1,e),t,2)}function ss(e,t){return ic(e.getUTCFullYear()%100,t,2)}function fs(e,t){return ic((e=as(e)).getUTCFullYear()%100,t,2)}function ds(e,t){return ic(e.getUTCFullYear()%1e4,t,4)}function ps(e,t){var n=e.getUTCDay();return ic((e=n>=4||0===n?Bu(e):Bu.ceil(e)).getUTCFullYear()%1e4,t,4)}function hs(){return"+0000"}function ys(){return"%"}function vs(e){return+e}function ms(e){return Math.floor(+e/1e3)}function gs(e){return new Date(e)}function bs(e){return e instanceof Date?+e:+new Date(+e)}function xs(e,t,n,r,o,i,a,l,u,c){var s=ll(),f=s.invert,d=s.domain,p=c(".%L"),h=c(":%S"),y=c("%I:%M"),v=c("%I %p"),m=c("%a %d"),g=c("%b %d"),b=c("%B"),x=c("%Y");function w(e){return(u(e)<e?p:l(e)<e?h:a(e)<e?y:i(e)<e?v:r(e)<e?o(e)<e?m:g:n(e)<e?b:x)(e)}return s.invert=function(e){return new Date(f(e))},s.domain=function(e){return arguments.length?d(Array.from(e,bs)):d().map(gs)},s.ticks=function(t){var n=d();return e(n[0],n[n.length-1],null==t?10:t)},s.tickFormat=function(e,t){return null==t?w:c(t)},s.nice=function(e){var n=d();return e&&"function"===typeof e.range||(e=t(n[0],n[n.length-1],null==e?10:e)),e?d(El(n,e)):s},s.copy=function(){return il(s,xs(e,t,n,r,o,i,a,l,u,c))},s}function ws(){return $o.apply(xs(Ku,Xu,Wu,Lu,ku,wu,bu,mu,vu,Ju).domain([new Date(2e3,0,1),new Date(2e3,0,2)]),arguments)}function js(){return $o.apply(xs(qu,$u,Hu,Uu,Nu,ju,xu,gu,vu,ec).domain([Date.UTC(2e3,0,1),Date.UTC(2e3,0,2)]),arguments)}function Ss(){var e,t,n,r,o,i=0,a=1,l=tl,u=!1;function c(t){return null==t||isNaN(t=+t)?o:l(0===n?.5:(t=(r(t)-e)*n,u?Math.max(0,Math.min(1,t)):t))}function s(e){return function(t){var n,r;return arguments.length?([n,r]=t,l=e(n,r),c):[l(0),l(1)]}}return c.domain=function(o){return arguments.length?([i,a]=o,e=r(i=+i),t=r(a=+a),n=e===t?0:1/(t-e),c):[i,a]},c.clamp=function(e){return arguments.length?(u=!!e,c):u},c.interpolator=function(e){return arguments.length?(l=e,c):l},c.range=s(Qa),c.rangeRound=s(Za),c.unknown=function(e){return arguments.length?(o=e,c):o},function(o){return r=o,e=o(i),t=o(a),n=e===t?0:1/(t-e),c}}function Os(e,t){return t.domain(e.domain()).interpolator(e.interpolator()).clamp(e.clamp()).unknown(e.unknown())}function ks(){var e=Ol(Ss()(tl));return e.copy=function(){return Os(e,ks())},Ko.apply(e,arguments)}function Ps(){var e=Dl(Ss()).domain([1,10]);return e.copy=function(){return Os(e,Ps()).base(e.base())},Ko.apply(e,arguments)}function Es(){var e=Rl(Ss());return e.copy=function(){return Os(e,Es()).constant(e.constant())},Ko.apply(e,arguments)}function _s(){var e=Hl(Ss());return e.copy=function(){return Os(e,_s()).exponent(e.exponent())},Ko.apply(e,arguments)}function As(){return _s.apply(null,arguments).exponent(.5)}function Cs(){var e=[],t=tl;function n(n){if(null!=n&&!isNaN(n=+n))return t((ta(e,n,1)-1)/(e.length-1))}return n.domain=function(t){if(!arguments.length)return e.slice();e=[];for(let n of t)null==n||isNaN(n=+n)||e.push(n);return e.sort(Xi),n},n.interpolator=function(e){return arguments.length?(t=e,n):t},n.range=function(){return e.map((n,r)=>t(r/(e.length-1)))},n.quantiles=function(t){return Array.from({length:t+1},(n,r)=>eu(e,r/t))},n.copy=function(){return Cs(t).domain(e)},Ko.apply(n,arguments)}function Ts(){var e,t,n,r,o,i,a,l=0,u=.5,c=1,s=1,f=tl,d=!1;function p(e){return isNaN(e=+e)?a:(e=.5+((e=+i(e))-t)*(s*e<s*t?r:o),f(d?Math.max(0,Math.min(1,e)):e))}function h(e){return function(t){var n,r,o;return arguments.length?([n,r,o]=t,f=function(e,t){void 0===t&&(t=e,e=Qa);for(var n=0,r=t.length-1,o=t[0],i=new Array(r<0?0:r);n<r;)i[n]=e(o,o=t[++n]);return function(e){var t=Math.max(0,Math.min(r-1,Math.floor(e*=r)));return i[t](e-t)}}(e,[n,r,o]),p):[f(0),f(.5),f(1)]}}return p.domain=function(a){return arguments.length?([l,u,c]=a,e=i(l=+l),t=i(u=+u),n=i(c=+c),r=e===t?0:.5/(t-e),o=t===n?0:.5/(n-t),s=t<e?-1:1,p):[l,u,c]},p.clamp=function(e){return arguments.length?(d=!!e,p):d},p.interpolator=function(e){return arguments.length?(f=e,p):f},p.range=h(Qa),p.rangeRound=h(Za),p.unknown=function(e){return arguments.length?(a=e,p):a},function(a){return i=a,e=a(l),t=a(u),n=a(c),r=e===t?0:.5/(t-e),o=t===n?0:.5/(n-t),s=t<e?-1:1,p}}function Ms(){var e=Ol(Ts()(tl));return e.copy=function(){return Os(e,Ms())},Ko.apply(e,arguments)}function Ns(){var e=Dl(Ts()).domain([.1,1,10]);return e.copy=function(){return Os(e,Ns()).base(e.base())},Ko.apply(e,arguments)}function Ds(){var e=Rl(Ts());return e.copy=function(){return Os(e,Ds()).constant(e.constant())},Ko.apply(e,arguments)}function Is(){var e=Hl(Ts());return e.copy=function(){return Os(e,Is()).exponent(e.exponent())},Ko.apply(e,arguments)}function zs(){return Is.apply(null,arguments).exponent(.5)}function Bs(e,t){if((o=e.length)>1)for(var n,r,o,i=1,a=e[t[0]],l=a.length;i<o;++i)for(r=a,a=e[t[i]],n=0;n<l;++n)a[n][1]+=a[n][0]=isNaN(r[n][1])?r[n][0]:r[n][1]}!function(e){Zu=function(e){var t=e.dateTime,n=e.date,r=e.time,o=e.periods,i=e.days,a=e.shortDays,l=e.months,u=e.shortMonths,c=lc(o),s=uc(o),f=lc(i),d=uc(i),p=lc(a),h=uc(a),y=lc(l),v=uc(l),m=lc(u),g=uc(u),b={a:function(e){return a[e.getDay()]},A:function(e){return i[e.getDay()]},b:function(e){return u[e.getMonth()]},B:function(e){return l[e.getMonth()]},c:null,d:Ac,e:Ac,f:Dc,g:qc,G:Kc,H:Cc,I:Tc,j:Mc,L:Nc,m:Ic,M:zc,p:function(e){return o[+(e.getHours()>=12)]},q:function(e){return 1+~~(e.getMonth()/3)},Q:vs,s:ms,S:Bc,u:Rc,U:Fc,V:Uc,w:Wc,W:Hc,x:null,X:null,y:Vc,Y:$c,Z:Xc,"%":ys},x={a:function(e){return a[e.getUTCDay()]},A:function(e){return i[e.getUTCDay()]},b:function(e){return u[e.getUTCMonth()]},B:function(e){return l[e.getUTCMonth()]},c:null,d:Gc,e:Gc,f:es,g:fs,G:ps,H:Yc,I:Qc,j:Zc,L:Jc,m:ts,M:ns,p:function(e){return o[+(e.getUTCHours()>=12)]},q:function(e){return 1+~~(e.getUTCMonth()/3)},Q:vs,s:ms,S:rs,u:os,U:is,V:ls,w:us,W:cs,x:null,X:null,y:ss,Y:ds,Z:hs,"%":ys},w={a:function(e,t,n){var r=p.exec(t.slice(n));return r?(e.w=h.get(r[0].toLowerCase()),n+r[0].length):-1},A:function(e,t,n){var r=f.exec(t.slice(n));return r?(e.w=d.get(r[0].toLowerCase()),n+r[0].length):-1},b:function(e,t,n){var r=m.exec(t.slice(n));return r?(e.m=g.get(r[0].toLowerCase()),n+r[0].length):-1},B:function(e,t,n){var r=y.exec(t.slice(n));return r?(e.m=v.get(r[0].toLowerCase()),n+r[0].length):-1},c:function(e,n,r){return O(e,t,n,r)},d:bc,e:bc,f:kc,g:yc,G:hc,H:wc,I:wc,j:xc,L:Oc,m:gc,M:jc,p:function(e,t,n){var r=c.exec(t.slice(n));return r?(e.p=s.get(r[0].toLowerCase()),n+r[0].length):-1},q:mc,Q:Ec,s:_c,S:Sc,u:sc,U:fc,V:dc,w:cc,W:pc,x:function(e,t,r){return O(e,n,t,r)},X:function(e,t,n){return O(e,r,t,n)},y:yc,Y:hc,Z:vc,"%":Pc};function j(e,t){return function(n){var r,o,i,a=[],l=-1,u=0,c=e.length;for(n instanceof Date||(n=new Date(+n));++l<c;)37===e.charCodeAt(l)&&(a.push(e.slice(u,l)),null!=(o=tc[r=e.charAt(++l)])?r=e.charAt(++l):o="e"===r?" ":"0",(i=t[r])&&(r=i(n,o)),a.push(r),u=l+1);return a.push(e.slice(u,l)),a.join("")}}function S(e,t){return function(n){var r,o,i=Qu(1900,void 0,1);if(O(i,e,n+="",0)!=n.length)return null;if("Q"in i)return new Date(i.Q);if("s"in i)return new Date(1e3*i.s+("L"in i?i.L:0));if(t&&!("Z"in i)&&(i.Z=0),"p"in i&&(i.H=i.H%12+12*i.p),void 0===i.m&&(i.m="q"in i?i.q:0),"V"in i){if(i.V<1||i.V>53)return null;"w"in i||(i.w=1),"Z"in i?(o=(r=Yu(Qu(i.y,0,1))).getUTCDay(),r=o>4||0===o?Du.ceil(r):Du(r),r=ju.offset(r,7*(i.V-1)),i.y=r.getUTCFullYear(),i.m=r.getUTCMonth(),i.d=r.getUTCDate()+(i.w+6)%7):(o=(r=Gu(Qu(i.y,0,1))).getDay(),r=o>4||0===o?Pu.ceil(r):Pu(r),r=wu.offset(r,7*(i.V-1)),i.y=r.getFullYear(),i.m=r.getMonth(),i.d=r.getDate()+(i.w+6)%7)}else("W"in i||"U"in i)&&("w"in i||(i.w="u"in i?i.u%7:"W"in i?1:0),o="Z"in i?Yu(Qu(i.y,0,1)).getUTCDay():Gu(Qu(i.y,0,1)).getDay(),i.m=0,i.d="W"in i?(i.w+6)%7+7*i.W-(o+5)%7:i.w+7*i.U-(o+6)%7);return"Z"in i?(i.H+=i.Z/100|0,i.M+=i.Z%100,Yu(i)):Gu(i)}}function O(e,t,n,r){for(var o,i,a=0,l=t.length,u=n.length;a<l;){if(r>=u)return-1;if(37===(o=t.charCodeAt(a++))){if(o=t.charAt(a++),!(i=w[o in tc?t.charAt(a++):o])||(r=i(e,n,r))<0)return-1}else if(o!=n.charCodeAt(r++))return-1}return r}return b.x=j(n,b),b.X=j(r,b),b.c=j(t,b),x.x=j(n,x),x.X=j(r,x),x.c=j(t,x),{format:function(e){var t=j(e+="",b);return t.toString=function(){return e},t},parse:function(e){var t=S(e+="",!1);return t.toString=function(){return e},t},utcFormat:function(e){var t=j(e+="",x);return t.toString=function(){return e},t},utcParse:function(e){var t=S(e+="",!0);return t.toString=function(){return e},t}}}(e),Ju=Zu.format,Zu.parse,ec=Zu.utcFormat,Zu.utcParse}({dateTime:"%x, %X",date:"%-m/%-d/%Y",time:"%-I:%M:%S %p",periods:["AM","PM"],days:["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"],shortDays:["Sun","Mon","Tue","Wed","Thu","Fri","Sat"],months:["January","February","March","April","May","June","July","August","September","October","November","December"],shortMonths:["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"]});Array.prototype.slice;function Rs(e){return"object"===typeof e&&"length"in e?e:Array.from(e)}function Fs(e){for(var t=e.length,n=new Array(t);--t>=0;)n[t]=t;return n}function Ls(e,t){return e[t]}function Us(e){const t=[];return t.key=e,t}var Ws=n(539),Hs=n.n(Ws),Vs=n(6745),qs=n.n(Vs),$s=n(3538),Ks=n.n($s),Xs=n(9853),Gs=n.n(Xs),Ys=n(8210),Qs=n.n(Ys);function Zs(e){return function(e){if(Array.isArray(e))return Js(e)}(e)||function(e){if("undefined"!==typeof Symbol&&Symbol.iterator in Object(e))return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Js(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Js(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Js(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var ef=function(e){return e},tf={"@@functional/placeholder":!0},nf=function(e){return e===tf},rf=function(e){return function t(){return 0===arguments.length||1===arguments.length&&nf(arguments.length<=0?void 0:arguments[0])?t:e.apply(void 0,arguments)}},of=function e(t,n){return 1===t?n:rf(function(){for(var r=arguments.length,o=new Array(r),i=0;i<r;i++)o[i]=arguments[i];var a=o.filter(function(e){return e!==tf}).length;return a>=t?n.apply(void 0,o):e(t-a,rf(function(){for(var e=arguments.length,t=new Array(e),r=0;r<e;r++)t[r]=arguments[r];var i=o.map(function(e){return nf(e)?t.shift():e});return n.apply(void 0,Zs(i).concat(t))}))})},af=function(e){return of(e.length,e)},lf=function(e,t){for(var n=[],r=e;r<t;++r)n[r-e]=r;return n},uf=af(function(e,t){return Array.isArray(t)?t.map(e):Object.keys(t).map(function(e){return t[e]}).map(e)}),cf=function(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];if(!t.length)return ef;var r=t.reverse(),o=r[0],i=r.slice(1);return function(){return i.reduce(function(e,t){return t(e)},o.apply(void 0,arguments))}},sf=function(e){return Array.isArray(e)?e.reverse():e.split("").reverse.join("")},ff=function(e){var t=null,n=null;return function(){for(var r=arguments.length,o=new Array(r),i=0;i<r;i++)o[i]=arguments[i];return t&&o.every(function(e,n){return e===t[n]})?n:(t=o,n=e.apply(void 0,o))}};var df=af(function(e,t,n){var r=+e;return r+n*(+t-r)}),pf=af(function(e,t,n){var r=t-+e;return(n-e)/(r=r||1/0)}),hf=af(function(e,t,n){var r=t-+e;return r=r||1/0,Math.max(0,Math.min(1,(n-e)/r))});const yf={rangeStep:function(e,t,n){for(var r=new(Qs())(e),o=0,i=[];r.lt(t)&&o<1e5;)i.push(r.toNumber()),r=r.add(n),o++;return i},getDigitCount:function(e){return 0===e?1:Math.floor(new(Qs())(e).abs().log(10).toNumber())+1},interpolateNumber:df,uninterpolateNumber:pf,uninterpolateTruncation:hf};function vf(e){return function(e){if(Array.isArray(e))return bf(e)}(e)||function(e){if("undefined"!==typeof Symbol&&Symbol.iterator in Object(e))return Array.from(e)}(e)||gf(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function mf(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){if("undefined"===typeof Symbol||!(Symbol.iterator in Object(e)))return;var n=[],r=!0,o=!1,i=void 0;try{for(var a,l=e[Symbol.iterator]();!(r=(a=l.next()).done)&&(n.push(a.value),!t||n.length!==t);r=!0);}catch(u){o=!0,i=u}finally{try{r||null==l.return||l.return()}finally{if(o)throw i}}return n}(e,t)||gf(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function gf(e,t){if(e){if("string"===typeof e)return bf(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?bf(e,t):void 0}}function bf(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function xf(e){var t=mf(e,2),n=t[0],r=t[1],o=n,i=r;return n>r&&(o=r,i=n),[o,i]}function wf(e,t,n){if(e.lte(0))return new(Qs())(0);var r=yf.getDigitCount(e.toNumber()),o=new(Qs())(10).pow(r),i=e.div(o),a=1!==r?.05:.1,l=new(Qs())(Math.ceil(i.div(a).toNumber())).add(n).mul(a).mul(o);return t?l:new(Qs())(Math.ceil(l))}function jf(e,t,n){var r=1,o=new(Qs())(e);if(!o.isint()&&n){var i=Math.abs(e);i<1?(r=new(Qs())(10).pow(yf.getDigitCount(e)-1),o=new(Qs())(Math.floor(o.div(r).toNumber())).mul(r)):i>1&&(o=new(Qs())(Math.floor(e)))}else 0===e?o=new(Qs())(Math.floor((t-1)/2)):n||(o=new(Qs())(Math.floor(e)));var a=Math.floor((t-1)/2);return cf(uf(function(e){return o.add(new(Qs())(e-a).mul(r)).toNumber()}),lf)(0,t)}function Sf(e,t,n,r){var o=arguments.length>4&&void 0!==arguments[4]?arguments[4]:0;if(!Number.isFinite((t-e)/(n-1)))return{step:new(Qs())(0),tickMin:new(Qs())(0),tickMax:new(Qs())(0)};var i,a=wf(new(Qs())(t).sub(e).div(n-1),r,o);i=e<=0&&t>=0?new(Qs())(0):(i=new(Qs())(e).add(t).div(2)).sub(new(Qs())(i).mod(a));var l=Math.ceil(i.sub(e).div(a).toNumber()),u=Math.ceil(new(Qs())(t).sub(i).div(a).toNumber()),c=l+u+1;return c>n?Sf(e,t,n,r,o+1):(c<n&&(u=t>0?u+(n-c):u,l=t>0?l:l+(n-c)),{step:a,tickMin:i.sub(new(Qs())(l).mul(a)),tickMax:i.add(new(Qs())(u).mul(a))})}var Of=ff(function(e){var t=mf(e,2),n=t[0],r=t[1],o=arguments.length>1&&void 0!==arguments[1]?arguments[1]:6,i=!(arguments.length>2&&void 0!==arguments[2])||arguments[2],a=Math.max(o,2),l=mf(xf([n,r]),2),u=l[0],c=l[1];if(u===-1/0||c===1/0){var s=c===1/0?[u].concat(vf(lf(0,o-1).map(function(){return 1/0}))):[].concat(vf(lf(0,o-1).map(function(){return-1/0})),[c]);return n>r?sf(s):s}if(u===c)return jf(u,o,i);var f=Sf(u,c,a,i),d=f.step,p=f.tickMin,h=f.tickMax,y=yf.rangeStep(p,h.add(new(Qs())(.1).mul(d)),d);return n>r?sf(y):y}),kf=(ff(function(e){var t=mf(e,2),n=t[0],r=t[1],o=arguments.length>1&&void 0!==arguments[1]?arguments[1]:6,i=!(arguments.length>2&&void 0!==arguments[2])||arguments[2],a=Math.max(o,2),l=mf(xf([n,r]),2),u=l[0],c=l[1];if(u===-1/0||c===1/0)return[n,r];if(u===c)return jf(u,o,i);var s=wf(new(Qs())(c).sub(u).div(a-1),i,0),f=cf(uf(function(e){return new(Qs())(u).add(new(Qs())(e).mul(s)).toNumber()}),lf)(0,a).filter(function(e){return e>=u&&e<=c});return n>r?sf(f):f}),ff(function(e,t){var n=mf(e,2),r=n[0],o=n[1],i=!(arguments.length>2&&void 0!==arguments[2])||arguments[2],a=mf(xf([r,o]),2),l=a[0],u=a[1];if(l===-1/0||u===1/0)return[r,o];if(l===u)return[l];var c=Math.max(t,2),s=wf(new(Qs())(u).sub(l).div(c-1),i,0),f=[].concat(vf(yf.rangeStep(new(Qs())(l),new(Qs())(u).sub(new(Qs())(.99).mul(s)),s)),[u]);return r>o?sf(f):f})),Pf=["offset","layout","width","dataKey","data","dataPointFormatter","xAxis","yAxis"];function Ef(e){return Ef="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Ef(e)}function _f(){return _f=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},_f.apply(this,arguments)}function Af(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Cf(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Cf(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Cf(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Tf(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Mf(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Rf(r.key),r)}}function Nf(e,t,n){return t=If(t),function(e,t){if(t&&("object"===Ef(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Df()?Reflect.construct(t,n||[],If(e).constructor):t.apply(e,n))}function Df(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Df=function(){return!!e})()}function If(e){return If=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},If(e)}function zf(e,t){return zf=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},zf(e,t)}function Bf(e,t,n){return(t=Rf(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Rf(e){var t=function(e,t){if("object"!=Ef(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Ef(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Ef(t)?t:t+""}var Ff=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),Nf(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&zf(e,t)}(n,e),r=n,o=[{key:"render",value:function(){var e=this.props,n=e.offset,r=e.layout,o=e.width,i=e.dataKey,a=e.data,l=e.dataPointFormatter,u=e.xAxis,c=e.yAxis,s=Tf(e,Pf),f=pe(s,!1);"x"===this.props.direction&&"number"!==u.type&&Ae(!1);var d=a.map(function(e){var a=l(e,i),s=a.x,d=a.y,p=a.value,h=a.errorVal;if(!h)return null;var y,v,m=[];if(Array.isArray(h)){var g=Af(h,2);y=g[0],v=g[1]}else y=v=h;if("vertical"===r){var b=u.scale,x=d+n,w=x+o,j=x-o,S=b(p-y),O=b(p+v);m.push({x1:O,y1:w,x2:O,y2:j}),m.push({x1:S,y1:x,x2:O,y2:x}),m.push({x1:S,y1:w,x2:S,y2:j})}else if("horizontal"===r){var k=c.scale,P=s+n,E=P-o,_=P+o,A=k(p-y),C=k(p+v);m.push({x1:E,y1:C,x2:_,y2:C}),m.push({x1:P,y1:A,x2:P,y2:C}),m.push({x1:E,y1:A,x2:_,y2:A})}return t.createElement(Be,_f({className:"recharts-errorBar",key:"bar-".concat(m.map(function(e){return"".concat(e.x1,"-").concat(e.x2,"-").concat(e.y1,"-").concat(e.y2)}))},f),m.map(function(e){return t.createElement("line",_f({},e,{key:"line-".concat(e.x1,"-").concat(e.x2,"-").concat(e.y1,"-").concat(e.y2)}))}))});return t.createElement(Be,{className:"recharts-errorBars"},d)}}],o&&Mf(r.prototype,o),i&&Mf(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function Lf(e){return Lf="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Lf(e)}function Uf(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Wf(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Uf(Object(n),!0).forEach(function(t){Hf(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Uf(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Hf(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Lf(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Lf(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Lf(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}Bf(Ff,"defaultProps",{stroke:"black",strokeWidth:1.5,width:5,offset:0,layout:"horizontal"}),Bf(Ff,"displayName","ErrorBar");var Vf=function(e){var t=e.children,n=e.formattedGraphicalItems,r=e.legendWidth,o=e.legendContent,i=ue(t,tr);if(!i)return null;var a,l=tr.defaultProps,u=void 0!==l?Wf(Wf({},l),i.props):{};return a=i.props&&i.props.payload?i.props&&i.props.payload:"children"===o?(n||[]).reduce(function(e,t){var n=t.item,r=t.props,o=r.sectors||r.data||[];return e.concat(o.map(function(e){return{type:i.props.iconType||n.props.legendType,value:e.name,color:e.fill,payload:e}}))},[]):(n||[]).map(function(e){var t=e.item,n=t.type.defaultProps,r=void 0!==n?Wf(Wf({},n),t.props):{},o=r.dataKey,i=r.name,a=r.legendType;return{inactive:r.hide,dataKey:o,type:u.iconType||a||"square",color:Jf(t),value:i||o,payload:r}}),Wf(Wf(Wf({},u),tr.getWithHeight(i,r)),{},{payload:a,item:i})};function qf(e){return qf="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},qf(e)}function $f(e){return function(e){if(Array.isArray(e))return Kf(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Kf(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Kf(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Kf(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Xf(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Gf(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Xf(Object(n),!0).forEach(function(t){Yf(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Xf(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Yf(e,t,n){return t=function(e){var t=function(e,t){if("object"!=qf(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=qf(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==qf(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Qf(e,t,n){return P()(e)||P()(t)?n:C(t)?j()(e,t,n):L()(t)?t(e):n}function Zf(e,t,n,r){var o=Ks()(e,function(e){return Qf(e,t)});if("number"===n){var i=o.filter(function(e){return A(e)||parseFloat(e)});return i.length?[qs()(i),Hs()(i)]:[1/0,-1/0]}return(r?o.filter(function(e){return!P()(e)}):o).map(function(e){return C(e)||e instanceof Date?e:""})}var Jf=function(e){var t,n,r=e.type.displayName,o=null!==(t=e.type)&&void 0!==t&&t.defaultProps?Gf(Gf({},e.type.defaultProps),e.props):e.props,i=o.stroke,a=o.fill;switch(r){case"Line":n=i;break;case"Area":case"Radar":n=i&&"none"!==i?i:a;break;default:n=a}return n},ed=function(e,t,n,r,o){var i=le(t.props.children,Ff).filter(function(e){return function(e,t,n){return!!P()(t)||("horizontal"===e?"yAxis"===t:"vertical"===e||"x"===n?"xAxis"===t:"y"!==n||"yAxis"===t)}(r,o,e.props.direction)});if(i&&i.length){var a=i.map(function(e){return e.props.dataKey});return e.reduce(function(e,t){var r=Qf(t,n);if(P()(r))return e;var o=Array.isArray(r)?[qs()(r),Hs()(r)]:[r,r],i=a.reduce(function(e,n){var r=Qf(t,n,0),i=o[0]-Math.abs(Array.isArray(r)?r[0]:r),a=o[1]+Math.abs(Array.isArray(r)?r[1]:r);return[Math.min(i,e[0]),Math.max(a,e[1])]},[1/0,-1/0]);return[Math.min(i[0],e[0]),Math.max(i[1],e[1])]},[1/0,-1/0])}return null},td=function(e,t,n,r,o){var i=t.map(function(t){var i=t.props.dataKey;return"number"===n&&i&&ed(e,t,i,r)||Zf(e,i,n,o)});if("number"===n)return i.reduce(function(e,t){return[Math.min(e[0],t[0]),Math.max(e[1],t[1])]},[1/0,-1/0]);var a={};return i.reduce(function(e,t){for(var n=0,r=t.length;n<r;n++)a[t[n]]||(a[t[n]]=!0,e.push(t[n]));return e},[])},nd=function(e,t){return"horizontal"===e&&"xAxis"===t||"vertical"===e&&"yAxis"===t||"centric"===e&&"angleAxis"===t||"radial"===e&&"radiusAxis"===t},rd=function(e,t,n,r){if(r)return e.map(function(e){return e.coordinate});var o,i,a=e.map(function(e){return e.coordinate===t&&(o=!0),e.coordinate===n&&(i=!0),e.coordinate});return o||a.push(t),i||a.push(n),a},od=function(e,t,n){if(!e)return null;var r=e.scale,o=e.duplicateDomain,i=e.type,a=e.range,l="scaleBand"===e.realScaleType?r.bandwidth()/2:2,u=(t||n)&&"category"===i&&r.bandwidth?r.bandwidth()/l:0;return u="angleAxis"===e.axisType&&(null===a||void 0===a?void 0:a.length)>=2?2*E(a[0]-a[1])*u:u,t&&(e.ticks||e.niceTicks)?(e.ticks||e.niceTicks).map(function(e){var t=o?o.indexOf(e):e;return{coordinate:r(t)+u,value:e,offset:u}}).filter(function(e){return!x()(e.coordinate)}):e.isCategorical&&e.categoricalDomain?e.categoricalDomain.map(function(e,t){return{coordinate:r(e)+u,value:e,index:t,offset:u}}):r.ticks&&!n?r.ticks(e.tickCount).map(function(e){return{coordinate:r(e)+u,value:e,offset:u}}):r.domain().map(function(e,t){return{coordinate:r(e)+u,value:o?o[e]:e,index:t,offset:u}})},id=new WeakMap,ad=function(e,t){if("function"!==typeof t)return e;id.has(e)||id.set(e,new WeakMap);var n=id.get(e);if(n.has(t))return n.get(t);var r=function(){e.apply(void 0,arguments),t.apply(void 0,arguments)};return n.set(t,r),r},ld=1e-4,ud={sign:function(e){var t=e.length;if(!(t<=0))for(var n=0,r=e[0].length;n<r;++n)for(var o=0,i=0,a=0;a<t;++a){var l=x()(e[a][n][1])?e[a][n][0]:e[a][n][1];l>=0?(e[a][n][0]=o,e[a][n][1]=o+l,o=e[a][n][1]):(e[a][n][0]=i,e[a][n][1]=i+l,i=e[a][n][1])}},expand:function(e,t){if((r=e.length)>0){for(var n,r,o,i=0,a=e[0].length;i<a;++i){for(o=n=0;n<r;++n)o+=e[n][i][1]||0;if(o)for(n=0;n<r;++n)e[n][i][1]/=o}Bs(e,t)}},none:Bs,silhouette:function(e,t){if((n=e.length)>0){for(var n,r=0,o=e[t[0]],i=o.length;r<i;++r){for(var a=0,l=0;a<n;++a)l+=e[a][r][1]||0;o[r][1]+=o[r][0]=-l/2}Bs(e,t)}},wiggle:function(e,t){if((o=e.length)>0&&(r=(n=e[t[0]]).length)>0){for(var n,r,o,i=0,a=1;a<r;++a){for(var l=0,u=0,c=0;l<o;++l){for(var s=e[t[l]],f=s[a][1]||0,d=(f-(s[a-1][1]||0))/2,p=0;p<l;++p){var h=e[t[p]];d+=(h[a][1]||0)-(h[a-1][1]||0)}u+=f,c+=d*f}n[a-1][1]+=n[a-1][0]=i,u&&(i-=c/u)}n[a-1][1]+=n[a-1][0]=i,Bs(e,t)}},positive:function(e){var t=e.length;if(!(t<=0))for(var n=0,r=e[0].length;n<r;++n)for(var o=0,i=0;i<t;++i){var a=x()(e[i][n][1])?e[i][n][0]:e[i][n][1];a>=0?(e[i][n][0]=o,e[i][n][1]=o+a,o=e[i][n][1]):(e[i][n][0]=0,e[i][n][1]=0)}}},cd=function(e,t,n){var r=t.map(function(e){return e.props.dataKey}),o=ud[n],i=function(){var e=Yt([]),t=Fs,n=Bs,r=Ls;function o(o){var i,a,l=Array.from(e.apply(this,arguments),Us),u=l.length,c=-1;for(const e of o)for(i=0,++c;i<u;++i)(l[i][c]=[0,+r(e,l[i].key,c,o)]).data=e;for(i=0,a=Rs(t(l));i<u;++i)l[a[i]].index=i;return n(l,a),l}return o.keys=function(t){return arguments.length?(e="function"===typeof t?t:Yt(Array.from(t)),o):e},o.value=function(e){return arguments.length?(r="function"===typeof e?e:Yt(+e),o):r},o.order=function(e){return arguments.length?(t=null==e?Fs:"function"===typeof e?e:Yt(Array.from(e)),o):t},o.offset=function(e){return arguments.length?(n=null==e?Bs:e,o):n},o}().keys(r).value(function(e,t){return+Qf(e,t,0)}).order(Fs).offset(o);return i(e)};function sd(e){var t=e.axis,n=e.ticks,r=e.bandSize,o=e.entry,i=e.index,a=e.dataKey;if("category"===t.type){if(!t.allowDuplicatedCategory&&t.dataKey&&!P()(o[t.dataKey])){var l=z(n,"value",o[t.dataKey]);if(l)return l.coordinate+r/2}return n[i]?n[i].coordinate+r/2:null}var u=Qf(o,P()(a)?t.dataKey:a);return P()(u)?null:t.scale(u)}var fd=function(e){var t=e.axis,n=e.ticks,r=e.offset,o=e.bandSize,i=e.entry,a=e.index;if("category"===t.type)return n[a]?n[a].coordinate+r:null;var l=Qf(i,t.dataKey,t.domain[a]);return P()(l)?null:t.scale(l)-o/2+r},dd=function(e,t,n){return Object.keys(e).reduce(function(r,o){var i=e[o].stackedData.reduce(function(e,r){var o=r.slice(t,n+1).reduce(function(e,t){return[qs()(t.concat([e[0]]).filter(A)),Hs()(t.concat([e[1]]).filter(A))]},[1/0,-1/0]);return[Math.min(e[0],o[0]),Math.max(e[1],o[1])]},[1/0,-1/0]);return[Math.min(i[0],r[0]),Math.max(i[1],r[1])]},[1/0,-1/0]).map(function(e){return e===1/0||e===-1/0?0:e})},pd=/^dataMin[\s]*-[\s]*([0-9]+([.]{1}[0-9]+){0,1})$/,hd=/^dataMax[\s]*\+[\s]*([0-9]+([.]{1}[0-9]+){0,1})$/,yd=function(e,t,n){if(L()(e))return e(t,n);if(!Array.isArray(e))return t;var r=[];if(A(e[0]))r[0]=n?e[0]:Math.min(e[0],t[0]);else if(pd.test(e[0])){var o=+pd.exec(e[0])[1];r[0]=t[0]-o}else L()(e[0])?r[0]=e[0](t[0]):r[0]=t[0];if(A(e[1]))r[1]=n?e[1]:Math.max(e[1],t[1]);else if(hd.test(e[1])){var i=+hd.exec(e[1])[1];r[1]=t[1]+i}else L()(e[1])?r[1]=e[1](t[1]):r[1]=t[1];return r},vd=function(e,t,n){if(e&&e.scale&&e.scale.bandwidth){var r=e.scale.bandwidth();if(!n||r>0)return r}if(e&&t&&t.length>=2){for(var o=Ee()(t,function(e){return e.coordinate}),i=1/0,a=1,l=o.length;a<l;a++){var u=o[a],c=o[a-1];i=Math.min((u.coordinate||0)-(c.coordinate||0),i)}return i===1/0?0:i}return n?void 0:0},md=function(e,t,n){return e&&e.length?Gs()(e,j()(n,"type.defaultProps.domain"))?t:e:t},gd=function(e,t){var n=e.type.defaultProps?Gf(Gf({},e.type.defaultProps),e.props):e.props,r=n.dataKey,o=n.name,i=n.unit,a=n.formatter,l=n.tooltipType,u=n.chartType,c=n.hide;return Gf(Gf({},pe(e,!1)),{},{dataKey:r,unit:i,formatter:a,name:o||r,color:Jf(e),value:Qf(t,r),type:l,payload:t,chartType:u,hide:c})};function bd(e){return bd="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},bd(e)}function xd(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function wd(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?xd(Object(n),!0).forEach(function(t){jd(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):xd(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function jd(e,t,n){return t=function(e){var t=function(e,t){if("object"!=bd(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=bd(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==bd(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var Sd=["Webkit","Moz","O","ms"];function Od(e){return Od="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Od(e)}function kd(){return kd=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},kd.apply(this,arguments)}function Pd(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ed(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Pd(Object(n),!0).forEach(function(t){Nd(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Pd(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function _d(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Dd(r.key),r)}}function Ad(e,t,n){return t=Td(t),function(e,t){if(t&&("object"===Od(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Cd()?Reflect.construct(t,n||[],Td(e).constructor):t.apply(e,n))}function Cd(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Cd=function(){return!!e})()}function Td(e){return Td=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Td(e)}function Md(e,t){return Md=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Md(e,t)}function Nd(e,t,n){return(t=Dd(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Dd(e){var t=function(e,t){if("object"!=Od(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Od(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Od(t)?t:t+""}var Id=function(e){return e.changedTouches&&!!e.changedTouches.length},zd=function(e){function n(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),Nd(t=Ad(this,n,[e]),"handleDrag",function(e){t.leaveTimer&&(clearTimeout(t.leaveTimer),t.leaveTimer=null),t.state.isTravellerMoving?t.handleTravellerMove(e):t.state.isSlideMoving&&t.handleSlideDrag(e)}),Nd(t,"handleTouchMove",function(e){null!=e.changedTouches&&e.changedTouches.length>0&&t.handleDrag(e.changedTouches[0])}),Nd(t,"handleDragEnd",function(){t.setState({isTravellerMoving:!1,isSlideMoving:!1},function(){var e=t.props,n=e.endIndex,r=e.onDragEnd,o=e.startIndex;null===r||void 0===r||r({endIndex:n,startIndex:o})}),t.detachDragEndListener()}),Nd(t,"handleLeaveWrapper",function(){(t.state.isTravellerMoving||t.state.isSlideMoving)&&(t.leaveTimer=window.setTimeout(t.handleDragEnd,t.props.leaveTimeOut))}),Nd(t,"handleEnterSlideOrTraveller",function(){t.setState({isTextActive:!0})}),Nd(t,"handleLeaveSlideOrTraveller",function(){t.setState({isTextActive:!1})}),Nd(t,"handleSlideDragStart",function(e){var n=Id(e)?e.changedTouches[0]:e;t.setState({isTravellerMoving:!1,isSlideMoving:!0,slideMoveStartX:n.pageX}),t.attachDragEndListener()}),t.travellerDragStartHandlers={startX:t.handleTravellerDragStart.bind(t,"startX"),endX:t.handleTravellerDragStart.bind(t,"endX")},t.state={},t}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Md(e,t)}(n,e),r=n,o=[{key:"componentWillUnmount",value:function(){this.leaveTimer&&(clearTimeout(this.leaveTimer),this.leaveTimer=null),this.detachDragEndListener()}},{key:"getIndex",value:function(e){var t=e.startX,r=e.endX,o=this.state.scaleValues,i=this.props,a=i.gap,l=i.data.length-1,u=Math.min(t,r),c=Math.max(t,r),s=n.getIndexInRange(o,u),f=n.getIndexInRange(o,c);return{startIndex:s-s%a,endIndex:f===l?l:f-f%a}}},{key:"getTextOfTick",value:function(e){var t=this.props,n=t.data,r=t.tickFormatter,o=t.dataKey,i=Qf(n[e],o,e);return L()(r)?r(i,e):i}},{key:"attachDragEndListener",value:function(){window.addEventListener("mouseup",this.handleDragEnd,!0),window.addEventListener("touchend",this.handleDragEnd,!0),window.addEventListener("mousemove",this.handleDrag,!0)}},{key:"detachDragEndListener",value:function(){window.removeEventListener("mouseup",this.handleDragEnd,!0),window.removeEventListener("touchend",this.handleDragEnd,!0),window.removeEventListener("mousemove",this.handleDrag,!0)}},{key:"handleSlideDrag",value:function(e){var t=this.state,n=t.slideMoveStartX,r=t.startX,o=t.endX,i=this.props,a=i.x,l=i.width,u=i.travellerWidth,c=i.startIndex,s=i.endIndex,f=i.onChange,d=e.pageX-n;d>0?d=Math.min(d,a+l-u-o,a+l-u-r):d<0&&(d=Math.max(d,a-r,a-o));var p=this.getIndex({startX:r+d,endX:o+d});p.startIndex===c&&p.endIndex===s||!f||f(p),this.setState({startX:r+d,endX:o+d,slideMoveStartX:e.pageX})}},{key:"handleTravellerDragStart",value:function(e,t){var n=Id(t)?t.changedTouches[0]:t;this.setState({isSlideMoving:!1,isTravellerMoving:!0,movingTravellerId:e,brushMoveStartX:n.pageX}),this.attachDragEndListener()}},{key:"handleTravellerMove",value:function(e){var t=this.state,n=t.brushMoveStartX,r=t.movingTravellerId,o=t.endX,i=t.startX,a=this.state[r],l=this.props,u=l.x,c=l.width,s=l.travellerWidth,f=l.onChange,d=l.gap,p=l.data,h={startX:this.state.startX,endX:this.state.endX},y=e.pageX-n;y>0?y=Math.min(y,u+c-s-a):y<0&&(y=Math.max(y,u-a)),h[r]=a+y;var v=this.getIndex(h),m=v.startIndex,g=v.endIndex;this.setState(Nd(Nd({},r,a+y),"brushMoveStartX",e.pageX),function(){f&&function(){var e=p.length-1;return"startX"===r&&(o>i?m%d===0:g%d===0)||o<i&&g===e||"endX"===r&&(o>i?g%d===0:m%d===0)||o>i&&g===e}()&&f(v)})}},{key:"handleTravellerMoveKeyboard",value:function(e,t){var n=this,r=this.state,o=r.scaleValues,i=r.startX,a=r.endX,l=this.state[t],u=o.indexOf(l);if(-1!==u){var c=u+e;if(!(-1===c||c>=o.length)){var s=o[c];"startX"===t&&s>=a||"endX"===t&&s<=i||this.setState(Nd({},t,s),function(){n.props.onChange(n.getIndex({startX:n.state.startX,endX:n.state.endX}))})}}}},{key:"renderBackground",value:function(){var e=this.props,n=e.x,r=e.y,o=e.width,i=e.height,a=e.fill,l=e.stroke;return t.createElement("rect",{stroke:l,fill:a,x:n,y:r,width:o,height:i})}},{key:"renderPanorama",value:function(){var e=this.props,n=e.x,r=e.y,o=e.width,i=e.height,a=e.data,l=e.children,u=e.padding,c=t.Children.only(l);return c?t.cloneElement(c,{x:n,y:r,width:o,height:i,margin:u,compact:!0,data:a}):null}},{key:"renderTravellerLayer",value:function(e,r){var o,i,a=this,l=this.props,u=l.y,c=l.travellerWidth,s=l.height,f=l.traveller,d=l.ariaLabel,p=l.data,h=l.startIndex,y=l.endIndex,v=Math.max(e,this.props.x),m=Ed(Ed({},pe(this.props,!1)),{},{x:v,y:u,width:c,height:s}),g=d||"Min value: ".concat(null===(o=p[h])||void 0===o?void 0:o.name,", Max value: ").concat(null===(i=p[y])||void 0===i?void 0:i.name);return t.createElement(Be,{tabIndex:0,role:"slider","aria-label":g,"aria-valuenow":e,className:"recharts-brush-traveller",onMouseEnter:this.handleEnterSlideOrTraveller,onMouseLeave:this.handleLeaveSlideOrTraveller,onMouseDown:this.travellerDragStartHandlers[r],onTouchStart:this.travellerDragStartHandlers[r],onKeyDown:function(e){["ArrowLeft","ArrowRight"].includes(e.key)&&(e.preventDefault(),e.stopPropagation(),a.handleTravellerMoveKeyboard("ArrowRight"===e.key?1:-1,r))},onFocus:function(){a.setState({isTravellerFocused:!0})},onBlur:function(){a.setState({isTravellerFocused:!1})},style:{cursor:"col-resize"}},n.renderTraveller(f,m))}},{key:"renderSlide",value:function(e,n){var r=this.props,o=r.y,i=r.height,a=r.stroke,l=r.travellerWidth,u=Math.min(e,n)+l,c=Math.max(Math.abs(n-e)-l,0);return t.createElement("rect",{className:"recharts-brush-slide",onMouseEnter:this.handleEnterSlideOrTraveller,onMouseLeave:this.handleLeaveSlideOrTraveller,onMouseDown:this.handleSlideDragStart,onTouchStart:this.handleSlideDragStart,style:{cursor:"move"},stroke:"none",fill:a,fillOpacity:.2,x:u,y:o,width:c,height:i})}},{key:"renderText",value:function(){var e=this.props,n=e.startIndex,r=e.endIndex,o=e.y,i=e.height,a=e.travellerWidth,l=e.stroke,u=this.state,c=u.startX,s=u.endX,f={pointerEvents:"none",fill:l};return t.createElement(Be,{className:"recharts-brush-texts"},t.createElement(Li,kd({textAnchor:"end",verticalAnchor:"middle",x:Math.min(c,s)-5,y:o+i/2},f),this.getTextOfTick(n)),t.createElement(Li,kd({textAnchor:"start",verticalAnchor:"middle",x:Math.max(c,s)+a+5,y:o+i/2},f),this.getTextOfTick(r)))}},{key:"render",value:function(){var e=this.props,n=e.data,r=e.className,o=e.children,i=e.x,a=e.y,l=e.width,u=e.height,c=e.alwaysShowText,s=this.state,f=s.startX,d=s.endX,p=s.isTextActive,y=s.isSlideMoving,v=s.isTravellerMoving,m=s.isTravellerFocused;if(!n||!n.length||!A(i)||!A(a)||!A(l)||!A(u)||l<=0||u<=0)return null;var g=h("recharts-brush",r),b=1===t.Children.count(o),x=function(e,t){if(!e)return null;var n=e.replace(/(\w)/,function(e){return e.toUpperCase()}),r=Sd.reduce(function(e,r){return wd(wd({},e),{},jd({},r+n,t))},{});return r[e]=t,r}("userSelect","none");return t.createElement(Be,{className:g,onMouseLeave:this.handleLeaveWrapper,onTouchMove:this.handleTouchMove,style:x},this.renderBackground(),b&&this.renderPanorama(),this.renderSlide(f,d),this.renderTravellerLayer(f,"startX"),this.renderTravellerLayer(d,"endX"),(p||y||v||m||c)&&this.renderText())}}],i=[{key:"renderDefaultTraveller",value:function(e){var n=e.x,r=e.y,o=e.width,i=e.height,a=e.stroke,l=Math.floor(r+i/2)-1;return t.createElement(t.Fragment,null,t.createElement("rect",{x:n,y:r,width:o,height:i,fill:a,stroke:"none"}),t.createElement("line",{x1:n+1,y1:l,x2:n+o-1,y2:l,fill:"none",stroke:"#fff"}),t.createElement("line",{x1:n+1,y1:l+2,x2:n+o-1,y2:l+2,fill:"none",stroke:"#fff"}))}},{key:"renderTraveller",value:function(e,r){return t.isValidElement(e)?t.cloneElement(e,r):L()(e)?e(r):n.renderDefaultTraveller(r)}},{key:"getDerivedStateFromProps",value:function(e,t){var n=e.data,r=e.width,o=e.x,i=e.travellerWidth,a=e.updateId,l=e.startIndex,u=e.endIndex;if(n!==t.prevData||a!==t.prevUpdateId)return Ed({prevData:n,prevTravellerWidth:i,prevUpdateId:a,prevX:o,prevWidth:r},n&&n.length?function(e){var t=e.data,n=e.startIndex,r=e.endIndex,o=e.x,i=e.width,a=e.travellerWidth;if(!t||!t.length)return{};var l=t.length,u=ri().domain(ke()(0,l)).range([o,o+i-a]),c=u.domain().map(function(e){return u(e)});return{isTextActive:!1,isSlideMoving:!1,isTravellerMoving:!1,isTravellerFocused:!1,startX:u(n),endX:u(r),scale:u,scaleValues:c}}({data:n,width:r,x:o,travellerWidth:i,startIndex:l,endIndex:u}):{scale:null,scaleValues:null});if(t.scale&&(r!==t.prevWidth||o!==t.prevX||i!==t.prevTravellerWidth)){t.scale.range([o,o+r-i]);var c=t.scale.domain().map(function(e){return t.scale(e)});return{prevData:n,prevTravellerWidth:i,prevUpdateId:a,prevX:o,prevWidth:r,startX:t.scale(e.startIndex),endX:t.scale(e.endIndex),scaleValues:c}}return null}},{key:"getIndexInRange",value:function(e,t){for(var n=0,r=e.length-1;r-n>1;){var o=Math.floor((n+r)/2);e[o]>t?r=o:n=o}return t>=e[r]?r:n}}],o&&_d(r.prototype,o),i&&_d(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function Bd(e){return Bd="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Bd(e)}function Rd(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Fd(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Rd(Object(n),!0).forEach(function(t){Ld(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Rd(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Ld(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Bd(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Bd(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Bd(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}Nd(zd,"displayName","Brush"),Nd(zd,"defaultProps",{height:40,travellerWidth:5,gap:1,fill:"#fff",stroke:"#666",padding:{top:1,right:1,bottom:1,left:1},leaveTimeOut:1e3,alwaysShowText:!1});var Ud=Math.PI/180,Wd=function(e){return 180*e/Math.PI},Hd=function(e,t,n,r){return{x:e+Math.cos(-Ud*r)*n,y:t+Math.sin(-Ud*r)*n}},Vd=function(e,t){var n=e.x,r=e.y,o=t.cx,i=t.cy,a=function(e,t){var n=e.x,r=e.y,o=t.x,i=t.y;return Math.sqrt(Math.pow(n-o,2)+Math.pow(r-i,2))}({x:n,y:r},{x:o,y:i});if(a<=0)return{radius:a};var l=(n-o)/a,u=Math.acos(l);return r>i&&(u=2*Math.PI-u),{radius:a,angle:Wd(u),angleInRadian:u}},qd=function(e,t){var n=t.startAngle,r=t.endAngle,o=Math.floor(n/360),i=Math.floor(r/360);return e+360*Math.min(o,i)},$d=function(e,t){var n=e.x,r=e.y,o=Vd({x:n,y:r},t),i=o.radius,a=o.angle,l=t.innerRadius,u=t.outerRadius;if(i<l||i>u)return!1;if(0===i)return!0;var c,s=function(e){var t=e.startAngle,n=e.endAngle,r=Math.floor(t/360),o=Math.floor(n/360),i=Math.min(r,o);return{startAngle:t-360*i,endAngle:n-360*i}}(t),f=s.startAngle,d=s.endAngle,p=a;if(f<=d){for(;p>d;)p-=360;for(;p<f;)p+=360;c=p>=f&&p<=d}else{for(;p>f;)p-=360;for(;p<d;)p+=360;c=p>=d&&p<=f}return c?Fd(Fd({},t),{},{radius:i,angle:qd(p,t)}):null};function Kd(e){return Kd="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Kd(e)}var Xd=["offset"];function Gd(e){return function(e){if(Array.isArray(e))return Yd(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Yd(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Yd(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Yd(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Qd(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Zd(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Jd(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Zd(Object(n),!0).forEach(function(t){ep(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Zd(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function ep(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Kd(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Kd(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Kd(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function tp(){return tp=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},tp.apply(this,arguments)}var np=function(e,n,r){var o,i,a=e.position,l=e.viewBox,u=e.offset,c=e.className,s=l,f=s.cx,d=s.cy,p=s.innerRadius,y=s.outerRadius,v=s.startAngle,m=s.endAngle,g=s.clockWise,b=(p+y)/2,x=function(e,t){return E(t-e)*Math.min(Math.abs(t-e),360)}(v,m),w=x>=0?1:-1;"insideStart"===a?(o=v+w*u,i=g):"insideEnd"===a?(o=m-w*u,i=!g):"end"===a&&(o=m+w*u,i=g),i=x<=0?i:!i;var j=Hd(f,d,b,o),S=Hd(f,d,b,o+359*(i?1:-1)),O="M".concat(j.x,",").concat(j.y,"\n    A").concat(b,",").concat(b,",0,1,").concat(i?0:1,",\n    ").concat(S.x,",").concat(S.y),k=P()(e.id)?M("recharts-radial-line-"):e.id;return t.createElement("text",tp({},r,{dominantBaseline:"central",className:h("recharts-radial-bar-label",c)}),t.createElement("defs",null,t.createElement("path",{id:k,d:O})),t.createElement("textPath",{xlinkHref:"#".concat(k)},n))};function rp(e){var n,r=e.offset,o=Jd({offset:void 0===r?5:r},Qd(e,Xd)),i=o.viewBox,a=o.position,l=o.value,u=o.children,c=o.content,s=o.className,f=void 0===s?"":s,d=o.textBreakAll;if(!i||P()(l)&&P()(u)&&!(0,t.isValidElement)(c)&&!L()(c))return null;if((0,t.isValidElement)(c))return(0,t.cloneElement)(c,o);if(L()(c)){if(n=(0,t.createElement)(c,o),(0,t.isValidElement)(n))return n}else n=function(e){var t=e.value,n=e.formatter,r=P()(e.children)?t:e.children;return L()(n)?n(r):r}(o);var p=function(e){return"cx"in e&&A(e.cx)}(i),y=pe(o,!0);if(p&&("insideStart"===a||"insideEnd"===a||"end"===a))return np(o,n,y);var v=p?function(e){var t=e.viewBox,n=e.offset,r=e.position,o=t,i=o.cx,a=o.cy,l=o.innerRadius,u=o.outerRadius,c=(o.startAngle+o.endAngle)/2;if("outside"===r){var s=Hd(i,a,u+n,c),f=s.x;return{x:f,y:s.y,textAnchor:f>=i?"start":"end",verticalAnchor:"middle"}}if("center"===r)return{x:i,y:a,textAnchor:"middle",verticalAnchor:"middle"};if("centerTop"===r)return{x:i,y:a,textAnchor:"middle",verticalAnchor:"start"};if("centerBottom"===r)return{x:i,y:a,textAnchor:"middle",verticalAnchor:"end"};var d=Hd(i,a,(l+u)/2,c);return{x:d.x,y:d.y,textAnchor:"middle",verticalAnchor:"middle"}}(o):function(e){var t=e.viewBox,n=e.parentViewBox,r=e.offset,o=e.position,i=t,a=i.x,l=i.y,u=i.width,c=i.height,s=c>=0?1:-1,f=s*r,d=s>0?"end":"start",p=s>0?"start":"end",h=u>=0?1:-1,y=h*r,v=h>0?"end":"start",m=h>0?"start":"end";if("top"===o)return Jd(Jd({},{x:a+u/2,y:l-s*r,textAnchor:"middle",verticalAnchor:d}),n?{height:Math.max(l-n.y,0),width:u}:{});if("bottom"===o)return Jd(Jd({},{x:a+u/2,y:l+c+f,textAnchor:"middle",verticalAnchor:p}),n?{height:Math.max(n.y+n.height-(l+c),0),width:u}:{});if("left"===o){var g={x:a-y,y:l+c/2,textAnchor:v,verticalAnchor:"middle"};return Jd(Jd({},g),n?{width:Math.max(g.x-n.x,0),height:c}:{})}if("right"===o){var b={x:a+u+y,y:l+c/2,textAnchor:m,verticalAnchor:"middle"};return Jd(Jd({},b),n?{width:Math.max(n.x+n.width-b.x,0),height:c}:{})}var x=n?{width:u,height:c}:{};return"insideLeft"===o?Jd({x:a+y,y:l+c/2,textAnchor:m,verticalAnchor:"middle"},x):"insideRight"===o?Jd({x:a+u-y,y:l+c/2,textAnchor:v,verticalAnchor:"middle"},x):"insideTop"===o?Jd({x:a+u/2,y:l+f,textAnchor:"middle",verticalAnchor:p},x):"insideBottom"===o?Jd({x:a+u/2,y:l+c-f,textAnchor:"middle",verticalAnchor:d},x):"insideTopLeft"===o?Jd({x:a+y,y:l+f,textAnchor:m,verticalAnchor:p},x):"insideTopRight"===o?Jd({x:a+u-y,y:l+f,textAnchor:v,verticalAnchor:p},x):"insideBottomLeft"===o?Jd({x:a+y,y:l+c-f,textAnchor:m,verticalAnchor:d},x):"insideBottomRight"===o?Jd({x:a+u-y,y:l+c-f,textAnchor:v,verticalAnchor:d},x):W()(o)&&(A(o.x)||_(o.x))&&(A(o.y)||_(o.y))?Jd({x:a+N(o.x,u),y:l+N(o.y,c),textAnchor:"end",verticalAnchor:"end"},x):Jd({x:a+u/2,y:l+c/2,textAnchor:"middle",verticalAnchor:"middle"},x)}(o);return t.createElement(Li,tp({className:h("recharts-label",f)},y,v,{breakAll:d}),n)}rp.displayName="Label";var op=function(e){var t=e.cx,n=e.cy,r=e.angle,o=e.startAngle,i=e.endAngle,a=e.r,l=e.radius,u=e.innerRadius,c=e.outerRadius,s=e.x,f=e.y,d=e.top,p=e.left,h=e.width,y=e.height,v=e.clockWise,m=e.labelViewBox;if(m)return m;if(A(h)&&A(y)){if(A(s)&&A(f))return{x:s,y:f,width:h,height:y};if(A(d)&&A(p))return{x:d,y:p,width:h,height:y}}return A(s)&&A(f)?{x:s,y:f,width:0,height:0}:A(t)&&A(n)?{cx:t,cy:n,startAngle:o||r||0,endAngle:i||r||0,innerRadius:u||0,outerRadius:c||l||a||0,clockWise:v}:e.viewBox?e.viewBox:{}};rp.parseViewBox=op,rp.renderCallByParent=function(e,n){var r=!(arguments.length>2&&void 0!==arguments[2])||arguments[2];if(!e||!e.children&&r&&!e.label)return null;var o=e.children,i=op(e),a=le(o,rp).map(function(e,r){return(0,t.cloneElement)(e,{viewBox:n||i,key:"label-".concat(r)})});if(!r)return a;var l=function(e,n){return e?!0===e?t.createElement(rp,{key:"label-implicit",viewBox:n}):C(e)?t.createElement(rp,{key:"label-implicit",viewBox:n,value:e}):(0,t.isValidElement)(e)?e.type===rp?(0,t.cloneElement)(e,{key:"label-implicit",viewBox:n}):t.createElement(rp,{key:"label-implicit",content:e,viewBox:n}):L()(e)?t.createElement(rp,{key:"label-implicit",content:e,viewBox:n}):W()(e)?t.createElement(rp,tp({viewBox:n},e,{key:"label-implicit"})):null:null}(e.label,n||i);return[l].concat(Gd(a))};var ip=function(e,t){var n=e.alwaysShow,r=e.ifOverflow;return n&&(r="extendDomain"),r===t},ap=n(1733),lp=n.n(ap),up=n(7002),cp=n.n(up),sp=function(e){return null};sp.displayName="Cell";var fp=n(4065),dp=n.n(fp);function pp(e){return pp="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},pp(e)}var hp=["valueAccessor"],yp=["data","dataKey","clockWise","id","textBreakAll"];function vp(e){return function(e){if(Array.isArray(e))return mp(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return mp(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return mp(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function mp(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function gp(){return gp=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},gp.apply(this,arguments)}function bp(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function xp(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?bp(Object(n),!0).forEach(function(t){wp(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):bp(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function wp(e,t,n){return t=function(e){var t=function(e,t){if("object"!=pp(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=pp(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==pp(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function jp(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var Sp=function(e){return Array.isArray(e.value)?dp()(e.value):e.value};function Op(e){var n=e.valueAccessor,r=void 0===n?Sp:n,o=jp(e,hp),i=o.data,a=o.dataKey,l=o.clockWise,u=o.id,c=o.textBreakAll,s=jp(o,yp);return i&&i.length?t.createElement(Be,{className:"recharts-label-list"},i.map(function(e,n){var o=P()(a)?r(e,n):Qf(e&&e.payload,a),i=P()(u)?{}:{id:"".concat(u,"-").concat(n)};return t.createElement(rp,gp({},pe(e,!0),s,i,{parentViewBox:e.parentViewBox,value:o,textBreakAll:c,viewBox:rp.parseViewBox(P()(l)?e:xp(xp({},e),{},{clockWise:l})),key:"label-".concat(n),index:n}))})):null}Op.displayName="LabelList",Op.renderCallByParent=function(e,n){var r=!(arguments.length>2&&void 0!==arguments[2])||arguments[2];if(!e||!e.children&&r&&!e.label)return null;var o=le(e.children,Op).map(function(e,r){return(0,t.cloneElement)(e,{data:n,key:"labelList-".concat(r)})});return r?[function(e,n){return e?!0===e?t.createElement(Op,{key:"labelList-implicit",data:n}):t.isValidElement(e)||L()(e)?t.createElement(Op,{key:"labelList-implicit",data:n,content:e}):W()(e)?t.createElement(Op,gp({data:n},e,{key:"labelList-implicit"})):null:null}(e.label,n)].concat(vp(o)):o};var kp=n(2322),Pp=n.n(kp),Ep=n(6361),_p=n.n(Ep);function Ap(e){return Ap="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Ap(e)}function Cp(){return Cp=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Cp.apply(this,arguments)}function Tp(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Mp(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Mp(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Mp(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Np(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Dp(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Np(Object(n),!0).forEach(function(t){Ip(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Np(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Ip(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Ap(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Ap(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Ap(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var zp=function(e,t,n,r,o){var i,a=n-r;return i="M ".concat(e,",").concat(t),i+="L ".concat(e+n,",").concat(t),i+="L ".concat(e+n-a/2,",").concat(t+o),i+="L ".concat(e+n-a/2-r,",").concat(t+o),i+="L ".concat(e,",").concat(t," Z")},Bp={x:0,y:0,upperWidth:0,lowerWidth:0,height:0,isUpdateAnimationActive:!1,animationBegin:0,animationDuration:1500,animationEasing:"ease"},Rp=function(e){var n=Dp(Dp({},Bp),e),r=(0,t.useRef)(),o=Tp((0,t.useState)(-1),2),i=o[0],a=o[1];(0,t.useEffect)(function(){if(r.current&&r.current.getTotalLength)try{var e=r.current.getTotalLength();e&&a(e)}catch(t){}},[]);var l=n.x,u=n.y,c=n.upperWidth,s=n.lowerWidth,f=n.height,d=n.className,p=n.animationEasing,y=n.animationDuration,v=n.animationBegin,m=n.isUpdateAnimationActive;if(l!==+l||u!==+u||c!==+c||s!==+s||f!==+f||0===c&&0===s||0===f)return null;var g=h("recharts-trapezoid",d);return m?t.createElement(Do,{canBegin:i>0,from:{upperWidth:0,lowerWidth:0,height:f,x:l,y:u},to:{upperWidth:c,lowerWidth:s,height:f,x:l,y:u},duration:y,animationEasing:p,isActive:m},function(e){var o=e.upperWidth,a=e.lowerWidth,l=e.height,u=e.x,c=e.y;return t.createElement(Do,{canBegin:i>0,from:"0px ".concat(-1===i?1:i,"px"),to:"".concat(i,"px 0px"),attributeName:"strokeDasharray",begin:v,duration:y,easing:p},t.createElement("path",Cp({},pe(n,!0),{className:g,d:zp(u,c,o,a,l),ref:r})))}):t.createElement("g",null,t.createElement("path",Cp({},pe(n,!0),{className:g,d:zp(l,u,c,s,f)})))};function Fp(e){return Fp="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Fp(e)}function Lp(){return Lp=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Lp.apply(this,arguments)}function Up(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Wp(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Up(Object(n),!0).forEach(function(t){Hp(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Up(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Hp(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Fp(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Fp(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Fp(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var Vp=function(e){var t=e.cx,n=e.cy,r=e.radius,o=e.angle,i=e.sign,a=e.isExternal,l=e.cornerRadius,u=e.cornerIsExternal,c=l*(a?1:-1)+r,s=Math.asin(l/c)/Ud,f=u?o:o+i*s,d=u?o-i*s:o;return{center:Hd(t,n,c,f),circleTangency:Hd(t,n,r,f),lineTangency:Hd(t,n,c*Math.cos(s*Ud),d),theta:s}},qp=function(e){var t=e.cx,n=e.cy,r=e.innerRadius,o=e.outerRadius,i=e.startAngle,a=function(e,t){return E(t-e)*Math.min(Math.abs(t-e),359.999)}(i,e.endAngle),l=i+a,u=Hd(t,n,o,i),c=Hd(t,n,o,l),s="M ".concat(u.x,",").concat(u.y,"\n    A ").concat(o,",").concat(o,",0,\n    ").concat(+(Math.abs(a)>180),",").concat(+(i>l),",\n    ").concat(c.x,",").concat(c.y,"\n  ");if(r>0){var f=Hd(t,n,r,i),d=Hd(t,n,r,l);s+="L ".concat(d.x,",").concat(d.y,"\n            A ").concat(r,",").concat(r,",0,\n            ").concat(+(Math.abs(a)>180),",").concat(+(i<=l),",\n            ").concat(f.x,",").concat(f.y," Z")}else s+="L ".concat(t,",").concat(n," Z");return s},$p={cx:0,cy:0,innerRadius:0,outerRadius:0,startAngle:0,endAngle:0,cornerRadius:0,forceCornerRadius:!1,cornerIsExternal:!1},Kp=function(e){var n=Wp(Wp({},$p),e),r=n.cx,o=n.cy,i=n.innerRadius,a=n.outerRadius,l=n.cornerRadius,u=n.forceCornerRadius,c=n.cornerIsExternal,s=n.startAngle,f=n.endAngle,d=n.className;if(a<i||s===f)return null;var p,y=h("recharts-sector",d),v=a-i,m=N(l,v,0,!0);return p=m>0&&Math.abs(s-f)<360?function(e){var t=e.cx,n=e.cy,r=e.innerRadius,o=e.outerRadius,i=e.cornerRadius,a=e.forceCornerRadius,l=e.cornerIsExternal,u=e.startAngle,c=e.endAngle,s=E(c-u),f=Vp({cx:t,cy:n,radius:o,angle:u,sign:s,cornerRadius:i,cornerIsExternal:l}),d=f.circleTangency,p=f.lineTangency,h=f.theta,y=Vp({cx:t,cy:n,radius:o,angle:c,sign:-s,cornerRadius:i,cornerIsExternal:l}),v=y.circleTangency,m=y.lineTangency,g=y.theta,b=l?Math.abs(u-c):Math.abs(u-c)-h-g;if(b<0)return a?"M ".concat(p.x,",").concat(p.y,"\n        a").concat(i,",").concat(i,",0,0,1,").concat(2*i,",0\n        a").concat(i,",").concat(i,",0,0,1,").concat(2*-i,",0\n      "):qp({cx:t,cy:n,innerRadius:r,outerRadius:o,startAngle:u,endAngle:c});var x="M ".concat(p.x,",").concat(p.y,"\n    A").concat(i,",").concat(i,",0,0,").concat(+(s<0),",").concat(d.x,",").concat(d.y,"\n    A").concat(o,",").concat(o,",0,").concat(+(b>180),",").concat(+(s<0),",").concat(v.x,",").concat(v.y,"\n    A").concat(i,",").concat(i,",0,0,").concat(+(s<0),",").concat(m.x,",").concat(m.y,"\n  ");if(r>0){var w=Vp({cx:t,cy:n,radius:r,angle:u,sign:s,isExternal:!0,cornerRadius:i,cornerIsExternal:l}),j=w.circleTangency,S=w.lineTangency,O=w.theta,k=Vp({cx:t,cy:n,radius:r,angle:c,sign:-s,isExternal:!0,cornerRadius:i,cornerIsExternal:l}),P=k.circleTangency,_=k.lineTangency,A=k.theta,C=l?Math.abs(u-c):Math.abs(u-c)-O-A;if(C<0&&0===i)return"".concat(x,"L").concat(t,",").concat(n,"Z");x+="L".concat(_.x,",").concat(_.y,"\n      A").concat(i,",").concat(i,",0,0,").concat(+(s<0),",").concat(P.x,",").concat(P.y,"\n      A").concat(r,",").concat(r,",0,").concat(+(C>180),",").concat(+(s>0),",").concat(j.x,",").concat(j.y,"\n      A").concat(i,",").concat(i,",0,0,").concat(+(s<0),",").concat(S.x,",").concat(S.y,"Z")}else x+="L".concat(t,",").concat(n,"Z");return x}({cx:r,cy:o,innerRadius:i,outerRadius:a,cornerRadius:Math.min(m,v/2),forceCornerRadius:u,cornerIsExternal:c,startAngle:s,endAngle:f}):qp({cx:r,cy:o,innerRadius:i,outerRadius:a,startAngle:s,endAngle:f}),t.createElement("path",Lp({},pe(n,!0),{className:y,d:p,role:"img"}))},Xp=["option","shapeType","propTransformer","activeClassName","isActive"];function Gp(e){return Gp="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Gp(e)}function Yp(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Qp(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Zp(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Qp(Object(n),!0).forEach(function(t){Jp(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Qp(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Jp(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Gp(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Gp(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Gp(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function eh(e,t){return Zp(Zp({},t),e)}function th(e){var n=e.shapeType,r=e.elementProps;switch(n){case"rectangle":return t.createElement(qo,r);case"trapezoid":return t.createElement(Rp,r);case"sector":return t.createElement(Kp,r);case"symbols":if(function(e){return"symbols"===e}(n))return t.createElement(An,r);break;default:return null}}function nh(e){var n,r=e.option,o=e.shapeType,i=e.propTransformer,a=void 0===i?eh:i,l=e.activeClassName,u=void 0===l?"recharts-active-shape":l,c=e.isActive,s=Yp(e,Xp);if((0,t.isValidElement)(r))n=(0,t.cloneElement)(r,Zp(Zp({},s),function(e){return(0,t.isValidElement)(e)?e.props:e}(r)));else if(L()(r))n=r(s);else if(Pp()(r)&&!_p()(r)){var f=a(r,s);n=t.createElement(th,{shapeType:o,elementProps:f})}else{var d=s;n=t.createElement(th,{shapeType:o,elementProps:d})}return c?t.createElement(Be,{className:u},n):n}function rh(e,t){return null!=t&&"trapezoids"in e.props}function oh(e,t){return null!=t&&"sectors"in e.props}function ih(e,t){return null!=t&&"points"in e.props}function ah(e,t){var n,r,o=e.x===(null===t||void 0===t||null===(n=t.labelViewBox)||void 0===n?void 0:n.x)||e.x===t.x,i=e.y===(null===t||void 0===t||null===(r=t.labelViewBox)||void 0===r?void 0:r.y)||e.y===t.y;return o&&i}function lh(e,t){var n=e.endAngle===t.endAngle,r=e.startAngle===t.startAngle;return n&&r}function uh(e,t){var n=e.x===t.x,r=e.y===t.y,o=e.z===t.z;return n&&r&&o}function ch(e){var t=e.activeTooltipItem,n=e.graphicalItem,r=e.itemData,o=function(e,t){var n;return rh(e,t)?n="trapezoids":oh(e,t)?n="sectors":ih(e,t)&&(n="points"),n}(n,t),i=function(e,t){var n,r;return rh(e,t)?null===(n=t.tooltipPayload)||void 0===n||null===(n=n[0])||void 0===n||null===(n=n.payload)||void 0===n?void 0:n.payload:oh(e,t)?null===(r=t.tooltipPayload)||void 0===r||null===(r=r[0])||void 0===r||null===(r=r.payload)||void 0===r?void 0:r.payload:ih(e,t)?t.payload:{}}(n,t),a=r.filter(function(e,r){var a=Gs()(i,e),l=n.props[o].filter(function(e){var r=function(e,t){var n;return rh(e,t)?n=ah:oh(e,t)?n=lh:ih(e,t)&&(n=uh),n}(n,t);return r(e,t)}),u=n.props[o].indexOf(l[l.length-1]);return a&&r===u});return r.indexOf(a[a.length-1])}var sh=["x","y"];function fh(e){return fh="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},fh(e)}function dh(){return dh=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},dh.apply(this,arguments)}function ph(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function hh(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?ph(Object(n),!0).forEach(function(t){yh(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):ph(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function yh(e,t,n){return t=function(e){var t=function(e,t){if("object"!=fh(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=fh(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==fh(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function vh(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function mh(e,t){var n=e.x,r=e.y,o=vh(e,sh),i="".concat(n),a=parseInt(i,10),l="".concat(r),u=parseInt(l,10),c="".concat(t.height||o.height),s=parseInt(c,10),f="".concat(t.width||o.width),d=parseInt(f,10);return hh(hh(hh(hh(hh({},t),o),a?{x:a}:{}),u?{y:u}:{}),{},{height:s,width:d,name:t.name,radius:t.radius})}function gh(e){return t.createElement(nh,dh({shapeType:"rectangle",propTransformer:mh,activeClassName:"recharts-active-bar"},e))}var bh,xh=function(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0;return function(n,r){if("number"===typeof e)return e;var o=A(n)||function(e){return P()(e)}(n);return o?e(n,r):(o||Ae(!1),t)}},wh=["value","background"];function jh(e){return jh="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},jh(e)}function Sh(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Oh(){return Oh=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Oh.apply(this,arguments)}function kh(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ph(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?kh(Object(n),!0).forEach(function(t){Mh(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):kh(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Eh(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Nh(r.key),r)}}function _h(e,t,n){return t=Ch(t),function(e,t){if(t&&("object"===jh(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Ah()?Reflect.construct(t,n||[],Ch(e).constructor):t.apply(e,n))}function Ah(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Ah=function(){return!!e})()}function Ch(e){return Ch=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Ch(e)}function Th(e,t){return Th=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Th(e,t)}function Mh(e,t,n){return(t=Nh(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Nh(e){var t=function(e,t){if("object"!=jh(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=jh(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==jh(t)?t:t+""}var Dh=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return Mh(e=_h(this,n,[].concat(r)),"state",{isAnimationFinished:!1}),Mh(e,"id",M("recharts-bar-")),Mh(e,"handleAnimationEnd",function(){var t=e.props.onAnimationEnd;e.setState({isAnimationFinished:!0}),t&&t()}),Mh(e,"handleAnimationStart",function(){var t=e.props.onAnimationStart;e.setState({isAnimationFinished:!1}),t&&t()}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Th(e,t)}(n,e),r=n,o=[{key:"renderRectanglesStatically",value:function(e){var n=this,r=this.props,o=r.shape,i=r.dataKey,a=r.activeIndex,l=r.activeBar,u=pe(this.props,!1);return e&&e.map(function(e,r){var c=r===a,s=c?l:o,f=Ph(Ph(Ph({},u),e),{},{isActive:c,option:s,index:r,dataKey:i,onAnimationStart:n.handleAnimationStart,onAnimationEnd:n.handleAnimationEnd});return t.createElement(Be,Oh({className:"recharts-bar-rectangle"},Q(n.props,e,r),{key:"rectangle-".concat(null===e||void 0===e?void 0:e.x,"-").concat(null===e||void 0===e?void 0:e.y,"-").concat(null===e||void 0===e?void 0:e.value,"-").concat(r)}),t.createElement(gh,f))})}},{key:"renderRectanglesWithAnimation",value:function(){var e=this,n=this.props,r=n.data,o=n.layout,i=n.isAnimationActive,a=n.animationBegin,l=n.animationDuration,u=n.animationEasing,c=n.animationId,s=this.state.prevData;return t.createElement(Do,{begin:a,duration:l,isActive:i,easing:u,from:{t:0},to:{t:1},key:"bar-".concat(c),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(n){var i=n.t,a=r.map(function(e,t){var n=s&&s[t];if(n){var r=I(n.x,e.x),a=I(n.y,e.y),l=I(n.width,e.width),u=I(n.height,e.height);return Ph(Ph({},e),{},{x:r(i),y:a(i),width:l(i),height:u(i)})}if("horizontal"===o){var c=I(0,e.height)(i);return Ph(Ph({},e),{},{y:e.y+e.height-c,height:c})}var f=I(0,e.width)(i);return Ph(Ph({},e),{},{width:f})});return t.createElement(Be,null,e.renderRectanglesStatically(a))})}},{key:"renderRectangles",value:function(){var e=this.props,t=e.data,n=e.isAnimationActive,r=this.state.prevData;return!(n&&t&&t.length)||r&&Gs()(r,t)?this.renderRectanglesStatically(t):this.renderRectanglesWithAnimation()}},{key:"renderBackground",value:function(){var e=this,n=this.props,r=n.data,o=n.dataKey,i=n.activeIndex,a=pe(this.props.background,!1);return r.map(function(n,r){n.value;var l=n.background,u=Sh(n,wh);if(!l)return null;var c=Ph(Ph(Ph(Ph(Ph({},u),{},{fill:"#eee"},l),a),Q(e.props,n,r)),{},{onAnimationStart:e.handleAnimationStart,onAnimationEnd:e.handleAnimationEnd,dataKey:o,index:r,className:"recharts-bar-background-rectangle"});return t.createElement(gh,Oh({key:"background-bar-".concat(r),option:e.props.background,isActive:r===i},c))})}},{key:"renderErrorBar",value:function(e,n){if(this.props.isAnimationActive&&!this.state.isAnimationFinished)return null;var r=this.props,o=r.data,i=r.xAxis,a=r.yAxis,l=r.layout,u=le(r.children,Ff);if(!u)return null;var c="vertical"===l?o[0].height/2:o[0].width/2,s=function(e,t){var n=Array.isArray(e.value)?e.value[1]:e.value;return{x:e.x,y:e.y,value:n,errorVal:Qf(e,t)}},f={clipPath:e?"url(#clipPath-".concat(n,")"):null};return t.createElement(Be,f,u.map(function(e){return t.cloneElement(e,{key:"error-bar-".concat(n,"-").concat(e.props.dataKey),data:o,xAxis:i,yAxis:a,layout:l,offset:c,dataPointFormatter:s})}))}},{key:"render",value:function(){var e=this.props,n=e.hide,r=e.data,o=e.className,i=e.xAxis,a=e.yAxis,l=e.left,u=e.top,c=e.width,s=e.height,f=e.isAnimationActive,d=e.background,p=e.id;if(n||!r||!r.length)return null;var y=this.state.isAnimationFinished,v=h("recharts-bar",o),m=i&&i.allowDataOverflow,g=a&&a.allowDataOverflow,b=m||g,x=P()(p)?this.id:p;return t.createElement(Be,{className:v},m||g?t.createElement("defs",null,t.createElement("clipPath",{id:"clipPath-".concat(x)},t.createElement("rect",{x:m?l:l-c/2,y:g?u:u-s/2,width:m?c:2*c,height:g?s:2*s}))):null,t.createElement(Be,{className:"recharts-bar-rectangles",clipPath:b?"url(#clipPath-".concat(x,")"):null},d?this.renderBackground():null,this.renderRectangles()),this.renderErrorBar(b,x),(!f||y)&&Op.renderCallByParent(this.props,r))}}],i=[{key:"getDerivedStateFromProps",value:function(e,t){return e.animationId!==t.prevAnimationId?{prevAnimationId:e.animationId,curData:e.data,prevData:t.curData}:e.data!==t.curData?{curData:e.data}:null}}],o&&Eh(r.prototype,o),i&&Eh(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function Ih(e){return Ih="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Ih(e)}function zh(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Lh(r.key),r)}}function Bh(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Rh(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Bh(Object(n),!0).forEach(function(t){Fh(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Bh(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Fh(e,t,n){return(t=Lh(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Lh(e){var t=function(e,t){if("object"!=Ih(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Ih(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Ih(t)?t:t+""}bh=Dh,Mh(Dh,"displayName","Bar"),Mh(Dh,"defaultProps",{xAxisId:0,yAxisId:0,legendType:"rect",minPointSize:0,hide:!1,data:[],layout:"vertical",activeBar:!1,isAnimationActive:!st.isSsr,animationBegin:0,animationDuration:400,animationEasing:"ease"}),Mh(Dh,"getComposedData",function(e){var t=e.props,n=e.item,r=e.barPosition,o=e.bandSize,i=e.xAxis,a=e.yAxis,l=e.xAxisTicks,u=e.yAxisTicks,c=e.stackedData,s=e.dataStartIndex,f=e.displayedData,d=e.offset,p=function(e,t){if(!e)return null;for(var n=0,r=e.length;n<r;n++)if(e[n].item===t)return e[n].position;return null}(r,n);if(!p)return null;var h=t.layout,y=n.type.defaultProps,v=void 0!==y?Ph(Ph({},y),n.props):n.props,m=v.dataKey,g=v.children,b=v.minPointSize,x="horizontal"===h?a:i,w=c?x.scale.domain():null,j=function(e){var t=e.numericAxis,n=t.scale.domain();if("number"===t.type){var r=Math.min(n[0],n[1]),o=Math.max(n[0],n[1]);return r<=0&&o>=0?0:o<0?o:r}return n[0]}({numericAxis:x}),S=le(g,sp),O=f.map(function(e,t){var r,f,d,y,v,g;c?r=function(e,t){if(!t||2!==t.length||!A(t[0])||!A(t[1]))return e;var n=Math.min(t[0],t[1]),r=Math.max(t[0],t[1]),o=[e[0],e[1]];return(!A(e[0])||e[0]<n)&&(o[0]=n),(!A(e[1])||e[1]>r)&&(o[1]=r),o[0]>r&&(o[0]=r),o[1]<n&&(o[1]=n),o}(c[s+t],w):(r=Qf(e,m),Array.isArray(r)||(r=[j,r]));var x=xh(b,bh.defaultProps.minPointSize)(r[1],t);if("horizontal"===h){var O,k=[a.scale(r[0]),a.scale(r[1])],P=k[0],_=k[1];f=fd({axis:i,ticks:l,bandSize:o,offset:p.offset,entry:e,index:t}),d=null!==(O=null!==_&&void 0!==_?_:P)&&void 0!==O?O:void 0,y=p.size;var C=P-_;if(v=Number.isNaN(C)?0:C,g={x:f,y:a.y,width:y,height:a.height},Math.abs(x)>0&&Math.abs(v)<Math.abs(x)){var T=E(v||x)*(Math.abs(x)-Math.abs(v));d-=T,v+=T}}else{var M=[i.scale(r[0]),i.scale(r[1])],N=M[0],D=M[1];if(f=N,d=fd({axis:a,ticks:u,bandSize:o,offset:p.offset,entry:e,index:t}),y=D-N,v=p.size,g={x:i.x,y:d,width:i.width,height:v},Math.abs(x)>0&&Math.abs(y)<Math.abs(x))y+=E(y||x)*(Math.abs(x)-Math.abs(y))}return Ph(Ph(Ph({},e),{},{x:f,y:d,width:y,height:v,value:c?r:r[1],payload:e,background:g},S&&S[t]&&S[t].props),{},{tooltipPayload:[gd(n,e)],tooltipPosition:{x:f+y/2,y:d+v/2}})});return Ph({data:O,layout:h},d)});var Uh=function(e,t){var n=e.x,r=e.y,o=t.x,i=t.y;return{x:Math.min(n,o),y:Math.min(r,i),width:Math.abs(o-n),height:Math.abs(i-r)}},Wh=function(){function e(t){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this.scale=t}return t=e,n=[{key:"domain",get:function(){return this.scale.domain}},{key:"range",get:function(){return this.scale.range}},{key:"rangeMin",get:function(){return this.range()[0]}},{key:"rangeMax",get:function(){return this.range()[1]}},{key:"bandwidth",get:function(){return this.scale.bandwidth}},{key:"apply",value:function(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},n=t.bandAware,r=t.position;if(void 0!==e){if(r)switch(r){case"start":default:return this.scale(e);case"middle":var o=this.bandwidth?this.bandwidth()/2:0;return this.scale(e)+o;case"end":var i=this.bandwidth?this.bandwidth():0;return this.scale(e)+i}if(n){var a=this.bandwidth?this.bandwidth()/2:0;return this.scale(e)+a}return this.scale(e)}}},{key:"isInRange",value:function(e){var t=this.range(),n=t[0],r=t[t.length-1];return n<=r?e>=n&&e<=r:e>=r&&e<=n}}],r=[{key:"create",value:function(t){return new e(t)}}],n&&zh(t.prototype,n),r&&zh(t,r),Object.defineProperty(t,"prototype",{writable:!1}),t;var t,n,r}();Fh(Wh,"EPS",1e-4);var Hh=function(e){var t=Object.keys(e).reduce(function(t,n){return Rh(Rh({},t),{},Fh({},n,Wh.create(e[n])))},{});return Rh(Rh({},t),{},{apply:function(e){var n=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},r=n.bandAware,o=n.position;return lp()(e,function(e,n){return t[n].apply(e,{bandAware:r,position:o})})},isInRange:function(e){return cp()(e,function(e,n){return t[n].isInRange(e)})}})};function Vh(){return Vh=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Vh.apply(this,arguments)}function qh(e){return qh="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},qh(e)}function $h(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Kh(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?$h(Object(n),!0).forEach(function(t){Jh(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):$h(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Xh(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,ey(r.key),r)}}function Gh(e,t,n){return t=Qh(t),function(e,t){if(t&&("object"===qh(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Yh()?Reflect.construct(t,n||[],Qh(e).constructor):t.apply(e,n))}function Yh(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Yh=function(){return!!e})()}function Qh(e){return Qh=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Qh(e)}function Zh(e,t){return Zh=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Zh(e,t)}function Jh(e,t,n){return(t=ey(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function ey(e){var t=function(e,t){if("object"!=qh(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=qh(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==qh(t)?t:t+""}var ty=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),Gh(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Zh(e,t)}(n,e),r=n,o=[{key:"render",value:function(){var e=this.props,r=e.x,o=e.y,i=e.r,a=e.alwaysShow,l=e.clipPathId,u=C(r),c=C(o);if(R(void 0===a,'The alwaysShow prop is deprecated. Please use ifOverflow="extendDomain" instead.'),!u||!c)return null;var s=function(e){var t=e.x,n=e.y,r=e.xAxis,o=e.yAxis,i=Hh({x:r.scale,y:o.scale}),a=i.apply({x:t,y:n},{bandAware:!0});return ip(e,"discard")&&!i.isInRange(a)?null:a}(this.props);if(!s)return null;var f=s.x,d=s.y,p=this.props,y=p.shape,v=p.className,m=Kh(Kh({clipPath:ip(this.props,"hidden")?"url(#".concat(l,")"):void 0},pe(this.props,!0)),{},{cx:f,cy:d});return t.createElement(Be,{className:h("recharts-reference-dot",v)},n.renderDot(y,m),rp.renderCallByParent(this.props,{x:f-i,y:d-i,width:2*i,height:2*i}))}}],o&&Xh(r.prototype,o),i&&Xh(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);Jh(ty,"displayName","ReferenceDot"),Jh(ty,"defaultProps",{isFront:!1,ifOverflow:"discard",xAxisId:0,yAxisId:0,r:10,fill:"#fff",stroke:"#ccc",fillOpacity:1,strokeWidth:1}),Jh(ty,"renderDot",function(e,n){return t.isValidElement(e)?t.cloneElement(e,n):L()(e)?e(n):t.createElement(rr,Vh({},n,{cx:n.cx,cy:n.cy,className:"recharts-reference-dot-dot"}))});var ny=n(4597),ry=n.n(ny),oy=n(8990),iy=n.n(oy),ay=n(5797),ly=n.n(ay)()(function(e){return{x:e.left,y:e.top,width:e.width,height:e.height}},function(e){return["l",e.left,"t",e.top,"w",e.width,"h",e.height].join("")});var uy=(0,t.createContext)(void 0),cy=(0,t.createContext)(void 0),sy=(0,t.createContext)(void 0),fy=(0,t.createContext)({}),dy=(0,t.createContext)(void 0),py=(0,t.createContext)(0),hy=(0,t.createContext)(0),yy=function(e){var n=e.state,r=n.xAxisMap,o=n.yAxisMap,i=n.offset,a=e.clipPathId,l=e.children,u=e.width,c=e.height,s=ly(i);return t.createElement(uy.Provider,{value:r},t.createElement(cy.Provider,{value:o},t.createElement(fy.Provider,{value:i},t.createElement(sy.Provider,{value:s},t.createElement(dy.Provider,{value:a},t.createElement(py.Provider,{value:c},t.createElement(hy.Provider,{value:u},l)))))))};var vy=function(e){var n=(0,t.useContext)(uy);null==n&&Ae(!1);var r=n[e];return null==r&&Ae(!1),r},my=function(e){var n=(0,t.useContext)(cy);null==n&&Ae(!1);var r=n[e];return null==r&&Ae(!1),r},gy=function(){return(0,t.useContext)(hy)},by=function(){return(0,t.useContext)(py)};function xy(e){return xy="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},xy(e)}function wy(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Ay(r.key),r)}}function jy(e,t,n){return t=Oy(t),function(e,t){if(t&&("object"===xy(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Sy()?Reflect.construct(t,n||[],Oy(e).constructor):t.apply(e,n))}function Sy(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Sy=function(){return!!e})()}function Oy(e){return Oy=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Oy(e)}function ky(e,t){return ky=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},ky(e,t)}function Py(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ey(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Py(Object(n),!0).forEach(function(t){_y(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Py(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function _y(e,t,n){return(t=Ay(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Ay(e){var t=function(e,t){if("object"!=xy(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=xy(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==xy(t)?t:t+""}function Cy(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Ty(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Ty(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Ty(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function My(){return My=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},My.apply(this,arguments)}function Ny(e){var n=e.x,r=e.y,o=e.segment,i=e.xAxisId,a=e.yAxisId,l=e.shape,u=e.className,c=e.alwaysShow,s=(0,t.useContext)(dy),f=vy(i),d=my(a),p=(0,t.useContext)(sy);if(!s||!p)return null;R(void 0===c,'The alwaysShow prop is deprecated. Please use ifOverflow="extendDomain" instead.');var y=function(e,t,n,r,o,i,a,l,u){var c=o.x,s=o.y,f=o.width,d=o.height;if(n){var p=u.y,h=e.y.apply(p,{position:i});if(ip(u,"discard")&&!e.y.isInRange(h))return null;var y=[{x:c+f,y:h},{x:c,y:h}];return"left"===l?y.reverse():y}if(t){var v=u.x,m=e.x.apply(v,{position:i});if(ip(u,"discard")&&!e.x.isInRange(m))return null;var g=[{x:m,y:s+d},{x:m,y:s}];return"top"===a?g.reverse():g}if(r){var b=u.segment.map(function(t){return e.apply(t,{position:i})});return ip(u,"discard")&&ry()(b,function(t){return!e.isInRange(t)})?null:b}return null}(Hh({x:f.scale,y:d.scale}),C(n),C(r),o&&2===o.length,p,e.position,f.orientation,d.orientation,e);if(!y)return null;var v=Cy(y,2),m=v[0],g=m.x,b=m.y,x=v[1],w=x.x,j=x.y,S=Ey(Ey({clipPath:ip(e,"hidden")?"url(#".concat(s,")"):void 0},pe(e,!0)),{},{x1:g,y1:b,x2:w,y2:j});return t.createElement(Be,{className:h("recharts-reference-line",u)},function(e,n){return t.isValidElement(e)?t.cloneElement(e,n):L()(e)?e(n):t.createElement("line",My({},n,{className:"recharts-reference-line-line"}))}(l,S),rp.renderCallByParent(e,function(e){var t=e.x1,n=e.y1,r=e.x2,o=e.y2;return Uh({x:t,y:n},{x:r,y:o})}({x1:g,y1:b,x2:w,y2:j})))}var Dy=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),jy(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&ky(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){return t.createElement(Ny,this.props)}}])&&wy(r.prototype,o),i&&wy(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function Iy(){return Iy=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Iy.apply(this,arguments)}function zy(e){return zy="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},zy(e)}function By(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ry(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?By(Object(n),!0).forEach(function(t){Vy(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):By(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Fy(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,qy(r.key),r)}}function Ly(e,t,n){return t=Wy(t),function(e,t){if(t&&("object"===zy(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Uy()?Reflect.construct(t,n||[],Wy(e).constructor):t.apply(e,n))}function Uy(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Uy=function(){return!!e})()}function Wy(e){return Wy=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Wy(e)}function Hy(e,t){return Hy=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Hy(e,t)}function Vy(e,t,n){return(t=qy(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function qy(e){var t=function(e,t){if("object"!=zy(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=zy(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==zy(t)?t:t+""}_y(Dy,"displayName","ReferenceLine"),_y(Dy,"defaultProps",{isFront:!1,ifOverflow:"discard",xAxisId:0,yAxisId:0,fill:"none",stroke:"#ccc",fillOpacity:1,strokeWidth:1,position:"middle"});var $y=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),Ly(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Hy(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){var e=this.props,r=e.x1,o=e.x2,i=e.y1,a=e.y2,l=e.className,u=e.alwaysShow,c=e.clipPathId;R(void 0===u,'The alwaysShow prop is deprecated. Please use ifOverflow="extendDomain" instead.');var s=C(r),f=C(o),d=C(i),p=C(a),y=this.props.shape;if(!s&&!f&&!d&&!p&&!y)return null;var v=function(e,t,n,r,o){var i=o.x1,a=o.x2,l=o.y1,u=o.y2,c=o.xAxis,s=o.yAxis;if(!c||!s)return null;var f=Hh({x:c.scale,y:s.scale}),d={x:e?f.x.apply(i,{position:"start"}):f.x.rangeMin,y:n?f.y.apply(l,{position:"start"}):f.y.rangeMin},p={x:t?f.x.apply(a,{position:"end"}):f.x.rangeMax,y:r?f.y.apply(u,{position:"end"}):f.y.rangeMax};return!ip(o,"discard")||f.isInRange(d)&&f.isInRange(p)?Uh(d,p):null}(s,f,d,p,this.props);if(!v&&!y)return null;var m=ip(this.props,"hidden")?"url(#".concat(c,")"):void 0;return t.createElement(Be,{className:h("recharts-reference-area",l)},n.renderRect(y,Ry(Ry({clipPath:m},pe(this.props,!0)),v)),rp.renderCallByParent(this.props,v))}}])&&Fy(r.prototype,o),i&&Fy(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function Ky(e){return function(e){if(Array.isArray(e))return Xy(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Xy(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Xy(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Xy(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}Vy($y,"displayName","ReferenceArea"),Vy($y,"defaultProps",{isFront:!1,ifOverflow:"discard",xAxisId:0,yAxisId:0,r:10,fill:"#ccc",fillOpacity:.5,stroke:"none",strokeWidth:1}),Vy($y,"renderRect",function(e,n){return t.isValidElement(e)?t.cloneElement(e,n):L()(e)?e(n):t.createElement(qo,Iy({},n,{className:"recharts-reference-area-rect"}))});var Gy=function(e,t,n,r,o){var i=le(e,Dy),a=le(e,ty),l=[].concat(Ky(i),Ky(a)),u=le(e,$y),c="".concat(r,"Id"),s=r[0],f=t;if(l.length&&(f=l.reduce(function(e,t){if(t.props[c]===n&&ip(t.props,"extendDomain")&&A(t.props[s])){var r=t.props[s];return[Math.min(e[0],r),Math.max(e[1],r)]}return e},f)),u.length){var d="".concat(s,"1"),p="".concat(s,"2");f=u.reduce(function(e,t){if(t.props[c]===n&&ip(t.props,"extendDomain")&&A(t.props[d])&&A(t.props[p])){var r=t.props[d],o=t.props[p];return[Math.min(e[0],r,o),Math.max(e[1],r,o)]}return e},f)}return o&&o.length&&(f=o.reduce(function(e,t){return A(t)?[Math.min(e[0],t),Math.max(e[1],t)]:e},f)),f},Yy=n(7283),Qy=new(n.n(Yy)()),Zy="recharts.syncMouseEvents";function Jy(e){return Jy="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Jy(e)}function ev(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,nv(r.key),r)}}function tv(e,t,n){return(t=nv(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function nv(e){var t=function(e,t){if("object"!=Jy(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Jy(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Jy(t)?t:t+""}var rv=function(){return e=function e(){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),tv(this,"activeIndex",0),tv(this,"coordinateList",[]),tv(this,"layout","horizontal")},(t=[{key:"setDetails",value:function(e){var t,n=e.coordinateList,r=void 0===n?null:n,o=e.container,i=void 0===o?null:o,a=e.layout,l=void 0===a?null:a,u=e.offset,c=void 0===u?null:u,s=e.mouseHandlerCallback,f=void 0===s?null:s;this.coordinateList=null!==(t=null!==r&&void 0!==r?r:this.coordinateList)&&void 0!==t?t:[],this.container=null!==i&&void 0!==i?i:this.container,this.layout=null!==l&&void 0!==l?l:this.layout,this.offset=null!==c&&void 0!==c?c:this.offset,this.mouseHandlerCallback=null!==f&&void 0!==f?f:this.mouseHandlerCallback,this.activeIndex=Math.min(Math.max(this.activeIndex,0),this.coordinateList.length-1)}},{key:"focus",value:function(){this.spoofMouse()}},{key:"keyboardEvent",value:function(e){if(0!==this.coordinateList.length)switch(e.key){case"ArrowRight":if("horizontal"!==this.layout)return;this.activeIndex=Math.min(this.activeIndex+1,this.coordinateList.length-1),this.spoofMouse();break;case"ArrowLeft":if("horizontal"!==this.layout)return;this.activeIndex=Math.max(this.activeIndex-1,0),this.spoofMouse()}}},{key:"setIndex",value:function(e){this.activeIndex=e}},{key:"spoofMouse",value:function(){var e,t;if("horizontal"===this.layout&&0!==this.coordinateList.length){var n=this.container.getBoundingClientRect(),r=n.x,o=n.y,i=n.height,a=this.coordinateList[this.activeIndex].coordinate,l=(null===(e=window)||void 0===e?void 0:e.scrollX)||0,u=(null===(t=window)||void 0===t?void 0:t.scrollY)||0,c=r+a+l,s=o+this.offset.top+i/2+u;this.mouseHandlerCallback({pageX:c,pageY:s})}}}])&&ev(e.prototype,t),n&&ev(e,n),Object.defineProperty(e,"prototype",{writable:!1}),e;var e,t,n}();function ov(){}function iv(e,t,n){e._context.bezierCurveTo((2*e._x0+e._x1)/3,(2*e._y0+e._y1)/3,(e._x0+2*e._x1)/3,(e._y0+2*e._y1)/3,(e._x0+4*e._x1+t)/6,(e._y0+4*e._y1+n)/6)}function av(e){this._context=e}function lv(e){this._context=e}function uv(e){this._context=e}av.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x0=this._x1=this._y0=this._y1=NaN,this._point=0},lineEnd:function(){switch(this._point){case 3:iv(this,this._x1,this._y1);case 2:this._context.lineTo(this._x1,this._y1)}(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line=1-this._line},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;break;case 2:this._point=3,this._context.lineTo((5*this._x0+this._x1)/6,(5*this._y0+this._y1)/6);default:iv(this,e,t)}this._x0=this._x1,this._x1=e,this._y0=this._y1,this._y1=t}},lv.prototype={areaStart:ov,areaEnd:ov,lineStart:function(){this._x0=this._x1=this._x2=this._x3=this._x4=this._y0=this._y1=this._y2=this._y3=this._y4=NaN,this._point=0},lineEnd:function(){switch(this._point){case 1:this._context.moveTo(this._x2,this._y2),this._context.closePath();break;case 2:this._context.moveTo((this._x2+2*this._x3)/3,(this._y2+2*this._y3)/3),this._context.lineTo((this._x3+2*this._x2)/3,(this._y3+2*this._y2)/3),this._context.closePath();break;case 3:this.point(this._x2,this._y2),this.point(this._x3,this._y3),this.point(this._x4,this._y4)}},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._x2=e,this._y2=t;break;case 1:this._point=2,this._x3=e,this._y3=t;break;case 2:this._point=3,this._x4=e,this._y4=t,this._context.moveTo((this._x0+4*this._x1+e)/6,(this._y0+4*this._y1+t)/6);break;default:iv(this,e,t)}this._x0=this._x1,this._x1=e,this._y0=this._y1,this._y1=t}},uv.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x0=this._x1=this._y0=this._y1=NaN,this._point=0},lineEnd:function(){(this._line||0!==this._line&&3===this._point)&&this._context.closePath(),this._line=1-this._line},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1;break;case 1:this._point=2;break;case 2:this._point=3;var n=(this._x0+4*this._x1+e)/6,r=(this._y0+4*this._y1+t)/6;this._line?this._context.lineTo(n,r):this._context.moveTo(n,r);break;case 3:this._point=4;default:iv(this,e,t)}this._x0=this._x1,this._x1=e,this._y0=this._y1,this._y1=t}};class cv{constructor(e,t){this._context=e,this._x=t}areaStart(){this._line=0}areaEnd(){this._line=NaN}lineStart(){this._point=0}lineEnd(){(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line=1-this._line}point(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;default:this._x?this._context.bezierCurveTo(this._x0=(this._x0+e)/2,this._y0,this._x0,t,e,t):this._context.bezierCurveTo(this._x0,this._y0=(this._y0+t)/2,e,this._y0,e,t)}this._x0=e,this._y0=t}}function sv(e){this._context=e}function fv(e){this._context=e}function dv(e){return new fv(e)}function pv(e){return e<0?-1:1}function hv(e,t,n){var r=e._x1-e._x0,o=t-e._x1,i=(e._y1-e._y0)/(r||o<0&&-0),a=(n-e._y1)/(o||r<0&&-0),l=(i*o+a*r)/(r+o);return(pv(i)+pv(a))*Math.min(Math.abs(i),Math.abs(a),.5*Math.abs(l))||0}function yv(e,t){var n=e._x1-e._x0;return n?(3*(e._y1-e._y0)/n-t)/2:t}function vv(e,t,n){var r=e._x0,o=e._y0,i=e._x1,a=e._y1,l=(i-r)/3;e._context.bezierCurveTo(r+l,o+l*t,i-l,a-l*n,i,a)}function mv(e){this._context=e}function gv(e){this._context=new bv(e)}function bv(e){this._context=e}function xv(e){this._context=e}function wv(e){var t,n,r=e.length-1,o=new Array(r),i=new Array(r),a=new Array(r);for(o[0]=0,i[0]=2,a[0]=e[0]+2*e[1],t=1;t<r-1;++t)o[t]=1,i[t]=4,a[t]=4*e[t]+2*e[t+1];for(o[r-1]=2,i[r-1]=7,a[r-1]=8*e[r-1]+e[r],t=1;t<r;++t)n=o[t]/i[t-1],i[t]-=n,a[t]-=n*a[t-1];for(o[r-1]=a[r-1]/i[r-1],t=r-2;t>=0;--t)o[t]=(a[t]-o[t+1])/i[t];for(i[r-1]=(e[r]+o[r-1])/2,t=0;t<r-1;++t)i[t]=2*e[t+1]-o[t+1];return[o,i]}function jv(e,t){this._context=e,this._t=t}function Sv(e){return e[0]}function Ov(e){return e[1]}function kv(e,t){var n=Yt(!0),r=null,o=dv,i=null,a=bn(l);function l(l){var u,c,s,f=(l=Rs(l)).length,d=!1;for(null==r&&(i=o(s=a())),u=0;u<=f;++u)!(u<f&&n(c=l[u],u,l))===d&&((d=!d)?i.lineStart():i.lineEnd()),d&&i.point(+e(c,u,l),+t(c,u,l));if(s)return i=null,s+""||null}return e="function"===typeof e?e:void 0===e?Sv:Yt(e),t="function"===typeof t?t:void 0===t?Ov:Yt(t),l.x=function(t){return arguments.length?(e="function"===typeof t?t:Yt(+t),l):e},l.y=function(e){return arguments.length?(t="function"===typeof e?e:Yt(+e),l):t},l.defined=function(e){return arguments.length?(n="function"===typeof e?e:Yt(!!e),l):n},l.curve=function(e){return arguments.length?(o=e,null!=r&&(i=o(r)),l):o},l.context=function(e){return arguments.length?(null==e?r=i=null:i=o(r=e),l):r},l}function Pv(e,t,n){var r=null,o=Yt(!0),i=null,a=dv,l=null,u=bn(c);function c(c){var s,f,d,p,h,y=(c=Rs(c)).length,v=!1,m=new Array(y),g=new Array(y);for(null==i&&(l=a(h=u())),s=0;s<=y;++s){if(!(s<y&&o(p=c[s],s,c))===v)if(v=!v)f=s,l.areaStart(),l.lineStart();else{for(l.lineEnd(),l.lineStart(),d=s-1;d>=f;--d)l.point(m[d],g[d]);l.lineEnd(),l.areaEnd()}v&&(m[s]=+e(p,s,c),g[s]=+t(p,s,c),l.point(r?+r(p,s,c):m[s],n?+n(p,s,c):g[s]))}if(h)return l=null,h+""||null}function s(){return kv().defined(o).curve(a).context(i)}return e="function"===typeof e?e:void 0===e?Sv:Yt(+e),t="function"===typeof t?t:Yt(void 0===t?0:+t),n="function"===typeof n?n:void 0===n?Ov:Yt(+n),c.x=function(t){return arguments.length?(e="function"===typeof t?t:Yt(+t),r=null,c):e},c.x0=function(t){return arguments.length?(e="function"===typeof t?t:Yt(+t),c):e},c.x1=function(e){return arguments.length?(r=null==e?null:"function"===typeof e?e:Yt(+e),c):r},c.y=function(e){return arguments.length?(t="function"===typeof e?e:Yt(+e),n=null,c):t},c.y0=function(e){return arguments.length?(t="function"===typeof e?e:Yt(+e),c):t},c.y1=function(e){return arguments.length?(n=null==e?null:"function"===typeof e?e:Yt(+e),c):n},c.lineX0=c.lineY0=function(){return s().x(e).y(t)},c.lineY1=function(){return s().x(e).y(n)},c.lineX1=function(){return s().x(r).y(t)},c.defined=function(e){return arguments.length?(o="function"===typeof e?e:Yt(!!e),c):o},c.curve=function(e){return arguments.length?(a=e,null!=i&&(l=a(i)),c):a},c.context=function(e){return arguments.length?(null==e?i=l=null:l=a(i=e),c):i},c}function Ev(e){return Ev="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Ev(e)}function _v(){return _v=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},_v.apply(this,arguments)}function Av(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Cv(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Av(Object(n),!0).forEach(function(t){Tv(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Av(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Tv(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Ev(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Ev(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Ev(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}sv.prototype={areaStart:ov,areaEnd:ov,lineStart:function(){this._point=0},lineEnd:function(){this._point&&this._context.closePath()},point:function(e,t){e=+e,t=+t,this._point?this._context.lineTo(e,t):(this._point=1,this._context.moveTo(e,t))}},fv.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._point=0},lineEnd:function(){(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line=1-this._line},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;default:this._context.lineTo(e,t)}}},mv.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x0=this._x1=this._y0=this._y1=this._t0=NaN,this._point=0},lineEnd:function(){switch(this._point){case 2:this._context.lineTo(this._x1,this._y1);break;case 3:vv(this,this._t0,yv(this,this._t0))}(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line=1-this._line},point:function(e,t){var n=NaN;if(t=+t,(e=+e)!==this._x1||t!==this._y1){switch(this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;break;case 2:this._point=3,vv(this,yv(this,n=hv(this,e,t)),n);break;default:vv(this,this._t0,n=hv(this,e,t))}this._x0=this._x1,this._x1=e,this._y0=this._y1,this._y1=t,this._t0=n}}},(gv.prototype=Object.create(mv.prototype)).point=function(e,t){mv.prototype.point.call(this,t,e)},bv.prototype={moveTo:function(e,t){this._context.moveTo(t,e)},closePath:function(){this._context.closePath()},lineTo:function(e,t){this._context.lineTo(t,e)},bezierCurveTo:function(e,t,n,r,o,i){this._context.bezierCurveTo(t,e,r,n,i,o)}},xv.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x=[],this._y=[]},lineEnd:function(){var e=this._x,t=this._y,n=e.length;if(n)if(this._line?this._context.lineTo(e[0],t[0]):this._context.moveTo(e[0],t[0]),2===n)this._context.lineTo(e[1],t[1]);else for(var r=wv(e),o=wv(t),i=0,a=1;a<n;++i,++a)this._context.bezierCurveTo(r[0][i],o[0][i],r[1][i],o[1][i],e[a],t[a]);(this._line||0!==this._line&&1===n)&&this._context.closePath(),this._line=1-this._line,this._x=this._y=null},point:function(e,t){this._x.push(+e),this._y.push(+t)}},jv.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x=this._y=NaN,this._point=0},lineEnd:function(){0<this._t&&this._t<1&&2===this._point&&this._context.lineTo(this._x,this._y),(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line>=0&&(this._t=1-this._t,this._line=1-this._line)},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;default:if(this._t<=0)this._context.lineTo(this._x,t),this._context.lineTo(e,t);else{var n=this._x*(1-this._t)+e*this._t;this._context.lineTo(n,this._y),this._context.lineTo(n,t)}}this._x=e,this._y=t}};var Mv={curveBasisClosed:function(e){return new lv(e)},curveBasisOpen:function(e){return new uv(e)},curveBasis:function(e){return new av(e)},curveBumpX:function(e){return new cv(e,!0)},curveBumpY:function(e){return new cv(e,!1)},curveLinearClosed:function(e){return new sv(e)},curveLinear:dv,curveMonotoneX:function(e){return new mv(e)},curveMonotoneY:function(e){return new gv(e)},curveNatural:function(e){return new xv(e)},curveStep:function(e){return new jv(e,.5)},curveStepAfter:function(e){return new jv(e,1)},curveStepBefore:function(e){return new jv(e,0)}},Nv=function(e){return e.x===+e.x&&e.y===+e.y},Dv=function(e){return e.x},Iv=function(e){return e.y},zv=function(e){var t,n=e.type,r=void 0===n?"linear":n,o=e.points,i=void 0===o?[]:o,a=e.baseLine,l=e.layout,u=e.connectNulls,c=void 0!==u&&u,s=function(e,t){if(L()(e))return e;var n="curve".concat(Et()(e));return"curveMonotone"!==n&&"curveBump"!==n||!t?Mv[n]||dv:Mv["".concat(n).concat("vertical"===t?"Y":"X")]}(r,l),f=c?i.filter(function(e){return Nv(e)}):i;if(Array.isArray(a)){var d=c?a.filter(function(e){return Nv(e)}):a,p=f.map(function(e,t){return Cv(Cv({},e),{},{base:d[t]})});return(t="vertical"===l?Pv().y(Iv).x1(Dv).x0(function(e){return e.base.x}):Pv().x(Dv).y1(Iv).y0(function(e){return e.base.y})).defined(Nv).curve(s),t(p)}return(t="vertical"===l&&A(a)?Pv().y(Iv).x1(Dv).x0(a):A(a)?Pv().x(Dv).y1(Iv).y0(a):kv().x(Dv).y(Iv)).defined(Nv).curve(s),t(f)},Bv=function(e){var n=e.className,r=e.points,o=e.path,i=e.pathRef;if((!r||!r.length)&&!o)return null;var a=r&&r.length?zv(e):o;return t.createElement("path",_v({},pe(e,!1),Y(e),{className:h("recharts-curve",n),d:a,ref:i}))};function Rv(e){return Rv="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Rv(e)}var Fv=["x","y","top","left","width","height","className"];function Lv(){return Lv=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Lv.apply(this,arguments)}function Uv(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Wv(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Rv(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Rv(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Rv(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Hv(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var Vv=function(e,t,n,r,o,i){return"M".concat(e,",").concat(o,"v").concat(r,"M").concat(i,",").concat(t,"h").concat(n)},qv=function(e){var n=e.x,r=void 0===n?0:n,o=e.y,i=void 0===o?0:o,a=e.top,l=void 0===a?0:a,u=e.left,c=void 0===u?0:u,s=e.width,f=void 0===s?0:s,d=e.height,p=void 0===d?0:d,y=e.className,v=function(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Uv(Object(n),!0).forEach(function(t){Wv(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Uv(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}({x:r,y:i,top:l,left:c,width:f,height:p},Hv(e,Fv));return A(r)&&A(i)&&A(f)&&A(p)&&A(l)&&A(c)?t.createElement("path",Lv({},pe(v,!0),{className:h("recharts-cross",y),d:Vv(r,i,f,p,l,c)})):null};function $v(e){var t=e.cx,n=e.cy,r=e.radius,o=e.startAngle,i=e.endAngle;return{points:[Hd(t,n,r,o),Hd(t,n,r,i)],cx:t,cy:n,radius:r,startAngle:o,endAngle:i}}function Kv(e,t,n){var r,o,i,a;if("horizontal"===e)i=r=t.x,o=n.top,a=n.top+n.height;else if("vertical"===e)a=o=t.y,r=n.left,i=n.left+n.width;else if(null!=t.cx&&null!=t.cy){if("centric"!==e)return $v(t);var l=t.cx,u=t.cy,c=t.innerRadius,s=t.outerRadius,f=t.angle,d=Hd(l,u,c,f),p=Hd(l,u,s,f);r=d.x,o=d.y,i=p.x,a=p.y}return[{x:r,y:o},{x:i,y:a}]}function Xv(e){return Xv="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Xv(e)}function Gv(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Yv(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Gv(Object(n),!0).forEach(function(t){Qv(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Gv(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Qv(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Xv(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Xv(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Xv(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Zv(e){var n,r,o,i=e.element,a=e.tooltipEventType,l=e.isActive,u=e.activeCoordinate,c=e.activePayload,s=e.offset,f=e.activeTooltipIndex,d=e.tooltipAxisBandSize,p=e.layout,y=e.chartName,v=null!==(n=i.props.cursor)&&void 0!==n?n:null===(r=i.type.defaultProps)||void 0===r?void 0:r.cursor;if(!i||!v||!l||!u||"ScatterChart"!==y&&"axis"!==a)return null;var m=Bv;if("ScatterChart"===y)o=u,m=qv;else if("BarChart"===y)o=function(e,t,n,r){var o=r/2;return{stroke:"none",fill:"#ccc",x:"horizontal"===e?t.x-o:n.left+.5,y:"horizontal"===e?n.top+.5:t.y-o,width:"horizontal"===e?r:n.width-1,height:"horizontal"===e?n.height-1:r}}(p,u,s,d),m=qo;else if("radial"===p){var g=$v(u),b=g.cx,x=g.cy,w=g.radius;o={cx:b,cy:x,startAngle:g.startAngle,endAngle:g.endAngle,innerRadius:w,outerRadius:w},m=Kp}else o={points:Kv(p,u,s)},m=Bv;var j=Yv(Yv(Yv(Yv({stroke:"#ccc",pointerEvents:"none"},s),o),pe(v,!1)),{},{payload:c,payloadIndex:f,className:h("recharts-tooltip-cursor",v.className)});return(0,t.isValidElement)(v)?(0,t.cloneElement)(v,j):(0,t.createElement)(m,j)}var Jv=["item"],em=["children","className","width","height","style","compact","title","desc"];function tm(e){return tm="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},tm(e)}function nm(){return nm=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},nm.apply(this,arguments)}function rm(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||fm(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function om(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function im(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,vm(r.key),r)}}function am(e,t,n){return t=um(t),function(e,t){if(t&&("object"===tm(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,lm()?Reflect.construct(t,n||[],um(e).constructor):t.apply(e,n))}function lm(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(lm=function(){return!!e})()}function um(e){return um=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},um(e)}function cm(e,t){return cm=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},cm(e,t)}function sm(e){return function(e){if(Array.isArray(e))return dm(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||fm(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function fm(e,t){if(e){if("string"===typeof e)return dm(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?dm(e,t):void 0}}function dm(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function pm(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function hm(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?pm(Object(n),!0).forEach(function(t){ym(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):pm(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function ym(e,t,n){return(t=vm(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function vm(e){var t=function(e,t){if("object"!=tm(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=tm(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==tm(t)?t:t+""}var mm={xAxis:["bottom","top"],yAxis:["left","right"]},gm={width:"100%",height:"100%"},bm={x:0,y:0};function xm(e){return e}var wm=function(e,t){var n=t.graphicalItems,r=t.dataStartIndex,o=t.dataEndIndex,i=(null!==n&&void 0!==n?n:[]).reduce(function(e,t){var n=t.props.data;return n&&n.length?[].concat(sm(e),sm(n)):e},[]);return i.length>0?i:e&&e.length&&A(r)&&A(o)?e.slice(r,o+1):[]};function jm(e){return"number"===e?[0,"auto"]:void 0}var Sm,Om=function(e,t,n,r){var o=e.graphicalItems,i=e.tooltipAxis,a=wm(t,e);return n<0||!o||!o.length||n>=a.length?null:o.reduce(function(o,l){var u,c,s=null!==(u=l.props.data)&&void 0!==u?u:t;(s&&e.dataStartIndex+e.dataEndIndex!==0&&e.dataEndIndex-e.dataStartIndex>=n&&(s=s.slice(e.dataStartIndex,e.dataEndIndex+1)),i.dataKey&&!i.allowDuplicatedCategory)?c=z(void 0===s?a:s,i.dataKey,r):c=s&&s[n]||a[n];return c?[].concat(sm(o),[gd(l,c)]):o},[])},km=function(e,t,n,r){var o=r||{x:e.chartX,y:e.chartY},i=function(e,t){return"horizontal"===t?e.x:"vertical"===t?e.y:"centric"===t?e.angle:e.radius}(o,n),a=e.orderedTooltipTicks,l=e.tooltipAxis,u=e.tooltipTicks,c=function(e){var t,n=arguments.length>1&&void 0!==arguments[1]?arguments[1]:[],r=arguments.length>2?arguments[2]:void 0,o=arguments.length>3?arguments[3]:void 0,i=-1,a=null!==(t=null===n||void 0===n?void 0:n.length)&&void 0!==t?t:0;if(a<=1)return 0;if(o&&"angleAxis"===o.axisType&&Math.abs(Math.abs(o.range[1]-o.range[0])-360)<=1e-6)for(var l=o.range,u=0;u<a;u++){var c=u>0?r[u-1].coordinate:r[a-1].coordinate,s=r[u].coordinate,f=u>=a-1?r[0].coordinate:r[u+1].coordinate,d=void 0;if(E(s-c)!==E(f-s)){var p=[];if(E(f-s)===E(l[1]-l[0])){d=f;var h=s+l[1]-l[0];p[0]=Math.min(h,(h+c)/2),p[1]=Math.max(h,(h+c)/2)}else{d=c;var y=f+l[1]-l[0];p[0]=Math.min(s,(y+s)/2),p[1]=Math.max(s,(y+s)/2)}var v=[Math.min(s,(d+s)/2),Math.max(s,(d+s)/2)];if(e>v[0]&&e<=v[1]||e>=p[0]&&e<=p[1]){i=r[u].index;break}}else{var m=Math.min(c,f),g=Math.max(c,f);if(e>(m+s)/2&&e<=(g+s)/2){i=r[u].index;break}}}else for(var b=0;b<a;b++)if(0===b&&e<=(n[b].coordinate+n[b+1].coordinate)/2||b>0&&b<a-1&&e>(n[b].coordinate+n[b-1].coordinate)/2&&e<=(n[b].coordinate+n[b+1].coordinate)/2||b===a-1&&e>(n[b].coordinate+n[b-1].coordinate)/2){i=n[b].index;break}return i}(i,a,u,l);if(c>=0&&u){var s=u[c]&&u[c].value,f=Om(e,t,c,s),d=function(e,t,n,r){var o=t.find(function(e){return e&&e.index===n});if(o){if("horizontal"===e)return{x:o.coordinate,y:r.y};if("vertical"===e)return{x:r.x,y:o.coordinate};if("centric"===e){var i=o.coordinate,a=r.radius;return hm(hm(hm({},r),Hd(r.cx,r.cy,a,i)),{},{angle:i,radius:a})}var l=o.coordinate,u=r.angle;return hm(hm(hm({},r),Hd(r.cx,r.cy,l,u)),{},{angle:u,radius:l})}return bm}(n,a,c,o);return{activeTooltipIndex:c,activeLabel:s,activePayload:f,activeCoordinate:d}}return null},Pm=function(e,t){var n=t.axes,r=t.graphicalItems,o=t.axisType,i=t.axisIdKey,a=t.stackGroups,l=t.dataStartIndex,u=t.dataEndIndex,c=e.layout,s=e.children,f=e.stackOffset,d=nd(c,o);return n.reduce(function(t,n){var p,h=void 0!==n.type.defaultProps?hm(hm({},n.type.defaultProps),n.props):n.props,y=h.type,v=h.dataKey,m=h.allowDataOverflow,g=h.allowDuplicatedCategory,b=h.scale,x=h.ticks,w=h.includeHidden,j=h[i];if(t[j])return t;var S,O,k,E=wm(e.data,{graphicalItems:r.filter(function(e){var t;return(i in e.props?e.props[i]:null===(t=e.type.defaultProps)||void 0===t?void 0:t[i])===j}),dataStartIndex:l,dataEndIndex:u}),_=E.length;(function(e,t,n){if("number"===n&&!0===t&&Array.isArray(e)){var r=null===e||void 0===e?void 0:e[0],o=null===e||void 0===e?void 0:e[1];if(r&&o&&A(r)&&A(o))return!0}return!1})(h.domain,m,y)&&(S=yd(h.domain,null,m),!d||"number"!==y&&"auto"===b||(k=Zf(E,v,"category")));var C=jm(y);if(!S||0===S.length){var T,M=null!==(T=h.domain)&&void 0!==T?T:C;if(v){if(S=Zf(E,v,y),"category"===y&&d){var N=function(e){if(!Array.isArray(e))return!1;for(var t=e.length,n={},r=0;r<t;r++){if(n[e[r]])return!0;n[e[r]]=!0}return!1}(S);g&&N?(O=S,S=ke()(0,_)):g||(S=md(M,S,n).reduce(function(e,t){return e.indexOf(t)>=0?e:[].concat(sm(e),[t])},[]))}else if("category"===y)S=g?S.filter(function(e){return""!==e&&!P()(e)}):md(M,S,n).reduce(function(e,t){return e.indexOf(t)>=0||""===t||P()(t)?e:[].concat(sm(e),[t])},[]);else if("number"===y){var D=function(e,t,n,r,o){var i=t.map(function(t){return ed(e,t,n,o,r)}).filter(function(e){return!P()(e)});return i&&i.length?i.reduce(function(e,t){return[Math.min(e[0],t[0]),Math.max(e[1],t[1])]},[1/0,-1/0]):null}(E,r.filter(function(e){var t,n,r=i in e.props?e.props[i]:null===(t=e.type.defaultProps)||void 0===t?void 0:t[i],o="hide"in e.props?e.props.hide:null===(n=e.type.defaultProps)||void 0===n?void 0:n.hide;return r===j&&(w||!o)}),v,o,c);D&&(S=D)}!d||"number"!==y&&"auto"===b||(k=Zf(E,v,"category"))}else S=d?ke()(0,_):a&&a[j]&&a[j].hasStack&&"number"===y?"expand"===f?[0,1]:dd(a[j].stackGroups,l,u):td(E,r.filter(function(e){var t=i in e.props?e.props[i]:e.type.defaultProps[i],n="hide"in e.props?e.props.hide:e.type.defaultProps.hide;return t===j&&(w||!n)}),y,c,!0);if("number"===y)S=Gy(s,S,j,o,x),M&&(S=yd(M,S,m));else if("category"===y&&M){var I=M;S.every(function(e){return I.indexOf(e)>=0})&&(S=I)}}return hm(hm({},t),{},ym({},j,hm(hm({},h),{},{axisType:o,domain:S,categoricalDomain:k,duplicateDomain:O,originalDomain:null!==(p=h.domain)&&void 0!==p?p:C,isCategorical:d,layout:c})))},{})},Em=function(e,t){var n=t.axisType,r=void 0===n?"xAxis":n,o=t.AxisComp,i=t.graphicalItems,a=t.stackGroups,l=t.dataStartIndex,u=t.dataEndIndex,c=e.children,s="".concat(r,"Id"),f=le(c,o),d={};return f&&f.length?d=Pm(e,{axes:f,graphicalItems:i,axisType:r,axisIdKey:s,stackGroups:a,dataStartIndex:l,dataEndIndex:u}):i&&i.length&&(d=function(e,t){var n=t.graphicalItems,r=t.Axis,o=t.axisType,i=t.axisIdKey,a=t.stackGroups,l=t.dataStartIndex,u=t.dataEndIndex,c=e.layout,s=e.children,f=wm(e.data,{graphicalItems:n,dataStartIndex:l,dataEndIndex:u}),d=f.length,p=nd(c,o),h=-1;return n.reduce(function(e,t){var y,v=(void 0!==t.type.defaultProps?hm(hm({},t.type.defaultProps),t.props):t.props)[i],m=jm("number");return e[v]?e:(h++,p?y=ke()(0,d):a&&a[v]&&a[v].hasStack?(y=dd(a[v].stackGroups,l,u),y=Gy(s,y,v,o)):(y=yd(m,td(f,n.filter(function(e){var t,n,r=i in e.props?e.props[i]:null===(t=e.type.defaultProps)||void 0===t?void 0:t[i],o="hide"in e.props?e.props.hide:null===(n=e.type.defaultProps)||void 0===n?void 0:n.hide;return r===v&&!o}),"number",c),r.defaultProps.allowDataOverflow),y=Gy(s,y,v,o)),hm(hm({},e),{},ym({},v,hm(hm({axisType:o},r.defaultProps),{},{hide:!0,orientation:j()(mm,"".concat(o,".").concat(h%2),null),domain:y,originalDomain:m,isCategorical:p,layout:c}))))},{})}(e,{Axis:o,graphicalItems:i,axisType:r,axisIdKey:s,stackGroups:a,dataStartIndex:l,dataEndIndex:u})),d},_m=function(e){var t=e.children,n=e.defaultShowTooltip,r=ue(t,zd),o=0,i=0;return e.data&&0!==e.data.length&&(i=e.data.length-1),r&&r.props&&(r.props.startIndex>=0&&(o=r.props.startIndex),r.props.endIndex>=0&&(i=r.props.endIndex)),{chartX:0,chartY:0,dataStartIndex:o,dataEndIndex:i,activeTooltipIndex:-1,isTooltipActive:Boolean(n)}},Am=function(e){return"horizontal"===e?{numericAxisName:"yAxis",cateAxisName:"xAxis"}:"vertical"===e?{numericAxisName:"xAxis",cateAxisName:"yAxis"}:"centric"===e?{numericAxisName:"radiusAxis",cateAxisName:"angleAxis"}:{numericAxisName:"angleAxis",cateAxisName:"radiusAxis"}},Cm=function(e,t){var n=e.props,r=(e.graphicalItems,e.xAxisMap),o=void 0===r?{}:r,i=e.yAxisMap,a=void 0===i?{}:i,l=n.width,u=n.height,c=n.children,s=n.margin||{},f=ue(c,zd),d=ue(c,tr),p=Object.keys(a).reduce(function(e,t){var n=a[t],r=n.orientation;return n.mirror||n.hide?e:hm(hm({},e),{},ym({},r,e[r]+n.width))},{left:s.left||0,right:s.right||0}),h=Object.keys(o).reduce(function(e,t){var n=o[t],r=n.orientation;return n.mirror||n.hide?e:hm(hm({},e),{},ym({},r,j()(e,"".concat(r))+n.height))},{top:s.top||0,bottom:s.bottom||0}),y=hm(hm({},h),p),v=y.bottom;f&&(y.bottom+=f.props.height||zd.defaultProps.height),d&&t&&(y=function(e,t,n,r){var o=n.children,i=n.width,a=n.margin,l=i-(a.left||0)-(a.right||0),u=Vf({children:o,legendWidth:l});if(u){var c=r||{},s=c.width,f=c.height,d=u.align,p=u.verticalAlign,h=u.layout;if(("vertical"===h||"horizontal"===h&&"middle"===p)&&"center"!==d&&A(e[d]))return Gf(Gf({},e),{},Yf({},d,e[d]+(s||0)));if(("horizontal"===h||"vertical"===h&&"center"===d)&&"middle"!==p&&A(e[p]))return Gf(Gf({},e),{},Yf({},p,e[p]+(f||0)))}return e}(y,0,n,t));var m=l-y.left-y.right,g=u-y.top-y.bottom;return hm(hm({brushBottom:v},y),{},{width:Math.max(m,0),height:Math.max(g,0)})},Tm=function(e,t){return"xAxis"===t?e[t].width:"yAxis"===t?e[t].height:void 0},Mm=["layout","type","stroke","connectNulls","isRange","ref"],Nm=["key"];function Dm(e){return Dm="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Dm(e)}function Im(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function zm(){return zm=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},zm.apply(this,arguments)}function Bm(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Rm(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Bm(Object(n),!0).forEach(function(t){Vm(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Bm(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Fm(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,qm(r.key),r)}}function Lm(e,t,n){return t=Wm(t),function(e,t){if(t&&("object"===Dm(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Um()?Reflect.construct(t,n||[],Wm(e).constructor):t.apply(e,n))}function Um(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Um=function(){return!!e})()}function Wm(e){return Wm=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Wm(e)}function Hm(e,t){return Hm=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Hm(e,t)}function Vm(e,t,n){return(t=qm(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function qm(e){var t=function(e,t){if("object"!=Dm(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Dm(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Dm(t)?t:t+""}var $m=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return Vm(e=Lm(this,n,[].concat(r)),"state",{isAnimationFinished:!0}),Vm(e,"id",M("recharts-area-")),Vm(e,"handleAnimationEnd",function(){var t=e.props.onAnimationEnd;e.setState({isAnimationFinished:!0}),L()(t)&&t()}),Vm(e,"handleAnimationStart",function(){var t=e.props.onAnimationStart;e.setState({isAnimationFinished:!1}),L()(t)&&t()}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Hm(e,t)}(n,e),r=n,o=[{key:"renderDots",value:function(e,r,o){var i=this.props.isAnimationActive,a=this.state.isAnimationFinished;if(i&&!a)return null;var l=this.props,u=l.dot,c=l.points,s=l.dataKey,f=pe(this.props,!1),d=pe(u,!0),p=c.map(function(e,t){var r=Rm(Rm(Rm({key:"dot-".concat(t),r:3},f),d),{},{index:t,cx:e.x,cy:e.y,dataKey:s,value:e.value,payload:e.payload,points:c});return n.renderDotItem(u,r)}),h={clipPath:e?"url(#clipPath-".concat(r?"":"dots-").concat(o,")"):null};return t.createElement(Be,zm({className:"recharts-area-dots"},h),p)}},{key:"renderHorizontalRect",value:function(e){var n=this.props,r=n.baseLine,o=n.points,i=n.strokeWidth,a=o[0].x,l=o[o.length-1].x,u=e*Math.abs(a-l),c=Hs()(o.map(function(e){return e.y||0}));return A(r)&&"number"===typeof r?c=Math.max(r,c):r&&Array.isArray(r)&&r.length&&(c=Math.max(Hs()(r.map(function(e){return e.y||0})),c)),A(c)?t.createElement("rect",{x:a<l?a:a-u,y:0,width:u,height:Math.floor(c+(i?parseInt("".concat(i),10):1))}):null}},{key:"renderVerticalRect",value:function(e){var n=this.props,r=n.baseLine,o=n.points,i=n.strokeWidth,a=o[0].y,l=o[o.length-1].y,u=e*Math.abs(a-l),c=Hs()(o.map(function(e){return e.x||0}));return A(r)&&"number"===typeof r?c=Math.max(r,c):r&&Array.isArray(r)&&r.length&&(c=Math.max(Hs()(r.map(function(e){return e.x||0})),c)),A(c)?t.createElement("rect",{x:0,y:a<l?a:a-u,width:c+(i?parseInt("".concat(i),10):1),height:Math.floor(u)}):null}},{key:"renderClipRect",value:function(e){return"vertical"===this.props.layout?this.renderVerticalRect(e):this.renderHorizontalRect(e)}},{key:"renderAreaStatically",value:function(e,n,r,o){var i=this.props,a=i.layout,l=i.type,u=i.stroke,c=i.connectNulls,s=i.isRange,f=(i.ref,Im(i,Mm));return t.createElement(Be,{clipPath:r?"url(#clipPath-".concat(o,")"):null},t.createElement(Bv,zm({},pe(f,!0),{points:e,connectNulls:c,type:l,baseLine:n,layout:a,stroke:"none",className:"recharts-area-area"})),"none"!==u&&t.createElement(Bv,zm({},pe(this.props,!1),{className:"recharts-area-curve",layout:a,type:l,connectNulls:c,fill:"none",points:e})),"none"!==u&&s&&t.createElement(Bv,zm({},pe(this.props,!1),{className:"recharts-area-curve",layout:a,type:l,connectNulls:c,fill:"none",points:n})))}},{key:"renderAreaWithAnimation",value:function(e,n){var r=this,o=this.props,i=o.points,a=o.baseLine,l=o.isAnimationActive,u=o.animationBegin,c=o.animationDuration,s=o.animationEasing,f=o.animationId,d=this.state,p=d.prevPoints,h=d.prevBaseLine;return t.createElement(Do,{begin:u,duration:c,isActive:l,easing:s,from:{t:0},to:{t:1},key:"area-".concat(f),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(o){var l=o.t;if(p){var u,c=p.length/i.length,s=i.map(function(e,t){var n=Math.floor(t*c);if(p[n]){var r=p[n],o=I(r.x,e.x),i=I(r.y,e.y);return Rm(Rm({},e),{},{x:o(l),y:i(l)})}return e});return u=A(a)&&"number"===typeof a?I(h,a)(l):P()(a)||x()(a)?I(h,0)(l):a.map(function(e,t){var n=Math.floor(t*c);if(h[n]){var r=h[n],o=I(r.x,e.x),i=I(r.y,e.y);return Rm(Rm({},e),{},{x:o(l),y:i(l)})}return e}),r.renderAreaStatically(s,u,e,n)}return t.createElement(Be,null,t.createElement("defs",null,t.createElement("clipPath",{id:"animationClipPath-".concat(n)},r.renderClipRect(l))),t.createElement(Be,{clipPath:"url(#animationClipPath-".concat(n,")")},r.renderAreaStatically(i,a,e,n)))})}},{key:"renderArea",value:function(e,t){var n=this.props,r=n.points,o=n.baseLine,i=n.isAnimationActive,a=this.state,l=a.prevPoints,u=a.prevBaseLine,c=a.totalLength;return i&&r&&r.length&&(!l&&c>0||!Gs()(l,r)||!Gs()(u,o))?this.renderAreaWithAnimation(e,t):this.renderAreaStatically(r,o,e,t)}},{key:"render",value:function(){var e,n=this.props,r=n.hide,o=n.dot,i=n.points,a=n.className,l=n.top,u=n.left,c=n.xAxis,s=n.yAxis,f=n.width,d=n.height,p=n.isAnimationActive,y=n.id;if(r||!i||!i.length)return null;var v=this.state.isAnimationFinished,m=1===i.length,g=h("recharts-area",a),b=c&&c.allowDataOverflow,x=s&&s.allowDataOverflow,w=b||x,j=P()(y)?this.id:y,S=null!==(e=pe(o,!1))&&void 0!==e?e:{r:3,strokeWidth:2},O=S.r,k=void 0===O?3:O,E=S.strokeWidth,_=void 0===E?2:E,A=(de(o)?o:{}).clipDot,C=void 0===A||A,T=2*k+_;return t.createElement(Be,{className:g},b||x?t.createElement("defs",null,t.createElement("clipPath",{id:"clipPath-".concat(j)},t.createElement("rect",{x:b?u:u-f/2,y:x?l:l-d/2,width:b?f:2*f,height:x?d:2*d})),!C&&t.createElement("clipPath",{id:"clipPath-dots-".concat(j)},t.createElement("rect",{x:u-T/2,y:l-T/2,width:f+T,height:d+T}))):null,m?null:this.renderArea(w,j),(o||m)&&this.renderDots(w,C,j),(!p||v)&&Op.renderCallByParent(this.props,i))}}],i=[{key:"getDerivedStateFromProps",value:function(e,t){return e.animationId!==t.prevAnimationId?{prevAnimationId:e.animationId,curPoints:e.points,curBaseLine:e.baseLine,prevPoints:t.curPoints,prevBaseLine:t.curBaseLine}:e.points!==t.curPoints||e.baseLine!==t.curBaseLine?{curPoints:e.points,curBaseLine:e.baseLine}:null}}],o&&Fm(r.prototype,o),i&&Fm(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);Sm=$m,Vm($m,"displayName","Area"),Vm($m,"defaultProps",{stroke:"#3182bd",fill:"#3182bd",fillOpacity:.6,xAxisId:0,yAxisId:0,legendType:"line",connectNulls:!1,points:[],dot:!1,activeDot:!0,hide:!1,isAnimationActive:!st.isSsr,animationBegin:0,animationDuration:1500,animationEasing:"ease"}),Vm($m,"getBaseValue",function(e,t,n,r){var o=e.layout,i=e.baseValue,a=t.props.baseValue,l=null!==a&&void 0!==a?a:i;if(A(l)&&"number"===typeof l)return l;var u="horizontal"===o?r:n,c=u.scale.domain();if("number"===u.type){var s=Math.max(c[0],c[1]),f=Math.min(c[0],c[1]);return"dataMin"===l?f:"dataMax"===l||s<0?s:Math.max(Math.min(c[0],c[1]),0)}return"dataMin"===l?c[0]:"dataMax"===l?c[1]:c[0]}),Vm($m,"getComposedData",function(e){var t,n=e.props,r=e.item,o=e.xAxis,i=e.yAxis,a=e.xAxisTicks,l=e.yAxisTicks,u=e.bandSize,c=e.dataKey,s=e.stackedData,f=e.dataStartIndex,d=e.displayedData,p=e.offset,h=n.layout,y=s&&s.length,v=Sm.getBaseValue(n,r,o,i),m="horizontal"===h,g=!1,b=d.map(function(e,t){var n;y?n=s[f+t]:(n=Qf(e,c),Array.isArray(n)?g=!0:n=[v,n]);var r=null==n[1]||y&&null==Qf(e,c);return m?{x:sd({axis:o,ticks:a,bandSize:u,entry:e,index:t}),y:r?null:i.scale(n[1]),value:n,payload:e}:{x:r?null:o.scale(n[1]),y:sd({axis:i,ticks:l,bandSize:u,entry:e,index:t}),value:n,payload:e}});return t=y||g?b.map(function(e){var t=Array.isArray(e.value)?e.value[0]:null;return m?{x:e.x,y:null!=t&&null!=e.y?i.scale(t):null}:{x:null!=t?o.scale(t):null,y:e.y}}):m?i.scale(v):o.scale(v),Rm({points:b,baseLine:t,layout:h,isRange:g},p)}),Vm($m,"renderDotItem",function(e,n){var r;if(t.isValidElement(e))r=t.cloneElement(e,n);else if(L()(e))r=e(n);else{var o=h("recharts-area-dot","boolean"!==typeof e?e.className:""),i=n.key,a=Im(n,Nm);r=t.createElement(rr,zm({},a,{key:i,className:o}))}return r});var Km=["type","layout","connectNulls","ref"],Xm=["key"];function Gm(e){return Gm="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Gm(e)}function Ym(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Qm(){return Qm=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Qm.apply(this,arguments)}function Zm(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Jm(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Zm(Object(n),!0).forEach(function(t){lg(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Zm(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function eg(e){return function(e){if(Array.isArray(e))return tg(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return tg(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return tg(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function tg(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function ng(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,ug(r.key),r)}}function rg(e,t,n){return t=ig(t),function(e,t){if(t&&("object"===Gm(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,og()?Reflect.construct(t,n||[],ig(e).constructor):t.apply(e,n))}function og(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(og=function(){return!!e})()}function ig(e){return ig=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},ig(e)}function ag(e,t){return ag=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},ag(e,t)}function lg(e,t,n){return(t=ug(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function ug(e){var t=function(e,t){if("object"!=Gm(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Gm(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Gm(t)?t:t+""}var cg=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return lg(e=rg(this,n,[].concat(r)),"state",{isAnimationFinished:!0,totalLength:0}),lg(e,"generateSimpleStrokeDasharray",function(e,t){return"".concat(t,"px ").concat(e-t,"px")}),lg(e,"getStrokeDasharray",function(t,r,o){var i=o.reduce(function(e,t){return e+t});if(!i)return e.generateSimpleStrokeDasharray(r,t);for(var a=Math.floor(t/i),l=t%i,u=r-t,c=[],s=0,f=0;s<o.length;f+=o[s],++s)if(f+o[s]>l){c=[].concat(eg(o.slice(0,s)),[l-f]);break}var d=c.length%2===0?[0,u]:[u];return[].concat(eg(n.repeat(o,a)),eg(c),d).map(function(e){return"".concat(e,"px")}).join(", ")}),lg(e,"id",M("recharts-line-")),lg(e,"pathRef",function(t){e.mainCurve=t}),lg(e,"handleAnimationEnd",function(){e.setState({isAnimationFinished:!0}),e.props.onAnimationEnd&&e.props.onAnimationEnd()}),lg(e,"handleAnimationStart",function(){e.setState({isAnimationFinished:!1}),e.props.onAnimationStart&&e.props.onAnimationStart()}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&ag(e,t)}(n,e),r=n,o=[{key:"componentDidMount",value:function(){if(this.props.isAnimationActive){var e=this.getTotalLength();this.setState({totalLength:e})}}},{key:"componentDidUpdate",value:function(){if(this.props.isAnimationActive){var e=this.getTotalLength();e!==this.state.totalLength&&this.setState({totalLength:e})}}},{key:"getTotalLength",value:function(){var e=this.mainCurve;try{return e&&e.getTotalLength&&e.getTotalLength()||0}catch(t){return 0}}},{key:"renderErrorBar",value:function(e,n){if(this.props.isAnimationActive&&!this.state.isAnimationFinished)return null;var r=this.props,o=r.points,i=r.xAxis,a=r.yAxis,l=r.layout,u=le(r.children,Ff);if(!u)return null;var c=function(e,t){return{x:e.x,y:e.y,value:e.value,errorVal:Qf(e.payload,t)}},s={clipPath:e?"url(#clipPath-".concat(n,")"):null};return t.createElement(Be,s,u.map(function(e){return t.cloneElement(e,{key:"bar-".concat(e.props.dataKey),data:o,xAxis:i,yAxis:a,layout:l,dataPointFormatter:c})}))}},{key:"renderDots",value:function(e,r,o){if(this.props.isAnimationActive&&!this.state.isAnimationFinished)return null;var i=this.props,a=i.dot,l=i.points,u=i.dataKey,c=pe(this.props,!1),s=pe(a,!0),f=l.map(function(e,t){var r=Jm(Jm(Jm({key:"dot-".concat(t),r:3},c),s),{},{index:t,cx:e.x,cy:e.y,value:e.value,dataKey:u,payload:e.payload,points:l});return n.renderDotItem(a,r)}),d={clipPath:e?"url(#clipPath-".concat(r?"":"dots-").concat(o,")"):null};return t.createElement(Be,Qm({className:"recharts-line-dots",key:"dots"},d),f)}},{key:"renderCurveStatically",value:function(e,n,r,o){var i=this.props,a=i.type,l=i.layout,u=i.connectNulls,c=(i.ref,Ym(i,Km)),s=Jm(Jm(Jm({},pe(c,!0)),{},{fill:"none",className:"recharts-line-curve",clipPath:n?"url(#clipPath-".concat(r,")"):null,points:e},o),{},{type:a,layout:l,connectNulls:u});return t.createElement(Bv,Qm({},s,{pathRef:this.pathRef}))}},{key:"renderCurveWithAnimation",value:function(e,n){var r=this,o=this.props,i=o.points,a=o.strokeDasharray,l=o.isAnimationActive,u=o.animationBegin,c=o.animationDuration,s=o.animationEasing,f=o.animationId,d=o.animateNewValues,p=o.width,h=o.height,y=this.state,v=y.prevPoints,m=y.totalLength;return t.createElement(Do,{begin:u,duration:c,isActive:l,easing:s,from:{t:0},to:{t:1},key:"line-".concat(f),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(t){var o=t.t;if(v){var l=v.length/i.length,u=i.map(function(e,t){var n=Math.floor(t*l);if(v[n]){var r=v[n],i=I(r.x,e.x),a=I(r.y,e.y);return Jm(Jm({},e),{},{x:i(o),y:a(o)})}if(d){var u=I(2*p,e.x),c=I(h/2,e.y);return Jm(Jm({},e),{},{x:u(o),y:c(o)})}return Jm(Jm({},e),{},{x:e.x,y:e.y})});return r.renderCurveStatically(u,e,n)}var c,s=I(0,m)(o);if(a){var f="".concat(a).split(/[,\s]+/gim).map(function(e){return parseFloat(e)});c=r.getStrokeDasharray(s,m,f)}else c=r.generateSimpleStrokeDasharray(m,s);return r.renderCurveStatically(i,e,n,{strokeDasharray:c})})}},{key:"renderCurve",value:function(e,t){var n=this.props,r=n.points,o=n.isAnimationActive,i=this.state,a=i.prevPoints,l=i.totalLength;return o&&r&&r.length&&(!a&&l>0||!Gs()(a,r))?this.renderCurveWithAnimation(e,t):this.renderCurveStatically(r,e,t)}},{key:"render",value:function(){var e,n=this.props,r=n.hide,o=n.dot,i=n.points,a=n.className,l=n.xAxis,u=n.yAxis,c=n.top,s=n.left,f=n.width,d=n.height,p=n.isAnimationActive,y=n.id;if(r||!i||!i.length)return null;var v=this.state.isAnimationFinished,m=1===i.length,g=h("recharts-line",a),b=l&&l.allowDataOverflow,x=u&&u.allowDataOverflow,w=b||x,j=P()(y)?this.id:y,S=null!==(e=pe(o,!1))&&void 0!==e?e:{r:3,strokeWidth:2},O=S.r,k=void 0===O?3:O,E=S.strokeWidth,_=void 0===E?2:E,A=(de(o)?o:{}).clipDot,C=void 0===A||A,T=2*k+_;return t.createElement(Be,{className:g},b||x?t.createElement("defs",null,t.createElement("clipPath",{id:"clipPath-".concat(j)},t.createElement("rect",{x:b?s:s-f/2,y:x?c:c-d/2,width:b?f:2*f,height:x?d:2*d})),!C&&t.createElement("clipPath",{id:"clipPath-dots-".concat(j)},t.createElement("rect",{x:s-T/2,y:c-T/2,width:f+T,height:d+T}))):null,!m&&this.renderCurve(w,j),this.renderErrorBar(w,j),(m||o)&&this.renderDots(w,C,j),(!p||v)&&Op.renderCallByParent(this.props,i))}}],i=[{key:"getDerivedStateFromProps",value:function(e,t){return e.animationId!==t.prevAnimationId?{prevAnimationId:e.animationId,curPoints:e.points,prevPoints:t.curPoints}:e.points!==t.curPoints?{curPoints:e.points}:null}},{key:"repeat",value:function(e,t){for(var n=e.length%2!==0?[].concat(eg(e),[0]):e,r=[],o=0;o<t;++o)r=[].concat(eg(r),eg(n));return r}},{key:"renderDotItem",value:function(e,n){var r;if(t.isValidElement(e))r=t.cloneElement(e,n);else if(L()(e))r=e(n);else{var o=n.key,i=Ym(n,Xm),a=h("recharts-line-dot","boolean"!==typeof e?e.className:"");r=t.createElement(rr,Qm({key:o},i,{className:a}))}return r}}],o&&ng(r.prototype,o),i&&ng(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function sg(e){return sg="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},sg(e)}function fg(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,mg(r.key),r)}}function dg(e,t,n){return t=hg(t),function(e,t){if(t&&("object"===sg(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,pg()?Reflect.construct(t,n||[],hg(e).constructor):t.apply(e,n))}function pg(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(pg=function(){return!!e})()}function hg(e){return hg=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},hg(e)}function yg(e,t){return yg=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},yg(e,t)}function vg(e,t,n){return(t=mg(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function mg(e){var t=function(e,t){if("object"!=sg(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=sg(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==sg(t)?t:t+""}lg(cg,"displayName","Line"),lg(cg,"defaultProps",{xAxisId:0,yAxisId:0,connectNulls:!1,activeDot:!0,dot:!0,legendType:"line",stroke:"#3182bd",strokeWidth:1,fill:"#fff",points:[],isAnimationActive:!st.isSsr,animateNewValues:!0,animationBegin:0,animationDuration:1500,animationEasing:"ease",hide:!1,label:!1}),lg(cg,"getComposedData",function(e){var t=e.props,n=e.xAxis,r=e.yAxis,o=e.xAxisTicks,i=e.yAxisTicks,a=e.dataKey,l=e.bandSize,u=e.displayedData,c=e.offset,s=t.layout,f=u.map(function(e,t){var u=Qf(e,a);return"horizontal"===s?{x:sd({axis:n,ticks:o,bandSize:l,entry:e,index:t}),y:P()(u)?null:r.scale(u),value:u,payload:e}:{x:P()(u)?null:n.scale(u),y:sd({axis:r,ticks:i,bandSize:l,entry:e,index:t}),value:u,payload:e}});return Jm({points:f,layout:s},c)});var gg=function(e){function t(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,t),dg(this,t,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&yg(e,t)}(t,e),n=t,(r=[{key:"render",value:function(){return null}}])&&fg(n.prototype,r),o&&fg(n,o),Object.defineProperty(n,"prototype",{writable:!1}),n;var n,r,o}(t.Component);vg(gg,"displayName","ZAxis"),vg(gg,"defaultProps",{zAxisId:0,range:[64,64],scale:"auto",type:"number"});var bg=["option","isActive"];function xg(){return xg=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},xg.apply(this,arguments)}function wg(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function jg(e){var n=e.option,r=e.isActive,o=wg(e,bg);return"string"===typeof n?t.createElement(nh,xg({option:t.createElement(An,xg({type:n},o)),isActive:r,shapeType:"symbols"},o)):t.createElement(nh,xg({option:n,isActive:r,shapeType:"symbols"},o))}function Sg(e){return Sg="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Sg(e)}function Og(){return Og=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Og.apply(this,arguments)}function kg(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Pg(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?kg(Object(n),!0).forEach(function(t){Mg(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):kg(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Eg(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Ng(r.key),r)}}function _g(e,t,n){return t=Cg(t),function(e,t){if(t&&("object"===Sg(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Ag()?Reflect.construct(t,n||[],Cg(e).constructor):t.apply(e,n))}function Ag(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Ag=function(){return!!e})()}function Cg(e){return Cg=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Cg(e)}function Tg(e,t){return Tg=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Tg(e,t)}function Mg(e,t,n){return(t=Ng(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Ng(e){var t=function(e,t){if("object"!=Sg(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Sg(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Sg(t)?t:t+""}var Dg=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return Mg(e=_g(this,n,[].concat(r)),"state",{isAnimationFinished:!1}),Mg(e,"handleAnimationEnd",function(){e.setState({isAnimationFinished:!0})}),Mg(e,"handleAnimationStart",function(){e.setState({isAnimationFinished:!1})}),Mg(e,"id",M("recharts-scatter-")),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Tg(e,t)}(n,e),r=n,o=[{key:"renderSymbolsStatically",value:function(e){var n=this,r=this.props,o=r.shape,i=r.activeShape,a=r.activeIndex,l=pe(this.props,!1);return e.map(function(e,r){var u=a===r,c=u?i:o,s=Pg(Pg({},l),e);return t.createElement(Be,Og({className:"recharts-scatter-symbol",key:"symbol-".concat(null===e||void 0===e?void 0:e.cx,"-").concat(null===e||void 0===e?void 0:e.cy,"-").concat(null===e||void 0===e?void 0:e.size,"-").concat(r)},Q(n.props,e,r),{role:"img"}),t.createElement(jg,Og({option:c,isActive:u,key:"symbol-".concat(r)},s)))})}},{key:"renderSymbolsWithAnimation",value:function(){var e=this,n=this.props,r=n.points,o=n.isAnimationActive,i=n.animationBegin,a=n.animationDuration,l=n.animationEasing,u=n.animationId,c=this.state.prevPoints;return t.createElement(Do,{begin:i,duration:a,isActive:o,easing:l,from:{t:0},to:{t:1},key:"pie-".concat(u),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(n){var o=n.t,i=r.map(function(e,t){var n=c&&c[t];if(n){var r=I(n.cx,e.cx),i=I(n.cy,e.cy),a=I(n.size,e.size);return Pg(Pg({},e),{},{cx:r(o),cy:i(o),size:a(o)})}var l=I(0,e.size);return Pg(Pg({},e),{},{size:l(o)})});return t.createElement(Be,null,e.renderSymbolsStatically(i))})}},{key:"renderSymbols",value:function(){var e=this.props,t=e.points,n=e.isAnimationActive,r=this.state.prevPoints;return!(n&&t&&t.length)||r&&Gs()(r,t)?this.renderSymbolsStatically(t):this.renderSymbolsWithAnimation()}},{key:"renderErrorBar",value:function(){if(this.props.isAnimationActive&&!this.state.isAnimationFinished)return null;var e=this.props,n=e.points,r=e.xAxis,o=e.yAxis,i=le(e.children,Ff);return i?i.map(function(e,i){var a=e.props,l=a.direction,u=a.dataKey;return t.cloneElement(e,{key:"".concat(l,"-").concat(u,"-").concat(n[i]),data:n,xAxis:r,yAxis:o,layout:"x"===l?"vertical":"horizontal",dataPointFormatter:function(e,t){return{x:e.cx,y:e.cy,value:"x"===l?+e.node.x:+e.node.y,errorVal:Qf(e,t)}}})}):null}},{key:"renderLine",value:function(){var e,n,r=this.props,o=r.points,i=r.line,a=r.lineType,l=r.lineJointType,u=pe(this.props,!1),c=pe(i,!1);if("joint"===a)e=o.map(function(e){return{x:e.cx,y:e.cy}});else if("fitting"===a){var s=function(e){if(!e||!e.length)return null;for(var t=e.length,n=0,r=0,o=0,i=0,a=1/0,l=-1/0,u=0,c=0,s=0;s<t;s++)n+=u=e[s].cx||0,r+=c=e[s].cy||0,o+=u*c,i+=u*u,a=Math.min(a,u),l=Math.max(l,u);var f=t*i!==n*n?(t*o-n*r)/(t*i-n*n):0;return{xmin:a,xmax:l,a:f,b:(r-f*n)/t}}(o),f=s.xmin,d=s.xmax,p=s.a,h=s.b,y=function(e){return p*e+h};e=[{x:f,y:y(f)},{x:d,y:y(d)}]}var v=Pg(Pg(Pg({},u),{},{fill:"none",stroke:u&&u.fill},c),{},{points:e});return n=t.isValidElement(i)?t.cloneElement(i,v):L()(i)?i(v):t.createElement(Bv,Og({},v,{type:l})),t.createElement(Be,{className:"recharts-scatter-line",key:"recharts-scatter-line"},n)}},{key:"render",value:function(){var e=this.props,n=e.hide,r=e.points,o=e.line,i=e.className,a=e.xAxis,l=e.yAxis,u=e.left,c=e.top,s=e.width,f=e.height,d=e.id,p=e.isAnimationActive;if(n||!r||!r.length)return null;var y=this.state.isAnimationFinished,v=h("recharts-scatter",i),m=a&&a.allowDataOverflow,g=l&&l.allowDataOverflow,b=m||g,x=P()(d)?this.id:d;return t.createElement(Be,{className:v,clipPath:b?"url(#clipPath-".concat(x,")"):null},m||g?t.createElement("defs",null,t.createElement("clipPath",{id:"clipPath-".concat(x)},t.createElement("rect",{x:m?u:u-s/2,y:g?c:c-f/2,width:m?s:2*s,height:g?f:2*f}))):null,o&&this.renderLine(),this.renderErrorBar(),t.createElement(Be,{key:"recharts-scatter-symbols"},this.renderSymbols()),(!p||y)&&Op.renderCallByParent(this.props,r))}}],i=[{key:"getDerivedStateFromProps",value:function(e,t){return e.animationId!==t.prevAnimationId?{prevAnimationId:e.animationId,curPoints:e.points,prevPoints:t.curPoints}:e.points!==t.curPoints?{curPoints:e.points}:null}}],o&&Eg(r.prototype,o),i&&Eg(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function Ig(e,t,n){if(t<1)return[];if(1===t&&void 0===n)return e;for(var r=[],o=0;o<e.length;o+=t){if(void 0!==n&&!0!==n(e[o]))return;r.push(e[o])}return r}function zg(e,t,n){return function(e){var t=e.width,n=e.height,r=function(e){return(e%180+180)%180}(arguments.length>1&&void 0!==arguments[1]?arguments[1]:0),o=r*Math.PI/180,i=Math.atan(n/t),a=o>i&&o<Math.PI-i?n/Math.sin(o):t/Math.cos(o);return Math.abs(a)}({width:e.width+t.width,height:e.height+t.height},n)}function Bg(e,t,n,r,o){if(e*t<e*r||e*t>e*o)return!1;var i=n();return e*(t-e*i/2-r)>=0&&e*(t+e*i/2-o)<=0}function Rg(e){return Rg="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Rg(e)}function Fg(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Lg(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Fg(Object(n),!0).forEach(function(t){Ug(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Fg(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Ug(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Rg(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Rg(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Rg(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Wg(e,t,n){var r=e.tick,o=e.ticks,i=e.viewBox,a=e.minTickGap,l=e.orientation,u=e.interval,c=e.tickFormatter,s=e.unit,f=e.angle;if(!o||!o.length||!r)return[];if(A(u)||st.isSsr)return function(e,t){return Ig(e,t+1)}(o,"number"===typeof u&&A(u)?u:0);var d=[],p="top"===l||"bottom"===l?"width":"height",h=s&&"width"===p?fi(s,{fontSize:t,letterSpacing:n}):{width:0,height:0},y=function(e,r){var o=L()(c)?c(e.value,r):e.value;return"width"===p?zg(fi(o,{fontSize:t,letterSpacing:n}),h,f):fi(o,{fontSize:t,letterSpacing:n})[p]},v=o.length>=2?E(o[1].coordinate-o[0].coordinate):1,m=function(e,t,n){var r="width"===n,o=e.x,i=e.y,a=e.width,l=e.height;return 1===t?{start:r?o:i,end:r?o+a:i+l}:{start:r?o+a:i+l,end:r?o:i}}(i,v,p);return"equidistantPreserveStart"===u?function(e,t,n,r,o){for(var i,a=(r||[]).slice(),l=t.start,u=t.end,c=0,s=1,f=l,d=function(){var t=null===r||void 0===r?void 0:r[c];if(void 0===t)return{v:Ig(r,s)};var i,a=c,d=function(){return void 0===i&&(i=n(t,a)),i},p=t.coordinate,h=0===c||Bg(e,p,d,f,u);h||(c=0,f=l,s+=1),h&&(f=p+e*(d()/2+o),c+=s)};s<=a.length;)if(i=d())return i.v;return[]}(v,m,y,o,a):(d="preserveStart"===u||"preserveStartEnd"===u?function(e,t,n,r,o,i){var a=(r||[]).slice(),l=a.length,u=t.start,c=t.end;if(i){var s=r[l-1],f=n(s,l-1),d=e*(s.coordinate+e*f/2-c);a[l-1]=s=Lg(Lg({},s),{},{tickCoord:d>0?s.coordinate-d*e:s.coordinate}),Bg(e,s.tickCoord,function(){return f},u,c)&&(c=s.tickCoord-e*(f/2+o),a[l-1]=Lg(Lg({},s),{},{isShow:!0}))}for(var p=i?l-1:l,h=function(t){var r,i=a[t],l=function(){return void 0===r&&(r=n(i,t)),r};if(0===t){var s=e*(i.coordinate-e*l()/2-u);a[t]=i=Lg(Lg({},i),{},{tickCoord:s<0?i.coordinate-s*e:i.coordinate})}else a[t]=i=Lg(Lg({},i),{},{tickCoord:i.coordinate});Bg(e,i.tickCoord,l,u,c)&&(u=i.tickCoord+e*(l()/2+o),a[t]=Lg(Lg({},i),{},{isShow:!0}))},y=0;y<p;y++)h(y);return a}(v,m,y,o,a,"preserveStartEnd"===u):function(e,t,n,r,o){for(var i=(r||[]).slice(),a=i.length,l=t.start,u=t.end,c=function(t){var r,c=i[t],s=function(){return void 0===r&&(r=n(c,t)),r};if(t===a-1){var f=e*(c.coordinate+e*s()/2-u);i[t]=c=Lg(Lg({},c),{},{tickCoord:f>0?c.coordinate-f*e:c.coordinate})}else i[t]=c=Lg(Lg({},c),{},{tickCoord:c.coordinate});Bg(e,c.tickCoord,s,l,u)&&(u=c.tickCoord-e*(s()/2+o),i[t]=Lg(Lg({},c),{},{isShow:!0}))},s=a-1;s>=0;s--)c(s);return i}(v,m,y,o,a),d.filter(function(e){return e.isShow}))}Mg(Dg,"displayName","Scatter"),Mg(Dg,"defaultProps",{xAxisId:0,yAxisId:0,zAxisId:0,legendType:"circle",lineType:"joint",lineJointType:"linear",data:[],shape:"circle",hide:!1,isAnimationActive:!st.isSsr,animationBegin:0,animationDuration:400,animationEasing:"linear"}),Mg(Dg,"getComposedData",function(e){var t=e.xAxis,n=e.yAxis,r=e.zAxis,o=e.item,i=e.displayedData,a=e.xAxisTicks,l=e.yAxisTicks,u=e.offset,c=o.props.tooltipType,s=le(o.props.children,sp),f=P()(t.dataKey)?o.props.dataKey:t.dataKey,d=P()(n.dataKey)?o.props.dataKey:n.dataKey,p=r&&r.dataKey,h=r?r.range:gg.defaultProps.range,y=h&&h[0],v=t.scale.bandwidth?t.scale.bandwidth():0,m=n.scale.bandwidth?n.scale.bandwidth():0,g=i.map(function(e,i){var u=Qf(e,f),h=Qf(e,d),g=!P()(p)&&Qf(e,p)||"-",b=[{name:P()(t.dataKey)?o.props.name:t.name||t.dataKey,unit:t.unit||"",value:u,payload:e,dataKey:f,type:c},{name:P()(n.dataKey)?o.props.name:n.name||n.dataKey,unit:n.unit||"",value:h,payload:e,dataKey:d,type:c}];"-"!==g&&b.push({name:r.name||r.dataKey,unit:r.unit||"",value:g,payload:e,dataKey:p,type:c});var x=sd({axis:t,ticks:a,bandSize:v,entry:e,index:i,dataKey:f}),w=sd({axis:n,ticks:l,bandSize:m,entry:e,index:i,dataKey:d}),j="-"!==g?r.scale(g):y,S=Math.sqrt(Math.max(j,0)/Math.PI);return Pg(Pg({},e),{},{cx:x,cy:w,x:x-S,y:w-S,xAxis:t,yAxis:n,zAxis:r,width:2*S,height:2*S,size:j,node:{x:u,y:h,z:g},tooltipPayload:b,tooltipPosition:{x:x,y:w},payload:e},s&&s[i]&&s[i].props)});return Pg({points:g},u)});var Hg=["viewBox"],Vg=["viewBox"],qg=["ticks"];function $g(e){return $g="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},$g(e)}function Kg(){return Kg=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Kg.apply(this,arguments)}function Xg(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Gg(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Xg(Object(n),!0).forEach(function(t){nb(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Xg(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Yg(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Qg(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,rb(r.key),r)}}function Zg(e,t,n){return t=eb(t),function(e,t){if(t&&("object"===$g(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Jg()?Reflect.construct(t,n||[],eb(e).constructor):t.apply(e,n))}function Jg(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Jg=function(){return!!e})()}function eb(e){return eb=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},eb(e)}function tb(e,t){return tb=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},tb(e,t)}function nb(e,t,n){return(t=rb(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function rb(e){var t=function(e,t){if("object"!=$g(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=$g(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==$g(t)?t:t+""}var ob=function(e){function n(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),(t=Zg(this,n,[e])).state={fontSize:"",letterSpacing:""},t}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&tb(e,t)}(n,e),r=n,o=[{key:"shouldComponentUpdate",value:function(e,t){var n=e.viewBox,r=Yg(e,Hg),o=this.props,i=o.viewBox,a=Yg(o,Vg);return!V(n,i)||!V(r,a)||!V(t,this.state)}},{key:"componentDidMount",value:function(){var e=this.layerReference;if(e){var t=e.getElementsByClassName("recharts-cartesian-axis-tick-value")[0];t&&this.setState({fontSize:window.getComputedStyle(t).fontSize,letterSpacing:window.getComputedStyle(t).letterSpacing})}}},{key:"getTickLineCoord",value:function(e){var t,n,r,o,i,a,l=this.props,u=l.x,c=l.y,s=l.width,f=l.height,d=l.orientation,p=l.tickSize,h=l.mirror,y=l.tickMargin,v=h?-1:1,m=e.tickSize||p,g=A(e.tickCoord)?e.tickCoord:e.coordinate;switch(d){case"top":t=n=e.coordinate,a=(r=(o=c+ +!h*f)-v*m)-v*y,i=g;break;case"left":r=o=e.coordinate,i=(t=(n=u+ +!h*s)-v*m)-v*y,a=g;break;case"right":r=o=e.coordinate,i=(t=(n=u+ +h*s)+v*m)+v*y,a=g;break;default:t=n=e.coordinate,a=(r=(o=c+ +h*f)+v*m)+v*y,i=g}return{line:{x1:t,y1:r,x2:n,y2:o},tick:{x:i,y:a}}}},{key:"getTickTextAnchor",value:function(){var e,t=this.props,n=t.orientation,r=t.mirror;switch(n){case"left":e=r?"start":"end";break;case"right":e=r?"end":"start";break;default:e="middle"}return e}},{key:"getTickVerticalAnchor",value:function(){var e=this.props,t=e.orientation,n=e.mirror,r="end";switch(t){case"left":case"right":r="middle";break;case"top":r=n?"start":"end";break;default:r=n?"end":"start"}return r}},{key:"renderAxisLine",value:function(){var e=this.props,n=e.x,r=e.y,o=e.width,i=e.height,a=e.orientation,l=e.mirror,u=e.axisLine,c=Gg(Gg(Gg({},pe(this.props,!1)),pe(u,!1)),{},{fill:"none"});if("top"===a||"bottom"===a){var s=+("top"===a&&!l||"bottom"===a&&l);c=Gg(Gg({},c),{},{x1:n,y1:r+s*i,x2:n+o,y2:r+s*i})}else{var f=+("left"===a&&!l||"right"===a&&l);c=Gg(Gg({},c),{},{x1:n+f*o,y1:r,x2:n+f*o,y2:r+i})}return t.createElement("line",Kg({},c,{className:h("recharts-cartesian-axis-line",j()(u,"className"))}))}},{key:"renderTicks",value:function(e,r,o){var i=this,a=this.props,l=a.tickLine,u=a.stroke,c=a.tick,s=a.tickFormatter,f=a.unit,d=Wg(Gg(Gg({},this.props),{},{ticks:e}),r,o),p=this.getTickTextAnchor(),y=this.getTickVerticalAnchor(),v=pe(this.props,!1),m=pe(c,!1),g=Gg(Gg({},v),{},{fill:"none"},pe(l,!1)),b=d.map(function(e,r){var o=i.getTickLineCoord(e),a=o.line,b=o.tick,x=Gg(Gg(Gg(Gg({textAnchor:p,verticalAnchor:y},v),{},{stroke:"none",fill:u},m),b),{},{index:r,payload:e,visibleTicksCount:d.length,tickFormatter:s});return t.createElement(Be,Kg({className:"recharts-cartesian-axis-tick",key:"tick-".concat(e.value,"-").concat(e.coordinate,"-").concat(e.tickCoord)},Q(i.props,e,r)),l&&t.createElement("line",Kg({},g,a,{className:h("recharts-cartesian-axis-tick-line",j()(l,"className"))})),c&&n.renderTickItem(c,x,"".concat(L()(s)?s(e.value,r):e.value).concat(f||"")))});return t.createElement("g",{className:"recharts-cartesian-axis-ticks"},b)}},{key:"render",value:function(){var e=this,n=this.props,r=n.axisLine,o=n.width,i=n.height,a=n.ticksGenerator,l=n.className;if(n.hide)return null;var u=this.props,c=u.ticks,s=Yg(u,qg),f=c;return L()(a)&&(f=c&&c.length>0?a(this.props):a(s)),o<=0||i<=0||!f||!f.length?null:t.createElement(Be,{className:h("recharts-cartesian-axis",l),ref:function(t){e.layerReference=t}},r&&this.renderAxisLine(),this.renderTicks(f,this.state.fontSize,this.state.letterSpacing),rp.renderCallByParent(this.props))}}],i=[{key:"renderTickItem",value:function(e,n,r){var o=h(n.className,"recharts-cartesian-axis-tick-value");return t.isValidElement(e)?t.cloneElement(e,Gg(Gg({},n),{},{className:o})):L()(e)?e(Gg(Gg({},n),{},{className:o})):t.createElement(Li,Kg({},n,{className:"recharts-cartesian-axis-tick-value"}),r)}}],o&&Qg(r.prototype,o),i&&Qg(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function ib(e){return ib="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},ib(e)}function ab(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,db(r.key),r)}}function lb(e,t,n){return t=cb(t),function(e,t){if(t&&("object"===ib(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,ub()?Reflect.construct(t,n||[],cb(e).constructor):t.apply(e,n))}function ub(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(ub=function(){return!!e})()}function cb(e){return cb=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},cb(e)}function sb(e,t){return sb=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},sb(e,t)}function fb(e,t,n){return(t=db(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function db(e){var t=function(e,t){if("object"!=ib(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=ib(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==ib(t)?t:t+""}function pb(){return pb=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},pb.apply(this,arguments)}function hb(e){var n=e.xAxisId,r=gy(),o=by(),i=vy(n);return null==i?null:t.createElement(ob,pb({},i,{className:h("recharts-".concat(i.axisType," ").concat(i.axisType),i.className),viewBox:{x:0,y:0,width:r,height:o},ticksGenerator:function(e){return od(e,!0)}}))}nb(ob,"displayName","CartesianAxis"),nb(ob,"defaultProps",{x:0,y:0,width:0,height:0,viewBox:{x:0,y:0,width:0,height:0},orientation:"bottom",ticks:[],stroke:"#666",tickLine:!0,axisLine:!0,tick:!0,mirror:!1,minTickGap:5,tickSize:6,tickMargin:2,interval:"preserveEnd"});var yb=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),lb(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&sb(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){return t.createElement(hb,this.props)}}])&&ab(r.prototype,o),i&&ab(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function vb(e){return vb="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},vb(e)}function mb(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Sb(r.key),r)}}function gb(e,t,n){return t=xb(t),function(e,t){if(t&&("object"===vb(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,bb()?Reflect.construct(t,n||[],xb(e).constructor):t.apply(e,n))}function bb(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(bb=function(){return!!e})()}function xb(e){return xb=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},xb(e)}function wb(e,t){return wb=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},wb(e,t)}function jb(e,t,n){return(t=Sb(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Sb(e){var t=function(e,t){if("object"!=vb(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=vb(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==vb(t)?t:t+""}function Ob(){return Ob=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Ob.apply(this,arguments)}fb(yb,"displayName","XAxis"),fb(yb,"defaultProps",{allowDecimals:!0,hide:!1,orientation:"bottom",width:0,height:30,mirror:!1,xAxisId:0,tickCount:5,type:"category",padding:{left:0,right:0},allowDataOverflow:!1,scale:"auto",reversed:!1,allowDuplicatedCategory:!0});var kb=function(e){var n=e.yAxisId,r=gy(),o=by(),i=my(n);return null==i?null:t.createElement(ob,Ob({},i,{className:h("recharts-".concat(i.axisType," ").concat(i.axisType),i.className),viewBox:{x:0,y:0,width:r,height:o},ticksGenerator:function(e){return od(e,!0)}}))},Pb=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),gb(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&wb(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){return t.createElement(kb,this.props)}}])&&mb(r.prototype,o),i&&mb(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);jb(Pb,"displayName","YAxis"),jb(Pb,"defaultProps",{allowDuplicatedCategory:!0,allowDecimals:!0,hide:!1,orientation:"left",width:60,height:0,mirror:!1,yAxisId:0,tickCount:5,type:"number",padding:{top:0,bottom:0},allowDataOverflow:!1,scale:"auto",reversed:!1});var Eb=function(e){var n=e.chartName,r=e.GraphicalChild,o=e.defaultTooltipEventType,i=void 0===o?"axis":o,a=e.validateTooltipEventTypes,l=void 0===a?["axis"]:a,u=e.axisComponents,c=e.legendContent,s=e.formatAxisMap,f=e.defaultProps,d=function(e,t){var n=t.graphicalItems,r=t.stackGroups,o=t.offset,i=t.updateId,a=t.dataStartIndex,l=t.dataEndIndex,c=e.barSize,s=e.layout,f=e.barGap,d=e.barCategoryGap,p=e.maxBarSize,h=Am(s),y=h.numericAxisName,v=h.cateAxisName,m=function(e){return!(!e||!e.length)&&e.some(function(e){var t=re(e&&e.type);return t&&t.indexOf("Bar")>=0})}(n),g=[];return n.forEach(function(n,h){var b=wm(e.data,{graphicalItems:[n],dataStartIndex:a,dataEndIndex:l}),x=void 0!==n.type.defaultProps?hm(hm({},n.type.defaultProps),n.props):n.props,w=x.dataKey,j=x.maxBarSize,S=x["".concat(y,"Id")],O=x["".concat(v,"Id")],k=u.reduce(function(e,n){var r=t["".concat(n.axisType,"Map")],o=x["".concat(n.axisType,"Id")];r&&r[o]||"zAxis"===n.axisType||Ae(!1);var i=r[o];return hm(hm({},e),{},ym(ym({},n.axisType,i),"".concat(n.axisType,"Ticks"),od(i)))},{}),E=k[v],_=k["".concat(v,"Ticks")],A=r&&r[S]&&r[S].hasStack&&function(e,t){var n,r=(null!==(n=e.type)&&void 0!==n&&n.defaultProps?Gf(Gf({},e.type.defaultProps),e.props):e.props).stackId;if(C(r)){var o=t[r];if(o){var i=o.items.indexOf(e);return i>=0?o.stackedData[i]:null}}return null}(n,r[S].stackGroups),T=re(n.type).indexOf("Bar")>=0,M=vd(E,_),D=[],I=m&&function(e){var t=e.barSize,n=e.totalSize,r=e.stackGroups,o=void 0===r?{}:r;if(!o)return{};for(var i={},a=Object.keys(o),l=0,u=a.length;l<u;l++)for(var c=o[a[l]].stackGroups,s=Object.keys(c),f=0,d=s.length;f<d;f++){var p=c[s[f]],h=p.items,y=p.cateAxisId,v=h.filter(function(e){return re(e.type).indexOf("Bar")>=0});if(v&&v.length){var m=v[0].type.defaultProps,g=void 0!==m?Gf(Gf({},m),v[0].props):v[0].props,b=g.barSize,x=g[y];i[x]||(i[x]=[]);var w=P()(b)?t:b;i[x].push({item:v[0],stackList:v.slice(1),barSize:P()(w)?void 0:N(w,n,0)})}}return i}({barSize:c,stackGroups:r,totalSize:Tm(k,v)});if(T){var z,B,R=P()(j)?p:j,F=null!==(z=null!==(B=vd(E,_,!0))&&void 0!==B?B:R)&&void 0!==z?z:0;D=function(e){var t=e.barGap,n=e.barCategoryGap,r=e.bandSize,o=e.sizeList,i=void 0===o?[]:o,a=e.maxBarSize,l=i.length;if(l<1)return null;var u,c=N(t,r,0,!0),s=[];if(i[0].barSize===+i[0].barSize){var f=!1,d=r/l,p=i.reduce(function(e,t){return e+t.barSize||0},0);(p+=(l-1)*c)>=r&&(p-=(l-1)*c,c=0),p>=r&&d>0&&(f=!0,p=l*(d*=.9));var h={offset:((r-p)/2|0)-c,size:0};u=i.reduce(function(e,t){var n={item:t.item,position:{offset:h.offset+h.size+c,size:f?d:t.barSize}},r=[].concat($f(e),[n]);return h=r[r.length-1].position,t.stackList&&t.stackList.length&&t.stackList.forEach(function(e){r.push({item:e,position:h})}),r},s)}else{var y=N(n,r,0,!0);r-2*y-(l-1)*c<=0&&(c=0);var v=(r-2*y-(l-1)*c)/l;v>1&&(v>>=0);var m=a===+a?Math.min(v,a):v;u=i.reduce(function(e,t,n){var r=[].concat($f(e),[{item:t.item,position:{offset:y+(v+c)*n+(v-m)/2,size:m}}]);return t.stackList&&t.stackList.length&&t.stackList.forEach(function(e){r.push({item:e,position:r[r.length-1].position})}),r},s)}return u}({barGap:f,barCategoryGap:d,bandSize:F!==M?F:M,sizeList:I[O],maxBarSize:R}),F!==M&&(D=D.map(function(e){return hm(hm({},e),{},{position:hm(hm({},e.position),{},{offset:e.position.offset-F/2})})}))}var L,U,W=n&&n.type&&n.type.getComposedData;W&&g.push({props:hm(hm({},W(hm(hm({},k),{},{displayedData:b,props:e,dataKey:w,item:n,bandSize:M,barPosition:D,offset:o,stackedData:A,layout:s,dataStartIndex:a,dataEndIndex:l}))),{},ym(ym(ym({key:n.key||"item-".concat(h)},y,k[y]),v,k[v]),"animationId",i)),childIndex:(L=n,U=e.children,ae(U).indexOf(L)),item:n})}),g},p=function(e,t){var o=e.props,i=e.dataStartIndex,a=e.dataEndIndex,l=e.updateId;if(!ce({props:o}))return null;var c=o.children,f=o.layout,p=o.stackOffset,h=o.data,y=o.reverseStackOrder,v=Am(f),m=v.numericAxisName,g=v.cateAxisName,b=le(c,r),x=function(e,t,n,r,o,i){if(!e)return null;var a=(i?t.reverse():t).reduce(function(e,t){var o,i=null!==(o=t.type)&&void 0!==o&&o.defaultProps?Gf(Gf({},t.type.defaultProps),t.props):t.props,a=i.stackId;if(i.hide)return e;var l=i[n],u=e[l]||{hasStack:!1,stackGroups:{}};if(C(a)){var c=u.stackGroups[a]||{numericAxisId:n,cateAxisId:r,items:[]};c.items.push(t),u.hasStack=!0,u.stackGroups[a]=c}else u.stackGroups[M("_stackId_")]={numericAxisId:n,cateAxisId:r,items:[t]};return Gf(Gf({},e),{},Yf({},l,u))},{});return Object.keys(a).reduce(function(t,i){var l=a[i];return l.hasStack&&(l.stackGroups=Object.keys(l.stackGroups).reduce(function(t,i){var a=l.stackGroups[i];return Gf(Gf({},t),{},Yf({},i,{numericAxisId:n,cateAxisId:r,items:a.items,stackedData:cd(e,a.items,o)}))},{})),Gf(Gf({},t),{},Yf({},i,l))},{})}(h,b,"".concat(m,"Id"),"".concat(g,"Id"),p,y),w=u.reduce(function(e,t){var n="".concat(t.axisType,"Map");return hm(hm({},e),{},ym({},n,Em(o,hm(hm({},t),{},{graphicalItems:b,stackGroups:t.axisType===m&&x,dataStartIndex:i,dataEndIndex:a}))))},{}),j=Cm(hm(hm({},w),{},{props:o,graphicalItems:b}),null===t||void 0===t?void 0:t.legendBBox);Object.keys(w).forEach(function(e){w[e]=s(o,w[e],j,e.replace("Map",""),n)});var S=function(e){var t=D(e),n=od(t,!1,!0);return{tooltipTicks:n,orderedTooltipTicks:Ee()(n,function(e){return e.coordinate}),tooltipAxis:t,tooltipAxisBandSize:vd(t,n)}}(w["".concat(g,"Map")]),O=d(o,hm(hm({},w),{},{dataStartIndex:i,dataEndIndex:a,updateId:l,graphicalItems:b,stackGroups:x,offset:j}));return hm(hm({formattedGraphicalItems:O,graphicalItems:b,offset:j,stackGroups:x},S),w)},y=function(e){function r(e){var o,i,a;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,r),ym(a=am(this,r,[e]),"eventEmitterSymbol",Symbol("rechartsEventEmitter")),ym(a,"accessibilityManager",new rv),ym(a,"handleLegendBBoxUpdate",function(e){if(e){var t=a.state,n=t.dataStartIndex,r=t.dataEndIndex,o=t.updateId;a.setState(hm({legendBBox:e},p({props:a.props,dataStartIndex:n,dataEndIndex:r,updateId:o},hm(hm({},a.state),{},{legendBBox:e}))))}}),ym(a,"handleReceiveSyncEvent",function(e,t,n){if(a.props.syncId===e){if(n===a.eventEmitterSymbol&&"function"!==typeof a.props.syncMethod)return;a.applySyncEvent(t)}}),ym(a,"handleBrushChange",function(e){var t=e.startIndex,n=e.endIndex;if(t!==a.state.dataStartIndex||n!==a.state.dataEndIndex){var r=a.state.updateId;a.setState(function(){return hm({dataStartIndex:t,dataEndIndex:n},p({props:a.props,dataStartIndex:t,dataEndIndex:n,updateId:r},a.state))}),a.triggerSyncEvent({dataStartIndex:t,dataEndIndex:n})}}),ym(a,"handleMouseEnter",function(e){var t=a.getMouseInfo(e);if(t){var n=hm(hm({},t),{},{isTooltipActive:!0});a.setState(n),a.triggerSyncEvent(n);var r=a.props.onMouseEnter;L()(r)&&r(n,e)}}),ym(a,"triggeredAfterMouseMove",function(e){var t=a.getMouseInfo(e),n=t?hm(hm({},t),{},{isTooltipActive:!0}):{isTooltipActive:!1};a.setState(n),a.triggerSyncEvent(n);var r=a.props.onMouseMove;L()(r)&&r(n,e)}),ym(a,"handleItemMouseEnter",function(e){a.setState(function(){return{isTooltipActive:!0,activeItem:e,activePayload:e.tooltipPayload,activeCoordinate:e.tooltipPosition||{x:e.cx,y:e.cy}}})}),ym(a,"handleItemMouseLeave",function(){a.setState(function(){return{isTooltipActive:!1}})}),ym(a,"handleMouseMove",function(e){e.persist(),a.throttleTriggeredAfterMouseMove(e)}),ym(a,"handleMouseLeave",function(e){a.throttleTriggeredAfterMouseMove.cancel();var t={isTooltipActive:!1};a.setState(t),a.triggerSyncEvent(t);var n=a.props.onMouseLeave;L()(n)&&n(t,e)}),ym(a,"handleOuterEvent",function(e){var t,n=function(e){var t=e&&e.type;return t&&ne[t]?ne[t]:null}(e),r=j()(a.props,"".concat(n));n&&L()(r)&&r(null!==(t=/.*touch.*/i.test(n)?a.getMouseInfo(e.changedTouches[0]):a.getMouseInfo(e))&&void 0!==t?t:{},e)}),ym(a,"handleClick",function(e){var t=a.getMouseInfo(e);if(t){var n=hm(hm({},t),{},{isTooltipActive:!0});a.setState(n),a.triggerSyncEvent(n);var r=a.props.onClick;L()(r)&&r(n,e)}}),ym(a,"handleMouseDown",function(e){var t=a.props.onMouseDown;L()(t)&&t(a.getMouseInfo(e),e)}),ym(a,"handleMouseUp",function(e){var t=a.props.onMouseUp;L()(t)&&t(a.getMouseInfo(e),e)}),ym(a,"handleTouchMove",function(e){null!=e.changedTouches&&e.changedTouches.length>0&&a.throttleTriggeredAfterMouseMove(e.changedTouches[0])}),ym(a,"handleTouchStart",function(e){null!=e.changedTouches&&e.changedTouches.length>0&&a.handleMouseDown(e.changedTouches[0])}),ym(a,"handleTouchEnd",function(e){null!=e.changedTouches&&e.changedTouches.length>0&&a.handleMouseUp(e.changedTouches[0])}),ym(a,"handleDoubleClick",function(e){var t=a.props.onDoubleClick;L()(t)&&t(a.getMouseInfo(e),e)}),ym(a,"handleContextMenu",function(e){var t=a.props.onContextMenu;L()(t)&&t(a.getMouseInfo(e),e)}),ym(a,"triggerSyncEvent",function(e){void 0!==a.props.syncId&&Qy.emit(Zy,a.props.syncId,e,a.eventEmitterSymbol)}),ym(a,"applySyncEvent",function(e){var t=a.props,n=t.layout,r=t.syncMethod,o=a.state.updateId,i=e.dataStartIndex,l=e.dataEndIndex;if(void 0!==e.dataStartIndex||void 0!==e.dataEndIndex)a.setState(hm({dataStartIndex:i,dataEndIndex:l},p({props:a.props,dataStartIndex:i,dataEndIndex:l,updateId:o},a.state)));else if(void 0!==e.activeTooltipIndex){var u=e.chartX,c=e.chartY,s=e.activeTooltipIndex,f=a.state,d=f.offset,h=f.tooltipTicks;if(!d)return;if("function"===typeof r)s=r(h,e);else if("value"===r){s=-1;for(var y=0;y<h.length;y++)if(h[y].value===e.activeLabel){s=y;break}}var v=hm(hm({},d),{},{x:d.left,y:d.top}),m=Math.min(u,v.x+v.width),g=Math.min(c,v.y+v.height),b=h[s]&&h[s].value,x=Om(a.state,a.props.data,s),w=h[s]?{x:"horizontal"===n?h[s].coordinate:m,y:"horizontal"===n?g:h[s].coordinate}:bm;a.setState(hm(hm({},e),{},{activeLabel:b,activeCoordinate:w,activePayload:x,activeTooltipIndex:s}))}else a.setState(e)}),ym(a,"renderCursor",function(e){var r,o=a.state,i=o.isTooltipActive,l=o.activeCoordinate,u=o.activePayload,c=o.offset,s=o.activeTooltipIndex,f=o.tooltipAxisBandSize,d=a.getTooltipEventType(),p=null!==(r=e.props.active)&&void 0!==r?r:i,h=a.props.layout,y=e.key||"_recharts-cursor";return t.createElement(Zv,{key:y,activeCoordinate:l,activePayload:u,activeTooltipIndex:s,chartName:n,element:e,isActive:p,layout:h,offset:c,tooltipAxisBandSize:f,tooltipEventType:d})}),ym(a,"renderPolarAxis",function(e,n,r){var o=j()(e,"type.axisType"),i=j()(a.state,"".concat(o,"Map")),l=e.type.defaultProps,u=void 0!==l?hm(hm({},l),e.props):e.props,c=i&&i[u["".concat(o,"Id")]];return(0,t.cloneElement)(e,hm(hm({},c),{},{className:h(o,c.className),key:e.key||"".concat(n,"-").concat(r),ticks:od(c,!0)}))}),ym(a,"renderPolarGrid",function(e){var n=e.props,r=n.radialLines,o=n.polarAngles,i=n.polarRadius,l=a.state,u=l.radiusAxisMap,c=l.angleAxisMap,s=D(u),f=D(c),d=f.cx,p=f.cy,h=f.innerRadius,y=f.outerRadius;return(0,t.cloneElement)(e,{polarAngles:Array.isArray(o)?o:od(f,!0).map(function(e){return e.coordinate}),polarRadius:Array.isArray(i)?i:od(s,!0).map(function(e){return e.coordinate}),cx:d,cy:p,innerRadius:h,outerRadius:y,key:e.key||"polar-grid",radialLines:r})}),ym(a,"renderLegend",function(){var e=a.state.formattedGraphicalItems,n=a.props,r=n.children,o=n.width,i=n.height,l=a.props.margin||{},u=o-(l.left||0)-(l.right||0),s=Vf({children:r,formattedGraphicalItems:e,legendWidth:u,legendContent:c});if(!s)return null;var f=s.item,d=om(s,Jv);return(0,t.cloneElement)(f,hm(hm({},d),{},{chartWidth:o,chartHeight:i,margin:l,onBBoxUpdate:a.handleLegendBBoxUpdate}))}),ym(a,"renderTooltip",function(){var e,n=a.props,r=n.children,o=n.accessibilityLayer,i=ue(r,kt);if(!i)return null;var l=a.state,u=l.isTooltipActive,c=l.activeCoordinate,s=l.activePayload,f=l.activeLabel,d=l.offset,p=null!==(e=i.props.active)&&void 0!==e?e:u;return(0,t.cloneElement)(i,{viewBox:hm(hm({},d),{},{x:d.left,y:d.top}),active:p,label:f,payload:p?s:[],coordinate:c,accessibilityLayer:o})}),ym(a,"renderBrush",function(e){var n=a.props,r=n.margin,o=n.data,i=a.state,l=i.offset,u=i.dataStartIndex,c=i.dataEndIndex,s=i.updateId;return(0,t.cloneElement)(e,{key:e.key||"_recharts-brush",onChange:ad(a.handleBrushChange,e.props.onChange),data:o,x:A(e.props.x)?e.props.x:l.left,y:A(e.props.y)?e.props.y:l.top+l.height+l.brushBottom-(r.bottom||0),width:A(e.props.width)?e.props.width:l.width,startIndex:u,endIndex:c,updateId:"brush-".concat(s)})}),ym(a,"renderReferenceElement",function(e,n,r){if(!e)return null;var o=a.clipPathId,i=a.state,l=i.xAxisMap,u=i.yAxisMap,c=i.offset,s=e.type.defaultProps||{},f=e.props,d=f.xAxisId,p=void 0===d?s.xAxisId:d,h=f.yAxisId,y=void 0===h?s.yAxisId:h;return(0,t.cloneElement)(e,{key:e.key||"".concat(n,"-").concat(r),xAxis:l[p],yAxis:u[y],viewBox:{x:c.left,y:c.top,width:c.width,height:c.height},clipPathId:o})}),ym(a,"renderActivePoints",function(e){var t=e.item,n=e.activePoint,o=e.basePoint,i=e.childIndex,a=e.isRange,l=[],u=t.props.key,c=void 0!==t.item.type.defaultProps?hm(hm({},t.item.type.defaultProps),t.item.props):t.item.props,s=c.activeDot,f=hm(hm({index:i,dataKey:c.dataKey,cx:n.x,cy:n.y,r:4,fill:Jf(t.item),strokeWidth:2,stroke:"#fff",payload:n.payload,value:n.value},pe(s,!1)),Y(s));return l.push(r.renderActiveDot(s,f,"".concat(u,"-activePoint-").concat(i))),o?l.push(r.renderActiveDot(s,hm(hm({},f),{},{cx:o.x,cy:o.y}),"".concat(u,"-basePoint-").concat(i))):a&&l.push(null),l}),ym(a,"renderGraphicChild",function(e,n,r){var o=a.filterFormatItem(e,n,r);if(!o)return null;var i=a.getTooltipEventType(),l=a.state,u=l.isTooltipActive,c=l.tooltipAxis,s=l.activeTooltipIndex,f=l.activeLabel,d=ue(a.props.children,kt),p=o.props,h=p.points,y=p.isRange,v=p.baseLine,m=void 0!==o.item.type.defaultProps?hm(hm({},o.item.type.defaultProps),o.item.props):o.item.props,g=m.activeDot,b=m.hide,x=m.activeBar,w=m.activeShape,j=Boolean(!b&&u&&d&&(g||x||w)),S={};"axis"!==i&&d&&"click"===d.props.trigger?S={onClick:ad(a.handleItemMouseEnter,e.props.onClick)}:"axis"!==i&&(S={onMouseLeave:ad(a.handleItemMouseLeave,e.props.onMouseLeave),onMouseEnter:ad(a.handleItemMouseEnter,e.props.onMouseEnter)});var O=(0,t.cloneElement)(e,hm(hm({},o.props),S));if(j){if(!(s>=0)){var k,E=(null!==(k=a.getItemByXY(a.state.activeCoordinate))&&void 0!==k?k:{graphicalItem:O}).graphicalItem,_=E.item,A=void 0===_?e:_,C=E.childIndex,T=hm(hm(hm({},o.props),S),{},{activeIndex:C});return[(0,t.cloneElement)(A,T),null,null]}var M,N;if(c.dataKey&&!c.allowDuplicatedCategory){var D="function"===typeof c.dataKey?function(e){return"function"===typeof c.dataKey?c.dataKey(e.payload):null}:"payload.".concat(c.dataKey.toString());M=z(h,D,f),N=y&&v&&z(v,D,f)}else M=null===h||void 0===h?void 0:h[s],N=y&&v&&v[s];if(w||x){var I=void 0!==e.props.activeIndex?e.props.activeIndex:s;return[(0,t.cloneElement)(e,hm(hm(hm({},o.props),S),{},{activeIndex:I})),null,null]}if(!P()(M))return[O].concat(sm(a.renderActivePoints({item:o,activePoint:M,basePoint:N,childIndex:s,isRange:y})))}return y?[O,null,null]:[O,null]}),ym(a,"renderCustomized",function(e,n,r){return(0,t.cloneElement)(e,hm(hm({key:"recharts-customized-".concat(r)},a.props),a.state))}),ym(a,"renderMap",{CartesianGrid:{handler:xm,once:!0},ReferenceArea:{handler:a.renderReferenceElement},ReferenceLine:{handler:xm},ReferenceDot:{handler:a.renderReferenceElement},XAxis:{handler:xm},YAxis:{handler:xm},Brush:{handler:a.renderBrush,once:!0},Bar:{handler:a.renderGraphicChild},Line:{handler:a.renderGraphicChild},Area:{handler:a.renderGraphicChild},Radar:{handler:a.renderGraphicChild},RadialBar:{handler:a.renderGraphicChild},Scatter:{handler:a.renderGraphicChild},Pie:{handler:a.renderGraphicChild},Funnel:{handler:a.renderGraphicChild},Tooltip:{handler:a.renderCursor,once:!0},PolarGrid:{handler:a.renderPolarGrid,once:!0},PolarAngleAxis:{handler:a.renderPolarAxis},PolarRadiusAxis:{handler:a.renderPolarAxis},Customized:{handler:a.renderCustomized}}),a.clipPathId="".concat(null!==(o=e.id)&&void 0!==o?o:M("recharts"),"-clip"),a.throttleTriggeredAfterMouseMove=v()(a.triggeredAfterMouseMove,null!==(i=e.throttleDelay)&&void 0!==i?i:1e3/60),a.state={},a}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&cm(e,t)}(r,e),o=r,a=[{key:"componentDidMount",value:function(){var e,t;this.addListener(),this.accessibilityManager.setDetails({container:this.container,offset:{left:null!==(e=this.props.margin.left)&&void 0!==e?e:0,top:null!==(t=this.props.margin.top)&&void 0!==t?t:0},coordinateList:this.state.tooltipTicks,mouseHandlerCallback:this.triggeredAfterMouseMove,layout:this.props.layout}),this.displayDefaultTooltip()}},{key:"displayDefaultTooltip",value:function(){var e=this.props,t=e.children,n=e.data,r=e.height,o=e.layout,i=ue(t,kt);if(i){var a=i.props.defaultIndex;if(!("number"!==typeof a||a<0||a>this.state.tooltipTicks.length-1)){var l=this.state.tooltipTicks[a]&&this.state.tooltipTicks[a].value,u=Om(this.state,n,a,l),c=this.state.tooltipTicks[a].coordinate,s=(this.state.offset.top+r)/2,f="horizontal"===o?{x:c,y:s}:{y:c,x:s},d=this.state.formattedGraphicalItems.find(function(e){return"Scatter"===e.item.type.name});d&&(f=hm(hm({},f),d.props.points[a].tooltipPosition),u=d.props.points[a].tooltipPayload);var p={activeTooltipIndex:a,isTooltipActive:!0,activeLabel:l,activePayload:u,activeCoordinate:f};this.setState(p),this.renderCursor(i),this.accessibilityManager.setIndex(a)}}}},{key:"getSnapshotBeforeUpdate",value:function(e,t){return this.props.accessibilityLayer?(this.state.tooltipTicks!==t.tooltipTicks&&this.accessibilityManager.setDetails({coordinateList:this.state.tooltipTicks}),this.props.layout!==e.layout&&this.accessibilityManager.setDetails({layout:this.props.layout}),this.props.margin!==e.margin&&this.accessibilityManager.setDetails({offset:{left:null!==(n=this.props.margin.left)&&void 0!==n?n:0,top:null!==(r=this.props.margin.top)&&void 0!==r?r:0}}),null):null;var n,r}},{key:"componentDidUpdate",value:function(e){he([ue(e.children,kt)],[ue(this.props.children,kt)])||this.displayDefaultTooltip()}},{key:"componentWillUnmount",value:function(){this.removeListener(),this.throttleTriggeredAfterMouseMove.cancel()}},{key:"getTooltipEventType",value:function(){var e=ue(this.props.children,kt);if(e&&"boolean"===typeof e.props.shared){var t=e.props.shared?"axis":"item";return l.indexOf(t)>=0?t:i}return i}},{key:"getMouseInfo",value:function(e){if(!this.container)return null;var t,n=this.container,r=n.getBoundingClientRect(),o={top:(t=r).top+window.scrollY-document.documentElement.clientTop,left:t.left+window.scrollX-document.documentElement.clientLeft},i={chartX:Math.round(e.pageX-o.left),chartY:Math.round(e.pageY-o.top)},a=r.width/n.offsetWidth||1,l=this.inRange(i.chartX,i.chartY,a);if(!l)return null;var u=this.state,c=u.xAxisMap,s=u.yAxisMap,f=this.getTooltipEventType(),d=km(this.state,this.props.data,this.props.layout,l);if("axis"!==f&&c&&s){var p=D(c).scale,h=D(s).scale,y=p&&p.invert?p.invert(i.chartX):null,v=h&&h.invert?h.invert(i.chartY):null;return hm(hm({},i),{},{xValue:y,yValue:v},d)}return d?hm(hm({},i),d):null}},{key:"inRange",value:function(e,t){var n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:1,r=this.props.layout,o=e/n,i=t/n;if("horizontal"===r||"vertical"===r){var a=this.state.offset;return o>=a.left&&o<=a.left+a.width&&i>=a.top&&i<=a.top+a.height?{x:o,y:i}:null}var l=this.state,u=l.angleAxisMap,c=l.radiusAxisMap;if(u&&c){var s=D(u);return $d({x:o,y:i},s)}return null}},{key:"parseEventsOfWrapper",value:function(){var e=this.props.children,t=this.getTooltipEventType(),n=ue(e,kt),r={};return n&&"axis"===t&&(r="click"===n.props.trigger?{onClick:this.handleClick}:{onMouseEnter:this.handleMouseEnter,onDoubleClick:this.handleDoubleClick,onMouseMove:this.handleMouseMove,onMouseLeave:this.handleMouseLeave,onTouchMove:this.handleTouchMove,onTouchStart:this.handleTouchStart,onTouchEnd:this.handleTouchEnd,onContextMenu:this.handleContextMenu}),hm(hm({},Y(this.props,this.handleOuterEvent)),r)}},{key:"addListener",value:function(){Qy.on(Zy,this.handleReceiveSyncEvent)}},{key:"removeListener",value:function(){Qy.removeListener(Zy,this.handleReceiveSyncEvent)}},{key:"filterFormatItem",value:function(e,t,n){for(var r=this.state.formattedGraphicalItems,o=0,i=r.length;o<i;o++){var a=r[o];if(a.item===e||a.props.key===e.key||t===re(a.item.type)&&n===a.childIndex)return a}return null}},{key:"renderClipPath",value:function(){var e=this.clipPathId,n=this.state.offset,r=n.left,o=n.top,i=n.height,a=n.width;return t.createElement("defs",null,t.createElement("clipPath",{id:e},t.createElement("rect",{x:r,y:o,height:i,width:a})))}},{key:"getXScales",value:function(){var e=this.state.xAxisMap;return e?Object.entries(e).reduce(function(e,t){var n=rm(t,2),r=n[0],o=n[1];return hm(hm({},e),{},ym({},r,o.scale))},{}):null}},{key:"getYScales",value:function(){var e=this.state.yAxisMap;return e?Object.entries(e).reduce(function(e,t){var n=rm(t,2),r=n[0],o=n[1];return hm(hm({},e),{},ym({},r,o.scale))},{}):null}},{key:"getXScaleByAxisId",value:function(e){var t;return null===(t=this.state.xAxisMap)||void 0===t||null===(t=t[e])||void 0===t?void 0:t.scale}},{key:"getYScaleByAxisId",value:function(e){var t;return null===(t=this.state.yAxisMap)||void 0===t||null===(t=t[e])||void 0===t?void 0:t.scale}},{key:"getItemByXY",value:function(e){var t=this.state,n=t.formattedGraphicalItems,r=t.activeItem;if(n&&n.length)for(var o=0,i=n.length;o<i;o++){var a=n[o],l=a.props,u=a.item,c=void 0!==u.type.defaultProps?hm(hm({},u.type.defaultProps),u.props):u.props,s=re(u.type);if("Bar"===s){var f=(l.data||[]).find(function(t){return Ho(e,t)});if(f)return{graphicalItem:a,payload:f}}else if("RadialBar"===s){var d=(l.data||[]).find(function(t){return $d(e,t)});if(d)return{graphicalItem:a,payload:d}}else if(rh(a,r)||oh(a,r)||ih(a,r)){var p=ch({graphicalItem:a,activeTooltipItem:r,itemData:c.data}),h=void 0===c.activeIndex?p:c.activeIndex;return{graphicalItem:hm(hm({},a),{},{childIndex:h}),payload:ih(a,r)?c.data[p]:a.props.data[p]}}}return null}},{key:"render",value:function(){var e=this;if(!ce(this))return null;var n,r,o=this.props,i=o.children,a=o.className,l=o.width,u=o.height,c=o.style,s=o.compact,f=o.title,d=o.desc,p=om(o,em),y=pe(p,!1);if(s)return t.createElement(yy,{state:this.state,width:this.props.width,height:this.props.height,clipPathId:this.clipPathId},t.createElement(Ne,nm({},y,{width:l,height:u,title:f,desc:d}),this.renderClipPath(),ve(i,this.renderMap)));this.props.accessibilityLayer&&(y.tabIndex=null!==(n=this.props.tabIndex)&&void 0!==n?n:0,y.role=null!==(r=this.props.role)&&void 0!==r?r:"application",y.onKeyDown=function(t){e.accessibilityManager.keyboardEvent(t)},y.onFocus=function(){e.accessibilityManager.focus()});var v=this.parseEventsOfWrapper();return t.createElement(yy,{state:this.state,width:this.props.width,height:this.props.height,clipPathId:this.clipPathId},t.createElement("div",nm({className:h("recharts-wrapper",a),style:hm({position:"relative",cursor:"default",width:l,height:u},c)},v,{ref:function(t){e.container=t}}),t.createElement(Ne,nm({},y,{width:l,height:u,title:f,desc:d,style:gm}),this.renderClipPath(),ve(i,this.renderMap)),this.renderLegend(),this.renderTooltip()))}}],a&&im(o.prototype,a),u&&im(o,u),Object.defineProperty(o,"prototype",{writable:!1}),o;var o,a,u}(t.Component);ym(y,"displayName",n),ym(y,"defaultProps",hm({layout:"horizontal",stackOffset:"none",barCategoryGap:"10%",barGap:4,margin:{top:5,right:5,bottom:5,left:5},reverseStackOrder:!1,syncMethod:"index"},f)),ym(y,"getDerivedStateFromProps",function(e,t){var n=e.dataKey,r=e.data,o=e.children,i=e.width,a=e.height,l=e.layout,u=e.stackOffset,c=e.margin,s=t.dataStartIndex,f=t.dataEndIndex;if(void 0===t.updateId){var d=_m(e);return hm(hm(hm({},d),{},{updateId:0},p(hm(hm({props:e},d),{},{updateId:0}),t)),{},{prevDataKey:n,prevData:r,prevWidth:i,prevHeight:a,prevLayout:l,prevStackOffset:u,prevMargin:c,prevChildren:o})}if(n!==t.prevDataKey||r!==t.prevData||i!==t.prevWidth||a!==t.prevHeight||l!==t.prevLayout||u!==t.prevStackOffset||!V(c,t.prevMargin)){var h=_m(e),y={chartX:t.chartX,chartY:t.chartY,isTooltipActive:t.isTooltipActive},v=hm(hm({},km(t,r,l)),{},{updateId:t.updateId+1}),m=hm(hm(hm({},h),y),v);return hm(hm(hm({},m),p(hm({props:e},m),t)),{},{prevDataKey:n,prevData:r,prevWidth:i,prevHeight:a,prevLayout:l,prevStackOffset:u,prevMargin:c,prevChildren:o})}if(!he(o,t.prevChildren)){var g,b,x,w,j=ue(o,zd),S=j&&null!==(g=null===(b=j.props)||void 0===b?void 0:b.startIndex)&&void 0!==g?g:s,O=j&&null!==(x=null===(w=j.props)||void 0===w?void 0:w.endIndex)&&void 0!==x?x:f,k=S!==s||O!==f,E=!P()(r)&&!k?t.updateId:t.updateId+1;return hm(hm({updateId:E},p(hm(hm({props:e},t),{},{updateId:E,dataStartIndex:S,dataEndIndex:O}),t)),{},{prevChildren:o,dataStartIndex:S,dataEndIndex:O})}return null}),ym(y,"renderActiveDot",function(e,n,r){var o;return o=(0,t.isValidElement)(e)?(0,t.cloneElement)(e,n):L()(e)?e(n):t.createElement(rr,n),t.createElement(Be,{className:"recharts-active-dot",key:r},o)});var m=(0,t.forwardRef)(function(e,n){return t.createElement(y,nm({},e,{ref:n}))});return m.displayName=y.displayName,m}({chartName:"ComposedChart",GraphicalChild:[cg,$m,Dh,Dg],axisComponents:[{axisType:"xAxis",AxisComp:yb},{axisType:"yAxis",AxisComp:Pb},{axisType:"zAxis",AxisComp:gg}],formatAxisMap:function(t,n,r,o,i){var a=t.width,l=t.height,u=t.layout,c=t.children,s=Object.keys(n),f={left:r.left,leftMirror:r.left,right:a-r.right,rightMirror:a-r.right,top:r.top,topMirror:r.top,bottom:l-r.bottom,bottomMirror:l-r.bottom},d=!!ue(c,Dh);return s.reduce(function(a,l){var c,s,p,h,y,v=n[l],m=v.orientation,b=v.domain,x=v.padding,w=void 0===x?{}:x,j=v.mirror,S=v.reversed,O="".concat(m).concat(j?"Mirror":"");if("number"===v.type&&("gap"===v.padding||"no-gap"===v.padding)){var k=b[1]-b[0],P=1/0,E=v.categoricalDomain.sort(B);if(E.forEach(function(e,t){t>0&&(P=Math.min((e||0)-(E[t-1]||0),P))}),Number.isFinite(P)){var _=P/k,A="vertical"===v.layout?r.height:r.width;if("gap"===v.padding&&(c=_*A/2),"no-gap"===v.padding){var C=N(t.barCategoryGap,_*A),T=_*A/2;c=T-C-(T-C)/A*C}}}s="xAxis"===o?[r.left+(w.left||0)+(c||0),r.left+r.width-(w.right||0)-(c||0)]:"yAxis"===o?"horizontal"===u?[r.top+r.height-(w.bottom||0),r.top+(w.top||0)]:[r.top+(w.top||0)+(c||0),r.top+r.height-(w.bottom||0)-(c||0)]:v.range,S&&(s=[s[1],s[0]]);var M=function(t,n,r){var o=t.scale,i=t.type,a=t.layout,l=t.axisType;if("auto"===o)return"radial"===a&&"radiusAxis"===l?{scale:ti(),realScaleType:"band"}:"radial"===a&&"angleAxis"===l?{scale:kl(),realScaleType:"linear"}:"category"===i&&n&&(n.indexOf("LineChart")>=0||n.indexOf("AreaChart")>=0||n.indexOf("ComposedChart")>=0&&!r)?{scale:ri(),realScaleType:"point"}:"category"===i?{scale:ti(),realScaleType:"band"}:{scale:kl(),realScaleType:"linear"};if(g()(o)){var u="scale".concat(Et()(o));return{scale:(e[u]||ri)(),realScaleType:e[u]?u:"point"}}return L()(o)?{scale:o}:{scale:ri(),realScaleType:"point"}}(v,i,d),D=M.scale,I=M.realScaleType;D.domain(b).range(s),function(e){var t=e.domain();if(t&&!(t.length<=2)){var n=t.length,r=e.range(),o=Math.min(r[0],r[1])-ld,i=Math.max(r[0],r[1])+ld,a=e(t[0]),l=e(t[n-1]);(a<o||a>i||l<o||l>i)&&e.domain([t[0],t[n-1]])}}(D);var z=function(e,t){var n=t.realScaleType,r=t.type,o=t.tickCount,i=t.originalDomain,a=t.allowDecimals,l=n||t.scale;if("auto"!==l&&"linear"!==l)return null;if(o&&"number"===r&&i&&("auto"===i[0]||"auto"===i[1])){var u=e.domain();if(!u.length)return null;var c=Of(u,o,a);return e.domain([qs()(c),Hs()(c)]),{niceTicks:c}}if(o&&"number"===r){var s=e.domain();return{niceTicks:kf(s,o,a)}}return null}(D,Rh(Rh({},v),{},{realScaleType:I}));"xAxis"===o?(y="top"===m&&!j||"bottom"===m&&j,p=r.left,h=f[O]-y*v.height):"yAxis"===o&&(y="left"===m&&!j||"right"===m&&j,p=f[O]-y*v.width,h=r.top);var R=Rh(Rh(Rh({},v),z),{},{realScaleType:I,x:p,y:h,scale:D,width:"xAxis"===o?r.width:v.width,height:"yAxis"===o?r.height:v.height});return R.bandSize=vd(R,z),v.hide||"xAxis"!==o?v.hide||(f[O]+=(y?-1:1)*R.width):f[O]+=(y?-1:1)*R.height,Rh(Rh({},a),{},Fh({},l,R))},{})}}),_b=["x1","y1","x2","y2","key"],Ab=["offset"];function Cb(e){return Cb="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Cb(e)}function Tb(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Mb(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Tb(Object(n),!0).forEach(function(t){Nb(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Tb(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Nb(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Cb(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Cb(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Cb(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Db(){return Db=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Db.apply(this,arguments)}function Ib(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var zb=function(e){var n=e.fill;if(!n||"none"===n)return null;var r=e.fillOpacity,o=e.x,i=e.y,a=e.width,l=e.height,u=e.ry;return t.createElement("rect",{x:o,y:i,ry:u,width:a,height:l,stroke:"none",fill:n,fillOpacity:r,className:"recharts-cartesian-grid-bg"})};function Bb(e,n){var r;if(t.isValidElement(e))r=t.cloneElement(e,n);else if(L()(e))r=e(n);else{var o=n.x1,i=n.y1,a=n.x2,l=n.y2,u=n.key,c=Ib(n,_b),s=pe(c,!1),f=(s.offset,Ib(s,Ab));r=t.createElement("line",Db({},f,{x1:o,y1:i,x2:a,y2:l,fill:"none",key:u}))}return r}function Rb(e){var n=e.x,r=e.width,o=e.horizontal,i=void 0===o||o,a=e.horizontalPoints;if(!i||!a||!a.length)return null;var l=a.map(function(t,o){var a=Mb(Mb({},e),{},{x1:n,y1:t,x2:n+r,y2:t,key:"line-".concat(o),index:o});return Bb(i,a)});return t.createElement("g",{className:"recharts-cartesian-grid-horizontal"},l)}function Fb(e){var n=e.y,r=e.height,o=e.vertical,i=void 0===o||o,a=e.verticalPoints;if(!i||!a||!a.length)return null;var l=a.map(function(t,o){var a=Mb(Mb({},e),{},{x1:t,y1:n,x2:t,y2:n+r,key:"line-".concat(o),index:o});return Bb(i,a)});return t.createElement("g",{className:"recharts-cartesian-grid-vertical"},l)}function Lb(e){var n=e.horizontalFill,r=e.fillOpacity,o=e.x,i=e.y,a=e.width,l=e.height,u=e.horizontalPoints,c=e.horizontal;if(!(void 0===c||c)||!n||!n.length)return null;var s=u.map(function(e){return Math.round(e+i-i)}).sort(function(e,t){return e-t});i!==s[0]&&s.unshift(0);var f=s.map(function(e,u){var c=!s[u+1]?i+l-e:s[u+1]-e;if(c<=0)return null;var f=u%n.length;return t.createElement("rect",{key:"react-".concat(u),y:e,x:o,height:c,width:a,stroke:"none",fill:n[f],fillOpacity:r,className:"recharts-cartesian-grid-bg"})});return t.createElement("g",{className:"recharts-cartesian-gridstripes-horizontal"},f)}function Ub(e){var n=e.vertical,r=void 0===n||n,o=e.verticalFill,i=e.fillOpacity,a=e.x,l=e.y,u=e.width,c=e.height,s=e.verticalPoints;if(!r||!o||!o.length)return null;var f=s.map(function(e){return Math.round(e+a-a)}).sort(function(e,t){return e-t});a!==f[0]&&f.unshift(0);var d=f.map(function(e,n){var r=!f[n+1]?a+u-e:f[n+1]-e;if(r<=0)return null;var s=n%o.length;return t.createElement("rect",{key:"react-".concat(n),x:e,y:l,width:r,height:c,stroke:"none",fill:o[s],fillOpacity:i,className:"recharts-cartesian-grid-bg"})});return t.createElement("g",{className:"recharts-cartesian-gridstripes-vertical"},d)}var Wb=function(e,t){var n=e.xAxis,r=e.width,o=e.height,i=e.offset;return rd(Wg(Mb(Mb(Mb({},ob.defaultProps),n),{},{ticks:od(n,!0),viewBox:{x:0,y:0,width:r,height:o}})),i.left,i.left+i.width,t)},Hb=function(e,t){var n=e.yAxis,r=e.width,o=e.height,i=e.offset;return rd(Wg(Mb(Mb(Mb({},ob.defaultProps),n),{},{ticks:od(n,!0),viewBox:{x:0,y:0,width:r,height:o}})),i.top,i.top+i.height,t)},Vb={horizontal:!0,vertical:!0,horizontalPoints:[],verticalPoints:[],stroke:"#ccc",fill:"none",verticalFill:[],horizontalFill:[]};function qb(e){var n,r,o,i,a,l,u=gy(),c=by(),s=(0,t.useContext)(fy),f=Mb(Mb({},e),{},{stroke:null!==(n=e.stroke)&&void 0!==n?n:Vb.stroke,fill:null!==(r=e.fill)&&void 0!==r?r:Vb.fill,horizontal:null!==(o=e.horizontal)&&void 0!==o?o:Vb.horizontal,horizontalFill:null!==(i=e.horizontalFill)&&void 0!==i?i:Vb.horizontalFill,vertical:null!==(a=e.vertical)&&void 0!==a?a:Vb.vertical,verticalFill:null!==(l=e.verticalFill)&&void 0!==l?l:Vb.verticalFill,x:A(e.x)?e.x:s.left,y:A(e.y)?e.y:s.top,width:A(e.width)?e.width:s.width,height:A(e.height)?e.height:s.height}),d=f.x,p=f.y,h=f.width,y=f.height,v=f.syncWithTicks,m=f.horizontalValues,g=f.verticalValues,b=function(){var e=(0,t.useContext)(uy);return D(e)}(),x=function(){var e=(0,t.useContext)(cy);return iy()(e,function(e){return cp()(e.domain,Number.isFinite)})||D(e)}();if(!A(h)||h<=0||!A(y)||y<=0||!A(d)||d!==+d||!A(p)||p!==+p)return null;var w=f.verticalCoordinatesGenerator||Wb,j=f.horizontalCoordinatesGenerator||Hb,S=f.horizontalPoints,O=f.verticalPoints;if((!S||!S.length)&&L()(j)){var k=m&&m.length,P=j({yAxis:x?Mb(Mb({},x),{},{ticks:k?m:x.ticks}):void 0,width:u,height:c,offset:s},!!k||v);R(Array.isArray(P),"horizontalCoordinatesGenerator should return Array but instead it returned [".concat(Cb(P),"]")),Array.isArray(P)&&(S=P)}if((!O||!O.length)&&L()(w)){var E=g&&g.length,_=w({xAxis:b?Mb(Mb({},b),{},{ticks:E?g:b.ticks}):void 0,width:u,height:c,offset:s},!!E||v);R(Array.isArray(_),"verticalCoordinatesGenerator should return Array but instead it returned [".concat(Cb(_),"]")),Array.isArray(_)&&(O=_)}return t.createElement("g",{className:"recharts-cartesian-grid"},t.createElement(zb,{fill:f.fill,fillOpacity:f.fillOpacity,x:f.x,y:f.y,width:f.width,height:f.height,ry:f.ry}),t.createElement(Rb,Db({},f,{offset:s,horizontalPoints:S,xAxis:b,yAxis:x})),t.createElement(Fb,Db({},f,{offset:s,verticalPoints:O,xAxis:b,yAxis:x})),t.createElement(Lb,Db({},f,{horizontalPoints:S})),t.createElement(Ub,Db({},f,{verticalPoints:O})))}qb.displayName="CartesianGrid";const $b=()=>{const[e,n]=(0,t.useState)(null),[r,o]=(0,t.useState)(!0),[i,a]=(0,t.useState)(null),[l,u]=(0,t.useState)({boardId:null,teamSize:10}),[f,p]=(0,t.useState)("All"),[h,y]=(0,t.useState)(!1),[v,m]=(0,t.useState)(!1),[g,b]=(0,t.useState)(null),x=(0,t.useCallback)(async()=>{try{const e=await(0,c.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&u(e)}catch(e){console.error("Error loading config:",e)}},[]),w=(0,t.useCallback)(async()=>{if(l.boardId){o(!0),a(null);try{const e=await(0,c.invoke)("getBurndownData",{boardId:l.boardId,assignee:f,teamSize:l.teamSize});e.success?n(e.data):a(e.error)}catch(e){a(e.message)}finally{o(!1)}}else o(!1)},[l.boardId,l.teamSize,f]),j=(0,t.useCallback)(async()=>{if(l.boardId){m(!0),b(null);try{const e=await(0,c.invoke)("deleteBaseline",{boardId:l.boardId});e.success?(b({type:"success",text:"Baseline reset! Reloading data..."}),setTimeout(()=>{b(null),w()},1500)):b({type:"error",text:e.error||"Failed to reset baseline"})}catch(e){b({type:"error",text:e.message})}finally{m(!1)}}},[l.boardId,w]);(0,t.useEffect)(()=>{x()},[x]),(0,t.useEffect)(()=>{l.boardId&&w()},[l.boardId,f,w]);const S=e=>{if(!e)return"";return new Date(e).toLocaleDateString("en-US",{month:"short",day:"2-digit",year:"numeric"})},O=e=>{let{active:t,payload:n,label:r}=e;return t&&n&&n.length?(0,s.jsxs)("div",{style:{background:"white",border:"1px solid #dfe1e6",borderRadius:"3px",padding:"12px",boxShadow:"0 4px 8px rgba(0,0,0,0.1)"},children:[(0,s.jsx)("p",{style:{fontWeight:"600",marginBottom:"8px",color:"#172B4D"},children:r}),n.map((e,t)=>{if(null==e.value||0===e.value)return null;let n=e.color,r=e.name;return"remainingNegative"===e.dataKey&&(n="#DE350B",r="Remaining (Over Capacity)"),(0,s.jsxs)("div",{style:{display:"flex",alignItems:"center",gap:"8px",marginBottom:"4px"},children:[(0,s.jsx)("div",{style:{width:"10px",height:"10px",backgroundColor:n,borderRadius:"2px"}}),(0,s.jsxs)("span",{style:{fontSize:"12px",color:"#42526E"},children:[r,": ",Math.abs(e.value).toFixed(1),"h",e.value<0?" (removed)":""]})]},t)})]}):null};if(!l.boardId&&!r)return(0,s.jsx)(d,{gadgetTitle:"Sprint Burndown Chart",gadgetSubtitle:"",onConfigChange:x,children:(0,s.jsx)("div",{className:"gadget"})});if(r)return(0,s.jsxs)("div",{className:"loading",children:[(0,s.jsx)("div",{className:"spinner"}),(0,s.jsx)("p",{style:{marginTop:"12px"},children:"Loading burndown data..."})]});if(i)return(0,s.jsxs)("div",{className:"error",children:[(0,s.jsx)("p",{children:i}),(0,s.jsx)("button",{className:"btn btn-secondary",style:{marginTop:"12px"},onClick:w,children:"Retry"})]});if(!e)return null;const{dataPoints:k,sprintName:P,sprintStartDate:E,sprintEndDate:_,maxCapacity:A,totalOriginalEstimate:C,currentRemaining:T,totalSpent:M,scopeAddedTotal:N,scopeRemovedTotal:D,workingDays:I,teamSize:z,assignees:B,addedIssuesCount:R,removedIssuesCount:F,issueDetails:L,baselineIssueCount:U}=e,W=I>0?A/I:A,H="https://jeisysvn.atlassian.net/browse/";return(0,s.jsx)(d,{gadgetTitle:"Sprint Burndown Chart",gadgetSubtitle:P,onConfigChange:x,children:(0,s.jsxs)("div",{className:"gadget",children:[(0,s.jsxs)("div",{className:"gadget-header",children:[(0,s.jsxs)("div",{children:[(0,s.jsx)("div",{className:"gadget-title",children:"Sprint Burndown Chart"}),(0,s.jsx)("div",{className:"gadget-subtitle",children:P})]}),(0,s.jsxs)("div",{style:{display:"flex",gap:"8px",alignItems:"center"},children:[(0,s.jsxs)("select",{className:"select",value:f,onChange:e=>p(e.target.value),children:[(0,s.jsxs)("option",{value:"All",children:["All Team (",(null===B||void 0===B?void 0:B.length)||0,")"]}),null===B||void 0===B?void 0:B.map(e=>(0,s.jsx)("option",{value:e,children:e},e))]}),(0,s.jsx)("button",{onClick:j,disabled:v,title:"Reset baseline to recalculate with latest logic",style:{background:v?"#DFE1E6":"#FFEBE6",border:"1px solid #FF8F73",borderRadius:"3px",padding:"4px 8px",cursor:v?"not-allowed":"pointer",fontSize:"11px",fontWeight:"600",color:"#BF2600",whiteSpace:"nowrap"},children:v?"\u27f3 Resetting...":"\u21ba Reset Baseline"})]})]}),g&&(0,s.jsx)("div",{style:{padding:"8px 12px",marginBottom:"8px",borderRadius:"3px",fontSize:"12px",background:"success"===g.type?"#E3FCEF":"#FFEBE6",border:"1px solid ".concat("success"===g.type?"#ABF5D1":"#FF8F73"),color:"success"===g.type?"#006644":"#BF2600"},children:g.text}),(0,s.jsxs)("div",{style:{display:"grid",gridTemplateColumns:"repeat(auto-fit, minmax(130px, 1fr))",gap:"12px",padding:"12px 0",borderBottom:"1px solid #DFE1E6"},children:[(0,s.jsxs)("div",{className:"metric-card",children:[(0,s.jsx)("div",{className:"metric-label",children:"Max Capacity"}),(0,s.jsx)("div",{className:"metric-value",style:{color:"#00B8D9"},children:null!=A?"".concat(A,"h"):"0h"})]}),(0,s.jsxs)("div",{className:"metric-card",children:[(0,s.jsx)("div",{className:"metric-label",children:"Original Estimate"}),(0,s.jsx)("div",{className:"metric-value",style:{color:"#172B4D"},children:null!=C?"".concat(C,"h"):"0h"})]}),(0,s.jsxs)("div",{className:"metric-card",children:[(0,s.jsx)("div",{className:"metric-label",children:"Remaining"}),(0,s.jsx)("div",{className:"metric-value",style:{color:"#0065FF"},children:null!=T?"".concat(T,"h"):"0h"})]}),(0,s.jsxs)("div",{className:"metric-card",children:[(0,s.jsx)("div",{className:"metric-label",children:"Time Logged"}),(0,s.jsx)("div",{className:"metric-value",style:{color:"#00B8D9"},children:null!=M?"".concat(M,"h"):"0h"})]}),(N>0||D>0)&&(0,s.jsxs)("div",{className:"metric-card",children:[(0,s.jsx)("div",{className:"metric-label",children:"Scope Changes"}),(0,s.jsxs)("div",{style:{display:"flex",gap:"8px",alignItems:"center"},children:[N>0&&(0,s.jsxs)("span",{className:"metric-value",style:{color:"#FF991F",fontSize:"14px"},children:["+",N,"h (",R,")"]}),D>0&&(0,s.jsxs)("span",{className:"metric-value",style:{color:"#DE350B",fontSize:"14px"},children:["-",D,"h (",F,")"]})]})]})]}),(0,s.jsxs)("div",{className:"capacity-info",style:{marginTop:"12px"},children:[(0,s.jsx)("span",{style:{fontWeight:"600",color:"#344563"},children:"Sprint Duration"}),(0,s.jsx)("div",{className:"capacity-line"}),(0,s.jsxs)("span",{className:"capacity-value",children:[S(E)," \u2014 ",S(_)]}),(0,s.jsxs)("span",{className:"capacity-formula",children:["(",I," working days","All"===f?", ".concat(z," members"):"",")"]})]}),(0,s.jsxs)("div",{className:"capacity-info",style:{marginTop:"4px"},children:[(0,s.jsx)("span",{style:{fontWeight:"600",color:"#344563"},children:"Max Capacity"}),(0,s.jsx)("div",{className:"capacity-line"}),(0,s.jsxs)("span",{className:"capacity-value",children:[A,"h"]}),(0,s.jsxs)("span",{className:"capacity-formula",children:["(",I," days \xd7 8h \xd7 ",z,"All"!==f?" person":" members",")"]})]}),(0,s.jsx)("div",{className:"chart-container",style:{height:"350px",marginTop:"20px"},children:(0,s.jsx)(Se,{width:"100%",height:"100%",children:(0,s.jsxs)(Eb,{data:k,margin:{top:10,right:30,left:10,bottom:10},stackOffset:"sign",children:[(0,s.jsx)(qb,{strokeDasharray:"3 3",stroke:"#f4f5f7"}),(0,s.jsx)(yb,{dataKey:"displayDate",tick:{fontSize:11,fill:"#6b778c"},axisLine:{stroke:"#dfe1e6"}}),(0,s.jsx)(Pb,{tick:{fontSize:11,fill:"#6b778c"},axisLine:{stroke:"#dfe1e6"},label:{value:"Hours",angle:-90,position:"insideLeft",style:{fontSize:12,fill:"#6b778c"}}}),(0,s.jsx)(kt,{content:(0,s.jsx)(O,{})}),(0,s.jsx)(tr,{content:e=>{const{payload:t}=e,n=t.filter(e=>"remainingNegative"!==e.dataKey);return(0,s.jsx)("div",{className:"legend",style:{display:"flex",justifyContent:"center",gap:"20px",marginTop:"16px",flexWrap:"wrap"},children:n.map((e,t)=>(0,s.jsxs)("div",{className:"legend-item",style:{display:"flex",alignItems:"center",gap:"6px"},children:["line"===e.type?(0,s.jsx)("div",{className:"legend-line",style:{width:"20px",height:"3px",background:e.color}}):(0,s.jsx)("div",{className:"legend-color",style:{width:"12px",height:"12px",background:e.color,borderRadius:"2px"}}),(0,s.jsx)("span",{style:{fontSize:"12px",color:"#42526E"},children:e.value})]},"legend-".concat(t)))})}}),(0,s.jsx)(Dy,{y:0,stroke:"#42526E",strokeWidth:1.5,label:{value:"Baseline",position:"left",style:{fontSize:10,fill:"#6b778c"}}}),(0,s.jsx)(Dh,{dataKey:"removed",fill:"#DE350B",name:"Scope Removed",radius:[0,0,2,2],stackId:"burndown"}),(0,s.jsx)(Dh,{dataKey:"remaining",name:"Remaining",fill:"#0065FF",radius:[0,0,0,0],stackId:"burndown"}),(0,s.jsx)(Dh,{dataKey:"added",fill:"#FF991F",name:"Scope Added",radius:[2,2,0,0],stackId:"burndown"}),(0,s.jsx)(cg,{type:"linear",dataKey:"ideal",stroke:"#36B37E",strokeWidth:3,dot:!1,name:"Ideal Burndown",connectNulls:!0}),(0,s.jsx)(cg,{type:"monotone",dataKey:"timeLogged",stroke:"#00B8D9",strokeWidth:2,dot:{fill:"#00B8D9",r:3},strokeDasharray:"5 5",name:"Time Logged",connectNulls:!0})]})})}),(R>0||F>0)&&(0,s.jsxs)("div",{style:{marginTop:"16px",padding:"12px",background:"#FFF7E6",border:"1px solid #FFE7BA",borderRadius:"3px",fontSize:"12px",color:"#172B4D"},children:[(0,s.jsx)("strong",{children:"Scope Changes Detected:"}),(0,s.jsxs)("ul",{style:{margin:"8px 0 0 20px",paddingLeft:0},children:[R>0&&(0,s.jsxs)("li",{children:[(0,s.jsxs)("span",{style:{color:"#FF991F",fontWeight:"600"},children:["+",R," issue",R>1?"s":""]})," added to sprint (",N,"h)"]}),F>0&&(0,s.jsxs)("li",{children:[(0,s.jsxs)("span",{style:{color:"#DE350B",fontWeight:"600"},children:["-",F," issue",F>1?"s":""]})," removed from sprint (",D,"h)"]})]})]}),(0,s.jsxs)("div",{style:{marginTop:"12px",padding:"8px",fontSize:"11px",color:"#6B778C",borderTop:"1px solid #DFE1E6"},children:[(0,s.jsx)("strong",{children:"Legend:"}),(0,s.jsx)("span",{style:{color:"#36B37E",marginLeft:"8px"},children:"\u25cf"})," Ideal = Linear from Max Capacity (",A,"h) to 0",(0,s.jsx)("span",{style:{color:"#0065FF",marginLeft:"12px"},children:"\u25a0"})," Remaining = OE - cumulative logged + scope changes",(0,s.jsx)("span",{style:{color:"#FF991F",marginLeft:"12px"},children:"\u25a0"})," Added = Tasks added after sprint start",(0,s.jsx)("span",{style:{color:"#DE350B",marginLeft:"12px"},children:"\u25a0"})," Removed = Tasks removed from sprint"]}),(0,s.jsxs)("div",{style:{marginTop:"12px",borderTop:"2px solid #FF991F"},children:[(0,s.jsx)("button",{onClick:()=>y(!h),style:{background:"#FFF7E6",border:"1px solid #FFE7BA",borderRadius:"3px",padding:"4px 12px",cursor:"pointer",fontSize:"11px",fontWeight:"600",color:"#172B4D",marginTop:"8px"},children:h?"\u25bc Hide Debug":"\u25ba Show Debug"}),h&&(0,s.jsxs)("div",{style:{marginTop:"8px",padding:"12px",background:"#F4F5F7",border:"1px solid #DFE1E6",borderRadius:"3px",fontSize:"11px",fontFamily:"monospace",lineHeight:"1.6",whiteSpace:"pre-wrap",maxHeight:"600px",overflow:"auto"},children:[(0,s.jsx)("div",{style:{fontWeight:"700",marginBottom:"8px",color:"#DE350B"},children:"DEBUG DATA"}),(0,s.jsx)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"8px"},children:"\u2500\u2500 Capacity \u2500\u2500"}),(0,s.jsxs)("div",{children:["workingDays = ",I]}),(0,s.jsxs)("div",{children:["teamSize = ",z]}),(0,s.jsxs)("div",{children:["maxCapacity = ",I," \xd7 8 \xd7 ",z," = ",(0,s.jsxs)("b",{children:[A,"h"]})]}),(0,s.jsx)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"8px"},children:"\u2500\u2500 Ideal Line \u2500\u2500"}),(0,s.jsxs)("div",{children:["startValue = maxCapacity = ",(0,s.jsxs)("b",{children:[A,"h"]})]}),(0,s.jsxs)("div",{children:["dailyDecrease = ",A," / ",I," = ",(0,s.jsxs)("b",{children:[W.toFixed(2),"h/day"]})]}),(0,s.jsx)("div",{children:"endValue = 0h (at last working day)"}),(0,s.jsx)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"8px"},children:"\u2500\u2500 Baseline \u2500\u2500"}),(0,s.jsxs)("div",{children:["baselineIssueCount = ",(0,s.jsx)("b",{children:U})," (excluding Done tasks)"]}),(0,s.jsxs)("div",{children:["totalOriginalEstimate (from baseline) = ",(0,s.jsxs)("b",{children:[C,"h"]})]}),(0,s.jsx)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"8px"},children:"\u2500\u2500 Estimates \u2500\u2500"}),(0,s.jsxs)("div",{children:["totalOriginalEstimate = ",(0,s.jsxs)("b",{children:[C,"h"]})]}),(0,s.jsxs)("div",{children:["currentRemaining (Jira field) = ",(0,s.jsxs)("b",{children:[T,"h"]})]}),(0,s.jsxs)("div",{children:["totalSpent (Jira field) = ",(0,s.jsxs)("b",{children:[M,"h"]})]}),(0,s.jsx)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"8px"},children:"\u2500\u2500 Remaining Calculation \u2500\u2500"}),(0,s.jsxs)("div",{children:["Formula: Remain(Start) = totalOriginalEstimate = ",C,"h"]}),(0,s.jsx)("div",{children:"Formula: Remain(dayN) = Remain(dayN-1) - Logged(dayN) + Added(dayN) - Removed(dayN)"}),(0,s.jsx)("div",{children:"Source: Worklogs fetched via /rest/api/3/issue/KEY/worklog API"}),(0,s.jsx)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"8px"},children:"\u2500\u2500 Scope Changes \u2500\u2500"}),(0,s.jsxs)("div",{children:["scopeAdded = +",N,"h (",R," tasks)"]}),(0,s.jsxs)("div",{children:["scopeRemoved = -",D,"h (",F," tasks)"]}),(0,s.jsx)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"8px"},children:"\u2500\u2500 Member Filter \u2500\u2500"}),(0,s.jsxs)("div",{children:['selectedMember = "',f,'"']}),(0,s.jsxs)("div",{children:["assignees = [",null===B||void 0===B?void 0:B.join(", "),"]"]}),(0,s.jsx)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"8px"},children:"\u2500\u2500 Sprint \u2500\u2500"}),(0,s.jsxs)("div",{children:["sprintName = ",P]}),(0,s.jsxs)("div",{children:["startDate = ",E]}),(0,s.jsxs)("div",{children:["endDate = ",_]}),(0,s.jsxs)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"12px"},children:["\u2500\u2500 Data Points (",null===k||void 0===k?void 0:k.length,") \u2500\u2500"]}),(0,s.jsxs)("table",{style:{width:"100%",borderCollapse:"collapse",fontSize:"10px",marginTop:"4px"},children:[(0,s.jsx)("thead",{children:(0,s.jsxs)("tr",{style:{background:"#DFE1E6"},children:[(0,s.jsx)("th",{style:{padding:"2px 4px",textAlign:"left",border:"1px solid #C1C7D0"},children:"Date"}),(0,s.jsx)("th",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:"Ideal"}),(0,s.jsx)("th",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:"Remain"}),(0,s.jsx)("th",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:"DayLog"}),(0,s.jsx)("th",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:"CumLog"}),(0,s.jsx)("th",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:"Added"}),(0,s.jsx)("th",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:"Removed"})]})}),(0,s.jsx)("tbody",{children:null===k||void 0===k?void 0:k.map((e,t)=>{var n,r,o,i;return(0,s.jsxs)("tr",{style:{background:t%2===0?"#fff":"#F4F5F7"},children:[(0,s.jsx)("td",{style:{padding:"2px 4px",border:"1px solid #C1C7D0"},children:e.displayDate||e.date}),(0,s.jsx)("td",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:e.ideal}),(0,s.jsx)("td",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0",color:"#0065FF"},children:null!==(n=e.remaining)&&void 0!==n?n:"-"}),(0,s.jsx)("td",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0",color:"#00B8D9"},children:null!==(r=e.dayLogged)&&void 0!==r?r:"-"}),(0,s.jsx)("td",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0",color:"#00B8D9"},children:null!==(o=null!==(i=e.cumulativeLogged)&&void 0!==i?i:e.timeLogged)&&void 0!==o?o:"-"}),(0,s.jsx)("td",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0",color:"#FF991F"},children:e.added||"-"}),(0,s.jsx)("td",{style:{padding:"2px 4px",textAlign:"right",border:"1px solid #C1C7D0",color:"#DE350B"},children:e.removed||"-"})]},t)})})]}),L&&L.length>0&&(0,s.jsxs)(s.Fragment,{children:[(0,s.jsxs)("div",{style:{fontWeight:"600",color:"#0065FF",marginTop:"12px"},children:["\u2500\u2500 Issue Details (",L.length," issues) \u2500\u2500"]}),(0,s.jsxs)("table",{style:{width:"100%",borderCollapse:"collapse",fontSize:"10px",marginTop:"4px"},children:[(0,s.jsx)("thead",{children:(0,s.jsxs)("tr",{style:{background:"#DFE1E6"},children:[(0,s.jsx)("th",{style:{padding:"3px 4px",textAlign:"left",border:"1px solid #C1C7D0"},children:"Key"}),(0,s.jsx)("th",{style:{padding:"3px 4px",textAlign:"left",border:"1px solid #C1C7D0"},children:"Summary"}),(0,s.jsx)("th",{style:{padding:"3px 4px",textAlign:"left",border:"1px solid #C1C7D0"},children:"Status"}),(0,s.jsx)("th",{style:{padding:"3px 4px",textAlign:"left",border:"1px solid #C1C7D0"},children:"Assignee"}),(0,s.jsx)("th",{style:{padding:"3px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:"OE"}),(0,s.jsx)("th",{style:{padding:"3px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:"Remain"}),(0,s.jsx)("th",{style:{padding:"3px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:"Spent"})]})}),(0,s.jsxs)("tbody",{children:[L.map((e,t)=>{var n,r;const o=null!==(n=e.status)&&void 0!==n&&n.toLowerCase().includes("done")?"#36B37E":null!==(r=e.status)&&void 0!==r&&r.toLowerCase().includes("progress")?"#0065FF":"#42526E";return(0,s.jsxs)("tr",{style:{background:t%2===0?"#fff":"#F4F5F7"},children:[(0,s.jsx)("td",{style:{padding:"3px 4px",border:"1px solid #C1C7D0"},children:(0,s.jsx)("a",{href:"".concat(H).concat(e.key),target:"_blank",rel:"noopener noreferrer",onClick:t=>{t.preventDefault(),(window.top||window.parent||window).open("".concat(H).concat(e.key),"_blank")},style:{color:"#0065FF",textDecoration:"none",fontWeight:"600",cursor:"pointer"},children:e.key})}),(0,s.jsx)("td",{style:{padding:"3px 4px",border:"1px solid #C1C7D0",maxWidth:"200px",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"},children:e.summary}),(0,s.jsx)("td",{style:{padding:"3px 4px",border:"1px solid #C1C7D0",color:o,fontWeight:"600"},children:e.status}),(0,s.jsx)("td",{style:{padding:"3px 4px",border:"1px solid #C1C7D0"},children:e.assignee}),(0,s.jsxs)("td",{style:{padding:"3px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:[e.originalEstimate,"h"]}),(0,s.jsxs)("td",{style:{padding:"3px 4px",textAlign:"right",border:"1px solid #C1C7D0",color:"#0065FF"},children:[e.remainingEstimate,"h"]}),(0,s.jsxs)("td",{style:{padding:"3px 4px",textAlign:"right",border:"1px solid #C1C7D0",color:"#00B8D9"},children:[e.timeSpent,"h"]})]},t)}),(0,s.jsxs)("tr",{style:{background:"#DFE1E6",fontWeight:"700"},children:[(0,s.jsx)("td",{colSpan:4,style:{padding:"3px 4px",border:"1px solid #C1C7D0",textAlign:"right"},children:"TOTAL"}),(0,s.jsxs)("td",{style:{padding:"3px 4px",textAlign:"right",border:"1px solid #C1C7D0"},children:[L.reduce((e,t)=>e+(t.originalEstimate||0),0).toFixed(1),"h"]}),(0,s.jsxs)("td",{style:{padding:"3px 4px",textAlign:"right",border:"1px solid #C1C7D0",color:"#0065FF"},children:[L.reduce((e,t)=>e+(t.remainingEstimate||0),0).toFixed(1),"h"]}),(0,s.jsxs)("td",{style:{padding:"3px 4px",textAlign:"right",border:"1px solid #C1C7D0",color:"#00B8D9"},children:[L.reduce((e,t)=>e+(t.timeSpent||0),0).toFixed(1),"h"]})]})]})]})]})]})]})]})})},Kb=()=>{const[e,n]=(0,t.useState)(null),[r,o]=(0,t.useState)(!0),[i,a]=(0,t.useState)(null),[l,u]=(0,t.useState)({boardId:null}),f=(0,t.useCallback)(async()=>{try{const e=await(0,c.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&u(e)}catch(e){console.error("Error loading config:",e)}},[]),p=(0,t.useCallback)(async()=>{if(l.boardId){o(!0),a(null);try{const e=await(0,c.invoke)("getSprintHealth",{boardId:l.boardId});e.success?n(e.data):a(e.error)}catch(e){a(e.message)}finally{o(!1)}}else o(!1)},[l.boardId]);if((0,t.useEffect)(()=>{f()},[f]),(0,t.useEffect)(()=>{l.boardId&&p()},[l.boardId,p]),!l.boardId&&!r)return(0,s.jsx)(d,{gadgetTitle:"Sprint Health",gadgetSubtitle:"",onConfigChange:f,children:(0,s.jsx)("div",{className:"gadget"})});if(r)return(0,s.jsxs)("div",{className:"loading",children:[(0,s.jsx)("div",{className:"spinner"}),(0,s.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});if(i)return(0,s.jsxs)("div",{className:"error",children:["\u26a0\ufe0f ",i]});if(!e)return null;const{counts:h,sprintName:y}=e,v=h.total||1,m=e=>{let{count:t,label:n,type:r}=e;return(0,s.jsxs)("div",{className:"health-circle health-".concat(r),children:[(0,s.jsxs)("div",{className:"health-circle-value",children:[(0,s.jsx)("span",{children:t}),(0,s.jsxs)("small",{children:["/",v]})]}),(0,s.jsx)("div",{className:"health-circle-label",style:{color:"under"===r?"#974f0c":"normal"===r?"#0747a6":"#006644"},children:n})]})};return(0,s.jsx)(d,{gadgetTitle:"Sprint Health",gadgetSubtitle:y,onConfigChange:f,children:(0,s.jsxs)("div",{className:"gadget",children:[(0,s.jsx)("div",{className:"gadget-header",children:(0,s.jsxs)("div",{children:[(0,s.jsx)("div",{className:"gadget-title",children:"Sprint Health"}),(0,s.jsx)("div",{className:"gadget-subtitle",children:y})]})}),(0,s.jsxs)("div",{className:"health-circles",children:[(0,s.jsx)(m,{count:h.under,label:"Underestimated",type:"under"}),(0,s.jsx)(m,{count:h.normal,label:"Normal",type:"normal"}),(0,s.jsx)(m,{count:h.good,label:"Good",type:"good"})]}),(0,s.jsxs)("div",{style:{marginTop:"20px"},children:[(0,s.jsxs)("div",{style:{display:"flex",justifyContent:"space-between",fontSize:"11px",marginBottom:"4px"},children:[(0,s.jsx)("span",{style:{color:"#6b778c"},children:"Overall Progress"}),(0,s.jsxs)("span",{style:{fontWeight:"600"},children:[v," Total Items"]})]}),(0,s.jsxs)("div",{className:"progress-bar",children:[(0,s.jsx)("div",{className:"progress-segment",style:{width:"".concat(h.under/v*100,"%"),background:"#ff991f"}}),(0,s.jsx)("div",{className:"progress-segment",style:{width:"".concat(h.normal/v*100,"%"),background:"#2684ff"}}),(0,s.jsx)("div",{className:"progress-segment",style:{width:"".concat(h.good/v*100,"%"),background:"#36b37e"}})]})]}),(0,s.jsxs)("div",{className:"legend",style:{marginTop:"12px"},children:[(0,s.jsxs)("div",{className:"legend-item",children:[(0,s.jsx)("div",{className:"legend-color",style:{background:"#ff991f",borderRadius:"50%",width:"8px",height:"8px"}}),(0,s.jsx)("span",{children:"Under"})]}),(0,s.jsxs)("div",{className:"legend-item",children:[(0,s.jsx)("div",{className:"legend-color",style:{background:"#2684ff",borderRadius:"50%",width:"8px",height:"8px"}}),(0,s.jsx)("span",{children:"Normal"})]}),(0,s.jsxs)("div",{className:"legend-item",children:[(0,s.jsx)("div",{className:"legend-color",style:{background:"#36b37e",borderRadius:"50%",width:"8px",height:"8px"}}),(0,s.jsx)("span",{children:"Good"})]})]})]})})},Xb=()=>{const[e,n]=(0,t.useState)(null),[r,o]=(0,t.useState)(!0),[i,a]=(0,t.useState)(null),[l,u]=(0,t.useState)({boardId:null}),f=(0,t.useCallback)(async()=>{try{const e=await(0,c.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&u(e)}catch(e){console.error("Error loading config:",e)}},[]),p=(0,t.useCallback)(async()=>{if(l.boardId){o(!0),a(null);try{const e=await(0,c.invoke)("getAtRiskItems",{boardId:l.boardId});e.success?n(e.data):a(e.error)}catch(e){a(e.message)}finally{o(!1)}}else o(!1)},[l.boardId]);(0,t.useEffect)(()=>{f()},[f]),(0,t.useEffect)(()=>{l.boardId&&p()},[l.boardId,p]);const h=e=>{const t=null===e||void 0===e?void 0:e.toLowerCase();return"highest"===t?(0,s.jsx)("span",{className:"badge badge-priority-highest",children:e}):"high"===t?(0,s.jsx)("span",{className:"badge badge-priority-high",children:e}):(0,s.jsx)("span",{className:"badge badge-priority-medium",children:e})},y=e=>{const t=(null===e||void 0===e?void 0:e.toLowerCase())||"";return t.includes("done")||t.includes("closed")?(0,s.jsx)("span",{className:"badge badge-status-done",children:e}):t.includes("progress")?(0,s.jsx)("span",{className:"badge badge-status-progress",children:e}):(0,s.jsx)("span",{className:"badge badge-status-todo",children:e})};if(!l.boardId&&!r)return(0,s.jsx)(d,{gadgetTitle:"At Risk Items",gadgetSubtitle:"",onConfigChange:f,children:(0,s.jsx)("div",{className:"gadget"})});if(r)return(0,s.jsxs)("div",{className:"loading",children:[(0,s.jsx)("div",{className:"spinner"}),(0,s.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});if(i)return(0,s.jsxs)("div",{className:"error",children:["\u26a0\ufe0f ",i]});if(!e)return null;const{items:v,total:m,sprintName:g}=e;return(0,s.jsx)(d,{gadgetTitle:"At Risk Items",gadgetSubtitle:g,onConfigChange:f,children:(0,s.jsxs)("div",{className:"gadget",children:[(0,s.jsxs)("div",{className:"gadget-header",children:[(0,s.jsxs)("div",{children:[(0,s.jsx)("div",{className:"gadget-title",children:"At Risk Items"}),(0,s.jsx)("div",{className:"gadget-subtitle",children:g})]}),(0,s.jsxs)("span",{className:"count-badge ".concat(m>0?"danger":""),children:[m," items"]})]}),0===v.length?(0,s.jsxs)("div",{className:"empty-state",children:[(0,s.jsx)("div",{className:"empty-state-icon",children:"\u2705"}),(0,s.jsx)("div",{className:"empty-state-text",children:"All tasks on track!"})]}):(0,s.jsxs)("div",{style:{overflowX:"auto"},children:[(0,s.jsxs)("table",{className:"table",children:[(0,s.jsx)("thead",{children:(0,s.jsxs)("tr",{children:[(0,s.jsx)("th",{children:"Work"}),(0,s.jsx)("th",{children:"Assignee"}),(0,s.jsx)("th",{children:"Priority"}),(0,s.jsx)("th",{children:"Status"}),(0,s.jsx)("th",{style:{textAlign:"right"},children:"Est."}),(0,s.jsx)("th",{children:"Risk"})]})}),(0,s.jsx)("tbody",{children:v.slice(0,10).map(e=>{return(0,s.jsxs)("tr",{children:[(0,s.jsxs)("td",{children:[(0,s.jsx)("a",{href:"https://jeisysvn.atlassian.net/browse/".concat(e.key),target:"_blank",rel:"noopener noreferrer",onClick:t=>{t.preventDefault(),(window.top||window.parent||window).open("https://jeisysvn.atlassian.net/browse/".concat(e.key),"_blank")},className:"issue-key",style:{cursor:"pointer"},children:e.key}),(0,s.jsx)("div",{style:{fontSize:"11px",color:"#6b778c",maxWidth:"200px",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"},children:e.summary})]}),(0,s.jsx)("td",{style:{fontSize:"11px"},children:e.assignee}),(0,s.jsx)("td",{children:h(e.priority)}),(0,s.jsx)("td",{children:y(e.status)}),(0,s.jsxs)("td",{style:{textAlign:"right",fontSize:"11px"},children:[e.originalEstimate,"h / ",e.remainingEstimate,"h"]}),(0,s.jsx)("td",{children:(t=e.riskReason,"TIME_BOX_EXCEEDED"===t?(0,s.jsx)("span",{className:"badge badge-risk-time",children:"\u23f0 Time Box"}):(0,s.jsx)("span",{className:"badge badge-risk-deadline",children:"\ud83d\udcc5 Deadline"}))})]},e.key);var t})})]}),v.length>10&&(0,s.jsxs)("p",{style:{textAlign:"center",fontSize:"11px",color:"#6b778c",marginTop:"8px"},children:["+",v.length-10," more items"]})]})]})})},Gb="https://jeisysvn.atlassian.net/browse/",Yb=()=>{const[e,n]=(0,t.useState)(null),[r,o]=(0,t.useState)(!0),[i,a]=(0,t.useState)(null),[l,f]=(0,t.useState)({boardId:null}),p=(0,t.useCallback)(async()=>{try{const e=await(0,c.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&f(e)}catch(e){console.error("Error loading config:",e)}},[]),h=(0,t.useCallback)(async()=>{if(l.boardId){o(!0),a(null);try{const e=await(0,c.invoke)("getScopeChanges",{boardId:l.boardId});e.success?n(e.data):a(e.error)}catch(e){a(e.message)}finally{o(!1)}}else o(!1)},[l.boardId]);(0,t.useEffect)(()=>{p()},[p]),(0,t.useEffect)(()=>{l.boardId&&h()},[l.boardId,h]);const y=e=>{switch(e){case"ADDED":return(0,s.jsx)("span",{className:"badge badge-change-added",children:"+ Added"});case"REMOVED":return(0,s.jsx)("span",{className:"badge badge-change-removed",children:"- Removed"});case"PRIORITY":return(0,s.jsx)("span",{className:"badge badge-change-priority",children:"Priority"});default:return null}},v=e=>{if(!e)return"";return new Date(e).toLocaleDateString("en-US",{month:"short",day:"2-digit"})};if(!l.boardId&&!r)return(0,s.jsx)(d,{gadgetTitle:"Scope Changes",gadgetSubtitle:"",onConfigChange:p,children:(0,s.jsx)("div",{className:"gadget"})});if(r)return(0,s.jsxs)("div",{className:"loading",children:[(0,s.jsx)("div",{className:"spinner"}),(0,s.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});if(i)return(0,s.jsx)("div",{className:"error",children:i});if(!e)return null;const{added:m,removed:g,priorityChanged:b,totalAdded:x,totalRemoved:w,totalPriorityChanged:j,sprintName:S}=e,O=x+w+j,k=[...m.map(e=>u(u({},e),{},{changeType:"ADDED"})),...g.map(e=>u(u({},e),{},{changeType:"REMOVED"})),...b.map(e=>u(u({},e),{},{changeType:"PRIORITY"}))].sort((e,t)=>{const n=e.changeDate?new Date(e.changeDate):new Date(0);return(t.changeDate?new Date(t.changeDate):new Date(0))-n});return(0,s.jsx)(d,{gadgetTitle:"Scope Changes",gadgetSubtitle:S,onConfigChange:p,children:(0,s.jsxs)("div",{className:"gadget",children:[(0,s.jsxs)("div",{className:"gadget-header",children:[(0,s.jsxs)("div",{children:[(0,s.jsx)("div",{className:"gadget-title",children:"Scope Changes"}),(0,s.jsx)("div",{className:"gadget-subtitle",children:S})]}),(0,s.jsxs)("span",{className:"count-badge",children:[O," changes"]})]}),(0,s.jsxs)("div",{style:{display:"flex",gap:"16px",marginBottom:"16px"},children:[(0,s.jsxs)("div",{style:{flex:1,textAlign:"center",padding:"12px",background:"#e3fcef",borderRadius:"3px"},children:[(0,s.jsx)("div",{style:{fontSize:"20px",fontWeight:"700",color:"#006644"},children:x}),(0,s.jsx)("div",{style:{fontSize:"11px",color:"#006644"},children:"Added"})]}),(0,s.jsxs)("div",{style:{flex:1,textAlign:"center",padding:"12px",background:"#ffebe6",borderRadius:"3px"},children:[(0,s.jsx)("div",{style:{fontSize:"20px",fontWeight:"700",color:"#bf2600"},children:w}),(0,s.jsx)("div",{style:{fontSize:"11px",color:"#bf2600"},children:"Removed"})]}),(0,s.jsxs)("div",{style:{flex:1,textAlign:"center",padding:"12px",background:"#fff0b3",borderRadius:"3px"},children:[(0,s.jsx)("div",{style:{fontSize:"20px",fontWeight:"700",color:"#974f0c"},children:j}),(0,s.jsx)("div",{style:{fontSize:"11px",color:"#974f0c"},children:"Priority"})]})]}),0===k.length?(0,s.jsxs)("div",{className:"empty-state",children:[(0,s.jsx)("div",{className:"empty-state-icon",children:"\ud83d\udcca"}),(0,s.jsx)("div",{className:"empty-state-text",children:"No scope changes detected"})]}):(0,s.jsxs)("div",{style:{overflowX:"auto"},children:[(0,s.jsxs)("table",{className:"table",children:[(0,s.jsx)("thead",{children:(0,s.jsxs)("tr",{children:[(0,s.jsx)("th",{children:"Work"}),(0,s.jsx)("th",{children:"Assignee"}),(0,s.jsx)("th",{children:"Date"}),(0,s.jsx)("th",{style:{textAlign:"right"},children:"Est."}),(0,s.jsx)("th",{children:"Change"})]})}),(0,s.jsx)("tbody",{children:k.slice(0,15).map((e,t)=>(0,s.jsxs)("tr",{children:[(0,s.jsxs)("td",{children:[(0,s.jsx)("a",{href:"".concat(Gb).concat(e.key),target:"_blank",rel:"noopener noreferrer",onClick:t=>{t.preventDefault(),(window.top||window.parent||window).open("".concat(Gb).concat(e.key),"_blank")},className:"issue-key",style:{cursor:"pointer"},children:e.key}),(0,s.jsx)("div",{style:{fontSize:"11px",color:"#6b778c",maxWidth:"180px",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"},children:e.summary})]}),(0,s.jsx)("td",{style:{fontSize:"11px"},children:e.assignee}),(0,s.jsx)("td",{style:{fontSize:"10px",color:"#6b778c",whiteSpace:"nowrap"},children:v(e.changeDate)}),(0,s.jsxs)("td",{style:{textAlign:"right",fontSize:"11px"},children:[e.originalEstimate,"h"]}),(0,s.jsx)("td",{children:y(e.changeType)})]},"".concat(e.key,"-").concat(t)))})]}),k.length>15&&(0,s.jsxs)("p",{style:{textAlign:"center",fontSize:"11px",color:"#6b778c",marginTop:"8px"},children:["+",k.length-15," more changes"]})]})]})})},Qb=()=>{const[e,n]=(0,t.useState)(null),[r,o]=(0,t.useState)(!0),[i,a]=(0,t.useState)(null),[l,u]=(0,t.useState)({boardId:null}),[f,p]=(0,t.useState)(!1),h=(0,t.useCallback)(async()=>{try{const e=await(0,c.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&u(e)}catch(e){console.error("Error loading config:",e)}},[]),y=(0,t.useCallback)(async()=>{if(l.boardId){o(!0),a(null);try{const e=await(0,c.invoke)("getHighPriorityItems",{boardId:l.boardId,expand:f});e.success?n(e.data):a(e.error)}catch(e){a(e.message)}finally{o(!1)}}else o(!1)},[l.boardId,f]);(0,t.useEffect)(()=>{h()},[h]),(0,t.useEffect)(()=>{l.boardId&&y()},[l.boardId,y]);const v=e=>{const t=(null===e||void 0===e?void 0:e.toLowerCase())||"";return"highest"===t?(0,s.jsxs)("span",{className:"badge badge-priority-highest",children:["\ud83d\udd34 ",e]}):"high"===t?(0,s.jsxs)("span",{className:"badge badge-priority-high",children:["\ud83d\udfe0 ",e]}):"medium"===t?(0,s.jsxs)("span",{className:"badge",style:{background:"#FFF0B3",color:"#974F0C"},children:["\ud83d\udfe1 ",e]}):"low"===t?(0,s.jsxs)("span",{className:"badge",style:{background:"#DEEBFF",color:"#0747A6"},children:["\ud83d\udd35 ",e]}):(0,s.jsxs)("span",{className:"badge",style:{background:"#F4F5F7",color:"#42526E"},children:["\u26aa ",e]})},m=e=>{const t=(null===e||void 0===e?void 0:e.toLowerCase())||"";return t.includes("done")||t.includes("closed")?(0,s.jsx)("span",{className:"badge badge-status-done",children:e}):t.includes("progress")?(0,s.jsx)("span",{className:"badge badge-status-progress",children:e}):(0,s.jsx)("span",{className:"badge badge-status-todo",children:e})},g=e=>{let{originalEstimate:t,timeSpent:n,remainingEstimate:r}=e;const o=t||0,i=n||0,a=r||0,l=i+a;if(0===o&&0===i&&0===a)return(0,s.jsx)("div",{style:{fontSize:"10px",color:"#97A0AF",textAlign:"center"},children:"No estimate"});const u=Math.max(o,l),c=u>0?i/u*100:0,f=u>0?a/u*100:0,d=l>o&&o>0,p=d?l-o:0,h=d?"#DE350B":"#0065FF";return(0,s.jsxs)("div",{style:{minWidth:"120px"},children:[(0,s.jsxs)("div",{style:{display:"flex",height:"6px",borderRadius:"3px",overflow:"hidden",background:"#F4F5F7",marginBottom:"3px"},children:[c>0&&(0,s.jsx)("div",{style:{width:"".concat(Math.min(c,100),"%"),background:h,borderRadius:c>=100?"3px":"3px 0 0 3px",transition:"width 0.3s ease"}}),f>0&&!d&&(0,s.jsx)("div",{style:{width:"".concat(f,"%"),background:"#DEEBFF",transition:"width 0.3s ease"}})]}),(0,s.jsxs)("div",{style:{display:"flex",justifyContent:"space-between",fontSize:"9px",color:"#6B778C",lineHeight:"1.2"},children:[(0,s.jsxs)("span",{style:{color:h,fontWeight:"600"},children:[i,"h logged"]}),(0,s.jsxs)("span",{children:[a,"h remain"]})]}),d&&(0,s.jsxs)("div",{style:{fontSize:"9px",color:"#DE350B",fontWeight:"600",textAlign:"right"},children:["+",p.toFixed(1),"h over"]})]})},b="https://jeisysvn.atlassian.net/browse/";if(!l.boardId&&!r)return(0,s.jsx)(d,{gadgetTitle:"High Priority Items",gadgetSubtitle:"",onConfigChange:h,children:(0,s.jsx)("div",{className:"gadget"})});if(r)return(0,s.jsxs)("div",{className:"loading",children:[(0,s.jsx)("div",{className:"spinner"}),(0,s.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});if(i)return(0,s.jsx)("div",{className:"error",children:i});if(!e)return null;const{items:x,total:w,highestCount:j,highCount:S,mediumCount:O,lowCount:k,lowestCount:P,sprintName:E}=e;return(0,s.jsx)(d,{gadgetTitle:f?"All Sprint Tasks by Priority":"High Priority Items",gadgetSubtitle:E,onConfigChange:h,children:(0,s.jsxs)("div",{className:"gadget",children:[(0,s.jsxs)("div",{className:"gadget-header",children:[(0,s.jsxs)("div",{children:[(0,s.jsx)("div",{className:"gadget-title",children:f?"All Sprint Tasks by Priority":"High Priority Items"}),(0,s.jsx)("div",{className:"gadget-subtitle",children:E})]}),(0,s.jsx)("span",{className:"count-badge ".concat(j+S>0?"danger":""),children:"".concat(f?w:j+S," items")})]}),(0,s.jsxs)("div",{style:{display:"flex",gap:f?"8px":"16px",marginBottom:"16px",flexWrap:"wrap"},children:[(0,s.jsxs)("div",{style:{flex:1,minWidth:f?"60px":"80px",textAlign:"center",padding:f?"8px 4px":"12px",background:"#ffebe6",borderRadius:"3px"},children:[(0,s.jsx)("div",{style:{fontSize:f?"18px":"24px",fontWeight:"700",color:"#bf2600"},children:j}),(0,s.jsx)("div",{style:{fontSize:"10px",color:"#bf2600"},children:"\ud83d\udd34 Highest"})]}),(0,s.jsxs)("div",{style:{flex:1,minWidth:f?"60px":"80px",textAlign:"center",padding:f?"8px 4px":"12px",background:"#fff0b3",borderRadius:"3px"},children:[(0,s.jsx)("div",{style:{fontSize:f?"18px":"24px",fontWeight:"700",color:"#974f0c"},children:S}),(0,s.jsx)("div",{style:{fontSize:"10px",color:"#974f0c"},children:"\ud83d\udfe0 High"})]}),f&&(0,s.jsxs)(s.Fragment,{children:[(0,s.jsxs)("div",{style:{flex:1,minWidth:"60px",textAlign:"center",padding:"8px 4px",background:"#FFF7E6",borderRadius:"3px"},children:[(0,s.jsx)("div",{style:{fontSize:"18px",fontWeight:"700",color:"#974f0c"},children:O||0}),(0,s.jsx)("div",{style:{fontSize:"10px",color:"#974f0c"},children:"\ud83d\udfe1 Medium"})]}),(0,s.jsxs)("div",{style:{flex:1,minWidth:"60px",textAlign:"center",padding:"8px 4px",background:"#DEEBFF",borderRadius:"3px"},children:[(0,s.jsx)("div",{style:{fontSize:"18px",fontWeight:"700",color:"#0747a6"},children:k||0}),(0,s.jsx)("div",{style:{fontSize:"10px",color:"#0747a6"},children:"\ud83d\udd35 Low"})]}),(0,s.jsxs)("div",{style:{flex:1,minWidth:"60px",textAlign:"center",padding:"8px 4px",background:"#F4F5F7",borderRadius:"3px"},children:[(0,s.jsx)("div",{style:{fontSize:"18px",fontWeight:"700",color:"#42526E"},children:P||0}),(0,s.jsx)("div",{style:{fontSize:"10px",color:"#42526E"},children:"\u26aa Lowest"})]})]})]}),f&&w>0&&(0,s.jsxs)("div",{style:{marginBottom:"16px"},children:[(0,s.jsxs)("div",{style:{display:"flex",justifyContent:"space-between",fontSize:"11px",marginBottom:"4px"},children:[(0,s.jsx)("span",{style:{color:"#6b778c"},children:"Priority Distribution"}),(0,s.jsxs)("span",{style:{fontWeight:"600"},children:[w," Total"]})]}),(0,s.jsxs)("div",{className:"progress-bar",style:{height:"8px"},children:[j>0&&(0,s.jsx)("div",{className:"progress-segment",style:{width:"".concat(j/w*100,"%"),background:"#DE350B"}}),S>0&&(0,s.jsx)("div",{className:"progress-segment",style:{width:"".concat(S/w*100,"%"),background:"#FF991F"}}),(O||0)>0&&(0,s.jsx)("div",{className:"progress-segment",style:{width:"".concat((O||0)/w*100,"%"),background:"#FFAB00"}}),(k||0)>0&&(0,s.jsx)("div",{className:"progress-segment",style:{width:"".concat((k||0)/w*100,"%"),background:"#2684FF"}}),(P||0)>0&&(0,s.jsx)("div",{className:"progress-segment",style:{width:"".concat((P||0)/w*100,"%"),background:"#97A0AF"}})]})]}),0===x.length?(0,s.jsxs)("div",{className:"empty-state",children:[(0,s.jsx)("div",{className:"empty-state-icon",children:"\u2728"}),(0,s.jsx)("div",{className:"empty-state-text",children:f?"No tasks in sprint":"No high priority items"})]}):(0,s.jsx)("div",{style:{overflowX:"auto"},children:(0,s.jsxs)("table",{className:"table",children:[(0,s.jsx)("thead",{children:(0,s.jsxs)("tr",{children:[(0,s.jsx)("th",{children:"Work"}),(0,s.jsx)("th",{children:"Assignee"}),(0,s.jsx)("th",{children:"Priority"}),(0,s.jsx)("th",{children:"Status"}),(0,s.jsx)("th",{style:{minWidth:"130px"},children:"Time Tracking"})]})}),(0,s.jsx)("tbody",{children:x.map(e=>(0,s.jsxs)("tr",{children:[(0,s.jsxs)("td",{children:[(0,s.jsx)("a",{href:"".concat(b).concat(e.key),target:"_blank",rel:"noopener noreferrer",onClick:t=>{t.preventDefault(),(window.top||window.parent||window).open("".concat(b).concat(e.key),"_blank")},className:"issue-key",style:{cursor:"pointer"},children:e.key}),(0,s.jsx)("div",{style:{fontSize:"11px",color:"#6b778c",maxWidth:"180px",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"},children:e.summary})]}),(0,s.jsx)("td",{style:{fontSize:"11px"},children:e.assignee}),(0,s.jsx)("td",{children:v(e.priority)}),(0,s.jsx)("td",{children:m(e.status)}),(0,s.jsx)("td",{children:(0,s.jsx)(g,{originalEstimate:e.originalEstimate,timeSpent:e.timeSpent,remainingEstimate:e.remainingEstimate})})]},e.key))})]})}),(0,s.jsx)("div",{style:{textAlign:"center",marginTop:"12px",paddingTop:"12px",borderTop:"1px solid #DFE1E6"},children:(0,s.jsx)("button",{className:"btn btn-secondary",onClick:()=>{p(!f)},style:{fontSize:"12px",padding:"6px 16px",display:"inline-flex",alignItems:"center",gap:"6px"},children:f?(0,s.jsxs)(s.Fragment,{children:[(0,s.jsx)("span",{style:{fontSize:"10px"},children:"\u25b2"}),"Show Top 5 Only"]}):(0,s.jsxs)(s.Fragment,{children:[(0,s.jsx)("span",{style:{fontSize:"10px"},children:"\u25bc"}),"Show All ",w," Tasks by Priority"]})})})]})})},Zb=()=>{const[e,n]=(0,t.useState)(null),[r,o]=(0,t.useState)(!0),[i,a]=(0,t.useState)(null),[l,u]=(0,t.useState)({boardId:null}),[f,p]=(0,t.useState)(null),h=(0,t.useCallback)(async()=>{try{const e=await(0,c.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&u(e)}catch(e){console.error("Error loading config:",e)}},[]),y=(0,t.useCallback)(async()=>{if(l.boardId){o(!0),a(null);try{const e=await(0,c.invoke)("getReleaseData",{boardId:l.boardId});e.success?n(e.data):a(e.error)}catch(e){a(e.message)}finally{o(!1)}}else o(!1)},[l.boardId]);(0,t.useEffect)(()=>{h()},[h]),(0,t.useEffect)(()=>{l.boardId&&y()},[l.boardId,y]);const v=e=>{const t=(null===e||void 0===e?void 0:e.toLowerCase())||"";return t.includes("done")||t.includes("closed")||t.includes("resolved")?(0,s.jsx)("span",{className:"badge badge-status-done",children:e}):t.includes("progress")?(0,s.jsx)("span",{className:"badge badge-status-progress",children:e}):(0,s.jsx)("span",{className:"badge badge-status-todo",children:e})},m=e=>{const t=(null===e||void 0===e?void 0:e.toLowerCase())||"";return"highest"===t?"\ud83d\udd34":"high"===t?"\ud83d\udfe0":"medium"===t?"\ud83d\udfe1":"low"===t?"\ud83d\udd35":"\u26aa"},g=e=>{if(!e)return"No date";return new Date(e).toLocaleDateString("en-US",{month:"short",day:"2-digit",year:"numeric"})};if(!l.boardId&&!r)return(0,s.jsx)(d,{gadgetTitle:"Sprint Releases",gadgetSubtitle:"",onConfigChange:h,children:(0,s.jsx)("div",{className:"gadget"})});if(r)return(0,s.jsxs)("div",{className:"loading",children:[(0,s.jsx)("div",{className:"spinner"}),(0,s.jsx)("p",{style:{marginTop:"12px"},children:"Loading releases..."})]});if(i)return(0,s.jsxs)("div",{className:"error",children:[(0,s.jsxs)("p",{children:["\u26a0\ufe0f ",i]}),(0,s.jsx)("button",{className:"btn btn-secondary",style:{marginTop:"12px"},onClick:y,children:"Retry"})]});if(!e)return null;const{releases:b,totalReleases:x,unversionedCount:w,sprintName:j}=e;return(0,s.jsx)(d,{gadgetTitle:"Sprint Releases",gadgetSubtitle:j,onConfigChange:h,children:(0,s.jsxs)("div",{className:"gadget",children:[(0,s.jsxs)("div",{className:"gadget-header",children:[(0,s.jsxs)("div",{children:[(0,s.jsx)("div",{className:"gadget-title",children:"Releases"}),(0,s.jsx)("div",{className:"gadget-subtitle",children:j})]}),(0,s.jsxs)("span",{className:"count-badge",children:[x," release",1!==x?"s":""]})]}),0===b.length?(0,s.jsxs)("div",{className:"empty-state",children:[(0,s.jsx)("div",{className:"empty-state-icon",children:"\ud83d\udce6"}),(0,s.jsx)("div",{className:"empty-state-text",children:"No releases linked to sprint tasks"}),w>0&&(0,s.jsxs)("p",{style:{fontSize:"12px",color:"#6b778c",marginTop:"8px"},children:[w," task",w>1?"s":""," without a release version"]})]}):(0,s.jsxs)("div",{children:[b.map(e=>{const t=(n=e.progress)>=80?"#36B37E":n>=50?"#FFAB00":n>=20?"#FF991F":"#DE350B";var n;const r=f===e.id;return(0,s.jsxs)("div",{style:{border:"1px solid #DFE1E6",borderRadius:"4px",marginBottom:"12px",overflow:"hidden",transition:"box-shadow 0.2s"},children:[(0,s.jsxs)("div",{style:{padding:"12px 16px",background:"#FAFBFC",cursor:"pointer",userSelect:"none"},onClick:()=>{return t=e.id,void p(f===t?null:t);var t},children:[(0,s.jsxs)("div",{style:{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:"8px"},children:[(0,s.jsxs)("div",{style:{display:"flex",alignItems:"center",gap:"8px"},children:[(0,s.jsx)("span",{style:{fontSize:"16px"},children:e.released?"\u2705":"\ud83d\udce6"}),(0,s.jsx)("span",{style:{fontWeight:"600",fontSize:"14px",color:"#172B4D"},children:e.name}),e.released&&(0,s.jsx)("span",{className:"badge badge-status-done",style:{fontSize:"10px"},children:"Released"})]}),(0,s.jsxs)("div",{style:{display:"flex",alignItems:"center",gap:"12px"},children:[(0,s.jsx)("span",{style:{fontSize:"12px",color:"#6B778C"},children:e.releaseDate?g(e.releaseDate):"No release date"}),(0,s.jsx)("span",{style:{fontSize:"11px",color:"#6B778C",transition:"transform 0.2s",transform:r?"rotate(180deg)":"rotate(0deg)",display:"inline-block"},children:"\u25bc"})]})]}),(0,s.jsxs)("div",{style:{marginBottom:"4px"},children:[(0,s.jsxs)("div",{style:{display:"flex",justifyContent:"space-between",fontSize:"11px",marginBottom:"4px"},children:[(0,s.jsxs)("span",{style:{color:"#6B778C"},children:[e.doneIssues,"/",e.totalIssues," issues done"]}),(0,s.jsxs)("span",{style:{fontWeight:"700",color:t},children:[e.progress,"%"]})]}),(0,s.jsx)("div",{className:"progress-bar",style:{height:"8px"},children:(0,s.jsx)("div",{className:"progress-segment",style:{width:"".concat(e.progress,"%"),background:t,borderRadius:"4px",transition:"width 0.5s ease"}})})]}),e.totalEstimate>0&&(0,s.jsxs)("div",{style:{display:"flex",gap:"16px",fontSize:"11px",color:"#6B778C",marginTop:"6px"},children:[(0,s.jsxs)("span",{children:["Est: ",(0,s.jsxs)("strong",{style:{color:"#172B4D"},children:[e.totalEstimate,"h"]})]}),(0,s.jsxs)("span",{children:["Done: ",(0,s.jsxs)("strong",{style:{color:"#36B37E"},children:[e.doneEstimate,"h"]})]}),(0,s.jsxs)("span",{children:["Remaining: ",(0,s.jsxs)("strong",{style:{color:"#FF991F"},children:[Math.round(10*(e.totalEstimate-e.doneEstimate))/10,"h"]})]})]})]}),r&&e.issues&&e.issues.length>0&&(0,s.jsx)("div",{style:{borderTop:"1px solid #DFE1E6",maxHeight:"300px",overflowY:"auto"},children:(0,s.jsxs)("table",{className:"table",style:{margin:0},children:[(0,s.jsx)("thead",{children:(0,s.jsxs)("tr",{children:[(0,s.jsx)("th",{children:"Issue"}),(0,s.jsx)("th",{children:"Priority"}),(0,s.jsx)("th",{children:"Status"}),(0,s.jsx)("th",{children:"Assignee"}),(0,s.jsx)("th",{style:{textAlign:"right"},children:"Est."})]})}),(0,s.jsx)("tbody",{children:e.issues.map(e=>(0,s.jsxs)("tr",{style:{background:e.isDone?"#F4FFF8":"transparent"},children:[(0,s.jsxs)("td",{children:[(0,s.jsx)("a",{href:"https://jeisysvn.atlassian.net/browse/".concat(e.key),target:"_blank",rel:"noopener noreferrer",onClick:t=>{t.preventDefault(),(window.top||window.parent||window).open("https://jeisysvn.atlassian.net/browse/".concat(e.key),"_blank")},className:"issue-key",style:{cursor:"pointer"},children:e.key}),(0,s.jsx)("div",{style:{fontSize:"11px",color:"#6b778c",maxWidth:"200px",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"},children:e.summary})]}),(0,s.jsxs)("td",{style:{fontSize:"12px"},children:[m(e.priority)," ",e.priority]}),(0,s.jsx)("td",{children:v(e.status)}),(0,s.jsx)("td",{style:{fontSize:"11px"},children:e.assignee}),(0,s.jsx)("td",{style:{textAlign:"right",fontSize:"11px"},children:e.estimate>0?"".concat(e.estimate,"h"):"-"})]},e.key))})]})})]},e.id)}),w>0&&(0,s.jsxs)("div",{style:{padding:"10px 16px",background:"#FFF7E6",border:"1px solid #FFE7BA",borderRadius:"4px",fontSize:"12px",color:"#974F0C",display:"flex",alignItems:"center",gap:"8px"},children:[(0,s.jsx)("span",{children:"\u26a0\ufe0f"}),(0,s.jsxs)("span",{children:[(0,s.jsx)("strong",{children:w})," task",w>1?"s":""," in this sprint ",w>1?"are":"is"," not linked to any release version."]})]})]})]})})},Jb=()=>{const[e,n]=(0,t.useState)([]),[r,o]=(0,t.useState)({boardId:"",teamSize:10,workingDays:10}),[i,a]=(0,t.useState)(!0),[l,f]=(0,t.useState)(!1),[d,p]=(0,t.useState)(null);(0,t.useEffect)(()=>{h()},[]);const h=async()=>{a(!0),p(null);try{const e=await(0,c.invoke)("getBoards");e.success?n(e.boards):p(e.error);const t=await(0,c.invoke)("getConfig");null!==t&&void 0!==t&&t.boardId&&o(e=>u(u({},e),t))}catch(e){p(e.message)}finally{a(!1)}};if(i)return(0,s.jsxs)("div",{className:"loading",children:[(0,s.jsx)("div",{className:"spinner"}),(0,s.jsx)("p",{style:{marginTop:"12px"},children:"Loading configuration..."})]});const y=8*r.workingDays*r.teamSize;return(0,s.jsxs)("div",{className:"config-form",children:[(0,s.jsx)("h2",{style:{margin:"0 0 20px",fontSize:"18px",fontWeight:"600",color:"#172b4d"},children:"Configure Gadget"}),d&&(0,s.jsx)("div",{className:"error",style:{marginBottom:"16px"},children:d}),(0,s.jsxs)("div",{className:"form-group",children:[(0,s.jsx)("label",{className:"form-label",children:"Scrum Board *"}),(0,s.jsxs)("select",{className:"form-select",value:r.boardId,onChange:e=>o(t=>u(u({},t),{},{boardId:e.target.value})),children:[(0,s.jsx)("option",{value:"",children:"Select a board..."}),e.map(e=>(0,s.jsxs)("option",{value:e.id,children:[e.name," ",e.projectKey&&"(".concat(e.projectKey,")")]},e.id))]}),(0,s.jsx)("p",{className:"form-help",children:"Select the Scrum board to track sprint data from."})]}),(0,s.jsxs)("div",{className:"form-group",children:[(0,s.jsx)("label",{className:"form-label",children:"Team Size"}),(0,s.jsx)("input",{type:"number",className:"form-input",value:r.teamSize,onChange:e=>o(t=>u(u({},t),{},{teamSize:Math.max(1,parseInt(e.target.value)||1)})),min:"1",max:"50"}),(0,s.jsx)("p",{className:"form-help",children:"Number of team members."})]}),(0,s.jsxs)("div",{className:"form-group",children:[(0,s.jsx)("label",{className:"form-label",children:"Working Days per Sprint"}),(0,s.jsx)("input",{type:"number",className:"form-input",value:r.workingDays,onChange:e=>o(t=>u(u({},t),{},{workingDays:Math.max(1,parseInt(e.target.value)||10)})),min:"1",max:"30"}),(0,s.jsx)("p",{className:"form-help",children:"Default working days. Used if sprint dates are not properly set."})]}),(0,s.jsxs)("div",{className:"formula-preview",children:[(0,s.jsx)("p",{style:{margin:0},children:(0,s.jsx)("strong",{children:"Max Capacity Formula:"})}),(0,s.jsxs)("p",{style:{margin:"8px 0 0"},children:["Working Days x 8 hours x Team Size",(0,s.jsx)("br",{}),"= ",r.workingDays," x 8 x ",r.teamSize," = ",(0,s.jsxs)("strong",{children:[y,"h"]})]})]}),(0,s.jsxs)("div",{className:"form-actions",children:[(0,s.jsx)("button",{className:"btn btn-secondary",onClick:()=>{try{c.view.close()}catch(e){console.error("[ConfigForm] Error closing:",e)}},disabled:l,children:"Cancel"}),(0,s.jsx)("button",{className:"btn btn-primary",onClick:async()=>{if(r.boardId){f(!0),p(null);try{const e=await(0,c.invoke)("saveConfig",r);e.success?c.view.submit(r):(p(e.error||"Failed to save configuration"),f(!1))}catch(e){console.error("[ConfigForm] Error saving:",e);try{c.view.submit(r)}catch(t){try{c.view.close()}catch(n){console.error("[ConfigForm] Cannot close view:",n)}}f(!1)}}else p("Please select a board")},disabled:!r.boardId||l,children:l?"Saving...":"Save"})]})]})};const ex=function(){var e,n,r,o,i;const[a,l]=(0,t.useState)(null),[f,d]=(0,t.useState)(!0);if((0,t.useEffect)(()=>{c.view.getContext().then(e=>{console.log("[App] Context received:",JSON.stringify(e,null,2)),l(e),d(!1)}).catch(e=>{console.error("[App] Error getting context:",e),d(!1)})},[]),f)return(0,s.jsxs)("div",{className:"loading",children:[(0,s.jsx)("div",{className:"spinner"}),(0,s.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});const p="edit"===(null===a||void 0===a||null===(e=a.extension)||void 0===e?void 0:e.entryPoint)||"edit"===(null===a||void 0===a||null===(n=a.extension)||void 0===n?void 0:n.mode)||"edit"===(null===a||void 0===a||null===(r=a.context)||void 0===r?void 0:r.mode);if(console.log("[App] isEditMode:",p),console.log("[App] extension:",JSON.stringify(null===a||void 0===a?void 0:a.extension)),p)return(0,s.jsx)(Jb,{});const h=(null===a||void 0===a||null===(o=a.extension)||void 0===o||null===(i=o.gadget)||void 0===i?void 0:i.moduleKey)||(null===a||void 0===a?void 0:a.moduleKey)||"";switch(console.log("[App] moduleKey:",h),h){case"sprint-burndown-gadget":return(0,s.jsx)($b,{});case"sprint-health-gadget":return(0,s.jsx)(Kb,{});case"at-risk-gadget":return(0,s.jsx)(Xb,{});case"scope-changes-gadget":return(0,s.jsx)(Yb,{});case"high-priority-gadget":return(0,s.jsx)(Qb,{});case"releases-gadget":return(0,s.jsx)(Zb,{});default:return(0,s.jsxs)("div",{style:{padding:"20px",textAlign:"center"},children:[(0,s.jsx)("h3",{children:"Gadget Loaded"}),(0,s.jsxs)("p",{children:["Module Key: ",h]}),(0,s.jsx)("p",{children:"Waiting for configuration..."}),(0,s.jsx)("button",{onClick:()=>l(u(u({},a),{},{extension:u(u({},a.extension),{},{entryPoint:"edit"})})),style:{marginTop:"10px",padding:"5px 10px",cursor:"pointer"},children:"Force Config Mode (Debug)"})]})}};r.createRoot(document.getElementById("root")).render((0,s.jsx)(t.StrictMode,{children:(0,s.jsx)(ex,{})}))})()})();
-//# sourceMappingURL=main.278516a6.js.map
\ No newline at end of file
@@ -1,3 +0,0 @@
-/*! For license information please see main.9ff39cbb.js.LICENSE.txt */
-(()=>{var e={6801(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getCallBridge=void 0;const r=n(5403);t.getCallBridge=()=>{if(!(null===(e=window.__bridge)||void 0===e?void 0:e.callBridge))throw new r.BridgeAPIError("\n      Unable to establish a connection with the Custom UI bridge.\n      If you are trying to run your app locally, Forge apps only work in the context of Atlassian products. Refer to https://go.atlassian.com/forge-tunneling-with-custom-ui for how to tunnel when using a local development server.\n    ");var e;return window.__bridge.callBridge}},5403(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.BridgeAPIError=void 0;class n extends Error{}t.BridgeAPIError=n},1501(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.events=void 0;const r=(0,n(6801).getCallBridge)();t.events={emit:(e,t)=>r("emit",{event:e,payload:t}),on:(e,t)=>r("on",{event:e,callback:t})}},46(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(1501),t)},9713(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.productFetchApi=void 0;const r=n(6326),o=n(1814),i=e=>r.__awaiter(void 0,void 0,void 0,function*(){const t=(null===e||void 0===e?void 0:e.body)instanceof FormData,n=t?yield(i=null===e||void 0===e?void 0:e.body,r.__awaiter(void 0,void 0,void 0,function*(){const e={};for(const[t,n]of i.entries())if("file"===t){const t=n.name,r=n.type;e.file=yield(0,o.blobToBase64)(n),e.__fileName=t,e.__fileType=r}else e[t]=n;return JSON.stringify(e)})):null===e||void 0===e?void 0:e.body;var i;const a=new Request("",{body:n,method:null===e||void 0===e?void 0:e.method,headers:null===e||void 0===e?void 0:e.headers}),l=Object.fromEntries(a.headers.entries());return{body:"GET"!==a.method?yield a.text():null,headers:new Headers(l),isMultipartFormData:t}});t.productFetchApi=e=>{const t=(t,n,a)=>r.__awaiter(void 0,void 0,void 0,function*(){const{body:r,headers:l,isMultipartFormData:u}=yield i(a);l.has("X-Atlassian-Token")||l.set("X-Atlassian-Token","no-check");const c={product:t,restPath:n,fetchRequestInit:Object.assign(Object.assign({},a),{body:r,headers:[...l.entries()]}),isMultipartFormData:u},{body:s,headers:f,statusText:d,status:p,isAttachment:h}=yield e("fetchProduct",c),y=h?(0,o.base64ToBlob)(s,f["content-type"]):s;return new Response(y||null,{headers:f,status:p,statusText:d})});return{requestConfluence:(e,n)=>t("confluence",e,n),requestJira:(e,n)=>t("jira",e,n),requestBitbucket:(e,n)=>t("bitbucket",e,n)}}},8145(e,t,n){"use strict";var r;Object.defineProperty(t,"__esModule",{value:!0}),t.requestBitbucket=t.requestJira=t.requestConfluence=void 0;const o=n(6801);r=(0,n(9713).productFetchApi)((0,o.getCallBridge)()),t.requestConfluence=r.requestConfluence,t.requestJira=r.requestJira,t.requestBitbucket=r.requestBitbucket},4331(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)();t.showFlag=e=>{var t;if(!e.id)throw new i.BridgeAPIError('"id" must be defined in flag options');const n=a("showFlag",Object.assign(Object.assign({},e),{type:null!==(t=e.type)&&void 0!==t?t:"info"}));return{close:()=>r.__awaiter(void 0,void 0,void 0,function*(){return yield n,a("closeFlag",{id:e.id})})}}},4353(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.showFlag=void 0;var r=n(4331);Object.defineProperty(t,"showFlag",{enumerable:!0,get:function(){return r.showFlag}})},870(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});const r=n(6326);r.__exportStar(n(3091),t),r.__exportStar(n(4732),t),r.__exportStar(n(5566),t),r.__exportStar(n(7534),t),r.__exportStar(n(856),t),r.__exportStar(n(8145),t),r.__exportStar(n(4353),t),r.__exportStar(n(46),t)},1298(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getFrameId=void 0;const r=(0,n(6801).getCallBridge)();t.getFrameId=()=>r("getFrameId")},4732(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(8189),t)},8189(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invokeRemote=void 0;const r=n(6326),o=n(6801),i=n(5403),a=n(1728),l=(0,o.getCallBridge)();t.invokeRemote=(0,a.withRateLimiter)(e=>r.__awaiter(void 0,void 0,void 0,function*(){var t;(e=>{if(e&&Object.values(e).some(e=>"function"===typeof e))throw new i.BridgeAPIError("Passing functions as part of the payload is not supported!")})(e);const{success:n,payload:r,error:o}=null!==(t=yield l("invoke",e))&&void 0!==t?t:{},a=Object.assign({},n?r:o);if(a&&a.headers)for(const e in a.headers)Array.isArray(a.headers[e])&&(a.headers[e]=a.headers[e].join(","));return a}),500,25e3,"Remote invocation calls are rate limited at 500req/25s")},3091(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(7039),t)},7039(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.invoke=void 0;const r=n(6801),o=n(5403),i=n(1728),a=(0,r.getCallBridge)();t.invoke=(0,i.withRateLimiter)((e,t)=>{if("string"!==typeof e)throw new o.BridgeAPIError("functionKey must be a string!");return(e=>{if(e&&Object.values(e).some(e=>"function"===typeof e))throw new o.BridgeAPIError("Passing functions as part of the payload is not supported!")})(t),a("invoke",{functionKey:e,payload:t})},500,25e3,"Resolver calls are rate limited at 500req/25s")},856(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(8537),t)},8537(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.Modal=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)(),l=()=>{};t.Modal=class{constructor(e){var t,n;this.resource=(null===e||void 0===e?void 0:e.resource)||null,this.onClose=(null===e||void 0===e?void 0:e.onClose)||l,this.size=(null===e||void 0===e?void 0:e.size)||"medium",this.context=(null===e||void 0===e?void 0:e.context)||{},this.closeOnEscape=null===(t=null===e||void 0===e?void 0:e.closeOnEscape)||void 0===t||t,this.closeOnOverlayClick=null===(n=null===e||void 0===e?void 0:e.closeOnOverlayClick)||void 0===n||n}open(){return r.__awaiter(this,void 0,void 0,function*(){try{if(!1===(yield a("openModal",{resource:this.resource,onClose:this.onClose,size:this.size,context:this.context,closeOnEscape:this.closeOnEscape,closeOnOverlayClick:this.closeOnOverlayClick})))throw new i.BridgeAPIError("Unable to open modal.")}catch(e){throw new i.BridgeAPIError("Unable to open modal.")}})}}},7534(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(1933),t)},1933(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.router=void 0;const r=n(6326),o=(0,n(6801).getCallBridge)();t.router={navigate:e=>r.__awaiter(void 0,void 0,void 0,function*(){return o("navigate",{url:e,type:"same-tab"})}),open:e=>r.__awaiter(void 0,void 0,void 0,function*(){return o("navigate",{url:e,type:"new-tab"})}),reload:()=>r.__awaiter(void 0,void 0,void 0,function*(){return o("reload")})}},1814(e,t){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.blobToBase64=t.base64ToBlob=void 0;t.base64ToBlob=(e,t)=>{if(!e)return null;const n=e.includes(";base64")?e.split(",")[1]:e,r=atob(n),o=new Array(r.length);for(let a=0;a<r.length;a++)o[a]=r.charCodeAt(a);const i=new Uint8Array(o);return new Blob([i],{type:t})};t.blobToBase64=e=>new Promise((t,n)=>{const r=new FileReader;r.onloadend=()=>{t(r.result)},r.onerror=n,r.readAsDataURL(e)})},1728(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.withRateLimiter=void 0;const r=n(6326),o=n(5403);t.withRateLimiter=(e,t,n,i)=>{let a=Date.now(),l=0;return function(){for(var u=arguments.length,c=new Array(u),s=0;s<u;s++)c[s]=arguments[s];return r.__awaiter(void 0,void 0,void 0,function*(){const r=Date.now();if(r-a>n&&(a=r,l=0),l>=t)throw new o.BridgeAPIError(i||"Too many invocations.");return l+=1,e(...c)})}}},3678(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.close=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)();t.close=e=>r.__awaiter(void 0,void 0,void 0,function*(){try{if(!1===(yield a("close",e)))throw new i.BridgeAPIError("this resource's view is not closable.")}catch(t){throw new i.BridgeAPIError("this resource's view is not closable.")}})},3194(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.createHistory=void 0;const r=n(6326),o=(0,n(6801).getCallBridge)();t.createHistory=()=>r.__awaiter(void 0,void 0,void 0,function*(){const e=yield o("createHistory");return e.listen(t=>{e.location=t}),e})},3731(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.frame=void 0;const r=n(6326),o=n(1298),i=n(46),a=(e,t)=>"frame:".concat(e,":").concat(t);t.frame={onPropsUpdate:e=>r.__awaiter(void 0,void 0,void 0,function*(){const t=yield(0,o.getFrameId)();if(!t)throw new Error("Frame could not be found, please ensure the custom props enabled Frame component is set up correctly.");const n=i.events.on(a("props",t),e);return i.events.emit(a("loaded",t),{loaded:!0}),()=>r.__awaiter(void 0,void 0,void 0,function*(){(yield n).unsubscribe()})})}},5831(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.getContext=void 0;const r=(0,n(6801).getCallBridge)();t.getContext=()=>r("getContext")},5566(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0});n(6326).__exportStar(n(7229),t)},7341(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.refresh=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)();t.refresh=e=>r.__awaiter(void 0,void 0,void 0,function*(){if(!1===(yield a("refresh",e)))throw new i.BridgeAPIError("this resource's view is not refreshable.")})},8052(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.submit=void 0;const r=n(6326),o=n(6801),i=n(5403),a=(0,o.getCallBridge)();t.submit=e=>r.__awaiter(void 0,void 0,void 0,function*(){if(!1===(yield a("submit",e)))throw new i.BridgeAPIError("this resource's view is not submittable.")})},7615(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.theme=void 0;const r=(0,n(6801).getCallBridge)();t.theme={enable:()=>r("enableTheming")}},7229(e,t,n){"use strict";Object.defineProperty(t,"__esModule",{value:!0}),t.view=void 0;const r=n(8052),o=n(3678),i=n(7341),a=n(3194),l=n(5831),u=n(7615),c=n(3731);t.view={submit:r.submit,close:o.close,refresh:i.refresh,createHistory:a.createHistory,getContext:l.getContext,theme:u.theme,frame:c.frame}},8210(e,t,n){var r;!function(){"use strict";var o,i=1e9,a={precision:20,rounding:4,toExpNeg:-7,toExpPos:21,LN10:"2.302585092994045684017991454684364207601101488628772976033327900967572609677352480235997205089598298341967784042286"},l=!0,u="[DecimalError] ",c=u+"Invalid argument: ",s=u+"Exponent out of range: ",f=Math.floor,d=Math.pow,p=/^(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i,h=1e7,y=9007199254740991,v=f(1286742750677284.5),m={};function g(e,t){var n,r,o,i,a,u,c,s,f=e.constructor,d=f.precision;if(!e.s||!t.s)return t.s||(t=new f(e)),l?_(t,d):t;if(c=e.d,s=t.d,a=e.e,o=t.e,c=c.slice(),i=a-o){for(i<0?(r=c,i=-i,u=s.length):(r=s,o=a,u=c.length),i>(u=(a=Math.ceil(d/7))>u?a+1:u+1)&&(i=u,r.length=1),r.reverse();i--;)r.push(0);r.reverse()}for((u=c.length)-(i=s.length)<0&&(i=u,r=s,s=c,c=r),n=0;i;)n=(c[--i]=c[i]+s[i]+n)/h|0,c[i]%=h;for(n&&(c.unshift(n),++o),u=c.length;0==c[--u];)c.pop();return t.d=c,t.e=o,l?_(t,d):t}function b(e,t,n){if(e!==~~e||e<t||e>n)throw Error(c+e)}function x(e){var t,n,r,o=e.length-1,i="",a=e[0];if(o>0){for(i+=a,t=1;t<o;t++)(n=7-(r=e[t]+"").length)&&(i+=k(n)),i+=r;(n=7-(r=(a=e[t])+"").length)&&(i+=k(n))}else if(0===a)return"0";for(;a%10===0;)a/=10;return i+a}m.absoluteValue=m.abs=function(){var e=new this.constructor(this);return e.s&&(e.s=1),e},m.comparedTo=m.cmp=function(e){var t,n,r,o,i=this;if(e=new i.constructor(e),i.s!==e.s)return i.s||-e.s;if(i.e!==e.e)return i.e>e.e^i.s<0?1:-1;for(t=0,n=(r=i.d.length)<(o=e.d.length)?r:o;t<n;++t)if(i.d[t]!==e.d[t])return i.d[t]>e.d[t]^i.s<0?1:-1;return r===o?0:r>o^i.s<0?1:-1},m.decimalPlaces=m.dp=function(){var e=this,t=e.d.length-1,n=7*(t-e.e);if(t=e.d[t])for(;t%10==0;t/=10)n--;return n<0?0:n},m.dividedBy=m.div=function(e){return w(this,new this.constructor(e))},m.dividedToIntegerBy=m.idiv=function(e){var t=this.constructor;return _(w(this,new t(e),0,1),t.precision)},m.equals=m.eq=function(e){return!this.cmp(e)},m.exponent=function(){return S(this)},m.greaterThan=m.gt=function(e){return this.cmp(e)>0},m.greaterThanOrEqualTo=m.gte=function(e){return this.cmp(e)>=0},m.isInteger=m.isint=function(){return this.e>this.d.length-2},m.isNegative=m.isneg=function(){return this.s<0},m.isPositive=m.ispos=function(){return this.s>0},m.isZero=function(){return 0===this.s},m.lessThan=m.lt=function(e){return this.cmp(e)<0},m.lessThanOrEqualTo=m.lte=function(e){return this.cmp(e)<1},m.logarithm=m.log=function(e){var t,n=this,r=n.constructor,i=r.precision,a=i+5;if(void 0===e)e=new r(10);else if((e=new r(e)).s<1||e.eq(o))throw Error(u+"NaN");if(n.s<1)throw Error(u+(n.s?"NaN":"-Infinity"));return n.eq(o)?new r(0):(l=!1,t=w(P(n,a),P(e,a),a),l=!0,_(t,i))},m.minus=m.sub=function(e){var t=this;return e=new t.constructor(e),t.s==e.s?A(t,e):g(t,(e.s=-e.s,e))},m.modulo=m.mod=function(e){var t,n=this,r=n.constructor,o=r.precision;if(!(e=new r(e)).s)throw Error(u+"NaN");return n.s?(l=!1,t=w(n,e,0,1).times(e),l=!0,n.minus(t)):_(new r(n),o)},m.naturalExponential=m.exp=function(){return O(this)},m.naturalLogarithm=m.ln=function(){return P(this)},m.negated=m.neg=function(){var e=new this.constructor(this);return e.s=-e.s||0,e},m.plus=m.add=function(e){var t=this;return e=new t.constructor(e),t.s==e.s?g(t,e):A(t,(e.s=-e.s,e))},m.precision=m.sd=function(e){var t,n,r,o=this;if(void 0!==e&&e!==!!e&&1!==e&&0!==e)throw Error(c+e);if(t=S(o)+1,n=7*(r=o.d.length-1)+1,r=o.d[r]){for(;r%10==0;r/=10)n--;for(r=o.d[0];r>=10;r/=10)n++}return e&&t>n?t:n},m.squareRoot=m.sqrt=function(){var e,t,n,r,o,i,a,c=this,s=c.constructor;if(c.s<1){if(!c.s)return new s(0);throw Error(u+"NaN")}for(e=S(c),l=!1,0==(o=Math.sqrt(+c))||o==1/0?(((t=x(c.d)).length+e)%2==0&&(t+="0"),o=Math.sqrt(t),e=f((e+1)/2)-(e<0||e%2),r=new s(t=o==1/0?"5e"+e:(t=o.toExponential()).slice(0,t.indexOf("e")+1)+e)):r=new s(o.toString()),o=a=(n=s.precision)+3;;)if(r=(i=r).plus(w(c,i,a+2)).times(.5),x(i.d).slice(0,a)===(t=x(r.d)).slice(0,a)){if(t=t.slice(a-3,a+1),o==a&&"4999"==t){if(_(i,n+1,0),i.times(i).eq(c)){r=i;break}}else if("9999"!=t)break;a+=4}return l=!0,_(r,n)},m.times=m.mul=function(e){var t,n,r,o,i,a,u,c,s,f=this,d=f.constructor,p=f.d,y=(e=new d(e)).d;if(!f.s||!e.s)return new d(0);for(e.s*=f.s,n=f.e+e.e,(c=p.length)<(s=y.length)&&(i=p,p=y,y=i,a=c,c=s,s=a),i=[],r=a=c+s;r--;)i.push(0);for(r=s;--r>=0;){for(t=0,o=c+r;o>r;)u=i[o]+y[r]*p[o-r-1]+t,i[o--]=u%h|0,t=u/h|0;i[o]=(i[o]+t)%h|0}for(;!i[--a];)i.pop();return t?++n:i.shift(),e.d=i,e.e=n,l?_(e,d.precision):e},m.toDecimalPlaces=m.todp=function(e,t){var n=this,r=n.constructor;return n=new r(n),void 0===e?n:(b(e,0,i),void 0===t?t=r.rounding:b(t,0,8),_(n,e+S(n)+1,t))},m.toExponential=function(e,t){var n,r=this,o=r.constructor;return void 0===e?n=T(r,!0):(b(e,0,i),void 0===t?t=o.rounding:b(t,0,8),n=T(r=_(new o(r),e+1,t),!0,e+1)),n},m.toFixed=function(e,t){var n,r,o=this,a=o.constructor;return void 0===e?T(o):(b(e,0,i),void 0===t?t=a.rounding:b(t,0,8),n=T((r=_(new a(o),e+S(o)+1,t)).abs(),!1,e+S(r)+1),o.isneg()&&!o.isZero()?"-"+n:n)},m.toInteger=m.toint=function(){var e=this,t=e.constructor;return _(new t(e),S(e)+1,t.rounding)},m.toNumber=function(){return+this},m.toPower=m.pow=function(e){var t,n,r,i,a,c,s=this,d=s.constructor,p=+(e=new d(e));if(!e.s)return new d(o);if(!(s=new d(s)).s){if(e.s<1)throw Error(u+"Infinity");return s}if(s.eq(o))return s;if(r=d.precision,e.eq(o))return _(s,r);if(c=(t=e.e)>=(n=e.d.length-1),a=s.s,c){if((n=p<0?-p:p)<=y){for(i=new d(o),t=Math.ceil(r/7+4),l=!1;n%2&&C((i=i.times(s)).d,t),0!==(n=f(n/2));)C((s=s.times(s)).d,t);return l=!0,e.s<0?new d(o).div(i):_(i,r)}}else if(a<0)throw Error(u+"NaN");return a=a<0&&1&e.d[Math.max(t,n)]?-1:1,s.s=1,l=!1,i=e.times(P(s,r+12)),l=!0,(i=O(i)).s=a,i},m.toPrecision=function(e,t){var n,r,o=this,a=o.constructor;return void 0===e?r=T(o,(n=S(o))<=a.toExpNeg||n>=a.toExpPos):(b(e,1,i),void 0===t?t=a.rounding:b(t,0,8),r=T(o=_(new a(o),e,t),e<=(n=S(o))||n<=a.toExpNeg,e)),r},m.toSignificantDigits=m.tosd=function(e,t){var n=this.constructor;return void 0===e?(e=n.precision,t=n.rounding):(b(e,1,i),void 0===t?t=n.rounding:b(t,0,8)),_(new n(this),e,t)},m.toString=m.valueOf=m.val=m.toJSON=function(){var e=this,t=S(e),n=e.constructor;return T(e,t<=n.toExpNeg||t>=n.toExpPos)};var w=function(){function e(e,t){var n,r=0,o=e.length;for(e=e.slice();o--;)n=e[o]*t+r,e[o]=n%h|0,r=n/h|0;return r&&e.unshift(r),e}function t(e,t,n,r){var o,i;if(n!=r)i=n>r?1:-1;else for(o=i=0;o<n;o++)if(e[o]!=t[o]){i=e[o]>t[o]?1:-1;break}return i}function n(e,t,n){for(var r=0;n--;)e[n]-=r,r=e[n]<t[n]?1:0,e[n]=r*h+e[n]-t[n];for(;!e[0]&&e.length>1;)e.shift()}return function(r,o,i,a){var l,c,s,f,d,p,y,v,m,g,b,x,w,O,j,k,P,E,A=r.constructor,T=r.s==o.s?1:-1,C=r.d,M=o.d;if(!r.s)return new A(r);if(!o.s)throw Error(u+"Division by zero");for(c=r.e-o.e,P=M.length,j=C.length,v=(y=new A(T)).d=[],s=0;M[s]==(C[s]||0);)++s;if(M[s]>(C[s]||0)&&--c,(x=null==i?i=A.precision:a?i+(S(r)-S(o))+1:i)<0)return new A(0);if(x=x/7+2|0,s=0,1==P)for(f=0,M=M[0],x++;(s<j||f)&&x--;s++)w=f*h+(C[s]||0),v[s]=w/M|0,f=w%M|0;else{for((f=h/(M[0]+1)|0)>1&&(M=e(M,f),C=e(C,f),P=M.length,j=C.length),O=P,g=(m=C.slice(0,P)).length;g<P;)m[g++]=0;(E=M.slice()).unshift(0),k=M[0],M[1]>=h/2&&++k;do{f=0,(l=t(M,m,P,g))<0?(b=m[0],P!=g&&(b=b*h+(m[1]||0)),(f=b/k|0)>1?(f>=h&&(f=h-1),1==(l=t(d=e(M,f),m,p=d.length,g=m.length))&&(f--,n(d,P<p?E:M,p))):(0==f&&(l=f=1),d=M.slice()),(p=d.length)<g&&d.unshift(0),n(m,d,g),-1==l&&(l=t(M,m,P,g=m.length))<1&&(f++,n(m,P<g?E:M,g)),g=m.length):0===l&&(f++,m=[0]),v[s++]=f,l&&m[0]?m[g++]=C[O]||0:(m=[C[O]],g=1)}while((O++<j||void 0!==m[0])&&x--)}return v[0]||v.shift(),y.e=c,_(y,a?i+S(y)+1:i)}}();function O(e,t){var n,r,i,a,u,c=0,f=0,p=e.constructor,h=p.precision;if(S(e)>16)throw Error(s+S(e));if(!e.s)return new p(o);for(null==t?(l=!1,u=h):u=t,a=new p(.03125);e.abs().gte(.1);)e=e.times(a),f+=5;for(u+=Math.log(d(2,f))/Math.LN10*2+5|0,n=r=i=new p(o),p.precision=u;;){if(r=_(r.times(e),u),n=n.times(++c),x((a=i.plus(w(r,n,u))).d).slice(0,u)===x(i.d).slice(0,u)){for(;f--;)i=_(i.times(i),u);return p.precision=h,null==t?(l=!0,_(i,h)):i}i=a}}function S(e){for(var t=7*e.e,n=e.d[0];n>=10;n/=10)t++;return t}function j(e,t,n){if(t>e.LN10.sd())throw l=!0,n&&(e.precision=n),Error(u+"LN10 precision limit exceeded");return _(new e(e.LN10),t)}function k(e){for(var t="";e--;)t+="0";return t}function P(e,t){var n,r,i,a,c,s,f,d,p,h=1,y=e,v=y.d,m=y.constructor,g=m.precision;if(y.s<1)throw Error(u+(y.s?"NaN":"-Infinity"));if(y.eq(o))return new m(0);if(null==t?(l=!1,d=g):d=t,y.eq(10))return null==t&&(l=!0),j(m,d);if(d+=10,m.precision=d,r=(n=x(v)).charAt(0),a=S(y),!(Math.abs(a)<15e14))return f=j(m,d+2,g).times(a+""),y=P(new m(r+"."+n.slice(1)),d-10).plus(f),m.precision=g,null==t?(l=!0,_(y,g)):y;for(;r<7&&1!=r||1==r&&n.charAt(1)>3;)r=(n=x((y=y.times(e)).d)).charAt(0),h++;for(a=S(y),r>1?(y=new m("0."+n),a++):y=new m(r+"."+n.slice(1)),s=c=y=w(y.minus(o),y.plus(o),d),p=_(y.times(y),d),i=3;;){if(c=_(c.times(p),d),x((f=s.plus(w(c,new m(i),d))).d).slice(0,d)===x(s.d).slice(0,d))return s=s.times(2),0!==a&&(s=s.plus(j(m,d+2,g).times(a+""))),s=w(s,new m(h),d),m.precision=g,null==t?(l=!0,_(s,g)):s;s=f,i+=2}}function E(e,t){var n,r,o;for((n=t.indexOf("."))>-1&&(t=t.replace(".","")),(r=t.search(/e/i))>0?(n<0&&(n=r),n+=+t.slice(r+1),t=t.substring(0,r)):n<0&&(n=t.length),r=0;48===t.charCodeAt(r);)++r;for(o=t.length;48===t.charCodeAt(o-1);)--o;if(t=t.slice(r,o)){if(o-=r,n=n-r-1,e.e=f(n/7),e.d=[],r=(n+1)%7,n<0&&(r+=7),r<o){for(r&&e.d.push(+t.slice(0,r)),o-=7;r<o;)e.d.push(+t.slice(r,r+=7));r=7-(t=t.slice(r)).length}else r-=o;for(;r--;)t+="0";if(e.d.push(+t),l&&(e.e>v||e.e<-v))throw Error(s+n)}else e.s=0,e.e=0,e.d=[0];return e}function _(e,t,n){var r,o,i,a,u,c,p,y,m=e.d;for(a=1,i=m[0];i>=10;i/=10)a++;if((r=t-a)<0)r+=7,o=t,p=m[y=0];else{if((y=Math.ceil((r+1)/7))>=(i=m.length))return e;for(p=i=m[y],a=1;i>=10;i/=10)a++;o=(r%=7)-7+a}if(void 0!==n&&(u=p/(i=d(10,a-o-1))%10|0,c=t<0||void 0!==m[y+1]||p%i,c=n<4?(u||c)&&(0==n||n==(e.s<0?3:2)):u>5||5==u&&(4==n||c||6==n&&(r>0?o>0?p/d(10,a-o):0:m[y-1])%10&1||n==(e.s<0?8:7))),t<1||!m[0])return c?(i=S(e),m.length=1,t=t-i-1,m[0]=d(10,(7-t%7)%7),e.e=f(-t/7)||0):(m.length=1,m[0]=e.e=e.s=0),e;if(0==r?(m.length=y,i=1,y--):(m.length=y+1,i=d(10,7-r),m[y]=o>0?(p/d(10,a-o)%d(10,o)|0)*i:0),c)for(;;){if(0==y){(m[0]+=i)==h&&(m[0]=1,++e.e);break}if(m[y]+=i,m[y]!=h)break;m[y--]=0,i=1}for(r=m.length;0===m[--r];)m.pop();if(l&&(e.e>v||e.e<-v))throw Error(s+S(e));return e}function A(e,t){var n,r,o,i,a,u,c,s,f,d,p=e.constructor,y=p.precision;if(!e.s||!t.s)return t.s?t.s=-t.s:t=new p(e),l?_(t,y):t;if(c=e.d,d=t.d,r=t.e,s=e.e,c=c.slice(),a=s-r){for((f=a<0)?(n=c,a=-a,u=d.length):(n=d,r=s,u=c.length),a>(o=Math.max(Math.ceil(y/7),u)+2)&&(a=o,n.length=1),n.reverse(),o=a;o--;)n.push(0);n.reverse()}else{for((f=(o=c.length)<(u=d.length))&&(u=o),o=0;o<u;o++)if(c[o]!=d[o]){f=c[o]<d[o];break}a=0}for(f&&(n=c,c=d,d=n,t.s=-t.s),u=c.length,o=d.length-u;o>0;--o)c[u++]=0;for(o=d.length;o>a;){if(c[--o]<d[o]){for(i=o;i&&0===c[--i];)c[i]=h-1;--c[i],c[o]+=h}c[o]-=d[o]}for(;0===c[--u];)c.pop();for(;0===c[0];c.shift())--r;return c[0]?(t.d=c,t.e=r,l?_(t,y):t):new p(0)}function T(e,t,n){var r,o=S(e),i=x(e.d),a=i.length;return t?(n&&(r=n-a)>0?i=i.charAt(0)+"."+i.slice(1)+k(r):a>1&&(i=i.charAt(0)+"."+i.slice(1)),i=i+(o<0?"e":"e+")+o):o<0?(i="0."+k(-o-1)+i,n&&(r=n-a)>0&&(i+=k(r))):o>=a?(i+=k(o+1-a),n&&(r=n-o-1)>0&&(i=i+"."+k(r))):((r=o+1)<a&&(i=i.slice(0,r)+"."+i.slice(r)),n&&(r=n-a)>0&&(o+1===a&&(i+="."),i+=k(r))),e.s<0?"-"+i:i}function C(e,t){if(e.length>t)return e.length=t,!0}function M(e){if(!e||"object"!==typeof e)throw Error(u+"Object expected");var t,n,r,o=["precision",1,i,"rounding",0,8,"toExpNeg",-1/0,0,"toExpPos",0,1/0];for(t=0;t<o.length;t+=3)if(void 0!==(r=e[n=o[t]])){if(!(f(r)===r&&r>=o[t+1]&&r<=o[t+2]))throw Error(c+n+": "+r);this[n]=r}if(void 0!==(r=e[n="LN10"])){if(r!=Math.LN10)throw Error(c+n+": "+r);this[n]=new this(r)}return this}a=function e(t){var n,r,o;function i(e){var t=this;if(!(t instanceof i))return new i(e);if(t.constructor=i,e instanceof i)return t.s=e.s,t.e=e.e,void(t.d=(e=e.d)?e.slice():e);if("number"===typeof e){if(0*e!==0)throw Error(c+e);if(e>0)t.s=1;else{if(!(e<0))return t.s=0,t.e=0,void(t.d=[0]);e=-e,t.s=-1}return e===~~e&&e<1e7?(t.e=0,void(t.d=[e])):E(t,e.toString())}if("string"!==typeof e)throw Error(c+e);if(45===e.charCodeAt(0)?(e=e.slice(1),t.s=-1):t.s=1,!p.test(e))throw Error(c+e);E(t,e)}if(i.prototype=m,i.ROUND_UP=0,i.ROUND_DOWN=1,i.ROUND_CEIL=2,i.ROUND_FLOOR=3,i.ROUND_HALF_UP=4,i.ROUND_HALF_DOWN=5,i.ROUND_HALF_EVEN=6,i.ROUND_HALF_CEIL=7,i.ROUND_HALF_FLOOR=8,i.clone=e,i.config=i.set=M,void 0===t&&(t={}),t)for(o=["precision","rounding","toExpNeg","toExpPos","LN10"],n=0;n<o.length;)t.hasOwnProperty(r=o[n++])||(t[r]=this[r]);return i.config(t),i}(a),a.default=a.Decimal=a,o=new a(1),void 0===(r=function(){return a}.call(t,n,t,e))||(e.exports=r)}()},7283(e){"use strict";var t=Object.prototype.hasOwnProperty,n="~";function r(){}function o(e,t,n){this.fn=e,this.context=t,this.once=n||!1}function i(e,t,r,i,a){if("function"!==typeof r)throw new TypeError("The listener must be a function");var l=new o(r,i||e,a),u=n?n+t:t;return e._events[u]?e._events[u].fn?e._events[u]=[e._events[u],l]:e._events[u].push(l):(e._events[u]=l,e._eventsCount++),e}function a(e,t){0===--e._eventsCount?e._events=new r:delete e._events[t]}function l(){this._events=new r,this._eventsCount=0}Object.create&&(r.prototype=Object.create(null),(new r).__proto__||(n=!1)),l.prototype.eventNames=function(){var e,r,o=[];if(0===this._eventsCount)return o;for(r in e=this._events)t.call(e,r)&&o.push(n?r.slice(1):r);return Object.getOwnPropertySymbols?o.concat(Object.getOwnPropertySymbols(e)):o},l.prototype.listeners=function(e){var t=n?n+e:e,r=this._events[t];if(!r)return[];if(r.fn)return[r.fn];for(var o=0,i=r.length,a=new Array(i);o<i;o++)a[o]=r[o].fn;return a},l.prototype.listenerCount=function(e){var t=n?n+e:e,r=this._events[t];return r?r.fn?1:r.length:0},l.prototype.emit=function(e,t,r,o,i,a){var l=n?n+e:e;if(!this._events[l])return!1;var u,c,s=this._events[l],f=arguments.length;if(s.fn){switch(s.once&&this.removeListener(e,s.fn,void 0,!0),f){case 1:return s.fn.call(s.context),!0;case 2:return s.fn.call(s.context,t),!0;case 3:return s.fn.call(s.context,t,r),!0;case 4:return s.fn.call(s.context,t,r,o),!0;case 5:return s.fn.call(s.context,t,r,o,i),!0;case 6:return s.fn.call(s.context,t,r,o,i,a),!0}for(c=1,u=new Array(f-1);c<f;c++)u[c-1]=arguments[c];s.fn.apply(s.context,u)}else{var d,p=s.length;for(c=0;c<p;c++)switch(s[c].once&&this.removeListener(e,s[c].fn,void 0,!0),f){case 1:s[c].fn.call(s[c].context);break;case 2:s[c].fn.call(s[c].context,t);break;case 3:s[c].fn.call(s[c].context,t,r);break;case 4:s[c].fn.call(s[c].context,t,r,o);break;default:if(!u)for(d=1,u=new Array(f-1);d<f;d++)u[d-1]=arguments[d];s[c].fn.apply(s[c].context,u)}}return!0},l.prototype.on=function(e,t,n){return i(this,e,t,n,!1)},l.prototype.once=function(e,t,n){return i(this,e,t,n,!0)},l.prototype.removeListener=function(e,t,r,o){var i=n?n+e:e;if(!this._events[i])return this;if(!t)return a(this,i),this;var l=this._events[i];if(l.fn)l.fn!==t||o&&!l.once||r&&l.context!==r||a(this,i);else{for(var u=0,c=[],s=l.length;u<s;u++)(l[u].fn!==t||o&&!l[u].once||r&&l[u].context!==r)&&c.push(l[u]);c.length?this._events[i]=1===c.length?c[0]:c:a(this,i)}return this},l.prototype.removeAllListeners=function(e){var t;return e?(t=n?n+e:e,this._events[t]&&a(this,t)):(this._events=new r,this._eventsCount=0),this},l.prototype.off=l.prototype.removeListener,l.prototype.addListener=l.prototype.on,l.prefixed=n,l.EventEmitter=l,e.exports=l},7685(e,t,n){var r=n(7937)(n(6552),"DataView");e.exports=r},8724(e,t,n){var r=n(9996),o=n(5051),i=n(2154),a=n(8734),l=n(2662);function u(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}u.prototype.clear=r,u.prototype.delete=o,u.prototype.get=i,u.prototype.has=a,u.prototype.set=l,e.exports=u},7160(e,t,n){var r=n(7563),o=n(9935),i=n(4190),a=n(1946),l=n(1714);function u(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}u.prototype.clear=r,u.prototype.delete=o,u.prototype.get=i,u.prototype.has=a,u.prototype.set=l,e.exports=u},5204(e,t,n){var r=n(7937)(n(6552),"Map");e.exports=r},4816(e,t,n){var r=n(7251),o=n(7159),i=n(438),a=n(9394),l=n(6874);function u(e){var t=-1,n=null==e?0:e.length;for(this.clear();++t<n;){var r=e[t];this.set(r[0],r[1])}}u.prototype.clear=r,u.prototype.delete=o,u.prototype.get=i,u.prototype.has=a,u.prototype.set=l,e.exports=u},5387(e,t,n){var r=n(7937)(n(6552),"Promise");e.exports=r},2070(e,t,n){var r=n(7937)(n(6552),"Set");e.exports=r},8902(e,t,n){var r=n(4816),o=n(6179),i=n(6704);function a(e){var t=-1,n=null==e?0:e.length;for(this.__data__=new r;++t<n;)this.add(e[t])}a.prototype.add=a.prototype.push=o,a.prototype.has=i,e.exports=a},5538(e,t,n){var r=n(7160),o=n(4545),i=n(793),a=n(7760),l=n(3892),u=n(6788);function c(e){var t=this.__data__=new r(e);this.size=t.size}c.prototype.clear=o,c.prototype.delete=i,c.prototype.get=a,c.prototype.has=l,c.prototype.set=u,e.exports=c},9812(e,t,n){var r=n(6552).Symbol;e.exports=r},2929(e,t,n){var r=n(6552).Uint8Array;e.exports=r},6600(e,t,n){var r=n(7937)(n(6552),"WeakMap");e.exports=r},1170(e){e.exports=function(e,t,n){switch(n.length){case 0:return e.call(t);case 1:return e.call(t,n[0]);case 2:return e.call(t,n[0],n[1]);case 3:return e.call(t,n[0],n[1],n[2])}return e.apply(t,n)}},7676(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length;++n<r;)if(!t(e[n],n,e))return!1;return!0}},7529(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length,o=0,i=[];++n<r;){var a=e[n];t(a,n,e)&&(i[o++]=a)}return i}},5866(e,t,n){var r=n(8468);e.exports=function(e,t){return!!(null==e?0:e.length)&&r(e,t,0)>-1}},1558(e){e.exports=function(e,t,n){for(var r=-1,o=null==e?0:e.length;++r<o;)if(n(t,e[r]))return!0;return!1}},3204(e,t,n){var r=n(3343),o=n(2777),i=n(4052),a=n(4543),l=n(9194),u=n(1268),c=Object.prototype.hasOwnProperty;e.exports=function(e,t){var n=i(e),s=!n&&o(e),f=!n&&!s&&a(e),d=!n&&!s&&!f&&u(e),p=n||s||f||d,h=p?r(e.length,String):[],y=h.length;for(var v in e)!t&&!c.call(e,v)||p&&("length"==v||f&&("offset"==v||"parent"==v)||d&&("buffer"==v||"byteLength"==v||"byteOffset"==v)||l(v,y))||h.push(v);return h}},149(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length,o=Array(r);++n<r;)o[n]=t(e[n],n,e);return o}},8895(e){e.exports=function(e,t){for(var n=-1,r=t.length,o=e.length;++n<r;)e[o+n]=t[n];return e}},2587(e){e.exports=function(e,t){for(var n=-1,r=null==e?0:e.length;++n<r;)if(t(e[n],n,e))return!0;return!1}},5967(e){e.exports=function(e){return e.split("")}},1340(e,t,n){var r=n(3211);e.exports=function(e,t){for(var n=e.length;n--;)if(r(e[n][0],t))return n;return-1}},1775(e,t,n){var r=n(5654);e.exports=function(e,t,n){"__proto__"==t&&r?r(e,t,{configurable:!0,enumerable:!0,value:n,writable:!0}):e[t]=n}},5652(e,t,n){var r=n(4664),o=n(6516)(r);e.exports=o},4746(e,t,n){var r=n(5652);e.exports=function(e,t){var n=!0;return r(e,function(e,r,o){return n=!!t(e,r,o)}),n}},9742(e,t,n){var r=n(9841);e.exports=function(e,t,n){for(var o=-1,i=e.length;++o<i;){var a=e[o],l=t(a);if(null!=l&&(void 0===u?l===l&&!r(l):n(l,u)))var u=l,c=a}return c}},5816(e){e.exports=function(e,t,n,r){for(var o=e.length,i=n+(r?1:-1);r?i--:++i<o;)if(t(e[i],i,e))return i;return-1}},755(e,t,n){var r=n(8895),o=n(7116);e.exports=function e(t,n,i,a,l){var u=-1,c=t.length;for(i||(i=o),l||(l=[]);++u<c;){var s=t[u];n>0&&i(s)?n>1?e(s,n-1,i,a,l):r(l,s):a||(l[l.length]=s)}return l}},4258(e,t,n){var r=n(5906)();e.exports=r},4664(e,t,n){var r=n(4258),o=n(8673);e.exports=function(e,t){return e&&r(e,t,o)}},2969(e,t,n){var r=n(5324),o=n(914);e.exports=function(e,t){for(var n=0,i=(t=r(t,e)).length;null!=e&&n<i;)e=e[o(t[n++])];return n&&n==i?e:void 0}},4262(e,t,n){var r=n(8895),o=n(4052);e.exports=function(e,t,n){var i=t(e);return o(e)?i:r(i,n(e))}},6913(e,t,n){var r=n(9812),o=n(4552),i=n(6095),a=r?r.toStringTag:void 0;e.exports=function(e){return null==e?void 0===e?"[object Undefined]":"[object Null]":a&&a in Object(e)?o(e):i(e)}},7498(e){e.exports=function(e,t){return e>t}},7894(e){e.exports=function(e,t){return null!=e&&t in Object(e)}},8468(e,t,n){var r=n(5816),o=n(644),i=n(4020);e.exports=function(e,t,n){return t===t?i(e,t,n):r(e,o,n)}},5193(e,t,n){var r=n(6913),o=n(2761);e.exports=function(e){return o(e)&&"[object Arguments]"==r(e)}},6989(e,t,n){var r=n(6399),o=n(2761);e.exports=function e(t,n,i,a,l){return t===n||(null==t||null==n||!o(t)&&!o(n)?t!==t&&n!==n:r(t,n,i,a,e,l))}},6399(e,t,n){var r=n(5538),o=n(3668),i=n(9987),a=n(5752),l=n(6924),u=n(4052),c=n(4543),s=n(1268),f="[object Arguments]",d="[object Array]",p="[object Object]",h=Object.prototype.hasOwnProperty;e.exports=function(e,t,n,y,v,m){var g=u(e),b=u(t),x=g?d:l(e),w=b?d:l(t),O=(x=x==f?p:x)==p,S=(w=w==f?p:w)==p,j=x==w;if(j&&c(e)){if(!c(t))return!1;g=!0,O=!1}if(j&&!O)return m||(m=new r),g||s(e)?o(e,t,n,y,v,m):i(e,t,x,n,y,v,m);if(!(1&n)){var k=O&&h.call(e,"__wrapped__"),P=S&&h.call(t,"__wrapped__");if(k||P){var E=k?e.value():e,_=P?t.value():t;return m||(m=new r),v(E,_,n,y,m)}}return!!j&&(m||(m=new r),a(e,t,n,y,v,m))}},6532(e,t,n){var r=n(5538),o=n(6989);e.exports=function(e,t,n,i){var a=n.length,l=a,u=!i;if(null==e)return!l;for(e=Object(e);a--;){var c=n[a];if(u&&c[2]?c[1]!==e[c[0]]:!(c[0]in e))return!1}for(;++a<l;){var s=(c=n[a])[0],f=e[s],d=c[1];if(u&&c[2]){if(void 0===f&&!(s in e))return!1}else{var p=new r;if(i)var h=i(f,d,s,e,t,p);if(!(void 0===h?o(d,f,3,i,p):h))return!1}}return!0}},644(e){e.exports=function(e){return e!==e}},6954(e,t,n){var r=n(1629),o=n(7857),i=n(6686),a=n(6996),l=/^\[object .+?Constructor\]$/,u=Function.prototype,c=Object.prototype,s=u.toString,f=c.hasOwnProperty,d=RegExp("^"+s.call(f).replace(/[\\^$.*+?()[\]{}|]/g,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");e.exports=function(e){return!(!i(e)||o(e))&&(r(e)?d:l).test(a(e))}},5428(e,t,n){var r=n(6913),o=n(6173),i=n(2761),a={};a["[object Float32Array]"]=a["[object Float64Array]"]=a["[object Int8Array]"]=a["[object Int16Array]"]=a["[object Int32Array]"]=a["[object Uint8Array]"]=a["[object Uint8ClampedArray]"]=a["[object Uint16Array]"]=a["[object Uint32Array]"]=!0,a["[object Arguments]"]=a["[object Array]"]=a["[object ArrayBuffer]"]=a["[object Boolean]"]=a["[object DataView]"]=a["[object Date]"]=a["[object Error]"]=a["[object Function]"]=a["[object Map]"]=a["[object Number]"]=a["[object Object]"]=a["[object RegExp]"]=a["[object Set]"]=a["[object String]"]=a["[object WeakMap]"]=!1,e.exports=function(e){return i(e)&&o(e.length)&&!!a[r(e)]}},9096(e,t,n){var r=n(9256),o=n(5029),i=n(3279),a=n(4052),l=n(3932);e.exports=function(e){return"function"==typeof e?e:null==e?i:"object"==typeof e?a(e)?o(e[0],e[1]):r(e):l(e)}},3713(e,t,n){var r=n(6140),o=n(1143),i=Object.prototype.hasOwnProperty;e.exports=function(e){if(!r(e))return o(e);var t=[];for(var n in Object(e))i.call(e,n)&&"constructor"!=n&&t.push(n);return t}},61(e){e.exports=function(e,t){return e<t}},8883(e,t,n){var r=n(5652),o=n(6571);e.exports=function(e,t){var n=-1,i=o(e)?Array(e.length):[];return r(e,function(e,r,o){i[++n]=t(e,r,o)}),i}},9256(e,t,n){var r=n(6532),o=n(3781),i=n(1310);e.exports=function(e){var t=o(e);return 1==t.length&&t[0][2]?i(t[0][0],t[0][1]):function(n){return n===e||r(n,e,t)}}},5029(e,t,n){var r=n(6989),o=n(3097),i=n(3366),a=n(2597),l=n(9417),u=n(1310),c=n(914);e.exports=function(e,t){return a(e)&&l(t)?u(c(e),t):function(n){var a=o(n,e);return void 0===a&&a===t?i(n,e):r(t,a,3)}}},2536(e,t,n){var r=n(149),o=n(2969),i=n(9096),a=n(8883),l=n(320),u=n(7574),c=n(5893),s=n(3279),f=n(4052);e.exports=function(e,t,n){t=t.length?r(t,function(e){return f(e)?function(t){return o(t,1===e.length?e[0]:e)}:e}):[s];var d=-1;t=r(t,u(i));var p=a(e,function(e,n,o){return{criteria:r(t,function(t){return t(e)}),index:++d,value:e}});return l(p,function(e,t){return c(e,t,n)})}},396(e){e.exports=function(e){return function(t){return null==t?void 0:t[e]}}},2866(e,t,n){var r=n(2969);e.exports=function(e){return function(t){return r(t,e)}}},9676(e){var t=Math.ceil,n=Math.max;e.exports=function(e,r,o,i){for(var a=-1,l=n(t((r-e)/(o||1)),0),u=Array(l);l--;)u[i?l:++a]=e,e+=o;return u}},5647(e,t,n){var r=n(3279),o=n(5636),i=n(6350);e.exports=function(e,t){return i(o(e,t,r),e+"")}},8325(e,t,n){var r=n(2541),o=n(5654),i=n(3279),a=o?function(e,t){return o(e,"toString",{configurable:!0,enumerable:!1,value:r(t),writable:!0})}:i;e.exports=a},3871(e){e.exports=function(e,t,n){var r=-1,o=e.length;t<0&&(t=-t>o?0:o+t),(n=n>o?o:n)<0&&(n+=o),o=t>n?0:n-t>>>0,t>>>=0;for(var i=Array(o);++r<o;)i[r]=e[r+t];return i}},2165(e,t,n){var r=n(5652);e.exports=function(e,t){var n;return r(e,function(e,r,o){return!(n=t(e,r,o))}),!!n}},320(e){e.exports=function(e,t){var n=e.length;for(e.sort(t);n--;)e[n]=e[n].value;return e}},3343(e){e.exports=function(e,t){for(var n=-1,r=Array(e);++n<e;)r[n]=t(n);return r}},8541(e,t,n){var r=n(9812),o=n(149),i=n(4052),a=n(9841),l=r?r.prototype:void 0,u=l?l.toString:void 0;e.exports=function e(t){if("string"==typeof t)return t;if(i(t))return o(t,e)+"";if(a(t))return u?u.call(t):"";var n=t+"";return"0"==n&&1/t==-1/0?"-0":n}},1141(e,t,n){var r=n(143),o=/^\s+/;e.exports=function(e){return e?e.slice(0,r(e)+1).replace(o,""):e}},7574(e){e.exports=function(e){return function(t){return e(t)}}},4416(e,t,n){var r=n(8902),o=n(5866),i=n(1558),a=n(8114),l=n(8182),u=n(2074);e.exports=function(e,t,n){var c=-1,s=o,f=e.length,d=!0,p=[],h=p;if(n)d=!1,s=i;else if(f>=200){var y=t?null:l(e);if(y)return u(y);d=!1,s=a,h=new r}else h=t?[]:p;e:for(;++c<f;){var v=e[c],m=t?t(v):v;if(v=n||0!==v?v:0,d&&m===m){for(var g=h.length;g--;)if(h[g]===m)continue e;t&&h.push(m),p.push(v)}else s(h,m,n)||(h!==p&&h.push(m),p.push(v))}return p}},8114(e){e.exports=function(e,t){return e.has(t)}},5324(e,t,n){var r=n(4052),o=n(2597),i=n(4079),a=n(1069);e.exports=function(e,t){return r(e)?e:o(e,t)?[e]:i(a(e))}},570(e,t,n){var r=n(3871);e.exports=function(e,t,n){var o=e.length;return n=void 0===n?o:n,!t&&n>=o?e:r(e,t,n)}},6599(e,t,n){var r=n(9841);e.exports=function(e,t){if(e!==t){var n=void 0!==e,o=null===e,i=e===e,a=r(e),l=void 0!==t,u=null===t,c=t===t,s=r(t);if(!u&&!s&&!a&&e>t||a&&l&&c&&!u&&!s||o&&l&&c||!n&&c||!i)return 1;if(!o&&!a&&!s&&e<t||s&&n&&i&&!o&&!a||u&&n&&i||!l&&i||!c)return-1}return 0}},5893(e,t,n){var r=n(6599);e.exports=function(e,t,n){for(var o=-1,i=e.criteria,a=t.criteria,l=i.length,u=n.length;++o<l;){var c=r(i[o],a[o]);if(c)return o>=u?c:c*("desc"==n[o]?-1:1)}return e.index-t.index}},3440(e,t,n){var r=n(6552)["__core-js_shared__"];e.exports=r},6516(e,t,n){var r=n(6571);e.exports=function(e,t){return function(n,o){if(null==n)return n;if(!r(n))return e(n,o);for(var i=n.length,a=t?i:-1,l=Object(n);(t?a--:++a<i)&&!1!==o(l[a],a,l););return n}}},5906(e){e.exports=function(e){return function(t,n,r){for(var o=-1,i=Object(t),a=r(t),l=a.length;l--;){var u=a[e?l:++o];if(!1===n(i[u],u,i))break}return t}}},5295(e,t,n){var r=n(570),o=n(6311),i=n(9115),a=n(1069);e.exports=function(e){return function(t){t=a(t);var n=o(t)?i(t):void 0,l=n?n[0]:t.charAt(0),u=n?r(n,1).join(""):t.slice(1);return l[e]()+u}}},9995(e,t,n){var r=n(9096),o=n(6571),i=n(8673);e.exports=function(e){return function(t,n,a){var l=Object(t);if(!o(t)){var u=r(n,3);t=i(t),n=function(e){return u(l[e],e,l)}}var c=e(t,n,a);return c>-1?l[u?t[c]:c]:void 0}}},3331(e,t,n){var r=n(9676),o=n(929),i=n(7303);e.exports=function(e){return function(t,n,a){return a&&"number"!=typeof a&&o(t,n,a)&&(n=a=void 0),t=i(t),void 0===n?(n=t,t=0):n=i(n),a=void 0===a?t<n?1:-1:i(a),r(t,n,a,e)}}},8182(e,t,n){var r=n(2070),o=n(5713),i=n(2074),a=r&&1/i(new r([,-0]))[1]==1/0?function(e){return new r(e)}:o;e.exports=a},5654(e,t,n){var r=n(7937),o=function(){try{var e=r(Object,"defineProperty");return e({},"",{}),e}catch(t){}}();e.exports=o},3668(e,t,n){var r=n(8902),o=n(2587),i=n(8114);e.exports=function(e,t,n,a,l,u){var c=1&n,s=e.length,f=t.length;if(s!=f&&!(c&&f>s))return!1;var d=u.get(e),p=u.get(t);if(d&&p)return d==t&&p==e;var h=-1,y=!0,v=2&n?new r:void 0;for(u.set(e,t),u.set(t,e);++h<s;){var m=e[h],g=t[h];if(a)var b=c?a(g,m,h,t,e,u):a(m,g,h,e,t,u);if(void 0!==b){if(b)continue;y=!1;break}if(v){if(!o(t,function(e,t){if(!i(v,t)&&(m===e||l(m,e,n,a,u)))return v.push(t)})){y=!1;break}}else if(m!==g&&!l(m,g,n,a,u)){y=!1;break}}return u.delete(e),u.delete(t),y}},9987(e,t,n){var r=n(9812),o=n(2929),i=n(3211),a=n(3668),l=n(4160),u=n(2074),c=r?r.prototype:void 0,s=c?c.valueOf:void 0;e.exports=function(e,t,n,r,c,f,d){switch(n){case"[object DataView]":if(e.byteLength!=t.byteLength||e.byteOffset!=t.byteOffset)return!1;e=e.buffer,t=t.buffer;case"[object ArrayBuffer]":return!(e.byteLength!=t.byteLength||!f(new o(e),new o(t)));case"[object Boolean]":case"[object Date]":case"[object Number]":return i(+e,+t);case"[object Error]":return e.name==t.name&&e.message==t.message;case"[object RegExp]":case"[object String]":return e==t+"";case"[object Map]":var p=l;case"[object Set]":var h=1&r;if(p||(p=u),e.size!=t.size&&!h)return!1;var y=d.get(e);if(y)return y==t;r|=2,d.set(e,t);var v=a(p(e),p(t),r,c,f,d);return d.delete(e),v;case"[object Symbol]":if(s)return s.call(e)==s.call(t)}return!1}},5752(e,t,n){var r=n(9395),o=Object.prototype.hasOwnProperty;e.exports=function(e,t,n,i,a,l){var u=1&n,c=r(e),s=c.length;if(s!=r(t).length&&!u)return!1;for(var f=s;f--;){var d=c[f];if(!(u?d in t:o.call(t,d)))return!1}var p=l.get(e),h=l.get(t);if(p&&h)return p==t&&h==e;var y=!0;l.set(e,t),l.set(t,e);for(var v=u;++f<s;){var m=e[d=c[f]],g=t[d];if(i)var b=u?i(g,m,d,t,e,l):i(m,g,d,e,t,l);if(!(void 0===b?m===g||a(m,g,n,i,l):b)){y=!1;break}v||(v="constructor"==d)}if(y&&!v){var x=e.constructor,w=t.constructor;x==w||!("constructor"in e)||!("constructor"in t)||"function"==typeof x&&x instanceof x&&"function"==typeof w&&w instanceof w||(y=!1)}return l.delete(e),l.delete(t),y}},7105(e,t,n){var r="object"==typeof n.g&&n.g&&n.g.Object===Object&&n.g;e.exports=r},9395(e,t,n){var r=n(4262),o=n(9621),i=n(8673);e.exports=function(e){return r(e,i,o)}},2622(e,t,n){var r=n(705);e.exports=function(e,t){var n=e.__data__;return r(t)?n["string"==typeof t?"string":"hash"]:n.map}},3781(e,t,n){var r=n(9417),o=n(8673);e.exports=function(e){for(var t=o(e),n=t.length;n--;){var i=t[n],a=e[i];t[n]=[i,a,r(a)]}return t}},7937(e,t,n){var r=n(6954),o=n(4657);e.exports=function(e,t){var n=o(e,t);return r(n)?n:void 0}},5990(e,t,n){var r=n(3028)(Object.getPrototypeOf,Object);e.exports=r},4552(e,t,n){var r=n(9812),o=Object.prototype,i=o.hasOwnProperty,a=o.toString,l=r?r.toStringTag:void 0;e.exports=function(e){var t=i.call(e,l),n=e[l];try{e[l]=void 0;var r=!0}catch(u){}var o=a.call(e);return r&&(t?e[l]=n:delete e[l]),o}},9621(e,t,n){var r=n(7529),o=n(7828),i=Object.prototype.propertyIsEnumerable,a=Object.getOwnPropertySymbols,l=a?function(e){return null==e?[]:(e=Object(e),r(a(e),function(t){return i.call(e,t)}))}:o;e.exports=l},6924(e,t,n){var r=n(7685),o=n(5204),i=n(5387),a=n(2070),l=n(6600),u=n(6913),c=n(6996),s="[object Map]",f="[object Promise]",d="[object Set]",p="[object WeakMap]",h="[object DataView]",y=c(r),v=c(o),m=c(i),g=c(a),b=c(l),x=u;(r&&x(new r(new ArrayBuffer(1)))!=h||o&&x(new o)!=s||i&&x(i.resolve())!=f||a&&x(new a)!=d||l&&x(new l)!=p)&&(x=function(e){var t=u(e),n="[object Object]"==t?e.constructor:void 0,r=n?c(n):"";if(r)switch(r){case y:return h;case v:return s;case m:return f;case g:return d;case b:return p}return t}),e.exports=x},4657(e){e.exports=function(e,t){return null==e?void 0:e[t]}},9057(e,t,n){var r=n(5324),o=n(2777),i=n(4052),a=n(9194),l=n(6173),u=n(914);e.exports=function(e,t,n){for(var c=-1,s=(t=r(t,e)).length,f=!1;++c<s;){var d=u(t[c]);if(!(f=null!=e&&n(e,d)))break;e=e[d]}return f||++c!=s?f:!!(s=null==e?0:e.length)&&l(s)&&a(d,s)&&(i(e)||o(e))}},6311(e){var t=RegExp("[\\u200d\\ud800-\\udfff\\u0300-\\u036f\\ufe20-\\ufe2f\\u20d0-\\u20ff\\ufe0e\\ufe0f]");e.exports=function(e){return t.test(e)}},9996(e,t,n){var r=n(5575);e.exports=function(){this.__data__=r?r(null):{},this.size=0}},5051(e){e.exports=function(e){var t=this.has(e)&&delete this.__data__[e];return this.size-=t?1:0,t}},2154(e,t,n){var r=n(5575),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;if(r){var n=t[e];return"__lodash_hash_undefined__"===n?void 0:n}return o.call(t,e)?t[e]:void 0}},8734(e,t,n){var r=n(5575),o=Object.prototype.hasOwnProperty;e.exports=function(e){var t=this.__data__;return r?void 0!==t[e]:o.call(t,e)}},2662(e,t,n){var r=n(5575);e.exports=function(e,t){var n=this.__data__;return this.size+=this.has(e)?0:1,n[e]=r&&void 0===t?"__lodash_hash_undefined__":t,this}},7116(e,t,n){var r=n(9812),o=n(2777),i=n(4052),a=r?r.isConcatSpreadable:void 0;e.exports=function(e){return i(e)||o(e)||!!(a&&e&&e[a])}},9194(e){var t=/^(?:0|[1-9]\d*)$/;e.exports=function(e,n){var r=typeof e;return!!(n=null==n?9007199254740991:n)&&("number"==r||"symbol"!=r&&t.test(e))&&e>-1&&e%1==0&&e<n}},929(e,t,n){var r=n(3211),o=n(6571),i=n(9194),a=n(6686);e.exports=function(e,t,n){if(!a(n))return!1;var l=typeof t;return!!("number"==l?o(n)&&i(t,n.length):"string"==l&&t in n)&&r(n[t],e)}},2597(e,t,n){var r=n(4052),o=n(9841),i=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,a=/^\w*$/;e.exports=function(e,t){if(r(e))return!1;var n=typeof e;return!("number"!=n&&"symbol"!=n&&"boolean"!=n&&null!=e&&!o(e))||(a.test(e)||!i.test(e)||null!=t&&e in Object(t))}},705(e){e.exports=function(e){var t=typeof e;return"string"==t||"number"==t||"symbol"==t||"boolean"==t?"__proto__"!==e:null===e}},7857(e,t,n){var r=n(3440),o=function(){var e=/[^.]+$/.exec(r&&r.keys&&r.keys.IE_PROTO||"");return e?"Symbol(src)_1."+e:""}();e.exports=function(e){return!!o&&o in e}},6140(e){var t=Object.prototype;e.exports=function(e){var n=e&&e.constructor;return e===("function"==typeof n&&n.prototype||t)}},9417(e,t,n){var r=n(6686);e.exports=function(e){return e===e&&!r(e)}},7563(e){e.exports=function(){this.__data__=[],this.size=0}},9935(e,t,n){var r=n(1340),o=Array.prototype.splice;e.exports=function(e){var t=this.__data__,n=r(t,e);return!(n<0)&&(n==t.length-1?t.pop():o.call(t,n,1),--this.size,!0)}},4190(e,t,n){var r=n(1340);e.exports=function(e){var t=this.__data__,n=r(t,e);return n<0?void 0:t[n][1]}},1946(e,t,n){var r=n(1340);e.exports=function(e){return r(this.__data__,e)>-1}},1714(e,t,n){var r=n(1340);e.exports=function(e,t){var n=this.__data__,o=r(n,e);return o<0?(++this.size,n.push([e,t])):n[o][1]=t,this}},7251(e,t,n){var r=n(8724),o=n(7160),i=n(5204);e.exports=function(){this.size=0,this.__data__={hash:new r,map:new(i||o),string:new r}}},7159(e,t,n){var r=n(2622);e.exports=function(e){var t=r(this,e).delete(e);return this.size-=t?1:0,t}},438(e,t,n){var r=n(2622);e.exports=function(e){return r(this,e).get(e)}},9394(e,t,n){var r=n(2622);e.exports=function(e){return r(this,e).has(e)}},6874(e,t,n){var r=n(2622);e.exports=function(e,t){var n=r(this,e),o=n.size;return n.set(e,t),this.size+=n.size==o?0:1,this}},4160(e){e.exports=function(e){var t=-1,n=Array(e.size);return e.forEach(function(e,r){n[++t]=[r,e]}),n}},1310(e){e.exports=function(e,t){return function(n){return null!=n&&(n[e]===t&&(void 0!==t||e in Object(n)))}}},8259(e,t,n){var r=n(5797);e.exports=function(e){var t=r(e,function(e){return 500===n.size&&n.clear(),e}),n=t.cache;return t}},5575(e,t,n){var r=n(7937)(Object,"create");e.exports=r},1143(e,t,n){var r=n(3028)(Object.keys,Object);e.exports=r},6832(e,t,n){e=n.nmd(e);var r=n(7105),o=t&&!t.nodeType&&t,i=o&&e&&!e.nodeType&&e,a=i&&i.exports===o&&r.process,l=function(){try{var e=i&&i.require&&i.require("util").types;return e||a&&a.binding&&a.binding("util")}catch(t){}}();e.exports=l},6095(e){var t=Object.prototype.toString;e.exports=function(e){return t.call(e)}},3028(e){e.exports=function(e,t){return function(n){return e(t(n))}}},5636(e,t,n){var r=n(1170),o=Math.max;e.exports=function(e,t,n){return t=o(void 0===t?e.length-1:t,0),function(){for(var i=arguments,a=-1,l=o(i.length-t,0),u=Array(l);++a<l;)u[a]=i[t+a];a=-1;for(var c=Array(t+1);++a<t;)c[a]=i[a];return c[t]=n(u),r(e,this,c)}}},6552(e,t,n){var r=n(7105),o="object"==typeof self&&self&&self.Object===Object&&self,i=r||o||Function("return this")();e.exports=i},6179(e){e.exports=function(e){return this.__data__.set(e,"__lodash_hash_undefined__"),this}},6704(e){e.exports=function(e){return this.__data__.has(e)}},2074(e){e.exports=function(e){var t=-1,n=Array(e.size);return e.forEach(function(e){n[++t]=e}),n}},6350(e,t,n){var r=n(8325),o=n(6578)(r);e.exports=o},6578(e){var t=Date.now;e.exports=function(e){var n=0,r=0;return function(){var o=t(),i=16-(o-r);if(r=o,i>0){if(++n>=800)return arguments[0]}else n=0;return e.apply(void 0,arguments)}}},4545(e,t,n){var r=n(7160);e.exports=function(){this.__data__=new r,this.size=0}},793(e){e.exports=function(e){var t=this.__data__,n=t.delete(e);return this.size=t.size,n}},7760(e){e.exports=function(e){return this.__data__.get(e)}},3892(e){e.exports=function(e){return this.__data__.has(e)}},6788(e,t,n){var r=n(7160),o=n(5204),i=n(4816);e.exports=function(e,t){var n=this.__data__;if(n instanceof r){var a=n.__data__;if(!o||a.length<199)return a.push([e,t]),this.size=++n.size,this;n=this.__data__=new i(a)}return n.set(e,t),this.size=n.size,this}},4020(e){e.exports=function(e,t,n){for(var r=n-1,o=e.length;++r<o;)if(e[r]===t)return r;return-1}},9115(e,t,n){var r=n(5967),o=n(6311),i=n(715);e.exports=function(e){return o(e)?i(e):r(e)}},4079(e,t,n){var r=n(8259),o=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,i=/\\(\\)?/g,a=r(function(e){var t=[];return 46===e.charCodeAt(0)&&t.push(""),e.replace(o,function(e,n,r,o){t.push(r?o.replace(i,"$1"):n||e)}),t});e.exports=a},914(e,t,n){var r=n(9841);e.exports=function(e){if("string"==typeof e||r(e))return e;var t=e+"";return"0"==t&&1/e==-1/0?"-0":t}},6996(e){var t=Function.prototype.toString;e.exports=function(e){if(null!=e){try{return t.call(e)}catch(n){}try{return e+""}catch(n){}}return""}},143(e){var t=/\s/;e.exports=function(e){for(var n=e.length;n--&&t.test(e.charAt(n)););return n}},715(e){var t="\\ud800-\\udfff",n="["+t+"]",r="[\\u0300-\\u036f\\ufe20-\\ufe2f\\u20d0-\\u20ff]",o="\\ud83c[\\udffb-\\udfff]",i="[^"+t+"]",a="(?:\\ud83c[\\udde6-\\uddff]){2}",l="[\\ud800-\\udbff][\\udc00-\\udfff]",u="(?:"+r+"|"+o+")"+"?",c="[\\ufe0e\\ufe0f]?",s=c+u+("(?:\\u200d(?:"+[i,a,l].join("|")+")"+c+u+")*"),f="(?:"+[i+r+"?",r,a,l,n].join("|")+")",d=RegExp(o+"(?="+o+")|"+f+s,"g");e.exports=function(e){return e.match(d)||[]}},2541(e){e.exports=function(e){return function(){return e}}},3950(e,t,n){var r=n(6686),o=n(4757),i=n(801),a=Math.max,l=Math.min;e.exports=function(e,t,n){var u,c,s,f,d,p,h=0,y=!1,v=!1,m=!0;if("function"!=typeof e)throw new TypeError("Expected a function");function g(t){var n=u,r=c;return u=c=void 0,h=t,f=e.apply(r,n)}function b(e){var n=e-p;return void 0===p||n>=t||n<0||v&&e-h>=s}function x(){var e=o();if(b(e))return w(e);d=setTimeout(x,function(e){var n=t-(e-p);return v?l(n,s-(e-h)):n}(e))}function w(e){return d=void 0,m&&u?g(e):(u=c=void 0,f)}function O(){var e=o(),n=b(e);if(u=arguments,c=this,p=e,n){if(void 0===d)return function(e){return h=e,d=setTimeout(x,t),y?g(e):f}(p);if(v)return clearTimeout(d),d=setTimeout(x,t),g(p)}return void 0===d&&(d=setTimeout(x,t)),f}return t=i(t)||0,r(n)&&(y=!!n.leading,s=(v="maxWait"in n)?a(i(n.maxWait)||0,t):s,m="trailing"in n?!!n.trailing:m),O.cancel=function(){void 0!==d&&clearTimeout(d),h=0,u=p=c=d=void 0},O.flush=function(){return void 0===d?f:w(o())},O}},3211(e){e.exports=function(e,t){return e===t||e!==e&&t!==t}},7002(e,t,n){var r=n(7676),o=n(4746),i=n(9096),a=n(4052),l=n(929);e.exports=function(e,t,n){var u=a(e)?r:o;return n&&l(e,t,n)&&(t=void 0),u(e,i(t,3))}},8990(e,t,n){var r=n(9995)(n(2520));e.exports=r},2520(e,t,n){var r=n(5816),o=n(9096),i=n(9140),a=Math.max;e.exports=function(e,t,n){var l=null==e?0:e.length;if(!l)return-1;var u=null==n?0:i(n);return u<0&&(u=a(l+u,0)),r(e,o(t,3),u)}},3538(e,t,n){var r=n(755),o=n(3411);e.exports=function(e,t){return r(o(e,t),1)}},3097(e,t,n){var r=n(2969);e.exports=function(e,t,n){var o=null==e?void 0:r(e,t);return void 0===o?n:o}},3366(e,t,n){var r=n(7894),o=n(9057);e.exports=function(e,t){return null!=e&&o(e,t,r)}},3279(e){e.exports=function(e){return e}},2777(e,t,n){var r=n(5193),o=n(2761),i=Object.prototype,a=i.hasOwnProperty,l=i.propertyIsEnumerable,u=r(function(){return arguments}())?r:function(e){return o(e)&&a.call(e,"callee")&&!l.call(e,"callee")};e.exports=u},4052(e){var t=Array.isArray;e.exports=t},6571(e,t,n){var r=n(1629),o=n(6173);e.exports=function(e){return null!=e&&o(e.length)&&!r(e)}},6361(e,t,n){var r=n(6913),o=n(2761);e.exports=function(e){return!0===e||!1===e||o(e)&&"[object Boolean]"==r(e)}},4543(e,t,n){e=n.nmd(e);var r=n(6552),o=n(14),i=t&&!t.nodeType&&t,a=i&&e&&!e.nodeType&&e,l=a&&a.exports===i?r.Buffer:void 0,u=(l?l.isBuffer:void 0)||o;e.exports=u},9853(e,t,n){var r=n(6989);e.exports=function(e,t){return r(e,t)}},1629(e,t,n){var r=n(6913),o=n(6686);e.exports=function(e){if(!o(e))return!1;var t=r(e);return"[object Function]"==t||"[object GeneratorFunction]"==t||"[object AsyncFunction]"==t||"[object Proxy]"==t}},6173(e){e.exports=function(e){return"number"==typeof e&&e>-1&&e%1==0&&e<=9007199254740991}},5268(e,t,n){var r=n(9160);e.exports=function(e){return r(e)&&e!=+e}},9686(e){e.exports=function(e){return null==e}},9160(e,t,n){var r=n(6913),o=n(2761);e.exports=function(e){return"number"==typeof e||o(e)&&"[object Number]"==r(e)}},6686(e){e.exports=function(e){var t=typeof e;return null!=e&&("object"==t||"function"==t)}},2761(e){e.exports=function(e){return null!=e&&"object"==typeof e}},2322(e,t,n){var r=n(6913),o=n(5990),i=n(2761),a=Function.prototype,l=Object.prototype,u=a.toString,c=l.hasOwnProperty,s=u.call(Object);e.exports=function(e){if(!i(e)||"[object Object]"!=r(e))return!1;var t=o(e);if(null===t)return!0;var n=c.call(t,"constructor")&&t.constructor;return"function"==typeof n&&n instanceof n&&u.call(n)==s}},620(e,t,n){var r=n(6913),o=n(4052),i=n(2761);e.exports=function(e){return"string"==typeof e||!o(e)&&i(e)&&"[object String]"==r(e)}},9841(e,t,n){var r=n(6913),o=n(2761);e.exports=function(e){return"symbol"==typeof e||o(e)&&"[object Symbol]"==r(e)}},1268(e,t,n){var r=n(5428),o=n(7574),i=n(6832),a=i&&i.isTypedArray,l=a?o(a):r;e.exports=l},8673(e,t,n){var r=n(3204),o=n(3713),i=n(6571);e.exports=function(e){return i(e)?r(e):o(e)}},4065(e){e.exports=function(e){var t=null==e?0:e.length;return t?e[t-1]:void 0}},3411(e,t,n){var r=n(149),o=n(9096),i=n(8883),a=n(4052);e.exports=function(e,t){return(a(e)?r:i)(e,o(t,3))}},1733(e,t,n){var r=n(1775),o=n(4664),i=n(9096);e.exports=function(e,t){var n={};return t=i(t,3),o(e,function(e,o,i){r(n,o,t(e,o,i))}),n}},539(e,t,n){var r=n(9742),o=n(7498),i=n(3279);e.exports=function(e){return e&&e.length?r(e,i,o):void 0}},5797(e,t,n){var r=n(4816);function o(e,t){if("function"!=typeof e||null!=t&&"function"!=typeof t)throw new TypeError("Expected a function");var n=function(){var r=arguments,o=t?t.apply(this,r):r[0],i=n.cache;if(i.has(o))return i.get(o);var a=e.apply(this,r);return n.cache=i.set(o,a)||i,a};return n.cache=new(o.Cache||r),n}o.Cache=r,e.exports=o},6745(e,t,n){var r=n(9742),o=n(61),i=n(3279);e.exports=function(e){return e&&e.length?r(e,i,o):void 0}},5713(e){e.exports=function(){}},4757(e,t,n){var r=n(6552);e.exports=function(){return r.Date.now()}},3932(e,t,n){var r=n(396),o=n(2866),i=n(2597),a=n(914);e.exports=function(e){return i(e)?r(a(e)):o(e)}},6604(e,t,n){var r=n(3331)();e.exports=r},4597(e,t,n){var r=n(2587),o=n(9096),i=n(2165),a=n(4052),l=n(929);e.exports=function(e,t,n){var u=a(e)?r:i;return n&&l(e,t,n)&&(t=void 0),u(e,o(t,3))}},7424(e,t,n){var r=n(755),o=n(2536),i=n(5647),a=n(929),l=i(function(e,t){if(null==e)return[];var n=t.length;return n>1&&a(e,t[0],t[1])?t=[]:n>2&&a(t[0],t[1],t[2])&&(t=[t[0]]),o(e,r(t,1),[])});e.exports=l},7828(e){e.exports=function(){return[]}},14(e){e.exports=function(){return!1}},9889(e,t,n){var r=n(3950),o=n(6686);e.exports=function(e,t,n){var i=!0,a=!0;if("function"!=typeof e)throw new TypeError("Expected a function");return o(n)&&(i="leading"in n?!!n.leading:i,a="trailing"in n?!!n.trailing:a),r(e,t,{leading:i,maxWait:t,trailing:a})}},7303(e,t,n){var r=n(801),o=1/0;e.exports=function(e){return e?(e=r(e))===o||e===-1/0?17976931348623157e292*(e<0?-1:1):e===e?e:0:0===e?e:0}},9140(e,t,n){var r=n(7303);e.exports=function(e){var t=r(e),n=t%1;return t===t?n?t-n:t:0}},801(e,t,n){var r=n(1141),o=n(6686),i=n(9841),a=/^[-+]0x[0-9a-f]+$/i,l=/^0b[01]+$/i,u=/^0o[0-7]+$/i,c=parseInt;e.exports=function(e){if("number"==typeof e)return e;if(i(e))return NaN;if(o(e)){var t="function"==typeof e.valueOf?e.valueOf():e;e=o(t)?t+"":t}if("string"!=typeof e)return 0===e?e:+e;e=r(e);var n=l.test(e);return n||u.test(e)?c(e.slice(2),n?2:8):a.test(e)?NaN:+e}},1069(e,t,n){var r=n(8541);e.exports=function(e){return null==e?"":r(e)}},977(e,t,n){var r=n(9096),o=n(4416);e.exports=function(e,t){return e&&e.length?o(e,r(t,2)):[]}},643(e,t,n){var r=n(5295)("toUpperCase");e.exports=r},1497(e,t,n){"use strict";var r=n(3218);function o(){}function i(){}i.resetWarningCache=o,e.exports=function(){function e(e,t,n,o,i,a){if(a!==r){var l=new Error("Calling PropTypes validators directly is not supported by the `prop-types` package. Use PropTypes.checkPropTypes() to call them. Read more at http://fb.me/use-check-prop-types");throw l.name="Invariant Violation",l}}function t(){return e}e.isRequired=e;var n={array:e,bigint:e,bool:e,func:e,number:e,object:e,string:e,symbol:e,any:e,arrayOf:t,element:e,elementType:e,instanceOf:t,node:e,objectOf:t,oneOf:t,oneOfType:t,shape:t,exact:t,checkPropTypes:i,resetWarningCache:o};return n.PropTypes=n,n}},5173(e,t,n){e.exports=n(1497)()},3218(e){"use strict";e.exports="SECRET_DO_NOT_PASS_THIS_OR_YOU_WILL_BE_FIRED"},2730(e,t,n){"use strict";var r=n(5043),o=n(8853);function i(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,n=1;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var a=new Set,l={};function u(e,t){c(e,t),c(e+"Capture",t)}function c(e,t){for(l[e]=t,e=0;e<t.length;e++)a.add(t[e])}var s=!("undefined"===typeof window||"undefined"===typeof window.document||"undefined"===typeof window.document.createElement),f=Object.prototype.hasOwnProperty,d=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,p={},h={};function y(e,t,n,r,o,i,a){this.acceptsBooleans=2===t||3===t||4===t,this.attributeName=r,this.attributeNamespace=o,this.mustUseProperty=n,this.propertyName=e,this.type=t,this.sanitizeURL=i,this.removeEmptyString=a}var v={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){v[e]=new y(e,0,!1,e,null,!1,!1)}),[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];v[t]=new y(t,1,!1,e[1],null,!1,!1)}),["contentEditable","draggable","spellCheck","value"].forEach(function(e){v[e]=new y(e,2,!1,e.toLowerCase(),null,!1,!1)}),["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){v[e]=new y(e,2,!1,e,null,!1,!1)}),"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){v[e]=new y(e,3,!1,e.toLowerCase(),null,!1,!1)}),["checked","multiple","muted","selected"].forEach(function(e){v[e]=new y(e,3,!0,e,null,!1,!1)}),["capture","download"].forEach(function(e){v[e]=new y(e,4,!1,e,null,!1,!1)}),["cols","rows","size","span"].forEach(function(e){v[e]=new y(e,6,!1,e,null,!1,!1)}),["rowSpan","start"].forEach(function(e){v[e]=new y(e,5,!1,e.toLowerCase(),null,!1,!1)});var m=/[\-:]([a-z])/g;function g(e){return e[1].toUpperCase()}function b(e,t,n,r){var o=v.hasOwnProperty(t)?v[t]:null;(null!==o?0!==o.type:r||!(2<t.length)||"o"!==t[0]&&"O"!==t[0]||"n"!==t[1]&&"N"!==t[1])&&(function(e,t,n,r){if(null===t||"undefined"===typeof t||function(e,t,n,r){if(null!==n&&0===n.type)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":return!r&&(null!==n?!n.acceptsBooleans:"data-"!==(e=e.toLowerCase().slice(0,5))&&"aria-"!==e);default:return!1}}(e,t,n,r))return!0;if(r)return!1;if(null!==n)switch(n.type){case 3:return!t;case 4:return!1===t;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}(t,n,o,r)&&(n=null),r||null===o?function(e){return!!f.call(h,e)||!f.call(p,e)&&(d.test(e)?h[e]=!0:(p[e]=!0,!1))}(t)&&(null===n?e.removeAttribute(t):e.setAttribute(t,""+n)):o.mustUseProperty?e[o.propertyName]=null===n?3!==o.type&&"":n:(t=o.attributeName,r=o.attributeNamespace,null===n?e.removeAttribute(t):(n=3===(o=o.type)||4===o&&!0===n?"":""+n,r?e.setAttributeNS(r,t,n):e.setAttribute(t,n))))}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(m,g);v[t]=new y(t,1,!1,e,null,!1,!1)}),"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(m,g);v[t]=new y(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)}),["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(m,g);v[t]=new y(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)}),["tabIndex","crossOrigin"].forEach(function(e){v[e]=new y(e,1,!1,e.toLowerCase(),null,!1,!1)}),v.xlinkHref=new y("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1),["src","href","action","formAction"].forEach(function(e){v[e]=new y(e,1,!1,e.toLowerCase(),null,!0,!0)});var x=r.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,w=Symbol.for("react.element"),O=Symbol.for("react.portal"),S=Symbol.for("react.fragment"),j=Symbol.for("react.strict_mode"),k=Symbol.for("react.profiler"),P=Symbol.for("react.provider"),E=Symbol.for("react.context"),_=Symbol.for("react.forward_ref"),A=Symbol.for("react.suspense"),T=Symbol.for("react.suspense_list"),C=Symbol.for("react.memo"),M=Symbol.for("react.lazy");Symbol.for("react.scope"),Symbol.for("react.debug_trace_mode");var N=Symbol.for("react.offscreen");Symbol.for("react.legacy_hidden"),Symbol.for("react.cache"),Symbol.for("react.tracing_marker");var I=Symbol.iterator;function D(e){return null===e||"object"!==typeof e?null:"function"===typeof(e=I&&e[I]||e["@@iterator"])?e:null}var z,L=Object.assign;function R(e){if(void 0===z)try{throw Error()}catch(n){var t=n.stack.trim().match(/\n( *(at )?)/);z=t&&t[1]||""}return"\n"+z+e}var B=!1;function F(e,t){if(!e||B)return"";B=!0;var n=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t)if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),"object"===typeof Reflect&&Reflect.construct){try{Reflect.construct(t,[])}catch(c){var r=c}Reflect.construct(e,[],t)}else{try{t.call()}catch(c){r=c}e.call(t.prototype)}else{try{throw Error()}catch(c){r=c}e()}}catch(c){if(c&&r&&"string"===typeof c.stack){for(var o=c.stack.split("\n"),i=r.stack.split("\n"),a=o.length-1,l=i.length-1;1<=a&&0<=l&&o[a]!==i[l];)l--;for(;1<=a&&0<=l;a--,l--)if(o[a]!==i[l]){if(1!==a||1!==l)do{if(a--,0>--l||o[a]!==i[l]){var u="\n"+o[a].replace(" at new "," at ");return e.displayName&&u.includes("<anonymous>")&&(u=u.replace("<anonymous>",e.displayName)),u}}while(1<=a&&0<=l);break}}}finally{B=!1,Error.prepareStackTrace=n}return(e=e?e.displayName||e.name:"")?R(e):""}function U(e){switch(e.tag){case 5:return R(e.type);case 16:return R("Lazy");case 13:return R("Suspense");case 19:return R("SuspenseList");case 0:case 2:case 15:return e=F(e.type,!1);case 11:return e=F(e.type.render,!1);case 1:return e=F(e.type,!0);default:return""}}function W(e){if(null==e)return null;if("function"===typeof e)return e.displayName||e.name||null;if("string"===typeof e)return e;switch(e){case S:return"Fragment";case O:return"Portal";case k:return"Profiler";case j:return"StrictMode";case A:return"Suspense";case T:return"SuspenseList"}if("object"===typeof e)switch(e.$$typeof){case E:return(e.displayName||"Context")+".Consumer";case P:return(e._context.displayName||"Context")+".Provider";case _:var t=e.render;return(e=e.displayName)||(e=""!==(e=t.displayName||t.name||"")?"ForwardRef("+e+")":"ForwardRef"),e;case C:return null!==(t=e.displayName||null)?t:W(e.type)||"Memo";case M:t=e._payload,e=e._init;try{return W(e(t))}catch(n){}}return null}function V(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=(e=t.render).displayName||e.name||"",t.displayName||(""!==e?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return W(t);case 8:return t===j?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if("function"===typeof t)return t.displayName||t.name||null;if("string"===typeof t)return t}return null}function q(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function H(e){var t=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===t||"radio"===t)}function $(e){e._valueTracker||(e._valueTracker=function(e){var t=H(e)?"checked":"value",n=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&"undefined"!==typeof n&&"function"===typeof n.get&&"function"===typeof n.set){var o=n.get,i=n.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return o.call(this)},set:function(e){r=""+e,i.call(this,e)}}),Object.defineProperty(e,t,{enumerable:n.enumerable}),{getValue:function(){return r},setValue:function(e){r=""+e},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}(e))}function K(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var n=t.getValue(),r="";return e&&(r=H(e)?e.checked?"true":"false":e.value),(e=r)!==n&&(t.setValue(e),!0)}function X(e){if("undefined"===typeof(e=e||("undefined"!==typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(t){return e.body}}function Y(e,t){var n=t.checked;return L({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:null!=n?n:e._wrapperState.initialChecked})}function G(e,t){var n=null==t.defaultValue?"":t.defaultValue,r=null!=t.checked?t.checked:t.defaultChecked;n=q(null!=t.value?t.value:n),e._wrapperState={initialChecked:r,initialValue:n,controlled:"checkbox"===t.type||"radio"===t.type?null!=t.checked:null!=t.value}}function Q(e,t){null!=(t=t.checked)&&b(e,"checked",t,!1)}function Z(e,t){Q(e,t);var n=q(t.value),r=t.type;if(null!=n)"number"===r?(0===n&&""===e.value||e.value!=n)&&(e.value=""+n):e.value!==""+n&&(e.value=""+n);else if("submit"===r||"reset"===r)return void e.removeAttribute("value");t.hasOwnProperty("value")?ee(e,t.type,n):t.hasOwnProperty("defaultValue")&&ee(e,t.type,q(t.defaultValue)),null==t.checked&&null!=t.defaultChecked&&(e.defaultChecked=!!t.defaultChecked)}function J(e,t,n){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!("submit"!==r&&"reset"!==r||void 0!==t.value&&null!==t.value))return;t=""+e._wrapperState.initialValue,n||t===e.value||(e.value=t),e.defaultValue=t}""!==(n=e.name)&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,""!==n&&(e.name=n)}function ee(e,t,n){"number"===t&&X(e.ownerDocument)===e||(null==n?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+n&&(e.defaultValue=""+n))}var te=Array.isArray;function ne(e,t,n,r){if(e=e.options,t){t={};for(var o=0;o<n.length;o++)t["$"+n[o]]=!0;for(n=0;n<e.length;n++)o=t.hasOwnProperty("$"+e[n].value),e[n].selected!==o&&(e[n].selected=o),o&&r&&(e[n].defaultSelected=!0)}else{for(n=""+q(n),t=null,o=0;o<e.length;o++){if(e[o].value===n)return e[o].selected=!0,void(r&&(e[o].defaultSelected=!0));null!==t||e[o].disabled||(t=e[o])}null!==t&&(t.selected=!0)}}function re(e,t){if(null!=t.dangerouslySetInnerHTML)throw Error(i(91));return L({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function oe(e,t){var n=t.value;if(null==n){if(n=t.children,t=t.defaultValue,null!=n){if(null!=t)throw Error(i(92));if(te(n)){if(1<n.length)throw Error(i(93));n=n[0]}t=n}null==t&&(t=""),n=t}e._wrapperState={initialValue:q(n)}}function ie(e,t){var n=q(t.value),r=q(t.defaultValue);null!=n&&((n=""+n)!==e.value&&(e.value=n),null==t.defaultValue&&e.defaultValue!==n&&(e.defaultValue=n)),null!=r&&(e.defaultValue=""+r)}function ae(e){var t=e.textContent;t===e._wrapperState.initialValue&&""!==t&&null!==t&&(e.value=t)}function le(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function ue(e,t){return null==e||"http://www.w3.org/1999/xhtml"===e?le(t):"http://www.w3.org/2000/svg"===e&&"foreignObject"===t?"http://www.w3.org/1999/xhtml":e}var ce,se,fe=(se=function(e,t){if("http://www.w3.org/2000/svg"!==e.namespaceURI||"innerHTML"in e)e.innerHTML=t;else{for((ce=ce||document.createElement("div")).innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=ce.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}},"undefined"!==typeof MSApp&&MSApp.execUnsafeLocalFunction?function(e,t,n,r){MSApp.execUnsafeLocalFunction(function(){return se(e,t)})}:se);function de(e,t){if(t){var n=e.firstChild;if(n&&n===e.lastChild&&3===n.nodeType)return void(n.nodeValue=t)}e.textContent=t}var pe={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},he=["Webkit","ms","Moz","O"];function ye(e,t,n){return null==t||"boolean"===typeof t||""===t?"":n||"number"!==typeof t||0===t||pe.hasOwnProperty(e)&&pe[e]?(""+t).trim():t+"px"}function ve(e,t){for(var n in e=e.style,t)if(t.hasOwnProperty(n)){var r=0===n.indexOf("--"),o=ye(n,t[n],r);"float"===n&&(n="cssFloat"),r?e.setProperty(n,o):e[n]=o}}Object.keys(pe).forEach(function(e){he.forEach(function(t){t=t+e.charAt(0).toUpperCase()+e.substring(1),pe[t]=pe[e]})});var me=L({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function ge(e,t){if(t){if(me[e]&&(null!=t.children||null!=t.dangerouslySetInnerHTML))throw Error(i(137,e));if(null!=t.dangerouslySetInnerHTML){if(null!=t.children)throw Error(i(60));if("object"!==typeof t.dangerouslySetInnerHTML||!("__html"in t.dangerouslySetInnerHTML))throw Error(i(61))}if(null!=t.style&&"object"!==typeof t.style)throw Error(i(62))}}function be(e,t){if(-1===e.indexOf("-"))return"string"===typeof t.is;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var xe=null;function we(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var Oe=null,Se=null,je=null;function ke(e){if(e=xo(e)){if("function"!==typeof Oe)throw Error(i(280));var t=e.stateNode;t&&(t=Oo(t),Oe(e.stateNode,e.type,t))}}function Pe(e){Se?je?je.push(e):je=[e]:Se=e}function Ee(){if(Se){var e=Se,t=je;if(je=Se=null,ke(e),t)for(e=0;e<t.length;e++)ke(t[e])}}function _e(e,t){return e(t)}function Ae(){}var Te=!1;function Ce(e,t,n){if(Te)return e(t,n);Te=!0;try{return _e(e,t,n)}finally{Te=!1,(null!==Se||null!==je)&&(Ae(),Ee())}}function Me(e,t){var n=e.stateNode;if(null===n)return null;var r=Oo(n);if(null===r)return null;n=r[t];e:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break e;default:e=!1}if(e)return null;if(n&&"function"!==typeof n)throw Error(i(231,t,typeof n));return n}var Ne=!1;if(s)try{var Ie={};Object.defineProperty(Ie,"passive",{get:function(){Ne=!0}}),window.addEventListener("test",Ie,Ie),window.removeEventListener("test",Ie,Ie)}catch(se){Ne=!1}function De(e,t,n,r,o,i,a,l,u){var c=Array.prototype.slice.call(arguments,3);try{t.apply(n,c)}catch(s){this.onError(s)}}var ze=!1,Le=null,Re=!1,Be=null,Fe={onError:function(e){ze=!0,Le=e}};function Ue(e,t,n,r,o,i,a,l,u){ze=!1,Le=null,De.apply(Fe,arguments)}function We(e){var t=e,n=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do{0!==(4098&(t=e).flags)&&(n=t.return),e=t.return}while(e)}return 3===t.tag?n:null}function Ve(e){if(13===e.tag){var t=e.memoizedState;if(null===t&&(null!==(e=e.alternate)&&(t=e.memoizedState)),null!==t)return t.dehydrated}return null}function qe(e){if(We(e)!==e)throw Error(i(188))}function He(e){return null!==(e=function(e){var t=e.alternate;if(!t){if(null===(t=We(e)))throw Error(i(188));return t!==e?null:e}for(var n=e,r=t;;){var o=n.return;if(null===o)break;var a=o.alternate;if(null===a){if(null!==(r=o.return)){n=r;continue}break}if(o.child===a.child){for(a=o.child;a;){if(a===n)return qe(o),e;if(a===r)return qe(o),t;a=a.sibling}throw Error(i(188))}if(n.return!==r.return)n=o,r=a;else{for(var l=!1,u=o.child;u;){if(u===n){l=!0,n=o,r=a;break}if(u===r){l=!0,r=o,n=a;break}u=u.sibling}if(!l){for(u=a.child;u;){if(u===n){l=!0,n=a,r=o;break}if(u===r){l=!0,r=a,n=o;break}u=u.sibling}if(!l)throw Error(i(189))}}if(n.alternate!==r)throw Error(i(190))}if(3!==n.tag)throw Error(i(188));return n.stateNode.current===n?e:t}(e))?$e(e):null}function $e(e){if(5===e.tag||6===e.tag)return e;for(e=e.child;null!==e;){var t=$e(e);if(null!==t)return t;e=e.sibling}return null}var Ke=o.unstable_scheduleCallback,Xe=o.unstable_cancelCallback,Ye=o.unstable_shouldYield,Ge=o.unstable_requestPaint,Qe=o.unstable_now,Ze=o.unstable_getCurrentPriorityLevel,Je=o.unstable_ImmediatePriority,et=o.unstable_UserBlockingPriority,tt=o.unstable_NormalPriority,nt=o.unstable_LowPriority,rt=o.unstable_IdlePriority,ot=null,it=null;var at=Math.clz32?Math.clz32:function(e){return e>>>=0,0===e?32:31-(lt(e)/ut|0)|0},lt=Math.log,ut=Math.LN2;var ct=64,st=4194304;function ft(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return 4194240&e;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return 130023424&e;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function dt(e,t){var n=e.pendingLanes;if(0===n)return 0;var r=0,o=e.suspendedLanes,i=e.pingedLanes,a=268435455&n;if(0!==a){var l=a&~o;0!==l?r=ft(l):0!==(i&=a)&&(r=ft(i))}else 0!==(a=n&~o)?r=ft(a):0!==i&&(r=ft(i));if(0===r)return 0;if(0!==t&&t!==r&&0===(t&o)&&((o=r&-r)>=(i=t&-t)||16===o&&0!==(4194240&i)))return t;if(0!==(4&r)&&(r|=16&n),0!==(t=e.entangledLanes))for(e=e.entanglements,t&=r;0<t;)o=1<<(n=31-at(t)),r|=e[n],t&=~o;return r}function pt(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;default:return-1}}function ht(e){return 0!==(e=-1073741825&e.pendingLanes)?e:1073741824&e?1073741824:0}function yt(){var e=ct;return 0===(4194240&(ct<<=1))&&(ct=64),e}function vt(e){for(var t=[],n=0;31>n;n++)t.push(e);return t}function mt(e,t,n){e.pendingLanes|=t,536870912!==t&&(e.suspendedLanes=0,e.pingedLanes=0),(e=e.eventTimes)[t=31-at(t)]=n}function gt(e,t){var n=e.entangledLanes|=t;for(e=e.entanglements;n;){var r=31-at(n),o=1<<r;o&t|e[r]&t&&(e[r]|=t),n&=~o}}var bt=0;function xt(e){return 1<(e&=-e)?4<e?0!==(268435455&e)?16:536870912:4:1}var wt,Ot,St,jt,kt,Pt=!1,Et=[],_t=null,At=null,Tt=null,Ct=new Map,Mt=new Map,Nt=[],It="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function Dt(e,t){switch(e){case"focusin":case"focusout":_t=null;break;case"dragenter":case"dragleave":At=null;break;case"mouseover":case"mouseout":Tt=null;break;case"pointerover":case"pointerout":Ct.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":Mt.delete(t.pointerId)}}function zt(e,t,n,r,o,i){return null===e||e.nativeEvent!==i?(e={blockedOn:t,domEventName:n,eventSystemFlags:r,nativeEvent:i,targetContainers:[o]},null!==t&&(null!==(t=xo(t))&&Ot(t)),e):(e.eventSystemFlags|=r,t=e.targetContainers,null!==o&&-1===t.indexOf(o)&&t.push(o),e)}function Lt(e){var t=bo(e.target);if(null!==t){var n=We(t);if(null!==n)if(13===(t=n.tag)){if(null!==(t=Ve(n)))return e.blockedOn=t,void kt(e.priority,function(){St(n)})}else if(3===t&&n.stateNode.current.memoizedState.isDehydrated)return void(e.blockedOn=3===n.tag?n.stateNode.containerInfo:null)}e.blockedOn=null}function Rt(e){if(null!==e.blockedOn)return!1;for(var t=e.targetContainers;0<t.length;){var n=Yt(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(null!==n)return null!==(t=xo(n))&&Ot(t),e.blockedOn=n,!1;var r=new(n=e.nativeEvent).constructor(n.type,n);xe=r,n.target.dispatchEvent(r),xe=null,t.shift()}return!0}function Bt(e,t,n){Rt(e)&&n.delete(t)}function Ft(){Pt=!1,null!==_t&&Rt(_t)&&(_t=null),null!==At&&Rt(At)&&(At=null),null!==Tt&&Rt(Tt)&&(Tt=null),Ct.forEach(Bt),Mt.forEach(Bt)}function Ut(e,t){e.blockedOn===t&&(e.blockedOn=null,Pt||(Pt=!0,o.unstable_scheduleCallback(o.unstable_NormalPriority,Ft)))}function Wt(e){function t(t){return Ut(t,e)}if(0<Et.length){Ut(Et[0],e);for(var n=1;n<Et.length;n++){var r=Et[n];r.blockedOn===e&&(r.blockedOn=null)}}for(null!==_t&&Ut(_t,e),null!==At&&Ut(At,e),null!==Tt&&Ut(Tt,e),Ct.forEach(t),Mt.forEach(t),n=0;n<Nt.length;n++)(r=Nt[n]).blockedOn===e&&(r.blockedOn=null);for(;0<Nt.length&&null===(n=Nt[0]).blockedOn;)Lt(n),null===n.blockedOn&&Nt.shift()}var Vt=x.ReactCurrentBatchConfig,qt=!0;function Ht(e,t,n,r){var o=bt,i=Vt.transition;Vt.transition=null;try{bt=1,Kt(e,t,n,r)}finally{bt=o,Vt.transition=i}}function $t(e,t,n,r){var o=bt,i=Vt.transition;Vt.transition=null;try{bt=4,Kt(e,t,n,r)}finally{bt=o,Vt.transition=i}}function Kt(e,t,n,r){if(qt){var o=Yt(e,t,n,r);if(null===o)qr(e,t,r,Xt,n),Dt(e,r);else if(function(e,t,n,r,o){switch(t){case"focusin":return _t=zt(_t,e,t,n,r,o),!0;case"dragenter":return At=zt(At,e,t,n,r,o),!0;case"mouseover":return Tt=zt(Tt,e,t,n,r,o),!0;case"pointerover":var i=o.pointerId;return Ct.set(i,zt(Ct.get(i)||null,e,t,n,r,o)),!0;case"gotpointercapture":return i=o.pointerId,Mt.set(i,zt(Mt.get(i)||null,e,t,n,r,o)),!0}return!1}(o,e,t,n,r))r.stopPropagation();else if(Dt(e,r),4&t&&-1<It.indexOf(e)){for(;null!==o;){var i=xo(o);if(null!==i&&wt(i),null===(i=Yt(e,t,n,r))&&qr(e,t,r,Xt,n),i===o)break;o=i}null!==o&&r.stopPropagation()}else qr(e,t,r,null,n)}}var Xt=null;function Yt(e,t,n,r){if(Xt=null,null!==(e=bo(e=we(r))))if(null===(t=We(e)))e=null;else if(13===(n=t.tag)){if(null!==(e=Ve(t)))return e;e=null}else if(3===n){if(t.stateNode.current.memoizedState.isDehydrated)return 3===t.tag?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null);return Xt=e,null}function Gt(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(Ze()){case Je:return 1;case et:return 4;case tt:case nt:return 16;case rt:return 536870912;default:return 16}default:return 16}}var Qt=null,Zt=null,Jt=null;function en(){if(Jt)return Jt;var e,t,n=Zt,r=n.length,o="value"in Qt?Qt.value:Qt.textContent,i=o.length;for(e=0;e<r&&n[e]===o[e];e++);var a=r-e;for(t=1;t<=a&&n[r-t]===o[i-t];t++);return Jt=o.slice(e,1<t?1-t:void 0)}function tn(e){var t=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===t&&(e=13):e=t,10===e&&(e=13),32<=e||13===e?e:0}function nn(){return!0}function rn(){return!1}function on(e){function t(t,n,r,o,i){for(var a in this._reactName=t,this._targetInst=r,this.type=n,this.nativeEvent=o,this.target=i,this.currentTarget=null,e)e.hasOwnProperty(a)&&(t=e[a],this[a]=t?t(o):o[a]);return this.isDefaultPrevented=(null!=o.defaultPrevented?o.defaultPrevented:!1===o.returnValue)?nn:rn,this.isPropagationStopped=rn,this}return L(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!==typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=nn)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!==typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=nn)},persist:function(){},isPersistent:nn}),t}var an,ln,un,cn={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},sn=on(cn),fn=L({},cn,{view:0,detail:0}),dn=on(fn),pn=L({},fn,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:kn,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==un&&(un&&"mousemove"===e.type?(an=e.screenX-un.screenX,ln=e.screenY-un.screenY):ln=an=0,un=e),an)},movementY:function(e){return"movementY"in e?e.movementY:ln}}),hn=on(pn),yn=on(L({},pn,{dataTransfer:0})),vn=on(L({},fn,{relatedTarget:0})),mn=on(L({},cn,{animationName:0,elapsedTime:0,pseudoElement:0})),gn=L({},cn,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}}),bn=on(gn),xn=on(L({},cn,{data:0})),wn={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},On={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},Sn={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function jn(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):!!(e=Sn[e])&&!!t[e]}function kn(){return jn}var Pn=L({},fn,{key:function(e){if(e.key){var t=wn[e.key]||e.key;if("Unidentified"!==t)return t}return"keypress"===e.type?13===(e=tn(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?On[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:kn,charCode:function(e){return"keypress"===e.type?tn(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?tn(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}}),En=on(Pn),_n=on(L({},pn,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),An=on(L({},fn,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:kn})),Tn=on(L({},cn,{propertyName:0,elapsedTime:0,pseudoElement:0})),Cn=L({},pn,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0}),Mn=on(Cn),Nn=[9,13,27,32],In=s&&"CompositionEvent"in window,Dn=null;s&&"documentMode"in document&&(Dn=document.documentMode);var zn=s&&"TextEvent"in window&&!Dn,Ln=s&&(!In||Dn&&8<Dn&&11>=Dn),Rn=String.fromCharCode(32),Bn=!1;function Fn(e,t){switch(e){case"keyup":return-1!==Nn.indexOf(t.keyCode);case"keydown":return 229!==t.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function Un(e){return"object"===typeof(e=e.detail)&&"data"in e?e.data:null}var Wn=!1;var Vn={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function qn(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===t?!!Vn[e.type]:"textarea"===t}function Hn(e,t,n,r){Pe(r),0<(t=$r(t,"onChange")).length&&(n=new sn("onChange","change",null,n,r),e.push({event:n,listeners:t}))}var $n=null,Kn=null;function Xn(e){Rr(e,0)}function Yn(e){if(K(wo(e)))return e}function Gn(e,t){if("change"===e)return t}var Qn=!1;if(s){var Zn;if(s){var Jn="oninput"in document;if(!Jn){var er=document.createElement("div");er.setAttribute("oninput","return;"),Jn="function"===typeof er.oninput}Zn=Jn}else Zn=!1;Qn=Zn&&(!document.documentMode||9<document.documentMode)}function tr(){$n&&($n.detachEvent("onpropertychange",nr),Kn=$n=null)}function nr(e){if("value"===e.propertyName&&Yn(Kn)){var t=[];Hn(t,Kn,e,we(e)),Ce(Xn,t)}}function rr(e,t,n){"focusin"===e?(tr(),Kn=n,($n=t).attachEvent("onpropertychange",nr)):"focusout"===e&&tr()}function or(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return Yn(Kn)}function ir(e,t){if("click"===e)return Yn(t)}function ar(e,t){if("input"===e||"change"===e)return Yn(t)}var lr="function"===typeof Object.is?Object.is:function(e,t){return e===t&&(0!==e||1/e===1/t)||e!==e&&t!==t};function ur(e,t){if(lr(e,t))return!0;if("object"!==typeof e||null===e||"object"!==typeof t||null===t)return!1;var n=Object.keys(e),r=Object.keys(t);if(n.length!==r.length)return!1;for(r=0;r<n.length;r++){var o=n[r];if(!f.call(t,o)||!lr(e[o],t[o]))return!1}return!0}function cr(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function sr(e,t){var n,r=cr(e);for(e=0;r;){if(3===r.nodeType){if(n=e+r.textContent.length,e<=t&&n>=t)return{node:r,offset:t-e};e=n}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=cr(r)}}function fr(e,t){return!(!e||!t)&&(e===t||(!e||3!==e.nodeType)&&(t&&3===t.nodeType?fr(e,t.parentNode):"contains"in e?e.contains(t):!!e.compareDocumentPosition&&!!(16&e.compareDocumentPosition(t))))}function dr(){for(var e=window,t=X();t instanceof e.HTMLIFrameElement;){try{var n="string"===typeof t.contentWindow.location.href}catch(r){n=!1}if(!n)break;t=X((e=t.contentWindow).document)}return t}function pr(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&("input"===t&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===t||"true"===e.contentEditable)}function hr(e){var t=dr(),n=e.focusedElem,r=e.selectionRange;if(t!==n&&n&&n.ownerDocument&&fr(n.ownerDocument.documentElement,n)){if(null!==r&&pr(n))if(t=r.start,void 0===(e=r.end)&&(e=t),"selectionStart"in n)n.selectionStart=t,n.selectionEnd=Math.min(e,n.value.length);else if((e=(t=n.ownerDocument||document)&&t.defaultView||window).getSelection){e=e.getSelection();var o=n.textContent.length,i=Math.min(r.start,o);r=void 0===r.end?i:Math.min(r.end,o),!e.extend&&i>r&&(o=r,r=i,i=o),o=sr(n,i);var a=sr(n,r);o&&a&&(1!==e.rangeCount||e.anchorNode!==o.node||e.anchorOffset!==o.offset||e.focusNode!==a.node||e.focusOffset!==a.offset)&&((t=t.createRange()).setStart(o.node,o.offset),e.removeAllRanges(),i>r?(e.addRange(t),e.extend(a.node,a.offset)):(t.setEnd(a.node,a.offset),e.addRange(t)))}for(t=[],e=n;e=e.parentNode;)1===e.nodeType&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for("function"===typeof n.focus&&n.focus(),n=0;n<t.length;n++)(e=t[n]).element.scrollLeft=e.left,e.element.scrollTop=e.top}}var yr=s&&"documentMode"in document&&11>=document.documentMode,vr=null,mr=null,gr=null,br=!1;function xr(e,t,n){var r=n.window===n?n.document:9===n.nodeType?n:n.ownerDocument;br||null==vr||vr!==X(r)||("selectionStart"in(r=vr)&&pr(r)?r={start:r.selectionStart,end:r.selectionEnd}:r={anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},gr&&ur(gr,r)||(gr=r,0<(r=$r(mr,"onSelect")).length&&(t=new sn("onSelect","select",null,t,n),e.push({event:t,listeners:r}),t.target=vr)))}function wr(e,t){var n={};return n[e.toLowerCase()]=t.toLowerCase(),n["Webkit"+e]="webkit"+t,n["Moz"+e]="moz"+t,n}var Or={animationend:wr("Animation","AnimationEnd"),animationiteration:wr("Animation","AnimationIteration"),animationstart:wr("Animation","AnimationStart"),transitionend:wr("Transition","TransitionEnd")},Sr={},jr={};function kr(e){if(Sr[e])return Sr[e];if(!Or[e])return e;var t,n=Or[e];for(t in n)if(n.hasOwnProperty(t)&&t in jr)return Sr[e]=n[t];return e}s&&(jr=document.createElement("div").style,"AnimationEvent"in window||(delete Or.animationend.animation,delete Or.animationiteration.animation,delete Or.animationstart.animation),"TransitionEvent"in window||delete Or.transitionend.transition);var Pr=kr("animationend"),Er=kr("animationiteration"),_r=kr("animationstart"),Ar=kr("transitionend"),Tr=new Map,Cr="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function Mr(e,t){Tr.set(e,t),u(t,[e])}for(var Nr=0;Nr<Cr.length;Nr++){var Ir=Cr[Nr];Mr(Ir.toLowerCase(),"on"+(Ir[0].toUpperCase()+Ir.slice(1)))}Mr(Pr,"onAnimationEnd"),Mr(Er,"onAnimationIteration"),Mr(_r,"onAnimationStart"),Mr("dblclick","onDoubleClick"),Mr("focusin","onFocus"),Mr("focusout","onBlur"),Mr(Ar,"onTransitionEnd"),c("onMouseEnter",["mouseout","mouseover"]),c("onMouseLeave",["mouseout","mouseover"]),c("onPointerEnter",["pointerout","pointerover"]),c("onPointerLeave",["pointerout","pointerover"]),u("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),u("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),u("onBeforeInput",["compositionend","keypress","textInput","paste"]),u("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),u("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),u("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var Dr="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),zr=new Set("cancel close invalid load scroll toggle".split(" ").concat(Dr));function Lr(e,t,n){var r=e.type||"unknown-event";e.currentTarget=n,function(e,t,n,r,o,a,l,u,c){if(Ue.apply(this,arguments),ze){if(!ze)throw Error(i(198));var s=Le;ze=!1,Le=null,Re||(Re=!0,Be=s)}}(r,t,void 0,e),e.currentTarget=null}function Rr(e,t){t=0!==(4&t);for(var n=0;n<e.length;n++){var r=e[n],o=r.event;r=r.listeners;e:{var i=void 0;if(t)for(var a=r.length-1;0<=a;a--){var l=r[a],u=l.instance,c=l.currentTarget;if(l=l.listener,u!==i&&o.isPropagationStopped())break e;Lr(o,l,c),i=u}else for(a=0;a<r.length;a++){if(u=(l=r[a]).instance,c=l.currentTarget,l=l.listener,u!==i&&o.isPropagationStopped())break e;Lr(o,l,c),i=u}}}if(Re)throw e=Be,Re=!1,Be=null,e}function Br(e,t){var n=t[vo];void 0===n&&(n=t[vo]=new Set);var r=e+"__bubble";n.has(r)||(Vr(t,e,2,!1),n.add(r))}function Fr(e,t,n){var r=0;t&&(r|=4),Vr(n,e,r,t)}var Ur="_reactListening"+Math.random().toString(36).slice(2);function Wr(e){if(!e[Ur]){e[Ur]=!0,a.forEach(function(t){"selectionchange"!==t&&(zr.has(t)||Fr(t,!1,e),Fr(t,!0,e))});var t=9===e.nodeType?e:e.ownerDocument;null===t||t[Ur]||(t[Ur]=!0,Fr("selectionchange",!1,t))}}function Vr(e,t,n,r){switch(Gt(t)){case 1:var o=Ht;break;case 4:o=$t;break;default:o=Kt}n=o.bind(null,t,n,e),o=void 0,!Ne||"touchstart"!==t&&"touchmove"!==t&&"wheel"!==t||(o=!0),r?void 0!==o?e.addEventListener(t,n,{capture:!0,passive:o}):e.addEventListener(t,n,!0):void 0!==o?e.addEventListener(t,n,{passive:o}):e.addEventListener(t,n,!1)}function qr(e,t,n,r,o){var i=r;if(0===(1&t)&&0===(2&t)&&null!==r)e:for(;;){if(null===r)return;var a=r.tag;if(3===a||4===a){var l=r.stateNode.containerInfo;if(l===o||8===l.nodeType&&l.parentNode===o)break;if(4===a)for(a=r.return;null!==a;){var u=a.tag;if((3===u||4===u)&&((u=a.stateNode.containerInfo)===o||8===u.nodeType&&u.parentNode===o))return;a=a.return}for(;null!==l;){if(null===(a=bo(l)))return;if(5===(u=a.tag)||6===u){r=i=a;continue e}l=l.parentNode}}r=r.return}Ce(function(){var r=i,o=we(n),a=[];e:{var l=Tr.get(e);if(void 0!==l){var u=sn,c=e;switch(e){case"keypress":if(0===tn(n))break e;case"keydown":case"keyup":u=En;break;case"focusin":c="focus",u=vn;break;case"focusout":c="blur",u=vn;break;case"beforeblur":case"afterblur":u=vn;break;case"click":if(2===n.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=hn;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=yn;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=An;break;case Pr:case Er:case _r:u=mn;break;case Ar:u=Tn;break;case"scroll":u=dn;break;case"wheel":u=Mn;break;case"copy":case"cut":case"paste":u=bn;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=_n}var s=0!==(4&t),f=!s&&"scroll"===e,d=s?null!==l?l+"Capture":null:l;s=[];for(var p,h=r;null!==h;){var y=(p=h).stateNode;if(5===p.tag&&null!==y&&(p=y,null!==d&&(null!=(y=Me(h,d))&&s.push(Hr(h,y,p)))),f)break;h=h.return}0<s.length&&(l=new u(l,c,null,n,o),a.push({event:l,listeners:s}))}}if(0===(7&t)){if(u="mouseout"===e||"pointerout"===e,(!(l="mouseover"===e||"pointerover"===e)||n===xe||!(c=n.relatedTarget||n.fromElement)||!bo(c)&&!c[yo])&&(u||l)&&(l=o.window===o?o:(l=o.ownerDocument)?l.defaultView||l.parentWindow:window,u?(u=r,null!==(c=(c=n.relatedTarget||n.toElement)?bo(c):null)&&(c!==(f=We(c))||5!==c.tag&&6!==c.tag)&&(c=null)):(u=null,c=r),u!==c)){if(s=hn,y="onMouseLeave",d="onMouseEnter",h="mouse","pointerout"!==e&&"pointerover"!==e||(s=_n,y="onPointerLeave",d="onPointerEnter",h="pointer"),f=null==u?l:wo(u),p=null==c?l:wo(c),(l=new s(y,h+"leave",u,n,o)).target=f,l.relatedTarget=p,y=null,bo(o)===r&&((s=new s(d,h+"enter",c,n,o)).target=p,s.relatedTarget=f,y=s),f=y,u&&c)e:{for(d=c,h=0,p=s=u;p;p=Kr(p))h++;for(p=0,y=d;y;y=Kr(y))p++;for(;0<h-p;)s=Kr(s),h--;for(;0<p-h;)d=Kr(d),p--;for(;h--;){if(s===d||null!==d&&s===d.alternate)break e;s=Kr(s),d=Kr(d)}s=null}else s=null;null!==u&&Xr(a,l,u,s,!1),null!==c&&null!==f&&Xr(a,f,c,s,!0)}if("select"===(u=(l=r?wo(r):window).nodeName&&l.nodeName.toLowerCase())||"input"===u&&"file"===l.type)var v=Gn;else if(qn(l))if(Qn)v=ar;else{v=or;var m=rr}else(u=l.nodeName)&&"input"===u.toLowerCase()&&("checkbox"===l.type||"radio"===l.type)&&(v=ir);switch(v&&(v=v(e,r))?Hn(a,v,n,o):(m&&m(e,l,r),"focusout"===e&&(m=l._wrapperState)&&m.controlled&&"number"===l.type&&ee(l,"number",l.value)),m=r?wo(r):window,e){case"focusin":(qn(m)||"true"===m.contentEditable)&&(vr=m,mr=r,gr=null);break;case"focusout":gr=mr=vr=null;break;case"mousedown":br=!0;break;case"contextmenu":case"mouseup":case"dragend":br=!1,xr(a,n,o);break;case"selectionchange":if(yr)break;case"keydown":case"keyup":xr(a,n,o)}var g;if(In)e:{switch(e){case"compositionstart":var b="onCompositionStart";break e;case"compositionend":b="onCompositionEnd";break e;case"compositionupdate":b="onCompositionUpdate";break e}b=void 0}else Wn?Fn(e,n)&&(b="onCompositionEnd"):"keydown"===e&&229===n.keyCode&&(b="onCompositionStart");b&&(Ln&&"ko"!==n.locale&&(Wn||"onCompositionStart"!==b?"onCompositionEnd"===b&&Wn&&(g=en()):(Zt="value"in(Qt=o)?Qt.value:Qt.textContent,Wn=!0)),0<(m=$r(r,b)).length&&(b=new xn(b,e,null,n,o),a.push({event:b,listeners:m}),g?b.data=g:null!==(g=Un(n))&&(b.data=g))),(g=zn?function(e,t){switch(e){case"compositionend":return Un(t);case"keypress":return 32!==t.which?null:(Bn=!0,Rn);case"textInput":return(e=t.data)===Rn&&Bn?null:e;default:return null}}(e,n):function(e,t){if(Wn)return"compositionend"===e||!In&&Fn(e,t)?(e=en(),Jt=Zt=Qt=null,Wn=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return Ln&&"ko"!==t.locale?null:t.data}}(e,n))&&(0<(r=$r(r,"onBeforeInput")).length&&(o=new xn("onBeforeInput","beforeinput",null,n,o),a.push({event:o,listeners:r}),o.data=g))}Rr(a,t)})}function Hr(e,t,n){return{instance:e,listener:t,currentTarget:n}}function $r(e,t){for(var n=t+"Capture",r=[];null!==e;){var o=e,i=o.stateNode;5===o.tag&&null!==i&&(o=i,null!=(i=Me(e,n))&&r.unshift(Hr(e,i,o)),null!=(i=Me(e,t))&&r.push(Hr(e,i,o))),e=e.return}return r}function Kr(e){if(null===e)return null;do{e=e.return}while(e&&5!==e.tag);return e||null}function Xr(e,t,n,r,o){for(var i=t._reactName,a=[];null!==n&&n!==r;){var l=n,u=l.alternate,c=l.stateNode;if(null!==u&&u===r)break;5===l.tag&&null!==c&&(l=c,o?null!=(u=Me(n,i))&&a.unshift(Hr(n,u,l)):o||null!=(u=Me(n,i))&&a.push(Hr(n,u,l))),n=n.return}0!==a.length&&e.push({event:t,listeners:a})}var Yr=/\r\n?/g,Gr=/\u0000|\uFFFD/g;function Qr(e){return("string"===typeof e?e:""+e).replace(Yr,"\n").replace(Gr,"")}function Zr(e,t,n){if(t=Qr(t),Qr(e)!==t&&n)throw Error(i(425))}function Jr(){}var eo=null,to=null;function no(e,t){return"textarea"===e||"noscript"===e||"string"===typeof t.children||"number"===typeof t.children||"object"===typeof t.dangerouslySetInnerHTML&&null!==t.dangerouslySetInnerHTML&&null!=t.dangerouslySetInnerHTML.__html}var ro="function"===typeof setTimeout?setTimeout:void 0,oo="function"===typeof clearTimeout?clearTimeout:void 0,io="function"===typeof Promise?Promise:void 0,ao="function"===typeof queueMicrotask?queueMicrotask:"undefined"!==typeof io?function(e){return io.resolve(null).then(e).catch(lo)}:ro;function lo(e){setTimeout(function(){throw e})}function uo(e,t){var n=t,r=0;do{var o=n.nextSibling;if(e.removeChild(n),o&&8===o.nodeType)if("/$"===(n=o.data)){if(0===r)return e.removeChild(o),void Wt(t);r--}else"$"!==n&&"$?"!==n&&"$!"!==n||r++;n=o}while(n);Wt(t)}function co(e){for(;null!=e;e=e.nextSibling){var t=e.nodeType;if(1===t||3===t)break;if(8===t){if("$"===(t=e.data)||"$!"===t||"$?"===t)break;if("/$"===t)return null}}return e}function so(e){e=e.previousSibling;for(var t=0;e;){if(8===e.nodeType){var n=e.data;if("$"===n||"$!"===n||"$?"===n){if(0===t)return e;t--}else"/$"===n&&t++}e=e.previousSibling}return null}var fo=Math.random().toString(36).slice(2),po="__reactFiber$"+fo,ho="__reactProps$"+fo,yo="__reactContainer$"+fo,vo="__reactEvents$"+fo,mo="__reactListeners$"+fo,go="__reactHandles$"+fo;function bo(e){var t=e[po];if(t)return t;for(var n=e.parentNode;n;){if(t=n[yo]||n[po]){if(n=t.alternate,null!==t.child||null!==n&&null!==n.child)for(e=so(e);null!==e;){if(n=e[po])return n;e=so(e)}return t}n=(e=n).parentNode}return null}function xo(e){return!(e=e[po]||e[yo])||5!==e.tag&&6!==e.tag&&13!==e.tag&&3!==e.tag?null:e}function wo(e){if(5===e.tag||6===e.tag)return e.stateNode;throw Error(i(33))}function Oo(e){return e[ho]||null}var So=[],jo=-1;function ko(e){return{current:e}}function Po(e){0>jo||(e.current=So[jo],So[jo]=null,jo--)}function Eo(e,t){jo++,So[jo]=e.current,e.current=t}var _o={},Ao=ko(_o),To=ko(!1),Co=_o;function Mo(e,t){var n=e.type.contextTypes;if(!n)return _o;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var o,i={};for(o in n)i[o]=t[o];return r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=i),i}function No(e){return null!==(e=e.childContextTypes)&&void 0!==e}function Io(){Po(To),Po(Ao)}function Do(e,t,n){if(Ao.current!==_o)throw Error(i(168));Eo(Ao,t),Eo(To,n)}function zo(e,t,n){var r=e.stateNode;if(t=t.childContextTypes,"function"!==typeof r.getChildContext)return n;for(var o in r=r.getChildContext())if(!(o in t))throw Error(i(108,V(e)||"Unknown",o));return L({},n,r)}function Lo(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||_o,Co=Ao.current,Eo(Ao,e),Eo(To,To.current),!0}function Ro(e,t,n){var r=e.stateNode;if(!r)throw Error(i(169));n?(e=zo(e,t,Co),r.__reactInternalMemoizedMergedChildContext=e,Po(To),Po(Ao),Eo(Ao,e)):Po(To),Eo(To,n)}var Bo=null,Fo=!1,Uo=!1;function Wo(e){null===Bo?Bo=[e]:Bo.push(e)}function Vo(){if(!Uo&&null!==Bo){Uo=!0;var e=0,t=bt;try{var n=Bo;for(bt=1;e<n.length;e++){var r=n[e];do{r=r(!0)}while(null!==r)}Bo=null,Fo=!1}catch(o){throw null!==Bo&&(Bo=Bo.slice(e+1)),Ke(Je,Vo),o}finally{bt=t,Uo=!1}}return null}var qo=[],Ho=0,$o=null,Ko=0,Xo=[],Yo=0,Go=null,Qo=1,Zo="";function Jo(e,t){qo[Ho++]=Ko,qo[Ho++]=$o,$o=e,Ko=t}function ei(e,t,n){Xo[Yo++]=Qo,Xo[Yo++]=Zo,Xo[Yo++]=Go,Go=e;var r=Qo;e=Zo;var o=32-at(r)-1;r&=~(1<<o),n+=1;var i=32-at(t)+o;if(30<i){var a=o-o%5;i=(r&(1<<a)-1).toString(32),r>>=a,o-=a,Qo=1<<32-at(t)+o|n<<o|r,Zo=i+e}else Qo=1<<i|n<<o|r,Zo=e}function ti(e){null!==e.return&&(Jo(e,1),ei(e,1,0))}function ni(e){for(;e===$o;)$o=qo[--Ho],qo[Ho]=null,Ko=qo[--Ho],qo[Ho]=null;for(;e===Go;)Go=Xo[--Yo],Xo[Yo]=null,Zo=Xo[--Yo],Xo[Yo]=null,Qo=Xo[--Yo],Xo[Yo]=null}var ri=null,oi=null,ii=!1,ai=null;function li(e,t){var n=Tc(5,null,null,0);n.elementType="DELETED",n.stateNode=t,n.return=e,null===(t=e.deletions)?(e.deletions=[n],e.flags|=16):t.push(n)}function ui(e,t){switch(e.tag){case 5:var n=e.type;return null!==(t=1!==t.nodeType||n.toLowerCase()!==t.nodeName.toLowerCase()?null:t)&&(e.stateNode=t,ri=e,oi=co(t.firstChild),!0);case 6:return null!==(t=""===e.pendingProps||3!==t.nodeType?null:t)&&(e.stateNode=t,ri=e,oi=null,!0);case 13:return null!==(t=8!==t.nodeType?null:t)&&(n=null!==Go?{id:Qo,overflow:Zo}:null,e.memoizedState={dehydrated:t,treeContext:n,retryLane:1073741824},(n=Tc(18,null,null,0)).stateNode=t,n.return=e,e.child=n,ri=e,oi=null,!0);default:return!1}}function ci(e){return 0!==(1&e.mode)&&0===(128&e.flags)}function si(e){if(ii){var t=oi;if(t){var n=t;if(!ui(e,t)){if(ci(e))throw Error(i(418));t=co(n.nextSibling);var r=ri;t&&ui(e,t)?li(r,n):(e.flags=-4097&e.flags|2,ii=!1,ri=e)}}else{if(ci(e))throw Error(i(418));e.flags=-4097&e.flags|2,ii=!1,ri=e}}}function fi(e){for(e=e.return;null!==e&&5!==e.tag&&3!==e.tag&&13!==e.tag;)e=e.return;ri=e}function di(e){if(e!==ri)return!1;if(!ii)return fi(e),ii=!0,!1;var t;if((t=3!==e.tag)&&!(t=5!==e.tag)&&(t="head"!==(t=e.type)&&"body"!==t&&!no(e.type,e.memoizedProps)),t&&(t=oi)){if(ci(e))throw pi(),Error(i(418));for(;t;)li(e,t),t=co(t.nextSibling)}if(fi(e),13===e.tag){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(i(317));e:{for(e=e.nextSibling,t=0;e;){if(8===e.nodeType){var n=e.data;if("/$"===n){if(0===t){oi=co(e.nextSibling);break e}t--}else"$"!==n&&"$!"!==n&&"$?"!==n||t++}e=e.nextSibling}oi=null}}else oi=ri?co(e.stateNode.nextSibling):null;return!0}function pi(){for(var e=oi;e;)e=co(e.nextSibling)}function hi(){oi=ri=null,ii=!1}function yi(e){null===ai?ai=[e]:ai.push(e)}var vi=x.ReactCurrentBatchConfig;function mi(e,t,n){if(null!==(e=n.ref)&&"function"!==typeof e&&"object"!==typeof e){if(n._owner){if(n=n._owner){if(1!==n.tag)throw Error(i(309));var r=n.stateNode}if(!r)throw Error(i(147,e));var o=r,a=""+e;return null!==t&&null!==t.ref&&"function"===typeof t.ref&&t.ref._stringRef===a?t.ref:(t=function(e){var t=o.refs;null===e?delete t[a]:t[a]=e},t._stringRef=a,t)}if("string"!==typeof e)throw Error(i(284));if(!n._owner)throw Error(i(290,e))}return e}function gi(e,t){throw e=Object.prototype.toString.call(t),Error(i(31,"[object Object]"===e?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function bi(e){return(0,e._init)(e._payload)}function xi(e){function t(t,n){if(e){var r=t.deletions;null===r?(t.deletions=[n],t.flags|=16):r.push(n)}}function n(n,r){if(!e)return null;for(;null!==r;)t(n,r),r=r.sibling;return null}function r(e,t){for(e=new Map;null!==t;)null!==t.key?e.set(t.key,t):e.set(t.index,t),t=t.sibling;return e}function o(e,t){return(e=Mc(e,t)).index=0,e.sibling=null,e}function a(t,n,r){return t.index=r,e?null!==(r=t.alternate)?(r=r.index)<n?(t.flags|=2,n):r:(t.flags|=2,n):(t.flags|=1048576,n)}function l(t){return e&&null===t.alternate&&(t.flags|=2),t}function u(e,t,n,r){return null===t||6!==t.tag?((t=zc(n,e.mode,r)).return=e,t):((t=o(t,n)).return=e,t)}function c(e,t,n,r){var i=n.type;return i===S?f(e,t,n.props.children,r,n.key):null!==t&&(t.elementType===i||"object"===typeof i&&null!==i&&i.$$typeof===M&&bi(i)===t.type)?((r=o(t,n.props)).ref=mi(e,t,n),r.return=e,r):((r=Nc(n.type,n.key,n.props,null,e.mode,r)).ref=mi(e,t,n),r.return=e,r)}function s(e,t,n,r){return null===t||4!==t.tag||t.stateNode.containerInfo!==n.containerInfo||t.stateNode.implementation!==n.implementation?((t=Lc(n,e.mode,r)).return=e,t):((t=o(t,n.children||[])).return=e,t)}function f(e,t,n,r,i){return null===t||7!==t.tag?((t=Ic(n,e.mode,r,i)).return=e,t):((t=o(t,n)).return=e,t)}function d(e,t,n){if("string"===typeof t&&""!==t||"number"===typeof t)return(t=zc(""+t,e.mode,n)).return=e,t;if("object"===typeof t&&null!==t){switch(t.$$typeof){case w:return(n=Nc(t.type,t.key,t.props,null,e.mode,n)).ref=mi(e,null,t),n.return=e,n;case O:return(t=Lc(t,e.mode,n)).return=e,t;case M:return d(e,(0,t._init)(t._payload),n)}if(te(t)||D(t))return(t=Ic(t,e.mode,n,null)).return=e,t;gi(e,t)}return null}function p(e,t,n,r){var o=null!==t?t.key:null;if("string"===typeof n&&""!==n||"number"===typeof n)return null!==o?null:u(e,t,""+n,r);if("object"===typeof n&&null!==n){switch(n.$$typeof){case w:return n.key===o?c(e,t,n,r):null;case O:return n.key===o?s(e,t,n,r):null;case M:return p(e,t,(o=n._init)(n._payload),r)}if(te(n)||D(n))return null!==o?null:f(e,t,n,r,null);gi(e,n)}return null}function h(e,t,n,r,o){if("string"===typeof r&&""!==r||"number"===typeof r)return u(t,e=e.get(n)||null,""+r,o);if("object"===typeof r&&null!==r){switch(r.$$typeof){case w:return c(t,e=e.get(null===r.key?n:r.key)||null,r,o);case O:return s(t,e=e.get(null===r.key?n:r.key)||null,r,o);case M:return h(e,t,n,(0,r._init)(r._payload),o)}if(te(r)||D(r))return f(t,e=e.get(n)||null,r,o,null);gi(t,r)}return null}function y(o,i,l,u){for(var c=null,s=null,f=i,y=i=0,v=null;null!==f&&y<l.length;y++){f.index>y?(v=f,f=null):v=f.sibling;var m=p(o,f,l[y],u);if(null===m){null===f&&(f=v);break}e&&f&&null===m.alternate&&t(o,f),i=a(m,i,y),null===s?c=m:s.sibling=m,s=m,f=v}if(y===l.length)return n(o,f),ii&&Jo(o,y),c;if(null===f){for(;y<l.length;y++)null!==(f=d(o,l[y],u))&&(i=a(f,i,y),null===s?c=f:s.sibling=f,s=f);return ii&&Jo(o,y),c}for(f=r(o,f);y<l.length;y++)null!==(v=h(f,o,y,l[y],u))&&(e&&null!==v.alternate&&f.delete(null===v.key?y:v.key),i=a(v,i,y),null===s?c=v:s.sibling=v,s=v);return e&&f.forEach(function(e){return t(o,e)}),ii&&Jo(o,y),c}function v(o,l,u,c){var s=D(u);if("function"!==typeof s)throw Error(i(150));if(null==(u=s.call(u)))throw Error(i(151));for(var f=s=null,y=l,v=l=0,m=null,g=u.next();null!==y&&!g.done;v++,g=u.next()){y.index>v?(m=y,y=null):m=y.sibling;var b=p(o,y,g.value,c);if(null===b){null===y&&(y=m);break}e&&y&&null===b.alternate&&t(o,y),l=a(b,l,v),null===f?s=b:f.sibling=b,f=b,y=m}if(g.done)return n(o,y),ii&&Jo(o,v),s;if(null===y){for(;!g.done;v++,g=u.next())null!==(g=d(o,g.value,c))&&(l=a(g,l,v),null===f?s=g:f.sibling=g,f=g);return ii&&Jo(o,v),s}for(y=r(o,y);!g.done;v++,g=u.next())null!==(g=h(y,o,v,g.value,c))&&(e&&null!==g.alternate&&y.delete(null===g.key?v:g.key),l=a(g,l,v),null===f?s=g:f.sibling=g,f=g);return e&&y.forEach(function(e){return t(o,e)}),ii&&Jo(o,v),s}return function e(r,i,a,u){if("object"===typeof a&&null!==a&&a.type===S&&null===a.key&&(a=a.props.children),"object"===typeof a&&null!==a){switch(a.$$typeof){case w:e:{for(var c=a.key,s=i;null!==s;){if(s.key===c){if((c=a.type)===S){if(7===s.tag){n(r,s.sibling),(i=o(s,a.props.children)).return=r,r=i;break e}}else if(s.elementType===c||"object"===typeof c&&null!==c&&c.$$typeof===M&&bi(c)===s.type){n(r,s.sibling),(i=o(s,a.props)).ref=mi(r,s,a),i.return=r,r=i;break e}n(r,s);break}t(r,s),s=s.sibling}a.type===S?((i=Ic(a.props.children,r.mode,u,a.key)).return=r,r=i):((u=Nc(a.type,a.key,a.props,null,r.mode,u)).ref=mi(r,i,a),u.return=r,r=u)}return l(r);case O:e:{for(s=a.key;null!==i;){if(i.key===s){if(4===i.tag&&i.stateNode.containerInfo===a.containerInfo&&i.stateNode.implementation===a.implementation){n(r,i.sibling),(i=o(i,a.children||[])).return=r,r=i;break e}n(r,i);break}t(r,i),i=i.sibling}(i=Lc(a,r.mode,u)).return=r,r=i}return l(r);case M:return e(r,i,(s=a._init)(a._payload),u)}if(te(a))return y(r,i,a,u);if(D(a))return v(r,i,a,u);gi(r,a)}return"string"===typeof a&&""!==a||"number"===typeof a?(a=""+a,null!==i&&6===i.tag?(n(r,i.sibling),(i=o(i,a)).return=r,r=i):(n(r,i),(i=zc(a,r.mode,u)).return=r,r=i),l(r)):n(r,i)}}var wi=xi(!0),Oi=xi(!1),Si=ko(null),ji=null,ki=null,Pi=null;function Ei(){Pi=ki=ji=null}function _i(e){var t=Si.current;Po(Si),e._currentValue=t}function Ai(e,t,n){for(;null!==e;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,null!==r&&(r.childLanes|=t)):null!==r&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===n)break;e=e.return}}function Ti(e,t){ji=e,Pi=ki=null,null!==(e=e.dependencies)&&null!==e.firstContext&&(0!==(e.lanes&t)&&(bl=!0),e.firstContext=null)}function Ci(e){var t=e._currentValue;if(Pi!==e)if(e={context:e,memoizedValue:t,next:null},null===ki){if(null===ji)throw Error(i(308));ki=e,ji.dependencies={lanes:0,firstContext:e}}else ki=ki.next=e;return t}var Mi=null;function Ni(e){null===Mi?Mi=[e]:Mi.push(e)}function Ii(e,t,n,r){var o=t.interleaved;return null===o?(n.next=n,Ni(t)):(n.next=o.next,o.next=n),t.interleaved=n,Di(e,r)}function Di(e,t){e.lanes|=t;var n=e.alternate;for(null!==n&&(n.lanes|=t),n=e,e=e.return;null!==e;)e.childLanes|=t,null!==(n=e.alternate)&&(n.childLanes|=t),n=e,e=e.return;return 3===n.tag?n.stateNode:null}var zi=!1;function Li(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function Ri(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function Bi(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function Fi(e,t,n){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,0!==(2&Eu)){var o=r.pending;return null===o?t.next=t:(t.next=o.next,o.next=t),r.pending=t,Di(e,n)}return null===(o=r.interleaved)?(t.next=t,Ni(r)):(t.next=o.next,o.next=t),r.interleaved=t,Di(e,n)}function Ui(e,t,n){if(null!==(t=t.updateQueue)&&(t=t.shared,0!==(4194240&n))){var r=t.lanes;n|=r&=e.pendingLanes,t.lanes=n,gt(e,n)}}function Wi(e,t){var n=e.updateQueue,r=e.alternate;if(null!==r&&n===(r=r.updateQueue)){var o=null,i=null;if(null!==(n=n.firstBaseUpdate)){do{var a={eventTime:n.eventTime,lane:n.lane,tag:n.tag,payload:n.payload,callback:n.callback,next:null};null===i?o=i=a:i=i.next=a,n=n.next}while(null!==n);null===i?o=i=t:i=i.next=t}else o=i=t;return n={baseState:r.baseState,firstBaseUpdate:o,lastBaseUpdate:i,shared:r.shared,effects:r.effects},void(e.updateQueue=n)}null===(e=n.lastBaseUpdate)?n.firstBaseUpdate=t:e.next=t,n.lastBaseUpdate=t}function Vi(e,t,n,r){var o=e.updateQueue;zi=!1;var i=o.firstBaseUpdate,a=o.lastBaseUpdate,l=o.shared.pending;if(null!==l){o.shared.pending=null;var u=l,c=u.next;u.next=null,null===a?i=c:a.next=c,a=u;var s=e.alternate;null!==s&&((l=(s=s.updateQueue).lastBaseUpdate)!==a&&(null===l?s.firstBaseUpdate=c:l.next=c,s.lastBaseUpdate=u))}if(null!==i){var f=o.baseState;for(a=0,s=c=u=null,l=i;;){var d=l.lane,p=l.eventTime;if((r&d)===d){null!==s&&(s=s.next={eventTime:p,lane:0,tag:l.tag,payload:l.payload,callback:l.callback,next:null});e:{var h=e,y=l;switch(d=t,p=n,y.tag){case 1:if("function"===typeof(h=y.payload)){f=h.call(p,f,d);break e}f=h;break e;case 3:h.flags=-65537&h.flags|128;case 0:if(null===(d="function"===typeof(h=y.payload)?h.call(p,f,d):h)||void 0===d)break e;f=L({},f,d);break e;case 2:zi=!0}}null!==l.callback&&0!==l.lane&&(e.flags|=64,null===(d=o.effects)?o.effects=[l]:d.push(l))}else p={eventTime:p,lane:d,tag:l.tag,payload:l.payload,callback:l.callback,next:null},null===s?(c=s=p,u=f):s=s.next=p,a|=d;if(null===(l=l.next)){if(null===(l=o.shared.pending))break;l=(d=l).next,d.next=null,o.lastBaseUpdate=d,o.shared.pending=null}}if(null===s&&(u=f),o.baseState=u,o.firstBaseUpdate=c,o.lastBaseUpdate=s,null!==(t=o.shared.interleaved)){o=t;do{a|=o.lane,o=o.next}while(o!==t)}else null===i&&(o.shared.lanes=0);Du|=a,e.lanes=a,e.memoizedState=f}}function qi(e,t,n){if(e=t.effects,t.effects=null,null!==e)for(t=0;t<e.length;t++){var r=e[t],o=r.callback;if(null!==o){if(r.callback=null,r=n,"function"!==typeof o)throw Error(i(191,o));o.call(r)}}}var Hi={},$i=ko(Hi),Ki=ko(Hi),Xi=ko(Hi);function Yi(e){if(e===Hi)throw Error(i(174));return e}function Gi(e,t){switch(Eo(Xi,t),Eo(Ki,e),Eo($i,Hi),e=t.nodeType){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:ue(null,"");break;default:t=ue(t=(e=8===e?t.parentNode:t).namespaceURI||null,e=e.tagName)}Po($i),Eo($i,t)}function Qi(){Po($i),Po(Ki),Po(Xi)}function Zi(e){Yi(Xi.current);var t=Yi($i.current),n=ue(t,e.type);t!==n&&(Eo(Ki,e),Eo($i,n))}function Ji(e){Ki.current===e&&(Po($i),Po(Ki))}var ea=ko(0);function ta(e){for(var t=e;null!==t;){if(13===t.tag){var n=t.memoizedState;if(null!==n&&(null===(n=n.dehydrated)||"$?"===n.data||"$!"===n.data))return t}else if(19===t.tag&&void 0!==t.memoizedProps.revealOrder){if(0!==(128&t.flags))return t}else if(null!==t.child){t.child.return=t,t=t.child;continue}if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var na=[];function ra(){for(var e=0;e<na.length;e++)na[e]._workInProgressVersionPrimary=null;na.length=0}var oa=x.ReactCurrentDispatcher,ia=x.ReactCurrentBatchConfig,aa=0,la=null,ua=null,ca=null,sa=!1,fa=!1,da=0,pa=0;function ha(){throw Error(i(321))}function ya(e,t){if(null===t)return!1;for(var n=0;n<t.length&&n<e.length;n++)if(!lr(e[n],t[n]))return!1;return!0}function va(e,t,n,r,o,a){if(aa=a,la=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,oa.current=null===e||null===e.memoizedState?Ja:el,e=n(r,o),fa){a=0;do{if(fa=!1,da=0,25<=a)throw Error(i(301));a+=1,ca=ua=null,t.updateQueue=null,oa.current=tl,e=n(r,o)}while(fa)}if(oa.current=Za,t=null!==ua&&null!==ua.next,aa=0,ca=ua=la=null,sa=!1,t)throw Error(i(300));return e}function ma(){var e=0!==da;return da=0,e}function ga(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===ca?la.memoizedState=ca=e:ca=ca.next=e,ca}function ba(){if(null===ua){var e=la.alternate;e=null!==e?e.memoizedState:null}else e=ua.next;var t=null===ca?la.memoizedState:ca.next;if(null!==t)ca=t,ua=e;else{if(null===e)throw Error(i(310));e={memoizedState:(ua=e).memoizedState,baseState:ua.baseState,baseQueue:ua.baseQueue,queue:ua.queue,next:null},null===ca?la.memoizedState=ca=e:ca=ca.next=e}return ca}function xa(e,t){return"function"===typeof t?t(e):t}function wa(e){var t=ba(),n=t.queue;if(null===n)throw Error(i(311));n.lastRenderedReducer=e;var r=ua,o=r.baseQueue,a=n.pending;if(null!==a){if(null!==o){var l=o.next;o.next=a.next,a.next=l}r.baseQueue=o=a,n.pending=null}if(null!==o){a=o.next,r=r.baseState;var u=l=null,c=null,s=a;do{var f=s.lane;if((aa&f)===f)null!==c&&(c=c.next={lane:0,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null}),r=s.hasEagerState?s.eagerState:e(r,s.action);else{var d={lane:f,action:s.action,hasEagerState:s.hasEagerState,eagerState:s.eagerState,next:null};null===c?(u=c=d,l=r):c=c.next=d,la.lanes|=f,Du|=f}s=s.next}while(null!==s&&s!==a);null===c?l=r:c.next=u,lr(r,t.memoizedState)||(bl=!0),t.memoizedState=r,t.baseState=l,t.baseQueue=c,n.lastRenderedState=r}if(null!==(e=n.interleaved)){o=e;do{a=o.lane,la.lanes|=a,Du|=a,o=o.next}while(o!==e)}else null===o&&(n.lanes=0);return[t.memoizedState,n.dispatch]}function Oa(e){var t=ba(),n=t.queue;if(null===n)throw Error(i(311));n.lastRenderedReducer=e;var r=n.dispatch,o=n.pending,a=t.memoizedState;if(null!==o){n.pending=null;var l=o=o.next;do{a=e(a,l.action),l=l.next}while(l!==o);lr(a,t.memoizedState)||(bl=!0),t.memoizedState=a,null===t.baseQueue&&(t.baseState=a),n.lastRenderedState=a}return[a,r]}function Sa(){}function ja(e,t){var n=la,r=ba(),o=t(),a=!lr(r.memoizedState,o);if(a&&(r.memoizedState=o,bl=!0),r=r.queue,za(Ea.bind(null,n,r,e),[e]),r.getSnapshot!==t||a||null!==ca&&1&ca.memoizedState.tag){if(n.flags|=2048,Ca(9,Pa.bind(null,n,r,o,t),void 0,null),null===_u)throw Error(i(349));0!==(30&aa)||ka(n,t,o)}return o}function ka(e,t,n){e.flags|=16384,e={getSnapshot:t,value:n},null===(t=la.updateQueue)?(t={lastEffect:null,stores:null},la.updateQueue=t,t.stores=[e]):null===(n=t.stores)?t.stores=[e]:n.push(e)}function Pa(e,t,n,r){t.value=n,t.getSnapshot=r,_a(t)&&Aa(e)}function Ea(e,t,n){return n(function(){_a(t)&&Aa(e)})}function _a(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!lr(e,n)}catch(r){return!0}}function Aa(e){var t=Di(e,1);null!==t&&tc(t,e,1,-1)}function Ta(e){var t=ga();return"function"===typeof e&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:xa,lastRenderedState:e},t.queue=e,e=e.dispatch=Xa.bind(null,la,e),[t.memoizedState,e]}function Ca(e,t,n,r){return e={tag:e,create:t,destroy:n,deps:r,next:null},null===(t=la.updateQueue)?(t={lastEffect:null,stores:null},la.updateQueue=t,t.lastEffect=e.next=e):null===(n=t.lastEffect)?t.lastEffect=e.next=e:(r=n.next,n.next=e,e.next=r,t.lastEffect=e),e}function Ma(){return ba().memoizedState}function Na(e,t,n,r){var o=ga();la.flags|=e,o.memoizedState=Ca(1|t,n,void 0,void 0===r?null:r)}function Ia(e,t,n,r){var o=ba();r=void 0===r?null:r;var i=void 0;if(null!==ua){var a=ua.memoizedState;if(i=a.destroy,null!==r&&ya(r,a.deps))return void(o.memoizedState=Ca(t,n,i,r))}la.flags|=e,o.memoizedState=Ca(1|t,n,i,r)}function Da(e,t){return Na(8390656,8,e,t)}function za(e,t){return Ia(2048,8,e,t)}function La(e,t){return Ia(4,2,e,t)}function Ra(e,t){return Ia(4,4,e,t)}function Ba(e,t){return"function"===typeof t?(e=e(),t(e),function(){t(null)}):null!==t&&void 0!==t?(e=e(),t.current=e,function(){t.current=null}):void 0}function Fa(e,t,n){return n=null!==n&&void 0!==n?n.concat([e]):null,Ia(4,4,Ba.bind(null,t,e),n)}function Ua(){}function Wa(e,t){var n=ba();t=void 0===t?null:t;var r=n.memoizedState;return null!==r&&null!==t&&ya(t,r[1])?r[0]:(n.memoizedState=[e,t],e)}function Va(e,t){var n=ba();t=void 0===t?null:t;var r=n.memoizedState;return null!==r&&null!==t&&ya(t,r[1])?r[0]:(e=e(),n.memoizedState=[e,t],e)}function qa(e,t,n){return 0===(21&aa)?(e.baseState&&(e.baseState=!1,bl=!0),e.memoizedState=n):(lr(n,t)||(n=yt(),la.lanes|=n,Du|=n,e.baseState=!0),t)}function Ha(e,t){var n=bt;bt=0!==n&&4>n?n:4,e(!0);var r=ia.transition;ia.transition={};try{e(!1),t()}finally{bt=n,ia.transition=r}}function $a(){return ba().memoizedState}function Ka(e,t,n){var r=ec(e);if(n={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null},Ya(e))Ga(t,n);else if(null!==(n=Ii(e,t,n,r))){tc(n,e,r,Ju()),Qa(n,t,r)}}function Xa(e,t,n){var r=ec(e),o={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null};if(Ya(e))Ga(t,o);else{var i=e.alternate;if(0===e.lanes&&(null===i||0===i.lanes)&&null!==(i=t.lastRenderedReducer))try{var a=t.lastRenderedState,l=i(a,n);if(o.hasEagerState=!0,o.eagerState=l,lr(l,a)){var u=t.interleaved;return null===u?(o.next=o,Ni(t)):(o.next=u.next,u.next=o),void(t.interleaved=o)}}catch(c){}null!==(n=Ii(e,t,o,r))&&(tc(n,e,r,o=Ju()),Qa(n,t,r))}}function Ya(e){var t=e.alternate;return e===la||null!==t&&t===la}function Ga(e,t){fa=sa=!0;var n=e.pending;null===n?t.next=t:(t.next=n.next,n.next=t),e.pending=t}function Qa(e,t,n){if(0!==(4194240&n)){var r=t.lanes;n|=r&=e.pendingLanes,t.lanes=n,gt(e,n)}}var Za={readContext:Ci,useCallback:ha,useContext:ha,useEffect:ha,useImperativeHandle:ha,useInsertionEffect:ha,useLayoutEffect:ha,useMemo:ha,useReducer:ha,useRef:ha,useState:ha,useDebugValue:ha,useDeferredValue:ha,useTransition:ha,useMutableSource:ha,useSyncExternalStore:ha,useId:ha,unstable_isNewReconciler:!1},Ja={readContext:Ci,useCallback:function(e,t){return ga().memoizedState=[e,void 0===t?null:t],e},useContext:Ci,useEffect:Da,useImperativeHandle:function(e,t,n){return n=null!==n&&void 0!==n?n.concat([e]):null,Na(4194308,4,Ba.bind(null,t,e),n)},useLayoutEffect:function(e,t){return Na(4194308,4,e,t)},useInsertionEffect:function(e,t){return Na(4,2,e,t)},useMemo:function(e,t){var n=ga();return t=void 0===t?null:t,e=e(),n.memoizedState=[e,t],e},useReducer:function(e,t,n){var r=ga();return t=void 0!==n?n(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=Ka.bind(null,la,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},ga().memoizedState=e},useState:Ta,useDebugValue:Ua,useDeferredValue:function(e){return ga().memoizedState=e},useTransition:function(){var e=Ta(!1),t=e[0];return e=Ha.bind(null,e[1]),ga().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,n){var r=la,o=ga();if(ii){if(void 0===n)throw Error(i(407));n=n()}else{if(n=t(),null===_u)throw Error(i(349));0!==(30&aa)||ka(r,t,n)}o.memoizedState=n;var a={value:n,getSnapshot:t};return o.queue=a,Da(Ea.bind(null,r,a,e),[e]),r.flags|=2048,Ca(9,Pa.bind(null,r,a,n,t),void 0,null),n},useId:function(){var e=ga(),t=_u.identifierPrefix;if(ii){var n=Zo;t=":"+t+"R"+(n=(Qo&~(1<<32-at(Qo)-1)).toString(32)+n),0<(n=da++)&&(t+="H"+n.toString(32)),t+=":"}else t=":"+t+"r"+(n=pa++).toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},el={readContext:Ci,useCallback:Wa,useContext:Ci,useEffect:za,useImperativeHandle:Fa,useInsertionEffect:La,useLayoutEffect:Ra,useMemo:Va,useReducer:wa,useRef:Ma,useState:function(){return wa(xa)},useDebugValue:Ua,useDeferredValue:function(e){return qa(ba(),ua.memoizedState,e)},useTransition:function(){return[wa(xa)[0],ba().memoizedState]},useMutableSource:Sa,useSyncExternalStore:ja,useId:$a,unstable_isNewReconciler:!1},tl={readContext:Ci,useCallback:Wa,useContext:Ci,useEffect:za,useImperativeHandle:Fa,useInsertionEffect:La,useLayoutEffect:Ra,useMemo:Va,useReducer:Oa,useRef:Ma,useState:function(){return Oa(xa)},useDebugValue:Ua,useDeferredValue:function(e){var t=ba();return null===ua?t.memoizedState=e:qa(t,ua.memoizedState,e)},useTransition:function(){return[Oa(xa)[0],ba().memoizedState]},useMutableSource:Sa,useSyncExternalStore:ja,useId:$a,unstable_isNewReconciler:!1};function nl(e,t){if(e&&e.defaultProps){for(var n in t=L({},t),e=e.defaultProps)void 0===t[n]&&(t[n]=e[n]);return t}return t}function rl(e,t,n,r){n=null===(n=n(r,t=e.memoizedState))||void 0===n?t:L({},t,n),e.memoizedState=n,0===e.lanes&&(e.updateQueue.baseState=n)}var ol={isMounted:function(e){return!!(e=e._reactInternals)&&We(e)===e},enqueueSetState:function(e,t,n){e=e._reactInternals;var r=Ju(),o=ec(e),i=Bi(r,o);i.payload=t,void 0!==n&&null!==n&&(i.callback=n),null!==(t=Fi(e,i,o))&&(tc(t,e,o,r),Ui(t,e,o))},enqueueReplaceState:function(e,t,n){e=e._reactInternals;var r=Ju(),o=ec(e),i=Bi(r,o);i.tag=1,i.payload=t,void 0!==n&&null!==n&&(i.callback=n),null!==(t=Fi(e,i,o))&&(tc(t,e,o,r),Ui(t,e,o))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var n=Ju(),r=ec(e),o=Bi(n,r);o.tag=2,void 0!==t&&null!==t&&(o.callback=t),null!==(t=Fi(e,o,r))&&(tc(t,e,r,n),Ui(t,e,r))}};function il(e,t,n,r,o,i,a){return"function"===typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,i,a):!t.prototype||!t.prototype.isPureReactComponent||(!ur(n,r)||!ur(o,i))}function al(e,t,n){var r=!1,o=_o,i=t.contextType;return"object"===typeof i&&null!==i?i=Ci(i):(o=No(t)?Co:Ao.current,i=(r=null!==(r=t.contextTypes)&&void 0!==r)?Mo(e,o):_o),t=new t(n,i),e.memoizedState=null!==t.state&&void 0!==t.state?t.state:null,t.updater=ol,e.stateNode=t,t._reactInternals=e,r&&((e=e.stateNode).__reactInternalMemoizedUnmaskedChildContext=o,e.__reactInternalMemoizedMaskedChildContext=i),t}function ll(e,t,n,r){e=t.state,"function"===typeof t.componentWillReceiveProps&&t.componentWillReceiveProps(n,r),"function"===typeof t.UNSAFE_componentWillReceiveProps&&t.UNSAFE_componentWillReceiveProps(n,r),t.state!==e&&ol.enqueueReplaceState(t,t.state,null)}function ul(e,t,n,r){var o=e.stateNode;o.props=n,o.state=e.memoizedState,o.refs={},Li(e);var i=t.contextType;"object"===typeof i&&null!==i?o.context=Ci(i):(i=No(t)?Co:Ao.current,o.context=Mo(e,i)),o.state=e.memoizedState,"function"===typeof(i=t.getDerivedStateFromProps)&&(rl(e,t,i,n),o.state=e.memoizedState),"function"===typeof t.getDerivedStateFromProps||"function"===typeof o.getSnapshotBeforeUpdate||"function"!==typeof o.UNSAFE_componentWillMount&&"function"!==typeof o.componentWillMount||(t=o.state,"function"===typeof o.componentWillMount&&o.componentWillMount(),"function"===typeof o.UNSAFE_componentWillMount&&o.UNSAFE_componentWillMount(),t!==o.state&&ol.enqueueReplaceState(o,o.state,null),Vi(e,n,o,r),o.state=e.memoizedState),"function"===typeof o.componentDidMount&&(e.flags|=4194308)}function cl(e,t){try{var n="",r=t;do{n+=U(r),r=r.return}while(r);var o=n}catch(i){o="\nError generating stack: "+i.message+"\n"+i.stack}return{value:e,source:t,stack:o,digest:null}}function sl(e,t,n){return{value:e,source:null,stack:null!=n?n:null,digest:null!=t?t:null}}function fl(e,t){try{console.error(t.value)}catch(n){setTimeout(function(){throw n})}}var dl="function"===typeof WeakMap?WeakMap:Map;function pl(e,t,n){(n=Bi(-1,n)).tag=3,n.payload={element:null};var r=t.value;return n.callback=function(){Vu||(Vu=!0,qu=r),fl(0,t)},n}function hl(e,t,n){(n=Bi(-1,n)).tag=3;var r=e.type.getDerivedStateFromError;if("function"===typeof r){var o=t.value;n.payload=function(){return r(o)},n.callback=function(){fl(0,t)}}var i=e.stateNode;return null!==i&&"function"===typeof i.componentDidCatch&&(n.callback=function(){fl(0,t),"function"!==typeof r&&(null===Hu?Hu=new Set([this]):Hu.add(this));var e=t.stack;this.componentDidCatch(t.value,{componentStack:null!==e?e:""})}),n}function yl(e,t,n){var r=e.pingCache;if(null===r){r=e.pingCache=new dl;var o=new Set;r.set(t,o)}else void 0===(o=r.get(t))&&(o=new Set,r.set(t,o));o.has(n)||(o.add(n),e=jc.bind(null,e,t,n),t.then(e,e))}function vl(e){do{var t;if((t=13===e.tag)&&(t=null===(t=e.memoizedState)||null!==t.dehydrated),t)return e;e=e.return}while(null!==e);return null}function ml(e,t,n,r,o){return 0===(1&e.mode)?(e===t?e.flags|=65536:(e.flags|=128,n.flags|=131072,n.flags&=-52805,1===n.tag&&(null===n.alternate?n.tag=17:((t=Bi(-1,1)).tag=2,Fi(n,t,1))),n.lanes|=1),e):(e.flags|=65536,e.lanes=o,e)}var gl=x.ReactCurrentOwner,bl=!1;function xl(e,t,n,r){t.child=null===e?Oi(t,null,n,r):wi(t,e.child,n,r)}function wl(e,t,n,r,o){n=n.render;var i=t.ref;return Ti(t,o),r=va(e,t,n,r,i,o),n=ma(),null===e||bl?(ii&&n&&ti(t),t.flags|=1,xl(e,t,r,o),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~o,Vl(e,t,o))}function Ol(e,t,n,r,o){if(null===e){var i=n.type;return"function"!==typeof i||Cc(i)||void 0!==i.defaultProps||null!==n.compare||void 0!==n.defaultProps?((e=Nc(n.type,null,r,t,t.mode,o)).ref=t.ref,e.return=t,t.child=e):(t.tag=15,t.type=i,Sl(e,t,i,r,o))}if(i=e.child,0===(e.lanes&o)){var a=i.memoizedProps;if((n=null!==(n=n.compare)?n:ur)(a,r)&&e.ref===t.ref)return Vl(e,t,o)}return t.flags|=1,(e=Mc(i,r)).ref=t.ref,e.return=t,t.child=e}function Sl(e,t,n,r,o){if(null!==e){var i=e.memoizedProps;if(ur(i,r)&&e.ref===t.ref){if(bl=!1,t.pendingProps=r=i,0===(e.lanes&o))return t.lanes=e.lanes,Vl(e,t,o);0!==(131072&e.flags)&&(bl=!0)}}return Pl(e,t,n,r,o)}function jl(e,t,n){var r=t.pendingProps,o=r.children,i=null!==e?e.memoizedState:null;if("hidden"===r.mode)if(0===(1&t.mode))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},Eo(Mu,Cu),Cu|=n;else{if(0===(1073741824&n))return e=null!==i?i.baseLanes|n:n,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,Eo(Mu,Cu),Cu|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=null!==i?i.baseLanes:n,Eo(Mu,Cu),Cu|=r}else null!==i?(r=i.baseLanes|n,t.memoizedState=null):r=n,Eo(Mu,Cu),Cu|=r;return xl(e,t,o,n),t.child}function kl(e,t){var n=t.ref;(null===e&&null!==n||null!==e&&e.ref!==n)&&(t.flags|=512,t.flags|=2097152)}function Pl(e,t,n,r,o){var i=No(n)?Co:Ao.current;return i=Mo(t,i),Ti(t,o),n=va(e,t,n,r,i,o),r=ma(),null===e||bl?(ii&&r&&ti(t),t.flags|=1,xl(e,t,n,o),t.child):(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~o,Vl(e,t,o))}function El(e,t,n,r,o){if(No(n)){var i=!0;Lo(t)}else i=!1;if(Ti(t,o),null===t.stateNode)Wl(e,t),al(t,n,r),ul(t,n,r,o),r=!0;else if(null===e){var a=t.stateNode,l=t.memoizedProps;a.props=l;var u=a.context,c=n.contextType;"object"===typeof c&&null!==c?c=Ci(c):c=Mo(t,c=No(n)?Co:Ao.current);var s=n.getDerivedStateFromProps,f="function"===typeof s||"function"===typeof a.getSnapshotBeforeUpdate;f||"function"!==typeof a.UNSAFE_componentWillReceiveProps&&"function"!==typeof a.componentWillReceiveProps||(l!==r||u!==c)&&ll(t,a,r,c),zi=!1;var d=t.memoizedState;a.state=d,Vi(t,r,a,o),u=t.memoizedState,l!==r||d!==u||To.current||zi?("function"===typeof s&&(rl(t,n,s,r),u=t.memoizedState),(l=zi||il(t,n,l,r,d,u,c))?(f||"function"!==typeof a.UNSAFE_componentWillMount&&"function"!==typeof a.componentWillMount||("function"===typeof a.componentWillMount&&a.componentWillMount(),"function"===typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount()),"function"===typeof a.componentDidMount&&(t.flags|=4194308)):("function"===typeof a.componentDidMount&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),a.props=r,a.state=u,a.context=c,r=l):("function"===typeof a.componentDidMount&&(t.flags|=4194308),r=!1)}else{a=t.stateNode,Ri(e,t),l=t.memoizedProps,c=t.type===t.elementType?l:nl(t.type,l),a.props=c,f=t.pendingProps,d=a.context,"object"===typeof(u=n.contextType)&&null!==u?u=Ci(u):u=Mo(t,u=No(n)?Co:Ao.current);var p=n.getDerivedStateFromProps;(s="function"===typeof p||"function"===typeof a.getSnapshotBeforeUpdate)||"function"!==typeof a.UNSAFE_componentWillReceiveProps&&"function"!==typeof a.componentWillReceiveProps||(l!==f||d!==u)&&ll(t,a,r,u),zi=!1,d=t.memoizedState,a.state=d,Vi(t,r,a,o);var h=t.memoizedState;l!==f||d!==h||To.current||zi?("function"===typeof p&&(rl(t,n,p,r),h=t.memoizedState),(c=zi||il(t,n,c,r,d,h,u)||!1)?(s||"function"!==typeof a.UNSAFE_componentWillUpdate&&"function"!==typeof a.componentWillUpdate||("function"===typeof a.componentWillUpdate&&a.componentWillUpdate(r,h,u),"function"===typeof a.UNSAFE_componentWillUpdate&&a.UNSAFE_componentWillUpdate(r,h,u)),"function"===typeof a.componentDidUpdate&&(t.flags|=4),"function"===typeof a.getSnapshotBeforeUpdate&&(t.flags|=1024)):("function"!==typeof a.componentDidUpdate||l===e.memoizedProps&&d===e.memoizedState||(t.flags|=4),"function"!==typeof a.getSnapshotBeforeUpdate||l===e.memoizedProps&&d===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=h),a.props=r,a.state=h,a.context=u,r=c):("function"!==typeof a.componentDidUpdate||l===e.memoizedProps&&d===e.memoizedState||(t.flags|=4),"function"!==typeof a.getSnapshotBeforeUpdate||l===e.memoizedProps&&d===e.memoizedState||(t.flags|=1024),r=!1)}return _l(e,t,n,r,i,o)}function _l(e,t,n,r,o,i){kl(e,t);var a=0!==(128&t.flags);if(!r&&!a)return o&&Ro(t,n,!1),Vl(e,t,i);r=t.stateNode,gl.current=t;var l=a&&"function"!==typeof n.getDerivedStateFromError?null:r.render();return t.flags|=1,null!==e&&a?(t.child=wi(t,e.child,null,i),t.child=wi(t,null,l,i)):xl(e,t,l,i),t.memoizedState=r.state,o&&Ro(t,n,!0),t.child}function Al(e){var t=e.stateNode;t.pendingContext?Do(0,t.pendingContext,t.pendingContext!==t.context):t.context&&Do(0,t.context,!1),Gi(e,t.containerInfo)}function Tl(e,t,n,r,o){return hi(),yi(o),t.flags|=256,xl(e,t,n,r),t.child}var Cl,Ml,Nl,Il={dehydrated:null,treeContext:null,retryLane:0};function Dl(e){return{baseLanes:e,cachePool:null,transitions:null}}function zl(e,t,n){var r,o=t.pendingProps,a=ea.current,l=!1,u=0!==(128&t.flags);if((r=u)||(r=(null===e||null!==e.memoizedState)&&0!==(2&a)),r?(l=!0,t.flags&=-129):null!==e&&null===e.memoizedState||(a|=1),Eo(ea,1&a),null===e)return si(t),null!==(e=t.memoizedState)&&null!==(e=e.dehydrated)?(0===(1&t.mode)?t.lanes=1:"$!"===e.data?t.lanes=8:t.lanes=1073741824,null):(u=o.children,e=o.fallback,l?(o=t.mode,l=t.child,u={mode:"hidden",children:u},0===(1&o)&&null!==l?(l.childLanes=0,l.pendingProps=u):l=Dc(u,o,0,null),e=Ic(e,o,n,null),l.return=t,e.return=t,l.sibling=e,t.child=l,t.child.memoizedState=Dl(n),t.memoizedState=Il,e):Ll(t,u));if(null!==(a=e.memoizedState)&&null!==(r=a.dehydrated))return function(e,t,n,r,o,a,l){if(n)return 256&t.flags?(t.flags&=-257,Rl(e,t,l,r=sl(Error(i(422))))):null!==t.memoizedState?(t.child=e.child,t.flags|=128,null):(a=r.fallback,o=t.mode,r=Dc({mode:"visible",children:r.children},o,0,null),(a=Ic(a,o,l,null)).flags|=2,r.return=t,a.return=t,r.sibling=a,t.child=r,0!==(1&t.mode)&&wi(t,e.child,null,l),t.child.memoizedState=Dl(l),t.memoizedState=Il,a);if(0===(1&t.mode))return Rl(e,t,l,null);if("$!"===o.data){if(r=o.nextSibling&&o.nextSibling.dataset)var u=r.dgst;return r=u,Rl(e,t,l,r=sl(a=Error(i(419)),r,void 0))}if(u=0!==(l&e.childLanes),bl||u){if(null!==(r=_u)){switch(l&-l){case 4:o=2;break;case 16:o=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:o=32;break;case 536870912:o=268435456;break;default:o=0}0!==(o=0!==(o&(r.suspendedLanes|l))?0:o)&&o!==a.retryLane&&(a.retryLane=o,Di(e,o),tc(r,e,o,-1))}return hc(),Rl(e,t,l,r=sl(Error(i(421))))}return"$?"===o.data?(t.flags|=128,t.child=e.child,t=Pc.bind(null,e),o._reactRetry=t,null):(e=a.treeContext,oi=co(o.nextSibling),ri=t,ii=!0,ai=null,null!==e&&(Xo[Yo++]=Qo,Xo[Yo++]=Zo,Xo[Yo++]=Go,Qo=e.id,Zo=e.overflow,Go=t),t=Ll(t,r.children),t.flags|=4096,t)}(e,t,u,o,r,a,n);if(l){l=o.fallback,u=t.mode,r=(a=e.child).sibling;var c={mode:"hidden",children:o.children};return 0===(1&u)&&t.child!==a?((o=t.child).childLanes=0,o.pendingProps=c,t.deletions=null):(o=Mc(a,c)).subtreeFlags=14680064&a.subtreeFlags,null!==r?l=Mc(r,l):(l=Ic(l,u,n,null)).flags|=2,l.return=t,o.return=t,o.sibling=l,t.child=o,o=l,l=t.child,u=null===(u=e.child.memoizedState)?Dl(n):{baseLanes:u.baseLanes|n,cachePool:null,transitions:u.transitions},l.memoizedState=u,l.childLanes=e.childLanes&~n,t.memoizedState=Il,o}return e=(l=e.child).sibling,o=Mc(l,{mode:"visible",children:o.children}),0===(1&t.mode)&&(o.lanes=n),o.return=t,o.sibling=null,null!==e&&(null===(n=t.deletions)?(t.deletions=[e],t.flags|=16):n.push(e)),t.child=o,t.memoizedState=null,o}function Ll(e,t){return(t=Dc({mode:"visible",children:t},e.mode,0,null)).return=e,e.child=t}function Rl(e,t,n,r){return null!==r&&yi(r),wi(t,e.child,null,n),(e=Ll(t,t.pendingProps.children)).flags|=2,t.memoizedState=null,e}function Bl(e,t,n){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t),Ai(e.return,t,n)}function Fl(e,t,n,r,o){var i=e.memoizedState;null===i?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:n,tailMode:o}:(i.isBackwards=t,i.rendering=null,i.renderingStartTime=0,i.last=r,i.tail=n,i.tailMode=o)}function Ul(e,t,n){var r=t.pendingProps,o=r.revealOrder,i=r.tail;if(xl(e,t,r.children,n),0!==(2&(r=ea.current)))r=1&r|2,t.flags|=128;else{if(null!==e&&0!==(128&e.flags))e:for(e=t.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&Bl(e,n,t);else if(19===e.tag)Bl(e,n,t);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;null===e.sibling;){if(null===e.return||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(Eo(ea,r),0===(1&t.mode))t.memoizedState=null;else switch(o){case"forwards":for(n=t.child,o=null;null!==n;)null!==(e=n.alternate)&&null===ta(e)&&(o=n),n=n.sibling;null===(n=o)?(o=t.child,t.child=null):(o=n.sibling,n.sibling=null),Fl(t,!1,o,n,i);break;case"backwards":for(n=null,o=t.child,t.child=null;null!==o;){if(null!==(e=o.alternate)&&null===ta(e)){t.child=o;break}e=o.sibling,o.sibling=n,n=o,o=e}Fl(t,!0,n,null,i);break;case"together":Fl(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function Wl(e,t){0===(1&t.mode)&&null!==e&&(e.alternate=null,t.alternate=null,t.flags|=2)}function Vl(e,t,n){if(null!==e&&(t.dependencies=e.dependencies),Du|=t.lanes,0===(n&t.childLanes))return null;if(null!==e&&t.child!==e.child)throw Error(i(153));if(null!==t.child){for(n=Mc(e=t.child,e.pendingProps),t.child=n,n.return=t;null!==e.sibling;)e=e.sibling,(n=n.sibling=Mc(e,e.pendingProps)).return=t;n.sibling=null}return t.child}function ql(e,t){if(!ii)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;null!==t;)null!==t.alternate&&(n=t),t=t.sibling;null===n?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var r=null;null!==n;)null!==n.alternate&&(r=n),n=n.sibling;null===r?t||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function Hl(e){var t=null!==e.alternate&&e.alternate.child===e.child,n=0,r=0;if(t)for(var o=e.child;null!==o;)n|=o.lanes|o.childLanes,r|=14680064&o.subtreeFlags,r|=14680064&o.flags,o.return=e,o=o.sibling;else for(o=e.child;null!==o;)n|=o.lanes|o.childLanes,r|=o.subtreeFlags,r|=o.flags,o.return=e,o=o.sibling;return e.subtreeFlags|=r,e.childLanes=n,t}function $l(e,t,n){var r=t.pendingProps;switch(ni(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return Hl(t),null;case 1:case 17:return No(t.type)&&Io(),Hl(t),null;case 3:return r=t.stateNode,Qi(),Po(To),Po(Ao),ra(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),null!==e&&null!==e.child||(di(t)?t.flags|=4:null===e||e.memoizedState.isDehydrated&&0===(256&t.flags)||(t.flags|=1024,null!==ai&&(ic(ai),ai=null))),Hl(t),null;case 5:Ji(t);var o=Yi(Xi.current);if(n=t.type,null!==e&&null!=t.stateNode)Ml(e,t,n,r),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(null===t.stateNode)throw Error(i(166));return Hl(t),null}if(e=Yi($i.current),di(t)){r=t.stateNode,n=t.type;var a=t.memoizedProps;switch(r[po]=t,r[ho]=a,e=0!==(1&t.mode),n){case"dialog":Br("cancel",r),Br("close",r);break;case"iframe":case"object":case"embed":Br("load",r);break;case"video":case"audio":for(o=0;o<Dr.length;o++)Br(Dr[o],r);break;case"source":Br("error",r);break;case"img":case"image":case"link":Br("error",r),Br("load",r);break;case"details":Br("toggle",r);break;case"input":G(r,a),Br("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!a.multiple},Br("invalid",r);break;case"textarea":oe(r,a),Br("invalid",r)}for(var u in ge(n,a),o=null,a)if(a.hasOwnProperty(u)){var c=a[u];"children"===u?"string"===typeof c?r.textContent!==c&&(!0!==a.suppressHydrationWarning&&Zr(r.textContent,c,e),o=["children",c]):"number"===typeof c&&r.textContent!==""+c&&(!0!==a.suppressHydrationWarning&&Zr(r.textContent,c,e),o=["children",""+c]):l.hasOwnProperty(u)&&null!=c&&"onScroll"===u&&Br("scroll",r)}switch(n){case"input":$(r),J(r,a,!0);break;case"textarea":$(r),ae(r);break;case"select":case"option":break;default:"function"===typeof a.onClick&&(r.onclick=Jr)}r=o,t.updateQueue=r,null!==r&&(t.flags|=4)}else{u=9===o.nodeType?o:o.ownerDocument,"http://www.w3.org/1999/xhtml"===e&&(e=le(n)),"http://www.w3.org/1999/xhtml"===e?"script"===n?((e=u.createElement("div")).innerHTML="<script><\/script>",e=e.removeChild(e.firstChild)):"string"===typeof r.is?e=u.createElement(n,{is:r.is}):(e=u.createElement(n),"select"===n&&(u=e,r.multiple?u.multiple=!0:r.size&&(u.size=r.size))):e=u.createElementNS(e,n),e[po]=t,e[ho]=r,Cl(e,t),t.stateNode=e;e:{switch(u=be(n,r),n){case"dialog":Br("cancel",e),Br("close",e),o=r;break;case"iframe":case"object":case"embed":Br("load",e),o=r;break;case"video":case"audio":for(o=0;o<Dr.length;o++)Br(Dr[o],e);o=r;break;case"source":Br("error",e),o=r;break;case"img":case"image":case"link":Br("error",e),Br("load",e),o=r;break;case"details":Br("toggle",e),o=r;break;case"input":G(e,r),o=Y(e,r),Br("invalid",e);break;case"option":default:o=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},o=L({},r,{value:void 0}),Br("invalid",e);break;case"textarea":oe(e,r),o=re(e,r),Br("invalid",e)}for(a in ge(n,o),c=o)if(c.hasOwnProperty(a)){var s=c[a];"style"===a?ve(e,s):"dangerouslySetInnerHTML"===a?null!=(s=s?s.__html:void 0)&&fe(e,s):"children"===a?"string"===typeof s?("textarea"!==n||""!==s)&&de(e,s):"number"===typeof s&&de(e,""+s):"suppressContentEditableWarning"!==a&&"suppressHydrationWarning"!==a&&"autoFocus"!==a&&(l.hasOwnProperty(a)?null!=s&&"onScroll"===a&&Br("scroll",e):null!=s&&b(e,a,s,u))}switch(n){case"input":$(e),J(e,r,!1);break;case"textarea":$(e),ae(e);break;case"option":null!=r.value&&e.setAttribute("value",""+q(r.value));break;case"select":e.multiple=!!r.multiple,null!=(a=r.value)?ne(e,!!r.multiple,a,!1):null!=r.defaultValue&&ne(e,!!r.multiple,r.defaultValue,!0);break;default:"function"===typeof o.onClick&&(e.onclick=Jr)}switch(n){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}null!==t.ref&&(t.flags|=512,t.flags|=2097152)}return Hl(t),null;case 6:if(e&&null!=t.stateNode)Nl(0,t,e.memoizedProps,r);else{if("string"!==typeof r&&null===t.stateNode)throw Error(i(166));if(n=Yi(Xi.current),Yi($i.current),di(t)){if(r=t.stateNode,n=t.memoizedProps,r[po]=t,(a=r.nodeValue!==n)&&null!==(e=ri))switch(e.tag){case 3:Zr(r.nodeValue,n,0!==(1&e.mode));break;case 5:!0!==e.memoizedProps.suppressHydrationWarning&&Zr(r.nodeValue,n,0!==(1&e.mode))}a&&(t.flags|=4)}else(r=(9===n.nodeType?n:n.ownerDocument).createTextNode(r))[po]=t,t.stateNode=r}return Hl(t),null;case 13:if(Po(ea),r=t.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(ii&&null!==oi&&0!==(1&t.mode)&&0===(128&t.flags))pi(),hi(),t.flags|=98560,a=!1;else if(a=di(t),null!==r&&null!==r.dehydrated){if(null===e){if(!a)throw Error(i(318));if(!(a=null!==(a=t.memoizedState)?a.dehydrated:null))throw Error(i(317));a[po]=t}else hi(),0===(128&t.flags)&&(t.memoizedState=null),t.flags|=4;Hl(t),a=!1}else null!==ai&&(ic(ai),ai=null),a=!0;if(!a)return 65536&t.flags?t:null}return 0!==(128&t.flags)?(t.lanes=n,t):((r=null!==r)!==(null!==e&&null!==e.memoizedState)&&r&&(t.child.flags|=8192,0!==(1&t.mode)&&(null===e||0!==(1&ea.current)?0===Nu&&(Nu=3):hc())),null!==t.updateQueue&&(t.flags|=4),Hl(t),null);case 4:return Qi(),null===e&&Wr(t.stateNode.containerInfo),Hl(t),null;case 10:return _i(t.type._context),Hl(t),null;case 19:if(Po(ea),null===(a=t.memoizedState))return Hl(t),null;if(r=0!==(128&t.flags),null===(u=a.rendering))if(r)ql(a,!1);else{if(0!==Nu||null!==e&&0!==(128&e.flags))for(e=t.child;null!==e;){if(null!==(u=ta(e))){for(t.flags|=128,ql(a,!1),null!==(r=u.updateQueue)&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=n,n=t.child;null!==n;)e=r,(a=n).flags&=14680066,null===(u=a.alternate)?(a.childLanes=0,a.lanes=e,a.child=null,a.subtreeFlags=0,a.memoizedProps=null,a.memoizedState=null,a.updateQueue=null,a.dependencies=null,a.stateNode=null):(a.childLanes=u.childLanes,a.lanes=u.lanes,a.child=u.child,a.subtreeFlags=0,a.deletions=null,a.memoizedProps=u.memoizedProps,a.memoizedState=u.memoizedState,a.updateQueue=u.updateQueue,a.type=u.type,e=u.dependencies,a.dependencies=null===e?null:{lanes:e.lanes,firstContext:e.firstContext}),n=n.sibling;return Eo(ea,1&ea.current|2),t.child}e=e.sibling}null!==a.tail&&Qe()>Uu&&(t.flags|=128,r=!0,ql(a,!1),t.lanes=4194304)}else{if(!r)if(null!==(e=ta(u))){if(t.flags|=128,r=!0,null!==(n=e.updateQueue)&&(t.updateQueue=n,t.flags|=4),ql(a,!0),null===a.tail&&"hidden"===a.tailMode&&!u.alternate&&!ii)return Hl(t),null}else 2*Qe()-a.renderingStartTime>Uu&&1073741824!==n&&(t.flags|=128,r=!0,ql(a,!1),t.lanes=4194304);a.isBackwards?(u.sibling=t.child,t.child=u):(null!==(n=a.last)?n.sibling=u:t.child=u,a.last=u)}return null!==a.tail?(t=a.tail,a.rendering=t,a.tail=t.sibling,a.renderingStartTime=Qe(),t.sibling=null,n=ea.current,Eo(ea,r?1&n|2:1&n),t):(Hl(t),null);case 22:case 23:return sc(),r=null!==t.memoizedState,null!==e&&null!==e.memoizedState!==r&&(t.flags|=8192),r&&0!==(1&t.mode)?0!==(1073741824&Cu)&&(Hl(t),6&t.subtreeFlags&&(t.flags|=8192)):Hl(t),null;case 24:case 25:return null}throw Error(i(156,t.tag))}function Kl(e,t){switch(ni(t),t.tag){case 1:return No(t.type)&&Io(),65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 3:return Qi(),Po(To),Po(Ao),ra(),0!==(65536&(e=t.flags))&&0===(128&e)?(t.flags=-65537&e|128,t):null;case 5:return Ji(t),null;case 13:if(Po(ea),null!==(e=t.memoizedState)&&null!==e.dehydrated){if(null===t.alternate)throw Error(i(340));hi()}return 65536&(e=t.flags)?(t.flags=-65537&e|128,t):null;case 19:return Po(ea),null;case 4:return Qi(),null;case 10:return _i(t.type._context),null;case 22:case 23:return sc(),null;default:return null}}Cl=function(e,t){for(var n=t.child;null!==n;){if(5===n.tag||6===n.tag)e.appendChild(n.stateNode);else if(4!==n.tag&&null!==n.child){n.child.return=n,n=n.child;continue}if(n===t)break;for(;null===n.sibling;){if(null===n.return||n.return===t)return;n=n.return}n.sibling.return=n.return,n=n.sibling}},Ml=function(e,t,n,r){var o=e.memoizedProps;if(o!==r){e=t.stateNode,Yi($i.current);var i,a=null;switch(n){case"input":o=Y(e,o),r=Y(e,r),a=[];break;case"select":o=L({},o,{value:void 0}),r=L({},r,{value:void 0}),a=[];break;case"textarea":o=re(e,o),r=re(e,r),a=[];break;default:"function"!==typeof o.onClick&&"function"===typeof r.onClick&&(e.onclick=Jr)}for(s in ge(n,r),n=null,o)if(!r.hasOwnProperty(s)&&o.hasOwnProperty(s)&&null!=o[s])if("style"===s){var u=o[s];for(i in u)u.hasOwnProperty(i)&&(n||(n={}),n[i]="")}else"dangerouslySetInnerHTML"!==s&&"children"!==s&&"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&"autoFocus"!==s&&(l.hasOwnProperty(s)?a||(a=[]):(a=a||[]).push(s,null));for(s in r){var c=r[s];if(u=null!=o?o[s]:void 0,r.hasOwnProperty(s)&&c!==u&&(null!=c||null!=u))if("style"===s)if(u){for(i in u)!u.hasOwnProperty(i)||c&&c.hasOwnProperty(i)||(n||(n={}),n[i]="");for(i in c)c.hasOwnProperty(i)&&u[i]!==c[i]&&(n||(n={}),n[i]=c[i])}else n||(a||(a=[]),a.push(s,n)),n=c;else"dangerouslySetInnerHTML"===s?(c=c?c.__html:void 0,u=u?u.__html:void 0,null!=c&&u!==c&&(a=a||[]).push(s,c)):"children"===s?"string"!==typeof c&&"number"!==typeof c||(a=a||[]).push(s,""+c):"suppressContentEditableWarning"!==s&&"suppressHydrationWarning"!==s&&(l.hasOwnProperty(s)?(null!=c&&"onScroll"===s&&Br("scroll",e),a||u===c||(a=[])):(a=a||[]).push(s,c))}n&&(a=a||[]).push("style",n);var s=a;(t.updateQueue=s)&&(t.flags|=4)}},Nl=function(e,t,n,r){n!==r&&(t.flags|=4)};var Xl=!1,Yl=!1,Gl="function"===typeof WeakSet?WeakSet:Set,Ql=null;function Zl(e,t){var n=e.ref;if(null!==n)if("function"===typeof n)try{n(null)}catch(r){Sc(e,t,r)}else n.current=null}function Jl(e,t,n){try{n()}catch(r){Sc(e,t,r)}}var eu=!1;function tu(e,t,n){var r=t.updateQueue;if(null!==(r=null!==r?r.lastEffect:null)){var o=r=r.next;do{if((o.tag&e)===e){var i=o.destroy;o.destroy=void 0,void 0!==i&&Jl(t,n,i)}o=o.next}while(o!==r)}}function nu(e,t){if(null!==(t=null!==(t=t.updateQueue)?t.lastEffect:null)){var n=t=t.next;do{if((n.tag&e)===e){var r=n.create;n.destroy=r()}n=n.next}while(n!==t)}}function ru(e){var t=e.ref;if(null!==t){var n=e.stateNode;e.tag,e=n,"function"===typeof t?t(e):t.current=e}}function ou(e){var t=e.alternate;null!==t&&(e.alternate=null,ou(t)),e.child=null,e.deletions=null,e.sibling=null,5===e.tag&&(null!==(t=e.stateNode)&&(delete t[po],delete t[ho],delete t[vo],delete t[mo],delete t[go])),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}function iu(e){return 5===e.tag||3===e.tag||4===e.tag}function au(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||iu(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&18!==e.tag;){if(2&e.flags)continue e;if(null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}function lu(e,t,n){var r=e.tag;if(5===r||6===r)e=e.stateNode,t?8===n.nodeType?n.parentNode.insertBefore(e,t):n.insertBefore(e,t):(8===n.nodeType?(t=n.parentNode).insertBefore(e,n):(t=n).appendChild(e),null!==(n=n._reactRootContainer)&&void 0!==n||null!==t.onclick||(t.onclick=Jr));else if(4!==r&&null!==(e=e.child))for(lu(e,t,n),e=e.sibling;null!==e;)lu(e,t,n),e=e.sibling}function uu(e,t,n){var r=e.tag;if(5===r||6===r)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(4!==r&&null!==(e=e.child))for(uu(e,t,n),e=e.sibling;null!==e;)uu(e,t,n),e=e.sibling}var cu=null,su=!1;function fu(e,t,n){for(n=n.child;null!==n;)du(e,t,n),n=n.sibling}function du(e,t,n){if(it&&"function"===typeof it.onCommitFiberUnmount)try{it.onCommitFiberUnmount(ot,n)}catch(l){}switch(n.tag){case 5:Yl||Zl(n,t);case 6:var r=cu,o=su;cu=null,fu(e,t,n),su=o,null!==(cu=r)&&(su?(e=cu,n=n.stateNode,8===e.nodeType?e.parentNode.removeChild(n):e.removeChild(n)):cu.removeChild(n.stateNode));break;case 18:null!==cu&&(su?(e=cu,n=n.stateNode,8===e.nodeType?uo(e.parentNode,n):1===e.nodeType&&uo(e,n),Wt(e)):uo(cu,n.stateNode));break;case 4:r=cu,o=su,cu=n.stateNode.containerInfo,su=!0,fu(e,t,n),cu=r,su=o;break;case 0:case 11:case 14:case 15:if(!Yl&&(null!==(r=n.updateQueue)&&null!==(r=r.lastEffect))){o=r=r.next;do{var i=o,a=i.destroy;i=i.tag,void 0!==a&&(0!==(2&i)||0!==(4&i))&&Jl(n,t,a),o=o.next}while(o!==r)}fu(e,t,n);break;case 1:if(!Yl&&(Zl(n,t),"function"===typeof(r=n.stateNode).componentWillUnmount))try{r.props=n.memoizedProps,r.state=n.memoizedState,r.componentWillUnmount()}catch(l){Sc(n,t,l)}fu(e,t,n);break;case 21:fu(e,t,n);break;case 22:1&n.mode?(Yl=(r=Yl)||null!==n.memoizedState,fu(e,t,n),Yl=r):fu(e,t,n);break;default:fu(e,t,n)}}function pu(e){var t=e.updateQueue;if(null!==t){e.updateQueue=null;var n=e.stateNode;null===n&&(n=e.stateNode=new Gl),t.forEach(function(t){var r=Ec.bind(null,e,t);n.has(t)||(n.add(t),t.then(r,r))})}}function hu(e,t){var n=t.deletions;if(null!==n)for(var r=0;r<n.length;r++){var o=n[r];try{var a=e,l=t,u=l;e:for(;null!==u;){switch(u.tag){case 5:cu=u.stateNode,su=!1;break e;case 3:case 4:cu=u.stateNode.containerInfo,su=!0;break e}u=u.return}if(null===cu)throw Error(i(160));du(a,l,o),cu=null,su=!1;var c=o.alternate;null!==c&&(c.return=null),o.return=null}catch(s){Sc(o,t,s)}}if(12854&t.subtreeFlags)for(t=t.child;null!==t;)yu(t,e),t=t.sibling}function yu(e,t){var n=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(hu(t,e),vu(e),4&r){try{tu(3,e,e.return),nu(3,e)}catch(v){Sc(e,e.return,v)}try{tu(5,e,e.return)}catch(v){Sc(e,e.return,v)}}break;case 1:hu(t,e),vu(e),512&r&&null!==n&&Zl(n,n.return);break;case 5:if(hu(t,e),vu(e),512&r&&null!==n&&Zl(n,n.return),32&e.flags){var o=e.stateNode;try{de(o,"")}catch(v){Sc(e,e.return,v)}}if(4&r&&null!=(o=e.stateNode)){var a=e.memoizedProps,l=null!==n?n.memoizedProps:a,u=e.type,c=e.updateQueue;if(e.updateQueue=null,null!==c)try{"input"===u&&"radio"===a.type&&null!=a.name&&Q(o,a),be(u,l);var s=be(u,a);for(l=0;l<c.length;l+=2){var f=c[l],d=c[l+1];"style"===f?ve(o,d):"dangerouslySetInnerHTML"===f?fe(o,d):"children"===f?de(o,d):b(o,f,d,s)}switch(u){case"input":Z(o,a);break;case"textarea":ie(o,a);break;case"select":var p=o._wrapperState.wasMultiple;o._wrapperState.wasMultiple=!!a.multiple;var h=a.value;null!=h?ne(o,!!a.multiple,h,!1):p!==!!a.multiple&&(null!=a.defaultValue?ne(o,!!a.multiple,a.defaultValue,!0):ne(o,!!a.multiple,a.multiple?[]:"",!1))}o[ho]=a}catch(v){Sc(e,e.return,v)}}break;case 6:if(hu(t,e),vu(e),4&r){if(null===e.stateNode)throw Error(i(162));o=e.stateNode,a=e.memoizedProps;try{o.nodeValue=a}catch(v){Sc(e,e.return,v)}}break;case 3:if(hu(t,e),vu(e),4&r&&null!==n&&n.memoizedState.isDehydrated)try{Wt(t.containerInfo)}catch(v){Sc(e,e.return,v)}break;case 4:default:hu(t,e),vu(e);break;case 13:hu(t,e),vu(e),8192&(o=e.child).flags&&(a=null!==o.memoizedState,o.stateNode.isHidden=a,!a||null!==o.alternate&&null!==o.alternate.memoizedState||(Fu=Qe())),4&r&&pu(e);break;case 22:if(f=null!==n&&null!==n.memoizedState,1&e.mode?(Yl=(s=Yl)||f,hu(t,e),Yl=s):hu(t,e),vu(e),8192&r){if(s=null!==e.memoizedState,(e.stateNode.isHidden=s)&&!f&&0!==(1&e.mode))for(Ql=e,f=e.child;null!==f;){for(d=Ql=f;null!==Ql;){switch(h=(p=Ql).child,p.tag){case 0:case 11:case 14:case 15:tu(4,p,p.return);break;case 1:Zl(p,p.return);var y=p.stateNode;if("function"===typeof y.componentWillUnmount){r=p,n=p.return;try{t=r,y.props=t.memoizedProps,y.state=t.memoizedState,y.componentWillUnmount()}catch(v){Sc(r,n,v)}}break;case 5:Zl(p,p.return);break;case 22:if(null!==p.memoizedState){xu(d);continue}}null!==h?(h.return=p,Ql=h):xu(d)}f=f.sibling}e:for(f=null,d=e;;){if(5===d.tag){if(null===f){f=d;try{o=d.stateNode,s?"function"===typeof(a=o.style).setProperty?a.setProperty("display","none","important"):a.display="none":(u=d.stateNode,l=void 0!==(c=d.memoizedProps.style)&&null!==c&&c.hasOwnProperty("display")?c.display:null,u.style.display=ye("display",l))}catch(v){Sc(e,e.return,v)}}}else if(6===d.tag){if(null===f)try{d.stateNode.nodeValue=s?"":d.memoizedProps}catch(v){Sc(e,e.return,v)}}else if((22!==d.tag&&23!==d.tag||null===d.memoizedState||d===e)&&null!==d.child){d.child.return=d,d=d.child;continue}if(d===e)break e;for(;null===d.sibling;){if(null===d.return||d.return===e)break e;f===d&&(f=null),d=d.return}f===d&&(f=null),d.sibling.return=d.return,d=d.sibling}}break;case 19:hu(t,e),vu(e),4&r&&pu(e);case 21:}}function vu(e){var t=e.flags;if(2&t){try{e:{for(var n=e.return;null!==n;){if(iu(n)){var r=n;break e}n=n.return}throw Error(i(160))}switch(r.tag){case 5:var o=r.stateNode;32&r.flags&&(de(o,""),r.flags&=-33),uu(e,au(e),o);break;case 3:case 4:var a=r.stateNode.containerInfo;lu(e,au(e),a);break;default:throw Error(i(161))}}catch(l){Sc(e,e.return,l)}e.flags&=-3}4096&t&&(e.flags&=-4097)}function mu(e,t,n){Ql=e,gu(e,t,n)}function gu(e,t,n){for(var r=0!==(1&e.mode);null!==Ql;){var o=Ql,i=o.child;if(22===o.tag&&r){var a=null!==o.memoizedState||Xl;if(!a){var l=o.alternate,u=null!==l&&null!==l.memoizedState||Yl;l=Xl;var c=Yl;if(Xl=a,(Yl=u)&&!c)for(Ql=o;null!==Ql;)u=(a=Ql).child,22===a.tag&&null!==a.memoizedState?wu(o):null!==u?(u.return=a,Ql=u):wu(o);for(;null!==i;)Ql=i,gu(i,t,n),i=i.sibling;Ql=o,Xl=l,Yl=c}bu(e)}else 0!==(8772&o.subtreeFlags)&&null!==i?(i.return=o,Ql=i):bu(e)}}function bu(e){for(;null!==Ql;){var t=Ql;if(0!==(8772&t.flags)){var n=t.alternate;try{if(0!==(8772&t.flags))switch(t.tag){case 0:case 11:case 15:Yl||nu(5,t);break;case 1:var r=t.stateNode;if(4&t.flags&&!Yl)if(null===n)r.componentDidMount();else{var o=t.elementType===t.type?n.memoizedProps:nl(t.type,n.memoizedProps);r.componentDidUpdate(o,n.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}var a=t.updateQueue;null!==a&&qi(t,a,r);break;case 3:var l=t.updateQueue;if(null!==l){if(n=null,null!==t.child)switch(t.child.tag){case 5:case 1:n=t.child.stateNode}qi(t,l,n)}break;case 5:var u=t.stateNode;if(null===n&&4&t.flags){n=u;var c=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":c.autoFocus&&n.focus();break;case"img":c.src&&(n.src=c.src)}}break;case 6:case 4:case 12:case 19:case 17:case 21:case 22:case 23:case 25:break;case 13:if(null===t.memoizedState){var s=t.alternate;if(null!==s){var f=s.memoizedState;if(null!==f){var d=f.dehydrated;null!==d&&Wt(d)}}}break;default:throw Error(i(163))}Yl||512&t.flags&&ru(t)}catch(p){Sc(t,t.return,p)}}if(t===e){Ql=null;break}if(null!==(n=t.sibling)){n.return=t.return,Ql=n;break}Ql=t.return}}function xu(e){for(;null!==Ql;){var t=Ql;if(t===e){Ql=null;break}var n=t.sibling;if(null!==n){n.return=t.return,Ql=n;break}Ql=t.return}}function wu(e){for(;null!==Ql;){var t=Ql;try{switch(t.tag){case 0:case 11:case 15:var n=t.return;try{nu(4,t)}catch(u){Sc(t,n,u)}break;case 1:var r=t.stateNode;if("function"===typeof r.componentDidMount){var o=t.return;try{r.componentDidMount()}catch(u){Sc(t,o,u)}}var i=t.return;try{ru(t)}catch(u){Sc(t,i,u)}break;case 5:var a=t.return;try{ru(t)}catch(u){Sc(t,a,u)}}}catch(u){Sc(t,t.return,u)}if(t===e){Ql=null;break}var l=t.sibling;if(null!==l){l.return=t.return,Ql=l;break}Ql=t.return}}var Ou,Su=Math.ceil,ju=x.ReactCurrentDispatcher,ku=x.ReactCurrentOwner,Pu=x.ReactCurrentBatchConfig,Eu=0,_u=null,Au=null,Tu=0,Cu=0,Mu=ko(0),Nu=0,Iu=null,Du=0,zu=0,Lu=0,Ru=null,Bu=null,Fu=0,Uu=1/0,Wu=null,Vu=!1,qu=null,Hu=null,$u=!1,Ku=null,Xu=0,Yu=0,Gu=null,Qu=-1,Zu=0;function Ju(){return 0!==(6&Eu)?Qe():-1!==Qu?Qu:Qu=Qe()}function ec(e){return 0===(1&e.mode)?1:0!==(2&Eu)&&0!==Tu?Tu&-Tu:null!==vi.transition?(0===Zu&&(Zu=yt()),Zu):0!==(e=bt)?e:e=void 0===(e=window.event)?16:Gt(e.type)}function tc(e,t,n,r){if(50<Yu)throw Yu=0,Gu=null,Error(i(185));mt(e,n,r),0!==(2&Eu)&&e===_u||(e===_u&&(0===(2&Eu)&&(zu|=n),4===Nu&&ac(e,Tu)),nc(e,r),1===n&&0===Eu&&0===(1&t.mode)&&(Uu=Qe()+500,Fo&&Vo()))}function nc(e,t){var n=e.callbackNode;!function(e,t){for(var n=e.suspendedLanes,r=e.pingedLanes,o=e.expirationTimes,i=e.pendingLanes;0<i;){var a=31-at(i),l=1<<a,u=o[a];-1===u?0!==(l&n)&&0===(l&r)||(o[a]=pt(l,t)):u<=t&&(e.expiredLanes|=l),i&=~l}}(e,t);var r=dt(e,e===_u?Tu:0);if(0===r)null!==n&&Xe(n),e.callbackNode=null,e.callbackPriority=0;else if(t=r&-r,e.callbackPriority!==t){if(null!=n&&Xe(n),1===t)0===e.tag?function(e){Fo=!0,Wo(e)}(lc.bind(null,e)):Wo(lc.bind(null,e)),ao(function(){0===(6&Eu)&&Vo()}),n=null;else{switch(xt(r)){case 1:n=Je;break;case 4:n=et;break;case 16:default:n=tt;break;case 536870912:n=rt}n=_c(n,rc.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function rc(e,t){if(Qu=-1,Zu=0,0!==(6&Eu))throw Error(i(327));var n=e.callbackNode;if(wc()&&e.callbackNode!==n)return null;var r=dt(e,e===_u?Tu:0);if(0===r)return null;if(0!==(30&r)||0!==(r&e.expiredLanes)||t)t=yc(e,r);else{t=r;var o=Eu;Eu|=2;var a=pc();for(_u===e&&Tu===t||(Wu=null,Uu=Qe()+500,fc(e,t));;)try{mc();break}catch(u){dc(e,u)}Ei(),ju.current=a,Eu=o,null!==Au?t=0:(_u=null,Tu=0,t=Nu)}if(0!==t){if(2===t&&(0!==(o=ht(e))&&(r=o,t=oc(e,o))),1===t)throw n=Iu,fc(e,0),ac(e,r),nc(e,Qe()),n;if(6===t)ac(e,r);else{if(o=e.current.alternate,0===(30&r)&&!function(e){for(var t=e;;){if(16384&t.flags){var n=t.updateQueue;if(null!==n&&null!==(n=n.stores))for(var r=0;r<n.length;r++){var o=n[r],i=o.getSnapshot;o=o.value;try{if(!lr(i(),o))return!1}catch(l){return!1}}}if(n=t.child,16384&t.subtreeFlags&&null!==n)n.return=t,t=n;else{if(t===e)break;for(;null===t.sibling;){if(null===t.return||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}(o)&&(2===(t=yc(e,r))&&(0!==(a=ht(e))&&(r=a,t=oc(e,a))),1===t))throw n=Iu,fc(e,0),ac(e,r),nc(e,Qe()),n;switch(e.finishedWork=o,e.finishedLanes=r,t){case 0:case 1:throw Error(i(345));case 2:case 5:xc(e,Bu,Wu);break;case 3:if(ac(e,r),(130023424&r)===r&&10<(t=Fu+500-Qe())){if(0!==dt(e,0))break;if(((o=e.suspendedLanes)&r)!==r){Ju(),e.pingedLanes|=e.suspendedLanes&o;break}e.timeoutHandle=ro(xc.bind(null,e,Bu,Wu),t);break}xc(e,Bu,Wu);break;case 4:if(ac(e,r),(4194240&r)===r)break;for(t=e.eventTimes,o=-1;0<r;){var l=31-at(r);a=1<<l,(l=t[l])>o&&(o=l),r&=~a}if(r=o,10<(r=(120>(r=Qe()-r)?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*Su(r/1960))-r)){e.timeoutHandle=ro(xc.bind(null,e,Bu,Wu),r);break}xc(e,Bu,Wu);break;default:throw Error(i(329))}}}return nc(e,Qe()),e.callbackNode===n?rc.bind(null,e):null}function oc(e,t){var n=Ru;return e.current.memoizedState.isDehydrated&&(fc(e,t).flags|=256),2!==(e=yc(e,t))&&(t=Bu,Bu=n,null!==t&&ic(t)),e}function ic(e){null===Bu?Bu=e:Bu.push.apply(Bu,e)}function ac(e,t){for(t&=~Lu,t&=~zu,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var n=31-at(t),r=1<<n;e[n]=-1,t&=~r}}function lc(e){if(0!==(6&Eu))throw Error(i(327));wc();var t=dt(e,0);if(0===(1&t))return nc(e,Qe()),null;var n=yc(e,t);if(0!==e.tag&&2===n){var r=ht(e);0!==r&&(t=r,n=oc(e,r))}if(1===n)throw n=Iu,fc(e,0),ac(e,t),nc(e,Qe()),n;if(6===n)throw Error(i(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,xc(e,Bu,Wu),nc(e,Qe()),null}function uc(e,t){var n=Eu;Eu|=1;try{return e(t)}finally{0===(Eu=n)&&(Uu=Qe()+500,Fo&&Vo())}}function cc(e){null!==Ku&&0===Ku.tag&&0===(6&Eu)&&wc();var t=Eu;Eu|=1;var n=Pu.transition,r=bt;try{if(Pu.transition=null,bt=1,e)return e()}finally{bt=r,Pu.transition=n,0===(6&(Eu=t))&&Vo()}}function sc(){Cu=Mu.current,Po(Mu)}function fc(e,t){e.finishedWork=null,e.finishedLanes=0;var n=e.timeoutHandle;if(-1!==n&&(e.timeoutHandle=-1,oo(n)),null!==Au)for(n=Au.return;null!==n;){var r=n;switch(ni(r),r.tag){case 1:null!==(r=r.type.childContextTypes)&&void 0!==r&&Io();break;case 3:Qi(),Po(To),Po(Ao),ra();break;case 5:Ji(r);break;case 4:Qi();break;case 13:case 19:Po(ea);break;case 10:_i(r.type._context);break;case 22:case 23:sc()}n=n.return}if(_u=e,Au=e=Mc(e.current,null),Tu=Cu=t,Nu=0,Iu=null,Lu=zu=Du=0,Bu=Ru=null,null!==Mi){for(t=0;t<Mi.length;t++)if(null!==(r=(n=Mi[t]).interleaved)){n.interleaved=null;var o=r.next,i=n.pending;if(null!==i){var a=i.next;i.next=o,r.next=a}n.pending=r}Mi=null}return e}function dc(e,t){for(;;){var n=Au;try{if(Ei(),oa.current=Za,sa){for(var r=la.memoizedState;null!==r;){var o=r.queue;null!==o&&(o.pending=null),r=r.next}sa=!1}if(aa=0,ca=ua=la=null,fa=!1,da=0,ku.current=null,null===n||null===n.return){Nu=1,Iu=t,Au=null;break}e:{var a=e,l=n.return,u=n,c=t;if(t=Tu,u.flags|=32768,null!==c&&"object"===typeof c&&"function"===typeof c.then){var s=c,f=u,d=f.tag;if(0===(1&f.mode)&&(0===d||11===d||15===d)){var p=f.alternate;p?(f.updateQueue=p.updateQueue,f.memoizedState=p.memoizedState,f.lanes=p.lanes):(f.updateQueue=null,f.memoizedState=null)}var h=vl(l);if(null!==h){h.flags&=-257,ml(h,l,u,0,t),1&h.mode&&yl(a,s,t),c=s;var y=(t=h).updateQueue;if(null===y){var v=new Set;v.add(c),t.updateQueue=v}else y.add(c);break e}if(0===(1&t)){yl(a,s,t),hc();break e}c=Error(i(426))}else if(ii&&1&u.mode){var m=vl(l);if(null!==m){0===(65536&m.flags)&&(m.flags|=256),ml(m,l,u,0,t),yi(cl(c,u));break e}}a=c=cl(c,u),4!==Nu&&(Nu=2),null===Ru?Ru=[a]:Ru.push(a),a=l;do{switch(a.tag){case 3:a.flags|=65536,t&=-t,a.lanes|=t,Wi(a,pl(0,c,t));break e;case 1:u=c;var g=a.type,b=a.stateNode;if(0===(128&a.flags)&&("function"===typeof g.getDerivedStateFromError||null!==b&&"function"===typeof b.componentDidCatch&&(null===Hu||!Hu.has(b)))){a.flags|=65536,t&=-t,a.lanes|=t,Wi(a,hl(a,u,t));break e}}a=a.return}while(null!==a)}bc(n)}catch(x){t=x,Au===n&&null!==n&&(Au=n=n.return);continue}break}}function pc(){var e=ju.current;return ju.current=Za,null===e?Za:e}function hc(){0!==Nu&&3!==Nu&&2!==Nu||(Nu=4),null===_u||0===(268435455&Du)&&0===(268435455&zu)||ac(_u,Tu)}function yc(e,t){var n=Eu;Eu|=2;var r=pc();for(_u===e&&Tu===t||(Wu=null,fc(e,t));;)try{vc();break}catch(o){dc(e,o)}if(Ei(),Eu=n,ju.current=r,null!==Au)throw Error(i(261));return _u=null,Tu=0,Nu}function vc(){for(;null!==Au;)gc(Au)}function mc(){for(;null!==Au&&!Ye();)gc(Au)}function gc(e){var t=Ou(e.alternate,e,Cu);e.memoizedProps=e.pendingProps,null===t?bc(e):Au=t,ku.current=null}function bc(e){var t=e;do{var n=t.alternate;if(e=t.return,0===(32768&t.flags)){if(null!==(n=$l(n,t,Cu)))return void(Au=n)}else{if(null!==(n=Kl(n,t)))return n.flags&=32767,void(Au=n);if(null===e)return Nu=6,void(Au=null);e.flags|=32768,e.subtreeFlags=0,e.deletions=null}if(null!==(t=t.sibling))return void(Au=t);Au=t=e}while(null!==t);0===Nu&&(Nu=5)}function xc(e,t,n){var r=bt,o=Pu.transition;try{Pu.transition=null,bt=1,function(e,t,n,r){do{wc()}while(null!==Ku);if(0!==(6&Eu))throw Error(i(327));n=e.finishedWork;var o=e.finishedLanes;if(null===n)return null;if(e.finishedWork=null,e.finishedLanes=0,n===e.current)throw Error(i(177));e.callbackNode=null,e.callbackPriority=0;var a=n.lanes|n.childLanes;if(function(e,t){var n=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<n;){var o=31-at(n),i=1<<o;t[o]=0,r[o]=-1,e[o]=-1,n&=~i}}(e,a),e===_u&&(Au=_u=null,Tu=0),0===(2064&n.subtreeFlags)&&0===(2064&n.flags)||$u||($u=!0,_c(tt,function(){return wc(),null})),a=0!==(15990&n.flags),0!==(15990&n.subtreeFlags)||a){a=Pu.transition,Pu.transition=null;var l=bt;bt=1;var u=Eu;Eu|=4,ku.current=null,function(e,t){if(eo=qt,pr(e=dr())){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(n=(n=e.ownerDocument)&&n.defaultView||window).getSelection&&n.getSelection();if(r&&0!==r.rangeCount){n=r.anchorNode;var o=r.anchorOffset,a=r.focusNode;r=r.focusOffset;try{n.nodeType,a.nodeType}catch(w){n=null;break e}var l=0,u=-1,c=-1,s=0,f=0,d=e,p=null;t:for(;;){for(var h;d!==n||0!==o&&3!==d.nodeType||(u=l+o),d!==a||0!==r&&3!==d.nodeType||(c=l+r),3===d.nodeType&&(l+=d.nodeValue.length),null!==(h=d.firstChild);)p=d,d=h;for(;;){if(d===e)break t;if(p===n&&++s===o&&(u=l),p===a&&++f===r&&(c=l),null!==(h=d.nextSibling))break;p=(d=p).parentNode}d=h}n=-1===u||-1===c?null:{start:u,end:c}}else n=null}n=n||{start:0,end:0}}else n=null;for(to={focusedElem:e,selectionRange:n},qt=!1,Ql=t;null!==Ql;)if(e=(t=Ql).child,0!==(1028&t.subtreeFlags)&&null!==e)e.return=t,Ql=e;else for(;null!==Ql;){t=Ql;try{var y=t.alternate;if(0!==(1024&t.flags))switch(t.tag){case 0:case 11:case 15:case 5:case 6:case 4:case 17:break;case 1:if(null!==y){var v=y.memoizedProps,m=y.memoizedState,g=t.stateNode,b=g.getSnapshotBeforeUpdate(t.elementType===t.type?v:nl(t.type,v),m);g.__reactInternalSnapshotBeforeUpdate=b}break;case 3:var x=t.stateNode.containerInfo;1===x.nodeType?x.textContent="":9===x.nodeType&&x.documentElement&&x.removeChild(x.documentElement);break;default:throw Error(i(163))}}catch(w){Sc(t,t.return,w)}if(null!==(e=t.sibling)){e.return=t.return,Ql=e;break}Ql=t.return}y=eu,eu=!1}(e,n),yu(n,e),hr(to),qt=!!eo,to=eo=null,e.current=n,mu(n,e,o),Ge(),Eu=u,bt=l,Pu.transition=a}else e.current=n;if($u&&($u=!1,Ku=e,Xu=o),a=e.pendingLanes,0===a&&(Hu=null),function(e){if(it&&"function"===typeof it.onCommitFiberRoot)try{it.onCommitFiberRoot(ot,e,void 0,128===(128&e.current.flags))}catch(t){}}(n.stateNode),nc(e,Qe()),null!==t)for(r=e.onRecoverableError,n=0;n<t.length;n++)o=t[n],r(o.value,{componentStack:o.stack,digest:o.digest});if(Vu)throw Vu=!1,e=qu,qu=null,e;0!==(1&Xu)&&0!==e.tag&&wc(),a=e.pendingLanes,0!==(1&a)?e===Gu?Yu++:(Yu=0,Gu=e):Yu=0,Vo()}(e,t,n,r)}finally{Pu.transition=o,bt=r}return null}function wc(){if(null!==Ku){var e=xt(Xu),t=Pu.transition,n=bt;try{if(Pu.transition=null,bt=16>e?16:e,null===Ku)var r=!1;else{if(e=Ku,Ku=null,Xu=0,0!==(6&Eu))throw Error(i(331));var o=Eu;for(Eu|=4,Ql=e.current;null!==Ql;){var a=Ql,l=a.child;if(0!==(16&Ql.flags)){var u=a.deletions;if(null!==u){for(var c=0;c<u.length;c++){var s=u[c];for(Ql=s;null!==Ql;){var f=Ql;switch(f.tag){case 0:case 11:case 15:tu(8,f,a)}var d=f.child;if(null!==d)d.return=f,Ql=d;else for(;null!==Ql;){var p=(f=Ql).sibling,h=f.return;if(ou(f),f===s){Ql=null;break}if(null!==p){p.return=h,Ql=p;break}Ql=h}}}var y=a.alternate;if(null!==y){var v=y.child;if(null!==v){y.child=null;do{var m=v.sibling;v.sibling=null,v=m}while(null!==v)}}Ql=a}}if(0!==(2064&a.subtreeFlags)&&null!==l)l.return=a,Ql=l;else e:for(;null!==Ql;){if(0!==(2048&(a=Ql).flags))switch(a.tag){case 0:case 11:case 15:tu(9,a,a.return)}var g=a.sibling;if(null!==g){g.return=a.return,Ql=g;break e}Ql=a.return}}var b=e.current;for(Ql=b;null!==Ql;){var x=(l=Ql).child;if(0!==(2064&l.subtreeFlags)&&null!==x)x.return=l,Ql=x;else e:for(l=b;null!==Ql;){if(0!==(2048&(u=Ql).flags))try{switch(u.tag){case 0:case 11:case 15:nu(9,u)}}catch(O){Sc(u,u.return,O)}if(u===l){Ql=null;break e}var w=u.sibling;if(null!==w){w.return=u.return,Ql=w;break e}Ql=u.return}}if(Eu=o,Vo(),it&&"function"===typeof it.onPostCommitFiberRoot)try{it.onPostCommitFiberRoot(ot,e)}catch(O){}r=!0}return r}finally{bt=n,Pu.transition=t}}return!1}function Oc(e,t,n){e=Fi(e,t=pl(0,t=cl(n,t),1),1),t=Ju(),null!==e&&(mt(e,1,t),nc(e,t))}function Sc(e,t,n){if(3===e.tag)Oc(e,e,n);else for(;null!==t;){if(3===t.tag){Oc(t,e,n);break}if(1===t.tag){var r=t.stateNode;if("function"===typeof t.type.getDerivedStateFromError||"function"===typeof r.componentDidCatch&&(null===Hu||!Hu.has(r))){t=Fi(t,e=hl(t,e=cl(n,e),1),1),e=Ju(),null!==t&&(mt(t,1,e),nc(t,e));break}}t=t.return}}function jc(e,t,n){var r=e.pingCache;null!==r&&r.delete(t),t=Ju(),e.pingedLanes|=e.suspendedLanes&n,_u===e&&(Tu&n)===n&&(4===Nu||3===Nu&&(130023424&Tu)===Tu&&500>Qe()-Fu?fc(e,0):Lu|=n),nc(e,t)}function kc(e,t){0===t&&(0===(1&e.mode)?t=1:(t=st,0===(130023424&(st<<=1))&&(st=4194304)));var n=Ju();null!==(e=Di(e,t))&&(mt(e,t,n),nc(e,n))}function Pc(e){var t=e.memoizedState,n=0;null!==t&&(n=t.retryLane),kc(e,n)}function Ec(e,t){var n=0;switch(e.tag){case 13:var r=e.stateNode,o=e.memoizedState;null!==o&&(n=o.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(i(314))}null!==r&&r.delete(t),kc(e,n)}function _c(e,t){return Ke(e,t)}function Ac(e,t,n,r){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Tc(e,t,n,r){return new Ac(e,t,n,r)}function Cc(e){return!(!(e=e.prototype)||!e.isReactComponent)}function Mc(e,t){var n=e.alternate;return null===n?((n=Tc(e.tag,t,e.key,e.mode)).elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=14680064&e.flags,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=null===t?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n}function Nc(e,t,n,r,o,a){var l=2;if(r=e,"function"===typeof e)Cc(e)&&(l=1);else if("string"===typeof e)l=5;else e:switch(e){case S:return Ic(n.children,o,a,t);case j:l=8,o|=8;break;case k:return(e=Tc(12,n,t,2|o)).elementType=k,e.lanes=a,e;case A:return(e=Tc(13,n,t,o)).elementType=A,e.lanes=a,e;case T:return(e=Tc(19,n,t,o)).elementType=T,e.lanes=a,e;case N:return Dc(n,o,a,t);default:if("object"===typeof e&&null!==e)switch(e.$$typeof){case P:l=10;break e;case E:l=9;break e;case _:l=11;break e;case C:l=14;break e;case M:l=16,r=null;break e}throw Error(i(130,null==e?e:typeof e,""))}return(t=Tc(l,n,t,o)).elementType=e,t.type=r,t.lanes=a,t}function Ic(e,t,n,r){return(e=Tc(7,e,r,t)).lanes=n,e}function Dc(e,t,n,r){return(e=Tc(22,e,r,t)).elementType=N,e.lanes=n,e.stateNode={isHidden:!1},e}function zc(e,t,n){return(e=Tc(6,e,null,t)).lanes=n,e}function Lc(e,t,n){return(t=Tc(4,null!==e.children?e.children:[],e.key,t)).lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function Rc(e,t,n,r,o){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=vt(0),this.expirationTimes=vt(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=vt(0),this.identifierPrefix=r,this.onRecoverableError=o,this.mutableSourceEagerHydrationData=null}function Bc(e,t,n,r,o,i,a,l,u){return e=new Rc(e,t,n,l,u),1===t?(t=1,!0===i&&(t|=8)):t=0,i=Tc(3,null,null,t),e.current=i,i.stateNode=e,i.memoizedState={element:r,isDehydrated:n,cache:null,transitions:null,pendingSuspenseBoundaries:null},Li(i),e}function Fc(e){if(!e)return _o;e:{if(We(e=e._reactInternals)!==e||1!==e.tag)throw Error(i(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(No(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(null!==t);throw Error(i(171))}if(1===e.tag){var n=e.type;if(No(n))return zo(e,n,t)}return t}function Uc(e,t,n,r,o,i,a,l,u){return(e=Bc(n,r,!0,e,0,i,0,l,u)).context=Fc(null),n=e.current,(i=Bi(r=Ju(),o=ec(n))).callback=void 0!==t&&null!==t?t:null,Fi(n,i,o),e.current.lanes=o,mt(e,o,r),nc(e,r),e}function Wc(e,t,n,r){var o=t.current,i=Ju(),a=ec(o);return n=Fc(n),null===t.context?t.context=n:t.pendingContext=n,(t=Bi(i,a)).payload={element:e},null!==(r=void 0===r?null:r)&&(t.callback=r),null!==(e=Fi(o,t,a))&&(tc(e,o,a,i),Ui(e,o,a)),a}function Vc(e){return(e=e.current).child?(e.child.tag,e.child.stateNode):null}function qc(e,t){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var n=e.retryLane;e.retryLane=0!==n&&n<t?n:t}}function Hc(e,t){qc(e,t),(e=e.alternate)&&qc(e,t)}Ou=function(e,t,n){if(null!==e)if(e.memoizedProps!==t.pendingProps||To.current)bl=!0;else{if(0===(e.lanes&n)&&0===(128&t.flags))return bl=!1,function(e,t,n){switch(t.tag){case 3:Al(t),hi();break;case 5:Zi(t);break;case 1:No(t.type)&&Lo(t);break;case 4:Gi(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,o=t.memoizedProps.value;Eo(Si,r._currentValue),r._currentValue=o;break;case 13:if(null!==(r=t.memoizedState))return null!==r.dehydrated?(Eo(ea,1&ea.current),t.flags|=128,null):0!==(n&t.child.childLanes)?zl(e,t,n):(Eo(ea,1&ea.current),null!==(e=Vl(e,t,n))?e.sibling:null);Eo(ea,1&ea.current);break;case 19:if(r=0!==(n&t.childLanes),0!==(128&e.flags)){if(r)return Ul(e,t,n);t.flags|=128}if(null!==(o=t.memoizedState)&&(o.rendering=null,o.tail=null,o.lastEffect=null),Eo(ea,ea.current),r)break;return null;case 22:case 23:return t.lanes=0,jl(e,t,n)}return Vl(e,t,n)}(e,t,n);bl=0!==(131072&e.flags)}else bl=!1,ii&&0!==(1048576&t.flags)&&ei(t,Ko,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;Wl(e,t),e=t.pendingProps;var o=Mo(t,Ao.current);Ti(t,n),o=va(null,t,r,e,o,n);var a=ma();return t.flags|=1,"object"===typeof o&&null!==o&&"function"===typeof o.render&&void 0===o.$$typeof?(t.tag=1,t.memoizedState=null,t.updateQueue=null,No(r)?(a=!0,Lo(t)):a=!1,t.memoizedState=null!==o.state&&void 0!==o.state?o.state:null,Li(t),o.updater=ol,t.stateNode=o,o._reactInternals=t,ul(t,r,e,n),t=_l(null,t,r,!0,a,n)):(t.tag=0,ii&&a&&ti(t),xl(null,t,o,n),t=t.child),t;case 16:r=t.elementType;e:{switch(Wl(e,t),e=t.pendingProps,r=(o=r._init)(r._payload),t.type=r,o=t.tag=function(e){if("function"===typeof e)return Cc(e)?1:0;if(void 0!==e&&null!==e){if((e=e.$$typeof)===_)return 11;if(e===C)return 14}return 2}(r),e=nl(r,e),o){case 0:t=Pl(null,t,r,e,n);break e;case 1:t=El(null,t,r,e,n);break e;case 11:t=wl(null,t,r,e,n);break e;case 14:t=Ol(null,t,r,nl(r.type,e),n);break e}throw Error(i(306,r,""))}return t;case 0:return r=t.type,o=t.pendingProps,Pl(e,t,r,o=t.elementType===r?o:nl(r,o),n);case 1:return r=t.type,o=t.pendingProps,El(e,t,r,o=t.elementType===r?o:nl(r,o),n);case 3:e:{if(Al(t),null===e)throw Error(i(387));r=t.pendingProps,o=(a=t.memoizedState).element,Ri(e,t),Vi(t,r,null,n);var l=t.memoizedState;if(r=l.element,a.isDehydrated){if(a={element:r,isDehydrated:!1,cache:l.cache,pendingSuspenseBoundaries:l.pendingSuspenseBoundaries,transitions:l.transitions},t.updateQueue.baseState=a,t.memoizedState=a,256&t.flags){t=Tl(e,t,r,n,o=cl(Error(i(423)),t));break e}if(r!==o){t=Tl(e,t,r,n,o=cl(Error(i(424)),t));break e}for(oi=co(t.stateNode.containerInfo.firstChild),ri=t,ii=!0,ai=null,n=Oi(t,null,r,n),t.child=n;n;)n.flags=-3&n.flags|4096,n=n.sibling}else{if(hi(),r===o){t=Vl(e,t,n);break e}xl(e,t,r,n)}t=t.child}return t;case 5:return Zi(t),null===e&&si(t),r=t.type,o=t.pendingProps,a=null!==e?e.memoizedProps:null,l=o.children,no(r,o)?l=null:null!==a&&no(r,a)&&(t.flags|=32),kl(e,t),xl(e,t,l,n),t.child;case 6:return null===e&&si(t),null;case 13:return zl(e,t,n);case 4:return Gi(t,t.stateNode.containerInfo),r=t.pendingProps,null===e?t.child=wi(t,null,r,n):xl(e,t,r,n),t.child;case 11:return r=t.type,o=t.pendingProps,wl(e,t,r,o=t.elementType===r?o:nl(r,o),n);case 7:return xl(e,t,t.pendingProps,n),t.child;case 8:case 12:return xl(e,t,t.pendingProps.children,n),t.child;case 10:e:{if(r=t.type._context,o=t.pendingProps,a=t.memoizedProps,l=o.value,Eo(Si,r._currentValue),r._currentValue=l,null!==a)if(lr(a.value,l)){if(a.children===o.children&&!To.current){t=Vl(e,t,n);break e}}else for(null!==(a=t.child)&&(a.return=t);null!==a;){var u=a.dependencies;if(null!==u){l=a.child;for(var c=u.firstContext;null!==c;){if(c.context===r){if(1===a.tag){(c=Bi(-1,n&-n)).tag=2;var s=a.updateQueue;if(null!==s){var f=(s=s.shared).pending;null===f?c.next=c:(c.next=f.next,f.next=c),s.pending=c}}a.lanes|=n,null!==(c=a.alternate)&&(c.lanes|=n),Ai(a.return,n,t),u.lanes|=n;break}c=c.next}}else if(10===a.tag)l=a.type===t.type?null:a.child;else if(18===a.tag){if(null===(l=a.return))throw Error(i(341));l.lanes|=n,null!==(u=l.alternate)&&(u.lanes|=n),Ai(l,n,t),l=a.sibling}else l=a.child;if(null!==l)l.return=a;else for(l=a;null!==l;){if(l===t){l=null;break}if(null!==(a=l.sibling)){a.return=l.return,l=a;break}l=l.return}a=l}xl(e,t,o.children,n),t=t.child}return t;case 9:return o=t.type,r=t.pendingProps.children,Ti(t,n),r=r(o=Ci(o)),t.flags|=1,xl(e,t,r,n),t.child;case 14:return o=nl(r=t.type,t.pendingProps),Ol(e,t,r,o=nl(r.type,o),n);case 15:return Sl(e,t,t.type,t.pendingProps,n);case 17:return r=t.type,o=t.pendingProps,o=t.elementType===r?o:nl(r,o),Wl(e,t),t.tag=1,No(r)?(e=!0,Lo(t)):e=!1,Ti(t,n),al(t,r,o),ul(t,r,o,n),_l(null,t,r,!0,e,n);case 19:return Ul(e,t,n);case 22:return jl(e,t,n)}throw Error(i(156,t.tag))};var $c="function"===typeof reportError?reportError:function(e){console.error(e)};function Kc(e){this._internalRoot=e}function Xc(e){this._internalRoot=e}function Yc(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}function Gc(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType&&(8!==e.nodeType||" react-mount-point-unstable "!==e.nodeValue))}function Qc(){}function Zc(e,t,n,r,o){var i=n._reactRootContainer;if(i){var a=i;if("function"===typeof o){var l=o;o=function(){var e=Vc(a);l.call(e)}}Wc(t,a,e,o)}else a=function(e,t,n,r,o){if(o){if("function"===typeof r){var i=r;r=function(){var e=Vc(a);i.call(e)}}var a=Uc(t,r,e,0,null,!1,0,"",Qc);return e._reactRootContainer=a,e[yo]=a.current,Wr(8===e.nodeType?e.parentNode:e),cc(),a}for(;o=e.lastChild;)e.removeChild(o);if("function"===typeof r){var l=r;r=function(){var e=Vc(u);l.call(e)}}var u=Bc(e,0,!1,null,0,!1,0,"",Qc);return e._reactRootContainer=u,e[yo]=u.current,Wr(8===e.nodeType?e.parentNode:e),cc(function(){Wc(t,u,n,r)}),u}(n,t,e,o,r);return Vc(a)}Xc.prototype.render=Kc.prototype.render=function(e){var t=this._internalRoot;if(null===t)throw Error(i(409));Wc(e,t,null,null)},Xc.prototype.unmount=Kc.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var t=e.containerInfo;cc(function(){Wc(null,e,null,null)}),t[yo]=null}},Xc.prototype.unstable_scheduleHydration=function(e){if(e){var t=jt();e={blockedOn:null,target:e,priority:t};for(var n=0;n<Nt.length&&0!==t&&t<Nt[n].priority;n++);Nt.splice(n,0,e),0===n&&Lt(e)}},wt=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var n=ft(t.pendingLanes);0!==n&&(gt(t,1|n),nc(t,Qe()),0===(6&Eu)&&(Uu=Qe()+500,Vo()))}break;case 13:cc(function(){var t=Di(e,1);if(null!==t){var n=Ju();tc(t,e,1,n)}}),Hc(e,1)}},Ot=function(e){if(13===e.tag){var t=Di(e,134217728);if(null!==t)tc(t,e,134217728,Ju());Hc(e,134217728)}},St=function(e){if(13===e.tag){var t=ec(e),n=Di(e,t);if(null!==n)tc(n,e,t,Ju());Hc(e,t)}},jt=function(){return bt},kt=function(e,t){var n=bt;try{return bt=e,t()}finally{bt=n}},Oe=function(e,t,n){switch(t){case"input":if(Z(e,n),t=n.name,"radio"===n.type&&null!=t){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<n.length;t++){var r=n[t];if(r!==e&&r.form===e.form){var o=Oo(r);if(!o)throw Error(i(90));K(r),Z(r,o)}}}break;case"textarea":ie(e,n);break;case"select":null!=(t=n.value)&&ne(e,!!n.multiple,t,!1)}},_e=uc,Ae=cc;var Jc={usingClientEntryPoint:!1,Events:[xo,wo,Oo,Pe,Ee,uc]},es={findFiberByHostInstance:bo,bundleType:0,version:"18.3.1",rendererPackageName:"react-dom"},ts={bundleType:es.bundleType,version:es.version,rendererPackageName:es.rendererPackageName,rendererConfig:es.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:x.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return null===(e=He(e))?null:e.stateNode},findFiberByHostInstance:es.findFiberByHostInstance||function(){return null},findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1-next-f1338f8080-20240426"};if("undefined"!==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var ns=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!ns.isDisabled&&ns.supportsFiber)try{ot=ns.inject(ts),it=ns}catch(se){}}t.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Jc,t.createPortal=function(e,t){var n=2<arguments.length&&void 0!==arguments[2]?arguments[2]:null;if(!Yc(t))throw Error(i(200));return function(e,t,n){var r=3<arguments.length&&void 0!==arguments[3]?arguments[3]:null;return{$$typeof:O,key:null==r?null:""+r,children:e,containerInfo:t,implementation:n}}(e,t,null,n)},t.createRoot=function(e,t){if(!Yc(e))throw Error(i(299));var n=!1,r="",o=$c;return null!==t&&void 0!==t&&(!0===t.unstable_strictMode&&(n=!0),void 0!==t.identifierPrefix&&(r=t.identifierPrefix),void 0!==t.onRecoverableError&&(o=t.onRecoverableError)),t=Bc(e,1,!1,null,0,n,0,r,o),e[yo]=t.current,Wr(8===e.nodeType?e.parentNode:e),new Kc(t)},t.findDOMNode=function(e){if(null==e)return null;if(1===e.nodeType)return e;var t=e._reactInternals;if(void 0===t){if("function"===typeof e.render)throw Error(i(188));throw e=Object.keys(e).join(","),Error(i(268,e))}return e=null===(e=He(t))?null:e.stateNode},t.flushSync=function(e){return cc(e)},t.hydrate=function(e,t,n){if(!Gc(t))throw Error(i(200));return Zc(null,e,t,!0,n)},t.hydrateRoot=function(e,t,n){if(!Yc(e))throw Error(i(405));var r=null!=n&&n.hydratedSources||null,o=!1,a="",l=$c;if(null!==n&&void 0!==n&&(!0===n.unstable_strictMode&&(o=!0),void 0!==n.identifierPrefix&&(a=n.identifierPrefix),void 0!==n.onRecoverableError&&(l=n.onRecoverableError)),t=Uc(t,null,e,1,null!=n?n:null,o,0,a,l),e[yo]=t.current,Wr(e),r)for(e=0;e<r.length;e++)o=(o=(n=r[e])._getVersion)(n._source),null==t.mutableSourceEagerHydrationData?t.mutableSourceEagerHydrationData=[n,o]:t.mutableSourceEagerHydrationData.push(n,o);return new Xc(t)},t.render=function(e,t,n){if(!Gc(t))throw Error(i(200));return Zc(null,e,t,!1,n)},t.unmountComponentAtNode=function(e){if(!Gc(e))throw Error(i(40));return!!e._reactRootContainer&&(cc(function(){Zc(null,null,e,!1,function(){e._reactRootContainer=null,e[yo]=null})}),!0)},t.unstable_batchedUpdates=uc,t.unstable_renderSubtreeIntoContainer=function(e,t,n,r){if(!Gc(n))throw Error(i(200));if(null==e||void 0===e._reactInternals)throw Error(i(38));return Zc(e,t,n,!1,r)},t.version="18.3.1-next-f1338f8080-20240426"},4391(e,t,n){"use strict";var r=n(7950);t.createRoot=r.createRoot,t.hydrateRoot=r.hydrateRoot},7950(e,t,n){"use strict";!function e(){if("undefined"!==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"===typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(t){console.error(t)}}(),e.exports=n(2730)},1153(e,t,n){"use strict";var r=n(5043),o=Symbol.for("react.element"),i=Symbol.for("react.fragment"),a=Object.prototype.hasOwnProperty,l=r.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,u={key:!0,ref:!0,__self:!0,__source:!0};function c(e,t,n){var r,i={},c=null,s=null;for(r in void 0!==n&&(c=""+n),void 0!==t.key&&(c=""+t.key),void 0!==t.ref&&(s=t.ref),t)a.call(t,r)&&!u.hasOwnProperty(r)&&(i[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps)void 0===i[r]&&(i[r]=t[r]);return{$$typeof:o,type:e,key:c,ref:s,props:i,_owner:l.current}}t.jsx=c,t.jsxs=c},4202(e,t){"use strict";var n=Symbol.for("react.element"),r=Symbol.for("react.portal"),o=Symbol.for("react.fragment"),i=Symbol.for("react.strict_mode"),a=Symbol.for("react.profiler"),l=Symbol.for("react.provider"),u=Symbol.for("react.context"),c=Symbol.for("react.forward_ref"),s=Symbol.for("react.suspense"),f=Symbol.for("react.memo"),d=Symbol.for("react.lazy"),p=Symbol.iterator;var h={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},y=Object.assign,v={};function m(e,t,n){this.props=e,this.context=t,this.refs=v,this.updater=n||h}function g(){}function b(e,t,n){this.props=e,this.context=t,this.refs=v,this.updater=n||h}m.prototype.isReactComponent={},m.prototype.setState=function(e,t){if("object"!==typeof e&&"function"!==typeof e&&null!=e)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")},m.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")},g.prototype=m.prototype;var x=b.prototype=new g;x.constructor=b,y(x,m.prototype),x.isPureReactComponent=!0;var w=Array.isArray,O=Object.prototype.hasOwnProperty,S={current:null},j={key:!0,ref:!0,__self:!0,__source:!0};function k(e,t,r){var o,i={},a=null,l=null;if(null!=t)for(o in void 0!==t.ref&&(l=t.ref),void 0!==t.key&&(a=""+t.key),t)O.call(t,o)&&!j.hasOwnProperty(o)&&(i[o]=t[o]);var u=arguments.length-2;if(1===u)i.children=r;else if(1<u){for(var c=Array(u),s=0;s<u;s++)c[s]=arguments[s+2];i.children=c}if(e&&e.defaultProps)for(o in u=e.defaultProps)void 0===i[o]&&(i[o]=u[o]);return{$$typeof:n,type:e,key:a,ref:l,props:i,_owner:S.current}}function P(e){return"object"===typeof e&&null!==e&&e.$$typeof===n}var E=/\/+/g;function _(e,t){return"object"===typeof e&&null!==e&&null!=e.key?function(e){var t={"=":"=0",":":"=2"};return"$"+e.replace(/[=:]/g,function(e){return t[e]})}(""+e.key):t.toString(36)}function A(e,t,o,i,a){var l=typeof e;"undefined"!==l&&"boolean"!==l||(e=null);var u=!1;if(null===e)u=!0;else switch(l){case"string":case"number":u=!0;break;case"object":switch(e.$$typeof){case n:case r:u=!0}}if(u)return a=a(u=e),e=""===i?"."+_(u,0):i,w(a)?(o="",null!=e&&(o=e.replace(E,"$&/")+"/"),A(a,t,o,"",function(e){return e})):null!=a&&(P(a)&&(a=function(e,t){return{$$typeof:n,type:e.type,key:t,ref:e.ref,props:e.props,_owner:e._owner}}(a,o+(!a.key||u&&u.key===a.key?"":(""+a.key).replace(E,"$&/")+"/")+e)),t.push(a)),1;if(u=0,i=""===i?".":i+":",w(e))for(var c=0;c<e.length;c++){var s=i+_(l=e[c],c);u+=A(l,t,o,s,a)}else if(s=function(e){return null===e||"object"!==typeof e?null:"function"===typeof(e=p&&e[p]||e["@@iterator"])?e:null}(e),"function"===typeof s)for(e=s.call(e),c=0;!(l=e.next()).done;)u+=A(l=l.value,t,o,s=i+_(l,c++),a);else if("object"===l)throw t=String(e),Error("Objects are not valid as a React child (found: "+("[object Object]"===t?"object with keys {"+Object.keys(e).join(", ")+"}":t)+"). If you meant to render a collection of children, use an array instead.");return u}function T(e,t,n){if(null==e)return e;var r=[],o=0;return A(e,r,"","",function(e){return t.call(n,e,o++)}),r}function C(e){if(-1===e._status){var t=e._result;(t=t()).then(function(t){0!==e._status&&-1!==e._status||(e._status=1,e._result=t)},function(t){0!==e._status&&-1!==e._status||(e._status=2,e._result=t)}),-1===e._status&&(e._status=0,e._result=t)}if(1===e._status)return e._result.default;throw e._result}var M={current:null},N={transition:null},I={ReactCurrentDispatcher:M,ReactCurrentBatchConfig:N,ReactCurrentOwner:S};function D(){throw Error("act(...) is not supported in production builds of React.")}t.Children={map:T,forEach:function(e,t,n){T(e,function(){t.apply(this,arguments)},n)},count:function(e){var t=0;return T(e,function(){t++}),t},toArray:function(e){return T(e,function(e){return e})||[]},only:function(e){if(!P(e))throw Error("React.Children.only expected to receive a single React element child.");return e}},t.Component=m,t.Fragment=o,t.Profiler=a,t.PureComponent=b,t.StrictMode=i,t.Suspense=s,t.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=I,t.act=D,t.cloneElement=function(e,t,r){if(null===e||void 0===e)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var o=y({},e.props),i=e.key,a=e.ref,l=e._owner;if(null!=t){if(void 0!==t.ref&&(a=t.ref,l=S.current),void 0!==t.key&&(i=""+t.key),e.type&&e.type.defaultProps)var u=e.type.defaultProps;for(c in t)O.call(t,c)&&!j.hasOwnProperty(c)&&(o[c]=void 0===t[c]&&void 0!==u?u[c]:t[c])}var c=arguments.length-2;if(1===c)o.children=r;else if(1<c){u=Array(c);for(var s=0;s<c;s++)u[s]=arguments[s+2];o.children=u}return{$$typeof:n,type:e.type,key:i,ref:a,props:o,_owner:l}},t.createContext=function(e){return(e={$$typeof:u,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null}).Provider={$$typeof:l,_context:e},e.Consumer=e},t.createElement=k,t.createFactory=function(e){var t=k.bind(null,e);return t.type=e,t},t.createRef=function(){return{current:null}},t.forwardRef=function(e){return{$$typeof:c,render:e}},t.isValidElement=P,t.lazy=function(e){return{$$typeof:d,_payload:{_status:-1,_result:e},_init:C}},t.memo=function(e,t){return{$$typeof:f,type:e,compare:void 0===t?null:t}},t.startTransition=function(e){var t=N.transition;N.transition={};try{e()}finally{N.transition=t}},t.unstable_act=D,t.useCallback=function(e,t){return M.current.useCallback(e,t)},t.useContext=function(e){return M.current.useContext(e)},t.useDebugValue=function(){},t.useDeferredValue=function(e){return M.current.useDeferredValue(e)},t.useEffect=function(e,t){return M.current.useEffect(e,t)},t.useId=function(){return M.current.useId()},t.useImperativeHandle=function(e,t,n){return M.current.useImperativeHandle(e,t,n)},t.useInsertionEffect=function(e,t){return M.current.useInsertionEffect(e,t)},t.useLayoutEffect=function(e,t){return M.current.useLayoutEffect(e,t)},t.useMemo=function(e,t){return M.current.useMemo(e,t)},t.useReducer=function(e,t,n){return M.current.useReducer(e,t,n)},t.useRef=function(e){return M.current.useRef(e)},t.useState=function(e){return M.current.useState(e)},t.useSyncExternalStore=function(e,t,n){return M.current.useSyncExternalStore(e,t,n)},t.useTransition=function(){return M.current.useTransition()},t.version="18.3.1"},5043(e,t,n){"use strict";e.exports=n(4202)},579(e,t,n){"use strict";e.exports=n(1153)},6378(e,t){"use strict";var n,r=Symbol.for("react.element"),o=Symbol.for("react.portal"),i=Symbol.for("react.fragment"),a=Symbol.for("react.strict_mode"),l=Symbol.for("react.profiler"),u=Symbol.for("react.provider"),c=Symbol.for("react.context"),s=Symbol.for("react.server_context"),f=Symbol.for("react.forward_ref"),d=Symbol.for("react.suspense"),p=Symbol.for("react.suspense_list"),h=Symbol.for("react.memo"),y=Symbol.for("react.lazy"),v=Symbol.for("react.offscreen");function m(e){if("object"===typeof e&&null!==e){var t=e.$$typeof;switch(t){case r:switch(e=e.type){case i:case l:case a:case d:case p:return e;default:switch(e=e&&e.$$typeof){case s:case c:case f:case y:case h:case u:return e;default:return t}}case o:return t}}}n=Symbol.for("react.module.reference"),t.isFragment=function(e){return m(e)===i}},9062(e,t,n){"use strict";e.exports=n(6378)},7234(e,t){"use strict";function n(e,t){var n=e.length;e.push(t);e:for(;0<n;){var r=n-1>>>1,o=e[r];if(!(0<i(o,t)))break e;e[r]=t,e[n]=o,n=r}}function r(e){return 0===e.length?null:e[0]}function o(e){if(0===e.length)return null;var t=e[0],n=e.pop();if(n!==t){e[0]=n;e:for(var r=0,o=e.length,a=o>>>1;r<a;){var l=2*(r+1)-1,u=e[l],c=l+1,s=e[c];if(0>i(u,n))c<o&&0>i(s,u)?(e[r]=s,e[c]=n,r=c):(e[r]=u,e[l]=n,r=l);else{if(!(c<o&&0>i(s,n)))break e;e[r]=s,e[c]=n,r=c}}}return t}function i(e,t){var n=e.sortIndex-t.sortIndex;return 0!==n?n:e.id-t.id}if("object"===typeof performance&&"function"===typeof performance.now){var a=performance;t.unstable_now=function(){return a.now()}}else{var l=Date,u=l.now();t.unstable_now=function(){return l.now()-u}}var c=[],s=[],f=1,d=null,p=3,h=!1,y=!1,v=!1,m="function"===typeof setTimeout?setTimeout:null,g="function"===typeof clearTimeout?clearTimeout:null,b="undefined"!==typeof setImmediate?setImmediate:null;function x(e){for(var t=r(s);null!==t;){if(null===t.callback)o(s);else{if(!(t.startTime<=e))break;o(s),t.sortIndex=t.expirationTime,n(c,t)}t=r(s)}}function w(e){if(v=!1,x(e),!y)if(null!==r(c))y=!0,N(O);else{var t=r(s);null!==t&&I(w,t.startTime-e)}}function O(e,n){y=!1,v&&(v=!1,g(P),P=-1),h=!0;var i=p;try{for(x(n),d=r(c);null!==d&&(!(d.expirationTime>n)||e&&!A());){var a=d.callback;if("function"===typeof a){d.callback=null,p=d.priorityLevel;var l=a(d.expirationTime<=n);n=t.unstable_now(),"function"===typeof l?d.callback=l:d===r(c)&&o(c),x(n)}else o(c);d=r(c)}if(null!==d)var u=!0;else{var f=r(s);null!==f&&I(w,f.startTime-n),u=!1}return u}finally{d=null,p=i,h=!1}}"undefined"!==typeof navigator&&void 0!==navigator.scheduling&&void 0!==navigator.scheduling.isInputPending&&navigator.scheduling.isInputPending.bind(navigator.scheduling);var S,j=!1,k=null,P=-1,E=5,_=-1;function A(){return!(t.unstable_now()-_<E)}function T(){if(null!==k){var e=t.unstable_now();_=e;var n=!0;try{n=k(!0,e)}finally{n?S():(j=!1,k=null)}}else j=!1}if("function"===typeof b)S=function(){b(T)};else if("undefined"!==typeof MessageChannel){var C=new MessageChannel,M=C.port2;C.port1.onmessage=T,S=function(){M.postMessage(null)}}else S=function(){m(T,0)};function N(e){k=e,j||(j=!0,S())}function I(e,n){P=m(function(){e(t.unstable_now())},n)}t.unstable_IdlePriority=5,t.unstable_ImmediatePriority=1,t.unstable_LowPriority=4,t.unstable_NormalPriority=3,t.unstable_Profiling=null,t.unstable_UserBlockingPriority=2,t.unstable_cancelCallback=function(e){e.callback=null},t.unstable_continueExecution=function(){y||h||(y=!0,N(O))},t.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):E=0<e?Math.floor(1e3/e):5},t.unstable_getCurrentPriorityLevel=function(){return p},t.unstable_getFirstCallbackNode=function(){return r(c)},t.unstable_next=function(e){switch(p){case 1:case 2:case 3:var t=3;break;default:t=p}var n=p;p=t;try{return e()}finally{p=n}},t.unstable_pauseExecution=function(){},t.unstable_requestPaint=function(){},t.unstable_runWithPriority=function(e,t){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var n=p;p=e;try{return t()}finally{p=n}},t.unstable_scheduleCallback=function(e,o,i){var a=t.unstable_now();switch("object"===typeof i&&null!==i?i="number"===typeof(i=i.delay)&&0<i?a+i:a:i=a,e){case 1:var l=-1;break;case 2:l=250;break;case 5:l=1073741823;break;case 4:l=1e4;break;default:l=5e3}return e={id:f++,callback:o,priorityLevel:e,startTime:i,expirationTime:l=i+l,sortIndex:-1},i>a?(e.sortIndex=i,n(s,e),null===r(c)&&e===r(s)&&(v?(g(P),P=-1):v=!0,I(w,i-a))):(e.sortIndex=l,n(c,e),y||h||(y=!0,N(O))),e},t.unstable_shouldYield=A,t.unstable_wrapCallback=function(e){var t=p;return function(){var n=p;p=t;try{return e.apply(this,arguments)}finally{p=n}}}},8853(e,t,n){"use strict";e.exports=n(7234)},6326(e,t,n){"use strict";n.r(t),n.d(t,{__addDisposableResource:()=>D,__assign:()=>i,__asyncDelegator:()=>k,__asyncGenerator:()=>j,__asyncValues:()=>P,__await:()=>S,__awaiter:()=>h,__classPrivateFieldGet:()=>M,__classPrivateFieldIn:()=>I,__classPrivateFieldSet:()=>N,__createBinding:()=>v,__decorate:()=>l,__disposeResources:()=>L,__esDecorate:()=>c,__exportStar:()=>m,__extends:()=>o,__generator:()=>y,__importDefault:()=>C,__importStar:()=>T,__makeTemplateObject:()=>E,__metadata:()=>p,__param:()=>u,__propKey:()=>f,__read:()=>b,__rest:()=>a,__rewriteRelativeImportExtension:()=>R,__runInitializers:()=>s,__setFunctionName:()=>d,__spread:()=>x,__spreadArray:()=>O,__spreadArrays:()=>w,__values:()=>g,default:()=>B});var r=function(e,t){return r=Object.setPrototypeOf||{__proto__:[]}instanceof Array&&function(e,t){e.__proto__=t}||function(e,t){for(var n in t)Object.prototype.hasOwnProperty.call(t,n)&&(e[n]=t[n])},r(e,t)};function o(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Class extends value "+String(t)+" is not a constructor or null");function n(){this.constructor=e}r(e,t),e.prototype=null===t?Object.create(t):(n.prototype=t.prototype,new n)}var i=function(){return i=Object.assign||function(e){for(var t,n=1,r=arguments.length;n<r;n++)for(var o in t=arguments[n])Object.prototype.hasOwnProperty.call(t,o)&&(e[o]=t[o]);return e},i.apply(this,arguments)};function a(e,t){var n={};for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&t.indexOf(r)<0&&(n[r]=e[r]);if(null!=e&&"function"===typeof Object.getOwnPropertySymbols){var o=0;for(r=Object.getOwnPropertySymbols(e);o<r.length;o++)t.indexOf(r[o])<0&&Object.prototype.propertyIsEnumerable.call(e,r[o])&&(n[r[o]]=e[r[o]])}return n}function l(e,t,n,r){var o,i=arguments.length,a=i<3?t:null===r?r=Object.getOwnPropertyDescriptor(t,n):r;if("object"===typeof Reflect&&"function"===typeof Reflect.decorate)a=Reflect.decorate(e,t,n,r);else for(var l=e.length-1;l>=0;l--)(o=e[l])&&(a=(i<3?o(a):i>3?o(t,n,a):o(t,n))||a);return i>3&&a&&Object.defineProperty(t,n,a),a}function u(e,t){return function(n,r){t(n,r,e)}}function c(e,t,n,r,o,i){function a(e){if(void 0!==e&&"function"!==typeof e)throw new TypeError("Function expected");return e}for(var l,u=r.kind,c="getter"===u?"get":"setter"===u?"set":"value",s=!t&&e?r.static?e:e.prototype:null,f=t||(s?Object.getOwnPropertyDescriptor(s,r.name):{}),d=!1,p=n.length-1;p>=0;p--){var h={};for(var y in r)h[y]="access"===y?{}:r[y];for(var y in r.access)h.access[y]=r.access[y];h.addInitializer=function(e){if(d)throw new TypeError("Cannot add initializers after decoration has completed");i.push(a(e||null))};var v=(0,n[p])("accessor"===u?{get:f.get,set:f.set}:f[c],h);if("accessor"===u){if(void 0===v)continue;if(null===v||"object"!==typeof v)throw new TypeError("Object expected");(l=a(v.get))&&(f.get=l),(l=a(v.set))&&(f.set=l),(l=a(v.init))&&o.unshift(l)}else(l=a(v))&&("field"===u?o.unshift(l):f[c]=l)}s&&Object.defineProperty(s,r.name,f),d=!0}function s(e,t,n){for(var r=arguments.length>2,o=0;o<t.length;o++)n=r?t[o].call(e,n):t[o].call(e);return r?n:void 0}function f(e){return"symbol"===typeof e?e:"".concat(e)}function d(e,t,n){return"symbol"===typeof t&&(t=t.description?"[".concat(t.description,"]"):""),Object.defineProperty(e,"name",{configurable:!0,value:n?"".concat(n," ",t):t})}function p(e,t){if("object"===typeof Reflect&&"function"===typeof Reflect.metadata)return Reflect.metadata(e,t)}function h(e,t,n,r){return new(n||(n=Promise))(function(o,i){function a(e){try{u(r.next(e))}catch(t){i(t)}}function l(e){try{u(r.throw(e))}catch(t){i(t)}}function u(e){var t;e.done?o(e.value):(t=e.value,t instanceof n?t:new n(function(e){e(t)})).then(a,l)}u((r=r.apply(e,t||[])).next())})}function y(e,t){var n,r,o,i={label:0,sent:function(){if(1&o[0])throw o[1];return o[1]},trys:[],ops:[]},a=Object.create(("function"===typeof Iterator?Iterator:Object).prototype);return a.next=l(0),a.throw=l(1),a.return=l(2),"function"===typeof Symbol&&(a[Symbol.iterator]=function(){return this}),a;function l(l){return function(u){return function(l){if(n)throw new TypeError("Generator is already executing.");for(;a&&(a=0,l[0]&&(i=0)),i;)try{if(n=1,r&&(o=2&l[0]?r.return:l[0]?r.throw||((o=r.return)&&o.call(r),0):r.next)&&!(o=o.call(r,l[1])).done)return o;switch(r=0,o&&(l=[2&l[0],o.value]),l[0]){case 0:case 1:o=l;break;case 4:return i.label++,{value:l[1],done:!1};case 5:i.label++,r=l[1],l=[0];continue;case 7:l=i.ops.pop(),i.trys.pop();continue;default:if(!(o=(o=i.trys).length>0&&o[o.length-1])&&(6===l[0]||2===l[0])){i=0;continue}if(3===l[0]&&(!o||l[1]>o[0]&&l[1]<o[3])){i.label=l[1];break}if(6===l[0]&&i.label<o[1]){i.label=o[1],o=l;break}if(o&&i.label<o[2]){i.label=o[2],i.ops.push(l);break}o[2]&&i.ops.pop(),i.trys.pop();continue}l=t.call(e,i)}catch(u){l=[6,u],r=0}finally{n=o=0}if(5&l[0])throw l[1];return{value:l[0]?l[1]:void 0,done:!0}}([l,u])}}}var v=Object.create?function(e,t,n,r){void 0===r&&(r=n);var o=Object.getOwnPropertyDescriptor(t,n);o&&!("get"in o?!t.__esModule:o.writable||o.configurable)||(o={enumerable:!0,get:function(){return t[n]}}),Object.defineProperty(e,r,o)}:function(e,t,n,r){void 0===r&&(r=n),e[r]=t[n]};function m(e,t){for(var n in e)"default"===n||Object.prototype.hasOwnProperty.call(t,n)||v(t,e,n)}function g(e){var t="function"===typeof Symbol&&Symbol.iterator,n=t&&e[t],r=0;if(n)return n.call(e);if(e&&"number"===typeof e.length)return{next:function(){return e&&r>=e.length&&(e=void 0),{value:e&&e[r++],done:!e}}};throw new TypeError(t?"Object is not iterable.":"Symbol.iterator is not defined.")}function b(e,t){var n="function"===typeof Symbol&&e[Symbol.iterator];if(!n)return e;var r,o,i=n.call(e),a=[];try{for(;(void 0===t||t-- >0)&&!(r=i.next()).done;)a.push(r.value)}catch(l){o={error:l}}finally{try{r&&!r.done&&(n=i.return)&&n.call(i)}finally{if(o)throw o.error}}return a}function x(){for(var e=[],t=0;t<arguments.length;t++)e=e.concat(b(arguments[t]));return e}function w(){for(var e=0,t=0,n=arguments.length;t<n;t++)e+=arguments[t].length;var r=Array(e),o=0;for(t=0;t<n;t++)for(var i=arguments[t],a=0,l=i.length;a<l;a++,o++)r[o]=i[a];return r}function O(e,t,n){if(n||2===arguments.length)for(var r,o=0,i=t.length;o<i;o++)!r&&o in t||(r||(r=Array.prototype.slice.call(t,0,o)),r[o]=t[o]);return e.concat(r||Array.prototype.slice.call(t))}function S(e){return this instanceof S?(this.v=e,this):new S(e)}function j(e,t,n){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var r,o=n.apply(e,t||[]),i=[];return r=Object.create(("function"===typeof AsyncIterator?AsyncIterator:Object).prototype),a("next"),a("throw"),a("return",function(e){return function(t){return Promise.resolve(t).then(e,c)}}),r[Symbol.asyncIterator]=function(){return this},r;function a(e,t){o[e]&&(r[e]=function(t){return new Promise(function(n,r){i.push([e,t,n,r])>1||l(e,t)})},t&&(r[e]=t(r[e])))}function l(e,t){try{(n=o[e](t)).value instanceof S?Promise.resolve(n.value.v).then(u,c):s(i[0][2],n)}catch(r){s(i[0][3],r)}var n}function u(e){l("next",e)}function c(e){l("throw",e)}function s(e,t){e(t),i.shift(),i.length&&l(i[0][0],i[0][1])}}function k(e){var t,n;return t={},r("next"),r("throw",function(e){throw e}),r("return"),t[Symbol.iterator]=function(){return this},t;function r(r,o){t[r]=e[r]?function(t){return(n=!n)?{value:S(e[r](t)),done:!1}:o?o(t):t}:o}}function P(e){if(!Symbol.asyncIterator)throw new TypeError("Symbol.asyncIterator is not defined.");var t,n=e[Symbol.asyncIterator];return n?n.call(e):(e=g(e),t={},r("next"),r("throw"),r("return"),t[Symbol.asyncIterator]=function(){return this},t);function r(n){t[n]=e[n]&&function(t){return new Promise(function(r,o){(function(e,t,n,r){Promise.resolve(r).then(function(t){e({value:t,done:n})},t)})(r,o,(t=e[n](t)).done,t.value)})}}}function E(e,t){return Object.defineProperty?Object.defineProperty(e,"raw",{value:t}):e.raw=t,e}var _=Object.create?function(e,t){Object.defineProperty(e,"default",{enumerable:!0,value:t})}:function(e,t){e.default=t},A=function(e){return A=Object.getOwnPropertyNames||function(e){var t=[];for(var n in e)Object.prototype.hasOwnProperty.call(e,n)&&(t[t.length]=n);return t},A(e)};function T(e){if(e&&e.__esModule)return e;var t={};if(null!=e)for(var n=A(e),r=0;r<n.length;r++)"default"!==n[r]&&v(t,e,n[r]);return _(t,e),t}function C(e){return e&&e.__esModule?e:{default:e}}function M(e,t,n,r){if("a"===n&&!r)throw new TypeError("Private accessor was defined without a getter");if("function"===typeof t?e!==t||!r:!t.has(e))throw new TypeError("Cannot read private member from an object whose class did not declare it");return"m"===n?r:"a"===n?r.call(e):r?r.value:t.get(e)}function N(e,t,n,r,o){if("m"===r)throw new TypeError("Private method is not writable");if("a"===r&&!o)throw new TypeError("Private accessor was defined without a setter");if("function"===typeof t?e!==t||!o:!t.has(e))throw new TypeError("Cannot write private member to an object whose class did not declare it");return"a"===r?o.call(e,n):o?o.value=n:t.set(e,n),n}function I(e,t){if(null===t||"object"!==typeof t&&"function"!==typeof t)throw new TypeError("Cannot use 'in' operator on non-object");return"function"===typeof e?t===e:e.has(t)}function D(e,t,n){if(null!==t&&void 0!==t){if("object"!==typeof t&&"function"!==typeof t)throw new TypeError("Object expected.");var r,o;if(n){if(!Symbol.asyncDispose)throw new TypeError("Symbol.asyncDispose is not defined.");r=t[Symbol.asyncDispose]}if(void 0===r){if(!Symbol.dispose)throw new TypeError("Symbol.dispose is not defined.");r=t[Symbol.dispose],n&&(o=r)}if("function"!==typeof r)throw new TypeError("Object not disposable.");o&&(r=function(){try{o.call(this)}catch(e){return Promise.reject(e)}}),e.stack.push({value:t,dispose:r,async:n})}else n&&e.stack.push({async:!0});return t}var z="function"===typeof SuppressedError?SuppressedError:function(e,t,n){var r=new Error(n);return r.name="SuppressedError",r.error=e,r.suppressed=t,r};function L(e){function t(t){e.error=e.hasError?new z(t,e.error,"An error was suppressed during disposal."):t,e.hasError=!0}var n,r=0;return function o(){for(;n=e.stack.pop();)try{if(!n.async&&1===r)return r=0,e.stack.push(n),Promise.resolve().then(o);if(n.dispose){var i=n.dispose.call(n.value);if(n.async)return r|=2,Promise.resolve(i).then(o,function(e){return t(e),o()})}else r|=1}catch(a){t(a)}if(1===r)return e.hasError?Promise.reject(e.error):Promise.resolve();if(e.hasError)throw e.error}()}function R(e,t){return"string"===typeof e&&/^\.\.?\//.test(e)?e.replace(/\.(tsx)$|((?:\.d)?)((?:\.[^./]+?)?)\.([cm]?)ts$/i,function(e,n,r,o,i){return n?t?".jsx":".js":!r||o&&i?r+o+"."+i.toLowerCase()+"js":e}):e}const B={__extends:o,__assign:i,__rest:a,__decorate:l,__param:u,__esDecorate:c,__runInitializers:s,__propKey:f,__setFunctionName:d,__metadata:p,__awaiter:h,__generator:y,__createBinding:v,__exportStar:m,__values:g,__read:b,__spread:x,__spreadArrays:w,__spreadArray:O,__await:S,__asyncGenerator:j,__asyncDelegator:k,__asyncValues:P,__makeTemplateObject:E,__importStar:T,__importDefault:C,__classPrivateFieldGet:M,__classPrivateFieldSet:N,__classPrivateFieldIn:I,__addDisposableResource:D,__disposeResources:L,__rewriteRelativeImportExtension:R}}},t={};function n(r){var o=t[r];if(void 0!==o)return o.exports;var i=t[r]={id:r,loaded:!1,exports:{}};return e[r].call(i.exports,i,i.exports,n),i.loaded=!0,i.exports}n.n=e=>{var t=e&&e.__esModule?()=>e.default:()=>e;return n.d(t,{a:t}),t},n.d=(e,t)=>{for(var r in t)n.o(t,r)&&!n.o(e,r)&&Object.defineProperty(e,r,{enumerable:!0,get:t[r]})},n.g=function(){if("object"===typeof globalThis)return globalThis;try{return this||new Function("return this")()}catch(e){if("object"===typeof window)return window}}(),n.o=(e,t)=>Object.prototype.hasOwnProperty.call(e,t),n.r=e=>{"undefined"!==typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(e,"__esModule",{value:!0})},n.nmd=e=>(e.paths=[],e.children||(e.children=[]),e),(()=>{"use strict";var e={};n.r(e),n.d(e,{scaleBand:()=>Ko,scaleDiverging:()=>js,scaleDivergingLog:()=>ks,scaleDivergingPow:()=>Es,scaleDivergingSqrt:()=>_s,scaleDivergingSymlog:()=>Ps,scaleIdentity:()=>gl,scaleImplicit:()=>Ho,scaleLinear:()=>ml,scaleLog:()=>El,scaleOrdinal:()=>$o,scalePoint:()=>Yo,scalePow:()=>zl,scaleQuantile:()=>Xl,scaleQuantize:()=>Yl,scaleRadial:()=>Bl,scaleSequential:()=>ms,scaleSequentialLog:()=>gs,scaleSequentialPow:()=>xs,scaleSequentialQuantile:()=>Os,scaleSequentialSqrt:()=>ws,scaleSequentialSymlog:()=>bs,scaleSqrt:()=>Ll,scaleSymlog:()=>Cl,scaleThreshold:()=>Gl,scaleTime:()=>ps,scaleUtc:()=>hs,tickFormat:()=>yl});var t=n(5043),r=n(4391),o=n(870);function i(e){var t,n,r="";if("string"==typeof e||"number"==typeof e)r+=e;else if("object"==typeof e)if(Array.isArray(e)){var o=e.length;for(t=0;t<o;t++)e[t]&&(n=i(e[t]))&&(r&&(r+=" "),r+=n)}else for(n in e)e[n]&&(r&&(r+=" "),r+=n);return r}const a=function(){for(var e,t,n=0,r="",o=arguments.length;n<o;n++)(e=arguments[n])&&(t=i(e))&&(r&&(r+=" "),r+=t);return r};var l=n(9889),u=n.n(l),c=n(620),s=n.n(c),f=n(5268),d=n.n(f),p=n(3097),h=n.n(p),y=n(9160),v=n.n(y),m=n(9686),g=n.n(m),b=function(e){return 0===e?0:e>0?1:-1},x=function(e){return s()(e)&&e.indexOf("%")===e.length-1},w=function(e){return v()(e)&&!d()(e)},O=function(e){return w(e)||s()(e)},S=0,j=function(e){var t=++S;return"".concat(e||"").concat(t)},k=function(e,t){var n,r=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,o=arguments.length>3&&void 0!==arguments[3]&&arguments[3];if(!w(e)&&!s()(e))return r;if(x(e)){var i=e.indexOf("%");n=t*parseFloat(e.slice(0,i))/100}else n=+e;return d()(n)&&(n=r),o&&n>t&&(n=t),n},P=function(e){if(!e)return null;var t=Object.keys(e);return t&&t.length?e[t[0]]:null},E=function(e,t){return w(e)&&w(t)?function(n){return e+n*(t-e)}:function(){return t}};function _(e,t,n){return e&&e.length?e.find(function(e){return e&&("function"===typeof t?t(e):h()(e,t))===n}):null}var A=function(e,t){return w(e)&&w(t)?e-t:s()(e)&&s()(t)?e.localeCompare(t):e instanceof Date&&t instanceof Date?e.getTime()-t.getTime():String(e).localeCompare(String(t))},T=function(e,t){for(var n=arguments.length,r=new Array(n>2?n-2:0),o=2;o<n;o++)r[o-2]=arguments[o]},C=n(1629),M=n.n(C),N=n(6686),I=n.n(N),D=n(9062);function z(e,t){for(var n in e)if({}.hasOwnProperty.call(e,n)&&(!{}.hasOwnProperty.call(t,n)||e[n]!==t[n]))return!1;for(var r in t)if({}.hasOwnProperty.call(t,r)&&!{}.hasOwnProperty.call(e,r))return!1;return!0}function L(e){return L="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},L(e)}var R=["aria-activedescendant","aria-atomic","aria-autocomplete","aria-busy","aria-checked","aria-colcount","aria-colindex","aria-colspan","aria-controls","aria-current","aria-describedby","aria-details","aria-disabled","aria-errormessage","aria-expanded","aria-flowto","aria-haspopup","aria-hidden","aria-invalid","aria-keyshortcuts","aria-label","aria-labelledby","aria-level","aria-live","aria-modal","aria-multiline","aria-multiselectable","aria-orientation","aria-owns","aria-placeholder","aria-posinset","aria-pressed","aria-readonly","aria-relevant","aria-required","aria-roledescription","aria-rowcount","aria-rowindex","aria-rowspan","aria-selected","aria-setsize","aria-sort","aria-valuemax","aria-valuemin","aria-valuenow","aria-valuetext","className","color","height","id","lang","max","media","method","min","name","style","target","width","role","tabIndex","accentHeight","accumulate","additive","alignmentBaseline","allowReorder","alphabetic","amplitude","arabicForm","ascent","attributeName","attributeType","autoReverse","azimuth","baseFrequency","baselineShift","baseProfile","bbox","begin","bias","by","calcMode","capHeight","clip","clipPath","clipPathUnits","clipRule","colorInterpolation","colorInterpolationFilters","colorProfile","colorRendering","contentScriptType","contentStyleType","cursor","cx","cy","d","decelerate","descent","diffuseConstant","direction","display","divisor","dominantBaseline","dur","dx","dy","edgeMode","elevation","enableBackground","end","exponent","externalResourcesRequired","fill","fillOpacity","fillRule","filter","filterRes","filterUnits","floodColor","floodOpacity","focusable","fontFamily","fontSize","fontSizeAdjust","fontStretch","fontStyle","fontVariant","fontWeight","format","from","fx","fy","g1","g2","glyphName","glyphOrientationHorizontal","glyphOrientationVertical","glyphRef","gradientTransform","gradientUnits","hanging","horizAdvX","horizOriginX","href","ideographic","imageRendering","in2","in","intercept","k1","k2","k3","k4","k","kernelMatrix","kernelUnitLength","kerning","keyPoints","keySplines","keyTimes","lengthAdjust","letterSpacing","lightingColor","limitingConeAngle","local","markerEnd","markerHeight","markerMid","markerStart","markerUnits","markerWidth","mask","maskContentUnits","maskUnits","mathematical","mode","numOctaves","offset","opacity","operator","order","orient","orientation","origin","overflow","overlinePosition","overlineThickness","paintOrder","panose1","pathLength","patternContentUnits","patternTransform","patternUnits","pointerEvents","pointsAtX","pointsAtY","pointsAtZ","preserveAlpha","preserveAspectRatio","primitiveUnits","r","radius","refX","refY","renderingIntent","repeatCount","repeatDur","requiredExtensions","requiredFeatures","restart","result","rotate","rx","ry","seed","shapeRendering","slope","spacing","specularConstant","specularExponent","speed","spreadMethod","startOffset","stdDeviation","stemh","stemv","stitchTiles","stopColor","stopOpacity","strikethroughPosition","strikethroughThickness","string","stroke","strokeDasharray","strokeDashoffset","strokeLinecap","strokeLinejoin","strokeMiterlimit","strokeOpacity","strokeWidth","surfaceScale","systemLanguage","tableValues","targetX","targetY","textAnchor","textDecoration","textLength","textRendering","to","transform","u1","u2","underlinePosition","underlineThickness","unicode","unicodeBidi","unicodeRange","unitsPerEm","vAlphabetic","values","vectorEffect","version","vertAdvY","vertOriginX","vertOriginY","vHanging","vIdeographic","viewTarget","visibility","vMathematical","widths","wordSpacing","writingMode","x1","x2","x","xChannelSelector","xHeight","xlinkActuate","xlinkArcrole","xlinkHref","xlinkRole","xlinkShow","xlinkTitle","xlinkType","xmlBase","xmlLang","xmlns","xmlnsXlink","xmlSpace","y1","y2","y","yChannelSelector","z","zoomAndPan","ref","key","angle"],B=["points","pathLength"],F={svg:["viewBox","children"],polygon:B,polyline:B},U=["dangerouslySetInnerHTML","onCopy","onCopyCapture","onCut","onCutCapture","onPaste","onPasteCapture","onCompositionEnd","onCompositionEndCapture","onCompositionStart","onCompositionStartCapture","onCompositionUpdate","onCompositionUpdateCapture","onFocus","onFocusCapture","onBlur","onBlurCapture","onChange","onChangeCapture","onBeforeInput","onBeforeInputCapture","onInput","onInputCapture","onReset","onResetCapture","onSubmit","onSubmitCapture","onInvalid","onInvalidCapture","onLoad","onLoadCapture","onError","onErrorCapture","onKeyDown","onKeyDownCapture","onKeyPress","onKeyPressCapture","onKeyUp","onKeyUpCapture","onAbort","onAbortCapture","onCanPlay","onCanPlayCapture","onCanPlayThrough","onCanPlayThroughCapture","onDurationChange","onDurationChangeCapture","onEmptied","onEmptiedCapture","onEncrypted","onEncryptedCapture","onEnded","onEndedCapture","onLoadedData","onLoadedDataCapture","onLoadedMetadata","onLoadedMetadataCapture","onLoadStart","onLoadStartCapture","onPause","onPauseCapture","onPlay","onPlayCapture","onPlaying","onPlayingCapture","onProgress","onProgressCapture","onRateChange","onRateChangeCapture","onSeeked","onSeekedCapture","onSeeking","onSeekingCapture","onStalled","onStalledCapture","onSuspend","onSuspendCapture","onTimeUpdate","onTimeUpdateCapture","onVolumeChange","onVolumeChangeCapture","onWaiting","onWaitingCapture","onAuxClick","onAuxClickCapture","onClick","onClickCapture","onContextMenu","onContextMenuCapture","onDoubleClick","onDoubleClickCapture","onDrag","onDragCapture","onDragEnd","onDragEndCapture","onDragEnter","onDragEnterCapture","onDragExit","onDragExitCapture","onDragLeave","onDragLeaveCapture","onDragOver","onDragOverCapture","onDragStart","onDragStartCapture","onDrop","onDropCapture","onMouseDown","onMouseDownCapture","onMouseEnter","onMouseLeave","onMouseMove","onMouseMoveCapture","onMouseOut","onMouseOutCapture","onMouseOver","onMouseOverCapture","onMouseUp","onMouseUpCapture","onSelect","onSelectCapture","onTouchCancel","onTouchCancelCapture","onTouchEnd","onTouchEndCapture","onTouchMove","onTouchMoveCapture","onTouchStart","onTouchStartCapture","onPointerDown","onPointerDownCapture","onPointerMove","onPointerMoveCapture","onPointerUp","onPointerUpCapture","onPointerCancel","onPointerCancelCapture","onPointerEnter","onPointerEnterCapture","onPointerLeave","onPointerLeaveCapture","onPointerOver","onPointerOverCapture","onPointerOut","onPointerOutCapture","onGotPointerCapture","onGotPointerCaptureCapture","onLostPointerCapture","onLostPointerCaptureCapture","onScroll","onScrollCapture","onWheel","onWheelCapture","onAnimationStart","onAnimationStartCapture","onAnimationEnd","onAnimationEndCapture","onAnimationIteration","onAnimationIterationCapture","onTransitionEnd","onTransitionEndCapture"],W=function(e,n){if(!e||"function"===typeof e||"boolean"===typeof e)return null;var r=e;if((0,t.isValidElement)(e)&&(r=e.props),!I()(r))return null;var o={};return Object.keys(r).forEach(function(e){U.includes(e)&&(o[e]=n||function(t){return r[e](r,t)})}),o},V=function(e,t,n){if(!I()(e)||"object"!==L(e))return null;var r=null;return Object.keys(e).forEach(function(o){var i=e[o];U.includes(o)&&"function"===typeof i&&(r||(r={}),r[o]=function(e,t,n){return function(r){return e(t,n,r),null}}(i,t,n))}),r},q=["children"],H=["children"];function $(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function K(e){return K="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},K(e)}var X={click:"onClick",mousedown:"onMouseDown",mouseup:"onMouseUp",mouseover:"onMouseOver",mousemove:"onMouseMove",mouseout:"onMouseOut",mouseenter:"onMouseEnter",mouseleave:"onMouseLeave",touchcancel:"onTouchCancel",touchend:"onTouchEnd",touchmove:"onTouchMove",touchstart:"onTouchStart",contextmenu:"onContextMenu",dblclick:"onDoubleClick"},Y=function(e){return"string"===typeof e?e:e?e.displayName||e.name||"Component":""},G=null,Q=null,Z=function e(n){if(n===G&&Array.isArray(Q))return Q;var r=[];return t.Children.forEach(n,function(t){g()(t)||((0,D.isFragment)(t)?r=r.concat(e(t.props.children)):r.push(t))}),Q=r,G=n,r};function J(e,t){var n=[],r=[];return r=Array.isArray(t)?t.map(function(e){return Y(e)}):[Y(t)],Z(e).forEach(function(e){var t=h()(e,"type.displayName")||h()(e,"type.name");-1!==r.indexOf(t)&&n.push(e)}),n}function ee(e,t){var n=J(e,t);return n&&n[0]}var te=function(e){if(!e||!e.props)return!1;var t=e.props,n=t.width,r=t.height;return!(!w(n)||n<=0||!w(r)||r<=0)},ne=["a","altGlyph","altGlyphDef","altGlyphItem","animate","animateColor","animateMotion","animateTransform","circle","clipPath","color-profile","cursor","defs","desc","ellipse","feBlend","feColormatrix","feComponentTransfer","feComposite","feConvolveMatrix","feDiffuseLighting","feDisplacementMap","feDistantLight","feFlood","feFuncA","feFuncB","feFuncG","feFuncR","feGaussianBlur","feImage","feMerge","feMergeNode","feMorphology","feOffset","fePointLight","feSpecularLighting","feSpotLight","feTile","feTurbulence","filter","font","font-face","font-face-format","font-face-name","font-face-url","foreignObject","g","glyph","glyphRef","hkern","image","line","lineGradient","marker","mask","metadata","missing-glyph","mpath","path","pattern","polygon","polyline","radialGradient","rect","script","set","stop","style","svg","switch","symbol","text","textPath","title","tref","tspan","use","view","vkern"],re=function(e){return e&&e.type&&s()(e.type)&&ne.indexOf(e.type)>=0},oe=function(e){return e&&"object"===K(e)&&"clipDot"in e},ie=function(e,n,r){if(!e||"function"===typeof e||"boolean"===typeof e)return null;var o=e;if((0,t.isValidElement)(e)&&(o=e.props),!I()(o))return null;var i={};return Object.keys(o).forEach(function(e){var t;(function(e,t,n,r){var o,i=null!==(o=null===F||void 0===F?void 0:F[r])&&void 0!==o?o:[];return t.startsWith("data-")||!M()(e)&&(r&&i.includes(t)||R.includes(t))||n&&U.includes(t)})(null===(t=o)||void 0===t?void 0:t[e],e,n,r)&&(i[e]=o[e])}),i},ae=function e(n,r){if(n===r)return!0;var o=t.Children.count(n);if(o!==t.Children.count(r))return!1;if(0===o)return!0;if(1===o)return le(Array.isArray(n)?n[0]:n,Array.isArray(r)?r[0]:r);for(var i=0;i<o;i++){var a=n[i],l=r[i];if(Array.isArray(a)||Array.isArray(l)){if(!e(a,l))return!1}else if(!le(a,l))return!1}return!0},le=function(e,t){if(g()(e)&&g()(t))return!0;if(!g()(e)&&!g()(t)){var n=e.props||{},r=n.children,o=$(n,q),i=t.props||{},a=i.children,l=$(i,H);return r&&a?z(o,l)&&ae(r,a):!r&&!a&&z(o,l)}return!1},ue=function(e,t){var n=[],r={};return Z(e).forEach(function(e,o){if(re(e))n.push(e);else if(e){var i=Y(e.type),a=t[i]||{},l=a.handler,u=a.once;if(l&&(!u||!r[i])){var c=l(e,i,o);n.push(c),r[i]=!0}}}),n};function ce(e){return ce="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},ce(e)}function se(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function fe(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?se(Object(n),!0).forEach(function(t){de(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):se(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function de(e,t,n){return t=function(e){var t=function(e,t){if("object"!=ce(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=ce(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==ce(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function pe(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return he(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return he(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function he(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var ye=(0,t.forwardRef)(function(e,n){var r=e.aspect,o=e.initialDimension,i=void 0===o?{width:-1,height:-1}:o,l=e.width,c=void 0===l?"100%":l,s=e.height,f=void 0===s?"100%":s,d=e.minWidth,p=void 0===d?0:d,h=e.minHeight,y=e.maxHeight,v=e.children,m=e.debounce,g=void 0===m?0:m,b=e.id,w=e.className,O=e.onResize,S=e.style,j=void 0===S?{}:S,k=(0,t.useRef)(null),P=(0,t.useRef)();P.current=O,(0,t.useImperativeHandle)(n,function(){return Object.defineProperty(k.current,"current",{get:function(){return console.warn("The usage of ref.current.current is deprecated and will no longer be supported."),k.current},configurable:!0})});var E=pe((0,t.useState)({containerWidth:i.width,containerHeight:i.height}),2),_=E[0],A=E[1],C=(0,t.useCallback)(function(e,t){A(function(n){var r=Math.round(e),o=Math.round(t);return n.containerWidth===r&&n.containerHeight===o?n:{containerWidth:r,containerHeight:o}})},[]);(0,t.useEffect)(function(){var e=function(e){var t,n=e[0].contentRect,r=n.width,o=n.height;C(r,o),null===(t=P.current)||void 0===t||t.call(P,r,o)};g>0&&(e=u()(e,g,{trailing:!0,leading:!1}));var t=new ResizeObserver(e),n=k.current.getBoundingClientRect(),r=n.width,o=n.height;return C(r,o),t.observe(k.current),function(){t.disconnect()}},[C,g]);var M=(0,t.useMemo)(function(){var e=_.containerWidth,n=_.containerHeight;if(e<0||n<0)return null;T(x(c)||x(f),"The width(%s) and height(%s) are both fixed numbers,\n       maybe you don't need to use a ResponsiveContainer.",c,f),T(!r||r>0,"The aspect(%s) must be greater than zero.",r);var o=x(c)?e:c,i=x(f)?n:f;r&&r>0&&(o?i=o/r:i&&(o=i*r),y&&i>y&&(i=y)),T(o>0||i>0,"The width(%s) and height(%s) of chart should be greater than 0,\n       please check the style of container, or the props width(%s) and height(%s),\n       or add a minWidth(%s) or minHeight(%s) or use aspect(%s) to control the\n       height and width.",o,i,c,f,p,h,r);var a=!Array.isArray(v)&&Y(v.type).endsWith("Chart");return t.Children.map(v,function(e){return t.isValidElement(e)?(0,t.cloneElement)(e,fe({width:o,height:i},a?{style:fe({height:"100%",width:"100%",maxHeight:i,maxWidth:o},e.props.style)}:{})):e})},[r,v,f,y,h,p,_,c]);return t.createElement("div",{id:b?"".concat(b):void 0,className:a("recharts-responsive-container",w),style:fe(fe({},j),{},{width:c,height:f,minWidth:p,minHeight:h,maxHeight:y}),ref:k},M)}),ve=n(6604),me=n.n(ve),ge=n(7424),be=n.n(ge),xe="Invariant failed";function we(e,t){if(!e)throw new Error(xe)}var Oe=["children","width","height","viewBox","className","style","title","desc"];function Se(){return Se=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Se.apply(this,arguments)}function je(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function ke(e){var n=e.children,r=e.width,o=e.height,i=e.viewBox,l=e.className,u=e.style,c=e.title,s=e.desc,f=je(e,Oe),d=i||{width:r,height:o,x:0,y:0},p=a("recharts-surface",l);return t.createElement("svg",Se({},ie(f,!0,"svg"),{className:p,width:r,height:o,style:u,viewBox:"".concat(d.x," ").concat(d.y," ").concat(d.width," ").concat(d.height)}),t.createElement("title",null,c),t.createElement("desc",null,s),n)}var Pe=["children","className"];function Ee(){return Ee=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Ee.apply(this,arguments)}function _e(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var Ae=t.forwardRef(function(e,n){var r=e.children,o=e.className,i=_e(e,Pe),l=a("recharts-layer",o);return t.createElement("g",Ee({className:l},ie(i,!0),{ref:n}),r)});function Te(e){return Te="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Te(e)}function Ce(){return Ce=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Ce.apply(this,arguments)}function Me(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Ne(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Ne(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Ne(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Ie(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function De(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Ie(Object(n),!0).forEach(function(t){ze(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Ie(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function ze(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Te(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Te(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Te(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Le(e){return Array.isArray(e)&&O(e[0])&&O(e[1])?e.join(" ~ "):e}var Re=function(e){var n=e.separator,r=void 0===n?" : ":n,o=e.contentStyle,i=void 0===o?{}:o,l=e.itemStyle,u=void 0===l?{}:l,c=e.labelStyle,s=void 0===c?{}:c,f=e.payload,d=e.formatter,p=e.itemSorter,h=e.wrapperClassName,y=e.labelClassName,v=e.label,m=e.labelFormatter,b=e.accessibilityLayer,x=void 0!==b&&b,w=De({margin:0,padding:10,backgroundColor:"#fff",border:"1px solid #ccc",whiteSpace:"nowrap"},i),S=De({margin:0},s),j=!g()(v),k=j?v:"",P=a("recharts-default-tooltip",h),E=a("recharts-tooltip-label",y);j&&m&&void 0!==f&&null!==f&&(k=m(v,f));var _=x?{role:"status","aria-live":"assertive"}:{};return t.createElement("div",Ce({className:P,style:w},_),t.createElement("p",{className:E,style:S},t.isValidElement(k)?k:"".concat(k)),function(){if(f&&f.length){var e=(p?be()(f,p):f).map(function(e,n){if("none"===e.type)return null;var o=De({display:"block",paddingTop:4,paddingBottom:4,color:e.color||"#000"},u),i=e.formatter||d||Le,a=e.value,l=e.name,c=a,s=l;if(i&&null!=c&&null!=s){var p=i(a,l,e,n,f);if(Array.isArray(p)){var h=Me(p,2);c=h[0],s=h[1]}else c=p}return t.createElement("li",{className:"recharts-tooltip-item",key:"tooltip-item-".concat(n),style:o},O(s)?t.createElement("span",{className:"recharts-tooltip-item-name"},s):null,O(s)?t.createElement("span",{className:"recharts-tooltip-item-separator"},r):null,t.createElement("span",{className:"recharts-tooltip-item-value"},c),t.createElement("span",{className:"recharts-tooltip-item-unit"},e.unit||""))});return t.createElement("ul",{className:"recharts-tooltip-item-list",style:{padding:0,margin:0}},e)}return null}())};function Be(e){return Be="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Be(e)}function Fe(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Be(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Be(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Be(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var Ue="recharts-tooltip-wrapper",We={visibility:"hidden"};function Ve(e){var t=e.coordinate,n=e.translateX,r=e.translateY;return a(Ue,Fe(Fe(Fe(Fe({},"".concat(Ue,"-right"),w(n)&&t&&w(t.x)&&n>=t.x),"".concat(Ue,"-left"),w(n)&&t&&w(t.x)&&n<t.x),"".concat(Ue,"-bottom"),w(r)&&t&&w(t.y)&&r>=t.y),"".concat(Ue,"-top"),w(r)&&t&&w(t.y)&&r<t.y))}function qe(e){var t=e.allowEscapeViewBox,n=e.coordinate,r=e.key,o=e.offsetTopLeft,i=e.position,a=e.reverseDirection,l=e.tooltipDimension,u=e.viewBox,c=e.viewBoxDimension;if(i&&w(i[r]))return i[r];var s=n[r]-l-o,f=n[r]+o;return t[r]?a[r]?s:f:a[r]?s<u[r]?Math.max(f,u[r]):Math.max(s,u[r]):f+l>u[r]+c?Math.max(s,u[r]):Math.max(f,u[r])}function He(e){return He="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},He(e)}function $e(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ke(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?$e(Object(n),!0).forEach(function(t){Je(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):$e(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Xe(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,et(r.key),r)}}function Ye(e,t,n){return t=Qe(t),function(e,t){if(t&&("object"===He(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Ge()?Reflect.construct(t,n||[],Qe(e).constructor):t.apply(e,n))}function Ge(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Ge=function(){return!!e})()}function Qe(e){return Qe=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Qe(e)}function Ze(e,t){return Ze=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Ze(e,t)}function Je(e,t,n){return(t=et(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function et(e){var t=function(e,t){if("object"!=He(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=He(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==He(t)?t:t+""}var tt=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return Je(e=Ye(this,n,[].concat(r)),"state",{dismissed:!1,dismissedAtCoordinate:{x:0,y:0},lastBoundingBox:{width:-1,height:-1}}),Je(e,"handleKeyDown",function(t){var n,r,o,i;"Escape"===t.key&&e.setState({dismissed:!0,dismissedAtCoordinate:{x:null!==(n=null===(r=e.props.coordinate)||void 0===r?void 0:r.x)&&void 0!==n?n:0,y:null!==(o=null===(i=e.props.coordinate)||void 0===i?void 0:i.y)&&void 0!==o?o:0}})}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Ze(e,t)}(n,e),r=n,(o=[{key:"updateBBox",value:function(){if(this.wrapperNode&&this.wrapperNode.getBoundingClientRect){var e=this.wrapperNode.getBoundingClientRect();(Math.abs(e.width-this.state.lastBoundingBox.width)>1||Math.abs(e.height-this.state.lastBoundingBox.height)>1)&&this.setState({lastBoundingBox:{width:e.width,height:e.height}})}else-1===this.state.lastBoundingBox.width&&-1===this.state.lastBoundingBox.height||this.setState({lastBoundingBox:{width:-1,height:-1}})}},{key:"componentDidMount",value:function(){document.addEventListener("keydown",this.handleKeyDown),this.updateBBox()}},{key:"componentWillUnmount",value:function(){document.removeEventListener("keydown",this.handleKeyDown)}},{key:"componentDidUpdate",value:function(){var e,t;this.props.active&&this.updateBBox(),this.state.dismissed&&((null===(e=this.props.coordinate)||void 0===e?void 0:e.x)===this.state.dismissedAtCoordinate.x&&(null===(t=this.props.coordinate)||void 0===t?void 0:t.y)===this.state.dismissedAtCoordinate.y||(this.state.dismissed=!1))}},{key:"render",value:function(){var e=this,n=this.props,r=n.active,o=n.allowEscapeViewBox,i=n.animationDuration,a=n.animationEasing,l=n.children,u=n.coordinate,c=n.hasPayload,s=n.isAnimationActive,f=n.offset,d=n.position,p=n.reverseDirection,h=n.useTranslate3d,y=n.viewBox,v=n.wrapperStyle,m=function(e){var t,n,r=e.allowEscapeViewBox,o=e.coordinate,i=e.offsetTopLeft,a=e.position,l=e.reverseDirection,u=e.tooltipBox,c=e.useTranslate3d,s=e.viewBox;return{cssProperties:u.height>0&&u.width>0&&o?function(e){var t=e.translateX,n=e.translateY;return{transform:e.useTranslate3d?"translate3d(".concat(t,"px, ").concat(n,"px, 0)"):"translate(".concat(t,"px, ").concat(n,"px)")}}({translateX:t=qe({allowEscapeViewBox:r,coordinate:o,key:"x",offsetTopLeft:i,position:a,reverseDirection:l,tooltipDimension:u.width,viewBox:s,viewBoxDimension:s.width}),translateY:n=qe({allowEscapeViewBox:r,coordinate:o,key:"y",offsetTopLeft:i,position:a,reverseDirection:l,tooltipDimension:u.height,viewBox:s,viewBoxDimension:s.height}),useTranslate3d:c}):We,cssClasses:Ve({translateX:t,translateY:n,coordinate:o})}}({allowEscapeViewBox:o,coordinate:u,offsetTopLeft:f,position:d,reverseDirection:p,tooltipBox:this.state.lastBoundingBox,useTranslate3d:h,viewBox:y}),g=m.cssClasses,b=m.cssProperties,x=Ke(Ke({transition:s&&r?"transform ".concat(i,"ms ").concat(a):void 0},b),{},{pointerEvents:"none",visibility:!this.state.dismissed&&r&&c?"visible":"hidden",position:"absolute",top:0,left:0},v);return t.createElement("div",{tabIndex:-1,className:g,style:x,ref:function(t){e.wrapperNode=t}},l)}}])&&Xe(r.prototype,o),i&&Xe(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent),nt={isSsr:!("undefined"!==typeof window&&window.document&&window.document.createElement&&window.setTimeout),get:function(e){return nt[e]},set:function(e,t){if("string"===typeof e)nt[e]=t;else{var n=Object.keys(e);n&&n.length&&n.forEach(function(t){nt[t]=e[t]})}}},rt=n(977),ot=n.n(rt);function it(e,t,n){return!0===t?ot()(e,n):M()(t)?ot()(e,t):e}function at(e){return at="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},at(e)}function lt(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function ut(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?lt(Object(n),!0).forEach(function(t){ht(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):lt(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function ct(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,yt(r.key),r)}}function st(e,t,n){return t=dt(t),function(e,t){if(t&&("object"===at(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,ft()?Reflect.construct(t,n||[],dt(e).constructor):t.apply(e,n))}function ft(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(ft=function(){return!!e})()}function dt(e){return dt=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},dt(e)}function pt(e,t){return pt=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},pt(e,t)}function ht(e,t,n){return(t=yt(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function yt(e){var t=function(e,t){if("object"!=at(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=at(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==at(t)?t:t+""}function vt(e){return e.dataKey}var mt=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),st(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&pt(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){var e=this,n=this.props,r=n.active,o=n.allowEscapeViewBox,i=n.animationDuration,a=n.animationEasing,l=n.content,u=n.coordinate,c=n.filterNull,s=n.isAnimationActive,f=n.offset,d=n.payload,p=n.payloadUniqBy,h=n.position,y=n.reverseDirection,v=n.useTranslate3d,m=n.viewBox,g=n.wrapperStyle,b=null!==d&&void 0!==d?d:[];c&&b.length&&(b=it(d.filter(function(t){return null!=t.value&&(!0!==t.hide||e.props.includeHidden)}),p,vt));var x=b.length>0;return t.createElement(tt,{allowEscapeViewBox:o,animationDuration:i,animationEasing:a,isAnimationActive:s,active:r,coordinate:u,hasPayload:x,offset:f,position:h,reverseDirection:y,useTranslate3d:v,viewBox:m,wrapperStyle:g},function(e,n){return t.isValidElement(e)?t.cloneElement(e,n):"function"===typeof e?t.createElement(e,n):t.createElement(Re,n)}(l,ut(ut({},this.props),{},{payload:b})))}}])&&ct(r.prototype,o),i&&ct(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);ht(mt,"displayName","Tooltip"),ht(mt,"defaultProps",{accessibilityLayer:!1,allowEscapeViewBox:{x:!1,y:!1},animationDuration:400,animationEasing:"ease",contentStyle:{},coordinate:{x:0,y:0},cursor:!0,cursorStyle:{},filterNull:!0,isAnimationActive:!nt.isSsr,itemStyle:{},labelStyle:{},offset:10,reverseDirection:{x:!1,y:!1},separator:" : ",trigger:"hover",useTranslate3d:!1,viewBox:{x:0,y:0,height:0,width:0},wrapperStyle:{}});var gt=n(643),bt=n.n(gt);Math.abs,Math.atan2;const xt=Math.cos,wt=(Math.max,Math.min,Math.sin),Ot=Math.sqrt,St=Math.PI,jt=2*St;const kt={draw(e,t){const n=Ot(t/St);e.moveTo(n,0),e.arc(0,0,n,0,jt)}},Pt={draw(e,t){const n=Ot(t/5)/2;e.moveTo(-3*n,-n),e.lineTo(-n,-n),e.lineTo(-n,-3*n),e.lineTo(n,-3*n),e.lineTo(n,-n),e.lineTo(3*n,-n),e.lineTo(3*n,n),e.lineTo(n,n),e.lineTo(n,3*n),e.lineTo(-n,3*n),e.lineTo(-n,n),e.lineTo(-3*n,n),e.closePath()}},Et=Ot(1/3),_t=2*Et,At={draw(e,t){const n=Ot(t/_t),r=n*Et;e.moveTo(0,-n),e.lineTo(r,0),e.lineTo(0,n),e.lineTo(-r,0),e.closePath()}},Tt={draw(e,t){const n=Ot(t),r=-n/2;e.rect(r,r,n,n)}},Ct=wt(St/10)/wt(7*St/10),Mt=wt(jt/10)*Ct,Nt=-xt(jt/10)*Ct,It={draw(e,t){const n=Ot(.8908130915292852*t),r=Mt*n,o=Nt*n;e.moveTo(0,-n),e.lineTo(r,o);for(let i=1;i<5;++i){const t=jt*i/5,a=xt(t),l=wt(t);e.lineTo(l*n,-a*n),e.lineTo(a*r-l*o,l*r+a*o)}e.closePath()}},Dt=Ot(3),zt={draw(e,t){const n=-Ot(t/(3*Dt));e.moveTo(0,2*n),e.lineTo(-Dt*n,-n),e.lineTo(Dt*n,-n),e.closePath()}},Lt=-.5,Rt=Ot(3)/2,Bt=1/Ot(12),Ft=3*(Bt/2+1),Ut={draw(e,t){const n=Ot(t/Ft),r=n/2,o=n*Bt,i=r,a=n*Bt+n,l=-i,u=a;e.moveTo(r,o),e.lineTo(i,a),e.lineTo(l,u),e.lineTo(Lt*r-Rt*o,Rt*r+Lt*o),e.lineTo(Lt*i-Rt*a,Rt*i+Lt*a),e.lineTo(Lt*l-Rt*u,Rt*l+Lt*u),e.lineTo(Lt*r+Rt*o,Lt*o-Rt*r),e.lineTo(Lt*i+Rt*a,Lt*a-Rt*i),e.lineTo(Lt*l+Rt*u,Lt*u-Rt*l),e.closePath()}};function Wt(e){return function(){return e}}function Vt(e,t){return t||(t=e.slice(0)),Object.freeze(Object.defineProperties(e,{raw:{value:Object.freeze(t)}}))}var qt,Ht,$t,Kt,Xt,Yt,Gt,Qt,Zt,Jt,en,tn,nn,rn;const on=Math.PI,an=2*on,ln=1e-6,un=an-ln;function cn(e){this._+=e[0];for(let t=1,n=e.length;t<n;++t)this._+=arguments[t]+e[t]}class sn{constructor(e){this._x0=this._y0=this._x1=this._y1=null,this._="",this._append=null==e?cn:function(e){let t=Math.floor(e);if(!(t>=0))throw new Error("invalid digits: ".concat(e));if(t>15)return cn;const n=10**t;return function(e){this._+=e[0];for(let t=1,r=e.length;t<r;++t)this._+=Math.round(arguments[t]*n)/n+e[t]}}(e)}moveTo(e,t){this._append(qt||(qt=Vt(["M",",",""])),this._x0=this._x1=+e,this._y0=this._y1=+t)}closePath(){null!==this._x1&&(this._x1=this._x0,this._y1=this._y0,this._append(Ht||(Ht=Vt(["Z"]))))}lineTo(e,t){this._append($t||($t=Vt(["L",",",""])),this._x1=+e,this._y1=+t)}quadraticCurveTo(e,t,n,r){this._append(Kt||(Kt=Vt(["Q",",",",",",",""])),+e,+t,this._x1=+n,this._y1=+r)}bezierCurveTo(e,t,n,r,o,i){this._append(Xt||(Xt=Vt(["C",",",",",",",",",",",""])),+e,+t,+n,+r,this._x1=+o,this._y1=+i)}arcTo(e,t,n,r,o){if(e=+e,t=+t,n=+n,r=+r,(o=+o)<0)throw new Error("negative radius: ".concat(o));let i=this._x1,a=this._y1,l=n-e,u=r-t,c=i-e,s=a-t,f=c*c+s*s;if(null===this._x1)this._append(Yt||(Yt=Vt(["M",",",""])),this._x1=e,this._y1=t);else if(f>ln)if(Math.abs(s*l-u*c)>ln&&o){let d=n-i,p=r-a,h=l*l+u*u,y=d*d+p*p,v=Math.sqrt(h),m=Math.sqrt(f),g=o*Math.tan((on-Math.acos((h+f-y)/(2*v*m)))/2),b=g/m,x=g/v;Math.abs(b-1)>ln&&this._append(Qt||(Qt=Vt(["L",",",""])),e+b*c,t+b*s),this._append(Zt||(Zt=Vt(["A",",",",0,0,",",",",",""])),o,o,+(s*d>c*p),this._x1=e+x*l,this._y1=t+x*u)}else this._append(Gt||(Gt=Vt(["L",",",""])),this._x1=e,this._y1=t);else;}arc(e,t,n,r,o,i){if(e=+e,t=+t,i=!!i,(n=+n)<0)throw new Error("negative radius: ".concat(n));let a=n*Math.cos(r),l=n*Math.sin(r),u=e+a,c=t+l,s=1^i,f=i?r-o:o-r;null===this._x1?this._append(Jt||(Jt=Vt(["M",",",""])),u,c):(Math.abs(this._x1-u)>ln||Math.abs(this._y1-c)>ln)&&this._append(en||(en=Vt(["L",",",""])),u,c),n&&(f<0&&(f=f%an+an),f>un?this._append(tn||(tn=Vt(["A",",",",0,1,",",",",","A",",",",0,1,",",",",",""])),n,n,s,e-a,t-l,n,n,s,this._x1=u,this._y1=c):f>ln&&this._append(nn||(nn=Vt(["A",",",",0,",",",",",",",""])),n,n,+(f>=on),s,this._x1=e+n*Math.cos(o),this._y1=t+n*Math.sin(o)))}rect(e,t,n,r){this._append(rn||(rn=Vt(["M",",","h","v","h","Z"])),this._x0=this._x1=+e,this._y0=this._y1=+t,n=+n,+r,-n)}toString(){return this._}}function fn(e){let t=3;return e.digits=function(n){if(!arguments.length)return t;if(null==n)t=null;else{const e=Math.floor(n);if(!(e>=0))throw new RangeError("invalid digits: ".concat(n));t=e}return e},()=>new sn(t)}Ot(3),Ot(3);function dn(e){return dn="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},dn(e)}var pn=["type","size","sizeType"];function hn(){return hn=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},hn.apply(this,arguments)}function yn(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function vn(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?yn(Object(n),!0).forEach(function(t){mn(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):yn(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function mn(e,t,n){return t=function(e){var t=function(e,t){if("object"!=dn(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=dn(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==dn(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function gn(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var bn={symbolCircle:kt,symbolCross:Pt,symbolDiamond:At,symbolSquare:Tt,symbolStar:It,symbolTriangle:zt,symbolWye:Ut},xn=Math.PI/180,wn=function(e){var n=e.type,r=void 0===n?"circle":n,o=e.size,i=void 0===o?64:o,l=e.sizeType,u=void 0===l?"area":l,c=vn(vn({},gn(e,pn)),{},{type:r,size:i,sizeType:u}),s=c.className,f=c.cx,d=c.cy,p=ie(c,!0);return f===+f&&d===+d&&i===+i?t.createElement("path",hn({},p,{className:a("recharts-symbols",s),transform:"translate(".concat(f,", ").concat(d,")"),d:function(){var e=function(e){var t="symbol".concat(bt()(e));return bn[t]||kt}(r),t=function(e,t){let n=null,r=fn(o);function o(){let o;if(n||(n=o=r()),e.apply(this,arguments).draw(n,+t.apply(this,arguments)),o)return n=null,o+""||null}return e="function"===typeof e?e:Wt(e||kt),t="function"===typeof t?t:Wt(void 0===t?64:+t),o.type=function(t){return arguments.length?(e="function"===typeof t?t:Wt(t),o):e},o.size=function(e){return arguments.length?(t="function"===typeof e?e:Wt(+e),o):t},o.context=function(e){return arguments.length?(n=null==e?null:e,o):n},o}().type(e).size(function(e,t,n){if("area"===t)return e;switch(n){case"cross":return 5*e*e/9;case"diamond":return.5*e*e/Math.sqrt(3);case"square":return e*e;case"star":var r=18*xn;return 1.25*e*e*(Math.tan(r)-Math.tan(2*r)*Math.pow(Math.tan(r),2));case"triangle":return Math.sqrt(3)*e*e/4;case"wye":return(21-10*Math.sqrt(3))*e*e/8;default:return Math.PI*e*e/4}}(i,u,r));return t()}()})):null};function On(e){return On="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},On(e)}function Sn(){return Sn=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Sn.apply(this,arguments)}function jn(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function kn(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Cn(r.key),r)}}function Pn(e,t,n){return t=_n(t),function(e,t){if(t&&("object"===On(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,En()?Reflect.construct(t,n||[],_n(e).constructor):t.apply(e,n))}function En(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(En=function(){return!!e})()}function _n(e){return _n=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},_n(e)}function An(e,t){return An=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},An(e,t)}function Tn(e,t,n){return(t=Cn(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Cn(e){var t=function(e,t){if("object"!=On(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=On(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==On(t)?t:t+""}wn.registerSymbol=function(e,t){bn["symbol".concat(bt()(e))]=t};var Mn=32,Nn=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),Pn(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&An(e,t)}(n,e),r=n,o=[{key:"renderIcon",value:function(e){var n=this.props.inactiveColor,r=16,o=Mn/6,i=Mn/3,a=e.inactive?n:e.color;if("plainline"===e.type)return t.createElement("line",{strokeWidth:4,fill:"none",stroke:a,strokeDasharray:e.payload.strokeDasharray,x1:0,y1:r,x2:Mn,y2:r,className:"recharts-legend-icon"});if("line"===e.type)return t.createElement("path",{strokeWidth:4,fill:"none",stroke:a,d:"M0,".concat(r,"h").concat(i,"\n            A").concat(o,",").concat(o,",0,1,1,").concat(2*i,",").concat(r,"\n            H").concat(Mn,"M").concat(2*i,",").concat(r,"\n            A").concat(o,",").concat(o,",0,1,1,").concat(i,",").concat(r),className:"recharts-legend-icon"});if("rect"===e.type)return t.createElement("path",{stroke:"none",fill:a,d:"M0,".concat(4,"h").concat(Mn,"v").concat(24,"h").concat(-32,"z"),className:"recharts-legend-icon"});if(t.isValidElement(e.legendIcon)){var l=function(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?jn(Object(n),!0).forEach(function(t){Tn(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):jn(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}({},e);return delete l.legendIcon,t.cloneElement(e.legendIcon,l)}return t.createElement(wn,{fill:a,cx:r,cy:r,size:Mn,sizeType:"diameter",type:e.type})}},{key:"renderItems",value:function(){var e=this,n=this.props,r=n.payload,o=n.iconSize,i=n.layout,l=n.formatter,u=n.inactiveColor,c={x:0,y:0,width:Mn,height:Mn},s={display:"horizontal"===i?"inline-block":"block",marginRight:10},f={display:"inline-block",verticalAlign:"middle",marginRight:4};return r.map(function(n,r){var i=n.formatter||l,d=a(Tn(Tn({"recharts-legend-item":!0},"legend-item-".concat(r),!0),"inactive",n.inactive));if("none"===n.type)return null;var p=M()(n.value)?null:n.value;T(!M()(n.value),'The name property is also required when using a function for the dataKey of a chart\'s cartesian components. Ex: <Bar name="Name of my Data"/>');var h=n.inactive?u:n.color;return t.createElement("li",Sn({className:d,style:s,key:"legend-item-".concat(r)},V(e.props,n,r)),t.createElement(ke,{width:o,height:o,viewBox:c,style:f},e.renderIcon(n)),t.createElement("span",{className:"recharts-legend-item-text",style:{color:h}},i?i(p,n,r):p))})}},{key:"render",value:function(){var e=this.props,n=e.payload,r=e.layout,o=e.align;if(!n||!n.length)return null;var i={padding:0,margin:0,textAlign:"horizontal"===r?o:"left"};return t.createElement("ul",{className:"recharts-default-legend",style:i},this.renderItems())}}],o&&kn(r.prototype,o),i&&kn(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function In(e){return In="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},In(e)}Tn(Nn,"displayName","Legend"),Tn(Nn,"defaultProps",{iconSize:14,layout:"horizontal",align:"center",verticalAlign:"middle",inactiveColor:"#ccc"});var Dn=["ref"];function zn(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ln(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?zn(Object(n),!0).forEach(function(t){Vn(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):zn(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Rn(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,qn(r.key),r)}}function Bn(e,t,n){return t=Un(t),function(e,t){if(t&&("object"===In(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Fn()?Reflect.construct(t,n||[],Un(e).constructor):t.apply(e,n))}function Fn(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Fn=function(){return!!e})()}function Un(e){return Un=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Un(e)}function Wn(e,t){return Wn=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Wn(e,t)}function Vn(e,t,n){return(t=qn(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function qn(e){var t=function(e,t){if("object"!=In(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=In(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==In(t)?t:t+""}function Hn(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function $n(e){return e.value}var Kn=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return Vn(e=Bn(this,n,[].concat(r)),"lastBoundingBox",{width:-1,height:-1}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Wn(e,t)}(n,e),r=n,i=[{key:"getWithHeight",value:function(e,t){var n=Ln(Ln({},this.defaultProps),e.props).layout;return"vertical"===n&&w(e.props.height)?{height:e.props.height}:"horizontal"===n?{width:e.props.width||t}:null}}],(o=[{key:"componentDidMount",value:function(){this.updateBBox()}},{key:"componentDidUpdate",value:function(){this.updateBBox()}},{key:"getBBox",value:function(){if(this.wrapperNode&&this.wrapperNode.getBoundingClientRect){var e=this.wrapperNode.getBoundingClientRect();return e.height=this.wrapperNode.offsetHeight,e.width=this.wrapperNode.offsetWidth,e}return null}},{key:"updateBBox",value:function(){var e=this.props.onBBoxUpdate,t=this.getBBox();t?(Math.abs(t.width-this.lastBoundingBox.width)>1||Math.abs(t.height-this.lastBoundingBox.height)>1)&&(this.lastBoundingBox.width=t.width,this.lastBoundingBox.height=t.height,e&&e(t)):-1===this.lastBoundingBox.width&&-1===this.lastBoundingBox.height||(this.lastBoundingBox.width=-1,this.lastBoundingBox.height=-1,e&&e(null))}},{key:"getBBoxSnapshot",value:function(){return this.lastBoundingBox.width>=0&&this.lastBoundingBox.height>=0?Ln({},this.lastBoundingBox):{width:0,height:0}}},{key:"getDefaultPosition",value:function(e){var t,n,r=this.props,o=r.layout,i=r.align,a=r.verticalAlign,l=r.margin,u=r.chartWidth,c=r.chartHeight;return e&&(void 0!==e.left&&null!==e.left||void 0!==e.right&&null!==e.right)||(t="center"===i&&"vertical"===o?{left:((u||0)-this.getBBoxSnapshot().width)/2}:"right"===i?{right:l&&l.right||0}:{left:l&&l.left||0}),e&&(void 0!==e.top&&null!==e.top||void 0!==e.bottom&&null!==e.bottom)||(n="middle"===a?{top:((c||0)-this.getBBoxSnapshot().height)/2}:"bottom"===a?{bottom:l&&l.bottom||0}:{top:l&&l.top||0}),Ln(Ln({},t),n)}},{key:"render",value:function(){var e=this,n=this.props,r=n.content,o=n.width,i=n.height,a=n.wrapperStyle,l=n.payloadUniqBy,u=n.payload,c=Ln(Ln({position:"absolute",width:o||"auto",height:i||"auto"},this.getDefaultPosition(a)),a);return t.createElement("div",{className:"recharts-legend-wrapper",style:c,ref:function(t){e.wrapperNode=t}},function(e,n){if(t.isValidElement(e))return t.cloneElement(e,n);if("function"===typeof e)return t.createElement(e,n);n.ref;var r=Hn(n,Dn);return t.createElement(Nn,r)}(r,Ln(Ln({},this.props),{},{payload:it(u,l,$n)})))}}])&&Rn(r.prototype,o),i&&Rn(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function Xn(){return Xn=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Xn.apply(this,arguments)}Vn(Kn,"displayName","Legend"),Vn(Kn,"defaultProps",{iconSize:14,layout:"horizontal",align:"center",verticalAlign:"bottom"});var Yn=function(e){var n=e.cx,r=e.cy,o=e.r,i=e.className,l=a("recharts-dot",i);return n===+n&&r===+r&&o===+o?t.createElement("circle",Xn({},ie(e,!1),W(e),{className:l,cx:n,cy:r,r:o})):null},Gn=n(5173),Qn=n.n(Gn);const{getOwnPropertyNames:Zn,getOwnPropertySymbols:Jn}=Object,{hasOwnProperty:er}=Object.prototype;function tr(e,t){return function(n,r,o){return e(n,r,o)&&t(n,r,o)}}function nr(e){return function(t,n,r){if(!t||!n||"object"!==typeof t||"object"!==typeof n)return e(t,n,r);const{cache:o}=r,i=o.get(t),a=o.get(n);if(i&&a)return i===n&&a===t;o.set(t,n),o.set(n,t);const l=e(t,n,r);return o.delete(t),o.delete(n),l}}function rr(e){return Zn(e).concat(Jn(e))}const or=Object.hasOwn||((e,t)=>er.call(e,t));function ir(e,t){return e===t||!e&&!t&&e!==e&&t!==t}const{getOwnPropertyDescriptor:ar,keys:lr}=Object;function ur(e,t){return e.byteLength===t.byteLength&&wr(new Uint8Array(e),new Uint8Array(t))}function cr(e,t,n){let r=e.length;if(t.length!==r)return!1;for(;r-- >0;)if(!n.equals(e[r],t[r],r,r,e,t,n))return!1;return!0}function sr(e,t){return e.byteLength===t.byteLength&&wr(new Uint8Array(e.buffer,e.byteOffset,e.byteLength),new Uint8Array(t.buffer,t.byteOffset,t.byteLength))}function fr(e,t){return ir(e.getTime(),t.getTime())}function dr(e,t){return e.name===t.name&&e.message===t.message&&e.cause===t.cause&&e.stack===t.stack}function pr(e,t){return e===t}function hr(e,t,n){const r=e.size;if(r!==t.size)return!1;if(!r)return!0;const o=new Array(r),i=e.entries();let a,l,u=0;for(;(a=i.next())&&!a.done;){const r=t.entries();let i=!1,c=0;for(;(l=r.next())&&!l.done;){if(o[c]){c++;continue}const r=a.value,s=l.value;if(n.equals(r[0],s[0],u,c,e,t,n)&&n.equals(r[1],s[1],r[0],s[0],e,t,n)){i=o[c]=!0;break}c++}if(!i)return!1;u++}return!0}const yr=ir;function vr(e,t,n){const r=lr(e);let o=r.length;if(lr(t).length!==o)return!1;for(;o-- >0;)if(!Sr(e,t,n,r[o]))return!1;return!0}function mr(e,t,n){const r=rr(e);let o,i,a,l=r.length;if(rr(t).length!==l)return!1;for(;l-- >0;){if(o=r[l],!Sr(e,t,n,o))return!1;if(i=ar(e,o),a=ar(t,o),(i||a)&&(!i||!a||i.configurable!==a.configurable||i.enumerable!==a.enumerable||i.writable!==a.writable))return!1}return!0}function gr(e,t){return ir(e.valueOf(),t.valueOf())}function br(e,t){return e.source===t.source&&e.flags===t.flags}function xr(e,t,n){const r=e.size;if(r!==t.size)return!1;if(!r)return!0;const o=new Array(r),i=e.values();let a,l;for(;(a=i.next())&&!a.done;){const r=t.values();let i=!1,u=0;for(;(l=r.next())&&!l.done;){if(!o[u]&&n.equals(a.value,l.value,a.value,l.value,e,t,n)){i=o[u]=!0;break}u++}if(!i)return!1}return!0}function wr(e,t){let n=e.byteLength;if(t.byteLength!==n||e.byteOffset!==t.byteOffset)return!1;for(;n-- >0;)if(e[n]!==t[n])return!1;return!0}function Or(e,t){return e.hostname===t.hostname&&e.pathname===t.pathname&&e.protocol===t.protocol&&e.port===t.port&&e.hash===t.hash&&e.username===t.username&&e.password===t.password}function Sr(e,t,n,r){return!("_owner"!==r&&"__o"!==r&&"__v"!==r||!e.$$typeof&&!t.$$typeof)||or(t,r)&&n.equals(e[r],t[r],r,r,e,t,n)}const jr={"[object Int8Array]":!0,"[object Uint8Array]":!0,"[object Uint8ClampedArray]":!0,"[object Int16Array]":!0,"[object Uint16Array]":!0,"[object Int32Array]":!0,"[object Uint32Array]":!0,"[object Float16Array]":!0,"[object Float32Array]":!0,"[object Float64Array]":!0,"[object BigInt64Array]":!0,"[object BigUint64Array]":!0},kr=Object.prototype.toString;function Pr(e){let{areArrayBuffersEqual:t,areArraysEqual:n,areDataViewsEqual:r,areDatesEqual:o,areErrorsEqual:i,areFunctionsEqual:a,areMapsEqual:l,areNumbersEqual:u,areObjectsEqual:c,arePrimitiveWrappersEqual:s,areRegExpsEqual:f,areSetsEqual:d,areTypedArraysEqual:p,areUrlsEqual:h,unknownTagComparators:y}=e;return function(e,v,m){if(e===v)return!0;if(null==e||null==v)return!1;const g=typeof e;if(g!==typeof v)return!1;if("object"!==g)return"number"===g?u(e,v,m):"function"===g&&a(e,v,m);const b=e.constructor;if(b!==v.constructor)return!1;if(b===Object)return c(e,v,m);if(Array.isArray(e))return n(e,v,m);if(b===Date)return o(e,v,m);if(b===RegExp)return f(e,v,m);if(b===Map)return l(e,v,m);if(b===Set)return d(e,v,m);const x=kr.call(e);if("[object Date]"===x)return o(e,v,m);if("[object RegExp]"===x)return f(e,v,m);if("[object Map]"===x)return l(e,v,m);if("[object Set]"===x)return d(e,v,m);if("[object Object]"===x)return"function"!==typeof e.then&&"function"!==typeof v.then&&c(e,v,m);if("[object URL]"===x)return h(e,v,m);if("[object Error]"===x)return i(e,v,m);if("[object Arguments]"===x)return c(e,v,m);if(jr[x])return p(e,v,m);if("[object ArrayBuffer]"===x)return t(e,v,m);if("[object DataView]"===x)return r(e,v,m);if("[object Boolean]"===x||"[object Number]"===x||"[object String]"===x)return s(e,v,m);if(y){let t=y[x];if(!t){const n=function(e){return null!=e?e[Symbol.toStringTag]:void 0}(e);n&&(t=y[n])}if(t)return t(e,v,m)}return!1}}const Er=_r();_r({strict:!0}),_r({circular:!0}),_r({circular:!0,strict:!0}),_r({createInternalComparator:()=>ir}),_r({strict:!0,createInternalComparator:()=>ir}),_r({circular:!0,createInternalComparator:()=>ir}),_r({circular:!0,createInternalComparator:()=>ir,strict:!0});function _r(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};const{circular:t=!1,createInternalComparator:n,createState:r,strict:o=!1}=e,i=function(e){let{circular:t,createCustomConfig:n,strict:r}=e,o={areArrayBuffersEqual:ur,areArraysEqual:r?mr:cr,areDataViewsEqual:sr,areDatesEqual:fr,areErrorsEqual:dr,areFunctionsEqual:pr,areMapsEqual:r?tr(hr,mr):hr,areNumbersEqual:yr,areObjectsEqual:r?mr:vr,arePrimitiveWrappersEqual:gr,areRegExpsEqual:br,areSetsEqual:r?tr(xr,mr):xr,areTypedArraysEqual:r?tr(wr,mr):wr,areUrlsEqual:Or,unknownTagComparators:void 0};if(n&&(o=Object.assign({},o,n(o))),t){const e=nr(o.areArraysEqual),t=nr(o.areMapsEqual),n=nr(o.areObjectsEqual),r=nr(o.areSetsEqual);o=Object.assign({},o,{areArraysEqual:e,areMapsEqual:t,areObjectsEqual:n,areSetsEqual:r})}return o}(e),a=Pr(i),l=n?n(a):(u=a,function(e,t,n,r,o,i,a){return u(e,t,a)});var u;return function(e){let{circular:t,comparator:n,createState:r,equals:o,strict:i}=e;if(r)return function(e,a){const{cache:l=(t?new WeakMap:void 0),meta:u}=r();return n(e,a,{cache:l,equals:o,meta:u,strict:i})};if(t)return function(e,t){return n(e,t,{cache:new WeakMap,equals:o,meta:void 0,strict:i})};const a={cache:void 0,equals:o,meta:void 0,strict:i};return function(e,t){return n(e,t,a)}}({circular:t,comparator:a,createState:r,equals:l,strict:o})}function Ar(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0,n=-1;requestAnimationFrame(function r(o){n<0&&(n=o),o-n>t?(e(o),n=-1):function(e){"undefined"!==typeof requestAnimationFrame&&requestAnimationFrame(e)}(r)})}function Tr(e){return Tr="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Tr(e)}function Cr(e){return function(e){if(Array.isArray(e))return e}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Mr(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Mr(e,t)}(e)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Mr(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Nr(){var e=function(){return null},t=!1,n=function n(r){if(!t){if(Array.isArray(r)){if(!r.length)return;var o=Cr(r),i=o[0],a=o.slice(1);return"number"===typeof i?void Ar(n.bind(null,a),i):(n(i),void Ar(n.bind(null,a)))}"object"===Tr(r)&&e(r),"function"===typeof r&&r()}};return{stop:function(){t=!0},start:function(e){t=!1,n(e)},subscribe:function(t){return e=t,function(){e=function(){return null}}}}}function Ir(e){return Ir="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Ir(e)}function Dr(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function zr(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Dr(Object(n),!0).forEach(function(t){Lr(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Dr(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Lr(e,t,n){return(t=function(e){var t=function(e,t){if("object"!==Ir(e)||null===e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!==Ir(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"===Ir(t)?t:String(t)}(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var Rr=function(e){return e},Br=function(e,t){return Object.keys(t).reduce(function(n,r){return zr(zr({},n),{},Lr({},r,e(r,t[r])))},{})},Fr=function(e,t,n){return e.map(function(e){return"".concat((r=e,r.replace(/([A-Z])/g,function(e){return"-".concat(e.toLowerCase())}))," ").concat(t,"ms ").concat(n);var r}).join(",")};function Ur(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||Vr(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Wr(e){return function(e){if(Array.isArray(e))return qr(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||Vr(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Vr(e,t){if(e){if("string"===typeof e)return qr(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?qr(e,t):void 0}}function qr(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var Hr=1e-4,$r=function(e,t){return[0,3*e,3*t-6*e,3*e-3*t+1]},Kr=function(e,t){return e.map(function(e,n){return e*Math.pow(t,n)}).reduce(function(e,t){return e+t})},Xr=function(e,t){return function(n){var r=$r(e,t);return Kr(r,n)}},Yr=function(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];var r=t[0],o=t[1],i=t[2],a=t[3];if(1===t.length)switch(t[0]){case"linear":r=0,o=0,i=1,a=1;break;case"ease":r=.25,o=.1,i=.25,a=1;break;case"ease-in":r=.42,o=0,i=1,a=1;break;case"ease-out":r=.42,o=0,i=.58,a=1;break;case"ease-in-out":r=0,o=0,i=.58,a=1;break;default:var l=t[0].split("(");if("cubic-bezier"===l[0]&&4===l[1].split(")")[0].split(",").length){var u=Ur(l[1].split(")")[0].split(",").map(function(e){return parseFloat(e)}),4);r=u[0],o=u[1],i=u[2],a=u[3]}}[r,i,o,a].every(function(e){return"number"===typeof e&&e>=0&&e<=1});var c,s,f=Xr(r,i),d=Xr(o,a),p=(c=r,s=i,function(e){var t=$r(c,s),n=[].concat(Wr(t.map(function(e,t){return e*t}).slice(1)),[0]);return Kr(n,e)}),h=function(e){return e>1?1:e<0?0:e},y=function(e){for(var t=e>1?1:e,n=t,r=0;r<8;++r){var o=f(n)-t,i=p(n);if(Math.abs(o-t)<Hr||i<Hr)return d(n);n=h(n-o/i)}return d(n)};return y.isStepper=!1,y},Gr=function(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];var r=t[0];if("string"===typeof r)switch(r){case"ease":case"ease-in-out":case"ease-out":case"ease-in":case"linear":return Yr(r);case"spring":return function(){var e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{},t=e.stiff,n=void 0===t?100:t,r=e.damping,o=void 0===r?8:r,i=e.dt,a=void 0===i?17:i,l=function(e,t,r){var i=r+(-(e-t)*n-r*o)*a/1e3,l=r*a/1e3+e;return Math.abs(l-t)<Hr&&Math.abs(i)<Hr?[t,0]:[l,i]};return l.isStepper=!0,l.dt=a,l}();default:if("cubic-bezier"===r.split("(")[0])return Yr(r)}return"function"===typeof r?r:null};function Qr(e){return Qr="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Qr(e)}function Zr(e){return function(e){if(Array.isArray(e))return oo(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||ro(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Jr(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function eo(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Jr(Object(n),!0).forEach(function(t){to(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Jr(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function to(e,t,n){return(t=function(e){var t=function(e,t){if("object"!==Qr(e)||null===e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!==Qr(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"===Qr(t)?t:String(t)}(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function no(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||ro(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function ro(e,t){if(e){if("string"===typeof e)return oo(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?oo(e,t):void 0}}function oo(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var io=function(e,t,n){return e+(t-e)*n},ao=function(e){return e.from!==e.to},lo=function e(t,n,r){var o=Br(function(e,n){if(ao(n)){var r=no(t(n.from,n.to,n.velocity),2),o=r[0],i=r[1];return eo(eo({},n),{},{from:o,velocity:i})}return n},n);return r<1?Br(function(e,t){return ao(t)?eo(eo({},t),{},{velocity:io(t.velocity,o[e].velocity,r),from:io(t.from,o[e].from,r)}):t},n):e(t,o,r-1)};const uo=function(e,t,n,r,o){var i,a,l,u,c=(i=e,a=t,[Object.keys(i),Object.keys(a)].reduce(function(e,t){return e.filter(function(e){return t.includes(e)})})),s=c.reduce(function(n,r){return eo(eo({},n),{},to({},r,[e[r],t[r]]))},{}),f=c.reduce(function(n,r){return eo(eo({},n),{},to({},r,{from:e[r],velocity:0,to:t[r]}))},{}),d=-1,p=function(){return null};return p=n.isStepper?function(r){l||(l=r);var i=(r-l)/n.dt;f=lo(n,f,i),o(eo(eo(eo({},e),t),Br(function(e,t){return t.from},f))),l=r,Object.values(f).filter(ao).length&&(d=requestAnimationFrame(p))}:function(i){u||(u=i);var a=(i-u)/r,l=Br(function(e,t){return io.apply(void 0,Zr(t).concat([n(a)]))},s);if(o(eo(eo(eo({},e),t),l)),a<1)d=requestAnimationFrame(p);else{var c=Br(function(e,t){return io.apply(void 0,Zr(t).concat([n(1)]))},s);o(eo(eo(eo({},e),t),c))}},function(){return requestAnimationFrame(p),function(){cancelAnimationFrame(d)}}};function co(e){return co="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},co(e)}var so=["children","begin","duration","attributeName","easing","isActive","steps","from","to","canBegin","onAnimationEnd","shouldReAnimate","onAnimationReStart"];function fo(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n,r,o={},i=Object.keys(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||(o[n]=e[n]);return o}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function po(e){return function(e){if(Array.isArray(e))return ho(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return ho(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return ho(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function ho(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function yo(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function vo(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?yo(Object(n),!0).forEach(function(t){mo(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):yo(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function mo(e,t,n){return(t=bo(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function go(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,bo(r.key),r)}}function bo(e){var t=function(e,t){if("object"!==co(e)||null===e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!==co(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"===co(t)?t:String(t)}function xo(e,t){return xo=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},xo(e,t)}function wo(e){var t=function(){if("undefined"===typeof Reflect||!Reflect.construct)return!1;if(Reflect.construct.sham)return!1;if("function"===typeof Proxy)return!0;try{return Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){})),!0}catch(e){return!1}}();return function(){var n,r=jo(e);if(t){var o=jo(this).constructor;n=Reflect.construct(r,arguments,o)}else n=r.apply(this,arguments);return Oo(this,n)}}function Oo(e,t){if(t&&("object"===co(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return So(e)}function So(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}function jo(e){return jo=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},jo(e)}var ko=function(e){!function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&xo(e,t)}(a,e);var n,r,o,i=wo(a);function a(e,t){var n;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,a);var r=(n=i.call(this,e,t)).props,o=r.isActive,l=r.attributeName,u=r.from,c=r.to,s=r.steps,f=r.children,d=r.duration;if(n.handleStyleChange=n.handleStyleChange.bind(So(n)),n.changeStyle=n.changeStyle.bind(So(n)),!o||d<=0)return n.state={style:{}},"function"===typeof f&&(n.state={style:c}),Oo(n);if(s&&s.length)n.state={style:s[0].style};else if(u){if("function"===typeof f)return n.state={style:u},Oo(n);n.state={style:l?mo({},l,u):u}}else n.state={style:{}};return n}return n=a,(r=[{key:"componentDidMount",value:function(){var e=this.props,t=e.isActive,n=e.canBegin;this.mounted=!0,t&&n&&this.runAnimation(this.props)}},{key:"componentDidUpdate",value:function(e){var t=this.props,n=t.isActive,r=t.canBegin,o=t.attributeName,i=t.shouldReAnimate,a=t.to,l=t.from,u=this.state.style;if(r)if(n){if(!(Er(e.to,a)&&e.canBegin&&e.isActive)){var c=!e.canBegin||!e.isActive;this.manager&&this.manager.stop(),this.stopJSAnimation&&this.stopJSAnimation();var s=c||i?l:e.to;if(this.state&&u){var f={style:o?mo({},o,s):s};(o&&u[o]!==s||!o&&u!==s)&&this.setState(f)}this.runAnimation(vo(vo({},this.props),{},{from:s,begin:0}))}}else{var d={style:o?mo({},o,a):a};this.state&&u&&(o&&u[o]!==a||!o&&u!==a)&&this.setState(d)}}},{key:"componentWillUnmount",value:function(){this.mounted=!1;var e=this.props.onAnimationEnd;this.unSubscribe&&this.unSubscribe(),this.manager&&(this.manager.stop(),this.manager=null),this.stopJSAnimation&&this.stopJSAnimation(),e&&e()}},{key:"handleStyleChange",value:function(e){this.changeStyle(e)}},{key:"changeStyle",value:function(e){this.mounted&&this.setState({style:e})}},{key:"runJSAnimation",value:function(e){var t=this,n=e.from,r=e.to,o=e.duration,i=e.easing,a=e.begin,l=e.onAnimationEnd,u=e.onAnimationStart,c=uo(n,r,Gr(i),o,this.changeStyle);this.manager.start([u,a,function(){t.stopJSAnimation=c()},o,l])}},{key:"runStepAnimation",value:function(e){var t=this,n=e.steps,r=e.begin,o=e.onAnimationStart,i=n[0],a=i.style,l=i.duration,u=void 0===l?0:l;return this.manager.start([o].concat(po(n.reduce(function(e,r,o){if(0===o)return e;var i=r.duration,a=r.easing,l=void 0===a?"ease":a,u=r.style,c=r.properties,s=r.onAnimationEnd,f=o>0?n[o-1]:r,d=c||Object.keys(u);if("function"===typeof l||"spring"===l)return[].concat(po(e),[t.runJSAnimation.bind(t,{from:f.style,to:u,duration:i,easing:l}),i]);var p=Fr(d,i,l),h=vo(vo(vo({},f.style),u),{},{transition:p});return[].concat(po(e),[h,i,s]).filter(Rr)},[a,Math.max(u,r)])),[e.onAnimationEnd]))}},{key:"runAnimation",value:function(e){this.manager||(this.manager=Nr());var t=e.begin,n=e.duration,r=e.attributeName,o=e.to,i=e.easing,a=e.onAnimationStart,l=e.onAnimationEnd,u=e.steps,c=e.children,s=this.manager;if(this.unSubscribe=s.subscribe(this.handleStyleChange),"function"!==typeof i&&"function"!==typeof c&&"spring"!==i)if(u.length>1)this.runStepAnimation(e);else{var f=r?mo({},r,o):o,d=Fr(Object.keys(f),n,i);s.start([a,t,vo(vo({},f),{},{transition:d}),n,l])}else this.runJSAnimation(e)}},{key:"render",value:function(){var e=this.props,n=e.children,r=(e.begin,e.duration),o=(e.attributeName,e.easing,e.isActive),i=(e.steps,e.from,e.to,e.canBegin,e.onAnimationEnd,e.shouldReAnimate,e.onAnimationReStart,fo(e,so)),a=t.Children.count(n),l=this.state.style;if("function"===typeof n)return n(l);if(!o||0===a||r<=0)return n;var u=function(e){var n=e.props,r=n.style,o=void 0===r?{}:r,a=n.className;return(0,t.cloneElement)(e,vo(vo({},i),{},{style:vo(vo({},o),l),className:a}))};return 1===a?u(t.Children.only(n)):t.createElement("div",null,t.Children.map(n,function(e){return u(e)}))}}])&&go(n.prototype,r),o&&go(n,o),Object.defineProperty(n,"prototype",{writable:!1}),a}(t.PureComponent);ko.displayName="Animate",ko.defaultProps={begin:0,duration:1e3,from:"",to:"",attributeName:"",easing:"ease",isActive:!0,canBegin:!0,steps:[],onAnimationEnd:function(){},onAnimationStart:function(){}},ko.propTypes={from:Qn().oneOfType([Qn().object,Qn().string]),to:Qn().oneOfType([Qn().object,Qn().string]),attributeName:Qn().string,duration:Qn().number,begin:Qn().number,easing:Qn().oneOfType([Qn().string,Qn().func]),steps:Qn().arrayOf(Qn().shape({duration:Qn().number.isRequired,style:Qn().object.isRequired,easing:Qn().oneOfType([Qn().oneOf(["ease","ease-in","ease-out","ease-in-out","linear"]),Qn().func]),properties:Qn().arrayOf("string"),onAnimationEnd:Qn().func})),children:Qn().oneOfType([Qn().node,Qn().func]),isActive:Qn().bool,canBegin:Qn().bool,onAnimationEnd:Qn().func,shouldReAnimate:Qn().bool,onAnimationStart:Qn().func,onAnimationReStart:Qn().func};const Po=ko;function Eo(e){return Eo="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Eo(e)}function _o(){return _o=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},_o.apply(this,arguments)}function Ao(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return To(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return To(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function To(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Co(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Mo(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Co(Object(n),!0).forEach(function(t){No(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Co(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function No(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Eo(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Eo(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Eo(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var Io=function(e,t,n,r,o){var i,a=Math.min(Math.abs(n)/2,Math.abs(r)/2),l=r>=0?1:-1,u=n>=0?1:-1,c=r>=0&&n>=0||r<0&&n<0?1:0;if(a>0&&o instanceof Array){for(var s=[0,0,0,0],f=0;f<4;f++)s[f]=o[f]>a?a:o[f];i="M".concat(e,",").concat(t+l*s[0]),s[0]>0&&(i+="A ".concat(s[0],",").concat(s[0],",0,0,").concat(c,",").concat(e+u*s[0],",").concat(t)),i+="L ".concat(e+n-u*s[1],",").concat(t),s[1]>0&&(i+="A ".concat(s[1],",").concat(s[1],",0,0,").concat(c,",\n        ").concat(e+n,",").concat(t+l*s[1])),i+="L ".concat(e+n,",").concat(t+r-l*s[2]),s[2]>0&&(i+="A ".concat(s[2],",").concat(s[2],",0,0,").concat(c,",\n        ").concat(e+n-u*s[2],",").concat(t+r)),i+="L ".concat(e+u*s[3],",").concat(t+r),s[3]>0&&(i+="A ".concat(s[3],",").concat(s[3],",0,0,").concat(c,",\n        ").concat(e,",").concat(t+r-l*s[3])),i+="Z"}else if(a>0&&o===+o&&o>0){var d=Math.min(a,o);i="M ".concat(e,",").concat(t+l*d,"\n            A ").concat(d,",").concat(d,",0,0,").concat(c,",").concat(e+u*d,",").concat(t,"\n            L ").concat(e+n-u*d,",").concat(t,"\n            A ").concat(d,",").concat(d,",0,0,").concat(c,",").concat(e+n,",").concat(t+l*d,"\n            L ").concat(e+n,",").concat(t+r-l*d,"\n            A ").concat(d,",").concat(d,",0,0,").concat(c,",").concat(e+n-u*d,",").concat(t+r,"\n            L ").concat(e+u*d,",").concat(t+r,"\n            A ").concat(d,",").concat(d,",0,0,").concat(c,",").concat(e,",").concat(t+r-l*d," Z")}else i="M ".concat(e,",").concat(t," h ").concat(n," v ").concat(r," h ").concat(-n," Z");return i},Do=function(e,t){if(!e||!t)return!1;var n=e.x,r=e.y,o=t.x,i=t.y,a=t.width,l=t.height;if(Math.abs(a)>0&&Math.abs(l)>0){var u=Math.min(o,o+a),c=Math.max(o,o+a),s=Math.min(i,i+l),f=Math.max(i,i+l);return n>=u&&n<=c&&r>=s&&r<=f}return!1},zo={x:0,y:0,width:0,height:0,radius:0,isAnimationActive:!1,isUpdateAnimationActive:!1,animationBegin:0,animationDuration:1500,animationEasing:"ease"},Lo=function(e){var n=Mo(Mo({},zo),e),r=(0,t.useRef)(),o=Ao((0,t.useState)(-1),2),i=o[0],l=o[1];(0,t.useEffect)(function(){if(r.current&&r.current.getTotalLength)try{var e=r.current.getTotalLength();e&&l(e)}catch(t){}},[]);var u=n.x,c=n.y,s=n.width,f=n.height,d=n.radius,p=n.className,h=n.animationEasing,y=n.animationDuration,v=n.animationBegin,m=n.isAnimationActive,g=n.isUpdateAnimationActive;if(u!==+u||c!==+c||s!==+s||f!==+f||0===s||0===f)return null;var b=a("recharts-rectangle",p);return g?t.createElement(Po,{canBegin:i>0,from:{width:s,height:f,x:u,y:c},to:{width:s,height:f,x:u,y:c},duration:y,animationEasing:h,isActive:g},function(e){var o=e.width,a=e.height,l=e.x,u=e.y;return t.createElement(Po,{canBegin:i>0,from:"0px ".concat(-1===i?1:i,"px"),to:"".concat(i,"px 0px"),attributeName:"strokeDasharray",begin:v,duration:y,isActive:m,easing:h},t.createElement("path",_o({},ie(n,!0),{className:b,d:Io(l,u,o,a,d),ref:r})))}):t.createElement("path",_o({},ie(n,!0),{className:b,d:Io(u,c,s,f,d)}))};function Ro(e,t){switch(arguments.length){case 0:break;case 1:this.range(e);break;default:this.range(t).domain(e)}return this}function Bo(e,t){switch(arguments.length){case 0:break;case 1:"function"===typeof e?this.interpolator(e):this.range(e);break;default:this.domain(e),"function"===typeof t?this.interpolator(t):this.range(t)}return this}class Fo extends Map{constructor(e){let t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:qo;if(super(),Object.defineProperties(this,{_intern:{value:new Map},_key:{value:t}}),null!=e)for(const[n,r]of e)this.set(n,r)}get(e){return super.get(Uo(this,e))}has(e){return super.has(Uo(this,e))}set(e,t){return super.set(Wo(this,e),t)}delete(e){return super.delete(Vo(this,e))}}Set;function Uo(e,t){let{_intern:n,_key:r}=e;const o=r(t);return n.has(o)?n.get(o):t}function Wo(e,t){let{_intern:n,_key:r}=e;const o=r(t);return n.has(o)?n.get(o):(n.set(o,t),t)}function Vo(e,t){let{_intern:n,_key:r}=e;const o=r(t);return n.has(o)&&(t=n.get(o),n.delete(o)),t}function qo(e){return null!==e&&"object"===typeof e?e.valueOf():e}const Ho=Symbol("implicit");function $o(){var e=new Fo,t=[],n=[],r=Ho;function o(o){let i=e.get(o);if(void 0===i){if(r!==Ho)return r;e.set(o,i=t.push(o)-1)}return n[i%n.length]}return o.domain=function(n){if(!arguments.length)return t.slice();t=[],e=new Fo;for(const r of n)e.has(r)||e.set(r,t.push(r)-1);return o},o.range=function(e){return arguments.length?(n=Array.from(e),o):n.slice()},o.unknown=function(e){return arguments.length?(r=e,o):r},o.copy=function(){return $o(t,n).unknown(r)},Ro.apply(o,arguments),o}function Ko(){var e,t,n=$o().unknown(void 0),r=n.domain,o=n.range,i=0,a=1,l=!1,u=0,c=0,s=.5;function f(){var n=r().length,f=a<i,d=f?a:i,p=f?i:a;e=(p-d)/Math.max(1,n-u+2*c),l&&(e=Math.floor(e)),d+=(p-d-e*(n-u))*s,t=e*(1-u),l&&(d=Math.round(d),t=Math.round(t));var h=function(e,t,n){e=+e,t=+t,n=(o=arguments.length)<2?(t=e,e=0,1):o<3?1:+n;for(var r=-1,o=0|Math.max(0,Math.ceil((t-e)/n)),i=new Array(o);++r<o;)i[r]=e+r*n;return i}(n).map(function(t){return d+e*t});return o(f?h.reverse():h)}return delete n.unknown,n.domain=function(e){return arguments.length?(r(e),f()):r()},n.range=function(e){return arguments.length?([i,a]=e,i=+i,a=+a,f()):[i,a]},n.rangeRound=function(e){return[i,a]=e,i=+i,a=+a,l=!0,f()},n.bandwidth=function(){return t},n.step=function(){return e},n.round=function(e){return arguments.length?(l=!!e,f()):l},n.padding=function(e){return arguments.length?(u=Math.min(1,c=+e),f()):u},n.paddingInner=function(e){return arguments.length?(u=Math.min(1,e),f()):u},n.paddingOuter=function(e){return arguments.length?(c=+e,f()):c},n.align=function(e){return arguments.length?(s=Math.max(0,Math.min(1,e)),f()):s},n.copy=function(){return Ko(r(),[i,a]).round(l).paddingInner(u).paddingOuter(c).align(s)},Ro.apply(f(),arguments)}function Xo(e){var t=e.copy;return e.padding=e.paddingOuter,delete e.paddingInner,delete e.paddingOuter,e.copy=function(){return Xo(t())},e}function Yo(){return Xo(Ko.apply(null,arguments).paddingInner(1))}function Go(e){return Go="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Go(e)}function Qo(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Zo(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Qo(Object(n),!0).forEach(function(t){Jo(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Qo(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Jo(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Go(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Go(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Go(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var ei={widthCache:{},cacheCount:0},ti={position:"absolute",top:"-20000px",left:0,padding:0,margin:0,border:"none",whiteSpace:"pre"},ni="recharts_measurement_span";var ri=function(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};if(void 0===e||null===e||nt.isSsr)return{width:0,height:0};var n=function(e){var t=Zo({},e);return Object.keys(t).forEach(function(e){t[e]||delete t[e]}),t}(t),r=JSON.stringify({text:e,copyStyle:n});if(ei.widthCache[r])return ei.widthCache[r];try{var o=document.getElementById(ni);o||((o=document.createElement("span")).setAttribute("id",ni),o.setAttribute("aria-hidden","true"),document.body.appendChild(o));var i=Zo(Zo({},ti),n);Object.assign(o.style,i),o.textContent="".concat(e);var a=o.getBoundingClientRect(),l={width:a.width,height:a.height};return ei.widthCache[r]=l,++ei.cacheCount>2e3&&(ei.cacheCount=0,ei.widthCache={}),l}catch(u){return{width:0,height:0}}};function oi(e){return oi="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},oi(e)}function ii(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return ai(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return ai(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function ai(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function li(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,ui(r.key),r)}}function ui(e){var t=function(e,t){if("object"!=oi(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=oi(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==oi(t)?t:t+""}var ci=/(-?\d+(?:\.\d+)?[a-zA-Z%]*)([*/])(-?\d+(?:\.\d+)?[a-zA-Z%]*)/,si=/(-?\d+(?:\.\d+)?[a-zA-Z%]*)([+-])(-?\d+(?:\.\d+)?[a-zA-Z%]*)/,fi=/^px|cm|vh|vw|em|rem|%|mm|in|pt|pc|ex|ch|vmin|vmax|Q$/,di=/(-?\d+(?:\.\d+)?)([a-zA-Z%]+)?/,pi={cm:96/2.54,mm:96/25.4,pt:96/72,pc:16,in:96,Q:96/101.6,px:1},hi=Object.keys(pi),yi="NaN";var vi=function(){function e(t,n){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this.num=t,this.unit=n,this.num=t,this.unit=n,Number.isNaN(t)&&(this.unit=""),""===n||fi.test(n)||(this.num=NaN,this.unit=""),hi.includes(n)&&(this.num=function(e,t){return e*pi[t]}(t,n),this.unit="px")}return t=e,r=[{key:"parse",value:function(t){var n,r=ii(null!==(n=di.exec(t))&&void 0!==n?n:[],3),o=r[1],i=r[2];return new e(parseFloat(o),null!==i&&void 0!==i?i:"")}}],(n=[{key:"add",value:function(t){return this.unit!==t.unit?new e(NaN,""):new e(this.num+t.num,this.unit)}},{key:"subtract",value:function(t){return this.unit!==t.unit?new e(NaN,""):new e(this.num-t.num,this.unit)}},{key:"multiply",value:function(t){return""!==this.unit&&""!==t.unit&&this.unit!==t.unit?new e(NaN,""):new e(this.num*t.num,this.unit||t.unit)}},{key:"divide",value:function(t){return""!==this.unit&&""!==t.unit&&this.unit!==t.unit?new e(NaN,""):new e(this.num/t.num,this.unit||t.unit)}},{key:"toString",value:function(){return"".concat(this.num).concat(this.unit)}},{key:"isNaN",value:function(){return Number.isNaN(this.num)}}])&&li(t.prototype,n),r&&li(t,r),Object.defineProperty(t,"prototype",{writable:!1}),t;var t,n,r}();function mi(e){if(e.includes(yi))return yi;for(var t=e;t.includes("*")||t.includes("/");){var n,r=ii(null!==(n=ci.exec(t))&&void 0!==n?n:[],4),o=r[1],i=r[2],a=r[3],l=vi.parse(null!==o&&void 0!==o?o:""),u=vi.parse(null!==a&&void 0!==a?a:""),c="*"===i?l.multiply(u):l.divide(u);if(c.isNaN())return yi;t=t.replace(ci,c.toString())}for(;t.includes("+")||/.-\d+(?:\.\d+)?/.test(t);){var s,f=ii(null!==(s=si.exec(t))&&void 0!==s?s:[],4),d=f[1],p=f[2],h=f[3],y=vi.parse(null!==d&&void 0!==d?d:""),v=vi.parse(null!==h&&void 0!==h?h:""),m="+"===p?y.add(v):y.subtract(v);if(m.isNaN())return yi;t=t.replace(si,m.toString())}return t}var gi=/\(([^()]*)\)/;function bi(e){var t=e.replace(/\s+/g,"");return t=function(e){for(var t=e;t.includes("(");){var n=ii(gi.exec(t),2)[1];t=t.replace(gi,mi(n))}return t}(t),t=mi(t)}function xi(e){var t=function(e){try{return bi(e)}catch(t){return yi}}(e.slice(5,-1));return t===yi?"":t}var wi=["x","y","lineHeight","capHeight","scaleToFit","textAnchor","verticalAnchor","fill"],Oi=["dx","dy","angle","className","breakAll"];function Si(){return Si=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Si.apply(this,arguments)}function ji(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function ki(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Pi(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Pi(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Pi(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var Ei=/[ \f\n\r\t\v\u2028\u2029]+/,_i=function(e){var t=e.children,n=e.breakAll,r=e.style;try{var o=[];return g()(t)||(o=n?t.toString().split(""):t.toString().split(Ei)),{wordsWithComputedWidth:o.map(function(e){return{word:e,width:ri(e,r).width}}),spaceWidth:n?0:ri("\xa0",r).width}}catch(i){return null}},Ai=function(e){return[{words:g()(e)?[]:e.toString().split(Ei)}]},Ti=function(e){var t=e.width,n=e.scaleToFit,r=e.children,o=e.style,i=e.breakAll,a=e.maxLines;if((t||n)&&!nt.isSsr){var l=_i({breakAll:i,children:r,style:o});return l?function(e,t,n,r,o){var i=e.maxLines,a=e.children,l=e.style,u=e.breakAll,c=w(i),s=a,f=function(){return(arguments.length>0&&void 0!==arguments[0]?arguments[0]:[]).reduce(function(e,t){var i=t.word,a=t.width,l=e[e.length-1];if(l&&(null==r||o||l.width+a+n<Number(r)))l.words.push(i),l.width+=a+n;else{var u={words:[i],width:a};e.push(u)}return e},[])},d=f(t);if(!c)return d;for(var p,h=function(e){var t=s.slice(0,e),n=_i({breakAll:u,style:l,children:t+"\u2026"}).wordsWithComputedWidth,o=f(n),a=o.length>i||function(e){return e.reduce(function(e,t){return e.width>t.width?e:t})}(o).width>Number(r);return[a,o]},y=0,v=s.length-1,m=0;y<=v&&m<=s.length-1;){var g=Math.floor((y+v)/2),b=ki(h(g-1),2),x=b[0],O=b[1],S=ki(h(g),1)[0];if(x||S||(y=g+1),x&&S&&(v=g-1),!x&&S){p=O;break}m++}return p||d}({breakAll:i,children:r,maxLines:a,style:o},l.wordsWithComputedWidth,l.spaceWidth,t,n):Ai(r)}return Ai(r)},Ci="#808080",Mi=function(e){var n=e.x,r=void 0===n?0:n,o=e.y,i=void 0===o?0:o,l=e.lineHeight,u=void 0===l?"1em":l,c=e.capHeight,s=void 0===c?"0.71em":c,f=e.scaleToFit,d=void 0!==f&&f,p=e.textAnchor,h=void 0===p?"start":p,y=e.verticalAnchor,v=void 0===y?"end":y,m=e.fill,g=void 0===m?Ci:m,b=ji(e,wi),x=(0,t.useMemo)(function(){return Ti({breakAll:b.breakAll,children:b.children,maxLines:b.maxLines,scaleToFit:d,style:b.style,width:b.width})},[b.breakAll,b.children,b.maxLines,d,b.style,b.width]),S=b.dx,j=b.dy,k=b.angle,P=b.className,E=b.breakAll,_=ji(b,Oi);if(!O(r)||!O(i))return null;var A,T=r+(w(S)?S:0),C=i+(w(j)?j:0);switch(v){case"start":A=xi("calc(".concat(s,")"));break;case"middle":A=xi("calc(".concat((x.length-1)/2," * -").concat(u," + (").concat(s," / 2))"));break;default:A=xi("calc(".concat(x.length-1," * -").concat(u,")"))}var M=[];if(d){var N=x[0].width,I=b.width;M.push("scale(".concat((w(I)?I/N:1)/N,")"))}return k&&M.push("rotate(".concat(k,", ").concat(T,", ").concat(C,")")),M.length&&(_.transform=M.join(" ")),t.createElement("text",Si({},ie(_,!0),{x:T,y:C,className:a("recharts-text",P),textAnchor:h,fill:g.includes("url")?Ci:g}),x.map(function(e,n){var r=e.words.join(E?"":" ");return t.createElement("tspan",{x:T,dy:0===n?A:u,key:"".concat(r,"-").concat(n)},r)}))};const Ni=Math.sqrt(50),Ii=Math.sqrt(10),Di=Math.sqrt(2);function zi(e,t,n){const r=(t-e)/Math.max(0,n),o=Math.floor(Math.log10(r)),i=r/Math.pow(10,o),a=i>=Ni?10:i>=Ii?5:i>=Di?2:1;let l,u,c;return o<0?(c=Math.pow(10,-o)/a,l=Math.round(e*c),u=Math.round(t*c),l/c<e&&++l,u/c>t&&--u,c=-c):(c=Math.pow(10,o)*a,l=Math.round(e/c),u=Math.round(t/c),l*c<e&&++l,u*c>t&&--u),u<l&&.5<=n&&n<2?zi(e,t,2*n):[l,u,c]}function Li(e,t,n){if(!((n=+n)>0))return[];if((e=+e)===(t=+t))return[e];const r=t<e,[o,i,a]=r?zi(t,e,n):zi(e,t,n);if(!(i>=o))return[];const l=i-o+1,u=new Array(l);if(r)if(a<0)for(let c=0;c<l;++c)u[c]=(i-c)/-a;else for(let c=0;c<l;++c)u[c]=(i-c)*a;else if(a<0)for(let c=0;c<l;++c)u[c]=(o+c)/-a;else for(let c=0;c<l;++c)u[c]=(o+c)*a;return u}function Ri(e,t,n){return zi(e=+e,t=+t,n=+n)[2]}function Bi(e,t,n){n=+n;const r=(t=+t)<(e=+e),o=r?Ri(t,e,n):Ri(e,t,n);return(r?-1:1)*(o<0?1/-o:o)}function Fi(e,t){return null==e||null==t?NaN:e<t?-1:e>t?1:e>=t?0:NaN}function Ui(e,t){return null==e||null==t?NaN:t<e?-1:t>e?1:t>=e?0:NaN}function Wi(e){let t,n,r;function o(e,r){let o=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:e.length;if(o<i){if(0!==t(r,r))return i;do{const t=o+i>>>1;n(e[t],r)<0?o=t+1:i=t}while(o<i)}return o}return 2!==e.length?(t=Fi,n=(t,n)=>Fi(e(t),n),r=(t,n)=>e(t)-n):(t=e===Fi||e===Ui?e:Vi,n=e,r=e),{left:o,center:function(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0;const i=o(e,t,n,(arguments.length>3&&void 0!==arguments[3]?arguments[3]:e.length)-1);return i>n&&r(e[i-1],t)>-r(e[i],t)?i-1:i},right:function(e,r){let o=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,i=arguments.length>3&&void 0!==arguments[3]?arguments[3]:e.length;if(o<i){if(0!==t(r,r))return i;do{const t=o+i>>>1;n(e[t],r)<=0?o=t+1:i=t}while(o<i)}return o}}}function Vi(){return 0}function qi(e){return null===e?NaN:+e}const Hi=Wi(Fi),$i=Hi.right,Ki=(Hi.left,Wi(qi).center,$i);function Xi(e,t,n){e.prototype=t.prototype=n,n.constructor=e}function Yi(e,t){var n=Object.create(e.prototype);for(var r in t)n[r]=t[r];return n}function Gi(){}var Qi=.7,Zi=1/Qi,Ji="\\s*([+-]?\\d+)\\s*",ea="\\s*([+-]?(?:\\d*\\.)?\\d+(?:[eE][+-]?\\d+)?)\\s*",ta="\\s*([+-]?(?:\\d*\\.)?\\d+(?:[eE][+-]?\\d+)?)%\\s*",na=/^#([0-9a-f]{3,8})$/,ra=new RegExp("^rgb\\(".concat(Ji,",").concat(Ji,",").concat(Ji,"\\)$")),oa=new RegExp("^rgb\\(".concat(ta,",").concat(ta,",").concat(ta,"\\)$")),ia=new RegExp("^rgba\\(".concat(Ji,",").concat(Ji,",").concat(Ji,",").concat(ea,"\\)$")),aa=new RegExp("^rgba\\(".concat(ta,",").concat(ta,",").concat(ta,",").concat(ea,"\\)$")),la=new RegExp("^hsl\\(".concat(ea,",").concat(ta,",").concat(ta,"\\)$")),ua=new RegExp("^hsla\\(".concat(ea,",").concat(ta,",").concat(ta,",").concat(ea,"\\)$")),ca={aliceblue:15792383,antiquewhite:16444375,aqua:65535,aquamarine:8388564,azure:15794175,beige:16119260,bisque:16770244,black:0,blanchedalmond:16772045,blue:255,blueviolet:9055202,brown:10824234,burlywood:14596231,cadetblue:6266528,chartreuse:8388352,chocolate:13789470,coral:16744272,cornflowerblue:6591981,cornsilk:16775388,crimson:14423100,cyan:65535,darkblue:139,darkcyan:35723,darkgoldenrod:12092939,darkgray:11119017,darkgreen:25600,darkgrey:11119017,darkkhaki:12433259,darkmagenta:9109643,darkolivegreen:5597999,darkorange:16747520,darkorchid:10040012,darkred:9109504,darksalmon:15308410,darkseagreen:9419919,darkslateblue:4734347,darkslategray:3100495,darkslategrey:3100495,darkturquoise:52945,darkviolet:9699539,deeppink:16716947,deepskyblue:49151,dimgray:6908265,dimgrey:6908265,dodgerblue:2003199,firebrick:11674146,floralwhite:16775920,forestgreen:2263842,fuchsia:16711935,gainsboro:14474460,ghostwhite:16316671,gold:16766720,goldenrod:14329120,gray:8421504,green:32768,greenyellow:11403055,grey:8421504,honeydew:15794160,hotpink:16738740,indianred:13458524,indigo:4915330,ivory:16777200,khaki:15787660,lavender:15132410,lavenderblush:16773365,lawngreen:8190976,lemonchiffon:16775885,lightblue:11393254,lightcoral:15761536,lightcyan:14745599,lightgoldenrodyellow:16448210,lightgray:13882323,lightgreen:9498256,lightgrey:13882323,lightpink:16758465,lightsalmon:16752762,lightseagreen:2142890,lightskyblue:8900346,lightslategray:7833753,lightslategrey:7833753,lightsteelblue:11584734,lightyellow:16777184,lime:65280,limegreen:3329330,linen:16445670,magenta:16711935,maroon:8388608,mediumaquamarine:6737322,mediumblue:205,mediumorchid:12211667,mediumpurple:9662683,mediumseagreen:3978097,mediumslateblue:8087790,mediumspringgreen:64154,mediumturquoise:4772300,mediumvioletred:13047173,midnightblue:1644912,mintcream:16121850,mistyrose:16770273,moccasin:16770229,navajowhite:16768685,navy:128,oldlace:16643558,olive:8421376,olivedrab:7048739,orange:16753920,orangered:16729344,orchid:14315734,palegoldenrod:15657130,palegreen:10025880,paleturquoise:11529966,palevioletred:14381203,papayawhip:16773077,peachpuff:16767673,peru:13468991,pink:16761035,plum:14524637,powderblue:11591910,purple:8388736,rebeccapurple:6697881,red:16711680,rosybrown:12357519,royalblue:4286945,saddlebrown:9127187,salmon:16416882,sandybrown:16032864,seagreen:3050327,seashell:16774638,sienna:10506797,silver:12632256,skyblue:8900331,slateblue:6970061,slategray:7372944,slategrey:7372944,snow:16775930,springgreen:65407,steelblue:4620980,tan:13808780,teal:32896,thistle:14204888,tomato:16737095,turquoise:4251856,violet:15631086,wheat:16113331,white:16777215,whitesmoke:16119285,yellow:16776960,yellowgreen:10145074};function sa(){return this.rgb().formatHex()}function fa(){return this.rgb().formatRgb()}function da(e){var t,n;return e=(e+"").trim().toLowerCase(),(t=na.exec(e))?(n=t[1].length,t=parseInt(t[1],16),6===n?pa(t):3===n?new va(t>>8&15|t>>4&240,t>>4&15|240&t,(15&t)<<4|15&t,1):8===n?ha(t>>24&255,t>>16&255,t>>8&255,(255&t)/255):4===n?ha(t>>12&15|t>>8&240,t>>8&15|t>>4&240,t>>4&15|240&t,((15&t)<<4|15&t)/255):null):(t=ra.exec(e))?new va(t[1],t[2],t[3],1):(t=oa.exec(e))?new va(255*t[1]/100,255*t[2]/100,255*t[3]/100,1):(t=ia.exec(e))?ha(t[1],t[2],t[3],t[4]):(t=aa.exec(e))?ha(255*t[1]/100,255*t[2]/100,255*t[3]/100,t[4]):(t=la.exec(e))?Oa(t[1],t[2]/100,t[3]/100,1):(t=ua.exec(e))?Oa(t[1],t[2]/100,t[3]/100,t[4]):ca.hasOwnProperty(e)?pa(ca[e]):"transparent"===e?new va(NaN,NaN,NaN,0):null}function pa(e){return new va(e>>16&255,e>>8&255,255&e,1)}function ha(e,t,n,r){return r<=0&&(e=t=n=NaN),new va(e,t,n,r)}function ya(e,t,n,r){return 1===arguments.length?((o=e)instanceof Gi||(o=da(o)),o?new va((o=o.rgb()).r,o.g,o.b,o.opacity):new va):new va(e,t,n,null==r?1:r);var o}function va(e,t,n,r){this.r=+e,this.g=+t,this.b=+n,this.opacity=+r}function ma(){return"#".concat(wa(this.r)).concat(wa(this.g)).concat(wa(this.b))}function ga(){const e=ba(this.opacity);return"".concat(1===e?"rgb(":"rgba(").concat(xa(this.r),", ").concat(xa(this.g),", ").concat(xa(this.b)).concat(1===e?")":", ".concat(e,")"))}function ba(e){return isNaN(e)?1:Math.max(0,Math.min(1,e))}function xa(e){return Math.max(0,Math.min(255,Math.round(e)||0))}function wa(e){return((e=xa(e))<16?"0":"")+e.toString(16)}function Oa(e,t,n,r){return r<=0?e=t=n=NaN:n<=0||n>=1?e=t=NaN:t<=0&&(e=NaN),new ja(e,t,n,r)}function Sa(e){if(e instanceof ja)return new ja(e.h,e.s,e.l,e.opacity);if(e instanceof Gi||(e=da(e)),!e)return new ja;if(e instanceof ja)return e;var t=(e=e.rgb()).r/255,n=e.g/255,r=e.b/255,o=Math.min(t,n,r),i=Math.max(t,n,r),a=NaN,l=i-o,u=(i+o)/2;return l?(a=t===i?(n-r)/l+6*(n<r):n===i?(r-t)/l+2:(t-n)/l+4,l/=u<.5?i+o:2-i-o,a*=60):l=u>0&&u<1?0:a,new ja(a,l,u,e.opacity)}function ja(e,t,n,r){this.h=+e,this.s=+t,this.l=+n,this.opacity=+r}function ka(e){return(e=(e||0)%360)<0?e+360:e}function Pa(e){return Math.max(0,Math.min(1,e||0))}function Ea(e,t,n){return 255*(e<60?t+(n-t)*e/60:e<180?n:e<240?t+(n-t)*(240-e)/60:t)}function _a(e,t,n,r,o){var i=e*e,a=i*e;return((1-3*e+3*i-a)*t+(4-6*i+3*a)*n+(1+3*e+3*i-3*a)*r+a*o)/6}Xi(Gi,da,{copy(e){return Object.assign(new this.constructor,this,e)},displayable(){return this.rgb().displayable()},hex:sa,formatHex:sa,formatHex8:function(){return this.rgb().formatHex8()},formatHsl:function(){return Sa(this).formatHsl()},formatRgb:fa,toString:fa}),Xi(va,ya,Yi(Gi,{brighter(e){return e=null==e?Zi:Math.pow(Zi,e),new va(this.r*e,this.g*e,this.b*e,this.opacity)},darker(e){return e=null==e?Qi:Math.pow(Qi,e),new va(this.r*e,this.g*e,this.b*e,this.opacity)},rgb(){return this},clamp(){return new va(xa(this.r),xa(this.g),xa(this.b),ba(this.opacity))},displayable(){return-.5<=this.r&&this.r<255.5&&-.5<=this.g&&this.g<255.5&&-.5<=this.b&&this.b<255.5&&0<=this.opacity&&this.opacity<=1},hex:ma,formatHex:ma,formatHex8:function(){return"#".concat(wa(this.r)).concat(wa(this.g)).concat(wa(this.b)).concat(wa(255*(isNaN(this.opacity)?1:this.opacity)))},formatRgb:ga,toString:ga})),Xi(ja,function(e,t,n,r){return 1===arguments.length?Sa(e):new ja(e,t,n,null==r?1:r)},Yi(Gi,{brighter(e){return e=null==e?Zi:Math.pow(Zi,e),new ja(this.h,this.s,this.l*e,this.opacity)},darker(e){return e=null==e?Qi:Math.pow(Qi,e),new ja(this.h,this.s,this.l*e,this.opacity)},rgb(){var e=this.h%360+360*(this.h<0),t=isNaN(e)||isNaN(this.s)?0:this.s,n=this.l,r=n+(n<.5?n:1-n)*t,o=2*n-r;return new va(Ea(e>=240?e-240:e+120,o,r),Ea(e,o,r),Ea(e<120?e+240:e-120,o,r),this.opacity)},clamp(){return new ja(ka(this.h),Pa(this.s),Pa(this.l),ba(this.opacity))},displayable(){return(0<=this.s&&this.s<=1||isNaN(this.s))&&0<=this.l&&this.l<=1&&0<=this.opacity&&this.opacity<=1},formatHsl(){const e=ba(this.opacity);return"".concat(1===e?"hsl(":"hsla(").concat(ka(this.h),", ").concat(100*Pa(this.s),"%, ").concat(100*Pa(this.l),"%").concat(1===e?")":", ".concat(e,")"))}}));const Aa=e=>()=>e;function Ta(e,t){return function(n){return e+n*t}}function Ca(e){return 1===(e=+e)?Ma:function(t,n){return n-t?function(e,t,n){return e=Math.pow(e,n),t=Math.pow(t,n)-e,n=1/n,function(r){return Math.pow(e+r*t,n)}}(t,n,e):Aa(isNaN(t)?n:t)}}function Ma(e,t){var n=t-e;return n?Ta(e,n):Aa(isNaN(e)?t:e)}const Na=function e(t){var n=Ca(t);function r(e,t){var r=n((e=ya(e)).r,(t=ya(t)).r),o=n(e.g,t.g),i=n(e.b,t.b),a=Ma(e.opacity,t.opacity);return function(t){return e.r=r(t),e.g=o(t),e.b=i(t),e.opacity=a(t),e+""}}return r.gamma=e,r}(1);function Ia(e){return function(t){var n,r,o=t.length,i=new Array(o),a=new Array(o),l=new Array(o);for(n=0;n<o;++n)r=ya(t[n]),i[n]=r.r||0,a[n]=r.g||0,l[n]=r.b||0;return i=e(i),a=e(a),l=e(l),r.opacity=1,function(e){return r.r=i(e),r.g=a(e),r.b=l(e),r+""}}}Ia(function(e){var t=e.length-1;return function(n){var r=n<=0?n=0:n>=1?(n=1,t-1):Math.floor(n*t),o=e[r],i=e[r+1],a=r>0?e[r-1]:2*o-i,l=r<t-1?e[r+2]:2*i-o;return _a((n-r/t)*t,a,o,i,l)}}),Ia(function(e){var t=e.length;return function(n){var r=Math.floor(((n%=1)<0?++n:n)*t),o=e[(r+t-1)%t],i=e[r%t],a=e[(r+1)%t],l=e[(r+2)%t];return _a((n-r/t)*t,o,i,a,l)}});function Da(e,t){var n,r=t?t.length:0,o=e?Math.min(r,e.length):0,i=new Array(o),a=new Array(r);for(n=0;n<o;++n)i[n]=Va(e[n],t[n]);for(;n<r;++n)a[n]=t[n];return function(e){for(n=0;n<o;++n)a[n]=i[n](e);return a}}function za(e,t){var n=new Date;return e=+e,t=+t,function(r){return n.setTime(e*(1-r)+t*r),n}}function La(e,t){return e=+e,t=+t,function(n){return e*(1-n)+t*n}}function Ra(e,t){var n,r={},o={};for(n in null!==e&&"object"===typeof e||(e={}),null!==t&&"object"===typeof t||(t={}),t)n in e?r[n]=Va(e[n],t[n]):o[n]=t[n];return function(e){for(n in r)o[n]=r[n](e);return o}}var Ba=/[-+]?(?:\d+\.?\d*|\.?\d+)(?:[eE][-+]?\d+)?/g,Fa=new RegExp(Ba.source,"g");function Ua(e,t){var n,r,o,i=Ba.lastIndex=Fa.lastIndex=0,a=-1,l=[],u=[];for(e+="",t+="";(n=Ba.exec(e))&&(r=Fa.exec(t));)(o=r.index)>i&&(o=t.slice(i,o),l[a]?l[a]+=o:l[++a]=o),(n=n[0])===(r=r[0])?l[a]?l[a]+=r:l[++a]=r:(l[++a]=null,u.push({i:a,x:La(n,r)})),i=Fa.lastIndex;return i<t.length&&(o=t.slice(i),l[a]?l[a]+=o:l[++a]=o),l.length<2?u[0]?function(e){return function(t){return e(t)+""}}(u[0].x):function(e){return function(){return e}}(t):(t=u.length,function(e){for(var n,r=0;r<t;++r)l[(n=u[r]).i]=n.x(e);return l.join("")})}function Wa(e,t){t||(t=[]);var n,r=e?Math.min(t.length,e.length):0,o=t.slice();return function(i){for(n=0;n<r;++n)o[n]=e[n]*(1-i)+t[n]*i;return o}}function Va(e,t){var n,r,o=typeof t;return null==t||"boolean"===o?Aa(t):("number"===o?La:"string"===o?(n=da(t))?(t=n,Na):Ua:t instanceof da?Na:t instanceof Date?za:(r=t,!ArrayBuffer.isView(r)||r instanceof DataView?Array.isArray(t)?Da:"function"!==typeof t.valueOf&&"function"!==typeof t.toString||isNaN(t)?Ra:La:Wa))(e,t)}function qa(e,t){return e=+e,t=+t,function(n){return Math.round(e*(1-n)+t*n)}}function Ha(e){return+e}var $a=[0,1];function Ka(e){return e}function Xa(e,t){return(t-=e=+e)?function(n){return(n-e)/t}:(n=isNaN(t)?NaN:.5,function(){return n});var n}function Ya(e,t,n){var r=e[0],o=e[1],i=t[0],a=t[1];return o<r?(r=Xa(o,r),i=n(a,i)):(r=Xa(r,o),i=n(i,a)),function(e){return i(r(e))}}function Ga(e,t,n){var r=Math.min(e.length,t.length)-1,o=new Array(r),i=new Array(r),a=-1;for(e[r]<e[0]&&(e=e.slice().reverse(),t=t.slice().reverse());++a<r;)o[a]=Xa(e[a],e[a+1]),i[a]=n(t[a],t[a+1]);return function(t){var n=Ki(e,t,1,r)-1;return i[n](o[n](t))}}function Qa(e,t){return t.domain(e.domain()).range(e.range()).interpolate(e.interpolate()).clamp(e.clamp()).unknown(e.unknown())}function Za(){var e,t,n,r,o,i,a=$a,l=$a,u=Va,c=Ka;function s(){var e=Math.min(a.length,l.length);return c!==Ka&&(c=function(e,t){var n;return e>t&&(n=e,e=t,t=n),function(n){return Math.max(e,Math.min(t,n))}}(a[0],a[e-1])),r=e>2?Ga:Ya,o=i=null,f}function f(t){return null==t||isNaN(t=+t)?n:(o||(o=r(a.map(e),l,u)))(e(c(t)))}return f.invert=function(n){return c(t((i||(i=r(l,a.map(e),La)))(n)))},f.domain=function(e){return arguments.length?(a=Array.from(e,Ha),s()):a.slice()},f.range=function(e){return arguments.length?(l=Array.from(e),s()):l.slice()},f.rangeRound=function(e){return l=Array.from(e),u=qa,s()},f.clamp=function(e){return arguments.length?(c=!!e||Ka,s()):c!==Ka},f.interpolate=function(e){return arguments.length?(u=e,s()):u},f.unknown=function(e){return arguments.length?(n=e,f):n},function(n,r){return e=n,t=r,s()}}function Ja(){return Za()(Ka,Ka)}var el,tl=/^(?:(.)?([<>=^]))?([+\-( ])?([$#])?(0)?(\d+)?(,)?(\.\d+)?(~)?([a-z%])?$/i;function nl(e){if(!(t=tl.exec(e)))throw new Error("invalid format: "+e);var t;return new rl({fill:t[1],align:t[2],sign:t[3],symbol:t[4],zero:t[5],width:t[6],comma:t[7],precision:t[8]&&t[8].slice(1),trim:t[9],type:t[10]})}function rl(e){this.fill=void 0===e.fill?" ":e.fill+"",this.align=void 0===e.align?">":e.align+"",this.sign=void 0===e.sign?"-":e.sign+"",this.symbol=void 0===e.symbol?"":e.symbol+"",this.zero=!!e.zero,this.width=void 0===e.width?void 0:+e.width,this.comma=!!e.comma,this.precision=void 0===e.precision?void 0:+e.precision,this.trim=!!e.trim,this.type=void 0===e.type?"":e.type+""}function ol(e,t){if(!isFinite(e)||0===e)return null;var n=(e=t?e.toExponential(t-1):e.toExponential()).indexOf("e"),r=e.slice(0,n);return[r.length>1?r[0]+r.slice(2):r,+e.slice(n+1)]}function il(e){return(e=ol(Math.abs(e)))?e[1]:NaN}function al(e,t){var n=ol(e,t);if(!n)return e+"";var r=n[0],o=n[1];return o<0?"0."+new Array(-o).join("0")+r:r.length>o+1?r.slice(0,o+1)+"."+r.slice(o+1):r+new Array(o-r.length+2).join("0")}nl.prototype=rl.prototype,rl.prototype.toString=function(){return this.fill+this.align+this.sign+this.symbol+(this.zero?"0":"")+(void 0===this.width?"":Math.max(1,0|this.width))+(this.comma?",":"")+(void 0===this.precision?"":"."+Math.max(0,0|this.precision))+(this.trim?"~":"")+this.type};const ll={"%":(e,t)=>(100*e).toFixed(t),b:e=>Math.round(e).toString(2),c:e=>e+"",d:function(e){return Math.abs(e=Math.round(e))>=1e21?e.toLocaleString("en").replace(/,/g,""):e.toString(10)},e:(e,t)=>e.toExponential(t),f:(e,t)=>e.toFixed(t),g:(e,t)=>e.toPrecision(t),o:e=>Math.round(e).toString(8),p:(e,t)=>al(100*e,t),r:al,s:function(e,t){var n=ol(e,t);if(!n)return el=void 0,e.toPrecision(t);var r=n[0],o=n[1],i=o-(el=3*Math.max(-8,Math.min(8,Math.floor(o/3))))+1,a=r.length;return i===a?r:i>a?r+new Array(i-a+1).join("0"):i>0?r.slice(0,i)+"."+r.slice(i):"0."+new Array(1-i).join("0")+ol(e,Math.max(0,t+i-1))[0]},X:e=>Math.round(e).toString(16).toUpperCase(),x:e=>Math.round(e).toString(16)};function ul(e){return e}var cl,sl,fl,dl=Array.prototype.map,pl=["y","z","a","f","p","n","\xb5","m","","k","M","G","T","P","E","Z","Y"];function hl(e){var t,n,r=void 0===e.grouping||void 0===e.thousands?ul:(t=dl.call(e.grouping,Number),n=e.thousands+"",function(e,r){for(var o=e.length,i=[],a=0,l=t[0],u=0;o>0&&l>0&&(u+l+1>r&&(l=Math.max(1,r-u)),i.push(e.substring(o-=l,o+l)),!((u+=l+1)>r));)l=t[a=(a+1)%t.length];return i.reverse().join(n)}),o=void 0===e.currency?"":e.currency[0]+"",i=void 0===e.currency?"":e.currency[1]+"",a=void 0===e.decimal?".":e.decimal+"",l=void 0===e.numerals?ul:function(e){return function(t){return t.replace(/[0-9]/g,function(t){return e[+t]})}}(dl.call(e.numerals,String)),u=void 0===e.percent?"%":e.percent+"",c=void 0===e.minus?"\u2212":e.minus+"",s=void 0===e.nan?"NaN":e.nan+"";function f(e,t){var n=(e=nl(e)).fill,f=e.align,d=e.sign,p=e.symbol,h=e.zero,y=e.width,v=e.comma,m=e.precision,g=e.trim,b=e.type;"n"===b?(v=!0,b="g"):ll[b]||(void 0===m&&(m=12),g=!0,b="g"),(h||"0"===n&&"="===f)&&(h=!0,n="0",f="=");var x=(t&&void 0!==t.prefix?t.prefix:"")+("$"===p?o:"#"===p&&/[boxX]/.test(b)?"0"+b.toLowerCase():""),w=("$"===p?i:/[%p]/.test(b)?u:"")+(t&&void 0!==t.suffix?t.suffix:""),O=ll[b],S=/[defgprs%]/.test(b);function j(e){var t,o,i,u=x,p=w;if("c"===b)p=O(e)+p,e="";else{var j=(e=+e)<0||1/e<0;if(e=isNaN(e)?s:O(Math.abs(e),m),g&&(e=function(e){e:for(var t,n=e.length,r=1,o=-1;r<n;++r)switch(e[r]){case".":o=t=r;break;case"0":0===o&&(o=r),t=r;break;default:if(!+e[r])break e;o>0&&(o=0)}return o>0?e.slice(0,o)+e.slice(t+1):e}(e)),j&&0===+e&&"+"!==d&&(j=!1),u=(j?"("===d?d:c:"-"===d||"("===d?"":d)+u,p=("s"!==b||isNaN(e)||void 0===el?"":pl[8+el/3])+p+(j&&"("===d?")":""),S)for(t=-1,o=e.length;++t<o;)if(48>(i=e.charCodeAt(t))||i>57){p=(46===i?a+e.slice(t+1):e.slice(t))+p,e=e.slice(0,t);break}}v&&!h&&(e=r(e,1/0));var k=u.length+e.length+p.length,P=k<y?new Array(y-k+1).join(n):"";switch(v&&h&&(e=r(P+e,P.length?y-p.length:1/0),P=""),f){case"<":e=u+e+p+P;break;case"=":e=u+P+e+p;break;case"^":e=P.slice(0,k=P.length>>1)+u+e+p+P.slice(k);break;default:e=P+u+e+p}return l(e)}return m=void 0===m?6:/[gprs]/.test(b)?Math.max(1,Math.min(21,m)):Math.max(0,Math.min(20,m)),j.toString=function(){return e+""},j}return{format:f,formatPrefix:function(e,t){var n=3*Math.max(-8,Math.min(8,Math.floor(il(t)/3))),r=Math.pow(10,-n),o=f(((e=nl(e)).type="f",e),{suffix:pl[8+n/3]});return function(e){return o(r*e)}}}}function yl(e,t,n,r){var o,i=Bi(e,t,n);switch((r=nl(null==r?",f":r)).type){case"s":var a=Math.max(Math.abs(e),Math.abs(t));return null!=r.precision||isNaN(o=function(e,t){return Math.max(0,3*Math.max(-8,Math.min(8,Math.floor(il(t)/3)))-il(Math.abs(e)))}(i,a))||(r.precision=o),fl(r,a);case"":case"e":case"g":case"p":case"r":null!=r.precision||isNaN(o=function(e,t){return e=Math.abs(e),t=Math.abs(t)-e,Math.max(0,il(t)-il(e))+1}(i,Math.max(Math.abs(e),Math.abs(t))))||(r.precision=o-("e"===r.type));break;case"f":case"%":null!=r.precision||isNaN(o=function(e){return Math.max(0,-il(Math.abs(e)))}(i))||(r.precision=o-2*("%"===r.type))}return sl(r)}function vl(e){var t=e.domain;return e.ticks=function(e){var n=t();return Li(n[0],n[n.length-1],null==e?10:e)},e.tickFormat=function(e,n){var r=t();return yl(r[0],r[r.length-1],null==e?10:e,n)},e.nice=function(n){null==n&&(n=10);var r,o,i=t(),a=0,l=i.length-1,u=i[a],c=i[l],s=10;for(c<u&&(o=u,u=c,c=o,o=a,a=l,l=o);s-- >0;){if((o=Ri(u,c,n))===r)return i[a]=u,i[l]=c,t(i);if(o>0)u=Math.floor(u/o)*o,c=Math.ceil(c/o)*o;else{if(!(o<0))break;u=Math.ceil(u*o)/o,c=Math.floor(c*o)/o}r=o}return e},e}function ml(){var e=Ja();return e.copy=function(){return Qa(e,ml())},Ro.apply(e,arguments),vl(e)}function gl(e){var t;function n(e){return null==e||isNaN(e=+e)?t:e}return n.invert=n,n.domain=n.range=function(t){return arguments.length?(e=Array.from(t,Ha),n):e.slice()},n.unknown=function(e){return arguments.length?(t=e,n):t},n.copy=function(){return gl(e).unknown(t)},e=arguments.length?Array.from(e,Ha):[0,1],vl(n)}function bl(e,t){var n,r=0,o=(e=e.slice()).length-1,i=e[r],a=e[o];return a<i&&(n=r,r=o,o=n,n=i,i=a,a=n),e[r]=t.floor(i),e[o]=t.ceil(a),e}function xl(e){return Math.log(e)}function wl(e){return Math.exp(e)}function Ol(e){return-Math.log(-e)}function Sl(e){return-Math.exp(-e)}function jl(e){return isFinite(e)?+("1e"+e):e<0?0:e}function kl(e){return(t,n)=>-e(-t,n)}function Pl(e){const t=e(xl,wl),n=t.domain;let r,o,i=10;function a(){return r=function(e){return e===Math.E?Math.log:10===e&&Math.log10||2===e&&Math.log2||(e=Math.log(e),t=>Math.log(t)/e)}(i),o=function(e){return 10===e?jl:e===Math.E?Math.exp:t=>Math.pow(e,t)}(i),n()[0]<0?(r=kl(r),o=kl(o),e(Ol,Sl)):e(xl,wl),t}return t.base=function(e){return arguments.length?(i=+e,a()):i},t.domain=function(e){return arguments.length?(n(e),a()):n()},t.ticks=e=>{const t=n();let a=t[0],l=t[t.length-1];const u=l<a;u&&([a,l]=[l,a]);let c,s,f=r(a),d=r(l);const p=null==e?10:+e;let h=[];if(!(i%1)&&d-f<p){if(f=Math.floor(f),d=Math.ceil(d),a>0){for(;f<=d;++f)for(c=1;c<i;++c)if(s=f<0?c/o(-f):c*o(f),!(s<a)){if(s>l)break;h.push(s)}}else for(;f<=d;++f)for(c=i-1;c>=1;--c)if(s=f>0?c/o(-f):c*o(f),!(s<a)){if(s>l)break;h.push(s)}2*h.length<p&&(h=Li(a,l,p))}else h=Li(f,d,Math.min(d-f,p)).map(o);return u?h.reverse():h},t.tickFormat=(e,n)=>{if(null==e&&(e=10),null==n&&(n=10===i?"s":","),"function"!==typeof n&&(i%1||null!=(n=nl(n)).precision||(n.trim=!0),n=sl(n)),e===1/0)return n;const a=Math.max(1,i*e/t.ticks().length);return e=>{let t=e/o(Math.round(r(e)));return t*i<i-.5&&(t*=i),t<=a?n(e):""}},t.nice=()=>n(bl(n(),{floor:e=>o(Math.floor(r(e))),ceil:e=>o(Math.ceil(r(e)))})),t}function El(){const e=Pl(Za()).domain([1,10]);return e.copy=()=>Qa(e,El()).base(e.base()),Ro.apply(e,arguments),e}function _l(e){return function(t){return Math.sign(t)*Math.log1p(Math.abs(t/e))}}function Al(e){return function(t){return Math.sign(t)*Math.expm1(Math.abs(t))*e}}function Tl(e){var t=1,n=e(_l(t),Al(t));return n.constant=function(n){return arguments.length?e(_l(t=+n),Al(t)):t},vl(n)}function Cl(){var e=Tl(Za());return e.copy=function(){return Qa(e,Cl()).constant(e.constant())},Ro.apply(e,arguments)}function Ml(e){return function(t){return t<0?-Math.pow(-t,e):Math.pow(t,e)}}function Nl(e){return e<0?-Math.sqrt(-e):Math.sqrt(e)}function Il(e){return e<0?-e*e:e*e}function Dl(e){var t=e(Ka,Ka),n=1;return t.exponent=function(t){return arguments.length?1===(n=+t)?e(Ka,Ka):.5===n?e(Nl,Il):e(Ml(n),Ml(1/n)):n},vl(t)}function zl(){var e=Dl(Za());return e.copy=function(){return Qa(e,zl()).exponent(e.exponent())},Ro.apply(e,arguments),e}function Ll(){return zl.apply(null,arguments).exponent(.5)}function Rl(e){return Math.sign(e)*e*e}function Bl(){var e,t=Ja(),n=[0,1],r=!1;function o(n){var o=function(e){return Math.sign(e)*Math.sqrt(Math.abs(e))}(t(n));return isNaN(o)?e:r?Math.round(o):o}return o.invert=function(e){return t.invert(Rl(e))},o.domain=function(e){return arguments.length?(t.domain(e),o):t.domain()},o.range=function(e){return arguments.length?(t.range((n=Array.from(e,Ha)).map(Rl)),o):n.slice()},o.rangeRound=function(e){return o.range(e).round(!0)},o.round=function(e){return arguments.length?(r=!!e,o):r},o.clamp=function(e){return arguments.length?(t.clamp(e),o):t.clamp()},o.unknown=function(t){return arguments.length?(e=t,o):e},o.copy=function(){return Bl(t.domain(),n).round(r).clamp(t.clamp()).unknown(e)},Ro.apply(o,arguments),vl(o)}function Fl(e,t){let n;if(void 0===t)for(const r of e)null!=r&&(n<r||void 0===n&&r>=r)&&(n=r);else{let r=-1;for(let o of e)null!=(o=t(o,++r,e))&&(n<o||void 0===n&&o>=o)&&(n=o)}return n}function Ul(e,t){let n;if(void 0===t)for(const r of e)null!=r&&(n>r||void 0===n&&r>=r)&&(n=r);else{let r=-1;for(let o of e)null!=(o=t(o,++r,e))&&(n>o||void 0===n&&o>=o)&&(n=o)}return n}function Wl(){let e=arguments.length>0&&void 0!==arguments[0]?arguments[0]:Fi;if(e===Fi)return Vl;if("function"!==typeof e)throw new TypeError("compare is not a function");return(t,n)=>{const r=e(t,n);return r||0===r?r:(0===e(n,n))-(0===e(t,t))}}function Vl(e,t){return(null==e||!(e>=e))-(null==t||!(t>=t))||(e<t?-1:e>t?1:0)}function ql(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,r=arguments.length>3&&void 0!==arguments[3]?arguments[3]:1/0,o=arguments.length>4?arguments[4]:void 0;if(t=Math.floor(t),n=Math.floor(Math.max(0,n)),r=Math.floor(Math.min(e.length-1,r)),!(n<=t&&t<=r))return e;for(o=void 0===o?Vl:Wl(o);r>n;){if(r-n>600){const i=r-n+1,a=t-n+1,l=Math.log(i),u=.5*Math.exp(2*l/3),c=.5*Math.sqrt(l*u*(i-u)/i)*(a-i/2<0?-1:1);ql(e,t,Math.max(n,Math.floor(t-a*u/i+c)),Math.min(r,Math.floor(t+(i-a)*u/i+c)),o)}const i=e[t];let a=n,l=r;for(Hl(e,n,t),o(e[r],i)>0&&Hl(e,n,r);a<l;){for(Hl(e,a,l),++a,--l;o(e[a],i)<0;)++a;for(;o(e[l],i)>0;)--l}0===o(e[n],i)?Hl(e,n,l):(++l,Hl(e,l,r)),l<=t&&(n=l+1),t<=l&&(r=l-1)}return e}function Hl(e,t,n){const r=e[t];e[t]=e[n],e[n]=r}function $l(e,t,n){if(e=Float64Array.from(function*(e,t){if(void 0===t)for(let n of e)null!=n&&(n=+n)>=n&&(yield n);else{let n=-1;for(let r of e)null!=(r=t(r,++n,e))&&(r=+r)>=r&&(yield r)}}(e,n)),(r=e.length)&&!isNaN(t=+t)){if(t<=0||r<2)return Ul(e);if(t>=1)return Fl(e);var r,o=(r-1)*t,i=Math.floor(o),a=Fl(ql(e,i).subarray(0,i+1));return a+(Ul(e.subarray(i+1))-a)*(o-i)}}function Kl(e,t){let n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:qi;if((r=e.length)&&!isNaN(t=+t)){if(t<=0||r<2)return+n(e[0],0,e);if(t>=1)return+n(e[r-1],r-1,e);var r,o=(r-1)*t,i=Math.floor(o),a=+n(e[i],i,e);return a+(+n(e[i+1],i+1,e)-a)*(o-i)}}function Xl(){var e,t=[],n=[],r=[];function o(){var e=0,o=Math.max(1,n.length);for(r=new Array(o-1);++e<o;)r[e-1]=Kl(t,e/o);return i}function i(t){return null==t||isNaN(t=+t)?e:n[Ki(r,t)]}return i.invertExtent=function(e){var o=n.indexOf(e);return o<0?[NaN,NaN]:[o>0?r[o-1]:t[0],o<r.length?r[o]:t[t.length-1]]},i.domain=function(e){if(!arguments.length)return t.slice();t=[];for(let n of e)null==n||isNaN(n=+n)||t.push(n);return t.sort(Fi),o()},i.range=function(e){return arguments.length?(n=Array.from(e),o()):n.slice()},i.unknown=function(t){return arguments.length?(e=t,i):e},i.quantiles=function(){return r.slice()},i.copy=function(){return Xl().domain(t).range(n).unknown(e)},Ro.apply(i,arguments)}function Yl(){var e,t=0,n=1,r=1,o=[.5],i=[0,1];function a(t){return null!=t&&t<=t?i[Ki(o,t,0,r)]:e}function l(){var e=-1;for(o=new Array(r);++e<r;)o[e]=((e+1)*n-(e-r)*t)/(r+1);return a}return a.domain=function(e){return arguments.length?([t,n]=e,t=+t,n=+n,l()):[t,n]},a.range=function(e){return arguments.length?(r=(i=Array.from(e)).length-1,l()):i.slice()},a.invertExtent=function(e){var a=i.indexOf(e);return a<0?[NaN,NaN]:a<1?[t,o[0]]:a>=r?[o[r-1],n]:[o[a-1],o[a]]},a.unknown=function(t){return arguments.length?(e=t,a):a},a.thresholds=function(){return o.slice()},a.copy=function(){return Yl().domain([t,n]).range(i).unknown(e)},Ro.apply(vl(a),arguments)}function Gl(){var e,t=[.5],n=[0,1],r=1;function o(o){return null!=o&&o<=o?n[Ki(t,o,0,r)]:e}return o.domain=function(e){return arguments.length?(t=Array.from(e),r=Math.min(t.length,n.length-1),o):t.slice()},o.range=function(e){return arguments.length?(n=Array.from(e),r=Math.min(t.length,n.length-1),o):n.slice()},o.invertExtent=function(e){var r=n.indexOf(e);return[t[r-1],t[r]]},o.unknown=function(t){return arguments.length?(e=t,o):e},o.copy=function(){return Gl().domain(t).range(n).unknown(e)},Ro.apply(o,arguments)}cl=hl({thousands:",",grouping:[3],currency:["$",""]}),sl=cl.format,fl=cl.formatPrefix;const Ql=1e3,Zl=6e4,Jl=36e5,eu=864e5,tu=6048e5,nu=2592e6,ru=31536e6,ou=new Date,iu=new Date;function au(e,t,n,r){function o(t){return e(t=0===arguments.length?new Date:new Date(+t)),t}return o.floor=t=>(e(t=new Date(+t)),t),o.ceil=n=>(e(n=new Date(n-1)),t(n,1),e(n),n),o.round=e=>{const t=o(e),n=o.ceil(e);return e-t<n-e?t:n},o.offset=(e,n)=>(t(e=new Date(+e),null==n?1:Math.floor(n)),e),o.range=(n,r,i)=>{const a=[];if(n=o.ceil(n),i=null==i?1:Math.floor(i),!(n<r)||!(i>0))return a;let l;do{a.push(l=new Date(+n)),t(n,i),e(n)}while(l<n&&n<r);return a},o.filter=n=>au(t=>{if(t>=t)for(;e(t),!n(t);)t.setTime(t-1)},(e,r)=>{if(e>=e)if(r<0)for(;++r<=0;)for(;t(e,-1),!n(e););else for(;--r>=0;)for(;t(e,1),!n(e););}),n&&(o.count=(t,r)=>(ou.setTime(+t),iu.setTime(+r),e(ou),e(iu),Math.floor(n(ou,iu))),o.every=e=>(e=Math.floor(e),isFinite(e)&&e>0?e>1?o.filter(r?t=>r(t)%e===0:t=>o.count(0,t)%e===0):o:null)),o}const lu=au(()=>{},(e,t)=>{e.setTime(+e+t)},(e,t)=>t-e);lu.every=e=>(e=Math.floor(e),isFinite(e)&&e>0?e>1?au(t=>{t.setTime(Math.floor(t/e)*e)},(t,n)=>{t.setTime(+t+n*e)},(t,n)=>(n-t)/e):lu:null);lu.range;const uu=au(e=>{e.setTime(e-e.getMilliseconds())},(e,t)=>{e.setTime(+e+t*Ql)},(e,t)=>(t-e)/Ql,e=>e.getUTCSeconds()),cu=(uu.range,au(e=>{e.setTime(e-e.getMilliseconds()-e.getSeconds()*Ql)},(e,t)=>{e.setTime(+e+t*Zl)},(e,t)=>(t-e)/Zl,e=>e.getMinutes())),su=(cu.range,au(e=>{e.setUTCSeconds(0,0)},(e,t)=>{e.setTime(+e+t*Zl)},(e,t)=>(t-e)/Zl,e=>e.getUTCMinutes())),fu=(su.range,au(e=>{e.setTime(e-e.getMilliseconds()-e.getSeconds()*Ql-e.getMinutes()*Zl)},(e,t)=>{e.setTime(+e+t*Jl)},(e,t)=>(t-e)/Jl,e=>e.getHours())),du=(fu.range,au(e=>{e.setUTCMinutes(0,0,0)},(e,t)=>{e.setTime(+e+t*Jl)},(e,t)=>(t-e)/Jl,e=>e.getUTCHours())),pu=(du.range,au(e=>e.setHours(0,0,0,0),(e,t)=>e.setDate(e.getDate()+t),(e,t)=>(t-e-(t.getTimezoneOffset()-e.getTimezoneOffset())*Zl)/eu,e=>e.getDate()-1)),hu=(pu.range,au(e=>{e.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCDate(e.getUTCDate()+t)},(e,t)=>(t-e)/eu,e=>e.getUTCDate()-1)),yu=(hu.range,au(e=>{e.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCDate(e.getUTCDate()+t)},(e,t)=>(t-e)/eu,e=>Math.floor(e/eu)));yu.range;function vu(e){return au(t=>{t.setDate(t.getDate()-(t.getDay()+7-e)%7),t.setHours(0,0,0,0)},(e,t)=>{e.setDate(e.getDate()+7*t)},(e,t)=>(t-e-(t.getTimezoneOffset()-e.getTimezoneOffset())*Zl)/tu)}const mu=vu(0),gu=vu(1),bu=vu(2),xu=vu(3),wu=vu(4),Ou=vu(5),Su=vu(6);mu.range,gu.range,bu.range,xu.range,wu.range,Ou.range,Su.range;function ju(e){return au(t=>{t.setUTCDate(t.getUTCDate()-(t.getUTCDay()+7-e)%7),t.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCDate(e.getUTCDate()+7*t)},(e,t)=>(t-e)/tu)}const ku=ju(0),Pu=ju(1),Eu=ju(2),_u=ju(3),Au=ju(4),Tu=ju(5),Cu=ju(6),Mu=(ku.range,Pu.range,Eu.range,_u.range,Au.range,Tu.range,Cu.range,au(e=>{e.setDate(1),e.setHours(0,0,0,0)},(e,t)=>{e.setMonth(e.getMonth()+t)},(e,t)=>t.getMonth()-e.getMonth()+12*(t.getFullYear()-e.getFullYear()),e=>e.getMonth())),Nu=(Mu.range,au(e=>{e.setUTCDate(1),e.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCMonth(e.getUTCMonth()+t)},(e,t)=>t.getUTCMonth()-e.getUTCMonth()+12*(t.getUTCFullYear()-e.getUTCFullYear()),e=>e.getUTCMonth())),Iu=(Nu.range,au(e=>{e.setMonth(0,1),e.setHours(0,0,0,0)},(e,t)=>{e.setFullYear(e.getFullYear()+t)},(e,t)=>t.getFullYear()-e.getFullYear(),e=>e.getFullYear()));Iu.every=e=>isFinite(e=Math.floor(e))&&e>0?au(t=>{t.setFullYear(Math.floor(t.getFullYear()/e)*e),t.setMonth(0,1),t.setHours(0,0,0,0)},(t,n)=>{t.setFullYear(t.getFullYear()+n*e)}):null;Iu.range;const Du=au(e=>{e.setUTCMonth(0,1),e.setUTCHours(0,0,0,0)},(e,t)=>{e.setUTCFullYear(e.getUTCFullYear()+t)},(e,t)=>t.getUTCFullYear()-e.getUTCFullYear(),e=>e.getUTCFullYear());Du.every=e=>isFinite(e=Math.floor(e))&&e>0?au(t=>{t.setUTCFullYear(Math.floor(t.getUTCFullYear()/e)*e),t.setUTCMonth(0,1),t.setUTCHours(0,0,0,0)},(t,n)=>{t.setUTCFullYear(t.getUTCFullYear()+n*e)}):null;Du.range;function zu(e,t,n,r,o,i){const a=[[uu,1,Ql],[uu,5,5e3],[uu,15,15e3],[uu,30,3e4],[i,1,Zl],[i,5,3e5],[i,15,9e5],[i,30,18e5],[o,1,Jl],[o,3,108e5],[o,6,216e5],[o,12,432e5],[r,1,eu],[r,2,1728e5],[n,1,tu],[t,1,nu],[t,3,7776e6],[e,1,ru]];function l(t,n,r){const o=Math.abs(n-t)/r,i=Wi(e=>{let[,,t]=e;return t}).right(a,o);if(i===a.length)return e.every(Bi(t/ru,n/ru,r));if(0===i)return lu.every(Math.max(Bi(t,n,r),1));const[l,u]=a[o/a[i-1][2]<a[i][2]/o?i-1:i];return l.every(u)}return[function(e,t,n){const r=t<e;r&&([e,t]=[t,e]);const o=n&&"function"===typeof n.range?n:l(e,t,n),i=o?o.range(e,+t+1):[];return r?i.reverse():i},l]}const[Lu,Ru]=zu(Du,Nu,ku,yu,du,su),[Bu,Fu]=zu(Iu,Mu,mu,pu,fu,cu);function Uu(e){if(0<=e.y&&e.y<100){var t=new Date(-1,e.m,e.d,e.H,e.M,e.S,e.L);return t.setFullYear(e.y),t}return new Date(e.y,e.m,e.d,e.H,e.M,e.S,e.L)}function Wu(e){if(0<=e.y&&e.y<100){var t=new Date(Date.UTC(-1,e.m,e.d,e.H,e.M,e.S,e.L));return t.setUTCFullYear(e.y),t}return new Date(Date.UTC(e.y,e.m,e.d,e.H,e.M,e.S,e.L))}function Vu(e,t,n){return{y:e,m:t,d:n,H:0,M:0,S:0,L:0}}var qu,Hu,$u,Ku={"-":"",_:" ",0:"0"},Xu=/^\s*\d+/,Yu=/^%/,Gu=/[\\^$*+?|[\]().{}]/g;function Qu(e,t,n){var r=e<0?"-":"",o=(r?-e:e)+"",i=o.length;return r+(i<n?new Array(n-i+1).join(t)+o:o)}function Zu(e){return e.replace(Gu,"\\$&")}function Ju(e){return new RegExp("^(?:"+e.map(Zu).join("|")+")","i")}function ec(e){return new Map(e.map((e,t)=>[e.toLowerCase(),t]))}function tc(e,t,n){var r=Xu.exec(t.slice(n,n+1));return r?(e.w=+r[0],n+r[0].length):-1}function nc(e,t,n){var r=Xu.exec(t.slice(n,n+1));return r?(e.u=+r[0],n+r[0].length):-1}function rc(e,t,n){var r=Xu.exec(t.slice(n,n+2));return r?(e.U=+r[0],n+r[0].length):-1}function oc(e,t,n){var r=Xu.exec(t.slice(n,n+2));return r?(e.V=+r[0],n+r[0].length):-1}function ic(e,t,n){var r=Xu.exec(t.slice(n,n+2));return r?(e.W=+r[0],n+r[0].length):-1}function ac(e,t,n){var r=Xu.exec(t.slice(n,n+4));return r?(e.y=+r[0],n+r[0].length):-1}function lc(e,t,n){var r=Xu.exec(t.slice(n,n+2));return r?(e.y=+r[0]+(+r[0]>68?1900:2e3),n+r[0].length):-1}function uc(e,t,n){var r=/^(Z)|([+-]\d\d)(?::?(\d\d))?/.exec(t.slice(n,n+6));return r?(e.Z=r[1]?0:-(r[2]+(r[3]||"00")),n+r[0].length):-1}function cc(e,t,n){var r=Xu.exec(t.slice(n,n+1));return r?(e.q=3*r[0]-3,n+r[0].length):-1}function sc(e,t,n){var r=Xu.exec(t.slice(n,n+2));return r?(e.m=r[0]-1,n+r[0].length):-1}function fc(e,t,n){var r=Xu.exec(t.slice(n,n+2));return r?(e.d=+r[0],n+r[0].length):-1}function dc(e,t,n){var r=Xu.exec(t.slice(n,n+3));return r?(e.m=0,e.d=+r[0],n+r[0].length):-1}function pc(e,t,n){var r=Xu.exec(t.slice(n,n+2));return r?(e.H=+r[0],n+r[0].length):-1}function hc(e,t,n){var r=Xu.exec(t.slice(n,n+2));return r?(e.M=+r[0],n+r[0].length):-1}function yc(e,t,n){var r=Xu.exec(t.slice(n,n+2));return r?(e.S=+r[0],n+r[0].length):-1}function vc(e,t,n){var r=Xu.exec(t.slice(n,n+3));return r?(e.L=+r[0],n+r[0].length):-1}function mc(e,t,n){var r=Xu.exec(t.slice(n,n+6));return r?(e.L=Math.floor(r[0]/1e3),n+r[0].length):-1}function gc(e,t,n){var r=Yu.exec(t.slice(n,n+1));return r?n+r[0].length:-1}function bc(e,t,n){var r=Xu.exec(t.slice(n));return r?(e.Q=+r[0],n+r[0].length):-1}function xc(e,t,n){var r=Xu.exec(t.slice(n));return r?(e.s=+r[0],n+r[0].length):-1}function wc(e,t){return Qu(e.getDate(),t,2)}function Oc(e,t){return Qu(e.getHours(),t,2)}function Sc(e,t){return Qu(e.getHours()%12||12,t,2)}function jc(e,t){return Qu(1+pu.count(Iu(e),e),t,3)}function kc(e,t){return Qu(e.getMilliseconds(),t,3)}function Pc(e,t){return kc(e,t)+"000"}function Ec(e,t){return Qu(e.getMonth()+1,t,2)}function _c(e,t){return Qu(e.getMinutes(),t,2)}function Ac(e,t){return Qu(e.getSeconds(),t,2)}function Tc(e){var t=e.getDay();return 0===t?7:t}function Cc(e,t){return Qu(mu.count(Iu(e)-1,e),t,2)}function Mc(e){var t=e.getDay();return t>=4||0===t?wu(e):wu.ceil(e)}function Nc(e,t){return e=Mc(e),Qu(wu.count(Iu(e),e)+(4===Iu(e).getDay()),t,2)}function Ic(e){return e.getDay()}function Dc(e,t){return Qu(gu.count(Iu(e)-1,e),t,2)}function zc(e,t){return Qu(e.getFullYear()%100,t,2)}function Lc(e,t){return Qu((e=Mc(e)).getFullYear()%100,t,2)}function Rc(e,t){return Qu(e.getFullYear()%1e4,t,4)}function Bc(e,t){var n=e.getDay();return Qu((e=n>=4||0===n?wu(e):wu.ceil(e)).getFullYear()%1e4,t,4)}function Fc(e){var t=e.getTimezoneOffset();return(t>0?"-":(t*=-1,"+"))+Qu(t/60|0,"0",2)+Qu(t%60,"0",2)}function Uc(e,t){return Qu(e.getUTCDate(),t,2)}function Wc(e,t){return Qu(e.getUTCHours(),t,2)}function Vc(e,t){return Qu(e.getUTCHours()%12||12,t,2)}function qc(e,t){return Qu(1+hu.count(Du(e),e),t,3)}function Hc(e,t){return Qu(e.getUTCMilliseconds(),t,3)}function $c(e,t){return Hc(e,t)+"000"}function Kc(e,t){return Qu(e.getUTCMonth()+1,t,2)}function Xc(e,t){return Qu(e.getUTCMinutes(),t,2)}function Yc(e,t){return Qu(e.getUTCSeconds(),t,2)}function Gc(e){var t=e.getUTCDay();return 0===t?7:t}function Qc(e,t){return Qu(ku.count(Du(e)-1,e),t,2)}function Zc(e){var t=e.getUTCDay();return t>=4||0===t?Au(e):Au.ceil(e)}function Jc(e,t){return e=Zc(e),Qu(Au.count(Du(e),e)+(4===Du(e).getUTCDay()),t,2)}function es(e){return e.getUTCDay()}function ts(e,t){return Qu(Pu.count(Du(e)-1,e),t,2)}function ns(e,t){return Qu(e.getUTCFullYear()%100,t,2)}function rs(e,t){return Qu((e=Zc(e)).getUTCFullYear()%100,t,2)}function os(e,t){return Qu(e.getUTCFullYear()%1e4,t,4)}function is(e,t){var n=e.getUTCDay();return Qu((e=n>=4||0===n?Au(e):Au.ceil(e)).getUTCFullYear()%1e4,t,4)}function as(){return"+0000"}function ls(){return"%"}function us(e){return+e}function cs(e){return Math.floor(+e/1e3)}function ss(e){return new Date(e)}function fs(e){return e instanceof Date?+e:+new Date(+e)}function ds(e,t,n,r,o,i,a,l,u,c){var s=Ja(),f=s.invert,d=s.domain,p=c(".%L"),h=c(":%S"),y=c("%I:%M"),v=c("%I %p"),m=c("%a %d"),g=c("%b %d"),b=c("%B"),x=c("%Y");function w(e){return(u(e)<e?p:l(e)<e?h:a(e)<e?y:i(e)<e?v:r(e)<e?o(e)<e?m:g:n(e)<e?b:x)(e)}return s.invert=function(e){return new Date(f(e))},s.domain=function(e){return arguments.length?d(Array.from(e,fs)):d().map(ss)},s.ticks=function(t){var n=d();return e(n[0],n[n.length-1],null==t?10:t)},s.tickFormat=function(e,t){return null==t?w:c(t)},s.nice=function(e){var n=d();return e&&"function"===typeof e.range||(e=t(n[0],n[n.length-1],null==e?10:e)),e?d(bl(n,e)):s},s.copy=function(){return Qa(s,ds(e,t,n,r,o,i,a,l,u,c))},s}function ps(){return Ro.apply(ds(Bu,Fu,Iu,Mu,mu,pu,fu,cu,uu,Hu).domain([new Date(2e3,0,1),new Date(2e3,0,2)]),arguments)}function hs(){return Ro.apply(ds(Lu,Ru,Du,Nu,ku,hu,du,su,uu,$u).domain([Date.UTC(2e3,0,1),Date.UTC(2e3,0,2)]),arguments)}function ys(){var e,t,n,r,o,i=0,a=1,l=Ka,u=!1;function c(t){return null==t||isNaN(t=+t)?o:l(0===n?.5:(t=(r(t)-e)*n,u?Math.max(0,Math.min(1,t)):t))}function s(e){return function(t){var n,r;return arguments.length?([n,r]=t,l=e(n,r),c):[l(0),l(1)]}}return c.domain=function(o){return arguments.length?([i,a]=o,e=r(i=+i),t=r(a=+a),n=e===t?0:1/(t-e),c):[i,a]},c.clamp=function(e){return arguments.length?(u=!!e,c):u},c.interpolator=function(e){return arguments.length?(l=e,c):l},c.range=s(Va),c.rangeRound=s(qa),c.unknown=function(e){return arguments.length?(o=e,c):o},function(o){return r=o,e=o(i),t=o(a),n=e===t?0:1/(t-e),c}}function vs(e,t){return t.domain(e.domain()).interpolator(e.interpolator()).clamp(e.clamp()).unknown(e.unknown())}function ms(){var e=vl(ys()(Ka));return e.copy=function(){return vs(e,ms())},Bo.apply(e,arguments)}function gs(){var e=Pl(ys()).domain([1,10]);return e.copy=function(){return vs(e,gs()).base(e.base())},Bo.apply(e,arguments)}function bs(){var e=Tl(ys());return e.copy=function(){return vs(e,bs()).constant(e.constant())},Bo.apply(e,arguments)}function xs(){var e=Dl(ys());return e.copy=function(){return vs(e,xs()).exponent(e.exponent())},Bo.apply(e,arguments)}function ws(){return xs.apply(null,arguments).exponent(.5)}function Os(){var e=[],t=Ka;function n(n){if(null!=n&&!isNaN(n=+n))return t((Ki(e,n,1)-1)/(e.length-1))}return n.domain=function(t){if(!arguments.length)return e.slice();e=[];for(let n of t)null==n||isNaN(n=+n)||e.push(n);return e.sort(Fi),n},n.interpolator=function(e){return arguments.length?(t=e,n):t},n.range=function(){return e.map((n,r)=>t(r/(e.length-1)))},n.quantiles=function(t){return Array.from({length:t+1},(n,r)=>$l(e,r/t))},n.copy=function(){return Os(t).domain(e)},Bo.apply(n,arguments)}function Ss(){var e,t,n,r,o,i,a,l=0,u=.5,c=1,s=1,f=Ka,d=!1;function p(e){return isNaN(e=+e)?a:(e=.5+((e=+i(e))-t)*(s*e<s*t?r:o),f(d?Math.max(0,Math.min(1,e)):e))}function h(e){return function(t){var n,r,o;return arguments.length?([n,r,o]=t,f=function(e,t){void 0===t&&(t=e,e=Va);for(var n=0,r=t.length-1,o=t[0],i=new Array(r<0?0:r);n<r;)i[n]=e(o,o=t[++n]);return function(e){var t=Math.max(0,Math.min(r-1,Math.floor(e*=r)));return i[t](e-t)}}(e,[n,r,o]),p):[f(0),f(.5),f(1)]}}return p.domain=function(a){return arguments.length?([l,u,c]=a,e=i(l=+l),t=i(u=+u),n=i(c=+c),r=e===t?0:.5/(t-e),o=t===n?0:.5/(n-t),s=t<e?-1:1,p):[l,u,c]},p.clamp=function(e){return arguments.length?(d=!!e,p):d},p.interpolator=function(e){return arguments.length?(f=e,p):f},p.range=h(Va),p.rangeRound=h(qa),p.unknown=function(e){return arguments.length?(a=e,p):a},function(a){return i=a,e=a(l),t=a(u),n=a(c),r=e===t?0:.5/(t-e),o=t===n?0:.5/(n-t),s=t<e?-1:1,p}}function js(){var e=vl(Ss()(Ka));return e.copy=function(){return vs(e,js())},Bo.apply(e,arguments)}function ks(){var e=Pl(Ss()).domain([.1,1,10]);return e.copy=function(){return vs(e,ks()).base(e.base())},Bo.apply(e,arguments)}function Ps(){var e=Tl(Ss());return e.copy=function(){return vs(e,Ps()).constant(e.constant())},Bo.apply(e,arguments)}function Es(){var e=Dl(Ss());return e.copy=function(){return vs(e,Es()).exponent(e.exponent())},Bo.apply(e,arguments)}function _s(){return Es.apply(null,arguments).exponent(.5)}function As(e,t){if((o=e.length)>1)for(var n,r,o,i=1,a=e[t[0]],l=a.length;i<o;++i)for(r=a,a=e[t[i]],n=0;n<l;++n)a[n][1]+=a[n][0]=isNaN(r[n][1])?r[n][0]:r[n][1]}!function(e){qu=function(e){var t=e.dateTime,n=e.date,r=e.time,o=e.periods,i=e.days,a=e.shortDays,l=e.months,u=e.shortMonths,c=Ju(o),s=ec(o),f=Ju(i),d=ec(i),p=Ju(a),h=ec(a),y=Ju(l),v=ec(l),m=Ju(u),g=ec(u),b={a:function(e){return a[e.getDay()]},A:function(e){return i[e.getDay()]},b:function(e){return u[e.getMonth()]},B:function(e){return l[e.getMonth()]},c:null,d:wc,e:wc,f:Pc,g:Lc,G:Bc,H:Oc,I:Sc,j:jc,L:kc,m:Ec,M:_c,p:function(e){return o[+(e.getHours()>=12)]},q:function(e){return 1+~~(e.getMonth()/3)},Q:us,s:cs,S:Ac,u:Tc,U:Cc,V:Nc,w:Ic,W:Dc,x:null,X:null,y:zc,Y:Rc,Z:Fc,"%":ls},x={a:function(e){return a[e.getUTCDay()]},A:function(e){return i[e.getUTCDay()]},b:function(e){return u[e.getUTCMonth()]},B:function(e){return l[e.getUTCMonth()]},c:null,d:Uc,e:Uc,f:$c,g:rs,G:is,H:Wc,I:Vc,j:qc,L:Hc,m:Kc,M:Xc,p:function(e){return o[+(e.getUTCHours()>=12)]},q:function(e){return 1+~~(e.getUTCMonth()/3)},Q:us,s:cs,S:Yc,u:Gc,U:Qc,V:Jc,w:es,W:ts,x:null,X:null,y:ns,Y:os,Z:as,"%":ls},w={a:function(e,t,n){var r=p.exec(t.slice(n));return r?(e.w=h.get(r[0].toLowerCase()),n+r[0].length):-1},A:function(e,t,n){var r=f.exec(t.slice(n));return r?(e.w=d.get(r[0].toLowerCase()),n+r[0].length):-1},b:function(e,t,n){var r=m.exec(t.slice(n));return r?(e.m=g.get(r[0].toLowerCase()),n+r[0].length):-1},B:function(e,t,n){var r=y.exec(t.slice(n));return r?(e.m=v.get(r[0].toLowerCase()),n+r[0].length):-1},c:function(e,n,r){return j(e,t,n,r)},d:fc,e:fc,f:mc,g:lc,G:ac,H:pc,I:pc,j:dc,L:vc,m:sc,M:hc,p:function(e,t,n){var r=c.exec(t.slice(n));return r?(e.p=s.get(r[0].toLowerCase()),n+r[0].length):-1},q:cc,Q:bc,s:xc,S:yc,u:nc,U:rc,V:oc,w:tc,W:ic,x:function(e,t,r){return j(e,n,t,r)},X:function(e,t,n){return j(e,r,t,n)},y:lc,Y:ac,Z:uc,"%":gc};function O(e,t){return function(n){var r,o,i,a=[],l=-1,u=0,c=e.length;for(n instanceof Date||(n=new Date(+n));++l<c;)37===e.charCodeAt(l)&&(a.push(e.slice(u,l)),null!=(o=Ku[r=e.charAt(++l)])?r=e.charAt(++l):o="e"===r?" ":"0",(i=t[r])&&(r=i(n,o)),a.push(r),u=l+1);return a.push(e.slice(u,l)),a.join("")}}function S(e,t){return function(n){var r,o,i=Vu(1900,void 0,1);if(j(i,e,n+="",0)!=n.length)return null;if("Q"in i)return new Date(i.Q);if("s"in i)return new Date(1e3*i.s+("L"in i?i.L:0));if(t&&!("Z"in i)&&(i.Z=0),"p"in i&&(i.H=i.H%12+12*i.p),void 0===i.m&&(i.m="q"in i?i.q:0),"V"in i){if(i.V<1||i.V>53)return null;"w"in i||(i.w=1),"Z"in i?(o=(r=Wu(Vu(i.y,0,1))).getUTCDay(),r=o>4||0===o?Pu.ceil(r):Pu(r),r=hu.offset(r,7*(i.V-1)),i.y=r.getUTCFullYear(),i.m=r.getUTCMonth(),i.d=r.getUTCDate()+(i.w+6)%7):(o=(r=Uu(Vu(i.y,0,1))).getDay(),r=o>4||0===o?gu.ceil(r):gu(r),r=pu.offset(r,7*(i.V-1)),i.y=r.getFullYear(),i.m=r.getMonth(),i.d=r.getDate()+(i.w+6)%7)}else("W"in i||"U"in i)&&("w"in i||(i.w="u"in i?i.u%7:"W"in i?1:0),o="Z"in i?Wu(Vu(i.y,0,1)).getUTCDay():Uu(Vu(i.y,0,1)).getDay(),i.m=0,i.d="W"in i?(i.w+6)%7+7*i.W-(o+5)%7:i.w+7*i.U-(o+6)%7);return"Z"in i?(i.H+=i.Z/100|0,i.M+=i.Z%100,Wu(i)):Uu(i)}}function j(e,t,n,r){for(var o,i,a=0,l=t.length,u=n.length;a<l;){if(r>=u)return-1;if(37===(o=t.charCodeAt(a++))){if(o=t.charAt(a++),!(i=w[o in Ku?t.charAt(a++):o])||(r=i(e,n,r))<0)return-1}else if(o!=n.charCodeAt(r++))return-1}return r}return b.x=O(n,b),b.X=O(r,b),b.c=O(t,b),x.x=O(n,x),x.X=O(r,x),x.c=O(t,x),{format:function(e){var t=O(e+="",b);return t.toString=function(){return e},t},parse:function(e){var t=S(e+="",!1);return t.toString=function(){return e},t},utcFormat:function(e){var t=O(e+="",x);return t.toString=function(){return e},t},utcParse:function(e){var t=S(e+="",!0);return t.toString=function(){return e},t}}}(e),Hu=qu.format,qu.parse,$u=qu.utcFormat,qu.utcParse}({dateTime:"%x, %X",date:"%-m/%-d/%Y",time:"%-I:%M:%S %p",periods:["AM","PM"],days:["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"],shortDays:["Sun","Mon","Tue","Wed","Thu","Fri","Sat"],months:["January","February","March","April","May","June","July","August","September","October","November","December"],shortMonths:["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"]});Array.prototype.slice;function Ts(e){return"object"===typeof e&&"length"in e?e:Array.from(e)}function Cs(e){for(var t=e.length,n=new Array(t);--t>=0;)n[t]=t;return n}function Ms(e,t){return e[t]}function Ns(e){const t=[];return t.key=e,t}var Is=n(539),Ds=n.n(Is),zs=n(6745),Ls=n.n(zs),Rs=n(3538),Bs=n.n(Rs),Fs=n(9853),Us=n.n(Fs),Ws=n(8210),Vs=n.n(Ws);function qs(e){return function(e){if(Array.isArray(e))return Hs(e)}(e)||function(e){if("undefined"!==typeof Symbol&&Symbol.iterator in Object(e))return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Hs(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Hs(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Hs(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}var $s=function(e){return e},Ks={"@@functional/placeholder":!0},Xs=function(e){return e===Ks},Ys=function(e){return function t(){return 0===arguments.length||1===arguments.length&&Xs(arguments.length<=0?void 0:arguments[0])?t:e.apply(void 0,arguments)}},Gs=function e(t,n){return 1===t?n:Ys(function(){for(var r=arguments.length,o=new Array(r),i=0;i<r;i++)o[i]=arguments[i];var a=o.filter(function(e){return e!==Ks}).length;return a>=t?n.apply(void 0,o):e(t-a,Ys(function(){for(var e=arguments.length,t=new Array(e),r=0;r<e;r++)t[r]=arguments[r];var i=o.map(function(e){return Xs(e)?t.shift():e});return n.apply(void 0,qs(i).concat(t))}))})},Qs=function(e){return Gs(e.length,e)},Zs=function(e,t){for(var n=[],r=e;r<t;++r)n[r-e]=r;return n},Js=Qs(function(e,t){return Array.isArray(t)?t.map(e):Object.keys(t).map(function(e){return t[e]}).map(e)}),ef=function(){for(var e=arguments.length,t=new Array(e),n=0;n<e;n++)t[n]=arguments[n];if(!t.length)return $s;var r=t.reverse(),o=r[0],i=r.slice(1);return function(){return i.reduce(function(e,t){return t(e)},o.apply(void 0,arguments))}},tf=function(e){return Array.isArray(e)?e.reverse():e.split("").reverse.join("")},nf=function(e){var t=null,n=null;return function(){for(var r=arguments.length,o=new Array(r),i=0;i<r;i++)o[i]=arguments[i];return t&&o.every(function(e,n){return e===t[n]})?n:(t=o,n=e.apply(void 0,o))}};var rf=Qs(function(e,t,n){var r=+e;return r+n*(+t-r)}),of=Qs(function(e,t,n){var r=t-+e;return(n-e)/(r=r||1/0)}),af=Qs(function(e,t,n){var r=t-+e;return r=r||1/0,Math.max(0,Math.min(1,(n-e)/r))});const lf={rangeStep:function(e,t,n){for(var r=new(Vs())(e),o=0,i=[];r.lt(t)&&o<1e5;)i.push(r.toNumber()),r=r.add(n),o++;return i},getDigitCount:function(e){return 0===e?1:Math.floor(new(Vs())(e).abs().log(10).toNumber())+1},interpolateNumber:rf,uninterpolateNumber:of,uninterpolateTruncation:af};function uf(e){return function(e){if(Array.isArray(e))return ff(e)}(e)||function(e){if("undefined"!==typeof Symbol&&Symbol.iterator in Object(e))return Array.from(e)}(e)||sf(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function cf(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){if("undefined"===typeof Symbol||!(Symbol.iterator in Object(e)))return;var n=[],r=!0,o=!1,i=void 0;try{for(var a,l=e[Symbol.iterator]();!(r=(a=l.next()).done)&&(n.push(a.value),!t||n.length!==t);r=!0);}catch(u){o=!0,i=u}finally{try{r||null==l.return||l.return()}finally{if(o)throw i}}return n}(e,t)||sf(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function sf(e,t){if(e){if("string"===typeof e)return ff(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?ff(e,t):void 0}}function ff(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function df(e){var t=cf(e,2),n=t[0],r=t[1],o=n,i=r;return n>r&&(o=r,i=n),[o,i]}function pf(e,t,n){if(e.lte(0))return new(Vs())(0);var r=lf.getDigitCount(e.toNumber()),o=new(Vs())(10).pow(r),i=e.div(o),a=1!==r?.05:.1,l=new(Vs())(Math.ceil(i.div(a).toNumber())).add(n).mul(a).mul(o);return t?l:new(Vs())(Math.ceil(l))}function hf(e,t,n){var r=1,o=new(Vs())(e);if(!o.isint()&&n){var i=Math.abs(e);i<1?(r=new(Vs())(10).pow(lf.getDigitCount(e)-1),o=new(Vs())(Math.floor(o.div(r).toNumber())).mul(r)):i>1&&(o=new(Vs())(Math.floor(e)))}else 0===e?o=new(Vs())(Math.floor((t-1)/2)):n||(o=new(Vs())(Math.floor(e)));var a=Math.floor((t-1)/2);return ef(Js(function(e){return o.add(new(Vs())(e-a).mul(r)).toNumber()}),Zs)(0,t)}function yf(e,t,n,r){var o=arguments.length>4&&void 0!==arguments[4]?arguments[4]:0;if(!Number.isFinite((t-e)/(n-1)))return{step:new(Vs())(0),tickMin:new(Vs())(0),tickMax:new(Vs())(0)};var i,a=pf(new(Vs())(t).sub(e).div(n-1),r,o);i=e<=0&&t>=0?new(Vs())(0):(i=new(Vs())(e).add(t).div(2)).sub(new(Vs())(i).mod(a));var l=Math.ceil(i.sub(e).div(a).toNumber()),u=Math.ceil(new(Vs())(t).sub(i).div(a).toNumber()),c=l+u+1;return c>n?yf(e,t,n,r,o+1):(c<n&&(u=t>0?u+(n-c):u,l=t>0?l:l+(n-c)),{step:a,tickMin:i.sub(new(Vs())(l).mul(a)),tickMax:i.add(new(Vs())(u).mul(a))})}var vf=nf(function(e){var t=cf(e,2),n=t[0],r=t[1],o=arguments.length>1&&void 0!==arguments[1]?arguments[1]:6,i=!(arguments.length>2&&void 0!==arguments[2])||arguments[2],a=Math.max(o,2),l=cf(df([n,r]),2),u=l[0],c=l[1];if(u===-1/0||c===1/0){var s=c===1/0?[u].concat(uf(Zs(0,o-1).map(function(){return 1/0}))):[].concat(uf(Zs(0,o-1).map(function(){return-1/0})),[c]);return n>r?tf(s):s}if(u===c)return hf(u,o,i);var f=yf(u,c,a,i),d=f.step,p=f.tickMin,h=f.tickMax,y=lf.rangeStep(p,h.add(new(Vs())(.1).mul(d)),d);return n>r?tf(y):y}),mf=(nf(function(e){var t=cf(e,2),n=t[0],r=t[1],o=arguments.length>1&&void 0!==arguments[1]?arguments[1]:6,i=!(arguments.length>2&&void 0!==arguments[2])||arguments[2],a=Math.max(o,2),l=cf(df([n,r]),2),u=l[0],c=l[1];if(u===-1/0||c===1/0)return[n,r];if(u===c)return hf(u,o,i);var s=pf(new(Vs())(c).sub(u).div(a-1),i,0),f=ef(Js(function(e){return new(Vs())(u).add(new(Vs())(e).mul(s)).toNumber()}),Zs)(0,a).filter(function(e){return e>=u&&e<=c});return n>r?tf(f):f}),nf(function(e,t){var n=cf(e,2),r=n[0],o=n[1],i=!(arguments.length>2&&void 0!==arguments[2])||arguments[2],a=cf(df([r,o]),2),l=a[0],u=a[1];if(l===-1/0||u===1/0)return[r,o];if(l===u)return[l];var c=Math.max(t,2),s=pf(new(Vs())(u).sub(l).div(c-1),i,0),f=[].concat(uf(lf.rangeStep(new(Vs())(l),new(Vs())(u).sub(new(Vs())(.99).mul(s)),s)),[u]);return r>o?tf(f):f})),gf=["offset","layout","width","dataKey","data","dataPointFormatter","xAxis","yAxis"];function bf(e){return bf="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},bf(e)}function xf(){return xf=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},xf.apply(this,arguments)}function wf(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Of(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Of(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Of(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Sf(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function jf(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Tf(r.key),r)}}function kf(e,t,n){return t=Ef(t),function(e,t){if(t&&("object"===bf(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Pf()?Reflect.construct(t,n||[],Ef(e).constructor):t.apply(e,n))}function Pf(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Pf=function(){return!!e})()}function Ef(e){return Ef=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Ef(e)}function _f(e,t){return _f=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},_f(e,t)}function Af(e,t,n){return(t=Tf(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Tf(e){var t=function(e,t){if("object"!=bf(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=bf(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==bf(t)?t:t+""}var Cf=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),kf(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&_f(e,t)}(n,e),r=n,o=[{key:"render",value:function(){var e=this.props,n=e.offset,r=e.layout,o=e.width,i=e.dataKey,a=e.data,l=e.dataPointFormatter,u=e.xAxis,c=e.yAxis,s=Sf(e,gf),f=ie(s,!1);"x"===this.props.direction&&"number"!==u.type&&we(!1);var d=a.map(function(e){var a=l(e,i),s=a.x,d=a.y,p=a.value,h=a.errorVal;if(!h)return null;var y,v,m=[];if(Array.isArray(h)){var g=wf(h,2);y=g[0],v=g[1]}else y=v=h;if("vertical"===r){var b=u.scale,x=d+n,w=x+o,O=x-o,S=b(p-y),j=b(p+v);m.push({x1:j,y1:w,x2:j,y2:O}),m.push({x1:S,y1:x,x2:j,y2:x}),m.push({x1:S,y1:w,x2:S,y2:O})}else if("horizontal"===r){var k=c.scale,P=s+n,E=P-o,_=P+o,A=k(p-y),T=k(p+v);m.push({x1:E,y1:T,x2:_,y2:T}),m.push({x1:P,y1:A,x2:P,y2:T}),m.push({x1:E,y1:A,x2:_,y2:A})}return t.createElement(Ae,xf({className:"recharts-errorBar",key:"bar-".concat(m.map(function(e){return"".concat(e.x1,"-").concat(e.x2,"-").concat(e.y1,"-").concat(e.y2)}))},f),m.map(function(e){return t.createElement("line",xf({},e,{key:"line-".concat(e.x1,"-").concat(e.x2,"-").concat(e.y1,"-").concat(e.y2)}))}))});return t.createElement(Ae,{className:"recharts-errorBars"},d)}}],o&&jf(r.prototype,o),i&&jf(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function Mf(e){return Mf="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Mf(e)}function Nf(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function If(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Nf(Object(n),!0).forEach(function(t){Df(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Nf(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Df(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Mf(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Mf(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Mf(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}Af(Cf,"defaultProps",{stroke:"black",strokeWidth:1.5,width:5,offset:0,layout:"horizontal"}),Af(Cf,"displayName","ErrorBar");var zf=function(e){var t=e.children,n=e.formattedGraphicalItems,r=e.legendWidth,o=e.legendContent,i=ee(t,Kn);if(!i)return null;var a,l=Kn.defaultProps,u=void 0!==l?If(If({},l),i.props):{};return a=i.props&&i.props.payload?i.props&&i.props.payload:"children"===o?(n||[]).reduce(function(e,t){var n=t.item,r=t.props,o=r.sectors||r.data||[];return e.concat(o.map(function(e){return{type:i.props.iconType||n.props.legendType,value:e.name,color:e.fill,payload:e}}))},[]):(n||[]).map(function(e){var t=e.item,n=t.type.defaultProps,r=void 0!==n?If(If({},n),t.props):{},o=r.dataKey,i=r.name,a=r.legendType;return{inactive:r.hide,dataKey:o,type:u.iconType||a||"square",color:Hf(t),value:i||o,payload:r}}),If(If(If({},u),Kn.getWithHeight(i,r)),{},{payload:a,item:i})};function Lf(e){return Lf="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Lf(e)}function Rf(e){return function(e){if(Array.isArray(e))return Bf(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Bf(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Bf(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Bf(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Ff(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Uf(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Ff(Object(n),!0).forEach(function(t){Wf(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Ff(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Wf(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Lf(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Lf(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Lf(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Vf(e,t,n){return g()(e)||g()(t)?n:O(t)?h()(e,t,n):M()(t)?t(e):n}function qf(e,t,n,r){var o=Bs()(e,function(e){return Vf(e,t)});if("number"===n){var i=o.filter(function(e){return w(e)||parseFloat(e)});return i.length?[Ls()(i),Ds()(i)]:[1/0,-1/0]}return(r?o.filter(function(e){return!g()(e)}):o).map(function(e){return O(e)||e instanceof Date?e:""})}var Hf=function(e){var t,n,r=e.type.displayName,o=null!==(t=e.type)&&void 0!==t&&t.defaultProps?Uf(Uf({},e.type.defaultProps),e.props):e.props,i=o.stroke,a=o.fill;switch(r){case"Line":n=i;break;case"Area":case"Radar":n=i&&"none"!==i?i:a;break;default:n=a}return n},$f=function(e,t,n,r,o){var i=J(t.props.children,Cf).filter(function(e){return function(e,t,n){return!!g()(t)||("horizontal"===e?"yAxis"===t:"vertical"===e||"x"===n?"xAxis"===t:"y"!==n||"yAxis"===t)}(r,o,e.props.direction)});if(i&&i.length){var a=i.map(function(e){return e.props.dataKey});return e.reduce(function(e,t){var r=Vf(t,n);if(g()(r))return e;var o=Array.isArray(r)?[Ls()(r),Ds()(r)]:[r,r],i=a.reduce(function(e,n){var r=Vf(t,n,0),i=o[0]-Math.abs(Array.isArray(r)?r[0]:r),a=o[1]+Math.abs(Array.isArray(r)?r[1]:r);return[Math.min(i,e[0]),Math.max(a,e[1])]},[1/0,-1/0]);return[Math.min(i[0],e[0]),Math.max(i[1],e[1])]},[1/0,-1/0])}return null},Kf=function(e,t,n,r,o){var i=t.map(function(t){var i=t.props.dataKey;return"number"===n&&i&&$f(e,t,i,r)||qf(e,i,n,o)});if("number"===n)return i.reduce(function(e,t){return[Math.min(e[0],t[0]),Math.max(e[1],t[1])]},[1/0,-1/0]);var a={};return i.reduce(function(e,t){for(var n=0,r=t.length;n<r;n++)a[t[n]]||(a[t[n]]=!0,e.push(t[n]));return e},[])},Xf=function(e,t){return"horizontal"===e&&"xAxis"===t||"vertical"===e&&"yAxis"===t||"centric"===e&&"angleAxis"===t||"radial"===e&&"radiusAxis"===t},Yf=function(e,t,n,r){if(r)return e.map(function(e){return e.coordinate});var o,i,a=e.map(function(e){return e.coordinate===t&&(o=!0),e.coordinate===n&&(i=!0),e.coordinate});return o||a.push(t),i||a.push(n),a},Gf=function(e,t,n){if(!e)return null;var r=e.scale,o=e.duplicateDomain,i=e.type,a=e.range,l="scaleBand"===e.realScaleType?r.bandwidth()/2:2,u=(t||n)&&"category"===i&&r.bandwidth?r.bandwidth()/l:0;return u="angleAxis"===e.axisType&&(null===a||void 0===a?void 0:a.length)>=2?2*b(a[0]-a[1])*u:u,t&&(e.ticks||e.niceTicks)?(e.ticks||e.niceTicks).map(function(e){var t=o?o.indexOf(e):e;return{coordinate:r(t)+u,value:e,offset:u}}).filter(function(e){return!d()(e.coordinate)}):e.isCategorical&&e.categoricalDomain?e.categoricalDomain.map(function(e,t){return{coordinate:r(e)+u,value:e,index:t,offset:u}}):r.ticks&&!n?r.ticks(e.tickCount).map(function(e){return{coordinate:r(e)+u,value:e,offset:u}}):r.domain().map(function(e,t){return{coordinate:r(e)+u,value:o?o[e]:e,index:t,offset:u}})},Qf=new WeakMap,Zf=function(e,t){if("function"!==typeof t)return e;Qf.has(e)||Qf.set(e,new WeakMap);var n=Qf.get(e);if(n.has(t))return n.get(t);var r=function(){e.apply(void 0,arguments),t.apply(void 0,arguments)};return n.set(t,r),r},Jf=1e-4,ed={sign:function(e){var t=e.length;if(!(t<=0))for(var n=0,r=e[0].length;n<r;++n)for(var o=0,i=0,a=0;a<t;++a){var l=d()(e[a][n][1])?e[a][n][0]:e[a][n][1];l>=0?(e[a][n][0]=o,e[a][n][1]=o+l,o=e[a][n][1]):(e[a][n][0]=i,e[a][n][1]=i+l,i=e[a][n][1])}},expand:function(e,t){if((r=e.length)>0){for(var n,r,o,i=0,a=e[0].length;i<a;++i){for(o=n=0;n<r;++n)o+=e[n][i][1]||0;if(o)for(n=0;n<r;++n)e[n][i][1]/=o}As(e,t)}},none:As,silhouette:function(e,t){if((n=e.length)>0){for(var n,r=0,o=e[t[0]],i=o.length;r<i;++r){for(var a=0,l=0;a<n;++a)l+=e[a][r][1]||0;o[r][1]+=o[r][0]=-l/2}As(e,t)}},wiggle:function(e,t){if((o=e.length)>0&&(r=(n=e[t[0]]).length)>0){for(var n,r,o,i=0,a=1;a<r;++a){for(var l=0,u=0,c=0;l<o;++l){for(var s=e[t[l]],f=s[a][1]||0,d=(f-(s[a-1][1]||0))/2,p=0;p<l;++p){var h=e[t[p]];d+=(h[a][1]||0)-(h[a-1][1]||0)}u+=f,c+=d*f}n[a-1][1]+=n[a-1][0]=i,u&&(i-=c/u)}n[a-1][1]+=n[a-1][0]=i,As(e,t)}},positive:function(e){var t=e.length;if(!(t<=0))for(var n=0,r=e[0].length;n<r;++n)for(var o=0,i=0;i<t;++i){var a=d()(e[i][n][1])?e[i][n][0]:e[i][n][1];a>=0?(e[i][n][0]=o,e[i][n][1]=o+a,o=e[i][n][1]):(e[i][n][0]=0,e[i][n][1]=0)}}},td=function(e,t,n){var r=t.map(function(e){return e.props.dataKey}),o=ed[n],i=function(){var e=Wt([]),t=Cs,n=As,r=Ms;function o(o){var i,a,l=Array.from(e.apply(this,arguments),Ns),u=l.length,c=-1;for(const e of o)for(i=0,++c;i<u;++i)(l[i][c]=[0,+r(e,l[i].key,c,o)]).data=e;for(i=0,a=Ts(t(l));i<u;++i)l[a[i]].index=i;return n(l,a),l}return o.keys=function(t){return arguments.length?(e="function"===typeof t?t:Wt(Array.from(t)),o):e},o.value=function(e){return arguments.length?(r="function"===typeof e?e:Wt(+e),o):r},o.order=function(e){return arguments.length?(t=null==e?Cs:"function"===typeof e?e:Wt(Array.from(e)),o):t},o.offset=function(e){return arguments.length?(n=null==e?As:e,o):n},o}().keys(r).value(function(e,t){return+Vf(e,t,0)}).order(Cs).offset(o);return i(e)};function nd(e){var t=e.axis,n=e.ticks,r=e.bandSize,o=e.entry,i=e.index,a=e.dataKey;if("category"===t.type){if(!t.allowDuplicatedCategory&&t.dataKey&&!g()(o[t.dataKey])){var l=_(n,"value",o[t.dataKey]);if(l)return l.coordinate+r/2}return n[i]?n[i].coordinate+r/2:null}var u=Vf(o,g()(a)?t.dataKey:a);return g()(u)?null:t.scale(u)}var rd=function(e){var t=e.axis,n=e.ticks,r=e.offset,o=e.bandSize,i=e.entry,a=e.index;if("category"===t.type)return n[a]?n[a].coordinate+r:null;var l=Vf(i,t.dataKey,t.domain[a]);return g()(l)?null:t.scale(l)-o/2+r},od=function(e,t,n){return Object.keys(e).reduce(function(r,o){var i=e[o].stackedData.reduce(function(e,r){var o=r.slice(t,n+1).reduce(function(e,t){return[Ls()(t.concat([e[0]]).filter(w)),Ds()(t.concat([e[1]]).filter(w))]},[1/0,-1/0]);return[Math.min(e[0],o[0]),Math.max(e[1],o[1])]},[1/0,-1/0]);return[Math.min(i[0],r[0]),Math.max(i[1],r[1])]},[1/0,-1/0]).map(function(e){return e===1/0||e===-1/0?0:e})},id=/^dataMin[\s]*-[\s]*([0-9]+([.]{1}[0-9]+){0,1})$/,ad=/^dataMax[\s]*\+[\s]*([0-9]+([.]{1}[0-9]+){0,1})$/,ld=function(e,t,n){if(M()(e))return e(t,n);if(!Array.isArray(e))return t;var r=[];if(w(e[0]))r[0]=n?e[0]:Math.min(e[0],t[0]);else if(id.test(e[0])){var o=+id.exec(e[0])[1];r[0]=t[0]-o}else M()(e[0])?r[0]=e[0](t[0]):r[0]=t[0];if(w(e[1]))r[1]=n?e[1]:Math.max(e[1],t[1]);else if(ad.test(e[1])){var i=+ad.exec(e[1])[1];r[1]=t[1]+i}else M()(e[1])?r[1]=e[1](t[1]):r[1]=t[1];return r},ud=function(e,t,n){if(e&&e.scale&&e.scale.bandwidth){var r=e.scale.bandwidth();if(!n||r>0)return r}if(e&&t&&t.length>=2){for(var o=be()(t,function(e){return e.coordinate}),i=1/0,a=1,l=o.length;a<l;a++){var u=o[a],c=o[a-1];i=Math.min((u.coordinate||0)-(c.coordinate||0),i)}return i===1/0?0:i}return n?void 0:0},cd=function(e,t,n){return e&&e.length?Us()(e,h()(n,"type.defaultProps.domain"))?t:e:t},sd=function(e,t){var n=e.type.defaultProps?Uf(Uf({},e.type.defaultProps),e.props):e.props,r=n.dataKey,o=n.name,i=n.unit,a=n.formatter,l=n.tooltipType,u=n.chartType,c=n.hide;return Uf(Uf({},ie(e,!1)),{},{dataKey:r,unit:i,formatter:a,name:o||r,color:Hf(e),value:Vf(t,r),type:l,payload:t,chartType:u,hide:c})};function fd(e){return fd="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},fd(e)}function dd(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function pd(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?dd(Object(n),!0).forEach(function(t){hd(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):dd(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function hd(e,t,n){return t=function(e){var t=function(e,t){if("object"!=fd(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=fd(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==fd(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var yd=["Webkit","Moz","O","ms"];function vd(e){return vd="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},vd(e)}function md(){return md=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},md.apply(this,arguments)}function gd(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function bd(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?gd(Object(n),!0).forEach(function(t){kd(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):gd(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function xd(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Pd(r.key),r)}}function wd(e,t,n){return t=Sd(t),function(e,t){if(t&&("object"===vd(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Od()?Reflect.construct(t,n||[],Sd(e).constructor):t.apply(e,n))}function Od(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Od=function(){return!!e})()}function Sd(e){return Sd=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Sd(e)}function jd(e,t){return jd=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},jd(e,t)}function kd(e,t,n){return(t=Pd(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Pd(e){var t=function(e,t){if("object"!=vd(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=vd(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==vd(t)?t:t+""}var Ed=function(e){return e.changedTouches&&!!e.changedTouches.length},_d=function(e){function n(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),kd(t=wd(this,n,[e]),"handleDrag",function(e){t.leaveTimer&&(clearTimeout(t.leaveTimer),t.leaveTimer=null),t.state.isTravellerMoving?t.handleTravellerMove(e):t.state.isSlideMoving&&t.handleSlideDrag(e)}),kd(t,"handleTouchMove",function(e){null!=e.changedTouches&&e.changedTouches.length>0&&t.handleDrag(e.changedTouches[0])}),kd(t,"handleDragEnd",function(){t.setState({isTravellerMoving:!1,isSlideMoving:!1},function(){var e=t.props,n=e.endIndex,r=e.onDragEnd,o=e.startIndex;null===r||void 0===r||r({endIndex:n,startIndex:o})}),t.detachDragEndListener()}),kd(t,"handleLeaveWrapper",function(){(t.state.isTravellerMoving||t.state.isSlideMoving)&&(t.leaveTimer=window.setTimeout(t.handleDragEnd,t.props.leaveTimeOut))}),kd(t,"handleEnterSlideOrTraveller",function(){t.setState({isTextActive:!0})}),kd(t,"handleLeaveSlideOrTraveller",function(){t.setState({isTextActive:!1})}),kd(t,"handleSlideDragStart",function(e){var n=Ed(e)?e.changedTouches[0]:e;t.setState({isTravellerMoving:!1,isSlideMoving:!0,slideMoveStartX:n.pageX}),t.attachDragEndListener()}),t.travellerDragStartHandlers={startX:t.handleTravellerDragStart.bind(t,"startX"),endX:t.handleTravellerDragStart.bind(t,"endX")},t.state={},t}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&jd(e,t)}(n,e),r=n,o=[{key:"componentWillUnmount",value:function(){this.leaveTimer&&(clearTimeout(this.leaveTimer),this.leaveTimer=null),this.detachDragEndListener()}},{key:"getIndex",value:function(e){var t=e.startX,r=e.endX,o=this.state.scaleValues,i=this.props,a=i.gap,l=i.data.length-1,u=Math.min(t,r),c=Math.max(t,r),s=n.getIndexInRange(o,u),f=n.getIndexInRange(o,c);return{startIndex:s-s%a,endIndex:f===l?l:f-f%a}}},{key:"getTextOfTick",value:function(e){var t=this.props,n=t.data,r=t.tickFormatter,o=t.dataKey,i=Vf(n[e],o,e);return M()(r)?r(i,e):i}},{key:"attachDragEndListener",value:function(){window.addEventListener("mouseup",this.handleDragEnd,!0),window.addEventListener("touchend",this.handleDragEnd,!0),window.addEventListener("mousemove",this.handleDrag,!0)}},{key:"detachDragEndListener",value:function(){window.removeEventListener("mouseup",this.handleDragEnd,!0),window.removeEventListener("touchend",this.handleDragEnd,!0),window.removeEventListener("mousemove",this.handleDrag,!0)}},{key:"handleSlideDrag",value:function(e){var t=this.state,n=t.slideMoveStartX,r=t.startX,o=t.endX,i=this.props,a=i.x,l=i.width,u=i.travellerWidth,c=i.startIndex,s=i.endIndex,f=i.onChange,d=e.pageX-n;d>0?d=Math.min(d,a+l-u-o,a+l-u-r):d<0&&(d=Math.max(d,a-r,a-o));var p=this.getIndex({startX:r+d,endX:o+d});p.startIndex===c&&p.endIndex===s||!f||f(p),this.setState({startX:r+d,endX:o+d,slideMoveStartX:e.pageX})}},{key:"handleTravellerDragStart",value:function(e,t){var n=Ed(t)?t.changedTouches[0]:t;this.setState({isSlideMoving:!1,isTravellerMoving:!0,movingTravellerId:e,brushMoveStartX:n.pageX}),this.attachDragEndListener()}},{key:"handleTravellerMove",value:function(e){var t=this.state,n=t.brushMoveStartX,r=t.movingTravellerId,o=t.endX,i=t.startX,a=this.state[r],l=this.props,u=l.x,c=l.width,s=l.travellerWidth,f=l.onChange,d=l.gap,p=l.data,h={startX:this.state.startX,endX:this.state.endX},y=e.pageX-n;y>0?y=Math.min(y,u+c-s-a):y<0&&(y=Math.max(y,u-a)),h[r]=a+y;var v=this.getIndex(h),m=v.startIndex,g=v.endIndex;this.setState(kd(kd({},r,a+y),"brushMoveStartX",e.pageX),function(){f&&function(){var e=p.length-1;return"startX"===r&&(o>i?m%d===0:g%d===0)||o<i&&g===e||"endX"===r&&(o>i?g%d===0:m%d===0)||o>i&&g===e}()&&f(v)})}},{key:"handleTravellerMoveKeyboard",value:function(e,t){var n=this,r=this.state,o=r.scaleValues,i=r.startX,a=r.endX,l=this.state[t],u=o.indexOf(l);if(-1!==u){var c=u+e;if(!(-1===c||c>=o.length)){var s=o[c];"startX"===t&&s>=a||"endX"===t&&s<=i||this.setState(kd({},t,s),function(){n.props.onChange(n.getIndex({startX:n.state.startX,endX:n.state.endX}))})}}}},{key:"renderBackground",value:function(){var e=this.props,n=e.x,r=e.y,o=e.width,i=e.height,a=e.fill,l=e.stroke;return t.createElement("rect",{stroke:l,fill:a,x:n,y:r,width:o,height:i})}},{key:"renderPanorama",value:function(){var e=this.props,n=e.x,r=e.y,o=e.width,i=e.height,a=e.data,l=e.children,u=e.padding,c=t.Children.only(l);return c?t.cloneElement(c,{x:n,y:r,width:o,height:i,margin:u,compact:!0,data:a}):null}},{key:"renderTravellerLayer",value:function(e,r){var o,i,a=this,l=this.props,u=l.y,c=l.travellerWidth,s=l.height,f=l.traveller,d=l.ariaLabel,p=l.data,h=l.startIndex,y=l.endIndex,v=Math.max(e,this.props.x),m=bd(bd({},ie(this.props,!1)),{},{x:v,y:u,width:c,height:s}),g=d||"Min value: ".concat(null===(o=p[h])||void 0===o?void 0:o.name,", Max value: ").concat(null===(i=p[y])||void 0===i?void 0:i.name);return t.createElement(Ae,{tabIndex:0,role:"slider","aria-label":g,"aria-valuenow":e,className:"recharts-brush-traveller",onMouseEnter:this.handleEnterSlideOrTraveller,onMouseLeave:this.handleLeaveSlideOrTraveller,onMouseDown:this.travellerDragStartHandlers[r],onTouchStart:this.travellerDragStartHandlers[r],onKeyDown:function(e){["ArrowLeft","ArrowRight"].includes(e.key)&&(e.preventDefault(),e.stopPropagation(),a.handleTravellerMoveKeyboard("ArrowRight"===e.key?1:-1,r))},onFocus:function(){a.setState({isTravellerFocused:!0})},onBlur:function(){a.setState({isTravellerFocused:!1})},style:{cursor:"col-resize"}},n.renderTraveller(f,m))}},{key:"renderSlide",value:function(e,n){var r=this.props,o=r.y,i=r.height,a=r.stroke,l=r.travellerWidth,u=Math.min(e,n)+l,c=Math.max(Math.abs(n-e)-l,0);return t.createElement("rect",{className:"recharts-brush-slide",onMouseEnter:this.handleEnterSlideOrTraveller,onMouseLeave:this.handleLeaveSlideOrTraveller,onMouseDown:this.handleSlideDragStart,onTouchStart:this.handleSlideDragStart,style:{cursor:"move"},stroke:"none",fill:a,fillOpacity:.2,x:u,y:o,width:c,height:i})}},{key:"renderText",value:function(){var e=this.props,n=e.startIndex,r=e.endIndex,o=e.y,i=e.height,a=e.travellerWidth,l=e.stroke,u=this.state,c=u.startX,s=u.endX,f={pointerEvents:"none",fill:l};return t.createElement(Ae,{className:"recharts-brush-texts"},t.createElement(Mi,md({textAnchor:"end",verticalAnchor:"middle",x:Math.min(c,s)-5,y:o+i/2},f),this.getTextOfTick(n)),t.createElement(Mi,md({textAnchor:"start",verticalAnchor:"middle",x:Math.max(c,s)+a+5,y:o+i/2},f),this.getTextOfTick(r)))}},{key:"render",value:function(){var e=this.props,n=e.data,r=e.className,o=e.children,i=e.x,l=e.y,u=e.width,c=e.height,s=e.alwaysShowText,f=this.state,d=f.startX,p=f.endX,h=f.isTextActive,y=f.isSlideMoving,v=f.isTravellerMoving,m=f.isTravellerFocused;if(!n||!n.length||!w(i)||!w(l)||!w(u)||!w(c)||u<=0||c<=0)return null;var g=a("recharts-brush",r),b=1===t.Children.count(o),x=function(e,t){if(!e)return null;var n=e.replace(/(\w)/,function(e){return e.toUpperCase()}),r=yd.reduce(function(e,r){return pd(pd({},e),{},hd({},r+n,t))},{});return r[e]=t,r}("userSelect","none");return t.createElement(Ae,{className:g,onMouseLeave:this.handleLeaveWrapper,onTouchMove:this.handleTouchMove,style:x},this.renderBackground(),b&&this.renderPanorama(),this.renderSlide(d,p),this.renderTravellerLayer(d,"startX"),this.renderTravellerLayer(p,"endX"),(h||y||v||m||s)&&this.renderText())}}],i=[{key:"renderDefaultTraveller",value:function(e){var n=e.x,r=e.y,o=e.width,i=e.height,a=e.stroke,l=Math.floor(r+i/2)-1;return t.createElement(t.Fragment,null,t.createElement("rect",{x:n,y:r,width:o,height:i,fill:a,stroke:"none"}),t.createElement("line",{x1:n+1,y1:l,x2:n+o-1,y2:l,fill:"none",stroke:"#fff"}),t.createElement("line",{x1:n+1,y1:l+2,x2:n+o-1,y2:l+2,fill:"none",stroke:"#fff"}))}},{key:"renderTraveller",value:function(e,r){return t.isValidElement(e)?t.cloneElement(e,r):M()(e)?e(r):n.renderDefaultTraveller(r)}},{key:"getDerivedStateFromProps",value:function(e,t){var n=e.data,r=e.width,o=e.x,i=e.travellerWidth,a=e.updateId,l=e.startIndex,u=e.endIndex;if(n!==t.prevData||a!==t.prevUpdateId)return bd({prevData:n,prevTravellerWidth:i,prevUpdateId:a,prevX:o,prevWidth:r},n&&n.length?function(e){var t=e.data,n=e.startIndex,r=e.endIndex,o=e.x,i=e.width,a=e.travellerWidth;if(!t||!t.length)return{};var l=t.length,u=Yo().domain(me()(0,l)).range([o,o+i-a]),c=u.domain().map(function(e){return u(e)});return{isTextActive:!1,isSlideMoving:!1,isTravellerMoving:!1,isTravellerFocused:!1,startX:u(n),endX:u(r),scale:u,scaleValues:c}}({data:n,width:r,x:o,travellerWidth:i,startIndex:l,endIndex:u}):{scale:null,scaleValues:null});if(t.scale&&(r!==t.prevWidth||o!==t.prevX||i!==t.prevTravellerWidth)){t.scale.range([o,o+r-i]);var c=t.scale.domain().map(function(e){return t.scale(e)});return{prevData:n,prevTravellerWidth:i,prevUpdateId:a,prevX:o,prevWidth:r,startX:t.scale(e.startIndex),endX:t.scale(e.endIndex),scaleValues:c}}return null}},{key:"getIndexInRange",value:function(e,t){for(var n=0,r=e.length-1;r-n>1;){var o=Math.floor((n+r)/2);e[o]>t?r=o:n=o}return t>=e[r]?r:n}}],o&&xd(r.prototype,o),i&&xd(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function Ad(e){return Ad="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Ad(e)}function Td(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Cd(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Td(Object(n),!0).forEach(function(t){Md(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Td(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Md(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Ad(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Ad(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Ad(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}kd(_d,"displayName","Brush"),kd(_d,"defaultProps",{height:40,travellerWidth:5,gap:1,fill:"#fff",stroke:"#666",padding:{top:1,right:1,bottom:1,left:1},leaveTimeOut:1e3,alwaysShowText:!1});var Nd=Math.PI/180,Id=function(e){return 180*e/Math.PI},Dd=function(e,t,n,r){return{x:e+Math.cos(-Nd*r)*n,y:t+Math.sin(-Nd*r)*n}},zd=function(e,t){var n=e.x,r=e.y,o=t.cx,i=t.cy,a=function(e,t){var n=e.x,r=e.y,o=t.x,i=t.y;return Math.sqrt(Math.pow(n-o,2)+Math.pow(r-i,2))}({x:n,y:r},{x:o,y:i});if(a<=0)return{radius:a};var l=(n-o)/a,u=Math.acos(l);return r>i&&(u=2*Math.PI-u),{radius:a,angle:Id(u),angleInRadian:u}},Ld=function(e,t){var n=t.startAngle,r=t.endAngle,o=Math.floor(n/360),i=Math.floor(r/360);return e+360*Math.min(o,i)},Rd=function(e,t){var n=e.x,r=e.y,o=zd({x:n,y:r},t),i=o.radius,a=o.angle,l=t.innerRadius,u=t.outerRadius;if(i<l||i>u)return!1;if(0===i)return!0;var c,s=function(e){var t=e.startAngle,n=e.endAngle,r=Math.floor(t/360),o=Math.floor(n/360),i=Math.min(r,o);return{startAngle:t-360*i,endAngle:n-360*i}}(t),f=s.startAngle,d=s.endAngle,p=a;if(f<=d){for(;p>d;)p-=360;for(;p<f;)p+=360;c=p>=f&&p<=d}else{for(;p>f;)p-=360;for(;p<d;)p+=360;c=p>=d&&p<=f}return c?Cd(Cd({},t),{},{radius:i,angle:Ld(p,t)}):null};function Bd(e){return Bd="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Bd(e)}var Fd=["offset"];function Ud(e){return function(e){if(Array.isArray(e))return Wd(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Wd(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Wd(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Wd(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Vd(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function qd(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Hd(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?qd(Object(n),!0).forEach(function(t){$d(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):qd(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function $d(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Bd(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Bd(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Bd(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Kd(){return Kd=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Kd.apply(this,arguments)}var Xd=function(e,n,r){var o,i,l=e.position,u=e.viewBox,c=e.offset,s=e.className,f=u,d=f.cx,p=f.cy,h=f.innerRadius,y=f.outerRadius,v=f.startAngle,m=f.endAngle,x=f.clockWise,w=(h+y)/2,O=function(e,t){return b(t-e)*Math.min(Math.abs(t-e),360)}(v,m),S=O>=0?1:-1;"insideStart"===l?(o=v+S*c,i=x):"insideEnd"===l?(o=m-S*c,i=!x):"end"===l&&(o=m+S*c,i=x),i=O<=0?i:!i;var k=Dd(d,p,w,o),P=Dd(d,p,w,o+359*(i?1:-1)),E="M".concat(k.x,",").concat(k.y,"\n    A").concat(w,",").concat(w,",0,1,").concat(i?0:1,",\n    ").concat(P.x,",").concat(P.y),_=g()(e.id)?j("recharts-radial-line-"):e.id;return t.createElement("text",Kd({},r,{dominantBaseline:"central",className:a("recharts-radial-bar-label",s)}),t.createElement("defs",null,t.createElement("path",{id:_,d:E})),t.createElement("textPath",{xlinkHref:"#".concat(_)},n))};function Yd(e){var n,r=e.offset,o=Hd({offset:void 0===r?5:r},Vd(e,Fd)),i=o.viewBox,l=o.position,u=o.value,c=o.children,s=o.content,f=o.className,d=void 0===f?"":f,p=o.textBreakAll;if(!i||g()(u)&&g()(c)&&!(0,t.isValidElement)(s)&&!M()(s))return null;if((0,t.isValidElement)(s))return(0,t.cloneElement)(s,o);if(M()(s)){if(n=(0,t.createElement)(s,o),(0,t.isValidElement)(n))return n}else n=function(e){var t=e.value,n=e.formatter,r=g()(e.children)?t:e.children;return M()(n)?n(r):r}(o);var h=function(e){return"cx"in e&&w(e.cx)}(i),y=ie(o,!0);if(h&&("insideStart"===l||"insideEnd"===l||"end"===l))return Xd(o,n,y);var v=h?function(e){var t=e.viewBox,n=e.offset,r=e.position,o=t,i=o.cx,a=o.cy,l=o.innerRadius,u=o.outerRadius,c=(o.startAngle+o.endAngle)/2;if("outside"===r){var s=Dd(i,a,u+n,c),f=s.x;return{x:f,y:s.y,textAnchor:f>=i?"start":"end",verticalAnchor:"middle"}}if("center"===r)return{x:i,y:a,textAnchor:"middle",verticalAnchor:"middle"};if("centerTop"===r)return{x:i,y:a,textAnchor:"middle",verticalAnchor:"start"};if("centerBottom"===r)return{x:i,y:a,textAnchor:"middle",verticalAnchor:"end"};var d=Dd(i,a,(l+u)/2,c);return{x:d.x,y:d.y,textAnchor:"middle",verticalAnchor:"middle"}}(o):function(e){var t=e.viewBox,n=e.parentViewBox,r=e.offset,o=e.position,i=t,a=i.x,l=i.y,u=i.width,c=i.height,s=c>=0?1:-1,f=s*r,d=s>0?"end":"start",p=s>0?"start":"end",h=u>=0?1:-1,y=h*r,v=h>0?"end":"start",m=h>0?"start":"end";if("top"===o)return Hd(Hd({},{x:a+u/2,y:l-s*r,textAnchor:"middle",verticalAnchor:d}),n?{height:Math.max(l-n.y,0),width:u}:{});if("bottom"===o)return Hd(Hd({},{x:a+u/2,y:l+c+f,textAnchor:"middle",verticalAnchor:p}),n?{height:Math.max(n.y+n.height-(l+c),0),width:u}:{});if("left"===o){var g={x:a-y,y:l+c/2,textAnchor:v,verticalAnchor:"middle"};return Hd(Hd({},g),n?{width:Math.max(g.x-n.x,0),height:c}:{})}if("right"===o){var b={x:a+u+y,y:l+c/2,textAnchor:m,verticalAnchor:"middle"};return Hd(Hd({},b),n?{width:Math.max(n.x+n.width-b.x,0),height:c}:{})}var O=n?{width:u,height:c}:{};return"insideLeft"===o?Hd({x:a+y,y:l+c/2,textAnchor:m,verticalAnchor:"middle"},O):"insideRight"===o?Hd({x:a+u-y,y:l+c/2,textAnchor:v,verticalAnchor:"middle"},O):"insideTop"===o?Hd({x:a+u/2,y:l+f,textAnchor:"middle",verticalAnchor:p},O):"insideBottom"===o?Hd({x:a+u/2,y:l+c-f,textAnchor:"middle",verticalAnchor:d},O):"insideTopLeft"===o?Hd({x:a+y,y:l+f,textAnchor:m,verticalAnchor:p},O):"insideTopRight"===o?Hd({x:a+u-y,y:l+f,textAnchor:v,verticalAnchor:p},O):"insideBottomLeft"===o?Hd({x:a+y,y:l+c-f,textAnchor:m,verticalAnchor:d},O):"insideBottomRight"===o?Hd({x:a+u-y,y:l+c-f,textAnchor:v,verticalAnchor:d},O):I()(o)&&(w(o.x)||x(o.x))&&(w(o.y)||x(o.y))?Hd({x:a+k(o.x,u),y:l+k(o.y,c),textAnchor:"end",verticalAnchor:"end"},O):Hd({x:a+u/2,y:l+c/2,textAnchor:"middle",verticalAnchor:"middle"},O)}(o);return t.createElement(Mi,Kd({className:a("recharts-label",d)},y,v,{breakAll:p}),n)}Yd.displayName="Label";var Gd=function(e){var t=e.cx,n=e.cy,r=e.angle,o=e.startAngle,i=e.endAngle,a=e.r,l=e.radius,u=e.innerRadius,c=e.outerRadius,s=e.x,f=e.y,d=e.top,p=e.left,h=e.width,y=e.height,v=e.clockWise,m=e.labelViewBox;if(m)return m;if(w(h)&&w(y)){if(w(s)&&w(f))return{x:s,y:f,width:h,height:y};if(w(d)&&w(p))return{x:d,y:p,width:h,height:y}}return w(s)&&w(f)?{x:s,y:f,width:0,height:0}:w(t)&&w(n)?{cx:t,cy:n,startAngle:o||r||0,endAngle:i||r||0,innerRadius:u||0,outerRadius:c||l||a||0,clockWise:v}:e.viewBox?e.viewBox:{}};Yd.parseViewBox=Gd,Yd.renderCallByParent=function(e,n){var r=!(arguments.length>2&&void 0!==arguments[2])||arguments[2];if(!e||!e.children&&r&&!e.label)return null;var o=e.children,i=Gd(e),a=J(o,Yd).map(function(e,r){return(0,t.cloneElement)(e,{viewBox:n||i,key:"label-".concat(r)})});if(!r)return a;var l=function(e,n){return e?!0===e?t.createElement(Yd,{key:"label-implicit",viewBox:n}):O(e)?t.createElement(Yd,{key:"label-implicit",viewBox:n,value:e}):(0,t.isValidElement)(e)?e.type===Yd?(0,t.cloneElement)(e,{key:"label-implicit",viewBox:n}):t.createElement(Yd,{key:"label-implicit",content:e,viewBox:n}):M()(e)?t.createElement(Yd,{key:"label-implicit",content:e,viewBox:n}):I()(e)?t.createElement(Yd,Kd({viewBox:n},e,{key:"label-implicit"})):null:null}(e.label,n||i);return[l].concat(Ud(a))};var Qd=function(e,t){var n=e.alwaysShow,r=e.ifOverflow;return n&&(r="extendDomain"),r===t},Zd=n(1733),Jd=n.n(Zd),ep=n(7002),tp=n.n(ep),np=function(e){return null};np.displayName="Cell";var rp=n(4065),op=n.n(rp);function ip(e){return ip="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},ip(e)}var ap=["valueAccessor"],lp=["data","dataKey","clockWise","id","textBreakAll"];function up(e){return function(e){if(Array.isArray(e))return cp(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return cp(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return cp(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function cp(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function sp(){return sp=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},sp.apply(this,arguments)}function fp(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function dp(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?fp(Object(n),!0).forEach(function(t){pp(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):fp(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function pp(e,t,n){return t=function(e){var t=function(e,t){if("object"!=ip(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=ip(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==ip(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function hp(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var yp=function(e){return Array.isArray(e.value)?op()(e.value):e.value};function vp(e){var n=e.valueAccessor,r=void 0===n?yp:n,o=hp(e,ap),i=o.data,a=o.dataKey,l=o.clockWise,u=o.id,c=o.textBreakAll,s=hp(o,lp);return i&&i.length?t.createElement(Ae,{className:"recharts-label-list"},i.map(function(e,n){var o=g()(a)?r(e,n):Vf(e&&e.payload,a),i=g()(u)?{}:{id:"".concat(u,"-").concat(n)};return t.createElement(Yd,sp({},ie(e,!0),s,i,{parentViewBox:e.parentViewBox,value:o,textBreakAll:c,viewBox:Yd.parseViewBox(g()(l)?e:dp(dp({},e),{},{clockWise:l})),key:"label-".concat(n),index:n}))})):null}vp.displayName="LabelList",vp.renderCallByParent=function(e,n){var r=!(arguments.length>2&&void 0!==arguments[2])||arguments[2];if(!e||!e.children&&r&&!e.label)return null;var o=J(e.children,vp).map(function(e,r){return(0,t.cloneElement)(e,{data:n,key:"labelList-".concat(r)})});return r?[function(e,n){return e?!0===e?t.createElement(vp,{key:"labelList-implicit",data:n}):t.isValidElement(e)||M()(e)?t.createElement(vp,{key:"labelList-implicit",data:n,content:e}):I()(e)?t.createElement(vp,sp({data:n},e,{key:"labelList-implicit"})):null:null}(e.label,n)].concat(up(o)):o};var mp=n(2322),gp=n.n(mp),bp=n(6361),xp=n.n(bp);function wp(e){return wp="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},wp(e)}function Op(){return Op=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Op.apply(this,arguments)}function Sp(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return jp(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return jp(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function jp(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function kp(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Pp(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?kp(Object(n),!0).forEach(function(t){Ep(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):kp(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Ep(e,t,n){return t=function(e){var t=function(e,t){if("object"!=wp(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=wp(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==wp(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var _p=function(e,t,n,r,o){var i,a=n-r;return i="M ".concat(e,",").concat(t),i+="L ".concat(e+n,",").concat(t),i+="L ".concat(e+n-a/2,",").concat(t+o),i+="L ".concat(e+n-a/2-r,",").concat(t+o),i+="L ".concat(e,",").concat(t," Z")},Ap={x:0,y:0,upperWidth:0,lowerWidth:0,height:0,isUpdateAnimationActive:!1,animationBegin:0,animationDuration:1500,animationEasing:"ease"},Tp=function(e){var n=Pp(Pp({},Ap),e),r=(0,t.useRef)(),o=Sp((0,t.useState)(-1),2),i=o[0],l=o[1];(0,t.useEffect)(function(){if(r.current&&r.current.getTotalLength)try{var e=r.current.getTotalLength();e&&l(e)}catch(t){}},[]);var u=n.x,c=n.y,s=n.upperWidth,f=n.lowerWidth,d=n.height,p=n.className,h=n.animationEasing,y=n.animationDuration,v=n.animationBegin,m=n.isUpdateAnimationActive;if(u!==+u||c!==+c||s!==+s||f!==+f||d!==+d||0===s&&0===f||0===d)return null;var g=a("recharts-trapezoid",p);return m?t.createElement(Po,{canBegin:i>0,from:{upperWidth:0,lowerWidth:0,height:d,x:u,y:c},to:{upperWidth:s,lowerWidth:f,height:d,x:u,y:c},duration:y,animationEasing:h,isActive:m},function(e){var o=e.upperWidth,a=e.lowerWidth,l=e.height,u=e.x,c=e.y;return t.createElement(Po,{canBegin:i>0,from:"0px ".concat(-1===i?1:i,"px"),to:"".concat(i,"px 0px"),attributeName:"strokeDasharray",begin:v,duration:y,easing:h},t.createElement("path",Op({},ie(n,!0),{className:g,d:_p(u,c,o,a,l),ref:r})))}):t.createElement("g",null,t.createElement("path",Op({},ie(n,!0),{className:g,d:_p(u,c,s,f,d)})))};function Cp(e){return Cp="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Cp(e)}function Mp(){return Mp=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Mp.apply(this,arguments)}function Np(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ip(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Np(Object(n),!0).forEach(function(t){Dp(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Np(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Dp(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Cp(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Cp(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Cp(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}var zp=function(e){var t=e.cx,n=e.cy,r=e.radius,o=e.angle,i=e.sign,a=e.isExternal,l=e.cornerRadius,u=e.cornerIsExternal,c=l*(a?1:-1)+r,s=Math.asin(l/c)/Nd,f=u?o:o+i*s,d=u?o-i*s:o;return{center:Dd(t,n,c,f),circleTangency:Dd(t,n,r,f),lineTangency:Dd(t,n,c*Math.cos(s*Nd),d),theta:s}},Lp=function(e){var t=e.cx,n=e.cy,r=e.innerRadius,o=e.outerRadius,i=e.startAngle,a=function(e,t){return b(t-e)*Math.min(Math.abs(t-e),359.999)}(i,e.endAngle),l=i+a,u=Dd(t,n,o,i),c=Dd(t,n,o,l),s="M ".concat(u.x,",").concat(u.y,"\n    A ").concat(o,",").concat(o,",0,\n    ").concat(+(Math.abs(a)>180),",").concat(+(i>l),",\n    ").concat(c.x,",").concat(c.y,"\n  ");if(r>0){var f=Dd(t,n,r,i),d=Dd(t,n,r,l);s+="L ".concat(d.x,",").concat(d.y,"\n            A ").concat(r,",").concat(r,",0,\n            ").concat(+(Math.abs(a)>180),",").concat(+(i<=l),",\n            ").concat(f.x,",").concat(f.y," Z")}else s+="L ".concat(t,",").concat(n," Z");return s},Rp={cx:0,cy:0,innerRadius:0,outerRadius:0,startAngle:0,endAngle:0,cornerRadius:0,forceCornerRadius:!1,cornerIsExternal:!1},Bp=function(e){var n=Ip(Ip({},Rp),e),r=n.cx,o=n.cy,i=n.innerRadius,l=n.outerRadius,u=n.cornerRadius,c=n.forceCornerRadius,s=n.cornerIsExternal,f=n.startAngle,d=n.endAngle,p=n.className;if(l<i||f===d)return null;var h,y=a("recharts-sector",p),v=l-i,m=k(u,v,0,!0);return h=m>0&&Math.abs(f-d)<360?function(e){var t=e.cx,n=e.cy,r=e.innerRadius,o=e.outerRadius,i=e.cornerRadius,a=e.forceCornerRadius,l=e.cornerIsExternal,u=e.startAngle,c=e.endAngle,s=b(c-u),f=zp({cx:t,cy:n,radius:o,angle:u,sign:s,cornerRadius:i,cornerIsExternal:l}),d=f.circleTangency,p=f.lineTangency,h=f.theta,y=zp({cx:t,cy:n,radius:o,angle:c,sign:-s,cornerRadius:i,cornerIsExternal:l}),v=y.circleTangency,m=y.lineTangency,g=y.theta,x=l?Math.abs(u-c):Math.abs(u-c)-h-g;if(x<0)return a?"M ".concat(p.x,",").concat(p.y,"\n        a").concat(i,",").concat(i,",0,0,1,").concat(2*i,",0\n        a").concat(i,",").concat(i,",0,0,1,").concat(2*-i,",0\n      "):Lp({cx:t,cy:n,innerRadius:r,outerRadius:o,startAngle:u,endAngle:c});var w="M ".concat(p.x,",").concat(p.y,"\n    A").concat(i,",").concat(i,",0,0,").concat(+(s<0),",").concat(d.x,",").concat(d.y,"\n    A").concat(o,",").concat(o,",0,").concat(+(x>180),",").concat(+(s<0),",").concat(v.x,",").concat(v.y,"\n    A").concat(i,",").concat(i,",0,0,").concat(+(s<0),",").concat(m.x,",").concat(m.y,"\n  ");if(r>0){var O=zp({cx:t,cy:n,radius:r,angle:u,sign:s,isExternal:!0,cornerRadius:i,cornerIsExternal:l}),S=O.circleTangency,j=O.lineTangency,k=O.theta,P=zp({cx:t,cy:n,radius:r,angle:c,sign:-s,isExternal:!0,cornerRadius:i,cornerIsExternal:l}),E=P.circleTangency,_=P.lineTangency,A=P.theta,T=l?Math.abs(u-c):Math.abs(u-c)-k-A;if(T<0&&0===i)return"".concat(w,"L").concat(t,",").concat(n,"Z");w+="L".concat(_.x,",").concat(_.y,"\n      A").concat(i,",").concat(i,",0,0,").concat(+(s<0),",").concat(E.x,",").concat(E.y,"\n      A").concat(r,",").concat(r,",0,").concat(+(T>180),",").concat(+(s>0),",").concat(S.x,",").concat(S.y,"\n      A").concat(i,",").concat(i,",0,0,").concat(+(s<0),",").concat(j.x,",").concat(j.y,"Z")}else w+="L".concat(t,",").concat(n,"Z");return w}({cx:r,cy:o,innerRadius:i,outerRadius:l,cornerRadius:Math.min(m,v/2),forceCornerRadius:c,cornerIsExternal:s,startAngle:f,endAngle:d}):Lp({cx:r,cy:o,innerRadius:i,outerRadius:l,startAngle:f,endAngle:d}),t.createElement("path",Mp({},ie(n,!0),{className:y,d:h,role:"img"}))},Fp=["option","shapeType","propTransformer","activeClassName","isActive"];function Up(e){return Up="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Up(e)}function Wp(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Vp(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function qp(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Vp(Object(n),!0).forEach(function(t){Hp(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Vp(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Hp(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Up(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Up(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Up(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function $p(e,t){return qp(qp({},t),e)}function Kp(e){var n=e.shapeType,r=e.elementProps;switch(n){case"rectangle":return t.createElement(Lo,r);case"trapezoid":return t.createElement(Tp,r);case"sector":return t.createElement(Bp,r);case"symbols":if(function(e){return"symbols"===e}(n))return t.createElement(wn,r);break;default:return null}}function Xp(e){var n,r=e.option,o=e.shapeType,i=e.propTransformer,a=void 0===i?$p:i,l=e.activeClassName,u=void 0===l?"recharts-active-shape":l,c=e.isActive,s=Wp(e,Fp);if((0,t.isValidElement)(r))n=(0,t.cloneElement)(r,qp(qp({},s),function(e){return(0,t.isValidElement)(e)?e.props:e}(r)));else if(M()(r))n=r(s);else if(gp()(r)&&!xp()(r)){var f=a(r,s);n=t.createElement(Kp,{shapeType:o,elementProps:f})}else{var d=s;n=t.createElement(Kp,{shapeType:o,elementProps:d})}return c?t.createElement(Ae,{className:u},n):n}function Yp(e,t){return null!=t&&"trapezoids"in e.props}function Gp(e,t){return null!=t&&"sectors"in e.props}function Qp(e,t){return null!=t&&"points"in e.props}function Zp(e,t){var n,r,o=e.x===(null===t||void 0===t||null===(n=t.labelViewBox)||void 0===n?void 0:n.x)||e.x===t.x,i=e.y===(null===t||void 0===t||null===(r=t.labelViewBox)||void 0===r?void 0:r.y)||e.y===t.y;return o&&i}function Jp(e,t){var n=e.endAngle===t.endAngle,r=e.startAngle===t.startAngle;return n&&r}function eh(e,t){var n=e.x===t.x,r=e.y===t.y,o=e.z===t.z;return n&&r&&o}function th(e){var t=e.activeTooltipItem,n=e.graphicalItem,r=e.itemData,o=function(e,t){var n;return Yp(e,t)?n="trapezoids":Gp(e,t)?n="sectors":Qp(e,t)&&(n="points"),n}(n,t),i=function(e,t){var n,r;return Yp(e,t)?null===(n=t.tooltipPayload)||void 0===n||null===(n=n[0])||void 0===n||null===(n=n.payload)||void 0===n?void 0:n.payload:Gp(e,t)?null===(r=t.tooltipPayload)||void 0===r||null===(r=r[0])||void 0===r||null===(r=r.payload)||void 0===r?void 0:r.payload:Qp(e,t)?t.payload:{}}(n,t),a=r.filter(function(e,r){var a=Us()(i,e),l=n.props[o].filter(function(e){var r=function(e,t){var n;return Yp(e,t)?n=Zp:Gp(e,t)?n=Jp:Qp(e,t)&&(n=eh),n}(n,t);return r(e,t)}),u=n.props[o].indexOf(l[l.length-1]);return a&&r===u});return r.indexOf(a[a.length-1])}var nh=["x","y"];function rh(e){return rh="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},rh(e)}function oh(){return oh=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},oh.apply(this,arguments)}function ih(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function ah(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?ih(Object(n),!0).forEach(function(t){lh(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):ih(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function lh(e,t,n){return t=function(e){var t=function(e,t){if("object"!=rh(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=rh(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==rh(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function uh(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function ch(e,t){var n=e.x,r=e.y,o=uh(e,nh),i="".concat(n),a=parseInt(i,10),l="".concat(r),u=parseInt(l,10),c="".concat(t.height||o.height),s=parseInt(c,10),f="".concat(t.width||o.width),d=parseInt(f,10);return ah(ah(ah(ah(ah({},t),o),a?{x:a}:{}),u?{y:u}:{}),{},{height:s,width:d,name:t.name,radius:t.radius})}function sh(e){return t.createElement(Xp,oh({shapeType:"rectangle",propTransformer:ch,activeClassName:"recharts-active-bar"},e))}var fh,dh=function(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:0;return function(n,r){if("number"===typeof e)return e;var o=w(n)||function(e){return g()(e)}(n);return o?e(n,r):(o||we(!1),t)}},ph=["value","background"];function hh(e){return hh="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},hh(e)}function yh(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function vh(){return vh=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},vh.apply(this,arguments)}function mh(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function gh(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?mh(Object(n),!0).forEach(function(t){jh(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):mh(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function bh(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,kh(r.key),r)}}function xh(e,t,n){return t=Oh(t),function(e,t){if(t&&("object"===hh(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,wh()?Reflect.construct(t,n||[],Oh(e).constructor):t.apply(e,n))}function wh(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(wh=function(){return!!e})()}function Oh(e){return Oh=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Oh(e)}function Sh(e,t){return Sh=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Sh(e,t)}function jh(e,t,n){return(t=kh(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function kh(e){var t=function(e,t){if("object"!=hh(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=hh(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==hh(t)?t:t+""}var Ph=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return jh(e=xh(this,n,[].concat(r)),"state",{isAnimationFinished:!1}),jh(e,"id",j("recharts-bar-")),jh(e,"handleAnimationEnd",function(){var t=e.props.onAnimationEnd;e.setState({isAnimationFinished:!0}),t&&t()}),jh(e,"handleAnimationStart",function(){var t=e.props.onAnimationStart;e.setState({isAnimationFinished:!1}),t&&t()}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Sh(e,t)}(n,e),r=n,o=[{key:"renderRectanglesStatically",value:function(e){var n=this,r=this.props,o=r.shape,i=r.dataKey,a=r.activeIndex,l=r.activeBar,u=ie(this.props,!1);return e&&e.map(function(e,r){var c=r===a,s=c?l:o,f=gh(gh(gh({},u),e),{},{isActive:c,option:s,index:r,dataKey:i,onAnimationStart:n.handleAnimationStart,onAnimationEnd:n.handleAnimationEnd});return t.createElement(Ae,vh({className:"recharts-bar-rectangle"},V(n.props,e,r),{key:"rectangle-".concat(null===e||void 0===e?void 0:e.x,"-").concat(null===e||void 0===e?void 0:e.y,"-").concat(null===e||void 0===e?void 0:e.value,"-").concat(r)}),t.createElement(sh,f))})}},{key:"renderRectanglesWithAnimation",value:function(){var e=this,n=this.props,r=n.data,o=n.layout,i=n.isAnimationActive,a=n.animationBegin,l=n.animationDuration,u=n.animationEasing,c=n.animationId,s=this.state.prevData;return t.createElement(Po,{begin:a,duration:l,isActive:i,easing:u,from:{t:0},to:{t:1},key:"bar-".concat(c),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(n){var i=n.t,a=r.map(function(e,t){var n=s&&s[t];if(n){var r=E(n.x,e.x),a=E(n.y,e.y),l=E(n.width,e.width),u=E(n.height,e.height);return gh(gh({},e),{},{x:r(i),y:a(i),width:l(i),height:u(i)})}if("horizontal"===o){var c=E(0,e.height)(i);return gh(gh({},e),{},{y:e.y+e.height-c,height:c})}var f=E(0,e.width)(i);return gh(gh({},e),{},{width:f})});return t.createElement(Ae,null,e.renderRectanglesStatically(a))})}},{key:"renderRectangles",value:function(){var e=this.props,t=e.data,n=e.isAnimationActive,r=this.state.prevData;return!(n&&t&&t.length)||r&&Us()(r,t)?this.renderRectanglesStatically(t):this.renderRectanglesWithAnimation()}},{key:"renderBackground",value:function(){var e=this,n=this.props,r=n.data,o=n.dataKey,i=n.activeIndex,a=ie(this.props.background,!1);return r.map(function(n,r){n.value;var l=n.background,u=yh(n,ph);if(!l)return null;var c=gh(gh(gh(gh(gh({},u),{},{fill:"#eee"},l),a),V(e.props,n,r)),{},{onAnimationStart:e.handleAnimationStart,onAnimationEnd:e.handleAnimationEnd,dataKey:o,index:r,className:"recharts-bar-background-rectangle"});return t.createElement(sh,vh({key:"background-bar-".concat(r),option:e.props.background,isActive:r===i},c))})}},{key:"renderErrorBar",value:function(e,n){if(this.props.isAnimationActive&&!this.state.isAnimationFinished)return null;var r=this.props,o=r.data,i=r.xAxis,a=r.yAxis,l=r.layout,u=J(r.children,Cf);if(!u)return null;var c="vertical"===l?o[0].height/2:o[0].width/2,s=function(e,t){var n=Array.isArray(e.value)?e.value[1]:e.value;return{x:e.x,y:e.y,value:n,errorVal:Vf(e,t)}},f={clipPath:e?"url(#clipPath-".concat(n,")"):null};return t.createElement(Ae,f,u.map(function(e){return t.cloneElement(e,{key:"error-bar-".concat(n,"-").concat(e.props.dataKey),data:o,xAxis:i,yAxis:a,layout:l,offset:c,dataPointFormatter:s})}))}},{key:"render",value:function(){var e=this.props,n=e.hide,r=e.data,o=e.className,i=e.xAxis,l=e.yAxis,u=e.left,c=e.top,s=e.width,f=e.height,d=e.isAnimationActive,p=e.background,h=e.id;if(n||!r||!r.length)return null;var y=this.state.isAnimationFinished,v=a("recharts-bar",o),m=i&&i.allowDataOverflow,b=l&&l.allowDataOverflow,x=m||b,w=g()(h)?this.id:h;return t.createElement(Ae,{className:v},m||b?t.createElement("defs",null,t.createElement("clipPath",{id:"clipPath-".concat(w)},t.createElement("rect",{x:m?u:u-s/2,y:b?c:c-f/2,width:m?s:2*s,height:b?f:2*f}))):null,t.createElement(Ae,{className:"recharts-bar-rectangles",clipPath:x?"url(#clipPath-".concat(w,")"):null},p?this.renderBackground():null,this.renderRectangles()),this.renderErrorBar(x,w),(!d||y)&&vp.renderCallByParent(this.props,r))}}],i=[{key:"getDerivedStateFromProps",value:function(e,t){return e.animationId!==t.prevAnimationId?{prevAnimationId:e.animationId,curData:e.data,prevData:t.curData}:e.data!==t.curData?{curData:e.data}:null}}],o&&bh(r.prototype,o),i&&bh(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function Eh(e){return Eh="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Eh(e)}function _h(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Mh(r.key),r)}}function Ah(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Th(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Ah(Object(n),!0).forEach(function(t){Ch(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Ah(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Ch(e,t,n){return(t=Mh(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Mh(e){var t=function(e,t){if("object"!=Eh(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Eh(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Eh(t)?t:t+""}fh=Ph,jh(Ph,"displayName","Bar"),jh(Ph,"defaultProps",{xAxisId:0,yAxisId:0,legendType:"rect",minPointSize:0,hide:!1,data:[],layout:"vertical",activeBar:!1,isAnimationActive:!nt.isSsr,animationBegin:0,animationDuration:400,animationEasing:"ease"}),jh(Ph,"getComposedData",function(e){var t=e.props,n=e.item,r=e.barPosition,o=e.bandSize,i=e.xAxis,a=e.yAxis,l=e.xAxisTicks,u=e.yAxisTicks,c=e.stackedData,s=e.dataStartIndex,f=e.displayedData,d=e.offset,p=function(e,t){if(!e)return null;for(var n=0,r=e.length;n<r;n++)if(e[n].item===t)return e[n].position;return null}(r,n);if(!p)return null;var h=t.layout,y=n.type.defaultProps,v=void 0!==y?gh(gh({},y),n.props):n.props,m=v.dataKey,g=v.children,x=v.minPointSize,O="horizontal"===h?a:i,S=c?O.scale.domain():null,j=function(e){var t=e.numericAxis,n=t.scale.domain();if("number"===t.type){var r=Math.min(n[0],n[1]),o=Math.max(n[0],n[1]);return r<=0&&o>=0?0:o<0?o:r}return n[0]}({numericAxis:O}),k=J(g,np),P=f.map(function(e,t){var r,f,d,y,v,g;c?r=function(e,t){if(!t||2!==t.length||!w(t[0])||!w(t[1]))return e;var n=Math.min(t[0],t[1]),r=Math.max(t[0],t[1]),o=[e[0],e[1]];return(!w(e[0])||e[0]<n)&&(o[0]=n),(!w(e[1])||e[1]>r)&&(o[1]=r),o[0]>r&&(o[0]=r),o[1]<n&&(o[1]=n),o}(c[s+t],S):(r=Vf(e,m),Array.isArray(r)||(r=[j,r]));var O=dh(x,fh.defaultProps.minPointSize)(r[1],t);if("horizontal"===h){var P,E=[a.scale(r[0]),a.scale(r[1])],_=E[0],A=E[1];f=rd({axis:i,ticks:l,bandSize:o,offset:p.offset,entry:e,index:t}),d=null!==(P=null!==A&&void 0!==A?A:_)&&void 0!==P?P:void 0,y=p.size;var T=_-A;if(v=Number.isNaN(T)?0:T,g={x:f,y:a.y,width:y,height:a.height},Math.abs(O)>0&&Math.abs(v)<Math.abs(O)){var C=b(v||O)*(Math.abs(O)-Math.abs(v));d-=C,v+=C}}else{var M=[i.scale(r[0]),i.scale(r[1])],N=M[0],I=M[1];if(f=N,d=rd({axis:a,ticks:u,bandSize:o,offset:p.offset,entry:e,index:t}),y=I-N,v=p.size,g={x:i.x,y:d,width:i.width,height:v},Math.abs(O)>0&&Math.abs(y)<Math.abs(O))y+=b(y||O)*(Math.abs(O)-Math.abs(y))}return gh(gh(gh({},e),{},{x:f,y:d,width:y,height:v,value:c?r:r[1],payload:e,background:g},k&&k[t]&&k[t].props),{},{tooltipPayload:[sd(n,e)],tooltipPosition:{x:f+y/2,y:d+v/2}})});return gh({data:P,layout:h},d)});var Nh=function(e,t){var n=e.x,r=e.y,o=t.x,i=t.y;return{x:Math.min(n,o),y:Math.min(r,i),width:Math.abs(o-n),height:Math.abs(i-r)}},Ih=function(){function e(t){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),this.scale=t}return t=e,n=[{key:"domain",get:function(){return this.scale.domain}},{key:"range",get:function(){return this.scale.range}},{key:"rangeMin",get:function(){return this.range()[0]}},{key:"rangeMax",get:function(){return this.range()[1]}},{key:"bandwidth",get:function(){return this.scale.bandwidth}},{key:"apply",value:function(e){var t=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},n=t.bandAware,r=t.position;if(void 0!==e){if(r)switch(r){case"start":default:return this.scale(e);case"middle":var o=this.bandwidth?this.bandwidth()/2:0;return this.scale(e)+o;case"end":var i=this.bandwidth?this.bandwidth():0;return this.scale(e)+i}if(n){var a=this.bandwidth?this.bandwidth()/2:0;return this.scale(e)+a}return this.scale(e)}}},{key:"isInRange",value:function(e){var t=this.range(),n=t[0],r=t[t.length-1];return n<=r?e>=n&&e<=r:e>=r&&e<=n}}],r=[{key:"create",value:function(t){return new e(t)}}],n&&_h(t.prototype,n),r&&_h(t,r),Object.defineProperty(t,"prototype",{writable:!1}),t;var t,n,r}();Ch(Ih,"EPS",1e-4);var Dh=function(e){var t=Object.keys(e).reduce(function(t,n){return Th(Th({},t),{},Ch({},n,Ih.create(e[n])))},{});return Th(Th({},t),{},{apply:function(e){var n=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},r=n.bandAware,o=n.position;return Jd()(e,function(e,n){return t[n].apply(e,{bandAware:r,position:o})})},isInRange:function(e){return tp()(e,function(e,n){return t[n].isInRange(e)})}})};function zh(){return zh=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},zh.apply(this,arguments)}function Lh(e){return Lh="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Lh(e)}function Rh(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Bh(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Rh(Object(n),!0).forEach(function(t){Hh(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Rh(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Fh(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,$h(r.key),r)}}function Uh(e,t,n){return t=Vh(t),function(e,t){if(t&&("object"===Lh(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Wh()?Reflect.construct(t,n||[],Vh(e).constructor):t.apply(e,n))}function Wh(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Wh=function(){return!!e})()}function Vh(e){return Vh=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Vh(e)}function qh(e,t){return qh=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},qh(e,t)}function Hh(e,t,n){return(t=$h(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function $h(e){var t=function(e,t){if("object"!=Lh(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Lh(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Lh(t)?t:t+""}var Kh=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),Uh(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&qh(e,t)}(n,e),r=n,o=[{key:"render",value:function(){var e=this.props,r=e.x,o=e.y,i=e.r,l=e.alwaysShow,u=e.clipPathId,c=O(r),s=O(o);if(T(void 0===l,'The alwaysShow prop is deprecated. Please use ifOverflow="extendDomain" instead.'),!c||!s)return null;var f=function(e){var t=e.x,n=e.y,r=e.xAxis,o=e.yAxis,i=Dh({x:r.scale,y:o.scale}),a=i.apply({x:t,y:n},{bandAware:!0});return Qd(e,"discard")&&!i.isInRange(a)?null:a}(this.props);if(!f)return null;var d=f.x,p=f.y,h=this.props,y=h.shape,v=h.className,m=Bh(Bh({clipPath:Qd(this.props,"hidden")?"url(#".concat(u,")"):void 0},ie(this.props,!0)),{},{cx:d,cy:p});return t.createElement(Ae,{className:a("recharts-reference-dot",v)},n.renderDot(y,m),Yd.renderCallByParent(this.props,{x:d-i,y:p-i,width:2*i,height:2*i}))}}],o&&Fh(r.prototype,o),i&&Fh(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);Hh(Kh,"displayName","ReferenceDot"),Hh(Kh,"defaultProps",{isFront:!1,ifOverflow:"discard",xAxisId:0,yAxisId:0,r:10,fill:"#fff",stroke:"#ccc",fillOpacity:1,strokeWidth:1}),Hh(Kh,"renderDot",function(e,n){return t.isValidElement(e)?t.cloneElement(e,n):M()(e)?e(n):t.createElement(Yn,zh({},n,{cx:n.cx,cy:n.cy,className:"recharts-reference-dot-dot"}))});var Xh=n(4597),Yh=n.n(Xh),Gh=n(8990),Qh=n.n(Gh),Zh=n(5797),Jh=n.n(Zh)()(function(e){return{x:e.left,y:e.top,width:e.width,height:e.height}},function(e){return["l",e.left,"t",e.top,"w",e.width,"h",e.height].join("")});var ey=(0,t.createContext)(void 0),ty=(0,t.createContext)(void 0),ny=(0,t.createContext)(void 0),ry=(0,t.createContext)({}),oy=(0,t.createContext)(void 0),iy=(0,t.createContext)(0),ay=(0,t.createContext)(0),ly=function(e){var n=e.state,r=n.xAxisMap,o=n.yAxisMap,i=n.offset,a=e.clipPathId,l=e.children,u=e.width,c=e.height,s=Jh(i);return t.createElement(ey.Provider,{value:r},t.createElement(ty.Provider,{value:o},t.createElement(ry.Provider,{value:i},t.createElement(ny.Provider,{value:s},t.createElement(oy.Provider,{value:a},t.createElement(iy.Provider,{value:c},t.createElement(ay.Provider,{value:u},l)))))))};var uy=function(e){var n=(0,t.useContext)(ey);null==n&&we(!1);var r=n[e];return null==r&&we(!1),r},cy=function(e){var n=(0,t.useContext)(ty);null==n&&we(!1);var r=n[e];return null==r&&we(!1),r},sy=function(){return(0,t.useContext)(ay)},fy=function(){return(0,t.useContext)(iy)};function dy(e){return dy="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},dy(e)}function py(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,wy(r.key),r)}}function hy(e,t,n){return t=vy(t),function(e,t){if(t&&("object"===dy(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,yy()?Reflect.construct(t,n||[],vy(e).constructor):t.apply(e,n))}function yy(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(yy=function(){return!!e})()}function vy(e){return vy=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},vy(e)}function my(e,t){return my=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},my(e,t)}function gy(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function by(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?gy(Object(n),!0).forEach(function(t){xy(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):gy(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function xy(e,t,n){return(t=wy(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function wy(e){var t=function(e,t){if("object"!=dy(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=dy(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==dy(t)?t:t+""}function Oy(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||function(e,t){if(!e)return;if("string"===typeof e)return Sy(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Sy(e,t)}(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Sy(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function jy(){return jy=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},jy.apply(this,arguments)}function ky(e){var n=e.x,r=e.y,o=e.segment,i=e.xAxisId,l=e.yAxisId,u=e.shape,c=e.className,s=e.alwaysShow,f=(0,t.useContext)(oy),d=uy(i),p=cy(l),h=(0,t.useContext)(ny);if(!f||!h)return null;T(void 0===s,'The alwaysShow prop is deprecated. Please use ifOverflow="extendDomain" instead.');var y=function(e,t,n,r,o,i,a,l,u){var c=o.x,s=o.y,f=o.width,d=o.height;if(n){var p=u.y,h=e.y.apply(p,{position:i});if(Qd(u,"discard")&&!e.y.isInRange(h))return null;var y=[{x:c+f,y:h},{x:c,y:h}];return"left"===l?y.reverse():y}if(t){var v=u.x,m=e.x.apply(v,{position:i});if(Qd(u,"discard")&&!e.x.isInRange(m))return null;var g=[{x:m,y:s+d},{x:m,y:s}];return"top"===a?g.reverse():g}if(r){var b=u.segment.map(function(t){return e.apply(t,{position:i})});return Qd(u,"discard")&&Yh()(b,function(t){return!e.isInRange(t)})?null:b}return null}(Dh({x:d.scale,y:p.scale}),O(n),O(r),o&&2===o.length,h,e.position,d.orientation,p.orientation,e);if(!y)return null;var v=Oy(y,2),m=v[0],g=m.x,b=m.y,x=v[1],w=x.x,S=x.y,j=by(by({clipPath:Qd(e,"hidden")?"url(#".concat(f,")"):void 0},ie(e,!0)),{},{x1:g,y1:b,x2:w,y2:S});return t.createElement(Ae,{className:a("recharts-reference-line",c)},function(e,n){return t.isValidElement(e)?t.cloneElement(e,n):M()(e)?e(n):t.createElement("line",jy({},n,{className:"recharts-reference-line-line"}))}(u,j),Yd.renderCallByParent(e,function(e){var t=e.x1,n=e.y1,r=e.x2,o=e.y2;return Nh({x:t,y:n},{x:r,y:o})}({x1:g,y1:b,x2:w,y2:S})))}var Py=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),hy(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&my(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){return t.createElement(ky,this.props)}}])&&py(r.prototype,o),i&&py(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function Ey(){return Ey=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Ey.apply(this,arguments)}function _y(e){return _y="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},_y(e)}function Ay(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ty(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Ay(Object(n),!0).forEach(function(t){zy(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Ay(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Cy(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Ly(r.key),r)}}function My(e,t,n){return t=Iy(t),function(e,t){if(t&&("object"===_y(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Ny()?Reflect.construct(t,n||[],Iy(e).constructor):t.apply(e,n))}function Ny(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Ny=function(){return!!e})()}function Iy(e){return Iy=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Iy(e)}function Dy(e,t){return Dy=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Dy(e,t)}function zy(e,t,n){return(t=Ly(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Ly(e){var t=function(e,t){if("object"!=_y(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=_y(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==_y(t)?t:t+""}xy(Py,"displayName","ReferenceLine"),xy(Py,"defaultProps",{isFront:!1,ifOverflow:"discard",xAxisId:0,yAxisId:0,fill:"none",stroke:"#ccc",fillOpacity:1,strokeWidth:1,position:"middle"});var Ry=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),My(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Dy(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){var e=this.props,r=e.x1,o=e.x2,i=e.y1,l=e.y2,u=e.className,c=e.alwaysShow,s=e.clipPathId;T(void 0===c,'The alwaysShow prop is deprecated. Please use ifOverflow="extendDomain" instead.');var f=O(r),d=O(o),p=O(i),h=O(l),y=this.props.shape;if(!f&&!d&&!p&&!h&&!y)return null;var v=function(e,t,n,r,o){var i=o.x1,a=o.x2,l=o.y1,u=o.y2,c=o.xAxis,s=o.yAxis;if(!c||!s)return null;var f=Dh({x:c.scale,y:s.scale}),d={x:e?f.x.apply(i,{position:"start"}):f.x.rangeMin,y:n?f.y.apply(l,{position:"start"}):f.y.rangeMin},p={x:t?f.x.apply(a,{position:"end"}):f.x.rangeMax,y:r?f.y.apply(u,{position:"end"}):f.y.rangeMax};return!Qd(o,"discard")||f.isInRange(d)&&f.isInRange(p)?Nh(d,p):null}(f,d,p,h,this.props);if(!v&&!y)return null;var m=Qd(this.props,"hidden")?"url(#".concat(s,")"):void 0;return t.createElement(Ae,{className:a("recharts-reference-area",u)},n.renderRect(y,Ty(Ty({clipPath:m},ie(this.props,!0)),v)),Yd.renderCallByParent(this.props,v))}}])&&Cy(r.prototype,o),i&&Cy(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function By(e){return function(e){if(Array.isArray(e))return Fy(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Fy(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Fy(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Fy(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}zy(Ry,"displayName","ReferenceArea"),zy(Ry,"defaultProps",{isFront:!1,ifOverflow:"discard",xAxisId:0,yAxisId:0,r:10,fill:"#ccc",fillOpacity:.5,stroke:"none",strokeWidth:1}),zy(Ry,"renderRect",function(e,n){return t.isValidElement(e)?t.cloneElement(e,n):M()(e)?e(n):t.createElement(Lo,Ey({},n,{className:"recharts-reference-area-rect"}))});var Uy=function(e,t,n,r,o){var i=J(e,Py),a=J(e,Kh),l=[].concat(By(i),By(a)),u=J(e,Ry),c="".concat(r,"Id"),s=r[0],f=t;if(l.length&&(f=l.reduce(function(e,t){if(t.props[c]===n&&Qd(t.props,"extendDomain")&&w(t.props[s])){var r=t.props[s];return[Math.min(e[0],r),Math.max(e[1],r)]}return e},f)),u.length){var d="".concat(s,"1"),p="".concat(s,"2");f=u.reduce(function(e,t){if(t.props[c]===n&&Qd(t.props,"extendDomain")&&w(t.props[d])&&w(t.props[p])){var r=t.props[d],o=t.props[p];return[Math.min(e[0],r,o),Math.max(e[1],r,o)]}return e},f)}return o&&o.length&&(f=o.reduce(function(e,t){return w(t)?[Math.min(e[0],t),Math.max(e[1],t)]:e},f)),f},Wy=n(7283),Vy=new(n.n(Wy)()),qy="recharts.syncMouseEvents";function Hy(e){return Hy="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Hy(e)}function $y(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Xy(r.key),r)}}function Ky(e,t,n){return(t=Xy(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Xy(e){var t=function(e,t){if("object"!=Hy(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Hy(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Hy(t)?t:t+""}var Yy=function(){return e=function e(){!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,e),Ky(this,"activeIndex",0),Ky(this,"coordinateList",[]),Ky(this,"layout","horizontal")},(t=[{key:"setDetails",value:function(e){var t,n=e.coordinateList,r=void 0===n?null:n,o=e.container,i=void 0===o?null:o,a=e.layout,l=void 0===a?null:a,u=e.offset,c=void 0===u?null:u,s=e.mouseHandlerCallback,f=void 0===s?null:s;this.coordinateList=null!==(t=null!==r&&void 0!==r?r:this.coordinateList)&&void 0!==t?t:[],this.container=null!==i&&void 0!==i?i:this.container,this.layout=null!==l&&void 0!==l?l:this.layout,this.offset=null!==c&&void 0!==c?c:this.offset,this.mouseHandlerCallback=null!==f&&void 0!==f?f:this.mouseHandlerCallback,this.activeIndex=Math.min(Math.max(this.activeIndex,0),this.coordinateList.length-1)}},{key:"focus",value:function(){this.spoofMouse()}},{key:"keyboardEvent",value:function(e){if(0!==this.coordinateList.length)switch(e.key){case"ArrowRight":if("horizontal"!==this.layout)return;this.activeIndex=Math.min(this.activeIndex+1,this.coordinateList.length-1),this.spoofMouse();break;case"ArrowLeft":if("horizontal"!==this.layout)return;this.activeIndex=Math.max(this.activeIndex-1,0),this.spoofMouse()}}},{key:"setIndex",value:function(e){this.activeIndex=e}},{key:"spoofMouse",value:function(){var e,t;if("horizontal"===this.layout&&0!==this.coordinateList.length){var n=this.container.getBoundingClientRect(),r=n.x,o=n.y,i=n.height,a=this.coordinateList[this.activeIndex].coordinate,l=(null===(e=window)||void 0===e?void 0:e.scrollX)||0,u=(null===(t=window)||void 0===t?void 0:t.scrollY)||0,c=r+a+l,s=o+this.offset.top+i/2+u;this.mouseHandlerCallback({pageX:c,pageY:s})}}}])&&$y(e.prototype,t),n&&$y(e,n),Object.defineProperty(e,"prototype",{writable:!1}),e;var e,t,n}();function Gy(){}function Qy(e,t,n){e._context.bezierCurveTo((2*e._x0+e._x1)/3,(2*e._y0+e._y1)/3,(e._x0+2*e._x1)/3,(e._y0+2*e._y1)/3,(e._x0+4*e._x1+t)/6,(e._y0+4*e._y1+n)/6)}function Zy(e){this._context=e}function Jy(e){this._context=e}function ev(e){this._context=e}Zy.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x0=this._x1=this._y0=this._y1=NaN,this._point=0},lineEnd:function(){switch(this._point){case 3:Qy(this,this._x1,this._y1);case 2:this._context.lineTo(this._x1,this._y1)}(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line=1-this._line},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;break;case 2:this._point=3,this._context.lineTo((5*this._x0+this._x1)/6,(5*this._y0+this._y1)/6);default:Qy(this,e,t)}this._x0=this._x1,this._x1=e,this._y0=this._y1,this._y1=t}},Jy.prototype={areaStart:Gy,areaEnd:Gy,lineStart:function(){this._x0=this._x1=this._x2=this._x3=this._x4=this._y0=this._y1=this._y2=this._y3=this._y4=NaN,this._point=0},lineEnd:function(){switch(this._point){case 1:this._context.moveTo(this._x2,this._y2),this._context.closePath();break;case 2:this._context.moveTo((this._x2+2*this._x3)/3,(this._y2+2*this._y3)/3),this._context.lineTo((this._x3+2*this._x2)/3,(this._y3+2*this._y2)/3),this._context.closePath();break;case 3:this.point(this._x2,this._y2),this.point(this._x3,this._y3),this.point(this._x4,this._y4)}},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._x2=e,this._y2=t;break;case 1:this._point=2,this._x3=e,this._y3=t;break;case 2:this._point=3,this._x4=e,this._y4=t,this._context.moveTo((this._x0+4*this._x1+e)/6,(this._y0+4*this._y1+t)/6);break;default:Qy(this,e,t)}this._x0=this._x1,this._x1=e,this._y0=this._y1,this._y1=t}},ev.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x0=this._x1=this._y0=this._y1=NaN,this._point=0},lineEnd:function(){(this._line||0!==this._line&&3===this._point)&&this._context.closePath(),this._line=1-this._line},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1;break;case 1:this._point=2;break;case 2:this._point=3;var n=(this._x0+4*this._x1+e)/6,r=(this._y0+4*this._y1+t)/6;this._line?this._context.lineTo(n,r):this._context.moveTo(n,r);break;case 3:this._point=4;default:Qy(this,e,t)}this._x0=this._x1,this._x1=e,this._y0=this._y1,this._y1=t}};class tv{constructor(e,t){this._context=e,this._x=t}areaStart(){this._line=0}areaEnd(){this._line=NaN}lineStart(){this._point=0}lineEnd(){(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line=1-this._line}point(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;default:this._x?this._context.bezierCurveTo(this._x0=(this._x0+e)/2,this._y0,this._x0,t,e,t):this._context.bezierCurveTo(this._x0,this._y0=(this._y0+t)/2,e,this._y0,e,t)}this._x0=e,this._y0=t}}function nv(e){this._context=e}function rv(e){this._context=e}function ov(e){return new rv(e)}function iv(e){return e<0?-1:1}function av(e,t,n){var r=e._x1-e._x0,o=t-e._x1,i=(e._y1-e._y0)/(r||o<0&&-0),a=(n-e._y1)/(o||r<0&&-0),l=(i*o+a*r)/(r+o);return(iv(i)+iv(a))*Math.min(Math.abs(i),Math.abs(a),.5*Math.abs(l))||0}function lv(e,t){var n=e._x1-e._x0;return n?(3*(e._y1-e._y0)/n-t)/2:t}function uv(e,t,n){var r=e._x0,o=e._y0,i=e._x1,a=e._y1,l=(i-r)/3;e._context.bezierCurveTo(r+l,o+l*t,i-l,a-l*n,i,a)}function cv(e){this._context=e}function sv(e){this._context=new fv(e)}function fv(e){this._context=e}function dv(e){this._context=e}function pv(e){var t,n,r=e.length-1,o=new Array(r),i=new Array(r),a=new Array(r);for(o[0]=0,i[0]=2,a[0]=e[0]+2*e[1],t=1;t<r-1;++t)o[t]=1,i[t]=4,a[t]=4*e[t]+2*e[t+1];for(o[r-1]=2,i[r-1]=7,a[r-1]=8*e[r-1]+e[r],t=1;t<r;++t)n=o[t]/i[t-1],i[t]-=n,a[t]-=n*a[t-1];for(o[r-1]=a[r-1]/i[r-1],t=r-2;t>=0;--t)o[t]=(a[t]-o[t+1])/i[t];for(i[r-1]=(e[r]+o[r-1])/2,t=0;t<r-1;++t)i[t]=2*e[t+1]-o[t+1];return[o,i]}function hv(e,t){this._context=e,this._t=t}function yv(e){return e[0]}function vv(e){return e[1]}function mv(e,t){var n=Wt(!0),r=null,o=ov,i=null,a=fn(l);function l(l){var u,c,s,f=(l=Ts(l)).length,d=!1;for(null==r&&(i=o(s=a())),u=0;u<=f;++u)!(u<f&&n(c=l[u],u,l))===d&&((d=!d)?i.lineStart():i.lineEnd()),d&&i.point(+e(c,u,l),+t(c,u,l));if(s)return i=null,s+""||null}return e="function"===typeof e?e:void 0===e?yv:Wt(e),t="function"===typeof t?t:void 0===t?vv:Wt(t),l.x=function(t){return arguments.length?(e="function"===typeof t?t:Wt(+t),l):e},l.y=function(e){return arguments.length?(t="function"===typeof e?e:Wt(+e),l):t},l.defined=function(e){return arguments.length?(n="function"===typeof e?e:Wt(!!e),l):n},l.curve=function(e){return arguments.length?(o=e,null!=r&&(i=o(r)),l):o},l.context=function(e){return arguments.length?(null==e?r=i=null:i=o(r=e),l):r},l}function gv(e,t,n){var r=null,o=Wt(!0),i=null,a=ov,l=null,u=fn(c);function c(c){var s,f,d,p,h,y=(c=Ts(c)).length,v=!1,m=new Array(y),g=new Array(y);for(null==i&&(l=a(h=u())),s=0;s<=y;++s){if(!(s<y&&o(p=c[s],s,c))===v)if(v=!v)f=s,l.areaStart(),l.lineStart();else{for(l.lineEnd(),l.lineStart(),d=s-1;d>=f;--d)l.point(m[d],g[d]);l.lineEnd(),l.areaEnd()}v&&(m[s]=+e(p,s,c),g[s]=+t(p,s,c),l.point(r?+r(p,s,c):m[s],n?+n(p,s,c):g[s]))}if(h)return l=null,h+""||null}function s(){return mv().defined(o).curve(a).context(i)}return e="function"===typeof e?e:void 0===e?yv:Wt(+e),t="function"===typeof t?t:Wt(void 0===t?0:+t),n="function"===typeof n?n:void 0===n?vv:Wt(+n),c.x=function(t){return arguments.length?(e="function"===typeof t?t:Wt(+t),r=null,c):e},c.x0=function(t){return arguments.length?(e="function"===typeof t?t:Wt(+t),c):e},c.x1=function(e){return arguments.length?(r=null==e?null:"function"===typeof e?e:Wt(+e),c):r},c.y=function(e){return arguments.length?(t="function"===typeof e?e:Wt(+e),n=null,c):t},c.y0=function(e){return arguments.length?(t="function"===typeof e?e:Wt(+e),c):t},c.y1=function(e){return arguments.length?(n=null==e?null:"function"===typeof e?e:Wt(+e),c):n},c.lineX0=c.lineY0=function(){return s().x(e).y(t)},c.lineY1=function(){return s().x(e).y(n)},c.lineX1=function(){return s().x(r).y(t)},c.defined=function(e){return arguments.length?(o="function"===typeof e?e:Wt(!!e),c):o},c.curve=function(e){return arguments.length?(a=e,null!=i&&(l=a(i)),c):a},c.context=function(e){return arguments.length?(null==e?i=l=null:l=a(i=e),c):i},c}function bv(e){return bv="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},bv(e)}function xv(){return xv=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},xv.apply(this,arguments)}function wv(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ov(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?wv(Object(n),!0).forEach(function(t){Sv(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):wv(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Sv(e,t,n){return t=function(e){var t=function(e,t){if("object"!=bv(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=bv(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==bv(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}nv.prototype={areaStart:Gy,areaEnd:Gy,lineStart:function(){this._point=0},lineEnd:function(){this._point&&this._context.closePath()},point:function(e,t){e=+e,t=+t,this._point?this._context.lineTo(e,t):(this._point=1,this._context.moveTo(e,t))}},rv.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._point=0},lineEnd:function(){(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line=1-this._line},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;default:this._context.lineTo(e,t)}}},cv.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x0=this._x1=this._y0=this._y1=this._t0=NaN,this._point=0},lineEnd:function(){switch(this._point){case 2:this._context.lineTo(this._x1,this._y1);break;case 3:uv(this,this._t0,lv(this,this._t0))}(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line=1-this._line},point:function(e,t){var n=NaN;if(t=+t,(e=+e)!==this._x1||t!==this._y1){switch(this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;break;case 2:this._point=3,uv(this,lv(this,n=av(this,e,t)),n);break;default:uv(this,this._t0,n=av(this,e,t))}this._x0=this._x1,this._x1=e,this._y0=this._y1,this._y1=t,this._t0=n}}},(sv.prototype=Object.create(cv.prototype)).point=function(e,t){cv.prototype.point.call(this,t,e)},fv.prototype={moveTo:function(e,t){this._context.moveTo(t,e)},closePath:function(){this._context.closePath()},lineTo:function(e,t){this._context.lineTo(t,e)},bezierCurveTo:function(e,t,n,r,o,i){this._context.bezierCurveTo(t,e,r,n,i,o)}},dv.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x=[],this._y=[]},lineEnd:function(){var e=this._x,t=this._y,n=e.length;if(n)if(this._line?this._context.lineTo(e[0],t[0]):this._context.moveTo(e[0],t[0]),2===n)this._context.lineTo(e[1],t[1]);else for(var r=pv(e),o=pv(t),i=0,a=1;a<n;++i,++a)this._context.bezierCurveTo(r[0][i],o[0][i],r[1][i],o[1][i],e[a],t[a]);(this._line||0!==this._line&&1===n)&&this._context.closePath(),this._line=1-this._line,this._x=this._y=null},point:function(e,t){this._x.push(+e),this._y.push(+t)}},hv.prototype={areaStart:function(){this._line=0},areaEnd:function(){this._line=NaN},lineStart:function(){this._x=this._y=NaN,this._point=0},lineEnd:function(){0<this._t&&this._t<1&&2===this._point&&this._context.lineTo(this._x,this._y),(this._line||0!==this._line&&1===this._point)&&this._context.closePath(),this._line>=0&&(this._t=1-this._t,this._line=1-this._line)},point:function(e,t){switch(e=+e,t=+t,this._point){case 0:this._point=1,this._line?this._context.lineTo(e,t):this._context.moveTo(e,t);break;case 1:this._point=2;default:if(this._t<=0)this._context.lineTo(this._x,t),this._context.lineTo(e,t);else{var n=this._x*(1-this._t)+e*this._t;this._context.lineTo(n,this._y),this._context.lineTo(n,t)}}this._x=e,this._y=t}};var jv={curveBasisClosed:function(e){return new Jy(e)},curveBasisOpen:function(e){return new ev(e)},curveBasis:function(e){return new Zy(e)},curveBumpX:function(e){return new tv(e,!0)},curveBumpY:function(e){return new tv(e,!1)},curveLinearClosed:function(e){return new nv(e)},curveLinear:ov,curveMonotoneX:function(e){return new cv(e)},curveMonotoneY:function(e){return new sv(e)},curveNatural:function(e){return new dv(e)},curveStep:function(e){return new hv(e,.5)},curveStepAfter:function(e){return new hv(e,1)},curveStepBefore:function(e){return new hv(e,0)}},kv=function(e){return e.x===+e.x&&e.y===+e.y},Pv=function(e){return e.x},Ev=function(e){return e.y},_v=function(e){var t,n=e.type,r=void 0===n?"linear":n,o=e.points,i=void 0===o?[]:o,a=e.baseLine,l=e.layout,u=e.connectNulls,c=void 0!==u&&u,s=function(e,t){if(M()(e))return e;var n="curve".concat(bt()(e));return"curveMonotone"!==n&&"curveBump"!==n||!t?jv[n]||ov:jv["".concat(n).concat("vertical"===t?"Y":"X")]}(r,l),f=c?i.filter(function(e){return kv(e)}):i;if(Array.isArray(a)){var d=c?a.filter(function(e){return kv(e)}):a,p=f.map(function(e,t){return Ov(Ov({},e),{},{base:d[t]})});return(t="vertical"===l?gv().y(Ev).x1(Pv).x0(function(e){return e.base.x}):gv().x(Pv).y1(Ev).y0(function(e){return e.base.y})).defined(kv).curve(s),t(p)}return(t="vertical"===l&&w(a)?gv().y(Ev).x1(Pv).x0(a):w(a)?gv().x(Pv).y1(Ev).y0(a):mv().x(Pv).y(Ev)).defined(kv).curve(s),t(f)},Av=function(e){var n=e.className,r=e.points,o=e.path,i=e.pathRef;if((!r||!r.length)&&!o)return null;var l=r&&r.length?_v(e):o;return t.createElement("path",xv({},ie(e,!1),W(e),{className:a("recharts-curve",n),d:l,ref:i}))};function Tv(e){return Tv="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Tv(e)}var Cv=["x","y","top","left","width","height","className"];function Mv(){return Mv=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Mv.apply(this,arguments)}function Nv(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Iv(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Tv(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Tv(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Tv(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Dv(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var zv=function(e,t,n,r,o,i){return"M".concat(e,",").concat(o,"v").concat(r,"M").concat(i,",").concat(t,"h").concat(n)},Lv=function(e){var n=e.x,r=void 0===n?0:n,o=e.y,i=void 0===o?0:o,l=e.top,u=void 0===l?0:l,c=e.left,s=void 0===c?0:c,f=e.width,d=void 0===f?0:f,p=e.height,h=void 0===p?0:p,y=e.className,v=function(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Nv(Object(n),!0).forEach(function(t){Iv(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Nv(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}({x:r,y:i,top:u,left:s,width:d,height:h},Dv(e,Cv));return w(r)&&w(i)&&w(d)&&w(h)&&w(u)&&w(s)?t.createElement("path",Mv({},ie(v,!0),{className:a("recharts-cross",y),d:zv(r,i,d,h,u,s)})):null};function Rv(e){var t=e.cx,n=e.cy,r=e.radius,o=e.startAngle,i=e.endAngle;return{points:[Dd(t,n,r,o),Dd(t,n,r,i)],cx:t,cy:n,radius:r,startAngle:o,endAngle:i}}function Bv(e,t,n){var r,o,i,a;if("horizontal"===e)i=r=t.x,o=n.top,a=n.top+n.height;else if("vertical"===e)a=o=t.y,r=n.left,i=n.left+n.width;else if(null!=t.cx&&null!=t.cy){if("centric"!==e)return Rv(t);var l=t.cx,u=t.cy,c=t.innerRadius,s=t.outerRadius,f=t.angle,d=Dd(l,u,c,f),p=Dd(l,u,s,f);r=d.x,o=d.y,i=p.x,a=p.y}return[{x:r,y:o},{x:i,y:a}]}function Fv(e){return Fv="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Fv(e)}function Uv(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Wv(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Uv(Object(n),!0).forEach(function(t){Vv(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Uv(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Vv(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Fv(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Fv(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Fv(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function qv(e){var n,r,o,i=e.element,l=e.tooltipEventType,u=e.isActive,c=e.activeCoordinate,s=e.activePayload,f=e.offset,d=e.activeTooltipIndex,p=e.tooltipAxisBandSize,h=e.layout,y=e.chartName,v=null!==(n=i.props.cursor)&&void 0!==n?n:null===(r=i.type.defaultProps)||void 0===r?void 0:r.cursor;if(!i||!v||!u||!c||"ScatterChart"!==y&&"axis"!==l)return null;var m=Av;if("ScatterChart"===y)o=c,m=Lv;else if("BarChart"===y)o=function(e,t,n,r){var o=r/2;return{stroke:"none",fill:"#ccc",x:"horizontal"===e?t.x-o:n.left+.5,y:"horizontal"===e?n.top+.5:t.y-o,width:"horizontal"===e?r:n.width-1,height:"horizontal"===e?n.height-1:r}}(h,c,f,p),m=Lo;else if("radial"===h){var g=Rv(c),b=g.cx,x=g.cy,w=g.radius;o={cx:b,cy:x,startAngle:g.startAngle,endAngle:g.endAngle,innerRadius:w,outerRadius:w},m=Bp}else o={points:Bv(h,c,f)},m=Av;var O=Wv(Wv(Wv(Wv({stroke:"#ccc",pointerEvents:"none"},f),o),ie(v,!1)),{},{payload:s,payloadIndex:d,className:a("recharts-tooltip-cursor",v.className)});return(0,t.isValidElement)(v)?(0,t.cloneElement)(v,O):(0,t.createElement)(m,O)}var Hv=["item"],$v=["children","className","width","height","style","compact","title","desc"];function Kv(e){return Kv="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Kv(e)}function Xv(){return Xv=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Xv.apply(this,arguments)}function Yv(e,t){return function(e){if(Array.isArray(e))return e}(e)||function(e,t){var n=null==e?null:"undefined"!=typeof Symbol&&e[Symbol.iterator]||e["@@iterator"];if(null!=n){var r,o,i,a,l=[],u=!0,c=!1;try{if(i=(n=n.call(e)).next,0===t){if(Object(n)!==n)return;u=!1}else for(;!(u=(r=i.call(n)).done)&&(l.push(r.value),l.length!==t);u=!0);}catch(e){c=!0,o=e}finally{try{if(!u&&null!=n.return&&(a=n.return(),Object(a)!==a))return}finally{if(c)throw o}}return l}}(e,t)||rm(e,t)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Gv(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Qv(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,um(r.key),r)}}function Zv(e,t,n){return t=em(t),function(e,t){if(t&&("object"===Kv(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Jv()?Reflect.construct(t,n||[],em(e).constructor):t.apply(e,n))}function Jv(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Jv=function(){return!!e})()}function em(e){return em=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},em(e)}function tm(e,t){return tm=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},tm(e,t)}function nm(e){return function(e){if(Array.isArray(e))return om(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||rm(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function rm(e,t){if(e){if("string"===typeof e)return om(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);return"Object"===n&&e.constructor&&(n=e.constructor.name),"Map"===n||"Set"===n?Array.from(e):"Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n)?om(e,t):void 0}}function om(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function im(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function am(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?im(Object(n),!0).forEach(function(t){lm(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):im(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function lm(e,t,n){return(t=um(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function um(e){var t=function(e,t){if("object"!=Kv(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Kv(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Kv(t)?t:t+""}var cm={xAxis:["bottom","top"],yAxis:["left","right"]},sm={width:"100%",height:"100%"},fm={x:0,y:0};function dm(e){return e}var pm=function(e,t){var n=t.graphicalItems,r=t.dataStartIndex,o=t.dataEndIndex,i=(null!==n&&void 0!==n?n:[]).reduce(function(e,t){var n=t.props.data;return n&&n.length?[].concat(nm(e),nm(n)):e},[]);return i.length>0?i:e&&e.length&&w(r)&&w(o)?e.slice(r,o+1):[]};function hm(e){return"number"===e?[0,"auto"]:void 0}var ym,vm=function(e,t,n,r){var o=e.graphicalItems,i=e.tooltipAxis,a=pm(t,e);return n<0||!o||!o.length||n>=a.length?null:o.reduce(function(o,l){var u,c,s=null!==(u=l.props.data)&&void 0!==u?u:t;(s&&e.dataStartIndex+e.dataEndIndex!==0&&e.dataEndIndex-e.dataStartIndex>=n&&(s=s.slice(e.dataStartIndex,e.dataEndIndex+1)),i.dataKey&&!i.allowDuplicatedCategory)?c=_(void 0===s?a:s,i.dataKey,r):c=s&&s[n]||a[n];return c?[].concat(nm(o),[sd(l,c)]):o},[])},mm=function(e,t,n,r){var o=r||{x:e.chartX,y:e.chartY},i=function(e,t){return"horizontal"===t?e.x:"vertical"===t?e.y:"centric"===t?e.angle:e.radius}(o,n),a=e.orderedTooltipTicks,l=e.tooltipAxis,u=e.tooltipTicks,c=function(e){var t,n=arguments.length>1&&void 0!==arguments[1]?arguments[1]:[],r=arguments.length>2?arguments[2]:void 0,o=arguments.length>3?arguments[3]:void 0,i=-1,a=null!==(t=null===n||void 0===n?void 0:n.length)&&void 0!==t?t:0;if(a<=1)return 0;if(o&&"angleAxis"===o.axisType&&Math.abs(Math.abs(o.range[1]-o.range[0])-360)<=1e-6)for(var l=o.range,u=0;u<a;u++){var c=u>0?r[u-1].coordinate:r[a-1].coordinate,s=r[u].coordinate,f=u>=a-1?r[0].coordinate:r[u+1].coordinate,d=void 0;if(b(s-c)!==b(f-s)){var p=[];if(b(f-s)===b(l[1]-l[0])){d=f;var h=s+l[1]-l[0];p[0]=Math.min(h,(h+c)/2),p[1]=Math.max(h,(h+c)/2)}else{d=c;var y=f+l[1]-l[0];p[0]=Math.min(s,(y+s)/2),p[1]=Math.max(s,(y+s)/2)}var v=[Math.min(s,(d+s)/2),Math.max(s,(d+s)/2)];if(e>v[0]&&e<=v[1]||e>=p[0]&&e<=p[1]){i=r[u].index;break}}else{var m=Math.min(c,f),g=Math.max(c,f);if(e>(m+s)/2&&e<=(g+s)/2){i=r[u].index;break}}}else for(var x=0;x<a;x++)if(0===x&&e<=(n[x].coordinate+n[x+1].coordinate)/2||x>0&&x<a-1&&e>(n[x].coordinate+n[x-1].coordinate)/2&&e<=(n[x].coordinate+n[x+1].coordinate)/2||x===a-1&&e>(n[x].coordinate+n[x-1].coordinate)/2){i=n[x].index;break}return i}(i,a,u,l);if(c>=0&&u){var s=u[c]&&u[c].value,f=vm(e,t,c,s),d=function(e,t,n,r){var o=t.find(function(e){return e&&e.index===n});if(o){if("horizontal"===e)return{x:o.coordinate,y:r.y};if("vertical"===e)return{x:r.x,y:o.coordinate};if("centric"===e){var i=o.coordinate,a=r.radius;return am(am(am({},r),Dd(r.cx,r.cy,a,i)),{},{angle:i,radius:a})}var l=o.coordinate,u=r.angle;return am(am(am({},r),Dd(r.cx,r.cy,l,u)),{},{angle:u,radius:l})}return fm}(n,a,c,o);return{activeTooltipIndex:c,activeLabel:s,activePayload:f,activeCoordinate:d}}return null},gm=function(e,t){var n=t.axes,r=t.graphicalItems,o=t.axisType,i=t.axisIdKey,a=t.stackGroups,l=t.dataStartIndex,u=t.dataEndIndex,c=e.layout,s=e.children,f=e.stackOffset,d=Xf(c,o);return n.reduce(function(t,n){var p,h=void 0!==n.type.defaultProps?am(am({},n.type.defaultProps),n.props):n.props,y=h.type,v=h.dataKey,m=h.allowDataOverflow,b=h.allowDuplicatedCategory,x=h.scale,O=h.ticks,S=h.includeHidden,j=h[i];if(t[j])return t;var k,P,E,_=pm(e.data,{graphicalItems:r.filter(function(e){var t;return(i in e.props?e.props[i]:null===(t=e.type.defaultProps)||void 0===t?void 0:t[i])===j}),dataStartIndex:l,dataEndIndex:u}),A=_.length;(function(e,t,n){if("number"===n&&!0===t&&Array.isArray(e)){var r=null===e||void 0===e?void 0:e[0],o=null===e||void 0===e?void 0:e[1];if(r&&o&&w(r)&&w(o))return!0}return!1})(h.domain,m,y)&&(k=ld(h.domain,null,m),!d||"number"!==y&&"auto"===x||(E=qf(_,v,"category")));var T=hm(y);if(!k||0===k.length){var C,M=null!==(C=h.domain)&&void 0!==C?C:T;if(v){if(k=qf(_,v,y),"category"===y&&d){var N=function(e){if(!Array.isArray(e))return!1;for(var t=e.length,n={},r=0;r<t;r++){if(n[e[r]])return!0;n[e[r]]=!0}return!1}(k);b&&N?(P=k,k=me()(0,A)):b||(k=cd(M,k,n).reduce(function(e,t){return e.indexOf(t)>=0?e:[].concat(nm(e),[t])},[]))}else if("category"===y)k=b?k.filter(function(e){return""!==e&&!g()(e)}):cd(M,k,n).reduce(function(e,t){return e.indexOf(t)>=0||""===t||g()(t)?e:[].concat(nm(e),[t])},[]);else if("number"===y){var I=function(e,t,n,r,o){var i=t.map(function(t){return $f(e,t,n,o,r)}).filter(function(e){return!g()(e)});return i&&i.length?i.reduce(function(e,t){return[Math.min(e[0],t[0]),Math.max(e[1],t[1])]},[1/0,-1/0]):null}(_,r.filter(function(e){var t,n,r=i in e.props?e.props[i]:null===(t=e.type.defaultProps)||void 0===t?void 0:t[i],o="hide"in e.props?e.props.hide:null===(n=e.type.defaultProps)||void 0===n?void 0:n.hide;return r===j&&(S||!o)}),v,o,c);I&&(k=I)}!d||"number"!==y&&"auto"===x||(E=qf(_,v,"category"))}else k=d?me()(0,A):a&&a[j]&&a[j].hasStack&&"number"===y?"expand"===f?[0,1]:od(a[j].stackGroups,l,u):Kf(_,r.filter(function(e){var t=i in e.props?e.props[i]:e.type.defaultProps[i],n="hide"in e.props?e.props.hide:e.type.defaultProps.hide;return t===j&&(S||!n)}),y,c,!0);if("number"===y)k=Uy(s,k,j,o,O),M&&(k=ld(M,k,m));else if("category"===y&&M){var D=M;k.every(function(e){return D.indexOf(e)>=0})&&(k=D)}}return am(am({},t),{},lm({},j,am(am({},h),{},{axisType:o,domain:k,categoricalDomain:E,duplicateDomain:P,originalDomain:null!==(p=h.domain)&&void 0!==p?p:T,isCategorical:d,layout:c})))},{})},bm=function(e,t){var n=t.axisType,r=void 0===n?"xAxis":n,o=t.AxisComp,i=t.graphicalItems,a=t.stackGroups,l=t.dataStartIndex,u=t.dataEndIndex,c=e.children,s="".concat(r,"Id"),f=J(c,o),d={};return f&&f.length?d=gm(e,{axes:f,graphicalItems:i,axisType:r,axisIdKey:s,stackGroups:a,dataStartIndex:l,dataEndIndex:u}):i&&i.length&&(d=function(e,t){var n=t.graphicalItems,r=t.Axis,o=t.axisType,i=t.axisIdKey,a=t.stackGroups,l=t.dataStartIndex,u=t.dataEndIndex,c=e.layout,s=e.children,f=pm(e.data,{graphicalItems:n,dataStartIndex:l,dataEndIndex:u}),d=f.length,p=Xf(c,o),y=-1;return n.reduce(function(e,t){var v,m=(void 0!==t.type.defaultProps?am(am({},t.type.defaultProps),t.props):t.props)[i],g=hm("number");return e[m]?e:(y++,p?v=me()(0,d):a&&a[m]&&a[m].hasStack?(v=od(a[m].stackGroups,l,u),v=Uy(s,v,m,o)):(v=ld(g,Kf(f,n.filter(function(e){var t,n,r=i in e.props?e.props[i]:null===(t=e.type.defaultProps)||void 0===t?void 0:t[i],o="hide"in e.props?e.props.hide:null===(n=e.type.defaultProps)||void 0===n?void 0:n.hide;return r===m&&!o}),"number",c),r.defaultProps.allowDataOverflow),v=Uy(s,v,m,o)),am(am({},e),{},lm({},m,am(am({axisType:o},r.defaultProps),{},{hide:!0,orientation:h()(cm,"".concat(o,".").concat(y%2),null),domain:v,originalDomain:g,isCategorical:p,layout:c}))))},{})}(e,{Axis:o,graphicalItems:i,axisType:r,axisIdKey:s,stackGroups:a,dataStartIndex:l,dataEndIndex:u})),d},xm=function(e){var t=e.children,n=e.defaultShowTooltip,r=ee(t,_d),o=0,i=0;return e.data&&0!==e.data.length&&(i=e.data.length-1),r&&r.props&&(r.props.startIndex>=0&&(o=r.props.startIndex),r.props.endIndex>=0&&(i=r.props.endIndex)),{chartX:0,chartY:0,dataStartIndex:o,dataEndIndex:i,activeTooltipIndex:-1,isTooltipActive:Boolean(n)}},wm=function(e){return"horizontal"===e?{numericAxisName:"yAxis",cateAxisName:"xAxis"}:"vertical"===e?{numericAxisName:"xAxis",cateAxisName:"yAxis"}:"centric"===e?{numericAxisName:"radiusAxis",cateAxisName:"angleAxis"}:{numericAxisName:"angleAxis",cateAxisName:"radiusAxis"}},Om=function(e,t){var n=e.props,r=(e.graphicalItems,e.xAxisMap),o=void 0===r?{}:r,i=e.yAxisMap,a=void 0===i?{}:i,l=n.width,u=n.height,c=n.children,s=n.margin||{},f=ee(c,_d),d=ee(c,Kn),p=Object.keys(a).reduce(function(e,t){var n=a[t],r=n.orientation;return n.mirror||n.hide?e:am(am({},e),{},lm({},r,e[r]+n.width))},{left:s.left||0,right:s.right||0}),y=Object.keys(o).reduce(function(e,t){var n=o[t],r=n.orientation;return n.mirror||n.hide?e:am(am({},e),{},lm({},r,h()(e,"".concat(r))+n.height))},{top:s.top||0,bottom:s.bottom||0}),v=am(am({},y),p),m=v.bottom;f&&(v.bottom+=f.props.height||_d.defaultProps.height),d&&t&&(v=function(e,t,n,r){var o=n.children,i=n.width,a=n.margin,l=i-(a.left||0)-(a.right||0),u=zf({children:o,legendWidth:l});if(u){var c=r||{},s=c.width,f=c.height,d=u.align,p=u.verticalAlign,h=u.layout;if(("vertical"===h||"horizontal"===h&&"middle"===p)&&"center"!==d&&w(e[d]))return Uf(Uf({},e),{},Wf({},d,e[d]+(s||0)));if(("horizontal"===h||"vertical"===h&&"center"===d)&&"middle"!==p&&w(e[p]))return Uf(Uf({},e),{},Wf({},p,e[p]+(f||0)))}return e}(v,0,n,t));var g=l-v.left-v.right,b=u-v.top-v.bottom;return am(am({brushBottom:m},v),{},{width:Math.max(g,0),height:Math.max(b,0)})},Sm=function(e,t){return"xAxis"===t?e[t].width:"yAxis"===t?e[t].height:void 0},jm=["layout","type","stroke","connectNulls","isRange","ref"],km=["key"];function Pm(e){return Pm="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Pm(e)}function Em(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function _m(){return _m=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},_m.apply(this,arguments)}function Am(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Tm(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Am(Object(n),!0).forEach(function(t){zm(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Am(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Cm(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Lm(r.key),r)}}function Mm(e,t,n){return t=Im(t),function(e,t){if(t&&("object"===Pm(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Nm()?Reflect.construct(t,n||[],Im(e).constructor):t.apply(e,n))}function Nm(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Nm=function(){return!!e})()}function Im(e){return Im=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Im(e)}function Dm(e,t){return Dm=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Dm(e,t)}function zm(e,t,n){return(t=Lm(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Lm(e){var t=function(e,t){if("object"!=Pm(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Pm(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Pm(t)?t:t+""}var Rm=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return zm(e=Mm(this,n,[].concat(r)),"state",{isAnimationFinished:!0}),zm(e,"id",j("recharts-area-")),zm(e,"handleAnimationEnd",function(){var t=e.props.onAnimationEnd;e.setState({isAnimationFinished:!0}),M()(t)&&t()}),zm(e,"handleAnimationStart",function(){var t=e.props.onAnimationStart;e.setState({isAnimationFinished:!1}),M()(t)&&t()}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Dm(e,t)}(n,e),r=n,o=[{key:"renderDots",value:function(e,r,o){var i=this.props.isAnimationActive,a=this.state.isAnimationFinished;if(i&&!a)return null;var l=this.props,u=l.dot,c=l.points,s=l.dataKey,f=ie(this.props,!1),d=ie(u,!0),p=c.map(function(e,t){var r=Tm(Tm(Tm({key:"dot-".concat(t),r:3},f),d),{},{index:t,cx:e.x,cy:e.y,dataKey:s,value:e.value,payload:e.payload,points:c});return n.renderDotItem(u,r)}),h={clipPath:e?"url(#clipPath-".concat(r?"":"dots-").concat(o,")"):null};return t.createElement(Ae,_m({className:"recharts-area-dots"},h),p)}},{key:"renderHorizontalRect",value:function(e){var n=this.props,r=n.baseLine,o=n.points,i=n.strokeWidth,a=o[0].x,l=o[o.length-1].x,u=e*Math.abs(a-l),c=Ds()(o.map(function(e){return e.y||0}));return w(r)&&"number"===typeof r?c=Math.max(r,c):r&&Array.isArray(r)&&r.length&&(c=Math.max(Ds()(r.map(function(e){return e.y||0})),c)),w(c)?t.createElement("rect",{x:a<l?a:a-u,y:0,width:u,height:Math.floor(c+(i?parseInt("".concat(i),10):1))}):null}},{key:"renderVerticalRect",value:function(e){var n=this.props,r=n.baseLine,o=n.points,i=n.strokeWidth,a=o[0].y,l=o[o.length-1].y,u=e*Math.abs(a-l),c=Ds()(o.map(function(e){return e.x||0}));return w(r)&&"number"===typeof r?c=Math.max(r,c):r&&Array.isArray(r)&&r.length&&(c=Math.max(Ds()(r.map(function(e){return e.x||0})),c)),w(c)?t.createElement("rect",{x:0,y:a<l?a:a-u,width:c+(i?parseInt("".concat(i),10):1),height:Math.floor(u)}):null}},{key:"renderClipRect",value:function(e){return"vertical"===this.props.layout?this.renderVerticalRect(e):this.renderHorizontalRect(e)}},{key:"renderAreaStatically",value:function(e,n,r,o){var i=this.props,a=i.layout,l=i.type,u=i.stroke,c=i.connectNulls,s=i.isRange,f=(i.ref,Em(i,jm));return t.createElement(Ae,{clipPath:r?"url(#clipPath-".concat(o,")"):null},t.createElement(Av,_m({},ie(f,!0),{points:e,connectNulls:c,type:l,baseLine:n,layout:a,stroke:"none",className:"recharts-area-area"})),"none"!==u&&t.createElement(Av,_m({},ie(this.props,!1),{className:"recharts-area-curve",layout:a,type:l,connectNulls:c,fill:"none",points:e})),"none"!==u&&s&&t.createElement(Av,_m({},ie(this.props,!1),{className:"recharts-area-curve",layout:a,type:l,connectNulls:c,fill:"none",points:n})))}},{key:"renderAreaWithAnimation",value:function(e,n){var r=this,o=this.props,i=o.points,a=o.baseLine,l=o.isAnimationActive,u=o.animationBegin,c=o.animationDuration,s=o.animationEasing,f=o.animationId,p=this.state,h=p.prevPoints,y=p.prevBaseLine;return t.createElement(Po,{begin:u,duration:c,isActive:l,easing:s,from:{t:0},to:{t:1},key:"area-".concat(f),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(o){var l=o.t;if(h){var u,c=h.length/i.length,s=i.map(function(e,t){var n=Math.floor(t*c);if(h[n]){var r=h[n],o=E(r.x,e.x),i=E(r.y,e.y);return Tm(Tm({},e),{},{x:o(l),y:i(l)})}return e});return u=w(a)&&"number"===typeof a?E(y,a)(l):g()(a)||d()(a)?E(y,0)(l):a.map(function(e,t){var n=Math.floor(t*c);if(y[n]){var r=y[n],o=E(r.x,e.x),i=E(r.y,e.y);return Tm(Tm({},e),{},{x:o(l),y:i(l)})}return e}),r.renderAreaStatically(s,u,e,n)}return t.createElement(Ae,null,t.createElement("defs",null,t.createElement("clipPath",{id:"animationClipPath-".concat(n)},r.renderClipRect(l))),t.createElement(Ae,{clipPath:"url(#animationClipPath-".concat(n,")")},r.renderAreaStatically(i,a,e,n)))})}},{key:"renderArea",value:function(e,t){var n=this.props,r=n.points,o=n.baseLine,i=n.isAnimationActive,a=this.state,l=a.prevPoints,u=a.prevBaseLine,c=a.totalLength;return i&&r&&r.length&&(!l&&c>0||!Us()(l,r)||!Us()(u,o))?this.renderAreaWithAnimation(e,t):this.renderAreaStatically(r,o,e,t)}},{key:"render",value:function(){var e,n=this.props,r=n.hide,o=n.dot,i=n.points,l=n.className,u=n.top,c=n.left,s=n.xAxis,f=n.yAxis,d=n.width,p=n.height,h=n.isAnimationActive,y=n.id;if(r||!i||!i.length)return null;var v=this.state.isAnimationFinished,m=1===i.length,b=a("recharts-area",l),x=s&&s.allowDataOverflow,w=f&&f.allowDataOverflow,O=x||w,S=g()(y)?this.id:y,j=null!==(e=ie(o,!1))&&void 0!==e?e:{r:3,strokeWidth:2},k=j.r,P=void 0===k?3:k,E=j.strokeWidth,_=void 0===E?2:E,A=(oe(o)?o:{}).clipDot,T=void 0===A||A,C=2*P+_;return t.createElement(Ae,{className:b},x||w?t.createElement("defs",null,t.createElement("clipPath",{id:"clipPath-".concat(S)},t.createElement("rect",{x:x?c:c-d/2,y:w?u:u-p/2,width:x?d:2*d,height:w?p:2*p})),!T&&t.createElement("clipPath",{id:"clipPath-dots-".concat(S)},t.createElement("rect",{x:c-C/2,y:u-C/2,width:d+C,height:p+C}))):null,m?null:this.renderArea(O,S),(o||m)&&this.renderDots(O,T,S),(!h||v)&&vp.renderCallByParent(this.props,i))}}],i=[{key:"getDerivedStateFromProps",value:function(e,t){return e.animationId!==t.prevAnimationId?{prevAnimationId:e.animationId,curPoints:e.points,curBaseLine:e.baseLine,prevPoints:t.curPoints,prevBaseLine:t.curBaseLine}:e.points!==t.curPoints||e.baseLine!==t.curBaseLine?{curPoints:e.points,curBaseLine:e.baseLine}:null}}],o&&Cm(r.prototype,o),i&&Cm(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);ym=Rm,zm(Rm,"displayName","Area"),zm(Rm,"defaultProps",{stroke:"#3182bd",fill:"#3182bd",fillOpacity:.6,xAxisId:0,yAxisId:0,legendType:"line",connectNulls:!1,points:[],dot:!1,activeDot:!0,hide:!1,isAnimationActive:!nt.isSsr,animationBegin:0,animationDuration:1500,animationEasing:"ease"}),zm(Rm,"getBaseValue",function(e,t,n,r){var o=e.layout,i=e.baseValue,a=t.props.baseValue,l=null!==a&&void 0!==a?a:i;if(w(l)&&"number"===typeof l)return l;var u="horizontal"===o?r:n,c=u.scale.domain();if("number"===u.type){var s=Math.max(c[0],c[1]),f=Math.min(c[0],c[1]);return"dataMin"===l?f:"dataMax"===l||s<0?s:Math.max(Math.min(c[0],c[1]),0)}return"dataMin"===l?c[0]:"dataMax"===l?c[1]:c[0]}),zm(Rm,"getComposedData",function(e){var t,n=e.props,r=e.item,o=e.xAxis,i=e.yAxis,a=e.xAxisTicks,l=e.yAxisTicks,u=e.bandSize,c=e.dataKey,s=e.stackedData,f=e.dataStartIndex,d=e.displayedData,p=e.offset,h=n.layout,y=s&&s.length,v=ym.getBaseValue(n,r,o,i),m="horizontal"===h,g=!1,b=d.map(function(e,t){var n;y?n=s[f+t]:(n=Vf(e,c),Array.isArray(n)?g=!0:n=[v,n]);var r=null==n[1]||y&&null==Vf(e,c);return m?{x:nd({axis:o,ticks:a,bandSize:u,entry:e,index:t}),y:r?null:i.scale(n[1]),value:n,payload:e}:{x:r?null:o.scale(n[1]),y:nd({axis:i,ticks:l,bandSize:u,entry:e,index:t}),value:n,payload:e}});return t=y||g?b.map(function(e){var t=Array.isArray(e.value)?e.value[0]:null;return m?{x:e.x,y:null!=t&&null!=e.y?i.scale(t):null}:{x:null!=t?o.scale(t):null,y:e.y}}):m?i.scale(v):o.scale(v),Tm({points:b,baseLine:t,layout:h,isRange:g},p)}),zm(Rm,"renderDotItem",function(e,n){var r;if(t.isValidElement(e))r=t.cloneElement(e,n);else if(M()(e))r=e(n);else{var o=a("recharts-area-dot","boolean"!==typeof e?e.className:""),i=n.key,l=Em(n,km);r=t.createElement(Yn,_m({},l,{key:i,className:o}))}return r});var Bm=["type","layout","connectNulls","ref"],Fm=["key"];function Um(e){return Um="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Um(e)}function Wm(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Vm(){return Vm=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Vm.apply(this,arguments)}function qm(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Hm(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?qm(Object(n),!0).forEach(function(t){Jm(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):qm(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function $m(e){return function(e){if(Array.isArray(e))return Km(e)}(e)||function(e){if("undefined"!==typeof Symbol&&null!=e[Symbol.iterator]||null!=e["@@iterator"])return Array.from(e)}(e)||function(e,t){if(!e)return;if("string"===typeof e)return Km(e,t);var n=Object.prototype.toString.call(e).slice(8,-1);"Object"===n&&e.constructor&&(n=e.constructor.name);if("Map"===n||"Set"===n)return Array.from(e);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return Km(e,t)}(e)||function(){throw new TypeError("Invalid attempt to spread non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function Km(e,t){(null==t||t>e.length)&&(t=e.length);for(var n=0,r=new Array(t);n<t;n++)r[n]=e[n];return r}function Xm(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,eg(r.key),r)}}function Ym(e,t,n){return t=Qm(t),function(e,t){if(t&&("object"===Um(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Gm()?Reflect.construct(t,n||[],Qm(e).constructor):t.apply(e,n))}function Gm(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Gm=function(){return!!e})()}function Qm(e){return Qm=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Qm(e)}function Zm(e,t){return Zm=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Zm(e,t)}function Jm(e,t,n){return(t=eg(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function eg(e){var t=function(e,t){if("object"!=Um(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Um(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Um(t)?t:t+""}var tg=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return Jm(e=Ym(this,n,[].concat(r)),"state",{isAnimationFinished:!0,totalLength:0}),Jm(e,"generateSimpleStrokeDasharray",function(e,t){return"".concat(t,"px ").concat(e-t,"px")}),Jm(e,"getStrokeDasharray",function(t,r,o){var i=o.reduce(function(e,t){return e+t});if(!i)return e.generateSimpleStrokeDasharray(r,t);for(var a=Math.floor(t/i),l=t%i,u=r-t,c=[],s=0,f=0;s<o.length;f+=o[s],++s)if(f+o[s]>l){c=[].concat($m(o.slice(0,s)),[l-f]);break}var d=c.length%2===0?[0,u]:[u];return[].concat($m(n.repeat(o,a)),$m(c),d).map(function(e){return"".concat(e,"px")}).join(", ")}),Jm(e,"id",j("recharts-line-")),Jm(e,"pathRef",function(t){e.mainCurve=t}),Jm(e,"handleAnimationEnd",function(){e.setState({isAnimationFinished:!0}),e.props.onAnimationEnd&&e.props.onAnimationEnd()}),Jm(e,"handleAnimationStart",function(){e.setState({isAnimationFinished:!1}),e.props.onAnimationStart&&e.props.onAnimationStart()}),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Zm(e,t)}(n,e),r=n,o=[{key:"componentDidMount",value:function(){if(this.props.isAnimationActive){var e=this.getTotalLength();this.setState({totalLength:e})}}},{key:"componentDidUpdate",value:function(){if(this.props.isAnimationActive){var e=this.getTotalLength();e!==this.state.totalLength&&this.setState({totalLength:e})}}},{key:"getTotalLength",value:function(){var e=this.mainCurve;try{return e&&e.getTotalLength&&e.getTotalLength()||0}catch(t){return 0}}},{key:"renderErrorBar",value:function(e,n){if(this.props.isAnimationActive&&!this.state.isAnimationFinished)return null;var r=this.props,o=r.points,i=r.xAxis,a=r.yAxis,l=r.layout,u=J(r.children,Cf);if(!u)return null;var c=function(e,t){return{x:e.x,y:e.y,value:e.value,errorVal:Vf(e.payload,t)}},s={clipPath:e?"url(#clipPath-".concat(n,")"):null};return t.createElement(Ae,s,u.map(function(e){return t.cloneElement(e,{key:"bar-".concat(e.props.dataKey),data:o,xAxis:i,yAxis:a,layout:l,dataPointFormatter:c})}))}},{key:"renderDots",value:function(e,r,o){if(this.props.isAnimationActive&&!this.state.isAnimationFinished)return null;var i=this.props,a=i.dot,l=i.points,u=i.dataKey,c=ie(this.props,!1),s=ie(a,!0),f=l.map(function(e,t){var r=Hm(Hm(Hm({key:"dot-".concat(t),r:3},c),s),{},{index:t,cx:e.x,cy:e.y,value:e.value,dataKey:u,payload:e.payload,points:l});return n.renderDotItem(a,r)}),d={clipPath:e?"url(#clipPath-".concat(r?"":"dots-").concat(o,")"):null};return t.createElement(Ae,Vm({className:"recharts-line-dots",key:"dots"},d),f)}},{key:"renderCurveStatically",value:function(e,n,r,o){var i=this.props,a=i.type,l=i.layout,u=i.connectNulls,c=(i.ref,Wm(i,Bm)),s=Hm(Hm(Hm({},ie(c,!0)),{},{fill:"none",className:"recharts-line-curve",clipPath:n?"url(#clipPath-".concat(r,")"):null,points:e},o),{},{type:a,layout:l,connectNulls:u});return t.createElement(Av,Vm({},s,{pathRef:this.pathRef}))}},{key:"renderCurveWithAnimation",value:function(e,n){var r=this,o=this.props,i=o.points,a=o.strokeDasharray,l=o.isAnimationActive,u=o.animationBegin,c=o.animationDuration,s=o.animationEasing,f=o.animationId,d=o.animateNewValues,p=o.width,h=o.height,y=this.state,v=y.prevPoints,m=y.totalLength;return t.createElement(Po,{begin:u,duration:c,isActive:l,easing:s,from:{t:0},to:{t:1},key:"line-".concat(f),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(t){var o=t.t;if(v){var l=v.length/i.length,u=i.map(function(e,t){var n=Math.floor(t*l);if(v[n]){var r=v[n],i=E(r.x,e.x),a=E(r.y,e.y);return Hm(Hm({},e),{},{x:i(o),y:a(o)})}if(d){var u=E(2*p,e.x),c=E(h/2,e.y);return Hm(Hm({},e),{},{x:u(o),y:c(o)})}return Hm(Hm({},e),{},{x:e.x,y:e.y})});return r.renderCurveStatically(u,e,n)}var c,s=E(0,m)(o);if(a){var f="".concat(a).split(/[,\s]+/gim).map(function(e){return parseFloat(e)});c=r.getStrokeDasharray(s,m,f)}else c=r.generateSimpleStrokeDasharray(m,s);return r.renderCurveStatically(i,e,n,{strokeDasharray:c})})}},{key:"renderCurve",value:function(e,t){var n=this.props,r=n.points,o=n.isAnimationActive,i=this.state,a=i.prevPoints,l=i.totalLength;return o&&r&&r.length&&(!a&&l>0||!Us()(a,r))?this.renderCurveWithAnimation(e,t):this.renderCurveStatically(r,e,t)}},{key:"render",value:function(){var e,n=this.props,r=n.hide,o=n.dot,i=n.points,l=n.className,u=n.xAxis,c=n.yAxis,s=n.top,f=n.left,d=n.width,p=n.height,h=n.isAnimationActive,y=n.id;if(r||!i||!i.length)return null;var v=this.state.isAnimationFinished,m=1===i.length,b=a("recharts-line",l),x=u&&u.allowDataOverflow,w=c&&c.allowDataOverflow,O=x||w,S=g()(y)?this.id:y,j=null!==(e=ie(o,!1))&&void 0!==e?e:{r:3,strokeWidth:2},k=j.r,P=void 0===k?3:k,E=j.strokeWidth,_=void 0===E?2:E,A=(oe(o)?o:{}).clipDot,T=void 0===A||A,C=2*P+_;return t.createElement(Ae,{className:b},x||w?t.createElement("defs",null,t.createElement("clipPath",{id:"clipPath-".concat(S)},t.createElement("rect",{x:x?f:f-d/2,y:w?s:s-p/2,width:x?d:2*d,height:w?p:2*p})),!T&&t.createElement("clipPath",{id:"clipPath-dots-".concat(S)},t.createElement("rect",{x:f-C/2,y:s-C/2,width:d+C,height:p+C}))):null,!m&&this.renderCurve(O,S),this.renderErrorBar(O,S),(m||o)&&this.renderDots(O,T,S),(!h||v)&&vp.renderCallByParent(this.props,i))}}],i=[{key:"getDerivedStateFromProps",value:function(e,t){return e.animationId!==t.prevAnimationId?{prevAnimationId:e.animationId,curPoints:e.points,prevPoints:t.curPoints}:e.points!==t.curPoints?{curPoints:e.points}:null}},{key:"repeat",value:function(e,t){for(var n=e.length%2!==0?[].concat($m(e),[0]):e,r=[],o=0;o<t;++o)r=[].concat($m(r),$m(n));return r}},{key:"renderDotItem",value:function(e,n){var r;if(t.isValidElement(e))r=t.cloneElement(e,n);else if(M()(e))r=e(n);else{var o=n.key,i=Wm(n,Fm),l=a("recharts-line-dot","boolean"!==typeof e?e.className:"");r=t.createElement(Yn,Vm({key:o},i,{className:l}))}return r}}],o&&Xm(r.prototype,o),i&&Xm(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function ng(e){return ng="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},ng(e)}function rg(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,cg(r.key),r)}}function og(e,t,n){return t=ag(t),function(e,t){if(t&&("object"===ng(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,ig()?Reflect.construct(t,n||[],ag(e).constructor):t.apply(e,n))}function ig(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(ig=function(){return!!e})()}function ag(e){return ag=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},ag(e)}function lg(e,t){return lg=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},lg(e,t)}function ug(e,t,n){return(t=cg(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function cg(e){var t=function(e,t){if("object"!=ng(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=ng(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==ng(t)?t:t+""}Jm(tg,"displayName","Line"),Jm(tg,"defaultProps",{xAxisId:0,yAxisId:0,connectNulls:!1,activeDot:!0,dot:!0,legendType:"line",stroke:"#3182bd",strokeWidth:1,fill:"#fff",points:[],isAnimationActive:!nt.isSsr,animateNewValues:!0,animationBegin:0,animationDuration:1500,animationEasing:"ease",hide:!1,label:!1}),Jm(tg,"getComposedData",function(e){var t=e.props,n=e.xAxis,r=e.yAxis,o=e.xAxisTicks,i=e.yAxisTicks,a=e.dataKey,l=e.bandSize,u=e.displayedData,c=e.offset,s=t.layout,f=u.map(function(e,t){var u=Vf(e,a);return"horizontal"===s?{x:nd({axis:n,ticks:o,bandSize:l,entry:e,index:t}),y:g()(u)?null:r.scale(u),value:u,payload:e}:{x:g()(u)?null:n.scale(u),y:nd({axis:r,ticks:i,bandSize:l,entry:e,index:t}),value:u,payload:e}});return Hm({points:f,layout:s},c)});var sg=function(e){function t(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,t),og(this,t,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&lg(e,t)}(t,e),n=t,(r=[{key:"render",value:function(){return null}}])&&rg(n.prototype,r),o&&rg(n,o),Object.defineProperty(n,"prototype",{writable:!1}),n;var n,r,o}(t.Component);ug(sg,"displayName","ZAxis"),ug(sg,"defaultProps",{zAxisId:0,range:[64,64],scale:"auto",type:"number"});var fg=["option","isActive"];function dg(){return dg=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},dg.apply(this,arguments)}function pg(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function hg(e){var n=e.option,r=e.isActive,o=pg(e,fg);return"string"===typeof n?t.createElement(Xp,dg({option:t.createElement(wn,dg({type:n},o)),isActive:r,shapeType:"symbols"},o)):t.createElement(Xp,dg({option:n,isActive:r,shapeType:"symbols"},o))}function yg(e){return yg="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},yg(e)}function vg(){return vg=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},vg.apply(this,arguments)}function mg(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function gg(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?mg(Object(n),!0).forEach(function(t){jg(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):mg(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function bg(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,kg(r.key),r)}}function xg(e,t,n){return t=Og(t),function(e,t){if(t&&("object"===yg(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,wg()?Reflect.construct(t,n||[],Og(e).constructor):t.apply(e,n))}function wg(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(wg=function(){return!!e})()}function Og(e){return Og=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},Og(e)}function Sg(e,t){return Sg=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Sg(e,t)}function jg(e,t,n){return(t=kg(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function kg(e){var t=function(e,t){if("object"!=yg(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=yg(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==yg(t)?t:t+""}var Pg=function(e){function n(){var e;!function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n);for(var t=arguments.length,r=new Array(t),o=0;o<t;o++)r[o]=arguments[o];return jg(e=xg(this,n,[].concat(r)),"state",{isAnimationFinished:!1}),jg(e,"handleAnimationEnd",function(){e.setState({isAnimationFinished:!0})}),jg(e,"handleAnimationStart",function(){e.setState({isAnimationFinished:!1})}),jg(e,"id",j("recharts-scatter-")),e}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Sg(e,t)}(n,e),r=n,o=[{key:"renderSymbolsStatically",value:function(e){var n=this,r=this.props,o=r.shape,i=r.activeShape,a=r.activeIndex,l=ie(this.props,!1);return e.map(function(e,r){var u=a===r,c=u?i:o,s=gg(gg({},l),e);return t.createElement(Ae,vg({className:"recharts-scatter-symbol",key:"symbol-".concat(null===e||void 0===e?void 0:e.cx,"-").concat(null===e||void 0===e?void 0:e.cy,"-").concat(null===e||void 0===e?void 0:e.size,"-").concat(r)},V(n.props,e,r),{role:"img"}),t.createElement(hg,vg({option:c,isActive:u,key:"symbol-".concat(r)},s)))})}},{key:"renderSymbolsWithAnimation",value:function(){var e=this,n=this.props,r=n.points,o=n.isAnimationActive,i=n.animationBegin,a=n.animationDuration,l=n.animationEasing,u=n.animationId,c=this.state.prevPoints;return t.createElement(Po,{begin:i,duration:a,isActive:o,easing:l,from:{t:0},to:{t:1},key:"pie-".concat(u),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(n){var o=n.t,i=r.map(function(e,t){var n=c&&c[t];if(n){var r=E(n.cx,e.cx),i=E(n.cy,e.cy),a=E(n.size,e.size);return gg(gg({},e),{},{cx:r(o),cy:i(o),size:a(o)})}var l=E(0,e.size);return gg(gg({},e),{},{size:l(o)})});return t.createElement(Ae,null,e.renderSymbolsStatically(i))})}},{key:"renderSymbols",value:function(){var e=this.props,t=e.points,n=e.isAnimationActive,r=this.state.prevPoints;return!(n&&t&&t.length)||r&&Us()(r,t)?this.renderSymbolsStatically(t):this.renderSymbolsWithAnimation()}},{key:"renderErrorBar",value:function(){if(this.props.isAnimationActive&&!this.state.isAnimationFinished)return null;var e=this.props,n=e.points,r=e.xAxis,o=e.yAxis,i=J(e.children,Cf);return i?i.map(function(e,i){var a=e.props,l=a.direction,u=a.dataKey;return t.cloneElement(e,{key:"".concat(l,"-").concat(u,"-").concat(n[i]),data:n,xAxis:r,yAxis:o,layout:"x"===l?"vertical":"horizontal",dataPointFormatter:function(e,t){return{x:e.cx,y:e.cy,value:"x"===l?+e.node.x:+e.node.y,errorVal:Vf(e,t)}}})}):null}},{key:"renderLine",value:function(){var e,n,r=this.props,o=r.points,i=r.line,a=r.lineType,l=r.lineJointType,u=ie(this.props,!1),c=ie(i,!1);if("joint"===a)e=o.map(function(e){return{x:e.cx,y:e.cy}});else if("fitting"===a){var s=function(e){if(!e||!e.length)return null;for(var t=e.length,n=0,r=0,o=0,i=0,a=1/0,l=-1/0,u=0,c=0,s=0;s<t;s++)n+=u=e[s].cx||0,r+=c=e[s].cy||0,o+=u*c,i+=u*u,a=Math.min(a,u),l=Math.max(l,u);var f=t*i!==n*n?(t*o-n*r)/(t*i-n*n):0;return{xmin:a,xmax:l,a:f,b:(r-f*n)/t}}(o),f=s.xmin,d=s.xmax,p=s.a,h=s.b,y=function(e){return p*e+h};e=[{x:f,y:y(f)},{x:d,y:y(d)}]}var v=gg(gg(gg({},u),{},{fill:"none",stroke:u&&u.fill},c),{},{points:e});return n=t.isValidElement(i)?t.cloneElement(i,v):M()(i)?i(v):t.createElement(Av,vg({},v,{type:l})),t.createElement(Ae,{className:"recharts-scatter-line",key:"recharts-scatter-line"},n)}},{key:"render",value:function(){var e=this.props,n=e.hide,r=e.points,o=e.line,i=e.className,l=e.xAxis,u=e.yAxis,c=e.left,s=e.top,f=e.width,d=e.height,p=e.id,h=e.isAnimationActive;if(n||!r||!r.length)return null;var y=this.state.isAnimationFinished,v=a("recharts-scatter",i),m=l&&l.allowDataOverflow,b=u&&u.allowDataOverflow,x=m||b,w=g()(p)?this.id:p;return t.createElement(Ae,{className:v,clipPath:x?"url(#clipPath-".concat(w,")"):null},m||b?t.createElement("defs",null,t.createElement("clipPath",{id:"clipPath-".concat(w)},t.createElement("rect",{x:m?c:c-f/2,y:b?s:s-d/2,width:m?f:2*f,height:b?d:2*d}))):null,o&&this.renderLine(),this.renderErrorBar(),t.createElement(Ae,{key:"recharts-scatter-symbols"},this.renderSymbols()),(!h||y)&&vp.renderCallByParent(this.props,r))}}],i=[{key:"getDerivedStateFromProps",value:function(e,t){return e.animationId!==t.prevAnimationId?{prevAnimationId:e.animationId,curPoints:e.points,prevPoints:t.curPoints}:e.points!==t.curPoints?{curPoints:e.points}:null}}],o&&bg(r.prototype,o),i&&bg(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.PureComponent);function Eg(e,t,n){if(t<1)return[];if(1===t&&void 0===n)return e;for(var r=[],o=0;o<e.length;o+=t){if(void 0!==n&&!0!==n(e[o]))return;r.push(e[o])}return r}function _g(e,t,n){return function(e){var t=e.width,n=e.height,r=function(e){return(e%180+180)%180}(arguments.length>1&&void 0!==arguments[1]?arguments[1]:0),o=r*Math.PI/180,i=Math.atan(n/t),a=o>i&&o<Math.PI-i?n/Math.sin(o):t/Math.cos(o);return Math.abs(a)}({width:e.width+t.width,height:e.height+t.height},n)}function Ag(e,t,n,r,o){if(e*t<e*r||e*t>e*o)return!1;var i=n();return e*(t-e*i/2-r)>=0&&e*(t+e*i/2-o)<=0}function Tg(e){return Tg="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Tg(e)}function Cg(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Mg(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Cg(Object(n),!0).forEach(function(t){Ng(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Cg(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Ng(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Tg(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Tg(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Tg(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Ig(e,t,n){var r=e.tick,o=e.ticks,i=e.viewBox,a=e.minTickGap,l=e.orientation,u=e.interval,c=e.tickFormatter,s=e.unit,f=e.angle;if(!o||!o.length||!r)return[];if(w(u)||nt.isSsr)return function(e,t){return Eg(e,t+1)}(o,"number"===typeof u&&w(u)?u:0);var d=[],p="top"===l||"bottom"===l?"width":"height",h=s&&"width"===p?ri(s,{fontSize:t,letterSpacing:n}):{width:0,height:0},y=function(e,r){var o=M()(c)?c(e.value,r):e.value;return"width"===p?_g(ri(o,{fontSize:t,letterSpacing:n}),h,f):ri(o,{fontSize:t,letterSpacing:n})[p]},v=o.length>=2?b(o[1].coordinate-o[0].coordinate):1,m=function(e,t,n){var r="width"===n,o=e.x,i=e.y,a=e.width,l=e.height;return 1===t?{start:r?o:i,end:r?o+a:i+l}:{start:r?o+a:i+l,end:r?o:i}}(i,v,p);return"equidistantPreserveStart"===u?function(e,t,n,r,o){for(var i,a=(r||[]).slice(),l=t.start,u=t.end,c=0,s=1,f=l,d=function(){var t=null===r||void 0===r?void 0:r[c];if(void 0===t)return{v:Eg(r,s)};var i,a=c,d=function(){return void 0===i&&(i=n(t,a)),i},p=t.coordinate,h=0===c||Ag(e,p,d,f,u);h||(c=0,f=l,s+=1),h&&(f=p+e*(d()/2+o),c+=s)};s<=a.length;)if(i=d())return i.v;return[]}(v,m,y,o,a):(d="preserveStart"===u||"preserveStartEnd"===u?function(e,t,n,r,o,i){var a=(r||[]).slice(),l=a.length,u=t.start,c=t.end;if(i){var s=r[l-1],f=n(s,l-1),d=e*(s.coordinate+e*f/2-c);a[l-1]=s=Mg(Mg({},s),{},{tickCoord:d>0?s.coordinate-d*e:s.coordinate}),Ag(e,s.tickCoord,function(){return f},u,c)&&(c=s.tickCoord-e*(f/2+o),a[l-1]=Mg(Mg({},s),{},{isShow:!0}))}for(var p=i?l-1:l,h=function(t){var r,i=a[t],l=function(){return void 0===r&&(r=n(i,t)),r};if(0===t){var s=e*(i.coordinate-e*l()/2-u);a[t]=i=Mg(Mg({},i),{},{tickCoord:s<0?i.coordinate-s*e:i.coordinate})}else a[t]=i=Mg(Mg({},i),{},{tickCoord:i.coordinate});Ag(e,i.tickCoord,l,u,c)&&(u=i.tickCoord+e*(l()/2+o),a[t]=Mg(Mg({},i),{},{isShow:!0}))},y=0;y<p;y++)h(y);return a}(v,m,y,o,a,"preserveStartEnd"===u):function(e,t,n,r,o){for(var i=(r||[]).slice(),a=i.length,l=t.start,u=t.end,c=function(t){var r,c=i[t],s=function(){return void 0===r&&(r=n(c,t)),r};if(t===a-1){var f=e*(c.coordinate+e*s()/2-u);i[t]=c=Mg(Mg({},c),{},{tickCoord:f>0?c.coordinate-f*e:c.coordinate})}else i[t]=c=Mg(Mg({},c),{},{tickCoord:c.coordinate});Ag(e,c.tickCoord,s,l,u)&&(u=c.tickCoord-e*(s()/2+o),i[t]=Mg(Mg({},c),{},{isShow:!0}))},s=a-1;s>=0;s--)c(s);return i}(v,m,y,o,a),d.filter(function(e){return e.isShow}))}jg(Pg,"displayName","Scatter"),jg(Pg,"defaultProps",{xAxisId:0,yAxisId:0,zAxisId:0,legendType:"circle",lineType:"joint",lineJointType:"linear",data:[],shape:"circle",hide:!1,isAnimationActive:!nt.isSsr,animationBegin:0,animationDuration:400,animationEasing:"linear"}),jg(Pg,"getComposedData",function(e){var t=e.xAxis,n=e.yAxis,r=e.zAxis,o=e.item,i=e.displayedData,a=e.xAxisTicks,l=e.yAxisTicks,u=e.offset,c=o.props.tooltipType,s=J(o.props.children,np),f=g()(t.dataKey)?o.props.dataKey:t.dataKey,d=g()(n.dataKey)?o.props.dataKey:n.dataKey,p=r&&r.dataKey,h=r?r.range:sg.defaultProps.range,y=h&&h[0],v=t.scale.bandwidth?t.scale.bandwidth():0,m=n.scale.bandwidth?n.scale.bandwidth():0,b=i.map(function(e,i){var u=Vf(e,f),h=Vf(e,d),b=!g()(p)&&Vf(e,p)||"-",x=[{name:g()(t.dataKey)?o.props.name:t.name||t.dataKey,unit:t.unit||"",value:u,payload:e,dataKey:f,type:c},{name:g()(n.dataKey)?o.props.name:n.name||n.dataKey,unit:n.unit||"",value:h,payload:e,dataKey:d,type:c}];"-"!==b&&x.push({name:r.name||r.dataKey,unit:r.unit||"",value:b,payload:e,dataKey:p,type:c});var w=nd({axis:t,ticks:a,bandSize:v,entry:e,index:i,dataKey:f}),O=nd({axis:n,ticks:l,bandSize:m,entry:e,index:i,dataKey:d}),S="-"!==b?r.scale(b):y,j=Math.sqrt(Math.max(S,0)/Math.PI);return gg(gg({},e),{},{cx:w,cy:O,x:w-j,y:O-j,xAxis:t,yAxis:n,zAxis:r,width:2*j,height:2*j,size:S,node:{x:u,y:h,z:b},tooltipPayload:x,tooltipPosition:{x:w,y:O},payload:e},s&&s[i]&&s[i].props)});return gg({points:b},u)});var Dg=["viewBox"],zg=["viewBox"],Lg=["ticks"];function Rg(e){return Rg="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Rg(e)}function Bg(){return Bg=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Bg.apply(this,arguments)}function Fg(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function Ug(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Fg(Object(n),!0).forEach(function(t){Xg(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Fg(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function Wg(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}function Vg(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,Yg(r.key),r)}}function qg(e,t,n){return t=$g(t),function(e,t){if(t&&("object"===Rg(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,Hg()?Reflect.construct(t,n||[],$g(e).constructor):t.apply(e,n))}function Hg(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(Hg=function(){return!!e})()}function $g(e){return $g=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},$g(e)}function Kg(e,t){return Kg=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},Kg(e,t)}function Xg(e,t,n){return(t=Yg(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Yg(e){var t=function(e,t){if("object"!=Rg(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Rg(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Rg(t)?t:t+""}var Gg=function(e){function n(e){var t;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),(t=qg(this,n,[e])).state={fontSize:"",letterSpacing:""},t}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&Kg(e,t)}(n,e),r=n,o=[{key:"shouldComponentUpdate",value:function(e,t){var n=e.viewBox,r=Wg(e,Dg),o=this.props,i=o.viewBox,a=Wg(o,zg);return!z(n,i)||!z(r,a)||!z(t,this.state)}},{key:"componentDidMount",value:function(){var e=this.layerReference;if(e){var t=e.getElementsByClassName("recharts-cartesian-axis-tick-value")[0];t&&this.setState({fontSize:window.getComputedStyle(t).fontSize,letterSpacing:window.getComputedStyle(t).letterSpacing})}}},{key:"getTickLineCoord",value:function(e){var t,n,r,o,i,a,l=this.props,u=l.x,c=l.y,s=l.width,f=l.height,d=l.orientation,p=l.tickSize,h=l.mirror,y=l.tickMargin,v=h?-1:1,m=e.tickSize||p,g=w(e.tickCoord)?e.tickCoord:e.coordinate;switch(d){case"top":t=n=e.coordinate,a=(r=(o=c+ +!h*f)-v*m)-v*y,i=g;break;case"left":r=o=e.coordinate,i=(t=(n=u+ +!h*s)-v*m)-v*y,a=g;break;case"right":r=o=e.coordinate,i=(t=(n=u+ +h*s)+v*m)+v*y,a=g;break;default:t=n=e.coordinate,a=(r=(o=c+ +h*f)+v*m)+v*y,i=g}return{line:{x1:t,y1:r,x2:n,y2:o},tick:{x:i,y:a}}}},{key:"getTickTextAnchor",value:function(){var e,t=this.props,n=t.orientation,r=t.mirror;switch(n){case"left":e=r?"start":"end";break;case"right":e=r?"end":"start";break;default:e="middle"}return e}},{key:"getTickVerticalAnchor",value:function(){var e=this.props,t=e.orientation,n=e.mirror,r="end";switch(t){case"left":case"right":r="middle";break;case"top":r=n?"start":"end";break;default:r=n?"end":"start"}return r}},{key:"renderAxisLine",value:function(){var e=this.props,n=e.x,r=e.y,o=e.width,i=e.height,l=e.orientation,u=e.mirror,c=e.axisLine,s=Ug(Ug(Ug({},ie(this.props,!1)),ie(c,!1)),{},{fill:"none"});if("top"===l||"bottom"===l){var f=+("top"===l&&!u||"bottom"===l&&u);s=Ug(Ug({},s),{},{x1:n,y1:r+f*i,x2:n+o,y2:r+f*i})}else{var d=+("left"===l&&!u||"right"===l&&u);s=Ug(Ug({},s),{},{x1:n+d*o,y1:r,x2:n+d*o,y2:r+i})}return t.createElement("line",Bg({},s,{className:a("recharts-cartesian-axis-line",h()(c,"className"))}))}},{key:"renderTicks",value:function(e,r,o){var i=this,l=this.props,u=l.tickLine,c=l.stroke,s=l.tick,f=l.tickFormatter,d=l.unit,p=Ig(Ug(Ug({},this.props),{},{ticks:e}),r,o),y=this.getTickTextAnchor(),v=this.getTickVerticalAnchor(),m=ie(this.props,!1),g=ie(s,!1),b=Ug(Ug({},m),{},{fill:"none"},ie(u,!1)),x=p.map(function(e,r){var o=i.getTickLineCoord(e),l=o.line,x=o.tick,w=Ug(Ug(Ug(Ug({textAnchor:y,verticalAnchor:v},m),{},{stroke:"none",fill:c},g),x),{},{index:r,payload:e,visibleTicksCount:p.length,tickFormatter:f});return t.createElement(Ae,Bg({className:"recharts-cartesian-axis-tick",key:"tick-".concat(e.value,"-").concat(e.coordinate,"-").concat(e.tickCoord)},V(i.props,e,r)),u&&t.createElement("line",Bg({},b,l,{className:a("recharts-cartesian-axis-tick-line",h()(u,"className"))})),s&&n.renderTickItem(s,w,"".concat(M()(f)?f(e.value,r):e.value).concat(d||"")))});return t.createElement("g",{className:"recharts-cartesian-axis-ticks"},x)}},{key:"render",value:function(){var e=this,n=this.props,r=n.axisLine,o=n.width,i=n.height,l=n.ticksGenerator,u=n.className;if(n.hide)return null;var c=this.props,s=c.ticks,f=Wg(c,Lg),d=s;return M()(l)&&(d=s&&s.length>0?l(this.props):l(f)),o<=0||i<=0||!d||!d.length?null:t.createElement(Ae,{className:a("recharts-cartesian-axis",u),ref:function(t){e.layerReference=t}},r&&this.renderAxisLine(),this.renderTicks(d,this.state.fontSize,this.state.letterSpacing),Yd.renderCallByParent(this.props))}}],i=[{key:"renderTickItem",value:function(e,n,r){var o=a(n.className,"recharts-cartesian-axis-tick-value");return t.isValidElement(e)?t.cloneElement(e,Ug(Ug({},n),{},{className:o})):M()(e)?e(Ug(Ug({},n),{},{className:o})):t.createElement(Mi,Bg({},n,{className:"recharts-cartesian-axis-tick-value"}),r)}}],o&&Vg(r.prototype,o),i&&Vg(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function Qg(e){return Qg="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Qg(e)}function Zg(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,ob(r.key),r)}}function Jg(e,t,n){return t=tb(t),function(e,t){if(t&&("object"===Qg(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,eb()?Reflect.construct(t,n||[],tb(e).constructor):t.apply(e,n))}function eb(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(eb=function(){return!!e})()}function tb(e){return tb=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},tb(e)}function nb(e,t){return nb=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},nb(e,t)}function rb(e,t,n){return(t=ob(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function ob(e){var t=function(e,t){if("object"!=Qg(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Qg(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Qg(t)?t:t+""}function ib(){return ib=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},ib.apply(this,arguments)}function ab(e){var n=e.xAxisId,r=sy(),o=fy(),i=uy(n);return null==i?null:t.createElement(Gg,ib({},i,{className:a("recharts-".concat(i.axisType," ").concat(i.axisType),i.className),viewBox:{x:0,y:0,width:r,height:o},ticksGenerator:function(e){return Gf(e,!0)}}))}Xg(Gg,"displayName","CartesianAxis"),Xg(Gg,"defaultProps",{x:0,y:0,width:0,height:0,viewBox:{x:0,y:0,width:0,height:0},orientation:"bottom",ticks:[],stroke:"#666",tickLine:!0,axisLine:!0,tick:!0,mirror:!1,minTickGap:5,tickSize:6,tickMargin:2,interval:"preserveEnd"});var lb=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),Jg(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&nb(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){return t.createElement(ab,this.props)}}])&&Zg(r.prototype,o),i&&Zg(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);function ub(e){return ub="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},ub(e)}function cb(e,t){for(var n=0;n<t.length;n++){var r=t[n];r.enumerable=r.enumerable||!1,r.configurable=!0,"value"in r&&(r.writable=!0),Object.defineProperty(e,yb(r.key),r)}}function sb(e,t,n){return t=db(t),function(e,t){if(t&&("object"===ub(t)||"function"===typeof t))return t;if(void 0!==t)throw new TypeError("Derived constructors may only return object or undefined");return function(e){if(void 0===e)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}(e)}(e,fb()?Reflect.construct(t,n||[],db(e).constructor):t.apply(e,n))}function fb(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch(e){}return(fb=function(){return!!e})()}function db(e){return db=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(e){return e.__proto__||Object.getPrototypeOf(e)},db(e)}function pb(e,t){return pb=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(e,t){return e.__proto__=t,e},pb(e,t)}function hb(e,t,n){return(t=yb(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function yb(e){var t=function(e,t){if("object"!=ub(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=ub(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==ub(t)?t:t+""}function vb(){return vb=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},vb.apply(this,arguments)}rb(lb,"displayName","XAxis"),rb(lb,"defaultProps",{allowDecimals:!0,hide:!1,orientation:"bottom",width:0,height:30,mirror:!1,xAxisId:0,tickCount:5,type:"category",padding:{left:0,right:0},allowDataOverflow:!1,scale:"auto",reversed:!1,allowDuplicatedCategory:!0});var mb=function(e){var n=e.yAxisId,r=sy(),o=fy(),i=cy(n);return null==i?null:t.createElement(Gg,vb({},i,{className:a("recharts-".concat(i.axisType," ").concat(i.axisType),i.className),viewBox:{x:0,y:0,width:r,height:o},ticksGenerator:function(e){return Gf(e,!0)}}))},gb=function(e){function n(){return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,n),sb(this,n,arguments)}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&pb(e,t)}(n,e),r=n,(o=[{key:"render",value:function(){return t.createElement(mb,this.props)}}])&&cb(r.prototype,o),i&&cb(r,i),Object.defineProperty(r,"prototype",{writable:!1}),r;var r,o,i}(t.Component);hb(gb,"displayName","YAxis"),hb(gb,"defaultProps",{allowDuplicatedCategory:!0,allowDecimals:!0,hide:!1,orientation:"left",width:60,height:0,mirror:!1,yAxisId:0,tickCount:5,type:"number",padding:{top:0,bottom:0},allowDataOverflow:!1,scale:"auto",reversed:!1});var bb=function(e){var n=e.chartName,r=e.GraphicalChild,o=e.defaultTooltipEventType,i=void 0===o?"axis":o,l=e.validateTooltipEventTypes,c=void 0===l?["axis"]:l,s=e.axisComponents,f=e.legendContent,d=e.formatAxisMap,p=e.defaultProps,y=function(e,t){var n=t.graphicalItems,r=t.stackGroups,o=t.offset,i=t.updateId,a=t.dataStartIndex,l=t.dataEndIndex,u=e.barSize,c=e.layout,f=e.barGap,d=e.barCategoryGap,p=e.maxBarSize,h=wm(c),y=h.numericAxisName,v=h.cateAxisName,m=function(e){return!(!e||!e.length)&&e.some(function(e){var t=Y(e&&e.type);return t&&t.indexOf("Bar")>=0})}(n),b=[];return n.forEach(function(n,h){var x=pm(e.data,{graphicalItems:[n],dataStartIndex:a,dataEndIndex:l}),w=void 0!==n.type.defaultProps?am(am({},n.type.defaultProps),n.props):n.props,S=w.dataKey,j=w.maxBarSize,P=w["".concat(y,"Id")],E=w["".concat(v,"Id")],_=s.reduce(function(e,n){var r=t["".concat(n.axisType,"Map")],o=w["".concat(n.axisType,"Id")];r&&r[o]||"zAxis"===n.axisType||we(!1);var i=r[o];return am(am({},e),{},lm(lm({},n.axisType,i),"".concat(n.axisType,"Ticks"),Gf(i)))},{}),A=_[v],T=_["".concat(v,"Ticks")],C=r&&r[P]&&r[P].hasStack&&function(e,t){var n,r=(null!==(n=e.type)&&void 0!==n&&n.defaultProps?Uf(Uf({},e.type.defaultProps),e.props):e.props).stackId;if(O(r)){var o=t[r];if(o){var i=o.items.indexOf(e);return i>=0?o.stackedData[i]:null}}return null}(n,r[P].stackGroups),M=Y(n.type).indexOf("Bar")>=0,N=ud(A,T),I=[],D=m&&function(e){var t=e.barSize,n=e.totalSize,r=e.stackGroups,o=void 0===r?{}:r;if(!o)return{};for(var i={},a=Object.keys(o),l=0,u=a.length;l<u;l++)for(var c=o[a[l]].stackGroups,s=Object.keys(c),f=0,d=s.length;f<d;f++){var p=c[s[f]],h=p.items,y=p.cateAxisId,v=h.filter(function(e){return Y(e.type).indexOf("Bar")>=0});if(v&&v.length){var m=v[0].type.defaultProps,b=void 0!==m?Uf(Uf({},m),v[0].props):v[0].props,x=b.barSize,w=b[y];i[w]||(i[w]=[]);var O=g()(x)?t:x;i[w].push({item:v[0],stackList:v.slice(1),barSize:g()(O)?void 0:k(O,n,0)})}}return i}({barSize:u,stackGroups:r,totalSize:Sm(_,v)});if(M){var z,L,R=g()(j)?p:j,B=null!==(z=null!==(L=ud(A,T,!0))&&void 0!==L?L:R)&&void 0!==z?z:0;I=function(e){var t=e.barGap,n=e.barCategoryGap,r=e.bandSize,o=e.sizeList,i=void 0===o?[]:o,a=e.maxBarSize,l=i.length;if(l<1)return null;var u,c=k(t,r,0,!0),s=[];if(i[0].barSize===+i[0].barSize){var f=!1,d=r/l,p=i.reduce(function(e,t){return e+t.barSize||0},0);(p+=(l-1)*c)>=r&&(p-=(l-1)*c,c=0),p>=r&&d>0&&(f=!0,p=l*(d*=.9));var h={offset:((r-p)/2|0)-c,size:0};u=i.reduce(function(e,t){var n={item:t.item,position:{offset:h.offset+h.size+c,size:f?d:t.barSize}},r=[].concat(Rf(e),[n]);return h=r[r.length-1].position,t.stackList&&t.stackList.length&&t.stackList.forEach(function(e){r.push({item:e,position:h})}),r},s)}else{var y=k(n,r,0,!0);r-2*y-(l-1)*c<=0&&(c=0);var v=(r-2*y-(l-1)*c)/l;v>1&&(v>>=0);var m=a===+a?Math.min(v,a):v;u=i.reduce(function(e,t,n){var r=[].concat(Rf(e),[{item:t.item,position:{offset:y+(v+c)*n+(v-m)/2,size:m}}]);return t.stackList&&t.stackList.length&&t.stackList.forEach(function(e){r.push({item:e,position:r[r.length-1].position})}),r},s)}return u}({barGap:f,barCategoryGap:d,bandSize:B!==N?B:N,sizeList:D[E],maxBarSize:R}),B!==N&&(I=I.map(function(e){return am(am({},e),{},{position:am(am({},e.position),{},{offset:e.position.offset-B/2})})}))}var F,U,W=n&&n.type&&n.type.getComposedData;W&&b.push({props:am(am({},W(am(am({},_),{},{displayedData:x,props:e,dataKey:S,item:n,bandSize:N,barPosition:I,offset:o,stackedData:C,layout:c,dataStartIndex:a,dataEndIndex:l}))),{},lm(lm(lm({key:n.key||"item-".concat(h)},y,_[y]),v,_[v]),"animationId",i)),childIndex:(F=n,U=e.children,Z(U).indexOf(F)),item:n})}),b},v=function(e,t){var o=e.props,i=e.dataStartIndex,a=e.dataEndIndex,l=e.updateId;if(!te({props:o}))return null;var u=o.children,c=o.layout,f=o.stackOffset,p=o.data,h=o.reverseStackOrder,v=wm(c),m=v.numericAxisName,g=v.cateAxisName,b=J(u,r),x=function(e,t,n,r,o,i){if(!e)return null;var a=(i?t.reverse():t).reduce(function(e,t){var o,i=null!==(o=t.type)&&void 0!==o&&o.defaultProps?Uf(Uf({},t.type.defaultProps),t.props):t.props,a=i.stackId;if(i.hide)return e;var l=i[n],u=e[l]||{hasStack:!1,stackGroups:{}};if(O(a)){var c=u.stackGroups[a]||{numericAxisId:n,cateAxisId:r,items:[]};c.items.push(t),u.hasStack=!0,u.stackGroups[a]=c}else u.stackGroups[j("_stackId_")]={numericAxisId:n,cateAxisId:r,items:[t]};return Uf(Uf({},e),{},Wf({},l,u))},{});return Object.keys(a).reduce(function(t,i){var l=a[i];return l.hasStack&&(l.stackGroups=Object.keys(l.stackGroups).reduce(function(t,i){var a=l.stackGroups[i];return Uf(Uf({},t),{},Wf({},i,{numericAxisId:n,cateAxisId:r,items:a.items,stackedData:td(e,a.items,o)}))},{})),Uf(Uf({},t),{},Wf({},i,l))},{})}(p,b,"".concat(m,"Id"),"".concat(g,"Id"),f,h),w=s.reduce(function(e,t){var n="".concat(t.axisType,"Map");return am(am({},e),{},lm({},n,bm(o,am(am({},t),{},{graphicalItems:b,stackGroups:t.axisType===m&&x,dataStartIndex:i,dataEndIndex:a}))))},{}),S=Om(am(am({},w),{},{props:o,graphicalItems:b}),null===t||void 0===t?void 0:t.legendBBox);Object.keys(w).forEach(function(e){w[e]=d(o,w[e],S,e.replace("Map",""),n)});var k=function(e){var t=P(e),n=Gf(t,!1,!0);return{tooltipTicks:n,orderedTooltipTicks:be()(n,function(e){return e.coordinate}),tooltipAxis:t,tooltipAxisBandSize:ud(t,n)}}(w["".concat(g,"Map")]),E=y(o,am(am({},w),{},{dataStartIndex:i,dataEndIndex:a,updateId:l,graphicalItems:b,stackGroups:x,offset:S}));return am(am({formattedGraphicalItems:E,graphicalItems:b,offset:S,stackGroups:x},k),w)},m=function(e){function r(e){var o,i,l;return function(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}(this,r),lm(l=Zv(this,r,[e]),"eventEmitterSymbol",Symbol("rechartsEventEmitter")),lm(l,"accessibilityManager",new Yy),lm(l,"handleLegendBBoxUpdate",function(e){if(e){var t=l.state,n=t.dataStartIndex,r=t.dataEndIndex,o=t.updateId;l.setState(am({legendBBox:e},v({props:l.props,dataStartIndex:n,dataEndIndex:r,updateId:o},am(am({},l.state),{},{legendBBox:e}))))}}),lm(l,"handleReceiveSyncEvent",function(e,t,n){if(l.props.syncId===e){if(n===l.eventEmitterSymbol&&"function"!==typeof l.props.syncMethod)return;l.applySyncEvent(t)}}),lm(l,"handleBrushChange",function(e){var t=e.startIndex,n=e.endIndex;if(t!==l.state.dataStartIndex||n!==l.state.dataEndIndex){var r=l.state.updateId;l.setState(function(){return am({dataStartIndex:t,dataEndIndex:n},v({props:l.props,dataStartIndex:t,dataEndIndex:n,updateId:r},l.state))}),l.triggerSyncEvent({dataStartIndex:t,dataEndIndex:n})}}),lm(l,"handleMouseEnter",function(e){var t=l.getMouseInfo(e);if(t){var n=am(am({},t),{},{isTooltipActive:!0});l.setState(n),l.triggerSyncEvent(n);var r=l.props.onMouseEnter;M()(r)&&r(n,e)}}),lm(l,"triggeredAfterMouseMove",function(e){var t=l.getMouseInfo(e),n=t?am(am({},t),{},{isTooltipActive:!0}):{isTooltipActive:!1};l.setState(n),l.triggerSyncEvent(n);var r=l.props.onMouseMove;M()(r)&&r(n,e)}),lm(l,"handleItemMouseEnter",function(e){l.setState(function(){return{isTooltipActive:!0,activeItem:e,activePayload:e.tooltipPayload,activeCoordinate:e.tooltipPosition||{x:e.cx,y:e.cy}}})}),lm(l,"handleItemMouseLeave",function(){l.setState(function(){return{isTooltipActive:!1}})}),lm(l,"handleMouseMove",function(e){e.persist(),l.throttleTriggeredAfterMouseMove(e)}),lm(l,"handleMouseLeave",function(e){l.throttleTriggeredAfterMouseMove.cancel();var t={isTooltipActive:!1};l.setState(t),l.triggerSyncEvent(t);var n=l.props.onMouseLeave;M()(n)&&n(t,e)}),lm(l,"handleOuterEvent",function(e){var t,n=function(e){var t=e&&e.type;return t&&X[t]?X[t]:null}(e),r=h()(l.props,"".concat(n));n&&M()(r)&&r(null!==(t=/.*touch.*/i.test(n)?l.getMouseInfo(e.changedTouches[0]):l.getMouseInfo(e))&&void 0!==t?t:{},e)}),lm(l,"handleClick",function(e){var t=l.getMouseInfo(e);if(t){var n=am(am({},t),{},{isTooltipActive:!0});l.setState(n),l.triggerSyncEvent(n);var r=l.props.onClick;M()(r)&&r(n,e)}}),lm(l,"handleMouseDown",function(e){var t=l.props.onMouseDown;M()(t)&&t(l.getMouseInfo(e),e)}),lm(l,"handleMouseUp",function(e){var t=l.props.onMouseUp;M()(t)&&t(l.getMouseInfo(e),e)}),lm(l,"handleTouchMove",function(e){null!=e.changedTouches&&e.changedTouches.length>0&&l.throttleTriggeredAfterMouseMove(e.changedTouches[0])}),lm(l,"handleTouchStart",function(e){null!=e.changedTouches&&e.changedTouches.length>0&&l.handleMouseDown(e.changedTouches[0])}),lm(l,"handleTouchEnd",function(e){null!=e.changedTouches&&e.changedTouches.length>0&&l.handleMouseUp(e.changedTouches[0])}),lm(l,"handleDoubleClick",function(e){var t=l.props.onDoubleClick;M()(t)&&t(l.getMouseInfo(e),e)}),lm(l,"handleContextMenu",function(e){var t=l.props.onContextMenu;M()(t)&&t(l.getMouseInfo(e),e)}),lm(l,"triggerSyncEvent",function(e){void 0!==l.props.syncId&&Vy.emit(qy,l.props.syncId,e,l.eventEmitterSymbol)}),lm(l,"applySyncEvent",function(e){var t=l.props,n=t.layout,r=t.syncMethod,o=l.state.updateId,i=e.dataStartIndex,a=e.dataEndIndex;if(void 0!==e.dataStartIndex||void 0!==e.dataEndIndex)l.setState(am({dataStartIndex:i,dataEndIndex:a},v({props:l.props,dataStartIndex:i,dataEndIndex:a,updateId:o},l.state)));else if(void 0!==e.activeTooltipIndex){var u=e.chartX,c=e.chartY,s=e.activeTooltipIndex,f=l.state,d=f.offset,p=f.tooltipTicks;if(!d)return;if("function"===typeof r)s=r(p,e);else if("value"===r){s=-1;for(var h=0;h<p.length;h++)if(p[h].value===e.activeLabel){s=h;break}}var y=am(am({},d),{},{x:d.left,y:d.top}),m=Math.min(u,y.x+y.width),g=Math.min(c,y.y+y.height),b=p[s]&&p[s].value,x=vm(l.state,l.props.data,s),w=p[s]?{x:"horizontal"===n?p[s].coordinate:m,y:"horizontal"===n?g:p[s].coordinate}:fm;l.setState(am(am({},e),{},{activeLabel:b,activeCoordinate:w,activePayload:x,activeTooltipIndex:s}))}else l.setState(e)}),lm(l,"renderCursor",function(e){var r,o=l.state,i=o.isTooltipActive,a=o.activeCoordinate,u=o.activePayload,c=o.offset,s=o.activeTooltipIndex,f=o.tooltipAxisBandSize,d=l.getTooltipEventType(),p=null!==(r=e.props.active)&&void 0!==r?r:i,h=l.props.layout,y=e.key||"_recharts-cursor";return t.createElement(qv,{key:y,activeCoordinate:a,activePayload:u,activeTooltipIndex:s,chartName:n,element:e,isActive:p,layout:h,offset:c,tooltipAxisBandSize:f,tooltipEventType:d})}),lm(l,"renderPolarAxis",function(e,n,r){var o=h()(e,"type.axisType"),i=h()(l.state,"".concat(o,"Map")),u=e.type.defaultProps,c=void 0!==u?am(am({},u),e.props):e.props,s=i&&i[c["".concat(o,"Id")]];return(0,t.cloneElement)(e,am(am({},s),{},{className:a(o,s.className),key:e.key||"".concat(n,"-").concat(r),ticks:Gf(s,!0)}))}),lm(l,"renderPolarGrid",function(e){var n=e.props,r=n.radialLines,o=n.polarAngles,i=n.polarRadius,a=l.state,u=a.radiusAxisMap,c=a.angleAxisMap,s=P(u),f=P(c),d=f.cx,p=f.cy,h=f.innerRadius,y=f.outerRadius;return(0,t.cloneElement)(e,{polarAngles:Array.isArray(o)?o:Gf(f,!0).map(function(e){return e.coordinate}),polarRadius:Array.isArray(i)?i:Gf(s,!0).map(function(e){return e.coordinate}),cx:d,cy:p,innerRadius:h,outerRadius:y,key:e.key||"polar-grid",radialLines:r})}),lm(l,"renderLegend",function(){var e=l.state.formattedGraphicalItems,n=l.props,r=n.children,o=n.width,i=n.height,a=l.props.margin||{},u=o-(a.left||0)-(a.right||0),c=zf({children:r,formattedGraphicalItems:e,legendWidth:u,legendContent:f});if(!c)return null;var s=c.item,d=Gv(c,Hv);return(0,t.cloneElement)(s,am(am({},d),{},{chartWidth:o,chartHeight:i,margin:a,onBBoxUpdate:l.handleLegendBBoxUpdate}))}),lm(l,"renderTooltip",function(){var e,n=l.props,r=n.children,o=n.accessibilityLayer,i=ee(r,mt);if(!i)return null;var a=l.state,u=a.isTooltipActive,c=a.activeCoordinate,s=a.activePayload,f=a.activeLabel,d=a.offset,p=null!==(e=i.props.active)&&void 0!==e?e:u;return(0,t.cloneElement)(i,{viewBox:am(am({},d),{},{x:d.left,y:d.top}),active:p,label:f,payload:p?s:[],coordinate:c,accessibilityLayer:o})}),lm(l,"renderBrush",function(e){var n=l.props,r=n.margin,o=n.data,i=l.state,a=i.offset,u=i.dataStartIndex,c=i.dataEndIndex,s=i.updateId;return(0,t.cloneElement)(e,{key:e.key||"_recharts-brush",onChange:Zf(l.handleBrushChange,e.props.onChange),data:o,x:w(e.props.x)?e.props.x:a.left,y:w(e.props.y)?e.props.y:a.top+a.height+a.brushBottom-(r.bottom||0),width:w(e.props.width)?e.props.width:a.width,startIndex:u,endIndex:c,updateId:"brush-".concat(s)})}),lm(l,"renderReferenceElement",function(e,n,r){if(!e)return null;var o=l.clipPathId,i=l.state,a=i.xAxisMap,u=i.yAxisMap,c=i.offset,s=e.type.defaultProps||{},f=e.props,d=f.xAxisId,p=void 0===d?s.xAxisId:d,h=f.yAxisId,y=void 0===h?s.yAxisId:h;return(0,t.cloneElement)(e,{key:e.key||"".concat(n,"-").concat(r),xAxis:a[p],yAxis:u[y],viewBox:{x:c.left,y:c.top,width:c.width,height:c.height},clipPathId:o})}),lm(l,"renderActivePoints",function(e){var t=e.item,n=e.activePoint,o=e.basePoint,i=e.childIndex,a=e.isRange,l=[],u=t.props.key,c=void 0!==t.item.type.defaultProps?am(am({},t.item.type.defaultProps),t.item.props):t.item.props,s=c.activeDot,f=am(am({index:i,dataKey:c.dataKey,cx:n.x,cy:n.y,r:4,fill:Hf(t.item),strokeWidth:2,stroke:"#fff",payload:n.payload,value:n.value},ie(s,!1)),W(s));return l.push(r.renderActiveDot(s,f,"".concat(u,"-activePoint-").concat(i))),o?l.push(r.renderActiveDot(s,am(am({},f),{},{cx:o.x,cy:o.y}),"".concat(u,"-basePoint-").concat(i))):a&&l.push(null),l}),lm(l,"renderGraphicChild",function(e,n,r){var o=l.filterFormatItem(e,n,r);if(!o)return null;var i=l.getTooltipEventType(),a=l.state,u=a.isTooltipActive,c=a.tooltipAxis,s=a.activeTooltipIndex,f=a.activeLabel,d=ee(l.props.children,mt),p=o.props,h=p.points,y=p.isRange,v=p.baseLine,m=void 0!==o.item.type.defaultProps?am(am({},o.item.type.defaultProps),o.item.props):o.item.props,b=m.activeDot,x=m.hide,w=m.activeBar,O=m.activeShape,S=Boolean(!x&&u&&d&&(b||w||O)),j={};"axis"!==i&&d&&"click"===d.props.trigger?j={onClick:Zf(l.handleItemMouseEnter,e.props.onClick)}:"axis"!==i&&(j={onMouseLeave:Zf(l.handleItemMouseLeave,e.props.onMouseLeave),onMouseEnter:Zf(l.handleItemMouseEnter,e.props.onMouseEnter)});var k=(0,t.cloneElement)(e,am(am({},o.props),j));if(S){if(!(s>=0)){var P,E=(null!==(P=l.getItemByXY(l.state.activeCoordinate))&&void 0!==P?P:{graphicalItem:k}).graphicalItem,A=E.item,T=void 0===A?e:A,C=E.childIndex,M=am(am(am({},o.props),j),{},{activeIndex:C});return[(0,t.cloneElement)(T,M),null,null]}var N,I;if(c.dataKey&&!c.allowDuplicatedCategory){var D="function"===typeof c.dataKey?function(e){return"function"===typeof c.dataKey?c.dataKey(e.payload):null}:"payload.".concat(c.dataKey.toString());N=_(h,D,f),I=y&&v&&_(v,D,f)}else N=null===h||void 0===h?void 0:h[s],I=y&&v&&v[s];if(O||w){var z=void 0!==e.props.activeIndex?e.props.activeIndex:s;return[(0,t.cloneElement)(e,am(am(am({},o.props),j),{},{activeIndex:z})),null,null]}if(!g()(N))return[k].concat(nm(l.renderActivePoints({item:o,activePoint:N,basePoint:I,childIndex:s,isRange:y})))}return y?[k,null,null]:[k,null]}),lm(l,"renderCustomized",function(e,n,r){return(0,t.cloneElement)(e,am(am({key:"recharts-customized-".concat(r)},l.props),l.state))}),lm(l,"renderMap",{CartesianGrid:{handler:dm,once:!0},ReferenceArea:{handler:l.renderReferenceElement},ReferenceLine:{handler:dm},ReferenceDot:{handler:l.renderReferenceElement},XAxis:{handler:dm},YAxis:{handler:dm},Brush:{handler:l.renderBrush,once:!0},Bar:{handler:l.renderGraphicChild},Line:{handler:l.renderGraphicChild},Area:{handler:l.renderGraphicChild},Radar:{handler:l.renderGraphicChild},RadialBar:{handler:l.renderGraphicChild},Scatter:{handler:l.renderGraphicChild},Pie:{handler:l.renderGraphicChild},Funnel:{handler:l.renderGraphicChild},Tooltip:{handler:l.renderCursor,once:!0},PolarGrid:{handler:l.renderPolarGrid,once:!0},PolarAngleAxis:{handler:l.renderPolarAxis},PolarRadiusAxis:{handler:l.renderPolarAxis},Customized:{handler:l.renderCustomized}}),l.clipPathId="".concat(null!==(o=e.id)&&void 0!==o?o:j("recharts"),"-clip"),l.throttleTriggeredAfterMouseMove=u()(l.triggeredAfterMouseMove,null!==(i=e.throttleDelay)&&void 0!==i?i:1e3/60),l.state={},l}return function(e,t){if("function"!==typeof t&&null!==t)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&tm(e,t)}(r,e),o=r,l=[{key:"componentDidMount",value:function(){var e,t;this.addListener(),this.accessibilityManager.setDetails({container:this.container,offset:{left:null!==(e=this.props.margin.left)&&void 0!==e?e:0,top:null!==(t=this.props.margin.top)&&void 0!==t?t:0},coordinateList:this.state.tooltipTicks,mouseHandlerCallback:this.triggeredAfterMouseMove,layout:this.props.layout}),this.displayDefaultTooltip()}},{key:"displayDefaultTooltip",value:function(){var e=this.props,t=e.children,n=e.data,r=e.height,o=e.layout,i=ee(t,mt);if(i){var a=i.props.defaultIndex;if(!("number"!==typeof a||a<0||a>this.state.tooltipTicks.length-1)){var l=this.state.tooltipTicks[a]&&this.state.tooltipTicks[a].value,u=vm(this.state,n,a,l),c=this.state.tooltipTicks[a].coordinate,s=(this.state.offset.top+r)/2,f="horizontal"===o?{x:c,y:s}:{y:c,x:s},d=this.state.formattedGraphicalItems.find(function(e){return"Scatter"===e.item.type.name});d&&(f=am(am({},f),d.props.points[a].tooltipPosition),u=d.props.points[a].tooltipPayload);var p={activeTooltipIndex:a,isTooltipActive:!0,activeLabel:l,activePayload:u,activeCoordinate:f};this.setState(p),this.renderCursor(i),this.accessibilityManager.setIndex(a)}}}},{key:"getSnapshotBeforeUpdate",value:function(e,t){return this.props.accessibilityLayer?(this.state.tooltipTicks!==t.tooltipTicks&&this.accessibilityManager.setDetails({coordinateList:this.state.tooltipTicks}),this.props.layout!==e.layout&&this.accessibilityManager.setDetails({layout:this.props.layout}),this.props.margin!==e.margin&&this.accessibilityManager.setDetails({offset:{left:null!==(n=this.props.margin.left)&&void 0!==n?n:0,top:null!==(r=this.props.margin.top)&&void 0!==r?r:0}}),null):null;var n,r}},{key:"componentDidUpdate",value:function(e){ae([ee(e.children,mt)],[ee(this.props.children,mt)])||this.displayDefaultTooltip()}},{key:"componentWillUnmount",value:function(){this.removeListener(),this.throttleTriggeredAfterMouseMove.cancel()}},{key:"getTooltipEventType",value:function(){var e=ee(this.props.children,mt);if(e&&"boolean"===typeof e.props.shared){var t=e.props.shared?"axis":"item";return c.indexOf(t)>=0?t:i}return i}},{key:"getMouseInfo",value:function(e){if(!this.container)return null;var t,n=this.container,r=n.getBoundingClientRect(),o={top:(t=r).top+window.scrollY-document.documentElement.clientTop,left:t.left+window.scrollX-document.documentElement.clientLeft},i={chartX:Math.round(e.pageX-o.left),chartY:Math.round(e.pageY-o.top)},a=r.width/n.offsetWidth||1,l=this.inRange(i.chartX,i.chartY,a);if(!l)return null;var u=this.state,c=u.xAxisMap,s=u.yAxisMap,f=this.getTooltipEventType(),d=mm(this.state,this.props.data,this.props.layout,l);if("axis"!==f&&c&&s){var p=P(c).scale,h=P(s).scale,y=p&&p.invert?p.invert(i.chartX):null,v=h&&h.invert?h.invert(i.chartY):null;return am(am({},i),{},{xValue:y,yValue:v},d)}return d?am(am({},i),d):null}},{key:"inRange",value:function(e,t){var n=arguments.length>2&&void 0!==arguments[2]?arguments[2]:1,r=this.props.layout,o=e/n,i=t/n;if("horizontal"===r||"vertical"===r){var a=this.state.offset;return o>=a.left&&o<=a.left+a.width&&i>=a.top&&i<=a.top+a.height?{x:o,y:i}:null}var l=this.state,u=l.angleAxisMap,c=l.radiusAxisMap;if(u&&c){var s=P(u);return Rd({x:o,y:i},s)}return null}},{key:"parseEventsOfWrapper",value:function(){var e=this.props.children,t=this.getTooltipEventType(),n=ee(e,mt),r={};return n&&"axis"===t&&(r="click"===n.props.trigger?{onClick:this.handleClick}:{onMouseEnter:this.handleMouseEnter,onDoubleClick:this.handleDoubleClick,onMouseMove:this.handleMouseMove,onMouseLeave:this.handleMouseLeave,onTouchMove:this.handleTouchMove,onTouchStart:this.handleTouchStart,onTouchEnd:this.handleTouchEnd,onContextMenu:this.handleContextMenu}),am(am({},W(this.props,this.handleOuterEvent)),r)}},{key:"addListener",value:function(){Vy.on(qy,this.handleReceiveSyncEvent)}},{key:"removeListener",value:function(){Vy.removeListener(qy,this.handleReceiveSyncEvent)}},{key:"filterFormatItem",value:function(e,t,n){for(var r=this.state.formattedGraphicalItems,o=0,i=r.length;o<i;o++){var a=r[o];if(a.item===e||a.props.key===e.key||t===Y(a.item.type)&&n===a.childIndex)return a}return null}},{key:"renderClipPath",value:function(){var e=this.clipPathId,n=this.state.offset,r=n.left,o=n.top,i=n.height,a=n.width;return t.createElement("defs",null,t.createElement("clipPath",{id:e},t.createElement("rect",{x:r,y:o,height:i,width:a})))}},{key:"getXScales",value:function(){var e=this.state.xAxisMap;return e?Object.entries(e).reduce(function(e,t){var n=Yv(t,2),r=n[0],o=n[1];return am(am({},e),{},lm({},r,o.scale))},{}):null}},{key:"getYScales",value:function(){var e=this.state.yAxisMap;return e?Object.entries(e).reduce(function(e,t){var n=Yv(t,2),r=n[0],o=n[1];return am(am({},e),{},lm({},r,o.scale))},{}):null}},{key:"getXScaleByAxisId",value:function(e){var t;return null===(t=this.state.xAxisMap)||void 0===t||null===(t=t[e])||void 0===t?void 0:t.scale}},{key:"getYScaleByAxisId",value:function(e){var t;return null===(t=this.state.yAxisMap)||void 0===t||null===(t=t[e])||void 0===t?void 0:t.scale}},{key:"getItemByXY",value:function(e){var t=this.state,n=t.formattedGraphicalItems,r=t.activeItem;if(n&&n.length)for(var o=0,i=n.length;o<i;o++){var a=n[o],l=a.props,u=a.item,c=void 0!==u.type.defaultProps?am(am({},u.type.defaultProps),u.props):u.props,s=Y(u.type);if("Bar"===s){var f=(l.data||[]).find(function(t){return Do(e,t)});if(f)return{graphicalItem:a,payload:f}}else if("RadialBar"===s){var d=(l.data||[]).find(function(t){return Rd(e,t)});if(d)return{graphicalItem:a,payload:d}}else if(Yp(a,r)||Gp(a,r)||Qp(a,r)){var p=th({graphicalItem:a,activeTooltipItem:r,itemData:c.data}),h=void 0===c.activeIndex?p:c.activeIndex;return{graphicalItem:am(am({},a),{},{childIndex:h}),payload:Qp(a,r)?c.data[p]:a.props.data[p]}}}return null}},{key:"render",value:function(){var e=this;if(!te(this))return null;var n,r,o=this.props,i=o.children,l=o.className,u=o.width,c=o.height,s=o.style,f=o.compact,d=o.title,p=o.desc,h=Gv(o,$v),y=ie(h,!1);if(f)return t.createElement(ly,{state:this.state,width:this.props.width,height:this.props.height,clipPathId:this.clipPathId},t.createElement(ke,Xv({},y,{width:u,height:c,title:d,desc:p}),this.renderClipPath(),ue(i,this.renderMap)));this.props.accessibilityLayer&&(y.tabIndex=null!==(n=this.props.tabIndex)&&void 0!==n?n:0,y.role=null!==(r=this.props.role)&&void 0!==r?r:"application",y.onKeyDown=function(t){e.accessibilityManager.keyboardEvent(t)},y.onFocus=function(){e.accessibilityManager.focus()});var v=this.parseEventsOfWrapper();return t.createElement(ly,{state:this.state,width:this.props.width,height:this.props.height,clipPathId:this.clipPathId},t.createElement("div",Xv({className:a("recharts-wrapper",l),style:am({position:"relative",cursor:"default",width:u,height:c},s)},v,{ref:function(t){e.container=t}}),t.createElement(ke,Xv({},y,{width:u,height:c,title:d,desc:p,style:sm}),this.renderClipPath(),ue(i,this.renderMap)),this.renderLegend(),this.renderTooltip()))}}],l&&Qv(o.prototype,l),s&&Qv(o,s),Object.defineProperty(o,"prototype",{writable:!1}),o;var o,l,s}(t.Component);lm(m,"displayName",n),lm(m,"defaultProps",am({layout:"horizontal",stackOffset:"none",barCategoryGap:"10%",barGap:4,margin:{top:5,right:5,bottom:5,left:5},reverseStackOrder:!1,syncMethod:"index"},p)),lm(m,"getDerivedStateFromProps",function(e,t){var n=e.dataKey,r=e.data,o=e.children,i=e.width,a=e.height,l=e.layout,u=e.stackOffset,c=e.margin,s=t.dataStartIndex,f=t.dataEndIndex;if(void 0===t.updateId){var d=xm(e);return am(am(am({},d),{},{updateId:0},v(am(am({props:e},d),{},{updateId:0}),t)),{},{prevDataKey:n,prevData:r,prevWidth:i,prevHeight:a,prevLayout:l,prevStackOffset:u,prevMargin:c,prevChildren:o})}if(n!==t.prevDataKey||r!==t.prevData||i!==t.prevWidth||a!==t.prevHeight||l!==t.prevLayout||u!==t.prevStackOffset||!z(c,t.prevMargin)){var p=xm(e),h={chartX:t.chartX,chartY:t.chartY,isTooltipActive:t.isTooltipActive},y=am(am({},mm(t,r,l)),{},{updateId:t.updateId+1}),m=am(am(am({},p),h),y);return am(am(am({},m),v(am({props:e},m),t)),{},{prevDataKey:n,prevData:r,prevWidth:i,prevHeight:a,prevLayout:l,prevStackOffset:u,prevMargin:c,prevChildren:o})}if(!ae(o,t.prevChildren)){var b,x,w,O,S=ee(o,_d),j=S&&null!==(b=null===(x=S.props)||void 0===x?void 0:x.startIndex)&&void 0!==b?b:s,k=S&&null!==(w=null===(O=S.props)||void 0===O?void 0:O.endIndex)&&void 0!==w?w:f,P=j!==s||k!==f,E=!g()(r)&&!P?t.updateId:t.updateId+1;return am(am({updateId:E},v(am(am({props:e},t),{},{updateId:E,dataStartIndex:j,dataEndIndex:k}),t)),{},{prevChildren:o,dataStartIndex:j,dataEndIndex:k})}return null}),lm(m,"renderActiveDot",function(e,n,r){var o;return o=(0,t.isValidElement)(e)?(0,t.cloneElement)(e,n):M()(e)?e(n):t.createElement(Yn,n),t.createElement(Ae,{className:"recharts-active-dot",key:r},o)});var b=(0,t.forwardRef)(function(e,n){return t.createElement(m,Xv({},e,{ref:n}))});return b.displayName=m.displayName,b}({chartName:"ComposedChart",GraphicalChild:[tg,Rm,Ph,Pg],axisComponents:[{axisType:"xAxis",AxisComp:lb},{axisType:"yAxis",AxisComp:gb},{axisType:"zAxis",AxisComp:sg}],formatAxisMap:function(t,n,r,o,i){var a=t.width,l=t.height,u=t.layout,c=t.children,f=Object.keys(n),d={left:r.left,leftMirror:r.left,right:a-r.right,rightMirror:a-r.right,top:r.top,topMirror:r.top,bottom:l-r.bottom,bottomMirror:l-r.bottom},p=!!ee(c,Ph);return f.reduce(function(a,l){var c,f,h,y,v,m=n[l],g=m.orientation,b=m.domain,x=m.padding,w=void 0===x?{}:x,O=m.mirror,S=m.reversed,j="".concat(g).concat(O?"Mirror":"");if("number"===m.type&&("gap"===m.padding||"no-gap"===m.padding)){var P=b[1]-b[0],E=1/0,_=m.categoricalDomain.sort(A);if(_.forEach(function(e,t){t>0&&(E=Math.min((e||0)-(_[t-1]||0),E))}),Number.isFinite(E)){var T=E/P,C="vertical"===m.layout?r.height:r.width;if("gap"===m.padding&&(c=T*C/2),"no-gap"===m.padding){var N=k(t.barCategoryGap,T*C),I=T*C/2;c=I-N-(I-N)/C*N}}}f="xAxis"===o?[r.left+(w.left||0)+(c||0),r.left+r.width-(w.right||0)-(c||0)]:"yAxis"===o?"horizontal"===u?[r.top+r.height-(w.bottom||0),r.top+(w.top||0)]:[r.top+(w.top||0)+(c||0),r.top+r.height-(w.bottom||0)-(c||0)]:m.range,S&&(f=[f[1],f[0]]);var D=function(t,n,r){var o=t.scale,i=t.type,a=t.layout,l=t.axisType;if("auto"===o)return"radial"===a&&"radiusAxis"===l?{scale:Ko(),realScaleType:"band"}:"radial"===a&&"angleAxis"===l?{scale:ml(),realScaleType:"linear"}:"category"===i&&n&&(n.indexOf("LineChart")>=0||n.indexOf("AreaChart")>=0||n.indexOf("ComposedChart")>=0&&!r)?{scale:Yo(),realScaleType:"point"}:"category"===i?{scale:Ko(),realScaleType:"band"}:{scale:ml(),realScaleType:"linear"};if(s()(o)){var u="scale".concat(bt()(o));return{scale:(e[u]||Yo)(),realScaleType:e[u]?u:"point"}}return M()(o)?{scale:o}:{scale:Yo(),realScaleType:"point"}}(m,i,p),z=D.scale,L=D.realScaleType;z.domain(b).range(f),function(e){var t=e.domain();if(t&&!(t.length<=2)){var n=t.length,r=e.range(),o=Math.min(r[0],r[1])-Jf,i=Math.max(r[0],r[1])+Jf,a=e(t[0]),l=e(t[n-1]);(a<o||a>i||l<o||l>i)&&e.domain([t[0],t[n-1]])}}(z);var R=function(e,t){var n=t.realScaleType,r=t.type,o=t.tickCount,i=t.originalDomain,a=t.allowDecimals,l=n||t.scale;if("auto"!==l&&"linear"!==l)return null;if(o&&"number"===r&&i&&("auto"===i[0]||"auto"===i[1])){var u=e.domain();if(!u.length)return null;var c=vf(u,o,a);return e.domain([Ls()(c),Ds()(c)]),{niceTicks:c}}if(o&&"number"===r){var s=e.domain();return{niceTicks:mf(s,o,a)}}return null}(z,Th(Th({},m),{},{realScaleType:L}));"xAxis"===o?(v="top"===g&&!O||"bottom"===g&&O,h=r.left,y=d[j]-v*m.height):"yAxis"===o&&(v="left"===g&&!O||"right"===g&&O,h=d[j]-v*m.width,y=r.top);var B=Th(Th(Th({},m),R),{},{realScaleType:L,x:h,y:y,scale:z,width:"xAxis"===o?r.width:m.width,height:"yAxis"===o?r.height:m.height});return B.bandSize=ud(B,R),m.hide||"xAxis"!==o?m.hide||(d[j]+=(v?-1:1)*B.width):d[j]+=(v?-1:1)*B.height,Th(Th({},a),{},Ch({},l,B))},{})}}),xb=["x1","y1","x2","y2","key"],wb=["offset"];function Ob(e){return Ob="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Ob(e)}function Sb(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function jb(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Sb(Object(n),!0).forEach(function(t){kb(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Sb(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}function kb(e,t,n){return t=function(e){var t=function(e,t){if("object"!=Ob(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Ob(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Ob(t)?t:t+""}(t),t in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Pb(){return Pb=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var n=arguments[t];for(var r in n)Object.prototype.hasOwnProperty.call(n,r)&&(e[r]=n[r])}return e},Pb.apply(this,arguments)}function Eb(e,t){if(null==e)return{};var n,r,o=function(e,t){if(null==e)return{};var n={};for(var r in e)if(Object.prototype.hasOwnProperty.call(e,r)){if(t.indexOf(r)>=0)continue;n[r]=e[r]}return n}(e,t);if(Object.getOwnPropertySymbols){var i=Object.getOwnPropertySymbols(e);for(r=0;r<i.length;r++)n=i[r],t.indexOf(n)>=0||Object.prototype.propertyIsEnumerable.call(e,n)&&(o[n]=e[n])}return o}var _b=function(e){var n=e.fill;if(!n||"none"===n)return null;var r=e.fillOpacity,o=e.x,i=e.y,a=e.width,l=e.height,u=e.ry;return t.createElement("rect",{x:o,y:i,ry:u,width:a,height:l,stroke:"none",fill:n,fillOpacity:r,className:"recharts-cartesian-grid-bg"})};function Ab(e,n){var r;if(t.isValidElement(e))r=t.cloneElement(e,n);else if(M()(e))r=e(n);else{var o=n.x1,i=n.y1,a=n.x2,l=n.y2,u=n.key,c=Eb(n,xb),s=ie(c,!1),f=(s.offset,Eb(s,wb));r=t.createElement("line",Pb({},f,{x1:o,y1:i,x2:a,y2:l,fill:"none",key:u}))}return r}function Tb(e){var n=e.x,r=e.width,o=e.horizontal,i=void 0===o||o,a=e.horizontalPoints;if(!i||!a||!a.length)return null;var l=a.map(function(t,o){var a=jb(jb({},e),{},{x1:n,y1:t,x2:n+r,y2:t,key:"line-".concat(o),index:o});return Ab(i,a)});return t.createElement("g",{className:"recharts-cartesian-grid-horizontal"},l)}function Cb(e){var n=e.y,r=e.height,o=e.vertical,i=void 0===o||o,a=e.verticalPoints;if(!i||!a||!a.length)return null;var l=a.map(function(t,o){var a=jb(jb({},e),{},{x1:t,y1:n,x2:t,y2:n+r,key:"line-".concat(o),index:o});return Ab(i,a)});return t.createElement("g",{className:"recharts-cartesian-grid-vertical"},l)}function Mb(e){var n=e.horizontalFill,r=e.fillOpacity,o=e.x,i=e.y,a=e.width,l=e.height,u=e.horizontalPoints,c=e.horizontal;if(!(void 0===c||c)||!n||!n.length)return null;var s=u.map(function(e){return Math.round(e+i-i)}).sort(function(e,t){return e-t});i!==s[0]&&s.unshift(0);var f=s.map(function(e,u){var c=!s[u+1]?i+l-e:s[u+1]-e;if(c<=0)return null;var f=u%n.length;return t.createElement("rect",{key:"react-".concat(u),y:e,x:o,height:c,width:a,stroke:"none",fill:n[f],fillOpacity:r,className:"recharts-cartesian-grid-bg"})});return t.createElement("g",{className:"recharts-cartesian-gridstripes-horizontal"},f)}function Nb(e){var n=e.vertical,r=void 0===n||n,o=e.verticalFill,i=e.fillOpacity,a=e.x,l=e.y,u=e.width,c=e.height,s=e.verticalPoints;if(!r||!o||!o.length)return null;var f=s.map(function(e){return Math.round(e+a-a)}).sort(function(e,t){return e-t});a!==f[0]&&f.unshift(0);var d=f.map(function(e,n){var r=!f[n+1]?a+u-e:f[n+1]-e;if(r<=0)return null;var s=n%o.length;return t.createElement("rect",{key:"react-".concat(n),x:e,y:l,width:r,height:c,stroke:"none",fill:o[s],fillOpacity:i,className:"recharts-cartesian-grid-bg"})});return t.createElement("g",{className:"recharts-cartesian-gridstripes-vertical"},d)}var Ib=function(e,t){var n=e.xAxis,r=e.width,o=e.height,i=e.offset;return Yf(Ig(jb(jb(jb({},Gg.defaultProps),n),{},{ticks:Gf(n,!0),viewBox:{x:0,y:0,width:r,height:o}})),i.left,i.left+i.width,t)},Db=function(e,t){var n=e.yAxis,r=e.width,o=e.height,i=e.offset;return Yf(Ig(jb(jb(jb({},Gg.defaultProps),n),{},{ticks:Gf(n,!0),viewBox:{x:0,y:0,width:r,height:o}})),i.top,i.top+i.height,t)},zb={horizontal:!0,vertical:!0,horizontalPoints:[],verticalPoints:[],stroke:"#ccc",fill:"none",verticalFill:[],horizontalFill:[]};function Lb(e){var n,r,o,i,a,l,u=sy(),c=fy(),s=(0,t.useContext)(ry),f=jb(jb({},e),{},{stroke:null!==(n=e.stroke)&&void 0!==n?n:zb.stroke,fill:null!==(r=e.fill)&&void 0!==r?r:zb.fill,horizontal:null!==(o=e.horizontal)&&void 0!==o?o:zb.horizontal,horizontalFill:null!==(i=e.horizontalFill)&&void 0!==i?i:zb.horizontalFill,vertical:null!==(a=e.vertical)&&void 0!==a?a:zb.vertical,verticalFill:null!==(l=e.verticalFill)&&void 0!==l?l:zb.verticalFill,x:w(e.x)?e.x:s.left,y:w(e.y)?e.y:s.top,width:w(e.width)?e.width:s.width,height:w(e.height)?e.height:s.height}),d=f.x,p=f.y,h=f.width,y=f.height,v=f.syncWithTicks,m=f.horizontalValues,g=f.verticalValues,b=function(){var e=(0,t.useContext)(ey);return P(e)}(),x=function(){var e=(0,t.useContext)(ty);return Qh()(e,function(e){return tp()(e.domain,Number.isFinite)})||P(e)}();if(!w(h)||h<=0||!w(y)||y<=0||!w(d)||d!==+d||!w(p)||p!==+p)return null;var O=f.verticalCoordinatesGenerator||Ib,S=f.horizontalCoordinatesGenerator||Db,j=f.horizontalPoints,k=f.verticalPoints;if((!j||!j.length)&&M()(S)){var E=m&&m.length,_=S({yAxis:x?jb(jb({},x),{},{ticks:E?m:x.ticks}):void 0,width:u,height:c,offset:s},!!E||v);T(Array.isArray(_),"horizontalCoordinatesGenerator should return Array but instead it returned [".concat(Ob(_),"]")),Array.isArray(_)&&(j=_)}if((!k||!k.length)&&M()(O)){var A=g&&g.length,C=O({xAxis:b?jb(jb({},b),{},{ticks:A?g:b.ticks}):void 0,width:u,height:c,offset:s},!!A||v);T(Array.isArray(C),"verticalCoordinatesGenerator should return Array but instead it returned [".concat(Ob(C),"]")),Array.isArray(C)&&(k=C)}return t.createElement("g",{className:"recharts-cartesian-grid"},t.createElement(_b,{fill:f.fill,fillOpacity:f.fillOpacity,x:f.x,y:f.y,width:f.width,height:f.height,ry:f.ry}),t.createElement(Tb,Pb({},f,{offset:s,horizontalPoints:j,xAxis:b,yAxis:x})),t.createElement(Cb,Pb({},f,{offset:s,verticalPoints:k,xAxis:b,yAxis:x})),t.createElement(Mb,Pb({},f,{horizontalPoints:j})),t.createElement(Nb,Pb({},f,{verticalPoints:k})))}Lb.displayName="CartesianGrid";var Rb=n(579);const Bb=()=>{const[e,n]=(0,t.useState)(null),[r,i]=(0,t.useState)(!0),[a,l]=(0,t.useState)(null),[u,c]=(0,t.useState)({boardId:null,teamSize:10}),[s,f]=(0,t.useState)("All"),d=(0,t.useCallback)(async()=>{try{const e=await(0,o.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&c(e)}catch(e){console.error("Error loading config:",e)}},[]),p=(0,t.useCallback)(async()=>{if(u.boardId){i(!0),l(null);try{const e=await(0,o.invoke)("getBurndownData",{boardId:u.boardId,assignee:s,teamSize:u.teamSize});e.success?n(e.data):l(e.error)}catch(e){l(e.message)}finally{i(!1)}}else i(!1)},[u.boardId,u.teamSize,s]);(0,t.useEffect)(()=>{d()},[d]),(0,t.useEffect)(()=>{u.boardId&&p()},[u.boardId,s,p]);const h=e=>{let{active:t,payload:n,label:r}=e;return t&&n&&n.length?(0,Rb.jsxs)("div",{style:{background:"white",border:"1px solid #dfe1e6",borderRadius:"3px",padding:"12px",boxShadow:"0 4px 8px rgba(0,0,0,0.1)"},children:[(0,Rb.jsx)("p",{style:{fontWeight:"600",marginBottom:"8px"},children:r}),n.map((e,t)=>(0,Rb.jsxs)("div",{style:{display:"flex",alignItems:"center",gap:"8px",marginBottom:"4px"},children:[(0,Rb.jsx)("div",{style:{width:"10px",height:"10px",backgroundColor:e.color,borderRadius:"2px"}}),(0,Rb.jsxs)("span",{style:{fontSize:"12px"},children:[e.name,": ",null!=e.value?"".concat(Math.abs(e.value).toFixed(1),"h"):"-"]})]},t))]}):null};if(!u.boardId&&!r)return(0,Rb.jsxs)("div",{className:"configure-message",children:[(0,Rb.jsx)("p",{children:"\u2699\ufe0f Please configure this gadget"}),(0,Rb.jsx)("p",{style:{fontSize:"12px",marginTop:"8px"},children:"Click the edit button to select a Scrum board"})]});if(r)return(0,Rb.jsxs)("div",{className:"loading",children:[(0,Rb.jsx)("div",{className:"spinner"}),(0,Rb.jsx)("p",{style:{marginTop:"12px"},children:"Loading burndown data..."})]});if(a)return(0,Rb.jsxs)("div",{className:"error",children:[(0,Rb.jsxs)("p",{children:["\u26a0\ufe0f ",a]}),(0,Rb.jsx)("button",{className:"btn btn-secondary",style:{marginTop:"12px"},onClick:p,children:"Retry"})]});if(!e)return null;const{dataPoints:y,sprintName:v,maxCapacity:m,workingDays:g,teamSize:b,assignees:x}=e;return(0,Rb.jsxs)("div",{className:"gadget",children:[(0,Rb.jsxs)("div",{className:"gadget-header",children:[(0,Rb.jsxs)("div",{children:[(0,Rb.jsx)("div",{className:"gadget-title",children:"Burndown Chart"}),(0,Rb.jsx)("div",{className:"gadget-subtitle",children:v})]}),(0,Rb.jsxs)("select",{className:"select",value:s,onChange:e=>f(e.target.value),children:[(0,Rb.jsxs)("option",{value:"All",children:["All (",(null===x||void 0===x?void 0:x.length)||0,")"]}),null===x||void 0===x?void 0:x.map(e=>(0,Rb.jsx)("option",{value:e,children:e},e))]})]}),(0,Rb.jsxs)("div",{className:"capacity-info",children:[(0,Rb.jsx)("span",{style:{fontWeight:"600",color:"#344563"},children:"Max Capacity"}),(0,Rb.jsx)("div",{className:"capacity-line"}),(0,Rb.jsxs)("span",{className:"capacity-value",children:[m,"h"]}),(0,Rb.jsxs)("span",{className:"capacity-formula",children:["(",g," days \xd7 8h \xd7 ",b,")"]})]}),(0,Rb.jsx)("div",{className:"chart-container",children:(0,Rb.jsx)(ye,{width:"100%",height:"100%",children:(0,Rb.jsxs)(bb,{data:y,margin:{top:10,right:10,left:0,bottom:0},children:[(0,Rb.jsx)(Lb,{strokeDasharray:"3 3",stroke:"#f4f5f7"}),(0,Rb.jsx)(lb,{dataKey:"displayDate",tick:{fontSize:10,fill:"#6b778c"},axisLine:{stroke:"#dfe1e6"}}),(0,Rb.jsx)(gb,{tick:{fontSize:10,fill:"#6b778c"},axisLine:{stroke:"#dfe1e6"}}),(0,Rb.jsx)(mt,{content:(0,Rb.jsx)(h,{})}),(0,Rb.jsx)(Py,{y:0,stroke:"#97a0af",strokeWidth:1}),(0,Rb.jsx)(Py,{y:m,stroke:"#00b8d9",strokeDasharray:"5 5"}),(0,Rb.jsx)(Ph,{dataKey:"remaining",fill:"#0065FF",name:"Remaining",radius:[2,2,0,0]}),(0,Rb.jsx)(tg,{type:"linear",dataKey:"ideal",stroke:"#36B37E",strokeWidth:3,dot:!1,name:"Ideal"}),(0,Rb.jsx)(tg,{type:"monotone",dataKey:"timeLogged",stroke:"#00B8D9",strokeWidth:2,dot:{fill:"#00B8D9",r:3},name:"Time Logged"})]})})}),(0,Rb.jsxs)("div",{className:"legend",children:[(0,Rb.jsxs)("div",{className:"legend-item",children:[(0,Rb.jsx)("div",{className:"legend-line",style:{background:"#36B37E"}}),(0,Rb.jsx)("span",{children:"Ideal"})]}),(0,Rb.jsxs)("div",{className:"legend-item",children:[(0,Rb.jsx)("div",{className:"legend-color",style:{background:"#0065FF"}}),(0,Rb.jsx)("span",{children:"Remaining"})]}),(0,Rb.jsxs)("div",{className:"legend-item",children:[(0,Rb.jsx)("div",{className:"legend-line",style:{background:"#00B8D9"}}),(0,Rb.jsx)("span",{children:"Time Logged"})]})]})]})},Fb=()=>{const[e,n]=(0,t.useState)(null),[r,i]=(0,t.useState)(!0),[a,l]=(0,t.useState)(null),[u,c]=(0,t.useState)({boardId:null}),s=(0,t.useCallback)(async()=>{try{const e=await(0,o.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&c(e)}catch(e){console.error("Error loading config:",e)}},[]),f=(0,t.useCallback)(async()=>{if(u.boardId){i(!0),l(null);try{const e=await(0,o.invoke)("getSprintHealth",{boardId:u.boardId});e.success?n(e.data):l(e.error)}catch(e){l(e.message)}finally{i(!1)}}else i(!1)},[u.boardId]);if((0,t.useEffect)(()=>{s()},[s]),(0,t.useEffect)(()=>{u.boardId&&f()},[u.boardId,f]),!u.boardId&&!r)return(0,Rb.jsx)("div",{className:"configure-message",children:(0,Rb.jsx)("p",{children:"\u2699\ufe0f Please configure this gadget"})});if(r)return(0,Rb.jsxs)("div",{className:"loading",children:[(0,Rb.jsx)("div",{className:"spinner"}),(0,Rb.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});if(a)return(0,Rb.jsxs)("div",{className:"error",children:["\u26a0\ufe0f ",a]});if(!e)return null;const{counts:d,sprintName:p}=e,h=d.total||1,y=e=>{let{count:t,label:n,type:r}=e;return(0,Rb.jsxs)("div",{className:"health-circle health-".concat(r),children:[(0,Rb.jsxs)("div",{className:"health-circle-value",children:[(0,Rb.jsx)("span",{children:t}),(0,Rb.jsxs)("small",{children:["/",h]})]}),(0,Rb.jsx)("div",{className:"health-circle-label",style:{color:"under"===r?"#974f0c":"normal"===r?"#0747a6":"#006644"},children:n})]})};return(0,Rb.jsxs)("div",{className:"gadget",children:[(0,Rb.jsx)("div",{className:"gadget-header",children:(0,Rb.jsxs)("div",{children:[(0,Rb.jsx)("div",{className:"gadget-title",children:"Sprint Health"}),(0,Rb.jsx)("div",{className:"gadget-subtitle",children:p})]})}),(0,Rb.jsxs)("div",{className:"health-circles",children:[(0,Rb.jsx)(y,{count:d.under,label:"Underestimated",type:"under"}),(0,Rb.jsx)(y,{count:d.normal,label:"Normal",type:"normal"}),(0,Rb.jsx)(y,{count:d.good,label:"Good",type:"good"})]}),(0,Rb.jsxs)("div",{style:{marginTop:"20px"},children:[(0,Rb.jsxs)("div",{style:{display:"flex",justifyContent:"space-between",fontSize:"11px",marginBottom:"4px"},children:[(0,Rb.jsx)("span",{style:{color:"#6b778c"},children:"Overall Progress"}),(0,Rb.jsxs)("span",{style:{fontWeight:"600"},children:[h," Total Items"]})]}),(0,Rb.jsxs)("div",{className:"progress-bar",children:[(0,Rb.jsx)("div",{className:"progress-segment",style:{width:"".concat(d.under/h*100,"%"),background:"#ff991f"}}),(0,Rb.jsx)("div",{className:"progress-segment",style:{width:"".concat(d.normal/h*100,"%"),background:"#2684ff"}}),(0,Rb.jsx)("div",{className:"progress-segment",style:{width:"".concat(d.good/h*100,"%"),background:"#36b37e"}})]})]}),(0,Rb.jsxs)("div",{className:"legend",style:{marginTop:"12px"},children:[(0,Rb.jsxs)("div",{className:"legend-item",children:[(0,Rb.jsx)("div",{className:"legend-color",style:{background:"#ff991f",borderRadius:"50%",width:"8px",height:"8px"}}),(0,Rb.jsx)("span",{children:"Under"})]}),(0,Rb.jsxs)("div",{className:"legend-item",children:[(0,Rb.jsx)("div",{className:"legend-color",style:{background:"#2684ff",borderRadius:"50%",width:"8px",height:"8px"}}),(0,Rb.jsx)("span",{children:"Normal"})]}),(0,Rb.jsxs)("div",{className:"legend-item",children:[(0,Rb.jsx)("div",{className:"legend-color",style:{background:"#36b37e",borderRadius:"50%",width:"8px",height:"8px"}}),(0,Rb.jsx)("span",{children:"Good"})]})]})]})},Ub=()=>{const[e,n]=(0,t.useState)(null),[r,i]=(0,t.useState)(!0),[a,l]=(0,t.useState)(null),[u,c]=(0,t.useState)({boardId:null}),s=(0,t.useCallback)(async()=>{try{const e=await(0,o.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&c(e)}catch(e){console.error("Error loading config:",e)}},[]),f=(0,t.useCallback)(async()=>{if(u.boardId){i(!0),l(null);try{const e=await(0,o.invoke)("getAtRiskItems",{boardId:u.boardId});e.success?n(e.data):l(e.error)}catch(e){l(e.message)}finally{i(!1)}}else i(!1)},[u.boardId]);(0,t.useEffect)(()=>{s()},[s]),(0,t.useEffect)(()=>{u.boardId&&f()},[u.boardId,f]);const d=e=>{const t=null===e||void 0===e?void 0:e.toLowerCase();return"highest"===t?(0,Rb.jsx)("span",{className:"badge badge-priority-highest",children:e}):"high"===t?(0,Rb.jsx)("span",{className:"badge badge-priority-high",children:e}):(0,Rb.jsx)("span",{className:"badge badge-priority-medium",children:e})},p=e=>{const t=(null===e||void 0===e?void 0:e.toLowerCase())||"";return t.includes("done")||t.includes("closed")?(0,Rb.jsx)("span",{className:"badge badge-status-done",children:e}):t.includes("progress")?(0,Rb.jsx)("span",{className:"badge badge-status-progress",children:e}):(0,Rb.jsx)("span",{className:"badge badge-status-todo",children:e})};if(!u.boardId&&!r)return(0,Rb.jsx)("div",{className:"configure-message",children:(0,Rb.jsx)("p",{children:"\u2699\ufe0f Please configure this gadget"})});if(r)return(0,Rb.jsxs)("div",{className:"loading",children:[(0,Rb.jsx)("div",{className:"spinner"}),(0,Rb.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});if(a)return(0,Rb.jsxs)("div",{className:"error",children:["\u26a0\ufe0f ",a]});if(!e)return null;const{items:h,total:y,sprintName:v}=e;return(0,Rb.jsxs)("div",{className:"gadget",children:[(0,Rb.jsxs)("div",{className:"gadget-header",children:[(0,Rb.jsxs)("div",{children:[(0,Rb.jsx)("div",{className:"gadget-title",children:"At Risk Items"}),(0,Rb.jsx)("div",{className:"gadget-subtitle",children:v})]}),(0,Rb.jsxs)("span",{className:"count-badge ".concat(y>0?"danger":""),children:[y," items"]})]}),0===h.length?(0,Rb.jsxs)("div",{className:"empty-state",children:[(0,Rb.jsx)("div",{className:"empty-state-icon",children:"\u2705"}),(0,Rb.jsx)("div",{className:"empty-state-text",children:"All tasks on track!"})]}):(0,Rb.jsxs)("div",{style:{overflowX:"auto"},children:[(0,Rb.jsxs)("table",{className:"table",children:[(0,Rb.jsx)("thead",{children:(0,Rb.jsxs)("tr",{children:[(0,Rb.jsx)("th",{children:"Work"}),(0,Rb.jsx)("th",{children:"Assignee"}),(0,Rb.jsx)("th",{children:"Priority"}),(0,Rb.jsx)("th",{children:"Status"}),(0,Rb.jsx)("th",{style:{textAlign:"right"},children:"Est."}),(0,Rb.jsx)("th",{children:"Risk"})]})}),(0,Rb.jsx)("tbody",{children:h.slice(0,10).map(e=>{return(0,Rb.jsxs)("tr",{children:[(0,Rb.jsxs)("td",{children:[(0,Rb.jsx)("a",{href:"/browse/".concat(e.key),target:"_blank",rel:"noopener noreferrer",className:"issue-key",children:e.key}),(0,Rb.jsx)("div",{style:{fontSize:"11px",color:"#6b778c",maxWidth:"200px",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"},children:e.summary})]}),(0,Rb.jsx)("td",{style:{fontSize:"11px"},children:e.assignee}),(0,Rb.jsx)("td",{children:d(e.priority)}),(0,Rb.jsx)("td",{children:p(e.status)}),(0,Rb.jsxs)("td",{style:{textAlign:"right",fontSize:"11px"},children:[e.originalEstimate,"h / ",e.remainingEstimate,"h"]}),(0,Rb.jsx)("td",{children:(t=e.riskReason,"TIME_BOX_EXCEEDED"===t?(0,Rb.jsx)("span",{className:"badge badge-risk-time",children:"\u23f0 Time Box"}):(0,Rb.jsx)("span",{className:"badge badge-risk-deadline",children:"\ud83d\udcc5 Deadline"}))})]},e.key);var t})})]}),h.length>10&&(0,Rb.jsxs)("p",{style:{textAlign:"center",fontSize:"11px",color:"#6b778c",marginTop:"8px"},children:["+",h.length-10," more items"]})]})]})};function Wb(e){return Wb="function"==typeof Symbol&&"symbol"==typeof Symbol.iterator?function(e){return typeof e}:function(e){return e&&"function"==typeof Symbol&&e.constructor===Symbol&&e!==Symbol.prototype?"symbol":typeof e},Wb(e)}function Vb(e){var t=function(e,t){if("object"!=Wb(e)||!e)return e;var n=e[Symbol.toPrimitive];if(void 0!==n){var r=n.call(e,t||"default");if("object"!=Wb(r))return r;throw new TypeError("@@toPrimitive must return a primitive value.")}return("string"===t?String:Number)(e)}(e,"string");return"symbol"==Wb(t)?t:t+""}function qb(e,t,n){return(t=Vb(t))in e?Object.defineProperty(e,t,{value:n,enumerable:!0,configurable:!0,writable:!0}):e[t]=n,e}function Hb(e,t){var n=Object.keys(e);if(Object.getOwnPropertySymbols){var r=Object.getOwnPropertySymbols(e);t&&(r=r.filter(function(t){return Object.getOwnPropertyDescriptor(e,t).enumerable})),n.push.apply(n,r)}return n}function $b(e){for(var t=1;t<arguments.length;t++){var n=null!=arguments[t]?arguments[t]:{};t%2?Hb(Object(n),!0).forEach(function(t){qb(e,t,n[t])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(n)):Hb(Object(n)).forEach(function(t){Object.defineProperty(e,t,Object.getOwnPropertyDescriptor(n,t))})}return e}const Kb=()=>{const[e,n]=(0,t.useState)(null),[r,i]=(0,t.useState)(!0),[a,l]=(0,t.useState)(null),[u,c]=(0,t.useState)({boardId:null}),s=(0,t.useCallback)(async()=>{try{const e=await(0,o.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&c(e)}catch(e){console.error("Error loading config:",e)}},[]),f=(0,t.useCallback)(async()=>{if(u.boardId){i(!0),l(null);try{const e=await(0,o.invoke)("getScopeChanges",{boardId:u.boardId});e.success?n(e.data):l(e.error)}catch(e){l(e.message)}finally{i(!1)}}else i(!1)},[u.boardId]);(0,t.useEffect)(()=>{s()},[s]),(0,t.useEffect)(()=>{u.boardId&&f()},[u.boardId,f]);const d=e=>{switch(e){case"ADDED":return(0,Rb.jsx)("span",{className:"badge badge-change-added",children:"\u2795 Added"});case"REMOVED":return(0,Rb.jsx)("span",{className:"badge badge-change-removed",children:"\u2796 Removed"});case"PRIORITY":return(0,Rb.jsx)("span",{className:"badge badge-change-priority",children:"\ud83d\udd04 Priority"});default:return null}};if(!u.boardId&&!r)return(0,Rb.jsx)("div",{className:"configure-message",children:(0,Rb.jsx)("p",{children:"\u2699\ufe0f Please configure this gadget"})});if(r)return(0,Rb.jsxs)("div",{className:"loading",children:[(0,Rb.jsx)("div",{className:"spinner"}),(0,Rb.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});if(a)return(0,Rb.jsxs)("div",{className:"error",children:["\u26a0\ufe0f ",a]});if(!e)return null;const{added:p,removed:h,priorityChanged:y,totalAdded:v,totalRemoved:m,totalPriorityChanged:g,sprintName:b}=e,x=v+m+g,w=[...p.map(e=>$b($b({},e),{},{changeType:"ADDED"})),...h.map(e=>$b($b({},e),{},{changeType:"REMOVED"})),...y.map(e=>$b($b({},e),{},{changeType:"PRIORITY"}))].sort((e,t)=>{const n=e.changeDate?new Date(e.changeDate):new Date(0);return(t.changeDate?new Date(t.changeDate):new Date(0))-n});return(0,Rb.jsxs)("div",{className:"gadget",children:[(0,Rb.jsxs)("div",{className:"gadget-header",children:[(0,Rb.jsxs)("div",{children:[(0,Rb.jsx)("div",{className:"gadget-title",children:"Scope Changes"}),(0,Rb.jsx)("div",{className:"gadget-subtitle",children:b})]}),(0,Rb.jsxs)("span",{className:"count-badge",children:[x," changes"]})]}),(0,Rb.jsxs)("div",{style:{display:"flex",gap:"16px",marginBottom:"16px"},children:[(0,Rb.jsxs)("div",{style:{flex:1,textAlign:"center",padding:"12px",background:"#e3fcef",borderRadius:"3px"},children:[(0,Rb.jsx)("div",{style:{fontSize:"20px",fontWeight:"700",color:"#006644"},children:v}),(0,Rb.jsx)("div",{style:{fontSize:"11px",color:"#006644"},children:"Added"})]}),(0,Rb.jsxs)("div",{style:{flex:1,textAlign:"center",padding:"12px",background:"#ffebe6",borderRadius:"3px"},children:[(0,Rb.jsx)("div",{style:{fontSize:"20px",fontWeight:"700",color:"#bf2600"},children:m}),(0,Rb.jsx)("div",{style:{fontSize:"11px",color:"#bf2600"},children:"Removed"})]}),(0,Rb.jsxs)("div",{style:{flex:1,textAlign:"center",padding:"12px",background:"#fff0b3",borderRadius:"3px"},children:[(0,Rb.jsx)("div",{style:{fontSize:"20px",fontWeight:"700",color:"#974f0c"},children:g}),(0,Rb.jsx)("div",{style:{fontSize:"11px",color:"#974f0c"},children:"Priority"})]})]}),0===w.length?(0,Rb.jsxs)("div",{className:"empty-state",children:[(0,Rb.jsx)("div",{className:"empty-state-icon",children:"\ud83d\udcca"}),(0,Rb.jsx)("div",{className:"empty-state-text",children:"No scope changes detected"})]}):(0,Rb.jsxs)("div",{style:{overflowX:"auto"},children:[(0,Rb.jsxs)("table",{className:"table",children:[(0,Rb.jsx)("thead",{children:(0,Rb.jsxs)("tr",{children:[(0,Rb.jsx)("th",{children:"Work"}),(0,Rb.jsx)("th",{children:"Assignee"}),(0,Rb.jsx)("th",{children:"Status"}),(0,Rb.jsx)("th",{style:{textAlign:"right"},children:"Est."}),(0,Rb.jsx)("th",{children:"Change"})]})}),(0,Rb.jsx)("tbody",{children:w.slice(0,10).map((e,t)=>(0,Rb.jsxs)("tr",{children:[(0,Rb.jsxs)("td",{children:[(0,Rb.jsx)("a",{href:"/browse/".concat(e.key),target:"_blank",rel:"noopener noreferrer",className:"issue-key",children:e.key}),(0,Rb.jsx)("div",{style:{fontSize:"11px",color:"#6b778c",maxWidth:"180px",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"},children:e.summary})]}),(0,Rb.jsx)("td",{style:{fontSize:"11px"},children:e.assignee}),(0,Rb.jsx)("td",{children:(0,Rb.jsx)("span",{className:"badge badge-status-todo",style:{fontSize:"10px"},children:e.status})}),(0,Rb.jsxs)("td",{style:{textAlign:"right",fontSize:"11px"},children:[e.originalEstimate,"h"]}),(0,Rb.jsx)("td",{children:d(e.changeType)})]},"".concat(e.key,"-").concat(t)))})]}),w.length>10&&(0,Rb.jsxs)("p",{style:{textAlign:"center",fontSize:"11px",color:"#6b778c",marginTop:"8px"},children:["+",w.length-10," more changes"]})]})]})},Xb=()=>{const[e,n]=(0,t.useState)(null),[r,i]=(0,t.useState)(!0),[a,l]=(0,t.useState)(null),[u,c]=(0,t.useState)({boardId:null}),s=(0,t.useCallback)(async()=>{try{const e=await(0,o.invoke)("getConfig");null!==e&&void 0!==e&&e.boardId&&c(e)}catch(e){console.error("Error loading config:",e)}},[]),f=(0,t.useCallback)(async()=>{if(u.boardId){i(!0),l(null);try{const e=await(0,o.invoke)("getHighPriorityItems",{boardId:u.boardId});e.success?n(e.data):l(e.error)}catch(e){l(e.message)}finally{i(!1)}}else i(!1)},[u.boardId]);(0,t.useEffect)(()=>{s()},[s]),(0,t.useEffect)(()=>{u.boardId&&f()},[u.boardId,f]);const d=e=>{const t=(null===e||void 0===e?void 0:e.toLowerCase())||"";return t.includes("done")||t.includes("closed")?(0,Rb.jsx)("span",{className:"badge badge-status-done",children:e}):t.includes("progress")?(0,Rb.jsx)("span",{className:"badge badge-status-progress",children:e}):(0,Rb.jsx)("span",{className:"badge badge-status-todo",children:e})};if(!u.boardId&&!r)return(0,Rb.jsx)("div",{className:"configure-message",children:(0,Rb.jsx)("p",{children:"\u2699\ufe0f Please configure this gadget"})});if(r)return(0,Rb.jsxs)("div",{className:"loading",children:[(0,Rb.jsx)("div",{className:"spinner"}),(0,Rb.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});if(a)return(0,Rb.jsxs)("div",{className:"error",children:["\u26a0\ufe0f ",a]});if(!e)return null;const{items:p,total:h,highestCount:y,highCount:v,sprintName:m}=e;return(0,Rb.jsxs)("div",{className:"gadget",children:[(0,Rb.jsxs)("div",{className:"gadget-header",children:[(0,Rb.jsxs)("div",{children:[(0,Rb.jsx)("div",{className:"gadget-title",children:"High Priority Items"}),(0,Rb.jsx)("div",{className:"gadget-subtitle",children:m})]}),(0,Rb.jsxs)("span",{className:"count-badge ".concat(h>0?"danger":""),children:[h," items"]})]}),(0,Rb.jsxs)("div",{style:{display:"flex",gap:"16px",marginBottom:"16px"},children:[(0,Rb.jsxs)("div",{style:{flex:1,textAlign:"center",padding:"12px",background:"#ffebe6",borderRadius:"3px"},children:[(0,Rb.jsx)("div",{style:{fontSize:"24px",fontWeight:"700",color:"#bf2600"},children:y}),(0,Rb.jsx)("div",{style:{fontSize:"11px",color:"#bf2600"},children:"\ud83d\udd34 Highest"})]}),(0,Rb.jsxs)("div",{style:{flex:1,textAlign:"center",padding:"12px",background:"#fff0b3",borderRadius:"3px"},children:[(0,Rb.jsx)("div",{style:{fontSize:"24px",fontWeight:"700",color:"#974f0c"},children:v}),(0,Rb.jsx)("div",{style:{fontSize:"11px",color:"#974f0c"},children:"\ud83d\udfe0 High"})]})]}),0===p.length?(0,Rb.jsxs)("div",{className:"empty-state",children:[(0,Rb.jsx)("div",{className:"empty-state-icon",children:"\u2728"}),(0,Rb.jsx)("div",{className:"empty-state-text",children:"No high priority items"})]}):(0,Rb.jsxs)("div",{style:{overflowX:"auto"},children:[(0,Rb.jsxs)("table",{className:"table",children:[(0,Rb.jsx)("thead",{children:(0,Rb.jsxs)("tr",{children:[(0,Rb.jsx)("th",{children:"Work"}),(0,Rb.jsx)("th",{children:"Assignee"}),(0,Rb.jsx)("th",{children:"Priority"}),(0,Rb.jsx)("th",{children:"Status"}),(0,Rb.jsx)("th",{style:{textAlign:"right"},children:"Original"}),(0,Rb.jsx)("th",{style:{textAlign:"right"},children:"Remaining"})]})}),(0,Rb.jsx)("tbody",{children:p.slice(0,10).map(e=>{return(0,Rb.jsxs)("tr",{children:[(0,Rb.jsxs)("td",{children:[(0,Rb.jsx)("a",{href:"/browse/".concat(e.key),target:"_blank",rel:"noopener noreferrer",className:"issue-key",children:e.key}),(0,Rb.jsx)("div",{style:{fontSize:"11px",color:"#6b778c",maxWidth:"180px",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"},children:e.summary})]}),(0,Rb.jsx)("td",{style:{fontSize:"11px"},children:e.assignee}),(0,Rb.jsx)("td",{children:(t=e.priority,"Highest"===t?(0,Rb.jsxs)("span",{className:"badge badge-priority-highest",children:["\ud83d\udd34 ",t]}):(0,Rb.jsxs)("span",{className:"badge badge-priority-high",children:["\ud83d\udfe0 ",t]}))}),(0,Rb.jsx)("td",{children:d(e.status)}),(0,Rb.jsxs)("td",{style:{textAlign:"right",fontSize:"11px"},children:[e.originalEstimate,"h"]}),(0,Rb.jsxs)("td",{style:{textAlign:"right",fontSize:"11px"},children:[e.remainingEstimate,"h"]})]},e.key);var t})})]}),p.length>10&&(0,Rb.jsxs)("p",{style:{textAlign:"center",fontSize:"11px",color:"#6b778c",marginTop:"8px"},children:["+",p.length-10," more items"]})]})]})},Yb=()=>{const[e,n]=(0,t.useState)([]),[r,i]=(0,t.useState)({boardId:"",teamSize:10,workingDays:10}),[a,l]=(0,t.useState)(!0),[u,c]=(0,t.useState)(!1),[s,f]=(0,t.useState)(null);(0,t.useEffect)(()=>{d()},[]);const d=async()=>{l(!0),f(null);try{const e=await(0,o.invoke)("getBoards");e.success?n(e.boards):f(e.error);const t=await(0,o.invoke)("getConfig");null!==t&&void 0!==t&&t.boardId&&i(e=>$b($b({},e),t))}catch(e){f(e.message)}finally{l(!1)}};if(a)return(0,Rb.jsxs)("div",{className:"loading",children:[(0,Rb.jsx)("div",{className:"spinner"}),(0,Rb.jsx)("p",{style:{marginTop:"12px"},children:"Loading configuration..."})]});const p=8*r.workingDays*r.teamSize;return(0,Rb.jsxs)("div",{className:"config-form",children:[(0,Rb.jsx)("h2",{style:{margin:"0 0 20px",fontSize:"18px",fontWeight:"600",color:"#172b4d"},children:"Configure Gadget"}),s&&(0,Rb.jsxs)("div",{className:"error",style:{marginBottom:"16px"},children:["\u26a0\ufe0f ",s]}),(0,Rb.jsxs)("div",{className:"form-group",children:[(0,Rb.jsx)("label",{className:"form-label",children:"Scrum Board *"}),(0,Rb.jsxs)("select",{className:"form-select",value:r.boardId,onChange:e=>i(t=>$b($b({},t),{},{boardId:e.target.value})),children:[(0,Rb.jsx)("option",{value:"",children:"Select a board..."}),e.map(e=>(0,Rb.jsxs)("option",{value:e.id,children:[e.name," ",e.projectKey&&"(".concat(e.projectKey,")")]},e.id))]}),(0,Rb.jsx)("p",{className:"form-help",children:"Select the Scrum board to track sprint data from."})]}),(0,Rb.jsxs)("div",{className:"form-group",children:[(0,Rb.jsx)("label",{className:"form-label",children:"Team Size"}),(0,Rb.jsx)("input",{type:"number",className:"form-input",value:r.teamSize,onChange:e=>i(t=>$b($b({},t),{},{teamSize:Math.max(1,parseInt(e.target.value)||1)})),min:"1",max:"50"}),(0,Rb.jsx)("p",{className:"form-help",children:"Number of team members. Used for Max Capacity calculation in Burndown chart."})]}),(0,Rb.jsxs)("div",{className:"form-group",children:[(0,Rb.jsx)("label",{className:"form-label",children:"Working Days per Sprint"}),(0,Rb.jsx)("input",{type:"number",className:"form-input",value:r.workingDays,onChange:e=>i(t=>$b($b({},t),{},{workingDays:Math.max(1,parseInt(e.target.value)||10)})),min:"1",max:"30"}),(0,Rb.jsx)("p",{className:"form-help",children:"Default working days. Used if sprint dates are not properly set."})]}),(0,Rb.jsxs)("div",{className:"formula-preview",children:[(0,Rb.jsx)("p",{style:{margin:0},children:(0,Rb.jsx)("strong",{children:"Max Capacity Formula:"})}),(0,Rb.jsxs)("p",{style:{margin:"8px 0 0"},children:["Working Days \xd7 8 hours \xd7 Team Size",(0,Rb.jsx)("br",{}),"= ",r.workingDays," \xd7 8 \xd7 ",r.teamSize," = ",(0,Rb.jsxs)("strong",{children:[p,"h"]})]})]}),(0,Rb.jsxs)("div",{className:"form-actions",children:[(0,Rb.jsx)("button",{className:"btn btn-secondary",onClick:()=>{o.view.close()},disabled:u,children:"Cancel"}),(0,Rb.jsx)("button",{className:"btn btn-primary",onClick:async()=>{if(r.boardId){c(!0),f(null);try{const e=await(0,o.invoke)("saveConfig",r);e.success?o.view.close():f(e.error||"Failed to save configuration")}catch(e){f(e.message)}finally{c(!1)}}else f("Please select a board")},disabled:!r.boardId||u,children:u?"Saving...":"Save"})]})]})};const Gb=function(){var e,n,r,i;const[a,l]=(0,t.useState)(null),[u,c]=(0,t.useState)(!0);if((0,t.useEffect)(()=>{o.view.getContext().then(e=>{l(e),c(!1)})},[]),u)return(0,Rb.jsxs)("div",{className:"loading",children:[(0,Rb.jsx)("div",{className:"spinner"}),(0,Rb.jsx)("p",{style:{marginTop:"12px"},children:"Loading..."})]});const s=(null===a||void 0===a||null===(e=a.extension)||void 0===e||null===(n=e.gadget)||void 0===n?void 0:n.moduleKey)||(null===a||void 0===a?void 0:a.localId)||(null===a||void 0===a||null===(r=a.extension)||void 0===r?void 0:r.type);if("edit"===(null===a||void 0===a||null===(i=a.extension)||void 0===i?void 0:i.entryPoint)||window.location.search.includes("config"))return(0,Rb.jsx)(Yb,{});switch(s){case"sprint-burndown-gadget":default:return(0,Rb.jsx)(Bb,{});case"sprint-health-gadget":return(0,Rb.jsx)(Fb,{});case"at-risk-gadget":return(0,Rb.jsx)(Ub,{});case"scope-changes-gadget":return(0,Rb.jsx)(Kb,{});case"high-priority-gadget":return(0,Rb.jsx)(Xb,{})}};r.createRoot(document.getElementById("root")).render((0,Rb.jsx)(t.StrictMode,{children:(0,Rb.jsx)(Gb,{})}))})()})();
-//# sourceMappingURL=main.9ff39cbb.js.map
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { reconstructRemaining } from '../src/resolvers/index';
+
+const day = (dateStr, { logged = 0, carriedIn = 0, added = 0, removed = 0, reestimated = 0 } = {}) => ({
+  dateStr,
+  dayLogged: logged,
+  carriedIn,
+  scopeChange: { added, removed, reestimated }
+});
+
+const noSnapshots = () => null;
+
+describe('reconstructRemaining', () => {
+  it('walks back from the anchor by the burn of the following day', () => {
+    const days = [day('2025-04-28'), day('2025-04-29', { logged: 8 }), day('2025-04-30', { logged: 4 })];
+
+    const { remainingByIdx, recordedIdx } = reconstructRemaining(days, 2, 20, noSnapshots);
+
+    expect(remainingByIdx).toEqual({ 0: 32, 1: 24, 2: 20 });
+    expect(recordedIdx.size).toBe(0);
+  });
+
+  it('undoes scope and remaining estimate changes', () => {
+    const days = [
+      day('2025-04-28'),
+      day('2025-04-29', { added: 10, carriedIn: 3 }),
+      day('2025-04-30', { removed: 5, reestimated: 2 })
+    ];
+
+    const { remainingByIdx } = reconstructRemaining(days, 2, 30, noSnapshots);
+
+    // 30 -> +5 removed back, -2 re-estimate undone = 33 -> -10 added, +3 carried in = 26
+    expect(remainingByIdx).toEqual({ 0: 26, 1: 33, 2: 30 });
+  });
+
+  it('takes recorded days as they are and continues from them', () => {
+    const days = [day('2025-04-28'), day('2025-04-29', { logged: 8 }), day('2025-04-30', { logged: 4 })];
+    const recorded = { '2025-04-29': 40 };
+
+    const { remainingByIdx, recordedIdx } = reconstructRemaining(days, 2, 20, date => recorded[date] ?? null);
+
+    expect(remainingByIdx).toEqual({ 0: 48, 1: 40, 2: 20 });
+    expect([...recordedIdx]).toEqual([1]);
+  });
+
+  it('leaves days after today out', () => {
+    const days = [day('2025-04-28'), day('2025-04-29', { logged: 8 }), day('2025-04-30')];
+
+    expect(reconstructRemaining(days, 1, 10, noSnapshots).remainingByIdx).toEqual({ 0: 18, 1: 10 });
+  });
+
+  it('returns nothing before the sprint has a today', () => {
+    expect(reconstructRemaining([day('2025-04-28')], -1, 10, noSnapshots).remainingByIdx).toEqual({});
+  });
+});
@@ -0,0 +1,43 @@
+import { storage } from '@forge/api';
+import { purgeExpiredCache } from '../src/resolvers/index';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Two pages of cache entries, as storage.query() returns them
+const pages = [
+  {
+    results: [
+      { key: 'cache-worklogs-7-user-a:P-1', value: { fetchedAt: Date.now() - DAY, value: {} } },
+      { key: 'cache-worklogs-3-user-a:P-9', value: { fetchedAt: Date.now() - 30 * DAY, value: {} } }
+    ],
+    nextCursor: 'next'
+  },
+  { results: [{ key: 'cache-changelogs-7-user-a', value: { issues: [] } }] }
+];
+
+const mockQuery = {
+  where: jest.fn(() => mockQuery),
+  limit: jest.fn(() => mockQuery),
+  cursor: jest.fn(() => mockQuery),
+  getMany: jest.fn()
+};
+
+jest.mock('@forge/api', () => ({
+  ...jest.requireActual('@forge/api'),
+  storage: { query: () => mockQuery, delete: jest.fn() }
+}));
+
+describe('purgeExpiredCache', () => {
+  it('deletes the entries older than the longest TTL, on every page', async () => {
+    mockQuery.getMany.mockResolvedValueOnce(pages[0]).mockResolvedValueOnce(pages[1]);
+
+    await expect(purgeExpiredCache()).resolves.toBe(2);
+
+    expect(mockQuery.cursor).toHaveBeenCalledWith('next');
+    // Entries without fetchedAt come from older cache formats
+    expect(storage.delete.mock.calls.map(([key]) => key)).toEqual([
+      'cache-worklogs-3-user-a:P-9',
+      'cache-changelogs-7-user-a'
+    ]);
+  });
+});
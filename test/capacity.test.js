@@ -0,0 +1,34 @@
+import { storage } from '@forge/api';
+import { normalizeRosterMember, saveCapacityRoster } from '../src/resolvers/index';
+
+jest.mock('@forge/api', () => ({ ...jest.requireActual('@forge/api'), storage: { set: jest.fn() } }));
+
+describe('normalizeRosterMember', () => {
+  it('gives members without hours per day the board default', () => {
+    expect(normalizeRosterMember({ assignee: 'An' }, 6).hoursPerDay).toBe(6);
+    expect(normalizeRosterMember({ assignee: 'An', hoursPerDay: '' }, 6).hoursPerDay).toBe(6);
+    expect(normalizeRosterMember({ assignee: 'An', hoursPerDay: 0 }, 6).hoursPerDay).toBe(0);
+  });
+
+  it('treats a blank focus factor as full focus', () => {
+    expect(normalizeRosterMember({ assignee: 'An', focusFactor: null }).focusFactor).toBe(1);
+    expect(normalizeRosterMember({ assignee: 'An', focusFactor: '' }).focusFactor).toBe(1);
+    expect(normalizeRosterMember({ assignee: 'An', focusFactor: 0.5 }).focusFactor).toBe(0.5);
+    expect(normalizeRosterMember({ assignee: 'An', focusFactor: 3 }).focusFactor).toBe(1);
+  });
+
+  it('keeps valid leave dates once, sorted', () => {
+    const member = normalizeRosterMember({ assignee: 'An', leaveDates: ['2025-05-02', 'soon', '2025-04-30', '2025-05-02'] });
+
+    expect(member.leaveDates).toEqual(['2025-04-30', '2025-05-02']);
+  });
+});
+
+describe('saveCapacityRoster', () => {
+  it('gives every saved member the same default, whatever their position', async () => {
+    const roster = await saveCapacityRoster(7, [{ assignee: 'An' }, { assignee: 'Binh' }, { assignee: 'Chi' }], 6);
+
+    expect(roster.members.map(m => m.hoursPerDay)).toEqual([6, 6, 6]);
+    expect(storage.set).toHaveBeenCalledWith('capacity-7', roster);
+  });
+});
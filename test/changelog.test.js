@@ -0,0 +1,79 @@
+import { analyzePriorityChangelog, analyzeEstimateChangelog } from '../src/resolvers/index';
+
+const history = (created, items, author = 'An') => ({ created, author: { displayName: author }, items });
+
+describe('analyzePriorityChangelog', () => {
+  const since = new Date('2025-04-28T00:00:00.000Z');
+
+  it('marks moves towards Highest as escalated and away from it as de-escalated', () => {
+    const changes = analyzePriorityChangelog([
+      history('2025-04-30T10:00:00.000Z', [{ field: 'priority', fromString: 'High', toString: 'Low' }], 'Bo'),
+      history('2025-04-29T10:00:00.000Z', [{ field: 'priority', fromString: 'Medium', toString: 'Highest' }])
+    ], since);
+
+    expect(changes).toEqual([
+      { fromPriority: 'Medium', toPriority: 'Highest', direction: 'ESCALATED', changedBy: 'An', changeDate: '2025-04-29T10:00:00.000Z' },
+      { fromPriority: 'High', toPriority: 'Low', direction: 'DEESCALATED', changedBy: 'Bo', changeDate: '2025-04-30T10:00:00.000Z' }
+    ]);
+  });
+
+  it('ranks custom priorities by id', () => {
+    const [change] = analyzePriorityChangelog([
+      history('2025-04-29T10:00:00.000Z', [{ field: 'priority', from: '10002', fromString: 'P3', to: '10000', toString: 'P1' }])
+    ], since);
+
+    expect(change.direction).toBe('ESCALATED');
+  });
+
+  it('only keeps priority changes inside the window', () => {
+    const changes = analyzePriorityChangelog([
+      history('2025-04-27T10:00:00.000Z', [{ field: 'priority', fromString: 'Low', toString: 'High' }]),
+      history('2025-04-29T10:00:00.000Z', [{ field: 'status', fromString: 'To Do', toString: 'Done' }]),
+      history('2025-05-10T10:00:00.000Z', [{ field: 'priority', fromString: 'Low', toString: 'High' }])
+    ], since, new Date('2025-05-09T23:59:59.000Z'));
+
+    expect(changes).toEqual([]);
+  });
+});
+
+describe('analyzeEstimateChangelog', () => {
+  const since = new Date('2025-04-28T00:00:00.000Z');
+
+  it('reports original and remaining estimate changes in hours', () => {
+    const changes = analyzeEstimateChangelog([
+      history('2025-04-29T10:00:00.000Z', [
+        { field: 'timeoriginalestimate', from: '28800', to: '43200' },
+        { field: 'timeestimate', from: '28800', to: '14400' }
+      ])
+    ], since);
+
+    expect(changes).toEqual([
+      { field: 'originalEstimate', fromHours: 8, toHours: 12, deltaHours: 4, changedBy: 'An', changeDate: '2025-04-29T10:00:00.000Z' },
+      { field: 'remainingEstimate', fromHours: 8, toHours: 4, deltaHours: -4, changedBy: 'An', changeDate: '2025-04-29T10:00:00.000Z' }
+    ]);
+  });
+
+  it('skips remaining estimate changes logged together with time spent', () => {
+    const changes = analyzeEstimateChangelog([
+      history('2025-04-29T10:00:00.000Z', [
+        { field: 'timespent', from: '0', to: '7200' },
+        { field: 'timeestimate', from: '28800', to: '21600' }
+      ]),
+      history('2025-04-30T10:00:00.000Z', [
+        { field: 'timespent', from: '7200', to: '10800' },
+        { field: 'timeoriginalestimate', from: '28800', to: '36000' }
+      ])
+    ], since);
+
+    expect(changes.map(c => [c.field, c.deltaHours])).toEqual([['originalEstimate', 2]]);
+  });
+
+  it('ignores unchanged values and changes outside the window', () => {
+    const changes = analyzeEstimateChangelog([
+      history('2025-04-29T10:00:00.000Z', [{ field: 'timeestimate', from: '3600', to: '3600' }]),
+      history('2025-04-27T10:00:00.000Z', [{ field: 'timeoriginalestimate', from: null, to: '3600' }])
+    ], since);
+
+    expect(changes).toEqual([]);
+  });
+});
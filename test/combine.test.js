@@ -0,0 +1,95 @@
+import { combineBurndowns } from '../src/resolvers/index';
+
+const point = (date, remaining, { burned = 0, added = 0, recorded = false } = {}) => ({
+  date,
+  ideal: remaining,
+  remaining,
+  totalRemaining: remaining,
+  timeLogged: remaining == null ? null : 0,
+  dayLogged: remaining == null ? null : burned,
+  dayBurned: remaining == null ? null : burned,
+  cumulativeLogged: remaining == null ? null : 0,
+  added,
+  removed: 0,
+  reestimated: 0,
+  carriedIn: 0,
+  recorded
+});
+
+const burndown = (name, dataPoints, totals = {}) => ({
+  dataPoints,
+  sprintName: name,
+  sprintState: 'active',
+  sprintStartDate: dataPoints[1].date,
+  sprintEndDate: dataPoints[dataPoints.length - 1].date,
+  maxCapacity: 40,
+  totalOriginalEstimate: 0,
+  currentRemaining: 0,
+  scopeAddedTotal: 0,
+  holidays: [],
+  teamSize: 1,
+  estimationStat: 'hours',
+  unit: 'h',
+  worklogAttribution: 'assignee',
+  carriedInIssues: [],
+  sprintId: name,
+  capacity: { source: 'teamSize', hoursPerDay: 8, members: [] },
+  assignees: [],
+  assigneeBreakdown: [],
+  issueDetails: [],
+  removedIssueDetails: [],
+  addedIssues: [],
+  _debug: { totalIssuesInSprint: 0, removedFromSprintCount: 0, removedIssueKeys: [], addedIssueKeys: [], subtaskCount: 0, parentWithSubtasksCount: 0 },
+  ...totals
+});
+
+describe('combineBurndowns', () => {
+  const first = burndown('A', [
+    point('start', 20),
+    point('2025-04-28', 16, { burned: 4 }),
+    point('2025-04-29', 12, { burned: 4, added: 2, recorded: true })
+  ], { totalOriginalEstimate: 20, scopeAddedTotal: 2 });
+  const second = burndown('B', [
+    point('start', 10),
+    point('2025-04-29', 9, { burned: 1, recorded: true }),
+    point('2025-04-30', null)
+  ], { totalOriginalEstimate: 10 });
+
+  it('sums the sprints on the union of their days', () => {
+    const combined = combineBurndowns([first, second]);
+
+    expect(combined.dataPoints.map(dp => dp.date)).toEqual(['start', '2025-04-28', '2025-04-29', '2025-04-30']);
+    expect(combined.dataPoints[0].totalRemaining).toBe(30);
+    // B has not started on Apr 28 and counts with its start value
+    expect(combined.dataPoints[1]).toMatchObject({ totalRemaining: 26, dayBurned: 4 });
+    expect(combined.dataPoints[2]).toMatchObject({ totalRemaining: 21, dayBurned: 5, added: 2, recorded: true });
+  });
+
+  it('keeps future days empty and does not repeat scope changes after a sprint ends', () => {
+    const [, , , last] = combineBurndowns([first, second]).dataPoints;
+
+    expect(last.totalRemaining).toBeNull();
+    expect(last.added).toBe(0);
+  });
+
+  it('only marks days recorded in every sprint', () => {
+    const [, firstDay] = combineBurndowns([first, second]).dataPoints;
+
+    expect(firstDay.recorded).toBe(false);
+  });
+
+  it('adds up the totals and names', () => {
+    const combined = combineBurndowns([first, second]);
+
+    expect(combined).toMatchObject({
+      sprintName: 'A + B',
+      sprintState: 'active',
+      sprintStartDate: '2025-04-28',
+      sprintEndDate: '2025-04-30',
+      maxCapacity: 80,
+      totalOriginalEstimate: 30,
+      scopeAddedTotal: 2,
+      sprintId: null
+    });
+  });
+});
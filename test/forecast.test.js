@@ -0,0 +1,103 @@
+import { applyForwardRemaining, buildBurndownForecast } from '../src/resolvers/index';
+
+const point = (date, { burned = 0, added = 0, removed = 0, reestimated = 0, carriedIn = 0, remaining = 0, recorded = false } = {}) => ({
+  date,
+  dayBurned: burned,
+  added,
+  removed,
+  reestimated,
+  carriedIn,
+  totalRemaining: remaining,
+  remaining,
+  recorded
+});
+
+describe('applyForwardRemaining', () => {
+  const data = {
+    totalOriginalEstimate: 40,
+    scopeAddedTotal: 10,
+    scopeRemovedTotal: 5,
+    originalEstimateChangedTotal: 2,
+    dataPoints: [
+      point('start', { carriedIn: 1 }),
+      point('2025-04-28', { added: 10, burned: 4 }),
+      point('2025-04-29', { removed: -5, reestimated: 2, burned: 3 }),
+      point('2025-04-30', { burned: 2, remaining: 25, recorded: true }),
+      point('2025-05-01', { burned: 1 }),
+      { ...point('2025-05-02'), totalRemaining: null, remaining: null }
+    ]
+  };
+
+  it('carries remaining forward from the sprint-start estimate', () => {
+    const result = applyForwardRemaining(data);
+
+    // 40 - 10 added + 5 removed - 2 original estimate changes
+    expect(result.baselineOriginalEstimate).toBe(33);
+    expect(result.dataPoints.slice(0, 3).map(dp => dp.totalRemaining)).toEqual([32, 38, 32]);
+  });
+
+  it('keeps recorded days and continues from them', () => {
+    const result = applyForwardRemaining(data);
+
+    expect(result.dataPoints.slice(3).map(dp => dp.totalRemaining)).toEqual([25, 24, null]);
+    expect(result.dataPoints[4].remaining).toBe(24);
+  });
+
+  it('leaves the points alone without an original estimate', () => {
+    const empty = { totalOriginalEstimate: 0, dataPoints: [point('start', { remaining: 3 })] };
+
+    expect(applyForwardRemaining(empty)).toEqual({ ...empty, baselineOriginalEstimate: 0 });
+  });
+});
+
+describe('buildBurndownForecast', () => {
+  const sprint = (dataPoints) => ({
+    sprintState: 'active',
+    sprintEndDate: '2025-05-09T17:00:00.000Z',
+    dataPoints: [point('start', { remaining: 40 }), ...dataPoints]
+  });
+
+  it('starts from the last charted remaining', () => {
+    const forecast = buildBurndownForecast(sprint([
+      point('2025-04-28', { burned: 4, remaining: 36 }),
+      point('2025-04-29', { burned: 4, remaining: 32 })
+    ]), new Set(), 5, '2025-04-30');
+
+    expect(forecast.remaining).toBe(32);
+    expect(forecast.points[0]).toMatchObject({ date: '2025-04-29', forecast: 32 });
+  });
+
+  it('leaves today out of the trailing window', () => {
+    const forecast = buildBurndownForecast(sprint([
+      point('2025-04-28', { burned: 4, remaining: 36 }),
+      point('2025-04-29', { burned: 4, remaining: 32 }),
+      point('2025-04-30', { burned: 4, remaining: 28 }),
+      point('2025-05-01', { burned: 1, remaining: 27 })
+    ]), new Set(), 5, '2025-05-01');
+
+    expect(forecast.windowDays).toBe(3);
+    expect(forecast.averageBurn).toBe(4);
+    expect(forecast.daysLeftInSprint).toBe(6);
+    // 27 at 4 a day: 7 working days after May 1, one past the sprint end
+    expect(forecast.projectedDate).toBe('2025-05-12');
+    expect(forecast.onTrack).toBe(false);
+    expect(forecast.confidence.likelyDate).toBe('2025-05-12');
+  });
+
+  it('skips holidays in the window and the projection', () => {
+    const forecast = buildBurndownForecast(sprint([
+      point('2025-04-28', { burned: 4, remaining: 28 }),
+      point('2025-04-29', { burned: 0, remaining: 28 }),
+      point('2025-04-30', { burned: 4, remaining: 24 })
+    ]), new Set(['2025-04-29', '2025-05-02']), 5, '2025-05-01');
+
+    expect(forecast.averageBurn).toBe(4);
+    // 24 at 4 a day: May 1 and the next 5 working days, May 2 being a holiday
+    expect(forecast.projectedDate).toBe('2025-05-09');
+    expect(forecast.onTrack).toBe(true);
+  });
+
+  it('only forecasts active sprints', () => {
+    expect(buildBurndownForecast({ ...sprint([]), sprintState: 'closed' }, new Set())).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+import { parseIcsHolidays } from '../src/resolvers/index';
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const dates = (result) => result.holidays.map(h => h.date);
+
+describe('parseIcsHolidays', () => {
+  it('reads a single all-day event', () => {
+    const result = parseIcsHolidays(calendar([
+      'DTSTART;VALUE=DATE:20250430',
+      'DTEND;VALUE=DATE:20250501',
+      'SUMMARY:Reunification Day'
+    ]));
+
+    expect(result.holidays).toEqual([{ date: '2025-04-30', name: 'Reunification Day' }]);
+    expect(result.skipped).toEqual([]);
+  });
+
+  it('expands a multi-day event with an exclusive DTEND', () => {
+    const result = parseIcsHolidays(calendar([
+      'DTSTART;VALUE=DATE:20250128',
+      'DTEND;VALUE=DATE:20250201',
+      'SUMMARY:Tết'
+    ]));
+
+    expect(dates(result)).toEqual(['2025-01-28', '2025-01-29', '2025-01-30', '2025-01-31']);
+  });
+
+  it('unfolds continuation lines and unescapes text', () => {
+    const result = parseIcsHolidays([
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20250902',
+      'SUMMARY:National Day\\, first',
+      '  day',
+      'END:VEVENT'
+    ].join('\n'));
+
+    expect(result.holidays).toEqual([{ date: '2025-09-02', name: 'National Day, first day' }]);
+  });
+
+  it('defaults the name and ignores events without a start', () => {
+    const result = parseIcsHolidays(calendar(['DTSTART;VALUE=DATE:20250101'], ['SUMMARY:No date']));
+
+    expect(result.holidays).toEqual([{ date: '2025-01-01', name: 'Holiday' }]);
+  });
+
+  it('returns nothing for empty input', () => {
+    expect(parseIcsHolidays('')).toEqual({ holidays: [], skipped: [] });
+    expect(parseIcsHolidays(undefined)).toEqual({ holidays: [], skipped: [] });
+  });
+
+  describe('yearly recurrence', () => {
+    it('repeats every year up to the horizon', () => {
+      const result = parseIcsHolidays(calendar([
+        'DTSTART;VALUE=DATE:20240101',
+        'RRULE:FREQ=YEARLY',
+        'SUMMARY:New Year'
+      ]), { horizonYear: 2027 });
+
+      expect(dates(result)).toEqual(['2024-01-01', '2025-01-01', '2026-01-01', '2027-01-01']);
+    });
+
+    it('keeps the event length for every occurrence', () => {
+      const result = parseIcsHolidays(calendar([
+        'DTSTART;VALUE=DATE:20250901',
+        'DTEND;VALUE=DATE:20250903',
+        'RRULE:FREQ=YEARLY;BYMONTH=9;BYMONTHDAY=1',
+        'SUMMARY:National Day'
+      ]), { horizonYear: 2026 });
+
+      expect(dates(result)).toEqual(['2025-09-01', '2025-09-02', '2026-09-01', '2026-09-02']);
+    });
+
+    it('stops at COUNT and UNTIL', () => {
+      const counted = parseIcsHolidays(calendar([
+        'DTSTART;VALUE=DATE:20240501',
+        'RRULE:FREQ=YEARLY;COUNT=2'
+      ]), { horizonYear: 2030 });
+      const until = parseIcsHolidays(calendar([
+        'DTSTART;VALUE=DATE:20240501',
+        'RRULE:FREQ=YEARLY;UNTIL=20250501T000000Z'
+      ]), { horizonYear: 2030 });
+
+      expect(dates(counted)).toEqual(['2024-05-01', '2025-05-01']);
+      expect(dates(until)).toEqual(['2024-05-01', '2025-05-01']);
+    });
+
+    it('honours INTERVAL and EXDATE', () => {
+      const result = parseIcsHolidays(calendar([
+        'DTSTART;VALUE=DATE:20240601',
+        'RRULE:FREQ=YEARLY;INTERVAL=2',
+        'EXDATE;VALUE=DATE:20260601'
+      ]), { horizonYear: 2029 });
+
+      expect(dates(result)).toEqual(['2024-06-01', '2028-06-01']);
+    });
+
+    it('only repeats Feb 29 in leap years', () => {
+      const result = parseIcsHolidays(calendar([
+        'DTSTART;VALUE=DATE:20240229',
+        'RRULE:FREQ=YEARLY'
+      ]), { horizonYear: 2028 });
+
+      expect(dates(result)).toEqual(['2024-02-29', '2028-02-29']);
+    });
+  });
+
+  describe('unsupported recurrence', () => {
+    it('skips rules it cannot expand and reports them', () => {
+      const result = parseIcsHolidays(calendar([
+        'DTSTART;VALUE=DATE:20250526',
+        'RRULE:FREQ=YEARLY;BYMONTH=5;BYDAY=-1MO',
+        'SUMMARY:Memorial Day'
+      ], [
+        'DTSTART;VALUE=DATE:20250106',
+        'RRULE:FREQ=WEEKLY',
+        'SUMMARY:Team day'
+      ]), { horizonYear: 2026 });
+
+      expect(result.holidays).toEqual([]);
+      expect(result.skipped).toEqual([
+        { name: 'Memorial Day', reason: 'uses BYDAY (e.g. "last Monday of May")' },
+        { name: 'Team day', reason: 'repeats weekly' }
+      ]);
+    });
+  });
+});
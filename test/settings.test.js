@@ -0,0 +1,74 @@
+import { normalizeSettings, migrateGadgetConfig } from '../src/resolvers/index';
+
+describe('normalizeSettings', () => {
+  it('returns an empty layer for missing settings', () => {
+    expect(normalizeSettings(null)).toEqual({});
+    expect(normalizeSettings({})).toEqual({});
+  });
+
+  it('keeps valid values', () => {
+    expect(normalizeSettings({
+      teamSize: '6',
+      hoursPerDay: '7.5',
+      statusMapping: { ' Ready for QA ': 'done' },
+      jiraBaseUrl: ' https://example.atlassian.net/ ',
+      teams: [{ name: ' Backend ', members: [{ accountId: 'acc-1', displayName: 'An' }] }]
+    })).toEqual({
+      teamSize: 6,
+      hoursPerDay: 7.5,
+      statusMapping: { 'Ready for QA': 'done' },
+      jiraBaseUrl: 'https://example.atlassian.net',
+      teams: [{ name: 'Backend', members: [{ accountId: 'acc-1', displayName: 'An' }] }]
+    });
+  });
+
+  it('drops blank and out-of-range values so they inherit', () => {
+    expect(normalizeSettings({
+      teamSize: 0,
+      hoursPerDay: '',
+      statusMapping: { Done: 'maybe', '': 'done' },
+      jiraBaseUrl: 'example.atlassian.net',
+      teams: [{ name: '', members: [] }]
+    })).toEqual({});
+    expect(normalizeSettings({ teamSize: 101, hoursPerDay: 25 })).toEqual({});
+  });
+
+  it('dedupes teams by name and members by accountId', () => {
+    const { teams } = normalizeSettings({
+      teams: [
+        { name: 'QA', members: [{ accountId: 'acc-1' }, { accountId: 'acc-1' }, { displayName: 'No id' }] },
+        { name: 'qa', members: [{ accountId: 'acc-2' }] }
+      ]
+    });
+
+    expect(teams).toEqual([{ name: 'QA', members: [{ accountId: 'acc-1', displayName: 'acc-1' }] }]);
+  });
+});
+
+describe('migrateGadgetConfig', () => {
+  it('drops the old form default team size from unversioned configs', () => {
+    expect(migrateGadgetConfig({ boardId: 1, teamSize: 10, workingDays: 10 })).toEqual({ boardId: 1, workingDays: 10 });
+  });
+
+  it('keeps a team size the user changed', () => {
+    expect(migrateGadgetConfig({ boardId: 1, teamSize: 7 })).toEqual({ boardId: 1, teamSize: 7 });
+  });
+
+  it('trusts versioned configs', () => {
+    const config = { boardId: 1, teamSize: 10, configVersion: 2 };
+    expect(migrateGadgetConfig(config)).toBe(config);
+  });
+
+  it('strips the inherited settings the modal used to save back', () => {
+    const saved = {
+      boardId: 1, teamSize: 6, workingDays: 10, hoursPerDay: 7, statusMapping: {}, teams: [], jiraBaseUrl: '', configVersion: 2
+    };
+
+    expect(migrateGadgetConfig(saved, { teamSize: 6 })).toEqual({ boardId: 1, workingDays: 10, configVersion: 2 });
+    expect(migrateGadgetConfig(saved, { teamSize: 4 })).toEqual({ boardId: 1, teamSize: 6, workingDays: 10, configVersion: 2 });
+  });
+
+  it('passes a missing config through', () => {
+    expect(migrateGadgetConfig(undefined)).toBeUndefined();
+  });
+});
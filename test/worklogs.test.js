@@ -0,0 +1,59 @@
+import { sumLoggedByMembers, splitWorklogsAtJoin } from '../src/resolvers/index';
+
+const worklog = (accountId, started, hours) => ({ author: { accountId, displayName: accountId }, started, timeSpentSeconds: hours * 3600 });
+
+describe('sumLoggedByMembers', () => {
+  const issues = [
+    { key: 'P-1', fields: { assignee: { accountId: 'acc-2' } } },
+    { key: 'P-2', fields: { assignee: { accountId: 'acc-1' } } },
+    { key: 'P-3', fields: { assignee: null } }
+  ];
+  const worklogsByIssue = {
+    'P-1': [worklog('acc-1', '2025-04-29T09:00:00.000+0000', 2), worklog('acc-2', '2025-04-29T10:00:00.000+0000', 3)],
+    'P-2': [worklog('acc-2', '2025-04-30T09:00:00.000+0000', 1.5)],
+    'P-3': [worklog('acc-1', '2025-04-30T09:00:00.000+0000', 0.5), worklog('acc-1', '2025-05-01T09:00:00.000+0000', 1)]
+  };
+
+  it('credits the worklog author rather than the assignee', () => {
+    const filter = { accountIds: new Set(['acc-1']) };
+
+    // acc-1 is assigned P-2 but only logged on P-1 and the unassigned P-3
+    expect(sumLoggedByMembers(issues, worklogsByIssue, filter)).toEqual({ 'P-1': 2, 'P-3': 1.5 });
+  });
+
+  it('counts everyone without a filter', () => {
+    expect(sumLoggedByMembers(issues, worklogsByIssue, null)).toEqual({ 'P-1': 5, 'P-2': 1.5, 'P-3': 1.5 });
+  });
+
+  it('leaves out issues without worklogs', () => {
+    expect(sumLoggedByMembers(issues, {}, { accountIds: new Set(['acc-1']) })).toEqual({});
+  });
+});
+
+describe('splitWorklogsAtJoin', () => {
+  it('carries in time logged before the issue joined the sprint', () => {
+    const { carriedIn, inSprint } = splitWorklogsAtJoin([
+      worklog('acc-1', '2025-04-24T09:00:00.000+0000', 3),
+      worklog('acc-2', '2025-04-29T09:00:00.000+0000', 1),
+      worklog('acc-1', '2025-04-30T09:00:00.000+0000', 2)
+    ], '2025-04-30');
+
+    expect(carriedIn.map(wl => [wl.dateStr, wl.hours])).toEqual([['2025-04-24', 3], ['2025-04-29', 1]]);
+    expect(inSprint).toEqual([{ dateStr: '2025-04-30', hours: 2, author: { accountId: 'acc-1', displayName: 'acc-1' } }]);
+  });
+
+  it('carries in time logged before the sprint started for issues there from the start', () => {
+    const { carriedIn, inSprint } = splitWorklogsAtJoin([
+      worklog('acc-1', '2025-04-25T09:00:00.000+0000', 4),
+      worklog('acc-1', '2025-04-28T09:00:00.000+0000', 1)
+    ], '2025-04-28');
+
+    expect(carriedIn.map(wl => wl.hours)).toEqual([4]);
+    expect(inSprint.map(wl => wl.dateStr)).toEqual(['2025-04-28']);
+  });
+
+  it('skips worklogs without a start date', () => {
+    expect(splitWorklogsAtJoin([{ timeSpentSeconds: 3600 }], '2025-04-28')).toEqual({ carriedIn: [], inSprint: [] });
+    expect(splitWorklogsAtJoin(undefined, '2025-04-28')).toEqual({ carriedIn: [], inSprint: [] });
+  });
+});